@@ -1,7 +1,10 @@
 import { createControl } from './lib/control.js';
+import { createDevices } from './lib/devices.js';
 import { createFiles } from './lib/files.js';
 import { createGestures } from './lib/gestures.js';
 import { createMonitor } from './lib/monitor.js';
+import { createProcesses } from './lib/processes.js';
+import { createPush } from './lib/push.js';
 import { createQualityMonitor } from './lib/quality.js';
 import { createTerm } from './lib/term.js';
 import { createUi } from './lib/ui.js';
@@ -23,6 +26,7 @@ term = createTerm({
   switchSessionByOffset: (offset) => ui.SessionTabs.switchByOffset(offset),
   onActiveSessionChange: (sessionId) => {
     ui.onActiveSessionChanged(sessionId);
+    processes.onActiveSessionChanged();
   }
 });
 
@@ -35,13 +39,26 @@ const files = createFiles({
   toast: ui.Toast,
   openTerminalAtPath: (cwd) => {
     ui.Actions.spawn({ cwd });
-  }
+  },
+  getControl
 });
 
 const monitor = createMonitor({
   toast: ui.Toast
 });
 
+const processes = createProcesses({
+  toast: ui.Toast
+});
+
+const devices = createDevices({
+  toast: ui.Toast
+});
+
+const push = createPush({
+  toast: ui.Toast
+});
+
 qualityMonitor = createQualityMonitor({
   sendHeartbeat(payload) {
     const channel = getControl();
@@ -58,10 +75,18 @@ qualityMonitor = createQualityMonitor({
 control = createControl({
   term,
   sessionTabs: ui.SessionTabs,
+  sessionWindows: ui.SessionWindows,
+  sessionPresence: ui.SessionPresence,
+  notificationCenter: ui.NotificationCenter,
   statusBar: ui.StatusBar,
   toast: ui.Toast,
   actions: ui.Actions,
-  qualityMonitor
+  qualityMonitor,
+  watchMode: ui.WatchMode,
+  files,
+  onAuthExpired: () => {
+    void ui.requestLogin();
+  }
 });
 
 let deferredModulesInited = false;
@@ -73,6 +98,9 @@ function initDeferredModules() {
   deferredModulesInited = true;
   files.init({ silentAuthRetry: true });
   monitor.init({ silentAuthRetry: true });
+  processes.init();
+  devices.init();
+  push.init();
 }
 
 window.addEventListener(
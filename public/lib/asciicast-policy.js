@@ -0,0 +1,112 @@
+export const CAST_PLAYBACK_SPEEDS = [0.5, 1, 2, 4];
+
+const CAST_SIZE_MIN = 1;
+const CAST_SIZE_MAX = 1000;
+
+function normalizeCastSize(value) {
+  const size = Number(value);
+  return Number.isInteger(size) && size >= CAST_SIZE_MIN && size <= CAST_SIZE_MAX ? size : 0;
+}
+
+export function parseCastResize(data) {
+  const matched = /^(\d+)x(\d+)$/.exec(typeof data === 'string' ? data : '');
+  if (!matched) {
+    return null;
+  }
+  const cols = normalizeCastSize(matched[1]);
+  const rows = normalizeCastSize(matched[2]);
+  return cols && rows ? { cols, rows } : null;
+}
+
+// Only output ('o') and resize ('r') events are kept; input and marker events do not affect playback.
+// Malformed event lines are skipped so a recording cut off mid-write still plays up to that point.
+export function parseAsciicast(text) {
+  const source = typeof text === 'string' ? text : '';
+  const lines = source.split('\n');
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch {
+    return { ok: false, error: 'invalid-header' };
+  }
+  if (!header || typeof header !== 'object' || header.version !== 2) {
+    return { ok: false, error: 'unsupported-version' };
+  }
+  const width = normalizeCastSize(header.width);
+  const height = normalizeCastSize(header.height);
+  if (!width || !height) {
+    return { ok: false, error: 'invalid-header' };
+  }
+
+  const events = [];
+  let lastTime = 0;
+  for (let index = 1; index < lines.length; index += 1) {
+    const line = lines[index].trim();
+    if (!line) {
+      continue;
+    }
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (!Array.isArray(entry) || entry.length < 3 || typeof entry[2] !== 'string') {
+      continue;
+    }
+    const [time, code, data] = entry;
+    if (!Number.isFinite(time) || time < 0 || (code !== 'o' && code !== 'r')) {
+      continue;
+    }
+    if (code === 'r' && !parseCastResize(data)) {
+      continue;
+    }
+    // Timestamps must not go backwards or seeking by binary search breaks.
+    lastTime = Math.max(lastTime, time);
+    events.push({ time: lastTime, code, data });
+  }
+
+  return {
+    ok: true,
+    header: {
+      width,
+      height,
+      title: typeof header.title === 'string' ? header.title : '',
+      timestamp: Number.isFinite(header.timestamp) ? header.timestamp : 0
+    },
+    events,
+    duration: lastTime
+  };
+}
+
+// Number of events whose time is at or before `time`, i.e. the index of the next event to play.
+export function findCastEventIndex(events, time) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return 0;
+  }
+  const target = Number.isFinite(time) ? time : 0;
+  let low = 0;
+  let high = events.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (events[middle].time <= target) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+export function normalizeCastSpeed(value) {
+  const speed = Number(value);
+  return CAST_PLAYBACK_SPEEDS.includes(speed) ? speed : 1;
+}
+
+export function formatCastTime(seconds) {
+  const total = Number.isFinite(seconds) && seconds > 0 ? Math.floor(seconds) : 0;
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
@@ -0,0 +1,263 @@
+import { TerminalCtor } from './state.js';
+import {
+  CAST_PLAYBACK_SPEEDS,
+  findCastEventIndex,
+  formatCastTime,
+  normalizeCastSpeed,
+  parseCastResize
+} from './asciicast-policy.js';
+
+const CAST_PLAYER_TICK_MAX_MS = 200;
+const CAST_PLAYER_SEEK_STEPS = 1000;
+
+export function createCastPlayer({ container }) {
+  let cast = null;
+  let terminal = null;
+  let nextIndex = 0;
+  let position = 0;
+  let speed = 1;
+  let playing = false;
+  let anchorTime = 0;
+  let anchorWallMs = 0;
+  let tickTimer = null;
+
+  const toolbarEl = document.createElement('div');
+  toolbarEl.className = 'cast-player-toolbar';
+  const playBtn = document.createElement('button');
+  playBtn.type = 'button';
+  playBtn.className = 'cast-player-play';
+  const seekInput = document.createElement('input');
+  seekInput.type = 'range';
+  seekInput.className = 'cast-player-seek';
+  seekInput.min = '0';
+  seekInput.max = String(CAST_PLAYER_SEEK_STEPS);
+  seekInput.step = '1';
+  seekInput.value = '0';
+  seekInput.setAttribute('aria-label', '播放进度');
+  const timeEl = document.createElement('span');
+  timeEl.className = 'cast-player-time';
+  const speedSelect = document.createElement('select');
+  speedSelect.className = 'cast-player-speed';
+  speedSelect.setAttribute('aria-label', '播放速度');
+  CAST_PLAYBACK_SPEEDS.forEach((value) => {
+    const option = document.createElement('option');
+    option.value = String(value);
+    option.textContent = `${value}×`;
+    speedSelect.appendChild(option);
+  });
+  speedSelect.value = '1';
+  toolbarEl.append(playBtn, seekInput, timeEl, speedSelect);
+
+  const screenEl = document.createElement('div');
+  screenEl.className = 'cast-player-screen';
+
+  function readPlaybackTime() {
+    if (!playing) {
+      return position;
+    }
+    return anchorTime + ((performance.now() - anchorWallMs) / 1000) * speed;
+  }
+
+  function renderControls() {
+    const duration = cast ? cast.duration : 0;
+    playBtn.textContent = playing ? '暂停' : '播放';
+    playBtn.disabled = !cast || cast.events.length === 0;
+    seekInput.disabled = !cast || duration <= 0;
+    seekInput.value = String(duration > 0 ? Math.round((position / duration) * CAST_PLAYER_SEEK_STEPS) : 0);
+    timeEl.textContent = `${formatCastTime(position)} / ${formatCastTime(duration)}`;
+  }
+
+  function applyEvent(event) {
+    if (event.code === 'r') {
+      const size = parseCastResize(event.data);
+      if (size) {
+        terminal.resize(size.cols, size.rows);
+      }
+      return;
+    }
+    terminal.write(event.data);
+  }
+
+  // Consecutive output events are joined into one write so seeking deep into a long recording stays fast.
+  function applyEventsUntil(endIndex) {
+    let pendingOutput = '';
+    while (nextIndex < endIndex) {
+      const event = cast.events[nextIndex];
+      if (event.code === 'o') {
+        pendingOutput += event.data;
+      } else {
+        if (pendingOutput) {
+          terminal.write(pendingOutput);
+          pendingOutput = '';
+        }
+        applyEvent(event);
+      }
+      nextIndex += 1;
+    }
+    if (pendingOutput) {
+      terminal.write(pendingOutput);
+    }
+  }
+
+  function clearTickTimer() {
+    if (tickTimer) {
+      clearTimeout(tickTimer);
+      tickTimer = null;
+    }
+  }
+
+  function tick() {
+    tickTimer = null;
+    if (!playing || !cast) {
+      return;
+    }
+    const now = Math.min(readPlaybackTime(), cast.duration);
+    applyEventsUntil(findCastEventIndex(cast.events, now));
+    position = now;
+    if (nextIndex >= cast.events.length) {
+      playing = false;
+      position = cast.duration;
+      renderControls();
+      return;
+    }
+    renderControls();
+    const untilNextMs = ((cast.events[nextIndex].time - now) / speed) * 1000;
+    tickTimer = setTimeout(tick, Math.max(0, Math.min(CAST_PLAYER_TICK_MAX_MS, untilNextMs)));
+  }
+
+  function play() {
+    if (!cast || !terminal || playing || cast.events.length === 0) {
+      return;
+    }
+    if (nextIndex >= cast.events.length) {
+      seek(0);
+    }
+    playing = true;
+    anchorTime = position;
+    anchorWallMs = performance.now();
+    renderControls();
+    tick();
+  }
+
+  function pause() {
+    if (!playing) {
+      return;
+    }
+    position = readPlaybackTime();
+    playing = false;
+    clearTickTimer();
+    renderControls();
+  }
+
+  // Terminal state cannot be rewound, so every seek replays the recording from the start up to the target.
+  function seek(time) {
+    if (!cast || !terminal) {
+      return;
+    }
+    const target = Math.max(0, Math.min(cast.duration, Number.isFinite(time) ? time : 0));
+    terminal.reset();
+    terminal.resize(cast.header.width, cast.header.height);
+    nextIndex = 0;
+    applyEventsUntil(findCastEventIndex(cast.events, target));
+    position = target;
+    anchorTime = target;
+    anchorWallMs = performance.now();
+    renderControls();
+    if (playing) {
+      clearTickTimer();
+      tick();
+    }
+  }
+
+  function setSpeed(value) {
+    const nextSpeed = normalizeCastSpeed(value);
+    if (playing) {
+      anchorTime = readPlaybackTime();
+      anchorWallMs = performance.now();
+    }
+    speed = nextSpeed;
+    speedSelect.value = String(nextSpeed);
+    if (playing) {
+      clearTickTimer();
+      tick();
+    }
+  }
+
+  function disposeTerminal() {
+    clearTickTimer();
+    playing = false;
+    if (terminal) {
+      terminal.dispose();
+      terminal = null;
+    }
+  }
+
+  function load(parsedCast) {
+    disposeTerminal();
+    cast = parsedCast;
+    nextIndex = 0;
+    position = 0;
+    screenEl.replaceChildren();
+    container.replaceChildren(toolbarEl, screenEl);
+    renderControls();
+    if (!TerminalCtor) {
+      return;
+    }
+    // The dialog is usually shown right after load, so wait a frame for xterm to measure a visible container.
+    const loadedCast = cast;
+    window.requestAnimationFrame(() => {
+      if (cast === loadedCast && !terminal) {
+        openTerminal();
+      }
+    });
+  }
+
+  function openTerminal() {
+    terminal = new TerminalCtor({
+      cols: cast.header.width,
+      rows: cast.header.height,
+      disableStdin: true,
+      cursorBlink: false,
+      scrollback: 1000,
+      fontFamily: 'IBM Plex Mono, Menlo, Consolas, monospace',
+      fontSize: 12,
+      theme: {
+        background: '#1e1e2e',
+        foreground: '#cdd6f4'
+      }
+    });
+    terminal.open(screenEl);
+  }
+
+  function dispose() {
+    disposeTerminal();
+    cast = null;
+    container.replaceChildren();
+  }
+
+  playBtn.addEventListener('click', () => {
+    if (playing) {
+      pause();
+      return;
+    }
+    play();
+  });
+  seekInput.addEventListener('input', () => {
+    if (!cast) {
+      return;
+    }
+    seek((Number(seekInput.value) / CAST_PLAYER_SEEK_STEPS) * cast.duration);
+  });
+  speedSelect.addEventListener('change', () => {
+    setSpeed(speedSelect.value);
+  });
+
+  return {
+    load,
+    play,
+    pause,
+    seek,
+    setSpeed,
+    dispose
+  };
+}
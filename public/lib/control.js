@@ -37,7 +37,20 @@ async function reconnectSessionWithBootstrappedOffset(term, sessionId) {
   await term.reconnect(sessionId);
 }
 
-export function createControl({ term, sessionTabs, statusBar, toast, actions, qualityMonitor }) {
+export function createControl({
+  term,
+  sessionTabs,
+  sessionWindows,
+  sessionPresence,
+  notificationCenter,
+  statusBar,
+  toast,
+  actions,
+  qualityMonitor,
+  watchMode,
+  files,
+  onAuthExpired
+}) {
   const pendingAcks = new Map();
 
   function clearPendingAck(requestId) {
@@ -155,10 +168,14 @@ export function createControl({ term, sessionTabs, statusBar, toast, actions, qu
         const shouldVibrateRecovery = !!State.controlConnectedOnce;
         State.controlConnected = true;
         State.controlConnectedOnce = true;
+        if (typeof payload.viewerId === 'string') {
+          State.viewerId = payload.viewerId;
+        }
         if (typeof payload.expiresAt === 'string' && payload.expiresAt) {
           State.tokenExpiresAt = payload.expiresAt;
           persistTokenExpiry(payload.expiresAt);
         }
+        watchMode.apply(payload.scope, payload.grants);
         if (shouldVibrateRecovery) {
           vibrate('medium');
         }
@@ -167,6 +184,9 @@ export function createControl({ term, sessionTabs, statusBar, toast, actions, qu
         if (qualityMonitor && typeof qualityMonitor.onControlReady === 'function') {
           qualityMonitor.onControlReady();
         }
+        if (files && typeof files.onControlReady === 'function') {
+          files.onControlReady();
+        }
         if (State.controlSocket && State.controlSocket.readyState === WebSocket.OPEN) {
           State.controlSocket.send(
             JSON.stringify({
@@ -219,6 +239,38 @@ export function createControl({ term, sessionTabs, statusBar, toast, actions, qu
         return;
       }
 
+      if (payload.type === 'session.updated' && payload.sessionId) {
+        if (typeof payload.requestId === 'string' && payload.requestId) {
+          resolvePendingAck(payload.requestId, 'ack', payload);
+        }
+        return;
+      }
+
+      if (payload.type === 'windows' && payload.sessionId && Array.isArray(payload.windows)) {
+        if (typeof payload.requestId === 'string' && payload.requestId) {
+          resolvePendingAck(payload.requestId, 'ack', payload);
+        }
+        sessionWindows.update(payload.sessionId, payload.windows);
+        return;
+      }
+
+      if (payload.type === 'recording' && payload.sessionId) {
+        // Only the requesting client toasts; everyone else picks up the REC badge from the sessions broadcast.
+        if (typeof payload.requestId === 'string' && payload.requestId) {
+          resolvePendingAck(payload.requestId, 'ack', payload);
+          toast.show(payload.recording ? '已开始录制' : '录制已保存', 'success');
+        }
+        return;
+      }
+
+      if (payload.type === 'presence' && payload.sessionId && Array.isArray(payload.viewers)) {
+        if (typeof payload.requestId === 'string' && payload.requestId) {
+          resolvePendingAck(payload.requestId, 'ack', payload);
+        }
+        sessionPresence.update(payload);
+        return;
+      }
+
       if (payload.type === 'exited' && payload.sessionId) {
         const exitedSessionId = payload.sessionId;
         const isCurrentSession = exitedSessionId === State.currentSessionId;
@@ -287,7 +339,9 @@ export function createControl({ term, sessionTabs, statusBar, toast, actions, qu
             }
           }
         } else if (sessions.length > 0 && isFirstSessionsMessage) {
-          const latest = sessions[sessions.length - 1];
+          const requested = sessions.find((item) => item.id === State.requestedSessionId);
+          const latest = requested || sessions[sessions.length - 1];
+          State.requestedSessionId = '';
           State.currentSessionId = latest.id;
           State.killRequested = false;
           actions.resetKillRequest();
@@ -322,6 +376,30 @@ export function createControl({ term, sessionTabs, statusBar, toast, actions, qu
         return;
       }
 
+      if (payload.type === 'fs.watching' || payload.type === 'fs.unwatched') {
+        if (typeof payload.requestId === 'string' && payload.requestId) {
+          resolvePendingAck(payload.requestId, 'ack', payload);
+        }
+        return;
+      }
+
+      if (payload.type === 'fs.changed' && typeof payload.path === 'string') {
+        if (files && typeof files.handleFsChanged === 'function') {
+          files.handleFsChanged(payload);
+        }
+        return;
+      }
+
+      if (payload.type === 'command.finished' && typeof payload.sessionId === 'string') {
+        notificationCenter.handleCommandFinished(payload);
+        return;
+      }
+
+      if (payload.type === 'notification' && typeof payload.sessionId === 'string') {
+        notificationCenter.handleShellNotification(payload);
+        return;
+      }
+
       if (payload.type === 'error') {
         const ackHandled =
           typeof payload.requestId === 'string' && payload.requestId
@@ -421,8 +499,11 @@ export function createControl({ term, sessionTabs, statusBar, toast, actions, qu
           State.token = '';
           State.tokenExpiresAt = '';
           statusBar.setControl('offline');
-          statusBar.setText('访问令牌无效，请重新使用 #token 链接登录');
+          statusBar.setText('访问令牌无效，请重新登录');
           toast.show('认证已失效，请重新登录', 'danger');
+          if (typeof onAuthExpired === 'function') {
+            onAuthExpired();
+          }
           return;
         }
         statusBar.setControl('warn');
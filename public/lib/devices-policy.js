@@ -0,0 +1,92 @@
+const MINUTE_MS = 60_000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+function toTime(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? 0 : time;
+}
+
+// This browser first, then signed-in devices by last activity; revoked devices sink to the bottom.
+export function sortDevices(devices) {
+  return [...devices].sort((left, right) => {
+    if (left.current !== right.current) {
+      return left.current ? -1 : 1;
+    }
+    if (!left.revokedAt !== !right.revokedAt) {
+      return left.revokedAt ? 1 : -1;
+    }
+    return toTime(right.lastSeenAt) - toTime(left.lastSeenAt) || left.id.localeCompare(right.id);
+  });
+}
+
+export function formatDeviceSeen(seenAt, now = new Date()) {
+  const time = toTime(seenAt);
+  if (!time) {
+    return '-';
+  }
+  const elapsed = now.getTime() - time;
+  if (elapsed < MINUTE_MS) {
+    return '刚刚';
+  }
+  if (elapsed < HOUR_MS) {
+    return `${Math.floor(elapsed / MINUTE_MS)} 分钟前`;
+  }
+  if (elapsed < DAY_MS) {
+    return `${Math.floor(elapsed / HOUR_MS)} 小时前`;
+  }
+  if (elapsed < 30 * DAY_MS) {
+    return `${Math.floor(elapsed / DAY_MS)} 天前`;
+  }
+  const date = new Date(time);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function describeDeviceStatus(device) {
+  if (device.revokedAt) {
+    return '已撤销';
+  }
+  if (device.current) {
+    return '本机';
+  }
+  return device.activeTokens > 0 ? '已登录' : '已过期';
+}
+
+export function describeDeviceMeta(device, now = new Date()) {
+  const scope = device.scope === 'readonly' ? '只读' : '管理员';
+  const parts = [scope, `最近 ${formatDeviceSeen(device.lastSeenAt, now)}`];
+  if (device.lastIp) {
+    parts.push(device.lastIp);
+  }
+  return parts.join(' · ');
+}
+
+// Revoking the current device would log this tab out too, so the card only offers it for other devices.
+export function canRevokeDevice(device, watchOnly) {
+  return !watchOnly && !device.current && !device.revokedAt;
+}
+
+export function formatPairingCode(code) {
+  return typeof code === 'string' && code.length === 6 ? `${code.slice(0, 3)} ${code.slice(3)}` : String(code || '');
+}
+
+// "m:ss" until the code expires; empty once it has.
+export function formatPairingRemaining(expiresAt, now = new Date()) {
+  const remainingMs = toTime(expiresAt) - now.getTime();
+  if (remainingMs <= 0) {
+    return '';
+  }
+  const seconds = Math.ceil(remainingMs / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+export function buildPairingLink(origin, token) {
+  return `${origin}/#pair=${encodeURIComponent(token)}`;
+}
+
+export function describePasskeyMeta(passkey, now = new Date()) {
+  const scope = passkey.scope === 'readonly' ? '只读' : '管理员';
+  const used = passkey.lastUsedAt ? `最近 ${formatDeviceSeen(passkey.lastUsedAt, now)}` : '尚未使用';
+  return `${scope} · ${passkey.rpId} · ${used}`;
+}
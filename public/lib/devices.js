@@ -0,0 +1,376 @@
+import { DOM, State, apiUrl, authedFetch } from './state.js';
+import { writeClipboardText } from './clipboard.js';
+import { describeGrants, describeTokenAccess, readAccessTokenClaims } from './grants-policy.js';
+import {
+  buildPairingLink,
+  canRevokeDevice,
+  describeDeviceMeta,
+  describePasskeyMeta,
+  describeDeviceStatus,
+  formatPairingCode,
+  formatPairingRemaining,
+  sortDevices
+} from './devices-policy.js';
+import {
+  describePasskeyFailure,
+  isPasskeySupported,
+  serializeCredential,
+  toCreationOptions
+} from './passkey-policy.js';
+
+const DEVICES_POLL_INTERVAL_MS = 60_000;
+
+async function readErrorMessage(response) {
+  try {
+    const payload = await response.json();
+    if (payload && typeof payload.reason === 'string' && payload.error && payload.error.startsWith('passkey')) {
+      return describePasskeyFailure(payload.reason);
+    }
+    return payload && payload.error ? payload.error : `HTTP ${response.status}`;
+  } catch {
+    return `HTTP ${response.status}`;
+  }
+}
+
+export function createDevices({ toast }) {
+  let devices = [];
+  let passkeys = [];
+  let pollTimer = 0;
+  let loading = false;
+  let pairing = null;
+  let pairingTimer = 0;
+
+  function isVisible() {
+    return document.visibilityState === 'visible' && !!DOM.dock && DOM.dock.classList.contains('is-expanded');
+  }
+
+  // Decoded from the token itself, so it shows even when the token may not list devices.
+  function renderGrants() {
+    const claims = readAccessTokenClaims(State.token);
+    DOM.devicesGrantsScope.textContent = describeTokenAccess(claims);
+    const fragment = document.createDocumentFragment();
+    (claims ? describeGrants(claims.grants) : []).forEach((line) => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      fragment.appendChild(item);
+    });
+    DOM.devicesGrantsList.replaceChildren(fragment);
+  }
+
+  async function refresh() {
+    if (loading || !State.token) {
+      return;
+    }
+    renderGrants();
+    loading = true;
+    try {
+      const response = await authedFetch(apiUrl('/api/auth/devices'));
+      if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+      }
+      const payload = await response.json();
+      devices = Array.isArray(payload.devices) ? payload.devices : [];
+      const passkeysResponse = await authedFetch(apiUrl('/api/auth/passkeys'));
+      if (passkeysResponse.ok) {
+        const passkeysPayload = await passkeysResponse.json();
+        passkeys = Array.isArray(passkeysPayload.passkeys) ? passkeysPayload.passkeys : [];
+      }
+      render();
+    } catch (error) {
+      DOM.devicesSummary.textContent = `设备列表加载失败: ${error instanceof Error ? error.message : 'unknown'}`;
+    } finally {
+      loading = false;
+    }
+  }
+
+  function schedule() {
+    if (pollTimer) {
+      window.clearTimeout(pollTimer);
+    }
+    pollTimer = window.setTimeout(async () => {
+      pollTimer = 0;
+      if (isVisible()) {
+        await refresh();
+      }
+      schedule();
+    }, DEVICES_POLL_INTERVAL_MS);
+  }
+
+  async function rename(device) {
+    const raw = window.prompt('设备名称', device.label);
+    if (raw === null || !raw.trim() || raw.trim() === device.label) {
+      return;
+    }
+    try {
+      const response = await authedFetch(apiUrl(`/api/auth/devices/${device.id}`), {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ label: raw })
+      });
+      if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+      }
+    } catch (error) {
+      toast.show(`重命名失败: ${error instanceof Error ? error.message : 'unknown'}`, 'danger');
+    }
+    void refresh();
+  }
+
+  async function revoke(device) {
+    if (!window.confirm(`撤销「${device.label}」？该设备上的所有登录会立即失效。`)) {
+      return;
+    }
+    try {
+      const response = await authedFetch(apiUrl(`/api/auth/devices/${device.id}/revoke`), {
+        method: 'POST'
+      });
+      if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+      }
+      const payload = await response.json();
+      toast.show(`已撤销 ${device.label}（${payload.revokedTokens} 个令牌）`, 'success');
+    } catch (error) {
+      toast.show(`撤销失败: ${error instanceof Error ? error.message : 'unknown'}`, 'danger');
+    }
+    void refresh();
+  }
+
+  function renderPairing() {
+    if (pairingTimer) {
+      window.clearTimeout(pairingTimer);
+      pairingTimer = 0;
+    }
+    const remaining = pairing ? formatPairingRemaining(pairing.expiresAt) : '';
+    if (!remaining) {
+      pairing = null;
+      DOM.devicesPairing.hidden = true;
+      return;
+    }
+    DOM.devicesPairing.hidden = false;
+    DOM.devicesPairingCode.textContent = formatPairingCode(pairing.code);
+    const scope = pairing.scope === 'readonly' ? '只读' : '管理员';
+    DOM.devicesPairingMeta.textContent = `${scope} · 仅可使用一次 · ${remaining} 后过期`;
+    pairingTimer = window.setTimeout(renderPairing, 1000);
+  }
+
+  async function createPairing() {
+    try {
+      const response = await authedFetch(apiUrl('/api/auth/pairing'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ scope: 'admin' })
+      });
+      if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+      }
+      pairing = await response.json();
+      renderPairing();
+    } catch (error) {
+      toast.show(`生成配对码失败: ${error instanceof Error ? error.message : 'unknown'}`, 'danger');
+    }
+  }
+
+  async function rotateBootstrapToken() {
+    const message = '重置启动令牌？旧的 #token 链接与二维码将立即失效，未使用的配对码也会作废；已登录的设备不受影响。';
+    if (!window.confirm(message)) {
+      return;
+    }
+    try {
+      const response = await authedFetch(apiUrl('/api/auth/bootstrap/rotate'), { method: 'POST' });
+      if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+      }
+      pairing = null;
+      renderPairing();
+      toast.show('启动令牌已重置，新令牌保存在服务端 .auth-token', 'success');
+    } catch (error) {
+      toast.show(`重置失败: ${error instanceof Error ? error.message : 'unknown'}`, 'danger');
+    }
+  }
+
+  // The passkey inherits this browser's scope and device, so revoking the device also deletes it.
+  async function addPasskey() {
+    if (!isPasskeySupported(window)) {
+      toast.show(describePasskeyFailure('invalid_origin'), 'warn');
+      return;
+    }
+    const label = window.prompt('通行密钥名称', State.deviceLabel || '');
+    if (label === null) {
+      return;
+    }
+    try {
+      const optionsResponse = await authedFetch(apiUrl('/api/auth/passkeys/register/options'), { method: 'POST' });
+      if (!optionsResponse.ok) {
+        throw new Error(await readErrorMessage(optionsResponse));
+      }
+      const credential = await navigator.credentials.create({
+        publicKey: toCreationOptions(await optionsResponse.json())
+      });
+      const response = await authedFetch(apiUrl('/api/auth/passkeys/register'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ credential: serializeCredential(credential), label })
+      });
+      if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+      }
+      toast.show('通行密钥已添加，令牌过期后可直接用它登录', 'success');
+    } catch (error) {
+      if (error && error.name === 'NotAllowedError') {
+        toast.show('已取消添加通行密钥', 'info');
+        return;
+      }
+      if (error && error.name === 'InvalidStateError') {
+        toast.show(describePasskeyFailure('already_registered'), 'warn');
+        return;
+      }
+      toast.show(`添加通行密钥失败: ${error instanceof Error ? error.message : 'unknown'}`, 'danger');
+    }
+    void refresh();
+  }
+
+  async function deletePasskey(passkey) {
+    const message = `删除通行密钥「${passkey.label}」？同时请在系统的密码管理中移除它。`;
+    if (!window.confirm(message)) {
+      return;
+    }
+    try {
+      const response = await authedFetch(apiUrl(`/api/auth/passkeys/${encodeURIComponent(passkey.id)}`), {
+        method: 'DELETE'
+      });
+      if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+      }
+      toast.show(`已删除 ${passkey.label}`, 'success');
+    } catch (error) {
+      toast.show(`删除失败: ${error instanceof Error ? error.message : 'unknown'}`, 'danger');
+    }
+    void refresh();
+  }
+
+  function renderPasskeyRow(passkey, now) {
+    const row = document.createElement('div');
+    row.className = 'device-row';
+    const info = document.createElement('div');
+    info.className = 'device-info';
+    const name = document.createElement('span');
+    name.className = 'device-label';
+    name.textContent = passkey.label;
+    const meta = document.createElement('span');
+    meta.className = 'device-meta';
+    meta.textContent = describePasskeyMeta(passkey, now);
+    info.append(name, meta);
+    row.appendChild(info);
+
+    if (!State.watchOnly) {
+      const actions = document.createElement('div');
+      actions.className = 'device-actions';
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'btn device-action-btn is-danger';
+      deleteBtn.textContent = '删除';
+      deleteBtn.addEventListener('click', () => {
+        void deletePasskey(passkey);
+      });
+      actions.appendChild(deleteBtn);
+      row.appendChild(actions);
+    }
+    return row;
+  }
+
+  function renderRow(device, now) {
+    const row = document.createElement('div');
+    row.className = device.revokedAt ? 'device-row is-revoked' : 'device-row';
+    row.title = device.userAgent || device.label;
+
+    const info = document.createElement('div');
+    info.className = 'device-info';
+    const name = document.createElement('span');
+    name.className = 'device-label';
+    name.textContent = device.label;
+    const status = document.createElement('span');
+    status.className = device.current ? 'device-status is-current' : 'device-status';
+    status.textContent = describeDeviceStatus(device);
+    const meta = document.createElement('span');
+    meta.className = 'device-meta';
+    meta.textContent = describeDeviceMeta(device, now);
+    info.append(name, status, meta);
+    row.appendChild(info);
+
+    if (!State.watchOnly && !device.revokedAt) {
+      const actions = document.createElement('div');
+      actions.className = 'device-actions';
+      const renameBtn = document.createElement('button');
+      renameBtn.type = 'button';
+      renameBtn.className = 'btn device-action-btn';
+      renameBtn.textContent = '重命名';
+      renameBtn.addEventListener('click', () => {
+        void rename(device);
+      });
+      actions.appendChild(renameBtn);
+      if (canRevokeDevice(device, State.watchOnly)) {
+        const revokeBtn = document.createElement('button');
+        revokeBtn.type = 'button';
+        revokeBtn.className = 'btn device-action-btn is-danger';
+        revokeBtn.textContent = '撤销';
+        revokeBtn.addEventListener('click', () => {
+          void revoke(device);
+        });
+        actions.appendChild(revokeBtn);
+      }
+      row.appendChild(actions);
+    }
+    return row;
+  }
+
+  function render() {
+    const now = new Date();
+    const sorted = sortDevices(devices);
+    const fragment = document.createDocumentFragment();
+    sorted.forEach((device) => {
+      fragment.appendChild(renderRow(device, now));
+    });
+    DOM.devicesList.replaceChildren(fragment);
+    const active = sorted.filter((device) => !device.revokedAt).length;
+    DOM.devicesSummary.textContent = sorted.length ? `${active} 台设备已登录` : '暂无登录设备';
+    DOM.devicesPairBtn.hidden = State.watchOnly;
+    DOM.devicesRotateBtn.hidden = State.watchOnly;
+
+    const passkeyFragment = document.createDocumentFragment();
+    passkeys.forEach((passkey) => {
+      passkeyFragment.appendChild(renderPasskeyRow(passkey, now));
+    });
+    DOM.devicesPasskeysList.replaceChildren(passkeyFragment);
+    renderGrants();
+  }
+
+  return {
+    init() {
+      if (!DOM.devicesPanel) {
+        return;
+      }
+      DOM.devicesRefreshBtn.addEventListener('click', () => {
+        void refresh();
+      });
+      DOM.devicesPairBtn.addEventListener('click', () => {
+        void createPairing();
+      });
+      DOM.devicesRotateBtn.addEventListener('click', () => {
+        void rotateBootstrapToken();
+      });
+      DOM.devicesPasskeyAddBtn.addEventListener('click', () => {
+        void addPasskey();
+      });
+      DOM.devicesPairingCopyBtn.addEventListener('click', async () => {
+        if (!pairing) {
+          return;
+        }
+        const copied = await writeClipboardText(buildPairingLink(window.location.origin, pairing.token));
+        toast.show(copied ? '配对链接已复制' : '复制失败', copied ? 'success' : 'warn');
+      });
+      render();
+      void refresh();
+      schedule();
+    }
+  };
+}
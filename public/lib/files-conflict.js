@@ -0,0 +1,121 @@
+import { renderDiffInto } from './files-diff.js';
+import { diffLines, summarizeDiff } from './files-diff-policy.js';
+
+// Shown when a save is rejected because the file changed on disk after the editor loaded it.
+export function createFilesConflict() {
+  let dialogEl = null;
+  let summaryEl = null;
+  let diffEl = null;
+  let diffBtn = null;
+  let reloadBtn = null;
+  let resolver = null;
+  let pending = null;
+
+  function settle(choice) {
+    const resolve = resolver;
+    resolver = null;
+    pending = null;
+    if (dialogEl && dialogEl.open) {
+      dialogEl.close();
+    }
+    if (typeof resolve === 'function') {
+      resolve(choice);
+    }
+  }
+
+  function renderDiff() {
+    if (!pending) {
+      return;
+    }
+    renderDiffInto(diffEl, diffLines(pending.conflict.content || '', pending.localContent), {
+      mode: 'split',
+      path: pending.conflict.path,
+      labels: ['磁盘上的版本', '我的修改']
+    });
+  }
+
+  function ensureDialog() {
+    if (dialogEl) {
+      return dialogEl;
+    }
+    dialogEl = document.createElement('dialog');
+    dialogEl.className = 'file-dialog files-conflict-dialog';
+    dialogEl.innerHTML = `
+      <div class="file-dialog-header">
+        <span class="file-dialog-title">文件已在别处被修改</span>
+      </div>
+      <div class="file-dialog-body files-conflict-body">
+        <p class="files-conflict-summary" data-role="summary"></p>
+        <div class="files-diff" data-role="diff" hidden></div>
+        <div class="files-conflict-footer">
+          <button type="button" class="btn btn-sm" data-conflict-action="diff">对比差异</button>
+          <button type="button" class="btn btn-sm" data-conflict-action="reload">重新加载</button>
+          <button type="button" class="btn btn-sm is-danger" data-conflict-action="overwrite">覆盖保存</button>
+          <button type="button" class="btn btn-sm" data-conflict-action="cancel">继续编辑</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(dialogEl);
+    summaryEl = dialogEl.querySelector('[data-role="summary"]');
+    diffEl = dialogEl.querySelector('[data-role="diff"]');
+    diffBtn = dialogEl.querySelector('[data-conflict-action="diff"]');
+    reloadBtn = dialogEl.querySelector('[data-conflict-action="reload"]');
+
+    dialogEl.addEventListener('cancel', (event) => {
+      event.preventDefault();
+      settle('cancel');
+    });
+    dialogEl.addEventListener('close', () => {
+      if (resolver) {
+        settle('cancel');
+      }
+    });
+    dialogEl.addEventListener('click', (event) => {
+      const button = event.target instanceof Element ? event.target.closest('[data-conflict-action]') : null;
+      if (!button) {
+        return;
+      }
+      const action = button.dataset.conflictAction;
+      if (action === 'diff') {
+        diffEl.hidden = !diffEl.hidden;
+        diffBtn.textContent = diffEl.hidden ? '对比差异' : '隐藏差异';
+        if (!diffEl.hidden) {
+          renderDiff();
+        }
+        return;
+      }
+      settle(action);
+    });
+    return dialogEl;
+  }
+
+  return {
+    // Resolves to 'overwrite', 'reload' or 'cancel'.
+    resolve(conflict, localContent) {
+      if (resolver) {
+        settle('cancel');
+      }
+      const dialog = ensureDialog();
+      pending = { conflict, localContent };
+      const hasRemoteContent = typeof conflict.content === 'string';
+      if (!conflict.exists) {
+        summaryEl.textContent = `${conflict.path} 已被删除。覆盖保存将重新创建该文件。`;
+      } else if (!hasRemoteContent) {
+        summaryEl.textContent = `${conflict.path} 已被修改，且磁盘上的版本过大，无法对比。`;
+      } else {
+        const { added, removed } = summarizeDiff(diffLines(conflict.content, localContent));
+        summaryEl.textContent = `${conflict.path} 在打开后已被修改。相对磁盘版本，你的修改 +${added} / -${removed} 行。`;
+      }
+      diffEl.hidden = true;
+      diffEl.replaceChildren();
+      diffBtn.textContent = '对比差异';
+      diffBtn.hidden = !hasRemoteContent;
+      reloadBtn.hidden = !hasRemoteContent;
+      const promise = new Promise((resolve) => {
+        resolver = resolve;
+      });
+      dialog.showModal();
+      return promise;
+    }
+  };
+}
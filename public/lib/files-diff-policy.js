@@ -0,0 +1,228 @@
+// Beyond this many cells in the LCS table the changed middle is shown as a full replacement.
+const DIFF_MAX_CELLS = 2_000_000;
+
+export function splitLines(text) {
+  if (typeof text !== 'string' || text === '') {
+    return [];
+  }
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines.map((line) => line.replace(/\r$/, ''));
+}
+
+// Line diff of `before` -> `after`. Common prefix/suffix are trimmed first so typical edits stay cheap.
+// Each op carries 1-based `oldLine` and/or `newLine`.
+export function diffLines(before, after) {
+  const left = splitLines(before);
+  const right = splitLines(after);
+  let start = 0;
+  while (start < left.length && start < right.length && left[start] === right[start]) {
+    start += 1;
+  }
+  let leftEnd = left.length;
+  let rightEnd = right.length;
+  while (leftEnd > start && rightEnd > start && left[leftEnd - 1] === right[rightEnd - 1]) {
+    leftEnd -= 1;
+    rightEnd -= 1;
+  }
+
+  const ops = [];
+  for (let index = 0; index < start; index += 1) {
+    ops.push({ type: 'equal', text: left[index], oldLine: index + 1, newLine: index + 1 });
+  }
+
+  const rows = leftEnd - start;
+  const cols = rightEnd - start;
+  if (rows > 0 && cols > 0 && (rows + 1) * (cols + 1) <= DIFF_MAX_CELLS) {
+    const width = cols + 1;
+    const table = new Uint32Array((rows + 1) * width);
+    for (let i = rows - 1; i >= 0; i -= 1) {
+      for (let j = cols - 1; j >= 0; j -= 1) {
+        table[i * width + j] =
+          left[start + i] === right[start + j]
+            ? table[(i + 1) * width + j + 1] + 1
+            : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < rows || j < cols) {
+      if (i < rows && j < cols && left[start + i] === right[start + j]) {
+        ops.push({ type: 'equal', text: left[start + i], oldLine: start + i + 1, newLine: start + j + 1 });
+        i += 1;
+        j += 1;
+      } else if (i < rows && (j >= cols || table[(i + 1) * width + j] >= table[i * width + j + 1])) {
+        ops.push({ type: 'delete', text: left[start + i], oldLine: start + i + 1 });
+        i += 1;
+      } else {
+        ops.push({ type: 'insert', text: right[start + j], newLine: start + j + 1 });
+        j += 1;
+      }
+    }
+  } else {
+    for (let index = start; index < leftEnd; index += 1) {
+      ops.push({ type: 'delete', text: left[index], oldLine: index + 1 });
+    }
+    for (let index = start; index < rightEnd; index += 1) {
+      ops.push({ type: 'insert', text: right[index], newLine: index + 1 });
+    }
+  }
+
+  for (let offset = 0; offset < left.length - leftEnd; offset += 1) {
+    ops.push({
+      type: 'equal',
+      text: left[leftEnd + offset],
+      oldLine: leftEnd + offset + 1,
+      newLine: rightEnd + offset + 1
+    });
+  }
+  return ops;
+}
+
+// Pairs each run of deletions with the insertions that follow it so replaced lines sit side by side.
+export function buildSideBySideRows(ops) {
+  const rows = [];
+  let index = 0;
+  while (index < ops.length) {
+    const op = ops[index];
+    if (op.type === 'equal') {
+      rows.push({
+        type: 'equal',
+        left: { line: op.oldLine, text: op.text },
+        right: { line: op.newLine, text: op.text }
+      });
+      index += 1;
+      continue;
+    }
+    const deleted = [];
+    const inserted = [];
+    while (index < ops.length && ops[index].type === 'delete') {
+      deleted.push(ops[index]);
+      index += 1;
+    }
+    while (index < ops.length && ops[index].type === 'insert') {
+      inserted.push(ops[index]);
+      index += 1;
+    }
+    for (let offset = 0; offset < Math.max(deleted.length, inserted.length); offset += 1) {
+      const removed = deleted[offset];
+      const added = inserted[offset];
+      rows.push({
+        type: removed && added ? 'change' : removed ? 'delete' : 'insert',
+        left: removed ? { line: removed.oldLine, text: removed.text } : null,
+        right: added ? { line: added.newLine, text: added.text } : null
+      });
+    }
+  }
+  return rows;
+}
+
+export function summarizeDiff(ops) {
+  let added = 0;
+  let removed = 0;
+  ops.forEach((op) => {
+    if (op.type === 'insert') {
+      added += 1;
+    } else if (op.type === 'delete') {
+      removed += 1;
+    }
+  });
+  return { added, removed };
+}
+
+// Parses `diff -u` output into hunks whose ops have the same shape as diffLines() results.
+export function parseUnifiedDiff(text) {
+  const hunks = [];
+  let current = null;
+  let oldLine = 0;
+  let newLine = 0;
+  for (const line of splitLines(text)) {
+    const header = /^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/.exec(line);
+    if (header) {
+      // An empty side is written as `-0,0`; its first line would still be line 1.
+      oldLine = Number(header[1]) || 1;
+      newLine = Number(header[2]) || 1;
+      current = { oldStart: oldLine, newStart: newLine, ops: [] };
+      hunks.push(current);
+      continue;
+    }
+    if (!current) {
+      continue;
+    }
+    const marker = line[0];
+    const body = line.slice(1);
+    if (marker === ' ') {
+      current.ops.push({ type: 'equal', text: body, oldLine, newLine });
+      oldLine += 1;
+      newLine += 1;
+    } else if (marker === '-') {
+      current.ops.push({ type: 'delete', text: body, oldLine });
+      oldLine += 1;
+    } else if (marker === '+') {
+      current.ops.push({ type: 'insert', text: body, newLine });
+      newLine += 1;
+    }
+  }
+  return hunks;
+}
+
+// Splits ops into visible runs and folds of unchanged lines, keeping `context` lines around changes.
+export function collapseUnchanged(ops, context = 3) {
+  const segments = [];
+  const pushLines = (lines) => {
+    if (lines.length === 0) {
+      return;
+    }
+    const last = segments[segments.length - 1];
+    if (last && last.type === 'lines') {
+      last.ops.push(...lines);
+    } else {
+      segments.push({ type: 'lines', ops: lines.slice() });
+    }
+  };
+  let index = 0;
+  while (index < ops.length) {
+    if (ops[index].type !== 'equal') {
+      pushLines([ops[index]]);
+      index += 1;
+      continue;
+    }
+    let end = index;
+    while (end < ops.length && ops[end].type === 'equal') {
+      end += 1;
+    }
+    const run = ops.slice(index, end);
+    const keepBefore = index === 0 ? 0 : context;
+    const keepAfter = end === ops.length ? 0 : context;
+    // Folding a single line saves nothing; show it instead.
+    if (run.length - keepBefore - keepAfter > 1) {
+      pushLines(run.slice(0, keepBefore));
+      segments.push({ type: 'fold', ops: run.slice(keepBefore, run.length - keepAfter) });
+      pushLines(run.slice(run.length - keepAfter));
+    } else {
+      pushLines(run);
+    }
+    index = end;
+  }
+  return segments;
+}
+
+const DIFF_LANGUAGE_BY_NAME = {
+  dockerfile: 'dockerfile',
+  makefile: 'makefile'
+};
+
+// Returns a highlight.js language name or alias derived from the file name.
+export function guessDiffLanguage(filePath) {
+  const name = String(filePath || '')
+    .split('/')
+    .pop()
+    .toLowerCase();
+  if (DIFF_LANGUAGE_BY_NAME[name]) {
+    return DIFF_LANGUAGE_BY_NAME[name];
+  }
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot + 1) : '';
+}
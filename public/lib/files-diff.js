@@ -0,0 +1,220 @@
+import { buildSideBySideRows, collapseUnchanged, guessDiffLanguage, parseUnifiedDiff } from './files-diff-policy.js';
+
+const DIFF_FOLD_CONTEXT = 3;
+// Per-line highlighting is skipped for very large diffs to keep the phone responsive.
+const DIFF_HIGHLIGHT_MAX_LINES = 4000;
+const DIFF_FULL_CONTEXT = 100000;
+
+function resolveLanguage(filePath) {
+  const hint = guessDiffLanguage(filePath);
+  if (!hint || !window.hljs || typeof window.hljs.getLanguage !== 'function') {
+    return '';
+  }
+  return window.hljs.getLanguage(hint) ? hint : '';
+}
+
+function fillText(textEl, text, language) {
+  if (language) {
+    try {
+      textEl.innerHTML = window.hljs.highlight(text, { language, ignoreIllegals: true }).value;
+      return;
+    } catch {
+      // fall back to plain text
+    }
+  }
+  textEl.textContent = text;
+}
+
+function createCell(className, text) {
+  const cell = document.createElement('span');
+  cell.className = className;
+  cell.textContent = text;
+  return cell;
+}
+
+function createSplitRow(row, language) {
+  const rowEl = document.createElement('div');
+  rowEl.className = `files-diff-row is-${row.type}`;
+  [
+    [row.left, row.type === 'change' ? 'delete' : row.type],
+    [row.right, row.type === 'change' ? 'insert' : row.type]
+  ].forEach(([side, kind]) => {
+    rowEl.appendChild(createCell('files-diff-line', side ? String(side.line) : ''));
+    const textEl = createCell(`files-diff-text${side && kind !== 'equal' ? ` is-${kind}` : ''}`, '');
+    if (side) {
+      fillText(textEl, side.text, language);
+    } else {
+      textEl.classList.add('is-empty');
+    }
+    rowEl.appendChild(textEl);
+  });
+  return rowEl;
+}
+
+function createInlineRow(op, language) {
+  const rowEl = document.createElement('div');
+  rowEl.className = `files-diff-row is-${op.type}`;
+  rowEl.appendChild(createCell('files-diff-line', op.type === 'insert' ? '' : String(op.oldLine)));
+  rowEl.appendChild(createCell('files-diff-line', op.type === 'delete' ? '' : String(op.newLine)));
+  const sign = op.type === 'insert' ? '+' : op.type === 'delete' ? '-' : ' ';
+  rowEl.appendChild(createCell('files-diff-sign', sign));
+  const textEl = createCell(`files-diff-text${op.type === 'equal' ? '' : ` is-${op.type}`}`, '');
+  fillText(textEl, op.text, language);
+  rowEl.appendChild(textEl);
+  return rowEl;
+}
+
+function appendRows(target, ops, mode, language) {
+  if (mode === 'inline') {
+    ops.forEach((op) => target.appendChild(createInlineRow(op, language)));
+    return;
+  }
+  buildSideBySideRows(ops).forEach((row) => target.appendChild(createSplitRow(row, language)));
+}
+
+// Renders line ops (see files-diff-policy.js) into `container`, folding long unchanged runs behind
+// buttons that expand in place.
+export function renderDiffInto(container, ops, options = {}) {
+  const mode = options.mode === 'inline' ? 'inline' : 'split';
+  const language = ops.length <= DIFF_HIGHLIGHT_MAX_LINES && options.path ? resolveLanguage(options.path) : '';
+  container.classList.toggle('is-inline', mode === 'inline');
+  const fragment = document.createDocumentFragment();
+  if (mode === 'split' && Array.isArray(options.labels)) {
+    const header = document.createElement('div');
+    header.className = 'files-diff-header';
+    header.appendChild(createCell('', ''));
+    header.appendChild(createCell('', options.labels[0] || ''));
+    header.appendChild(createCell('', ''));
+    header.appendChild(createCell('', options.labels[1] || ''));
+    fragment.appendChild(header);
+  }
+  collapseUnchanged(ops, DIFF_FOLD_CONTEXT).forEach((segment) => {
+    if (segment.type === 'lines') {
+      appendRows(fragment, segment.ops, mode, language);
+      return;
+    }
+    const foldBtn = document.createElement('button');
+    foldBtn.type = 'button';
+    foldBtn.className = 'files-diff-fold';
+    foldBtn.textContent = `⋯ 展开 ${segment.ops.length} 行未变更`;
+    foldBtn.addEventListener('click', () => {
+      const rows = document.createDocumentFragment();
+      appendRows(rows, segment.ops, mode, language);
+      foldBtn.replaceWith(rows);
+    });
+    fragment.appendChild(foldBtn);
+  });
+  container.replaceChildren(fragment);
+}
+
+export function createFilesDiffViewer({ toast, fetchJson }) {
+  let dialogEl = null;
+  let titleEl = null;
+  let statsEl = null;
+  let modeBtn = null;
+  let bodyEl = null;
+  let current = null;
+  let mode = '';
+
+  function resolveMode() {
+    if (!mode) {
+      mode = window.matchMedia && window.matchMedia('(min-width: 720px)').matches ? 'split' : 'inline';
+    }
+    return mode;
+  }
+
+  function render() {
+    if (!current) {
+      return;
+    }
+    const { payload, ops } = current;
+    modeBtn.textContent = resolveMode() === 'split' ? '行内' : '并排';
+    modeBtn.hidden = ops.length === 0;
+    statsEl.textContent = payload.binary ? '' : `+${payload.added} -${payload.removed}`;
+    if (payload.binary || payload.identical) {
+      const message = document.createElement('p');
+      message.className = 'files-diff-message';
+      message.textContent = payload.binary
+        ? payload.identical
+          ? '二进制文件，内容相同'
+          : '二进制文件已变更，无法逐行对比'
+        : '没有差异';
+      bodyEl.classList.remove('is-inline');
+      bodyEl.replaceChildren(message);
+      return;
+    }
+    const oldLabel = payload.oldExists ? payload.against || 'HEAD' : '(不存在)';
+    const newLabel = payload.newExists ? payload.path : '(已删除)';
+    renderDiffInto(bodyEl, ops, { mode: resolveMode(), path: payload.path, labels: [oldLabel, newLabel] });
+  }
+
+  function ensureDialog() {
+    if (dialogEl) {
+      return dialogEl;
+    }
+    dialogEl = document.createElement('dialog');
+    dialogEl.className = 'file-dialog files-diff-dialog';
+    dialogEl.innerHTML = `
+      <div class="file-dialog-header">
+        <span class="file-dialog-title" data-role="title"></span>
+        <div class="file-dialog-actions">
+          <span class="files-diff-stats" data-role="stats"></span>
+          <button type="button" class="btn btn-sm" data-diff-action="mode"></button>
+          <button type="button" class="btn btn-sm" data-diff-action="close" aria-label="关闭">✕</button>
+        </div>
+      </div>
+      <div class="file-dialog-body">
+        <div class="files-diff" data-role="body"></div>
+      </div>
+    `;
+    document.body.appendChild(dialogEl);
+    titleEl = dialogEl.querySelector('[data-role="title"]');
+    statsEl = dialogEl.querySelector('[data-role="stats"]');
+    modeBtn = dialogEl.querySelector('[data-diff-action="mode"]');
+    bodyEl = dialogEl.querySelector('[data-role="body"]');
+    modeBtn.addEventListener('click', () => {
+      mode = resolveMode() === 'split' ? 'inline' : 'split';
+      render();
+    });
+    dialogEl.querySelector('[data-diff-action="close"]').addEventListener('click', () => {
+      dialogEl.close();
+    });
+    dialogEl.addEventListener('click', (event) => {
+      if (event.target === dialogEl) {
+        dialogEl.close();
+      }
+    });
+    dialogEl.addEventListener('close', () => {
+      current = null;
+      bodyEl.replaceChildren();
+    });
+    return dialogEl;
+  }
+
+  return {
+    // Shows `path` against another file (`against`) or against its git HEAD version.
+    async open({ path, against }) {
+      const query = { path, context: String(DIFF_FULL_CONTEXT) };
+      if (against) {
+        query.against = against;
+      } else {
+        query.base = 'head';
+      }
+      let payload;
+      try {
+        payload = await fetchJson('/api/fs/diff', { query });
+      } catch (error) {
+        toast.show(`对比失败: ${error.message}`, 'danger');
+        return;
+      }
+      const dialog = ensureDialog();
+      const ops = parseUnifiedDiff(payload.diff || '').flatMap((hunk) => hunk.ops);
+      current = { payload, ops };
+      titleEl.textContent = `${payload.against || 'HEAD'} → ${payload.path}`;
+      render();
+      if (!dialog.open) {
+        dialog.showModal();
+      }
+    }
+  };
+}
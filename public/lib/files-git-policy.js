@@ -0,0 +1,107 @@
+const GIT_CODE_KINDS = {
+  A: 'added',
+  M: 'modified',
+  T: 'modified',
+  D: 'deleted',
+  R: 'renamed',
+  C: 'renamed'
+};
+
+const GIT_KIND_LABELS = {
+  added: '新增',
+  modified: '修改',
+  deleted: '删除',
+  renamed: '重命名',
+  untracked: '未跟踪',
+  conflicted: '冲突'
+};
+
+function codeKind(code) {
+  return GIT_CODE_KINDS[code] || 'modified';
+}
+
+// Badge for one `/api/git/status` entry. The working tree change wins over the staged one because
+// that is what the file on disk looks like.
+export function describeGitEntry(entry) {
+  if (entry.conflicted) {
+    return { code: 'U', kind: 'conflicted', label: GIT_KIND_LABELS.conflicted };
+  }
+  if (entry.untracked) {
+    return { code: '?', kind: 'untracked', label: GIT_KIND_LABELS.untracked };
+  }
+  const code = entry.unstaged ? entry.worktree : entry.index;
+  const kind = codeKind(code);
+  const parts = [];
+  if (entry.staged) {
+    parts.push(`已暂存${GIT_KIND_LABELS[codeKind(entry.index)]}`);
+  }
+  if (entry.unstaged) {
+    parts.push(`未暂存${GIT_KIND_LABELS[codeKind(entry.worktree)]}`);
+  }
+  return { code, kind, label: parts.join('，') };
+}
+
+function childPath(dirPath, entryPath) {
+  if (!dirPath || dirPath === '.') {
+    return entryPath;
+  }
+  const prefix = `${dirPath}/`;
+  return entryPath.startsWith(prefix) ? entryPath.slice(prefix.length) : null;
+}
+
+// Maps the paths of the direct children of `dirPath` to badges. Changes further down are rolled up
+// onto the child directory that contains them.
+export function buildGitBadgeIndex(entries, dirPath) {
+  const index = new Map();
+  (Array.isArray(entries) ? entries : []).forEach((entry) => {
+    const relative = childPath(dirPath, entry.path);
+    if (!relative) {
+      return;
+    }
+    const slash = relative.indexOf('/');
+    const prefix = dirPath && dirPath !== '.' ? `${dirPath}/` : '';
+    if (slash === -1) {
+      index.set(`${prefix}${relative}`, describeGitEntry(entry));
+      return;
+    }
+    const childKey = `${prefix}${relative.slice(0, slash)}`;
+    const existing = index.get(childKey);
+    if (existing && existing.kind === 'conflicted') {
+      return;
+    }
+    const count = existing && existing.kind === 'nested' ? existing.count + 1 : 1;
+    index.set(
+      childKey,
+      entry.conflicted
+        ? { code: '•', kind: 'conflicted', label: '包含冲突文件' }
+        : { code: '•', kind: 'nested', count, label: `包含 ${count} 项变更` }
+    );
+  });
+  return index;
+}
+
+export function formatGitBranch(status) {
+  if (!status || !status.repo) {
+    return '';
+  }
+  const name = status.branch || (status.head ? `(分离) ${status.head.slice(0, 7)}` : '(无提交)');
+  const parts = [name];
+  if (status.ahead > 0) {
+    parts.push(`↑${status.ahead}`);
+  }
+  if (status.behind > 0) {
+    parts.push(`↓${status.behind}`);
+  }
+  if (status.stashes > 0) {
+    parts.push(`stash ${status.stashes}`);
+  }
+  return parts.join(' ');
+}
+
+export function splitGitEntries(entries) {
+  const list = Array.isArray(entries) ? entries : [];
+  return {
+    staged: list.filter((entry) => entry.staged),
+    unstaged: list.filter((entry) => entry.unstaged || entry.conflicted)
+  };
+}
@@ -0,0 +1,291 @@
+import { DOM } from './state.js';
+import { buildGitBadgeIndex, describeGitEntry, formatGitBranch, splitGitEntries } from './files-git-policy.js';
+
+export function createFilesGit({
+  toast,
+  fetchJson,
+  isReadonly,
+  getCurrentPath,
+  openDiff,
+  onStatusLoaded,
+  onWorktreeChanged,
+  onVisibilityChange
+}) {
+  let status = null;
+  let statusPath = '';
+  let badges = new Map();
+  let loading = false;
+  let busy = false;
+  let requestId = 0;
+
+  function isOpen() {
+    return !!DOM.filesGitPanel && !DOM.filesGitPanel.hidden;
+  }
+
+  function createButton(label, action) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn';
+    button.dataset.action = action;
+    button.textContent = label;
+    button.disabled = busy;
+    return button;
+  }
+
+  function createSection(title, list, bulkAction, bulkLabel, readonly) {
+    const fragment = document.createDocumentFragment();
+    const header = document.createElement('div');
+    header.className = 'files-git-section';
+    const titleEl = document.createElement('span');
+    titleEl.textContent = `${title} ${list.length}`;
+    header.appendChild(titleEl);
+    if (!readonly && list.length > 0) {
+      header.appendChild(createButton(bulkLabel, bulkAction));
+    }
+    fragment.appendChild(header);
+    list.forEach((entry) => {
+      const badge = describeGitEntry(entry);
+      const row = document.createElement('div');
+      row.className = 'files-git-item';
+      row.dataset.path = entry.path;
+      const code = document.createElement('span');
+      code.className = `files-git-badge is-${badge.kind}`;
+      code.textContent = bulkAction === 'unstage-all' ? entry.index : badge.code;
+      code.title = badge.label;
+      row.appendChild(code);
+      const name = document.createElement('span');
+      name.className = 'files-git-item-path';
+      name.textContent = entry.origPath ? `${entry.origPath} → ${entry.path}` : entry.path;
+      name.title = badge.label;
+      row.appendChild(name);
+      if (!entry.directory) {
+        row.appendChild(createButton('差异', 'diff'));
+      }
+      if (!readonly) {
+        row.appendChild(
+          bulkAction === 'unstage-all' ? createButton('取消暂存', 'unstage') : createButton('暂存', 'stage')
+        );
+      }
+      fragment.appendChild(row);
+    });
+    return fragment;
+  }
+
+  function render() {
+    if (!DOM.filesGitPanel || DOM.filesGitPanel.hidden) {
+      return;
+    }
+    const readonly = isReadonly();
+    DOM.filesGitCommitForm.hidden = readonly || !status || !status.repo;
+    DOM.filesGitCommitBtn.disabled = busy;
+    DOM.filesGitStashBtn.disabled = busy;
+    DOM.filesGitStashPopBtn.disabled = busy || !status || !status.stashes;
+    if (loading && !status) {
+      DOM.filesGitSummary.textContent = '读取中...';
+      DOM.filesGitList.replaceChildren();
+      return;
+    }
+    if (!status || !status.repo) {
+      DOM.filesGitSummary.textContent = 'Git';
+      const empty = document.createElement('p');
+      empty.className = 'files-empty';
+      empty.textContent = '当前目录不在 Git 仓库中';
+      DOM.filesGitList.replaceChildren(empty);
+      return;
+    }
+    DOM.filesGitSummary.textContent = formatGitBranch(status);
+    DOM.filesGitSummary.title = status.root ? `仓库: ${status.root}` : '仓库位于文件根目录之外';
+    const { staged, unstaged } = splitGitEntries(status.entries);
+    const fragment = document.createDocumentFragment();
+    if (staged.length === 0 && unstaged.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'files-empty';
+      empty.textContent = '工作区干净';
+      fragment.appendChild(empty);
+    } else {
+      fragment.appendChild(createSection('已暂存', staged, 'unstage-all', '全部取消', readonly));
+      fragment.appendChild(createSection('未暂存', unstaged, 'stage-all', '全部暂存', readonly));
+    }
+    DOM.filesGitList.replaceChildren(fragment);
+  }
+
+  // Reloads status for the directory shown in the file list; the badges follow it.
+  async function load(dirPath = getCurrentPath()) {
+    const currentRequest = ++requestId;
+    loading = true;
+    if (statusPath !== dirPath) {
+      status = null;
+      badges = new Map();
+    }
+    render();
+    try {
+      const payload = await fetchJson('/api/git/status', { query: { path: dirPath } });
+      if (currentRequest !== requestId) {
+        return;
+      }
+      status = payload;
+      statusPath = dirPath;
+      badges = payload && payload.repo ? buildGitBadgeIndex(payload.entries, dirPath) : new Map();
+    } catch {
+      if (currentRequest !== requestId) {
+        return;
+      }
+      // Badges are decoration; a failed status call just hides them.
+      status = null;
+      badges = new Map();
+    } finally {
+      if (currentRequest === requestId) {
+        loading = false;
+        render();
+        onStatusLoaded();
+      }
+    }
+  }
+
+  async function runAction(pathname, body, successMessage) {
+    busy = true;
+    render();
+    try {
+      const payload = await fetchJson(pathname, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ path: getCurrentPath(), ...body })
+      });
+      if (successMessage) {
+        toast.show(typeof successMessage === 'function' ? successMessage(payload) : successMessage, 'success');
+      }
+      return true;
+    } catch (error) {
+      toast.show(`Git 操作失败: ${error.message}`, 'danger');
+      return false;
+    } finally {
+      busy = false;
+      render();
+    }
+  }
+
+  async function setStaged(paths, staged) {
+    if (paths.length === 0) {
+      return;
+    }
+    await runAction(staged ? '/api/git/stage' : '/api/git/unstage', { paths });
+    await load();
+  }
+
+  async function commit() {
+    const message = DOM.filesGitMessage.value.trim();
+    if (!message) {
+      toast.show('请输入提交说明', 'warn');
+      DOM.filesGitMessage.focus();
+      return;
+    }
+    if (!status || !status.entries.some((entry) => entry.staged)) {
+      toast.show('没有已暂存的变更', 'warn');
+      return;
+    }
+    const ok = await runAction('/api/git/commit', { message }, (payload) => {
+      return `已提交 ${String(payload && payload.commit ? payload.commit : '').slice(0, 7)}`;
+    });
+    if (ok) {
+      DOM.filesGitMessage.value = '';
+    }
+    await load();
+  }
+
+  async function stash(action) {
+    if (action === 'pop' && !window.confirm('恢复最近一次储藏到工作区？')) {
+      return;
+    }
+    const ok = await runAction(
+      '/api/git/stash',
+      { action, includeUntracked: action === 'push' },
+      action === 'push' ? '已储藏当前变更' : '已恢复储藏'
+    );
+    // Stashing rewrites files on disk, so the listing is reloaded too (which reloads status).
+    if (ok) {
+      onWorktreeChanged();
+    } else {
+      await load();
+    }
+  }
+
+  function setOpen(open) {
+    if (!DOM.filesGitPanel) {
+      return;
+    }
+    DOM.filesGitPanel.hidden = !open;
+    DOM.filesGitBtn.classList.toggle('is-active', open);
+    DOM.filesGitBtn.setAttribute('aria-pressed', open ? 'true' : 'false');
+    onVisibilityChange(open);
+    if (open) {
+      void load();
+    }
+  }
+
+  return {
+    init() {
+      if (!DOM.filesGitPanel || !DOM.filesGitBtn) {
+        return;
+      }
+      DOM.filesGitBtn.addEventListener('click', () => {
+        setOpen(!isOpen());
+      });
+      DOM.filesGitCloseBtn.addEventListener('click', () => {
+        setOpen(false);
+      });
+      DOM.filesGitCommitForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        void commit();
+      });
+      DOM.filesGitStashBtn.addEventListener('click', () => {
+        void stash('push');
+      });
+      DOM.filesGitStashPopBtn.addEventListener('click', () => {
+        void stash('pop');
+      });
+      DOM.filesGitList.addEventListener('click', (event) => {
+        const button = event.target instanceof Element ? event.target.closest('[data-action]') : null;
+        if (!button || busy || !status || !status.repo) {
+          return;
+        }
+        const { staged, unstaged } = splitGitEntries(status.entries);
+        const row = button.closest('.files-git-item');
+        const entryPath = row ? row.dataset.path : '';
+        // Unstaging a rename has to reset both sides or the old path stays staged as a delete.
+        const unstagePaths = (list) =>
+          list.flatMap((entry) => (entry.origPath ? [entry.path, entry.origPath] : [entry.path]));
+        switch (button.dataset.action) {
+          case 'diff':
+            void openDiff(entryPath);
+            break;
+          case 'stage':
+            void setStaged([entryPath], true);
+            break;
+          case 'unstage':
+            void setStaged(unstagePaths(staged.filter((entry) => entry.path === entryPath)), false);
+            break;
+          case 'stage-all':
+            void setStaged(unstaged.map((entry) => entry.path), true);
+            break;
+          case 'unstage-all':
+            void setStaged(unstagePaths(staged), false);
+            break;
+          default:
+            break;
+        }
+      });
+    },
+    load,
+    isOpen,
+    close() {
+      if (isOpen()) {
+        setOpen(false);
+      }
+    },
+    badgeFor(entryPath) {
+      return statusPath === getCurrentPath() ? badges.get(entryPath) || null : null;
+    }
+  };
+}
@@ -0,0 +1,72 @@
+const PERMISSION_TRIPLETS = [
+  [0o400, 0o200, 0o100, 0o4000, 's'],
+  [0o040, 0o020, 0o010, 0o2000, 's'],
+  [0o004, 0o002, 0o001, 0o1000, 't']
+];
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// `/api/fs/list` reports modes as four octal digits ("0755"); null when the entry could not be read.
+export function parseOctalMode(mode) {
+  if (typeof mode !== 'string' || !/^[0-7]{3,4}$/.test(mode)) {
+    return null;
+  }
+  return Number.parseInt(mode, 8);
+}
+
+export function formatOctalMode(mode) {
+  return (mode & 0o7777).toString(8).padStart(4, '0');
+}
+
+// `ls -l` style, e.g. "drwxr-xr-x"; special bits show as s/S and t/T.
+export function formatPermissionString(mode, type) {
+  const kind = type === 'dir' ? 'd' : type === 'file' ? '-' : '?';
+  const triplets = PERMISSION_TRIPLETS.map(([read, write, exec, special, specialChar]) => {
+    const executable = (mode & exec) !== 0;
+    let last = executable ? 'x' : '-';
+    if (mode & special) {
+      last = executable ? specialChar : specialChar.toUpperCase();
+    }
+    return `${mode & read ? 'r' : '-'}${mode & write ? 'w' : '-'}${last}`;
+  });
+  return `${kind}${triplets.join('')}`;
+}
+
+export function isExecutableMode(mode) {
+  return (mode & 0o111) !== 0;
+}
+
+// Like `chmod +x`/`chmod -x`: execute is granted to whoever can read the file.
+export function toggleExecutableMode(mode, executable) {
+  if (!executable) {
+    return mode & ~0o111;
+  }
+  const readable = (mode & 0o444) >> 2;
+  return mode | (readable || 0o100);
+}
+
+export function formatOwnerLabel(name, id) {
+  if (id === null || id === undefined) {
+    return '-';
+  }
+  return name ? `${name} (${id})` : String(id);
+}
+
+export function formatPropsTimestamp(ms) {
+  if (!Number.isFinite(ms) || ms <= 0) {
+    return '-';
+  }
+  const date = new Date(ms);
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  return `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+export function describeEntryKind(entry) {
+  const kind = entry.type === 'dir' ? '目录' : entry.type === 'file' ? '文件' : '其他';
+  if (!entry.symlink) {
+    return kind;
+  }
+  return entry.type === 'other' ? '符号链接（目标不存在）' : `符号链接 → ${kind}`;
+}
@@ -0,0 +1,206 @@
+import {
+  describeEntryKind,
+  formatOctalMode,
+  formatOwnerLabel,
+  formatPermissionString,
+  formatPropsTimestamp,
+  isExecutableMode,
+  parseOctalMode,
+  toggleExecutableMode
+} from './files-props-policy.js';
+
+// Properties sheet opened from the file context menu; chmod and symlink creation need an admin token.
+export function createFilesProps({ toast, fetchJson, isReadonly, formatBytes, onChanged }) {
+  let dialogEl = null;
+  let titleEl = null;
+  let listEl = null;
+  let execLabelEl = null;
+  let execInput = null;
+  let chmodBtn = null;
+  let symlinkBtn = null;
+  let entry = null;
+  let busy = false;
+
+  function describeError(error) {
+    const denied = error && error.payload && error.payload.reason === 'insufficient_scope';
+    return denied ? '只读模式不可写' : error.message;
+  }
+
+  function appendRow(fragment, label, value) {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const detail = document.createElement('dd');
+    detail.textContent = value;
+    detail.title = value;
+    fragment.append(term, detail);
+  }
+
+  function render() {
+    if (!entry) {
+      return;
+    }
+    const mode = parseOctalMode(entry.mode);
+    titleEl.textContent = entry.name;
+    const fragment = document.createDocumentFragment();
+    appendRow(fragment, '路径', entry.absPath || entry.path);
+    appendRow(fragment, '类型', describeEntryKind(entry));
+    if (entry.symlink) {
+      appendRow(fragment, '链接目标', entry.linkTarget || '-');
+    }
+    if (entry.type === 'file') {
+      appendRow(fragment, '大小', `${formatBytes(entry.size)} (${entry.size} B)`);
+    }
+    const permissions = mode === null ? '-' : `${formatOctalMode(mode)}  ${formatPermissionString(mode, entry.type)}`;
+    appendRow(fragment, '权限', permissions);
+    appendRow(fragment, '所有者', formatOwnerLabel(entry.owner, entry.uid));
+    appendRow(fragment, '用户组', formatOwnerLabel(entry.group, entry.gid));
+    appendRow(fragment, '修改时间', formatPropsTimestamp(entry.mtimeMs));
+    appendRow(fragment, '访问时间', formatPropsTimestamp(entry.atimeMs));
+    appendRow(fragment, '状态变更', formatPropsTimestamp(entry.ctimeMs));
+    appendRow(fragment, '创建时间', formatPropsTimestamp(entry.birthtimeMs));
+    listEl.replaceChildren(fragment);
+
+    const writable = !isReadonly() && mode !== null && entry.type !== 'other';
+    execLabelEl.hidden = !writable || entry.type !== 'file';
+    execInput.checked = mode !== null && isExecutableMode(mode);
+    execInput.disabled = busy;
+    chmodBtn.hidden = !writable;
+    chmodBtn.disabled = busy;
+    symlinkBtn.hidden = isReadonly() || entry.type === 'other';
+    symlinkBtn.disabled = busy;
+  }
+
+  async function applyMode(nextMode) {
+    busy = true;
+    render();
+    try {
+      const payload = await fetchJson('/api/fs/chmod', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ path: entry.path, mode: formatOctalMode(nextMode) })
+      });
+      if (entry) {
+        entry = { ...entry, mode: payload.mode };
+      }
+      toast.show(`权限已更新为 ${payload.mode}`, 'success');
+      onChanged();
+    } catch (error) {
+      toast.show(`修改权限失败: ${describeError(error)}`, 'danger');
+    } finally {
+      busy = false;
+      render();
+    }
+  }
+
+  function promptMode() {
+    const current = parseOctalMode(entry.mode);
+    const suggestion = current === null ? '' : formatOctalMode(current).replace(/^0/, '');
+    const raw = window.prompt('输入八进制权限（如 644、755）', suggestion);
+    if (raw === null) {
+      return;
+    }
+    const nextMode = parseOctalMode(raw.trim());
+    if (nextMode === null) {
+      toast.show('权限格式无效', 'warn');
+      return;
+    }
+    void applyMode(nextMode);
+  }
+
+  async function createSymlink() {
+    const raw = window.prompt('输入链接路径（相对文件根目录）', `${entry.path}-link`);
+    if (raw === null || !raw.trim()) {
+      return;
+    }
+    busy = true;
+    render();
+    try {
+      const payload = await fetchJson('/api/fs/symlink', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ path: raw.trim(), target: entry.path })
+      });
+      toast.show(`已创建链接 ${payload.path}`, 'success');
+      onChanged();
+    } catch (error) {
+      toast.show(`创建链接失败: ${describeError(error)}`, 'danger');
+    } finally {
+      busy = false;
+      render();
+    }
+  }
+
+  function ensureDialog() {
+    if (dialogEl) {
+      return dialogEl;
+    }
+    dialogEl = document.createElement('dialog');
+    dialogEl.className = 'file-dialog files-props-dialog';
+    dialogEl.innerHTML = `
+      <div class="file-dialog-header">
+        <span class="file-dialog-title" data-role="title"></span>
+      </div>
+      <div class="file-dialog-body files-props-body">
+        <dl class="files-props-list" data-role="list"></dl>
+        <label class="files-props-exec" data-role="exec-label">
+          <input type="checkbox" data-role="exec" />
+          <span>可执行</span>
+        </label>
+        <div class="files-props-footer">
+          <button type="button" class="btn btn-sm" data-props-action="chmod">修改权限...</button>
+          <button type="button" class="btn btn-sm" data-props-action="symlink">创建链接...</button>
+          <button type="button" class="btn btn-sm" data-props-action="close">关闭</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(dialogEl);
+    titleEl = dialogEl.querySelector('[data-role="title"]');
+    listEl = dialogEl.querySelector('[data-role="list"]');
+    execLabelEl = dialogEl.querySelector('[data-role="exec-label"]');
+    execInput = dialogEl.querySelector('[data-role="exec"]');
+    chmodBtn = dialogEl.querySelector('[data-props-action="chmod"]');
+    symlinkBtn = dialogEl.querySelector('[data-props-action="symlink"]');
+
+    dialogEl.addEventListener('close', () => {
+      entry = null;
+    });
+    execInput.addEventListener('change', () => {
+      const mode = parseOctalMode(entry && entry.mode);
+      if (mode === null || busy) {
+        return;
+      }
+      void applyMode(toggleExecutableMode(mode, execInput.checked));
+    });
+    dialogEl.addEventListener('click', (event) => {
+      const button = event.target instanceof Element ? event.target.closest('[data-props-action]') : null;
+      if (!button || !entry || busy) {
+        return;
+      }
+      const action = button.dataset.propsAction;
+      if (action === 'chmod') {
+        promptMode();
+      } else if (action === 'symlink') {
+        void createSymlink();
+      } else {
+        dialogEl.close();
+      }
+    });
+    return dialogEl;
+  }
+
+  return {
+    open(target) {
+      const dialog = ensureDialog();
+      entry = { ...target };
+      busy = false;
+      render();
+      if (!dialog.open) {
+        dialog.showModal();
+      }
+    }
+  };
+}
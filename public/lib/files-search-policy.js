@@ -0,0 +1,89 @@
+// Splits a streamed NDJSON chunk into parsed events, carrying the unterminated tail over to the next chunk.
+export function parseNdjsonChunk(pending, chunk) {
+  const lines = `${pending || ''}${chunk || ''}`.split('\n');
+  const rest = lines.pop() || '';
+  const events = [];
+  lines.forEach((line) => {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      return;
+    }
+    try {
+      const parsed = JSON.parse(trimmed);
+      if (parsed && typeof parsed === 'object' && typeof parsed.type === 'string') {
+        events.push(parsed);
+      }
+    } catch {
+      // A malformed line only loses that one result.
+    }
+  });
+  return { events, rest };
+}
+
+// Groups streamed `file`/`match` events per path, keeping the order in which paths first appeared.
+export function groupSearchResults(events) {
+  const groups = [];
+  const byPath = new Map();
+  events.forEach((event) => {
+    if (!event || (event.type !== 'file' && event.type !== 'match') || typeof event.path !== 'string') {
+      return;
+    }
+    let group = byPath.get(event.path);
+    if (!group) {
+      group = { path: event.path, size: null, matches: [] };
+      byPath.set(event.path, group);
+      groups.push(group);
+    }
+    if (event.type === 'file') {
+      group.size = Number(event.size) || 0;
+    } else {
+      group.matches.push({
+        line: event.line,
+        column: event.column,
+        length: event.length,
+        preview: event.preview || ''
+      });
+    }
+  });
+  return groups;
+}
+
+export function describeSearchSummary(done, root) {
+  if (!done) {
+    return '';
+  }
+  const where = root && root !== '.' ? `在 ${root} 中 ` : '';
+  const parts = [`${where}${done.matches} 条结果，扫描 ${done.files} 个文件`];
+  if (done.truncated) {
+    parts.push('已达上限');
+  }
+  if (done.cancelled) {
+    parts.push('已取消');
+  }
+  const skipped = done.skipped || {};
+  if (skipped.binary > 0) {
+    parts.push(`跳过二进制 ${skipped.binary}`);
+  }
+  if (skipped.large > 0) {
+    parts.push(`跳过大文件 ${skipped.large}`);
+  }
+  return parts.join('，');
+}
+
+// Character range of a 1-based line, without its line break.
+export function findLineRange(text, line) {
+  if (typeof text !== 'string' || !Number.isInteger(line) || line < 1) {
+    return null;
+  }
+  let start = 0;
+  for (let current = 1; current < line; current += 1) {
+    const newline = text.indexOf('\n', start);
+    if (newline < 0) {
+      return null;
+    }
+    start = newline + 1;
+  }
+  const newline = text.indexOf('\n', start);
+  const end = newline < 0 ? text.length : newline;
+  return { start, end: end > start && text[end - 1] === '\r' ? end - 1 : end };
+}
@@ -0,0 +1,227 @@
+import { DOM, apiUrl, authedFetch } from './state.js';
+import { describeSearchSummary, groupSearchResults, parseNdjsonChunk } from './files-search-policy.js';
+
+async function readErrorMessage(response) {
+  try {
+    const payload = await response.json();
+    return payload && payload.error ? payload.error : `HTTP ${response.status}`;
+  } catch {
+    return `HTTP ${response.status}`;
+  }
+}
+
+function formatSize(size) {
+  if (size < 1024) {
+    return `${size} B`;
+  }
+  if (size < 1024 * 1024) {
+    return `${(size / 1024).toFixed(1)} KB`;
+  }
+  return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export function createFilesSearch({ toast, getCurrentPath, openFile, onVisibilityChange }) {
+  let events = [];
+  let summary = '';
+  let active = null;
+  let renderFrame = 0;
+
+  function isOpen() {
+    return !!DOM.filesSearchPanel && !DOM.filesSearchPanel.hidden;
+  }
+
+  function render() {
+    renderFrame = 0;
+    if (!DOM.filesSearchResults) {
+      return;
+    }
+    DOM.filesSearchSubmitBtn.textContent = active ? '取消' : '搜索';
+    const matchCount = events.filter((event) => event.type === 'file' || event.type === 'match').length;
+    DOM.filesSearchSummary.textContent = active ? `搜索中... ${matchCount} 条` : summary;
+
+    const fragment = document.createDocumentFragment();
+    groupSearchResults(events).forEach((group) => {
+      const header = document.createElement('button');
+      header.type = 'button';
+      header.className = 'files-search-file';
+      header.dataset.path = group.path;
+      const name = document.createElement('span');
+      name.className = 'files-search-file-path';
+      name.textContent = group.path;
+      header.appendChild(name);
+      const meta = document.createElement('span');
+      meta.className = 'files-search-file-meta';
+      meta.textContent = group.matches.length > 0 ? String(group.matches.length) : formatSize(group.size || 0);
+      header.appendChild(meta);
+      fragment.appendChild(header);
+
+      group.matches.forEach((match) => {
+        const row = document.createElement('button');
+        row.type = 'button';
+        row.className = 'files-search-hit';
+        row.dataset.path = group.path;
+        row.dataset.line = String(match.line);
+        const line = document.createElement('span');
+        line.className = 'files-search-hit-line';
+        line.textContent = String(match.line);
+        const preview = document.createElement('span');
+        preview.className = 'files-search-hit-preview';
+        preview.textContent = match.preview.trim();
+        row.appendChild(line);
+        row.appendChild(preview);
+        fragment.appendChild(row);
+      });
+    });
+    DOM.filesSearchResults.replaceChildren(fragment);
+  }
+
+  function scheduleRender() {
+    if (!renderFrame) {
+      renderFrame = window.requestAnimationFrame(render);
+    }
+  }
+
+  function handleEvent(event, search) {
+    if (event.type === 'start') {
+      search.token = typeof event.token === 'string' ? event.token : '';
+      search.root = typeof event.path === 'string' ? event.path : '';
+      return;
+    }
+    if (event.type === 'done') {
+      summary = describeSearchSummary(event, search.root);
+      return;
+    }
+    if (event.type === 'error') {
+      summary = `搜索失败: ${event.error || 'unknown'}`;
+      return;
+    }
+    events.push(event);
+  }
+
+  async function run() {
+    const name = DOM.filesSearchName.value.trim();
+    const query = DOM.filesSearchContent.value;
+    if (!name && !query) {
+      toast.show('请输入文件名模式或搜索内容', 'warn');
+      return;
+    }
+    const url = new URL(apiUrl('/api/fs/search'));
+    url.searchParams.set('path', getCurrentPath() || '.');
+    if (name) {
+      url.searchParams.set('name', name);
+    }
+    if (query) {
+      url.searchParams.set('q', query);
+    }
+    url.searchParams.set('regex', DOM.filesSearchRegex.checked ? '1' : '0');
+    url.searchParams.set('case', DOM.filesSearchCase.checked ? '1' : '0');
+    url.searchParams.set('gitignore', DOM.filesSearchGitignore.checked ? '1' : '0');
+
+    const search = { controller: new AbortController(), token: '', root: '' };
+    active = search;
+    events = [];
+    summary = '';
+    render();
+    try {
+      const response = await authedFetch(url.toString(), { signal: search.controller.signal });
+      if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+      }
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let pending = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        const parsed = parseNdjsonChunk(pending, done ? decoder.decode() : decoder.decode(value, { stream: true }));
+        pending = parsed.rest;
+        parsed.events.forEach((event) => handleEvent(event, search));
+        scheduleRender();
+        if (done) {
+          break;
+        }
+      }
+    } catch (error) {
+      if (!(error instanceof DOMException && error.name === 'AbortError')) {
+        summary = `搜索失败: ${error instanceof Error ? error.message : 'unknown'}`;
+      } else if (!summary) {
+        summary = '已取消';
+      }
+    } finally {
+      if (active === search) {
+        active = null;
+      }
+      render();
+    }
+  }
+
+  // With a token the server stops walking and still reports what it found; before the token
+  // arrives the request itself is dropped.
+  function cancel() {
+    if (!active) {
+      return;
+    }
+    const search = active;
+    if (!search.token) {
+      search.controller.abort();
+      return;
+    }
+    void authedFetch(apiUrl(`/api/fs/search/${encodeURIComponent(search.token)}`), { method: 'DELETE' }).catch(() => {
+      search.controller.abort();
+    });
+  }
+
+  function setOpen(open) {
+    if (!DOM.filesSearchPanel) {
+      return;
+    }
+    if (!open) {
+      cancel();
+    }
+    DOM.filesSearchPanel.hidden = !open;
+    DOM.filesDeepSearchBtn.classList.toggle('is-active', open);
+    DOM.filesDeepSearchBtn.setAttribute('aria-pressed', open ? 'true' : 'false');
+    if (typeof onVisibilityChange === 'function') {
+      onVisibilityChange(open);
+    }
+    if (open) {
+      if (!DOM.filesSearchName.value && DOM.filesSearchInput && DOM.filesSearchInput.value.trim()) {
+        DOM.filesSearchName.value = `*${DOM.filesSearchInput.value.trim()}*`;
+      }
+      render();
+    }
+  }
+
+  return {
+    init() {
+      if (!DOM.filesSearchPanel || !DOM.filesDeepSearchBtn) {
+        return;
+      }
+      DOM.filesDeepSearchBtn.addEventListener('click', () => {
+        setOpen(!isOpen());
+      });
+      DOM.filesSearchCloseBtn.addEventListener('click', () => {
+        setOpen(false);
+      });
+      DOM.filesSearchForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        if (active) {
+          cancel();
+          return;
+        }
+        void run();
+      });
+      DOM.filesSearchResults.addEventListener('click', (event) => {
+        const target = event.target instanceof Element ? event.target.closest('[data-path]') : null;
+        if (!target) {
+          return;
+        }
+        const line = Number.parseInt(target.dataset.line || '', 10);
+        void openFile(target.dataset.path, Number.isInteger(line) ? { line } : {});
+      });
+    },
+    isOpen,
+    close() {
+      setOpen(false);
+    }
+  };
+}
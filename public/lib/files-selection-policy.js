@@ -0,0 +1,61 @@
+// Shell-style patterns matched against entry names: `*` and `?` wildcards, `[abc]` classes,
+// and comma-separated alternatives such as `*.log,*.tmp`. Matching ignores case.
+export function compileSelectionPattern(pattern) {
+  if (typeof pattern !== 'string') {
+    return null;
+  }
+  const alternatives = pattern
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean);
+  if (alternatives.length === 0) {
+    return null;
+  }
+  const sources = alternatives.map((part) => {
+    let source = '';
+    for (let index = 0; index < part.length; index += 1) {
+      const char = part[index];
+      if (char === '*') {
+        source += '.*';
+      } else if (char === '?') {
+        source += '.';
+      } else if (char === '[' && part.indexOf(']', index + 2) > index) {
+        const end = part.indexOf(']', index + 2);
+        const body = part.slice(index + 1, end).replace(/\\/g, '\\\\');
+        source += `[${body.startsWith('!') ? `^${body.slice(1)}` : body}]`;
+        index = end;
+      } else {
+        source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    return source;
+  });
+  try {
+    return new RegExp(`^(?:${sources.join('|')})$`, 'i');
+  } catch {
+    return null;
+  }
+}
+
+export function selectEntriesByPattern(entries, pattern) {
+  const matcher = compileSelectionPattern(pattern);
+  if (!matcher || !Array.isArray(entries)) {
+    return [];
+  }
+  return entries.filter((entry) => entry && typeof entry.name === 'string' && matcher.test(entry.name));
+}
+
+export function isEverySelected(entries, selectedPaths) {
+  return entries.length > 0 && entries.every((entry) => selectedPaths.has(entry.path));
+}
+
+export function summarizeBatchResults(payload) {
+  const results = payload && Array.isArray(payload.results) ? payload.results : [];
+  const failures = results.filter((result) => !result.ok);
+  return {
+    succeeded: results.length - failures.length,
+    failed: failures.length,
+    failedPaths: failures.map((result) => result.path),
+    firstError: failures.length > 0 ? `${failures[0].path}: ${failures[0].error || 'failed'}` : ''
+  };
+}
@@ -0,0 +1,46 @@
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+export function formatTrashDeletedAt(deletedAt, now = new Date()) {
+  const date = new Date(deletedAt);
+  if (Number.isNaN(date.getTime())) {
+    return '';
+  }
+  const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  if (date.toDateString() === now.toDateString()) {
+    return time;
+  }
+  return `${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${time}`;
+}
+
+export function describeTrashExpiry(expiresAt, now = new Date()) {
+  const remaining = Date.parse(expiresAt) - now.getTime();
+  if (!Number.isFinite(remaining)) {
+    return '';
+  }
+  if (remaining >= DAY_MS) {
+    return `${Math.floor(remaining / DAY_MS)} 天后清除`;
+  }
+  if (remaining >= HOUR_MS) {
+    return `${Math.floor(remaining / HOUR_MS)} 小时后清除`;
+  }
+  return '即将清除';
+}
+
+export function describeTrashItem(item, now = new Date()) {
+  const kind = item.type === 'dir' ? '目录' : item.type === 'file' ? '文件' : '其他';
+  const parts = [kind];
+  const deletedAt = formatTrashDeletedAt(item.deletedAt, now);
+  if (deletedAt) {
+    parts.push(`删除于 ${deletedAt}`);
+  }
+  const expiry = describeTrashExpiry(item.expiresAt, now);
+  if (expiry) {
+    parts.push(expiry);
+  }
+  return parts.join(' · ');
+}
@@ -0,0 +1,176 @@
+import { DOM } from './state.js';
+import { describeTrashItem } from './files-trash-policy.js';
+
+export function createFilesTrash({ toast, fetchJson, isReadonly, onRestored, onVisibilityChange }) {
+  let items = [];
+  let loading = false;
+
+  function isOpen() {
+    return !!DOM.filesTrashPanel && !DOM.filesTrashPanel.hidden;
+  }
+
+  function render() {
+    const readonly = isReadonly();
+    DOM.filesTrashEmptyBtn.hidden = readonly;
+    DOM.filesTrashEmptyBtn.disabled = items.length === 0;
+    DOM.filesTrashSummary.textContent = loading ? '读取中...' : `回收站 ${items.length} 项`;
+
+    const now = new Date();
+    const fragment = document.createDocumentFragment();
+    items.forEach((item) => {
+      const row = document.createElement('div');
+      row.className = 'files-trash-item';
+      row.dataset.id = item.id;
+      const name = document.createElement('span');
+      name.className = 'files-trash-item-path';
+      name.textContent = item.path;
+      name.title = item.path;
+      row.appendChild(name);
+      if (!readonly) {
+        const restoreBtn = document.createElement('button');
+        restoreBtn.type = 'button';
+        restoreBtn.className = 'btn';
+        restoreBtn.dataset.action = 'restore';
+        restoreBtn.textContent = '恢复';
+        const purgeBtn = document.createElement('button');
+        purgeBtn.type = 'button';
+        purgeBtn.className = 'btn is-danger';
+        purgeBtn.dataset.action = 'purge';
+        purgeBtn.textContent = '永久删除';
+        row.appendChild(restoreBtn);
+        row.appendChild(purgeBtn);
+      }
+      const meta = document.createElement('span');
+      meta.className = 'files-trash-item-meta';
+      meta.textContent = describeTrashItem(item, now);
+      row.appendChild(meta);
+      fragment.appendChild(row);
+    });
+    if (!loading && items.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'files-empty';
+      empty.textContent = '回收站为空';
+      fragment.appendChild(empty);
+    }
+    DOM.filesTrashList.replaceChildren(fragment);
+  }
+
+  async function refresh() {
+    loading = true;
+    render();
+    try {
+      const payload = await fetchJson('/api/fs/trash');
+      items = payload && Array.isArray(payload.items) ? payload.items : [];
+    } catch (error) {
+      toast.show(`回收站读取失败: ${error.message}`, 'danger');
+    } finally {
+      loading = false;
+      render();
+    }
+  }
+
+  async function restore(item) {
+    let target = item.path;
+    for (;;) {
+      try {
+        const payload = await fetchJson(`/api/fs/trash/${encodeURIComponent(item.id)}/restore`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ to: target })
+        });
+        toast.show(`已恢复: ${payload && payload.path ? payload.path : target}`, 'success');
+        onRestored();
+        break;
+      } catch (error) {
+        if (error.message !== 'target already exists') {
+          toast.show(`恢复失败: ${error.message}`, 'danger');
+          break;
+        }
+        // The original location was reused meanwhile; let the user pick another name.
+        const next = window.prompt(`${target} 已存在，恢复为`, `${target}.restored`);
+        if (next === null || !next.trim()) {
+          break;
+        }
+        target = next.trim();
+      }
+    }
+    await refresh();
+  }
+
+  async function purge(item) {
+    if (!window.confirm(`永久删除 ${item.path}？此操作不可恢复`)) {
+      return;
+    }
+    try {
+      await fetchJson(`/api/fs/trash/${encodeURIComponent(item.id)}`, { method: 'DELETE' });
+      toast.show('已永久删除', 'warn');
+    } catch (error) {
+      toast.show(`永久删除失败: ${error.message}`, 'danger');
+    }
+    await refresh();
+  }
+
+  async function emptyTrash() {
+    if (items.length === 0 || !window.confirm(`清空回收站中的 ${items.length} 项？此操作不可恢复`)) {
+      return;
+    }
+    try {
+      const payload = await fetchJson('/api/fs/trash', { method: 'DELETE' });
+      toast.show(`已清空 ${payload && payload.purged ? payload.purged : 0} 项`, 'warn');
+    } catch (error) {
+      toast.show(`清空失败: ${error.message}`, 'danger');
+    }
+    await refresh();
+  }
+
+  function setOpen(open) {
+    if (!DOM.filesTrashPanel) {
+      return;
+    }
+    DOM.filesTrashPanel.hidden = !open;
+    DOM.filesTrashBtn.classList.toggle('is-active', open);
+    DOM.filesTrashBtn.setAttribute('aria-pressed', open ? 'true' : 'false');
+    onVisibilityChange(open);
+    if (open) {
+      void refresh();
+    }
+  }
+
+  return {
+    init() {
+      if (!DOM.filesTrashPanel || !DOM.filesTrashBtn) {
+        return;
+      }
+      DOM.filesTrashBtn.addEventListener('click', () => {
+        setOpen(!isOpen());
+      });
+      DOM.filesTrashCloseBtn.addEventListener('click', () => {
+        setOpen(false);
+      });
+      DOM.filesTrashEmptyBtn.addEventListener('click', () => {
+        void emptyTrash();
+      });
+      DOM.filesTrashList.addEventListener('click', (event) => {
+        const button = event.target instanceof Element ? event.target.closest('[data-action]') : null;
+        const row = button ? button.closest('.files-trash-item') : null;
+        const item = row ? items.find((candidate) => candidate.id === row.dataset.id) : null;
+        if (!item) {
+          return;
+        }
+        if (button.dataset.action === 'restore') {
+          void restore(item);
+        } else if (button.dataset.action === 'purge') {
+          void purge(item);
+        }
+      });
+    },
+    isOpen,
+    close() {
+      if (isOpen()) {
+        setOpen(false);
+      }
+    }
+  };
+}
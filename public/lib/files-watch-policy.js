@@ -0,0 +1,40 @@
+function parentDir(filePath) {
+  const normalized = String(filePath || '').replace(/\/+$/g, '');
+  const lastSlash = normalized.lastIndexOf('/');
+  return lastSlash < 0 ? '.' : normalized.slice(0, lastSlash) || '.';
+}
+
+function baseName(filePath) {
+  const normalized = String(filePath || '').replace(/\/+$/g, '');
+  return normalized.slice(normalized.lastIndexOf('/') + 1);
+}
+
+// Directories to keep watched: the one listed and the one holding the file open in the editor.
+export function resolveWatchTargets({ listPath, editorPath }) {
+  const targets = [];
+  if (listPath) {
+    targets.push(listPath);
+  }
+  if (editorPath) {
+    const dir = parentDir(editorPath);
+    if (!targets.includes(dir)) {
+      targets.push(dir);
+    }
+  }
+  return targets;
+}
+
+export function diffWatchTargets(previous, next) {
+  return {
+    add: next.filter((target) => !previous.includes(target)),
+    remove: previous.filter((target) => !next.includes(target))
+  };
+}
+
+// True when an `fs.changed` event may concern `filePath`.
+export function isPathAffected(event, filePath) {
+  if (!event || !filePath || parentDir(filePath) !== event.path) {
+    return false;
+  }
+  return event.overflow || event.removed || (Array.isArray(event.names) && event.names.includes(baseName(filePath)));
+}
@@ -0,0 +1,43 @@
+import { State } from './state.js';
+import { diffWatchTargets } from './files-watch-policy.js';
+
+const WATCH_ACK_TIMEOUT_MS = 5000;
+
+function createWatchRequestId(type) {
+  const random = Math.random().toString(36).slice(2, 8);
+  return `${type}-${Date.now().toString(36)}-${random}`;
+}
+
+// Keeps the server-side directory watches of the control connection in line with what the file
+// panel shows. Watches die with the socket, so they are replayed after every reconnect.
+export function createFilesWatch({ getControl, onChange }) {
+  let targets = [];
+
+  function send(type, path) {
+    const control = getControl();
+    if (!control || !State.controlConnected) {
+      return;
+    }
+    const requestId = createWatchRequestId(type);
+    // A failed watch (watch limit, directory gone) only costs live updates; the refresh button still works.
+    control.registerPendingAck({ requestId, timeoutMs: WATCH_ACK_TIMEOUT_MS, onError: () => {} });
+    control.send({ type, path, requestId });
+  }
+
+  return {
+    setTargets(next) {
+      const { add, remove } = diffWatchTargets(targets, next);
+      targets = [...next];
+      remove.forEach((path) => send('fs.unwatch', path));
+      add.forEach((path) => send('fs.watch', path));
+    },
+    resubscribe() {
+      targets.forEach((path) => send('fs.watch', path));
+    },
+    handleChanged(payload) {
+      if (payload && typeof payload.path === 'string' && targets.includes(payload.path)) {
+        onChange(payload);
+      }
+    }
+  };
+}
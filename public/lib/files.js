@@ -1,4 +1,18 @@
+import { parseAsciicast } from './asciicast-policy.js';
+import { createCastPlayer } from './cast-player.js';
+import { createFilesConflict } from './files-conflict.js';
+import { createFilesDiffViewer } from './files-diff.js';
+import { createFilesGit } from './files-git.js';
+import { createFilesProps } from './files-props.js';
+import { createFilesSearch } from './files-search.js';
+import { createFilesTrash } from './files-trash.js';
+import { createFilesWatch } from './files-watch.js';
+import { isPathAffected, resolveWatchTargets } from './files-watch-policy.js';
+import { findLineRange } from './files-search-policy.js';
+import { isEverySelected, selectEntriesByPattern, summarizeBatchResults } from './files-selection-policy.js';
+import { hasGrant, readAccessTokenClaims, resolveReadablePath } from './grants-policy.js';
 import { DOM, State, apiUrl, authedFetch, buildAuthHeaders } from './state.js';
+import { createUploadQueue } from './uploads.js';
 
 const FILES_LONG_PRESS_MS = 520;
 const FILES_AUTH_RETRY_DELAY_MS = 900;
@@ -8,44 +22,6 @@ const FILES_LAST_PATH_STORAGE_KEY = 'c2p_files_last_path';
 const FILES_EDITOR_SESSION_STORAGE_KEY = 'c2p_files_editor_session_v1';
 const FILES_VIEWPORT_CLOSE_GUARD_MS = 1200;
 
-function decodeBase64Url(base64Url) {
-  if (typeof base64Url !== 'string' || !base64Url) {
-    return '';
-  }
-  const normalized = base64Url.replace(/-/g, '+').replace(/_/g, '/');
-  const padLength = (4 - (normalized.length % 4)) % 4;
-  const padded = `${normalized}${'='.repeat(padLength)}`;
-  if (typeof atob !== 'function') {
-    return '';
-  }
-  try {
-    return atob(padded);
-  } catch {
-    return '';
-  }
-}
-
-function readAccessTokenScope(token) {
-  if (typeof token !== 'string' || !token) {
-    return '';
-  }
-  const parts = token.split('.');
-  if (parts.length !== 3 || parts[0] !== 'v1') {
-    return '';
-  }
-  const payloadJson = decodeBase64Url(parts[1]);
-  if (!payloadJson) {
-    return '';
-  }
-  try {
-    const parsed = JSON.parse(payloadJson);
-    const scope = parsed && typeof parsed === 'object' ? parsed.scope : '';
-    return scope === 'admin' || scope === 'readonly' ? scope : '';
-  } catch {
-    return '';
-  }
-}
-
 function joinPath(basePath, name) {
   const base = typeof basePath === 'string' ? basePath.trim() : '.';
   const normalizedBase = !base || base === '.' ? '' : base.replace(/\/+$/g, '');
@@ -172,7 +148,7 @@ function clearPersistedEditorSession() {
   }
 }
 
-export function createFiles({ toast, openTerminalAtPath }) {
+export function createFiles({ toast, openTerminalAtPath, getControl }) {
   let currentPath = '.';
   let parentPath = null;
   let entries = [];
@@ -190,7 +166,13 @@ export function createFiles({ toast, openTerminalAtPath }) {
   let searchQuery = '';
   let editorDirty = false;
   let editorOriginalContent = '';
+  let editorEtag = '';
+  let editorSaving = false;
+  let editorStaleEtag = '';
+  let liveRefreshRunning = false;
+  let liveRefreshPending = false;
   let imgBlobUrl = '';
+  let castPlayer = null;
   let mdRenderer = null;
   let editorPinchState = null;
   let editorPinchBound = false;
@@ -213,6 +195,83 @@ export function createFiles({ toast, openTerminalAtPath }) {
   let folderPickerLoading = false;
   let folderPickerError = '';
   let folderPickerRequestId = 0;
+  let selectionMode = false;
+  let batchRunning = false;
+  const selectedPaths = new Set();
+  const uploads = createUploadQueue({
+    toast,
+    onUploaded: () => {
+      void refresh();
+    }
+  });
+  const filesSearch = createFilesSearch({
+    toast,
+    getCurrentPath: () => currentPath,
+    openFile: (filePath, options) => openFileForEdit(filePath, options),
+    onVisibilityChange: (open) => {
+      if (open) {
+        filesTrash.close();
+        filesGit.close();
+      }
+      DOM.filesList.hidden = open;
+    }
+  });
+  const filesWatch = createFilesWatch({
+    getControl,
+    onChange: (event) => {
+      handleFsChanged(event);
+    }
+  });
+  const filesConflict = createFilesConflict();
+  const filesDiff = createFilesDiffViewer({ toast, fetchJson });
+  const filesProps = createFilesProps({
+    toast,
+    fetchJson,
+    isReadonly: () => isWriteBlocked(),
+    formatBytes,
+    onChanged: () => {
+      void refresh();
+    }
+  });
+  const filesTrash = createFilesTrash({
+    toast,
+    fetchJson,
+    isReadonly: () => isWriteBlocked(),
+    onRestored: () => {
+      void refresh();
+    },
+    onVisibilityChange: (open) => {
+      if (open && filesSearch.isOpen()) {
+        filesSearch.close();
+      }
+      if (open) {
+        filesGit.close();
+      }
+      DOM.filesList.hidden = open;
+    }
+  });
+  const filesGit = createFilesGit({
+    toast,
+    fetchJson,
+    isReadonly: () => isWriteBlocked(),
+    getCurrentPath: () => currentPath,
+    openDiff: (filePath) => filesDiff.open({ path: filePath }),
+    onStatusLoaded: () => {
+      render();
+    },
+    onWorktreeChanged: () => {
+      void refresh();
+    },
+    onVisibilityChange: (open) => {
+      if (open && filesSearch.isOpen()) {
+        filesSearch.close();
+      }
+      if (open) {
+        filesTrash.close();
+      }
+      DOM.filesList.hidden = open;
+    }
+  });
 
   function isAuthFailureError(error) {
     const message = readErrorMessage(error).toLowerCase();
@@ -294,18 +353,28 @@ export function createFiles({ toast, openTerminalAtPath }) {
     };
   }
 
-  function isReadonlyToken() {
-    return readAccessTokenScope(State.token) === 'readonly';
+  // Tokens limited to path prefixes may write in some directories and not others.
+  function isWriteBlocked(targetPath = currentPath) {
+    const claims = readAccessTokenClaims(State.token);
+    return !!claims && !hasGrant(claims.grants, 'fs:write', targetPath);
   }
 
   function syncWriteAccessUi() {
-    const readonly = isReadonlyToken();
+    const claims = readAccessTokenClaims(State.token);
+    const readonly = isWriteBlocked();
     writeBlocked = readonly;
 
     if (DOM.filesScopePill) {
-      DOM.filesScopePill.hidden = !readonly;
-      DOM.filesScopePill.textContent = readonly ? '只读' : '';
-      DOM.filesScopePill.title = readonly ? '只读令牌：写操作将被禁用' : '';
+      const limited = !!claims && claims.narrowed && !readonly;
+      DOM.filesScopePill.hidden = !readonly && !limited;
+      DOM.filesScopePill.textContent = readonly ? '只读' : limited ? '受限' : '';
+      DOM.filesScopePill.title = readonly
+        ? claims && claims.scope === 'readonly'
+          ? '只读令牌：写操作将被禁用'
+          : '当前令牌不能写入此目录：写操作将被禁用'
+        : limited
+          ? '当前令牌只能访问部分目录'
+          : '';
     }
 
     if (DOM.filesNewfileBtn) {
@@ -352,7 +421,10 @@ export function createFiles({ toast, openTerminalAtPath }) {
     const payload = await response.json().catch(() => null);
     if (!response.ok) {
       const message = payload && payload.error ? payload.error : `request failed (${response.status})`;
-      throw new Error(message);
+      const error = new Error(message);
+      error.status = response.status;
+      error.payload = payload;
+      throw error;
     }
     return payload;
   }
@@ -642,14 +714,21 @@ export function createFiles({ toast, openTerminalAtPath }) {
     contextMenuEl.hidden = true;
     contextMenuEl.innerHTML = `
       <button type="button" class="touch-context-btn" data-action="open">打开</button>
+      <button type="button" class="touch-context-btn" data-action="properties">属性</button>
       <button type="button" class="touch-context-btn" data-action="copy-path-rel">复制相对路径</button>
       <button type="button" class="touch-context-btn" data-action="copy-path-abs">复制绝对路径</button>
       <button type="button" class="touch-context-btn" data-action="open-terminal">在此打开终端</button>
       <button type="button" class="touch-context-btn" data-action="download">下载</button>
+      <button type="button" class="touch-context-btn" data-action="diff-head">与 HEAD 对比</button>
+      <button type="button" class="touch-context-btn" data-action="diff-with">与其他文件对比...</button>
+      <button type="button" class="touch-context-btn" data-action="archive-zip">打包下载 (zip)</button>
+      <button type="button" class="touch-context-btn" data-action="archive-tgz">打包下载 (tar.gz)</button>
+      <button type="button" class="touch-context-btn" data-action="select">多选</button>
       <button type="button" class="touch-context-btn" data-action="rename">重命名</button>
       <button type="button" class="touch-context-btn" data-action="copy-to">复制到...</button>
       <button type="button" class="touch-context-btn" data-action="move-to">移动到...</button>
       <button type="button" class="touch-context-btn" data-action="remove">删除</button>
+      <button type="button" class="touch-context-btn" data-action="remove-permanent">永久删除</button>
     `;
     document.body.appendChild(contextMenuEl);
 
@@ -688,6 +767,10 @@ export function createFiles({ toast, openTerminalAtPath }) {
         await openEntry(targetEntry);
         return;
       }
+      if (action === 'properties') {
+        filesProps.open(targetEntry);
+        return;
+      }
       if (action === 'copy-path-rel') {
         await copyEntryPath(targetEntry, 'relative');
         return;
@@ -705,10 +788,27 @@ export function createFiles({ toast, openTerminalAtPath }) {
         await downloadEntry(targetEntry.path);
         return;
       }
+      if (action === 'archive-zip' || action === 'archive-tgz') {
+        await downloadArchive([targetEntry.path], action === 'archive-zip' ? 'zip' : 'tar.gz');
+        return;
+      }
+      if (action === 'select') {
+        setSelectionMode(true);
+        toggleSelected(targetEntry.path);
+        return;
+      }
       if (action === 'open-terminal') {
         openTerminalForEntry(targetEntry);
         return;
       }
+      if (action === 'diff-head') {
+        await filesDiff.open({ path: targetEntry.path });
+        return;
+      }
+      if (action === 'diff-with') {
+        await diffEntryWithOther(targetEntry);
+        return;
+      }
       if (action === 'rename') {
         await renameEntry(targetEntry);
         return;
@@ -723,6 +823,10 @@ export function createFiles({ toast, openTerminalAtPath }) {
       }
       if (action === 'remove') {
         await removeEntry(targetEntry);
+        return;
+      }
+      if (action === 'remove-permanent') {
+        await removeEntry(targetEntry, { permanent: true });
       }
     };
     let lastContextActionAt = 0;
@@ -775,11 +879,17 @@ export function createFiles({ toast, openTerminalAtPath }) {
     contextTarget = entry;
     menu.hidden = false;
 
-    const readonly = isReadonlyToken();
+    const readonly = isWriteBlocked(entry.path);
     const downloadBtn = menu.querySelector('[data-action="download"]');
     if (downloadBtn) {
       downloadBtn.hidden = entry.type !== 'file';
     }
+    menu.querySelectorAll('[data-action="diff-head"], [data-action="diff-with"]').forEach((button) => {
+      button.hidden = entry.type !== 'file';
+    });
+    menu.querySelectorAll('[data-action="archive-zip"], [data-action="archive-tgz"]').forEach((button) => {
+      button.hidden = entry.type !== 'dir';
+    });
     const openTerminalBtn = menu.querySelector('[data-action="open-terminal"]');
     if (openTerminalBtn) {
       openTerminalBtn.hidden = entry.type !== 'dir' && entry.type !== 'file';
@@ -804,6 +914,10 @@ export function createFiles({ toast, openTerminalAtPath }) {
     if (removeBtn) {
       removeBtn.hidden = readonly;
     }
+    const removePermanentBtn = menu.querySelector('[data-action="remove-permanent"]');
+    if (removePermanentBtn) {
+      removePermanentBtn.hidden = readonly;
+    }
 
     menu.style.left = '0px';
     menu.style.top = '0px';
@@ -820,6 +934,7 @@ export function createFiles({ toast, openTerminalAtPath }) {
     syncWriteAccessUi();
     DOM.filesPath.textContent = currentPath || '.';
     syncHiddenButton();
+    syncSelectionUi();
 
     DOM.filesList.textContent = '';
     if (loading) {
@@ -868,6 +983,17 @@ export function createFiles({ toast, openTerminalAtPath }) {
       row.className = 'files-item';
       row.dataset.path = entry.path;
       row.dataset.type = entry.type;
+      if (selectionMode) {
+        const selected = selectedPaths.has(entry.path);
+        row.classList.toggle('is-selected', selected);
+        row.setAttribute('role', 'checkbox');
+        row.setAttribute('aria-checked', selected ? 'true' : 'false');
+        const check = document.createElement('span');
+        check.className = 'files-item-check';
+        check.setAttribute('aria-hidden', 'true');
+        check.textContent = selected ? '☑' : '☐';
+        row.appendChild(check);
+      }
 
       const icon = document.createElement('span');
       icon.className = 'files-item-icon';
@@ -876,6 +1002,14 @@ export function createFiles({ toast, openTerminalAtPath }) {
       const name = document.createElement('span');
       name.className = 'files-item-name';
       name.textContent = entry.name;
+      if (entry.symlink) {
+        row.classList.add('is-symlink');
+        const link = document.createElement('span');
+        link.className = 'files-item-link';
+        link.textContent = ` → ${entry.linkTarget || ''}`;
+        name.appendChild(link);
+        name.title = `${entry.name} → ${entry.linkTarget || ''}`;
+      }
 
       const meta = document.createElement('span');
       meta.className = 'files-item-meta';
@@ -883,12 +1017,82 @@ export function createFiles({ toast, openTerminalAtPath }) {
 
       row.appendChild(icon);
       row.appendChild(name);
+      const gitBadge = filesGit.badgeFor(entry.path);
+      if (gitBadge) {
+        const badge = document.createElement('span');
+        badge.className = `files-git-badge is-${gitBadge.kind}`;
+        badge.textContent = gitBadge.code;
+        badge.title = gitBadge.label;
+        row.classList.add('has-git-badge');
+        row.appendChild(badge);
+      }
       row.appendChild(meta);
       fragment.appendChild(row);
     });
     DOM.filesList.appendChild(fragment);
   }
 
+  function syncSelectionUi() {
+    if (DOM.filesSelectBtn) {
+      DOM.filesSelectBtn.classList.toggle('is-active', selectionMode);
+      DOM.filesSelectBtn.setAttribute('aria-pressed', selectionMode ? 'true' : 'false');
+    }
+    if (!DOM.filesSelectionBar) {
+      return;
+    }
+    DOM.filesSelectionBar.hidden = !selectionMode;
+    DOM.filesSelectionCount.textContent = `已选 ${selectedPaths.size} 项`;
+    const empty = selectedPaths.size === 0;
+    const readonly = isWriteBlocked();
+    DOM.filesArchiveZipBtn.disabled = empty;
+    DOM.filesArchiveTgzBtn.disabled = empty;
+    [DOM.filesBatchCopyBtn, DOM.filesBatchMoveBtn, DOM.filesBatchDeleteBtn].forEach((button) => {
+      button.hidden = readonly;
+      button.disabled = empty || batchRunning;
+    });
+    DOM.filesSelectAllBtn.textContent = isEverySelected(getFilteredEntries(), selectedPaths) ? '全不选' : '全选';
+  }
+
+  function setSelectionMode(enabled) {
+    selectionMode = enabled;
+    selectedPaths.clear();
+    render();
+  }
+
+  function toggleSelectAll() {
+    const visibleEntries = getFilteredEntries();
+    if (isEverySelected(visibleEntries, selectedPaths)) {
+      visibleEntries.forEach((entry) => selectedPaths.delete(entry.path));
+    } else {
+      visibleEntries.forEach((entry) => selectedPaths.add(entry.path));
+    }
+    render();
+  }
+
+  function selectByPattern() {
+    const pattern = window.prompt('按名称匹配选择 (支持 * ? [abc]，逗号分隔多个)', '*.log');
+    if (pattern === null) {
+      return;
+    }
+    const matched = selectEntriesByPattern(getFilteredEntries(), pattern);
+    if (matched.length === 0) {
+      toast.show('没有匹配的条目', 'warn');
+      return;
+    }
+    matched.forEach((entry) => selectedPaths.add(entry.path));
+    toast.show(`已匹配 ${matched.length} 项`, 'info');
+    render();
+  }
+
+  function toggleSelected(entryPath) {
+    if (selectedPaths.has(entryPath)) {
+      selectedPaths.delete(entryPath);
+    } else {
+      selectedPaths.add(entryPath);
+    }
+    render();
+  }
+
   function getFilteredEntries() {
     const base = showHiddenEntries ? entries : entries.filter((entry) => !isHiddenEntry(entry));
     if (!searchQuery) {
@@ -927,13 +1131,17 @@ export function createFiles({ toast, openTerminalAtPath }) {
   async function refresh(nextPath = currentPath, options = {}) {
     const requestPath = nextPath || '.';
     const silentAuthRetry = options && options.silentAuthRetry === true;
+    // Live updates replace the entries in place: no loading state, and the name filter is kept.
+    const live = options && options.live === true;
     if (!State.token && silentAuthRetry) {
       scheduleAuthRetry(requestPath);
       return;
     }
-    loading = true;
-    listNotice = null;
-    render();
+    if (!live) {
+      loading = true;
+      listNotice = null;
+      render();
+    }
     try {
       const payload = await fetchJson('/api/fs/list', {
         query: { path: requestPath }
@@ -942,16 +1150,38 @@ export function createFiles({ toast, openTerminalAtPath }) {
         window.clearTimeout(authRetryTimer);
         authRetryTimer = 0;
       }
-      currentPath = typeof payload.path === 'string' ? payload.path : '.';
-      parentPath = typeof payload.parent === 'string' ? payload.parent : null;
+      const nextCurrentPath = typeof payload.path === 'string' ? payload.path : '.';
+      currentPath = nextCurrentPath;
+      const claims = readAccessTokenClaims(State.token);
+      // A path-limited token cannot list above its prefixes, so the way up stops there.
+      parentPath =
+        typeof payload.parent === 'string' && (!claims || hasGrant(claims.grants, 'fs:read', payload.parent))
+          ? payload.parent
+          : null;
       entries = Array.isArray(payload.entries) ? payload.entries : [];
+      const listedPaths = new Set(entries.map((entry) => entry.path));
+      [...selectedPaths].forEach((entryPath) => {
+        if (!listedPaths.has(entryPath)) {
+          selectedPaths.delete(entryPath);
+        }
+      });
       persistFilesPath(currentPath);
-      searchQuery = '';
-      if (DOM.filesSearchInput) {
-        DOM.filesSearchInput.value = '';
+      if (!live) {
+        if (!isWriteBlocked()) {
+          void uploads.restore();
+        }
+        searchQuery = '';
+        if (DOM.filesSearchInput) {
+          DOM.filesSearchInput.value = '';
+        }
       }
       listNotice = null;
+      syncWatchTargets();
+      void filesGit.load(currentPath);
     } catch (error) {
+      if (live) {
+        return;
+      }
       if (silentAuthRetry && isAuthFailureError(error)) {
         scheduleAuthRetry(requestPath);
       } else {
@@ -968,8 +1198,89 @@ export function createFiles({ toast, openTerminalAtPath }) {
     }
   }
 
+  function openEditorPath() {
+    if (!DOM.filesEditorDialog || !DOM.filesEditorDialog.open || !DOM.filesEditorPath) {
+      return '';
+    }
+    return (DOM.filesEditorPath.textContent || '').trim();
+  }
+
+  function syncWatchTargets() {
+    filesWatch.setTargets(
+      resolveWatchTargets({ listPath: listNotice ? '' : currentPath, editorPath: openEditorPath() })
+    );
+  }
+
+  function handleFsChanged(event) {
+    if (event.path === currentPath) {
+      if (event.removed) {
+        toast.show('当前目录已被删除', 'warn');
+        void refresh(parentPath || '.');
+      } else {
+        void liveRefresh();
+      }
+    }
+    if (editorEtag && isPathAffected(event, openEditorPath())) {
+      void checkEditorFileOnDisk();
+    }
+  }
+
+  // Bursts of events while a listing is in flight collapse into one follow-up request.
+  async function liveRefresh() {
+    if (liveRefreshRunning) {
+      liveRefreshPending = true;
+      return;
+    }
+    liveRefreshRunning = true;
+    try {
+      do {
+        liveRefreshPending = false;
+        if (loading) {
+          break;
+        }
+        await refresh(currentPath, { live: true });
+      } while (liveRefreshPending);
+    } finally {
+      liveRefreshRunning = false;
+    }
+  }
+
+  async function checkEditorFileOnDisk() {
+    const targetPath = openEditorPath();
+    const knownEtag = editorEtag;
+    if (!targetPath || !knownEtag || editorSaving) {
+      return;
+    }
+    let payload = null;
+    try {
+      payload = await fetchJson('/api/fs/read', { query: { path: targetPath } });
+    } catch (error) {
+      if (error.status === 404 && editorStaleEtag !== 'deleted' && openEditorPath() === targetPath) {
+        editorStaleEtag = 'deleted';
+        toast.show('正在编辑的文件已在磁盘上被删除', 'warn');
+      }
+      return;
+    }
+    // The editor moved on (saved, reloaded or switched file) while the read was in flight.
+    if (editorSaving || editorEtag !== knownEtag || openEditorPath() !== targetPath) {
+      return;
+    }
+    const etag = typeof payload.etag === 'string' ? payload.etag : '';
+    if (!etag || etag === knownEtag || etag === editorStaleEtag) {
+      return;
+    }
+    if (!editorDirty && typeof payload.content === 'string') {
+      applyReloadedEditorContent(payload.content, etag);
+      toast.show('文件已在磁盘上更新，已重新加载', 'info');
+      return;
+    }
+    editorStaleEtag = etag;
+    toast.show('文件已在磁盘上被修改，保存时将提示冲突', 'warn');
+  }
+
   const MD_EXT = /\.(md|markdown)$/i;
   const IMG_EXTS = /\.(png|jpg|jpeg|gif|webp|svg)$/i;
+  const CAST_EXT = /\.cast$/i;
 
   function markDirty(isDirty) {
     editorDirty = isDirty;
@@ -982,6 +1293,8 @@ export function createFiles({ toast, openTerminalAtPath }) {
       imgBlobUrl = '';
     }
     editorOriginalContent = '';
+    editorEtag = '';
+    editorStaleEtag = '';
     DOM.filesEditor.value = '';
     DOM.filesEditor.hidden = false;
     DOM.filesMdPreview.innerHTML = '';
@@ -989,12 +1302,20 @@ export function createFiles({ toast, openTerminalAtPath }) {
     DOM.filesMdPreview.hidden = true;
     DOM.filesImgPreview.replaceChildren();
     DOM.filesImgPreview.hidden = true;
+    if (castPlayer) {
+      castPlayer.dispose();
+    }
+    DOM.filesCastPlayer.hidden = true;
     DOM.filesMdToggleBtn.hidden = true;
     DOM.filesMdToggleBtn.textContent = '预览';
+    if (DOM.filesEditorDiffBtn) {
+      DOM.filesEditorDiffBtn.hidden = true;
+    }
     DOM.filesEditorSaveBtn.disabled = writeBlocked;
     resetEditorZoom();
     markDirty(false);
     document.title = 'C2P Controller';
+    syncWatchTargets();
   }
 
   function noteViewportChanged() {
@@ -1279,6 +1600,28 @@ export function createFiles({ toast, openTerminalAtPath }) {
     DOM.filesEditorSaveBtn.disabled = true;
   }
 
+  async function openCastPlayer(filePath) {
+    const response = await authedFetch(`/api/fs/download?path=${encodeURIComponent(filePath)}`);
+    if (!response.ok) {
+      toast.show('录制文件加载失败', 'warn');
+      return;
+    }
+    const parsed = parseAsciicast(await response.text());
+    if (!parsed.ok) {
+      toast.show('不是有效的 asciicast v2 录制文件', 'warn');
+      return;
+    }
+    if (!castPlayer) {
+      castPlayer = createCastPlayer({ container: DOM.filesCastPlayer });
+    }
+    DOM.filesEditor.hidden = true;
+    DOM.filesMdPreview.hidden = true;
+    DOM.filesCastPlayer.hidden = false;
+    DOM.filesMdToggleBtn.hidden = true;
+    DOM.filesEditorSaveBtn.disabled = true;
+    castPlayer.load(parsed);
+  }
+
   async function openFileForEdit(filePath, options = {}) {
     if (!DOM.filesEditorDialog || !DOM.filesEditor || !DOM.filesEditorPath) {
       return;
@@ -1293,12 +1636,18 @@ export function createFiles({ toast, openTerminalAtPath }) {
         if (DOM.filesImgPreview.hidden) {
           return;
         }
+      } else if (CAST_EXT.test(filePath)) {
+        await openCastPlayer(filePath);
+        if (DOM.filesCastPlayer.hidden) {
+          return;
+        }
       } else {
         const payload = await fetchJson('/api/fs/read', {
           query: { path: filePath }
         });
         const content = typeof payload.content === 'string' ? payload.content : '';
         editorOriginalContent = content;
+        editorEtag = typeof payload.etag === 'string' ? payload.etag : '';
         DOM.filesEditorPath.textContent = payload.path || filePath;
 
         if (MD_EXT.test(filePath)) {
@@ -1313,12 +1662,22 @@ export function createFiles({ toast, openTerminalAtPath }) {
           DOM.filesEditor.hidden = false;
         }
         DOM.filesEditorSaveBtn.disabled = writeBlocked;
+        if (DOM.filesEditorDiffBtn) {
+          DOM.filesEditorDiffBtn.hidden = false;
+        }
       }
       const activeEl = document.activeElement;
       if (activeEl instanceof HTMLElement) {
         activeEl.blur();
       }
       DOM.filesEditorDialog.showModal();
+      syncWatchTargets();
+      if (Number.isInteger(options.line) && !DOM.filesMdToggleBtn.hidden) {
+        applyRestoredEditorMode('md-edit');
+      }
+      if (Number.isInteger(options.line) && !DOM.filesEditor.hidden) {
+        scrollEditorToLine(options.line);
+      }
       persistCurrentEditorSession();
     } catch (error) {
       const feedback = classifyFsError(error);
@@ -1340,7 +1699,60 @@ export function createFiles({ toast, openTerminalAtPath }) {
     }
   }
 
+  // Textareas wrap long lines, so the line's offset is measured with a mirror element of the same width.
+  function scrollEditorToLine(line) {
+    const editor = DOM.filesEditor;
+    const range = findLineRange(editor.value, line);
+    if (!range) {
+      return;
+    }
+    const style = window.getComputedStyle(editor);
+    const mirror = document.createElement('div');
+    ['fontFamily', 'fontSize', 'lineHeight', 'letterSpacing', 'tabSize'].forEach((property) => {
+      mirror.style[property] = style[property];
+    });
+    ['paddingTop', 'paddingLeft', 'paddingRight'].forEach((property) => {
+      mirror.style[property] = style[property];
+    });
+    mirror.style.position = 'absolute';
+    mirror.style.visibility = 'hidden';
+    mirror.style.boxSizing = 'border-box';
+    mirror.style.width = `${editor.clientWidth}px`;
+    mirror.style.whiteSpace = 'pre-wrap';
+    mirror.style.overflowWrap = 'break-word';
+    mirror.textContent = editor.value.slice(0, range.start);
+    document.body.appendChild(mirror);
+    const lineTop = mirror.scrollHeight;
+    mirror.remove();
+    editor.scrollTop = Math.max(0, lineTop - editor.clientHeight / 3);
+    editor.setSelectionRange(range.start, range.end);
+  }
+
   async function downloadEntry(filePath) {
+    const { base } = splitPath(filePath);
+    await downloadFromUrl(buildApiUrl('/api/fs/download', { path: filePath }), base || 'download');
+  }
+
+  function buildArchiveUrl(paths, format) {
+    const url = new URL(apiUrl('/api/fs/archive'));
+    paths.forEach((entryPath) => {
+      url.searchParams.append('path', entryPath);
+    });
+    url.searchParams.set('format', format);
+    return url.toString();
+  }
+
+  async function downloadArchive(paths, format) {
+    if (!paths.length) {
+      return;
+    }
+    const folderName = currentPath === '.' ? '' : splitPath(currentPath).base;
+    const baseName = paths.length === 1 ? splitPath(paths[0]).base : folderName;
+    toast.show('正在打包...', 'warn');
+    await downloadFromUrl(buildArchiveUrl(paths, format), `${baseName || 'files'}${format === 'zip' ? '.zip' : '.tar.gz'}`);
+  }
+
+  async function downloadFromUrl(url, filename) {
     const userAgent = typeof navigator.userAgent === 'string' ? navigator.userAgent : '';
     const isIOSDevice = /iPad|iPhone|iPod/i.test(userAgent);
     const isMacTouchDevice = /Macintosh/i.test(userAgent) && Number(navigator.maxTouchPoints || 0) > 1;
@@ -1356,9 +1768,6 @@ export function createFiles({ toast, openTerminalAtPath }) {
         // Ignore cross-browser document access errors.
       }
     }
-    const url = buildApiUrl('/api/fs/download', {
-      path: filePath
-    });
     try {
       const response = await authedFetch(url);
       if (!response.ok) {
@@ -1367,8 +1776,6 @@ export function createFiles({ toast, openTerminalAtPath }) {
         throw new Error(message);
       }
       const blob = await response.blob();
-      const { base } = splitPath(filePath);
-      const filename = base || 'download';
       const blobUrl = URL.createObjectURL(blob);
       if (preopenedWindow && !preopenedWindow.closed) {
         preopenedWindow.location.href = blobUrl;
@@ -1488,7 +1895,7 @@ export function createFiles({ toast, openTerminalAtPath }) {
   }
 
   async function renameEntry(entry) {
-    if (isReadonlyToken()) {
+    if (isWriteBlocked(entry.path)) {
       toast.show('只读模式不可写', 'warn');
       return;
     }
@@ -1555,7 +1962,7 @@ export function createFiles({ toast, openTerminalAtPath }) {
   }
 
   async function copyEntryToFolder(entry) {
-    if (isReadonlyToken()) {
+    if (isWriteBlocked()) {
       toast.show('只读模式不可写', 'warn');
       return;
     }
@@ -1590,7 +1997,7 @@ export function createFiles({ toast, openTerminalAtPath }) {
   }
 
   async function moveEntryToFolder(entry) {
-    if (isReadonlyToken()) {
+    if (isWriteBlocked(entry.path)) {
       toast.show('只读模式不可写', 'warn');
       return;
     }
@@ -1624,12 +2031,15 @@ export function createFiles({ toast, openTerminalAtPath }) {
     }
   }
 
-  async function removeEntry(entry) {
-    if (isReadonlyToken()) {
+  async function removeEntry(entry, options = {}) {
+    if (isWriteBlocked(entry.path)) {
       toast.show('只读模式不可写', 'warn');
       return;
     }
-    const confirmed = window.confirm(`确认删除 ${entry.name} ?`);
+    const permanent = options.permanent === true;
+    const confirmed = window.confirm(
+      permanent ? `确认永久删除 ${entry.name} ? 此操作不可恢复` : `确认将 ${entry.name} 移到回收站?`
+    );
     if (!confirmed) {
       return;
     }
@@ -1641,10 +2051,11 @@ export function createFiles({ toast, openTerminalAtPath }) {
         },
         body: JSON.stringify({
           path: entry.path,
-          recursive: entry.type === 'dir'
+          recursive: entry.type === 'dir',
+          permanent
         })
       });
-      toast.show('删除完成', 'warn');
+      toast.show(permanent ? '已永久删除' : '已移到回收站', 'warn');
       await refresh();
     } catch (error) {
       if (isInsufficientScopeError(error)) {
@@ -1655,6 +2066,74 @@ export function createFiles({ toast, openTerminalAtPath }) {
     }
   }
 
+  async function runBatch(op) {
+    if (isWriteBlocked()) {
+      toast.show('只读模式不可写', 'warn');
+      return;
+    }
+    const paths = [...selectedPaths];
+    if (paths.length === 0 || batchRunning) {
+      return;
+    }
+    const actionText = op === 'copy' ? '复制' : op === 'move' ? '移动' : '删除';
+    const body = { op, paths };
+    if (op === 'delete') {
+      if (!window.confirm(`确认将选中的 ${paths.length} 项移到回收站?`)) {
+        return;
+      }
+      body.recursive = true;
+    } else {
+      const selectedDir = await selectTargetDirectory(`${actionText} ${paths.length} 项`, currentPath || '.');
+      if (selectedDir === null) {
+        return;
+      }
+      body.to = normalizeTargetFolderInput(selectedDir);
+    }
+
+    batchRunning = true;
+    syncSelectionUi();
+    try {
+      const payload = await fetchJson('/api/fs/batch', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+      const summary = summarizeBatchResults(payload);
+      // Keep only the failed items selected so they can be retried or inspected.
+      selectedPaths.clear();
+      summary.failedPaths.forEach((entryPath) => selectedPaths.add(entryPath));
+      if (summary.failed === 0) {
+        toast.show(`${actionText}完成: ${summary.succeeded} 项`, op === 'delete' ? 'warn' : 'success');
+      } else {
+        toast.show(`${actionText}: 成功 ${summary.succeeded} 项，失败 ${summary.failed} 项 (${summary.firstError})`, 'danger');
+      }
+    } catch (error) {
+      if (isInsufficientScopeError(error)) {
+        toast.show('只读模式不可写', 'warn');
+      } else {
+        toast.show(`批量${actionText}失败: ${error.message}`, 'danger');
+      }
+    } finally {
+      batchRunning = false;
+    }
+    await refresh();
+  }
+
+  async function diffEntryWithOther(entry) {
+    const { dir } = splitPath(entry.path);
+    const otherRaw = window.prompt(`将 ${entry.name} 与以下文件对比`, dir === '.' ? '' : `${dir}/`);
+    if (otherRaw === null) {
+      return;
+    }
+    const other = otherRaw.trim();
+    if (!other) {
+      return;
+    }
+    await filesDiff.open({ path: entry.path, against: other });
+  }
+
   async function openEntry(entry) {
     if (entry.type === 'dir') {
       await refresh(entry.path);
@@ -1693,11 +2172,21 @@ export function createFiles({ toast, openTerminalAtPath }) {
     openTerminalAtPath(cwd);
   }
 
+  // Change notifications for the file are ignored until the write (and any conflict dialog) is done.
   async function saveEditorFile() {
+    editorSaving = true;
+    try {
+      await writeEditorFile();
+    } finally {
+      editorSaving = false;
+    }
+  }
+
+  async function writeEditorFile() {
     if (!DOM.filesEditorDialog || !DOM.filesEditorDialog.open || !DOM.filesEditor || !DOM.filesEditorPath) {
       return;
     }
-    if (isReadonlyToken()) {
+    if (isWriteBlocked(DOM.filesEditorPath.textContent || currentPath)) {
       toast.show('只读模式不可写', 'warn');
       return;
     }
@@ -1705,33 +2194,74 @@ export function createFiles({ toast, openTerminalAtPath }) {
       return;
     }
     const targetPath = DOM.filesEditorPath.textContent || '';
-    const content = DOM.filesEditor.hidden ? DOM.filesMdPreview.dataset.source || '' : DOM.filesEditor.value;
-    try {
-      await fetchJson('/api/fs/write', {
-        method: 'POST',
-        headers: {
+    const content = editorContentValue();
+    let expectedEtag = editorEtag;
+    for (;;) {
+      try {
+        const headers = {
           'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          path: targetPath,
-          content
-        })
-      });
-      editorOriginalContent = content;
-      markDirty(false);
-      toast.show('文件已保存', 'success');
-      await refresh();
-    } catch (error) {
-      if (isInsufficientScopeError(error)) {
-        toast.show('只读模式不可写', 'warn');
+        };
+        if (expectedEtag) {
+          headers['If-Match'] = expectedEtag;
+        }
+        const payload = await fetchJson('/api/fs/write', {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({
+            path: targetPath,
+            content
+          })
+        });
+        editorOriginalContent = content;
+        editorEtag = payload && typeof payload.etag === 'string' ? payload.etag : '';
+        markDirty(editorContentValue() !== content);
+        toast.show('文件已保存', 'success');
+        await refresh();
         return;
+      } catch (error) {
+        if (isInsufficientScopeError(error)) {
+          toast.show('只读模式不可写', 'warn');
+          return;
+        }
+        if (error.status !== 409 || !error.payload) {
+          toast.show(`保存失败: ${error.message}`, 'danger');
+          return;
+        }
+        const conflict = error.payload;
+        const choice = await filesConflict.resolve(conflict, content);
+        if (choice === 'reload') {
+          applyReloadedEditorContent(conflict.content, conflict.etag);
+          toast.show('已加载磁盘上的最新版本', 'info');
+          return;
+        }
+        if (choice !== 'overwrite') {
+          return;
+        }
+        // Overwrite only the version that was just shown; a newer change conflicts again.
+        expectedEtag = conflict.etag || '';
       }
-      toast.show(`保存失败: ${error.message}`, 'danger');
     }
   }
 
+  function editorContentValue() {
+    return DOM.filesEditor.hidden ? DOM.filesMdPreview.dataset.source || '' : DOM.filesEditor.value;
+  }
+
+  function applyReloadedEditorContent(content, etag) {
+    editorOriginalContent = content;
+    editorEtag = typeof etag === 'string' ? etag : '';
+    editorStaleEtag = '';
+    if (DOM.filesEditor.hidden) {
+      DOM.filesMdPreview.dataset.source = content;
+      renderMarkdownPreview(content);
+    } else {
+      DOM.filesEditor.value = content;
+    }
+    markDirty(false);
+  }
+
   async function createFile() {
-    if (isReadonlyToken()) {
+    if (isWriteBlocked()) {
       toast.show('只读模式不可写', 'warn');
       return;
     }
@@ -1783,26 +2313,14 @@ export function createFiles({ toast, openTerminalAtPath }) {
     if (!fileList || fileList.length === 0) {
       return;
     }
-    if (isReadonlyToken()) {
+    if (isWriteBlocked()) {
       toast.show('只读模式不可写', 'warn');
       return;
     }
     for (const file of fileList) {
       const targetPath = joinPath(currentPath, file.name);
       try {
-        const response = await fetch(buildApiUrl('/api/fs/upload', { path: targetPath }), {
-          method: 'POST',
-          headers: buildAuthHeaders({
-            'Content-Type': 'application/octet-stream'
-          }),
-          body: file
-        });
-        if (!response.ok) {
-          const payload = await response.json().catch(() => null);
-          const message = payload && payload.error ? payload.error : `upload failed (${response.status})`;
-          throw new Error(message);
-        }
-        toast.show(`上传完成: ${file.name}`, 'success');
+        await uploads.enqueue(file, targetPath);
       } catch (error) {
         if (isInsufficientScopeError(error)) {
           toast.show('只读模式不可写', 'warn');
@@ -1816,7 +2334,6 @@ export function createFiles({ toast, openTerminalAtPath }) {
         toast.show(`上传失败: ${file.name} - ${readErrorMessage(error) || 'unknown'}`, 'danger');
       }
     }
-    await refresh();
   }
 
   function clearLongPress() {
@@ -1845,6 +2362,10 @@ export function createFiles({ toast, openTerminalAtPath }) {
       if (!entry) {
         return;
       }
+      if (selectionMode) {
+        toggleSelected(entry.path);
+        return;
+      }
       void openEntry(entry);
     });
 
@@ -1854,7 +2375,7 @@ export function createFiles({ toast, openTerminalAtPath }) {
         return;
       }
       const entry = entries.find((item) => item.path === row.dataset.path);
-      if (!entry) {
+      if (!entry || selectionMode) {
         return;
       }
       clearLongPress();
@@ -1956,7 +2477,7 @@ export function createFiles({ toast, openTerminalAtPath }) {
     }
     if (DOM.filesMkdirBtn) {
       DOM.filesMkdirBtn.addEventListener('click', async () => {
-        if (isReadonlyToken()) {
+        if (isWriteBlocked()) {
           toast.show('只读模式不可写', 'warn');
           return;
         }
@@ -1995,6 +2516,35 @@ export function createFiles({ toast, openTerminalAtPath }) {
         void createFile();
       });
     }
+    if (DOM.filesSelectBtn && DOM.filesSelectionBar) {
+      DOM.filesSelectBtn.addEventListener('click', () => {
+        setSelectionMode(!selectionMode);
+      });
+      DOM.filesSelectionCancelBtn.addEventListener('click', () => {
+        setSelectionMode(false);
+      });
+      DOM.filesArchiveZipBtn.addEventListener('click', () => {
+        void downloadArchive([...selectedPaths], 'zip');
+      });
+      DOM.filesArchiveTgzBtn.addEventListener('click', () => {
+        void downloadArchive([...selectedPaths], 'tar.gz');
+      });
+      DOM.filesSelectAllBtn.addEventListener('click', () => {
+        toggleSelectAll();
+      });
+      DOM.filesSelectPatternBtn.addEventListener('click', () => {
+        selectByPattern();
+      });
+      DOM.filesBatchCopyBtn.addEventListener('click', () => {
+        void runBatch('copy');
+      });
+      DOM.filesBatchMoveBtn.addEventListener('click', () => {
+        void runBatch('move');
+      });
+      DOM.filesBatchDeleteBtn.addEventListener('click', () => {
+        void runBatch('delete');
+      });
+    }
     if (DOM.filesUploadBtn && DOM.filesUploadInput) {
       DOM.filesUploadBtn.addEventListener('click', () => {
         DOM.filesUploadInput.click();
@@ -2066,6 +2616,18 @@ export function createFiles({ toast, openTerminalAtPath }) {
       }
     });
 
+    if (DOM.filesEditorDiffBtn) {
+      DOM.filesEditorDiffBtn.addEventListener('click', () => {
+        const targetPath = (DOM.filesEditorPath.textContent || '').trim();
+        if (targetPath) {
+          if (editorDirty) {
+            toast.show('对比的是已保存的版本，未保存的修改不包含在内', 'info');
+          }
+          void filesDiff.open({ path: targetPath });
+        }
+      });
+    }
+
     DOM.filesMdToggleBtn.addEventListener('click', () => {
       const inPreview = !DOM.filesMdPreview.hidden;
       if (inPreview) {
@@ -2110,13 +2672,23 @@ export function createFiles({ toast, openTerminalAtPath }) {
       bindToolbar();
       bindEditor();
       bindSearch();
+      filesSearch.init();
+      filesTrash.init();
+      filesGit.init();
       bindListInteractions();
-      void refresh(initialPath, { silentAuthRetry }).finally(() => {
+      const claims = readAccessTokenClaims(State.token);
+      void refresh(resolveReadablePath(claims && claims.grants, initialPath), { silentAuthRetry }).finally(() => {
         void restoreEditorSessionIfNeeded();
       });
     },
     refresh() {
       void refresh();
+    },
+    handleFsChanged(payload) {
+      filesWatch.handleChanged(payload);
+    },
+    onControlReady() {
+      filesWatch.resubscribe();
     }
   };
 }
@@ -654,6 +654,10 @@ export function createGestures({ getTerm, toast }) {
       singleFingerRejectReason = 'target-in-pane-actions';
       return false;
     }
+    if (target.closest('.terminal-search')) {
+      singleFingerRejectReason = 'target-in-search-bar';
+      return false;
+    }
     const paneBodyEl = target.closest('.terminal-pane-body');
     const paneEl = paneBodyEl instanceof HTMLElement ? paneBodyEl.closest('.terminal-pane') : target.closest('.terminal-pane');
     const viewportEl =
@@ -902,6 +906,9 @@ export function createGestures({ getTerm, toast }) {
     if (!(target instanceof Element)) {
       return false;
     }
+    if (target.closest('.terminal-search')) {
+      return false;
+    }
     return !!target.closest('.terminal-pane-body, .terminal-pane-terminal, .xterm');
   }
 
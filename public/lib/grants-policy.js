@@ -0,0 +1,133 @@
+// Mirrors src/access-grants.ts so the UI can hide what the server would refuse; the server still decides.
+const CAPABILITY_LABELS = {
+  'terminal:attach': '查看终端',
+  'terminal:input': '终端输入',
+  'terminal:spawn': '创建与管理会话',
+  'fs:read': '读取文件',
+  'fs:write': '写入文件',
+  'system:read': '查看系统状态',
+  'system:manage': '推送与进程信号',
+  'auth:read': '查看登录设备',
+  'auth:manage': '管理设备与令牌'
+};
+const CAPABILITIES = Object.keys(CAPABILITY_LABELS);
+const SCOPE_CAPABILITIES = {
+  admin: CAPABILITIES,
+  readonly: ['terminal:attach', 'fs:read', 'system:read', 'auth:read']
+};
+
+function decodeBase64Url(base64Url) {
+  if (typeof base64Url !== 'string' || !base64Url) {
+    return '';
+  }
+  const normalized = base64Url.replace(/-/g, '+').replace(/_/g, '/');
+  const padLength = (4 - (normalized.length % 4)) % 4;
+  const padded = `${normalized}${'='.repeat(padLength)}`;
+  if (typeof atob !== 'function') {
+    return '';
+  }
+  try {
+    return atob(padded);
+  } catch {
+    return '';
+  }
+}
+
+export function scopeGrants(scope) {
+  const capabilities = SCOPE_CAPABILITIES[scope] || [];
+  return Object.fromEntries(capabilities.map((capability) => [capability, true]));
+}
+
+function normalizeGrants(input, scope) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return null;
+  }
+  const grants = {};
+  Object.entries(input).forEach(([capability, value]) => {
+    if (!SCOPE_CAPABILITIES[scope].includes(capability)) {
+      return;
+    }
+    if (value === true) {
+      grants[capability] = true;
+    } else if (Array.isArray(value)) {
+      grants[capability] = value.filter((prefix) => typeof prefix === 'string');
+    }
+  });
+  return grants;
+}
+
+// `narrowed` is set when the token carries fewer capabilities than its scope would.
+export function readAccessTokenClaims(token) {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+  const parts = token.split('.');
+  if (parts.length !== 3 || parts[0] !== 'v1') {
+    return null;
+  }
+  const payloadJson = decodeBase64Url(parts[1]);
+  if (!payloadJson) {
+    return null;
+  }
+  try {
+    const parsed = JSON.parse(payloadJson);
+    const scope = parsed && typeof parsed === 'object' ? parsed.scope : '';
+    if (scope !== 'admin' && scope !== 'readonly') {
+      return null;
+    }
+    const grants = normalizeGrants(parsed.grants, scope);
+    return { scope, grants: grants || scopeGrants(scope), narrowed: !!grants };
+  } catch {
+    return null;
+  }
+}
+
+function normalizeGrantPath(value) {
+  const trimmed = String(value ?? '')
+    .trim()
+    .replace(/^\.\/+/, '')
+    .replace(/\/+$/, '');
+  return !trimmed || trimmed === '/' ? '.' : trimmed;
+}
+
+// Without `targetPath` a path-limited grant counts as held somewhere.
+export function hasGrant(grants, capability, targetPath) {
+  const grant = grants ? grants[capability] : undefined;
+  if (grant === true) {
+    return true;
+  }
+  if (!Array.isArray(grant) || grant.length === 0) {
+    return false;
+  }
+  if (targetPath === undefined) {
+    return true;
+  }
+  const target = normalizeGrantPath(targetPath);
+  return grant.some((prefix) => target === prefix || target.startsWith(`${prefix}/`));
+}
+
+// Falls back to the first readable prefix so a path-limited token does not open the file browser on a 403.
+export function resolveReadablePath(grants, targetPath) {
+  if (!grants || hasGrant(grants, 'fs:read', targetPath)) {
+    return targetPath;
+  }
+  const grant = grants['fs:read'];
+  return Array.isArray(grant) && grant.length > 0 ? grant[0] : targetPath;
+}
+
+// One line per held capability, in display order, e.g. `读取文件：src、docs`.
+export function describeGrants(grants) {
+  return CAPABILITIES.filter((capability) => hasGrant(grants, capability)).map((capability) => {
+    const grant = grants[capability];
+    const label = CAPABILITY_LABELS[capability];
+    return Array.isArray(grant) ? `${label}：${grant.join('、')}` : label;
+  });
+}
+
+export function describeTokenAccess(claims) {
+  if (!claims) {
+    return '';
+  }
+  const scope = claims.scope === 'readonly' ? '只读' : '管理员';
+  return claims.narrowed ? `${scope} · 受限` : scope;
+}
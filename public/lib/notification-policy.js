@@ -0,0 +1,67 @@
+export const NOTIFICATION_HISTORY_LIMIT = 50;
+export const COMMAND_NOTIFY_MIN_DURATION_MS = 10000;
+
+const NOTIFICATION_COMMAND_PREVIEW_LENGTH = 80;
+
+export function formatCommandDuration(durationMs) {
+  const ms = Number.isFinite(durationMs) && durationMs > 0 ? Math.round(durationMs) : 0;
+  if (ms < 1000) {
+    return `${ms}ms`;
+  }
+  const totalSeconds = Math.floor(ms / 1000);
+  if (totalSeconds < 60) {
+    return `${totalSeconds}s`;
+  }
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) {
+    return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  }
+  return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+}
+
+// Short commands are noise: only runs that took long enough for the user to look away are surfaced.
+export function shouldNotifyCommandFinished(event, minDurationMs = COMMAND_NOTIFY_MIN_DURATION_MS) {
+  return !!event && Number.isFinite(event.durationMs) && event.durationMs >= minDurationMs;
+}
+
+function previewCommand(command) {
+  const text = typeof command === 'string' ? command.trim() : '';
+  if (text.length <= NOTIFICATION_COMMAND_PREVIEW_LENGTH) {
+    return text;
+  }
+  return `${text.slice(0, NOTIFICATION_COMMAND_PREVIEW_LENGTH - 1)}…`;
+}
+
+export function buildCommandNotification(event) {
+  const exitCode = Number.isInteger(event.exitCode) ? event.exitCode : null;
+  const status = exitCode === null ? '已结束' : exitCode === 0 ? '成功' : `失败（退出码 ${exitCode}）`;
+  return {
+    kind: 'command',
+    sessionId: event.sessionId,
+    title: previewCommand(event.command) || '命令',
+    body: `${status} · 用时 ${formatCommandDuration(event.durationMs)}`,
+    tone: exitCode === null ? 'info' : exitCode === 0 ? 'success' : 'warn',
+    at: typeof event.finishedAt === 'string' && event.finishedAt ? event.finishedAt : new Date().toISOString()
+  };
+}
+
+export function buildShellNotification(event) {
+  const title = typeof event.title === 'string' ? event.title.trim() : '';
+  const body = typeof event.body === 'string' ? event.body.trim() : '';
+  return {
+    kind: 'notify',
+    sessionId: event.sessionId,
+    title: title || body || '终端通知',
+    body: title ? body : '',
+    tone: 'info',
+    at: new Date().toISOString()
+  };
+}
+
+// Newest first, capped so a chatty session cannot grow the list without bound.
+export function appendNotification(list, entry, limit = NOTIFICATION_HISTORY_LIMIT) {
+  const safeList = Array.isArray(list) ? list : [];
+  return [entry, ...safeList].slice(0, Math.max(1, limit));
+}
@@ -0,0 +1,90 @@
+// The server speaks base64url JSON; navigator.credentials wants ArrayBuffers.
+export function base64UrlToBytes(value) {
+  const base64 = String(value).replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+export function bytesToBase64Url(value) {
+  const bytes = value instanceof Uint8Array ? value : new Uint8Array(value);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 1) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function toDescriptor(entry) {
+  return { ...entry, id: base64UrlToBytes(entry.id) };
+}
+
+export function toCreationOptions(options) {
+  return {
+    ...options,
+    challenge: base64UrlToBytes(options.challenge),
+    user: { ...options.user, id: base64UrlToBytes(options.user.id) },
+    excludeCredentials: (options.excludeCredentials || []).map(toDescriptor)
+  };
+}
+
+export function toRequestOptions(options) {
+  return {
+    ...options,
+    challenge: base64UrlToBytes(options.challenge),
+    allowCredentials: (options.allowCredentials || []).map(toDescriptor)
+  };
+}
+
+// Same shape as PublicKeyCredential#toJSON(), which older Safari builds lack.
+export function serializeCredential(credential) {
+  const { response } = credential;
+  const serialized = {
+    id: credential.id,
+    rawId: bytesToBase64Url(credential.rawId),
+    type: credential.type,
+    response: {
+      clientDataJSON: bytesToBase64Url(response.clientDataJSON)
+    }
+  };
+  if (response.attestationObject) {
+    serialized.response.attestationObject = bytesToBase64Url(response.attestationObject);
+    serialized.response.transports = typeof response.getTransports === 'function' ? response.getTransports() : [];
+  }
+  if (response.authenticatorData) {
+    serialized.response.authenticatorData = bytesToBase64Url(response.authenticatorData);
+    serialized.response.signature = bytesToBase64Url(response.signature);
+    if (response.userHandle) {
+      serialized.response.userHandle = bytesToBase64Url(response.userHandle);
+    }
+  }
+  return serialized;
+}
+
+export function isPasskeySupported(win) {
+  return !!(win && win.isSecureContext && win.PublicKeyCredential && win.navigator && win.navigator.credentials);
+}
+
+export function describePasskeyFailure(reason) {
+  switch (reason) {
+    case 'invalid_origin':
+      return '当前地址不支持通行密钥，请使用 HTTPS 域名或 localhost 访问';
+    case 'unknown_credential':
+      return '通行密钥未注册或已被删除';
+    case 'already_registered':
+      return '该通行密钥已添加';
+    case 'challenge_invalid':
+      return '验证已超时，请重试';
+    case 'user_verification_required':
+      return '需要通过生物识别或设备密码验证';
+    case 'unsupported_algorithm':
+      return '该认证器的密钥类型不受支持';
+    case 'sign_count_regressed':
+      return '通行密钥计数异常，可能已被复制，请删除后重新添加';
+    default:
+      return '通行密钥验证失败';
+  }
+}
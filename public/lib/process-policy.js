@@ -0,0 +1,85 @@
+export const PROCESS_SORT_KEYS = ['cpu', 'rss', 'pid', 'start', 'user', 'command'];
+export const PROCESS_SIGNALS = ['TERM', 'KILL', 'STOP', 'CONT'];
+export const PROCESS_SIGNAL_LABELS = {
+  TERM: '结束',
+  KILL: '强制结束',
+  STOP: '暂停',
+  CONT: '继续'
+};
+
+const PROCESS_SORT_FIELDS = {
+  cpu: (entry) => entry.cpuPercent,
+  rss: (entry) => entry.rssBytes,
+  pid: (entry) => entry.pid,
+  start: (entry) => Date.parse(entry.startedAt) || 0,
+  user: (entry) => entry.user,
+  command: (entry) => entry.command
+};
+
+export function normalizeProcessSortKey(value) {
+  return PROCESS_SORT_KEYS.includes(value) ? value : 'cpu';
+}
+
+// Numbers people scan for the biggest consumers start high; names and pids read top-down.
+export function defaultProcessSortDirection(key) {
+  return key === 'cpu' || key === 'rss' || key === 'start' ? 'desc' : 'asc';
+}
+
+export function sortProcesses(list, key, direction) {
+  const sortKey = normalizeProcessSortKey(key);
+  const readField = PROCESS_SORT_FIELDS[sortKey];
+  const factor = (direction || defaultProcessSortDirection(sortKey)) === 'asc' ? 1 : -1;
+  return (Array.isArray(list) ? list : []).slice().sort((left, right) => {
+    const a = readField(left);
+    const b = readField(right);
+    const compared = typeof a === 'string' || typeof b === 'string' ? String(a).localeCompare(String(b)) : a - b;
+    return compared * factor || left.pid - right.pid;
+  });
+}
+
+export function processSignalNeedsConfirm(signal) {
+  return signal === 'TERM' || signal === 'KILL';
+}
+
+export function formatProcessStart(startedAt, now = new Date()) {
+  const date = new Date(startedAt);
+  if (Number.isNaN(date.getTime())) {
+    return '-';
+  }
+  const pad = (value) => String(value).padStart(2, '0');
+  if (date.toDateString() === now.toDateString()) {
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+  return `${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function describeProcessState(state) {
+  if (state === 'R') {
+    return '运行';
+  }
+  if (state === 'S' || state === 'I') {
+    return '休眠';
+  }
+  if (state === 'D') {
+    return '等待 I/O';
+  }
+  if (state === 'T' || state === 't') {
+    return '已暂停';
+  }
+  if (state === 'Z') {
+    return '僵尸';
+  }
+  return state || '-';
+}
+
+export function formatProcessMemory(bytes) {
+  const value = Number(bytes);
+  if (!Number.isFinite(value) || value <= 0) {
+    return '-';
+  }
+  const mb = value / (1024 * 1024);
+  if (mb >= 1024) {
+    return `${(mb / 1024).toFixed(1)}G`;
+  }
+  return mb >= 10 ? `${Math.round(mb)}M` : `${mb.toFixed(1)}M`;
+}
@@ -0,0 +1,233 @@
+import { DOM, State, apiUrl, authedFetch } from './state.js';
+import {
+  PROCESS_SIGNALS,
+  PROCESS_SIGNAL_LABELS,
+  defaultProcessSortDirection,
+  describeProcessState,
+  formatProcessMemory,
+  formatProcessStart,
+  normalizeProcessSortKey,
+  processSignalNeedsConfirm,
+  sortProcesses
+} from './process-policy.js';
+
+const PROCESS_POLL_INTERVAL_MS = 5_000;
+const PROCESS_RENDER_LIMIT = 200;
+
+async function readErrorMessage(response) {
+  try {
+    const payload = await response.json();
+    return payload && payload.error ? payload.error : `HTTP ${response.status}`;
+  } catch {
+    return `HTTP ${response.status}`;
+  }
+}
+
+export function createProcesses({ toast }) {
+  let processes = [];
+  let sortKey = 'cpu';
+  let sortDirection = defaultProcessSortDirection('cpu');
+  let sessionOnly = false;
+  let filteredSessionId = '';
+  let expandedPid = 0;
+  let pollTimer = 0;
+  let loading = false;
+
+  function isVisible() {
+    return document.visibilityState === 'visible' && !!DOM.dock && DOM.dock.classList.contains('is-expanded');
+  }
+
+  async function refresh() {
+    if (loading || !State.token) {
+      return;
+    }
+    const sessionId = sessionOnly ? State.currentSessionId : '';
+    if (sessionOnly && !sessionId) {
+      processes = [];
+      filteredSessionId = '';
+      render();
+      return;
+    }
+    loading = true;
+    try {
+      const query = sessionId ? `?session=${encodeURIComponent(sessionId)}` : '';
+      const response = await authedFetch(apiUrl(`/api/processes${query}`));
+      if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+      }
+      const payload = await response.json();
+      processes = Array.isArray(payload.processes) ? payload.processes : [];
+      filteredSessionId = sessionId;
+      render();
+    } catch (error) {
+      DOM.processSummary.textContent = `进程列表加载失败: ${error instanceof Error ? error.message : 'unknown'}`;
+    } finally {
+      loading = false;
+    }
+  }
+
+  function schedule() {
+    if (pollTimer) {
+      window.clearTimeout(pollTimer);
+    }
+    pollTimer = window.setTimeout(async () => {
+      pollTimer = 0;
+      if (isVisible()) {
+        await refresh();
+      }
+      schedule();
+    }, PROCESS_POLL_INTERVAL_MS);
+  }
+
+  async function sendSignal(entry, signal) {
+    const label = PROCESS_SIGNAL_LABELS[signal];
+    if (processSignalNeedsConfirm(signal) && !window.confirm(`确认${label} ${entry.pid} (${entry.name})？`)) {
+      return;
+    }
+    try {
+      const response = await authedFetch(apiUrl(`/api/processes/${entry.pid}/signal`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ signal })
+      });
+      if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+      }
+      toast.show(`已向 ${entry.pid} 发送 SIG${signal}`, 'success');
+    } catch (error) {
+      toast.show(`${label}失败: ${error instanceof Error ? error.message : 'unknown'}`, 'danger');
+    }
+    void refresh();
+  }
+
+  function renderSortButtons() {
+    DOM.processSort.querySelectorAll('[data-sort]').forEach((button) => {
+      const active = button.dataset.sort === sortKey;
+      button.classList.toggle('is-active', active);
+      button.setAttribute('aria-pressed', active ? 'true' : 'false');
+      const arrow = active ? (sortDirection === 'asc' ? ' ↑' : ' ↓') : '';
+      button.textContent = `${button.dataset.label}${arrow}`;
+    });
+  }
+
+  function renderActions(entry) {
+    const actions = document.createElement('div');
+    actions.className = 'process-actions';
+    const meta = document.createElement('span');
+    meta.className = 'process-meta';
+    meta.textContent = `父进程 ${entry.ppid} · ${describeProcessState(entry.state)}`;
+    actions.appendChild(meta);
+    PROCESS_SIGNALS.forEach((signal) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = signal === 'KILL' ? 'btn process-signal-btn is-danger' : 'btn process-signal-btn';
+      button.textContent = PROCESS_SIGNAL_LABELS[signal];
+      button.disabled = State.watchOnly;
+      button.title = State.watchOnly ? '只读令牌不可发送信号' : `SIG${signal}`;
+      button.addEventListener('click', (event) => {
+        event.stopPropagation();
+        void sendSignal(entry, signal);
+      });
+      actions.appendChild(button);
+    });
+    return actions;
+  }
+
+  function render() {
+    renderSortButtons();
+    const sorted = sortProcesses(processes, sortKey, sortDirection);
+    const now = new Date();
+    const fragment = document.createDocumentFragment();
+    sorted.slice(0, PROCESS_RENDER_LIMIT).forEach((entry) => {
+      const row = document.createElement('div');
+      row.className = entry.pid === expandedPid ? 'process-row is-expanded' : 'process-row';
+      row.dataset.pid = String(entry.pid);
+      row.setAttribute('role', 'button');
+      row.tabIndex = 0;
+      row.setAttribute('aria-expanded', entry.pid === expandedPid ? 'true' : 'false');
+
+      const cells = [
+        ['process-pid', String(entry.pid)],
+        ['process-user', entry.user],
+        ['process-cpu', `${Number(entry.cpuPercent).toFixed(1)}%`],
+        ['process-rss', formatProcessMemory(entry.rssBytes)],
+        ['process-start', formatProcessStart(entry.startedAt, now)],
+        ['process-command', entry.command]
+      ];
+      cells.forEach(([className, text]) => {
+        const cell = document.createElement('span');
+        cell.className = className;
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      row.title = entry.command;
+      if (entry.pid === expandedPid) {
+        row.appendChild(renderActions(entry));
+      }
+      fragment.appendChild(row);
+    });
+    DOM.processList.replaceChildren(fragment);
+
+    const scope = filteredSessionId ? '当前会话' : '全部';
+    const hidden = sorted.length > PROCESS_RENDER_LIMIT ? `，仅显示前 ${PROCESS_RENDER_LIMIT} 个` : '';
+    DOM.processSummary.textContent =
+      sessionOnly && !State.currentSessionId ? '没有活跃会话' : `${scope} ${sorted.length} 个进程${hidden}`;
+  }
+
+  function toggleRow(pid) {
+    expandedPid = expandedPid === pid ? 0 : pid;
+    render();
+  }
+
+  return {
+    init() {
+      if (!DOM.processPanel) {
+        return;
+      }
+      DOM.processSort.addEventListener('click', (event) => {
+        const button = event.target instanceof Element ? event.target.closest('[data-sort]') : null;
+        if (!button) {
+          return;
+        }
+        const nextKey = normalizeProcessSortKey(button.dataset.sort);
+        if (nextKey === sortKey) {
+          sortDirection = sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+          sortKey = nextKey;
+          sortDirection = defaultProcessSortDirection(nextKey);
+        }
+        render();
+      });
+      DOM.processList.addEventListener('click', (event) => {
+        const row = event.target instanceof Element ? event.target.closest('.process-row') : null;
+        if (row) {
+          toggleRow(Number(row.dataset.pid));
+        }
+      });
+      DOM.processList.addEventListener('keydown', (event) => {
+        const row = event.target instanceof Element ? event.target.closest('.process-row') : null;
+        if (row && event.target === row && (event.key === 'Enter' || event.key === ' ')) {
+          event.preventDefault();
+          toggleRow(Number(row.dataset.pid));
+        }
+      });
+      DOM.processSessionFilter.addEventListener('change', () => {
+        sessionOnly = DOM.processSessionFilter.checked;
+        expandedPid = 0;
+        void refresh();
+      });
+      DOM.processRefreshBtn.addEventListener('click', () => {
+        void refresh();
+      });
+      render();
+      void refresh();
+      schedule();
+    },
+    onActiveSessionChanged() {
+      if (sessionOnly && DOM.processPanel) {
+        expandedPid = 0;
+        void refresh();
+      }
+    }
+  };
+}
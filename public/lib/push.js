@@ -0,0 +1,171 @@
+import { DOM, State, apiUrl, authedFetch } from './state.js';
+
+function decodeApplicationServerKey(value) {
+  const base64 = `${value}${'='.repeat((4 - (value.length % 4)) % 4)}`.replace(/-/g, '+').replace(/_/g, '/');
+  const raw = atob(base64);
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+}
+
+function sameKey(buffer, expected) {
+  if (!buffer) {
+    return false;
+  }
+  const actual = new Uint8Array(buffer);
+  return actual.length === expected.length && actual.every((byte, index) => byte === expected[index]);
+}
+
+async function readErrorMessage(response) {
+  try {
+    const payload = await response.json();
+    return payload && payload.error ? payload.error : `HTTP ${response.status}`;
+  } catch {
+    return `HTTP ${response.status}`;
+  }
+}
+
+export function createPush({ toast }) {
+  let registration = null;
+  let subscription = null;
+  let serverKey = null;
+  let busy = false;
+
+  function supported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+  }
+
+  function render() {
+    const button = DOM.prefPushBtn;
+    if (!button) {
+      return;
+    }
+    if (!supported()) {
+      button.textContent = '不支持';
+      button.disabled = true;
+      button.title = '当前浏览器不支持推送；iOS 需先添加到主屏幕';
+      return;
+    }
+    button.textContent = subscription ? '已开启' : '开启';
+    button.setAttribute('aria-pressed', subscription ? 'true' : 'false');
+    button.disabled = busy || State.watchOnly;
+    button.title = State.watchOnly ? '只读令牌不可订阅推送' : subscription ? '点击关闭后台推送' : '会话退出、终端通知、磁盘空间不足时推送到本设备';
+  }
+
+  async function fetchServerKey() {
+    if (serverKey) {
+      return serverKey;
+    }
+    const response = await authedFetch(apiUrl('/api/push/vapid-public-key'));
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response));
+    }
+    const payload = await response.json();
+    serverKey = decodeApplicationServerKey(payload.publicKey);
+    return serverKey;
+  }
+
+  async function saveSubscription(nextSubscription) {
+    const response = await authedFetch(apiUrl('/api/push/subscriptions'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ subscription: nextSubscription.toJSON(), label: State.deviceLabel })
+    });
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response));
+    }
+  }
+
+  async function enable() {
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      toast.show('未获得通知权限，无法开启推送', 'warn');
+      return;
+    }
+    const applicationServerKey = await fetchServerKey();
+    const nextSubscription = await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey });
+    try {
+      await saveSubscription(nextSubscription);
+    } catch (error) {
+      await nextSubscription.unsubscribe().catch(() => undefined);
+      throw error;
+    }
+    subscription = nextSubscription;
+    toast.show('后台推送已开启', 'success');
+  }
+
+  async function disable() {
+    const current = subscription;
+    subscription = null;
+    await authedFetch(apiUrl('/api/push/subscriptions'), {
+      method: 'DELETE',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ endpoint: current.endpoint })
+    }).catch(() => undefined);
+    await current.unsubscribe().catch(() => undefined);
+    toast.show('后台推送已关闭', 'info');
+  }
+
+  async function toggle() {
+    if (busy) {
+      return;
+    }
+    if (!registration) {
+      toast.show('离线缓存未就绪，暂无法开启推送', 'warn');
+      return;
+    }
+    busy = true;
+    render();
+    try {
+      if (subscription) {
+        await disable();
+      } else {
+        await enable();
+      }
+    } catch (error) {
+      toast.show(`推送设置失败: ${error instanceof Error ? error.message : 'unknown'}`, 'danger');
+    } finally {
+      busy = false;
+      render();
+    }
+  }
+
+  // Re-registers an existing browser subscription so a server that lost its store (or rotated its
+  // VAPID keys) does not silently stop pushing to this device.
+  async function sync() {
+    registration = await navigator.serviceWorker.ready;
+    const current = await registration.pushManager.getSubscription();
+    if (!current || Notification.permission !== 'granted' || State.watchOnly) {
+      subscription = null;
+      return;
+    }
+    const applicationServerKey = await fetchServerKey();
+    if (!sameKey(current.options && current.options.applicationServerKey, applicationServerKey)) {
+      await current.unsubscribe().catch(() => undefined);
+      subscription = null;
+      return;
+    }
+    await saveSubscription(current);
+    subscription = current;
+  }
+
+  return {
+    init() {
+      if (!DOM.prefPushBtn) {
+        return;
+      }
+      DOM.prefPushBtn.addEventListener('click', () => {
+        void toggle();
+      });
+      render();
+      if (!supported()) {
+        return;
+      }
+      sync()
+        .catch(() => {
+          subscription = null;
+        })
+        .finally(() => {
+          render();
+        });
+    }
+  };
+}
@@ -15,10 +15,13 @@ export const DOM = {
   sideActionsToggle: document.getElementById('side-actions-toggle'),
   sideActionsMenu: document.getElementById('side-actions-menu'),
   spawnSessionBtn: document.getElementById('spawn-session-btn'),
+  launchProfiles: document.getElementById('launch-profiles'),
+  watchBadge: document.getElementById('watch-badge'),
   dock: document.getElementById('dock'),
   dockHandle: document.getElementById('dock-handle'),
   quickKeysToggle: document.getElementById('quick-keys-toggle'),
   sessionTabs: document.getElementById('session-tabs'),
+  sessionWindows: document.getElementById('session-windows'),
   quickKeys: document.getElementById('quick-keys'),
   filesPath: document.getElementById('files-path'),
   filesScopePill: document.getElementById('files-scope-pill'),
@@ -31,6 +34,46 @@ export const DOM = {
   filesMkdirBtn: document.getElementById('files-mkdir-btn'),
   filesUploadBtn: document.getElementById('files-upload-btn'),
   filesUploadInput: document.getElementById('files-upload-input'),
+  filesUploads: document.getElementById('files-uploads'),
+  filesSelectBtn: document.getElementById('files-select-btn'),
+  filesSelectionBar: document.getElementById('files-selection-bar'),
+  filesSelectionCount: document.getElementById('files-selection-count'),
+  filesTrashBtn: document.getElementById('files-trash-btn'),
+  filesTrashPanel: document.getElementById('files-trash-panel'),
+  filesTrashSummary: document.getElementById('files-trash-summary'),
+  filesTrashEmptyBtn: document.getElementById('files-trash-empty-btn'),
+  filesTrashCloseBtn: document.getElementById('files-trash-close-btn'),
+  filesTrashList: document.getElementById('files-trash-list'),
+  filesGitBtn: document.getElementById('files-git-btn'),
+  filesGitPanel: document.getElementById('files-git-panel'),
+  filesGitSummary: document.getElementById('files-git-summary'),
+  filesGitCloseBtn: document.getElementById('files-git-close-btn'),
+  filesGitList: document.getElementById('files-git-list'),
+  filesGitCommitForm: document.getElementById('files-git-commit-form'),
+  filesGitMessage: document.getElementById('files-git-message'),
+  filesGitCommitBtn: document.getElementById('files-git-commit-btn'),
+  filesGitStashBtn: document.getElementById('files-git-stash-btn'),
+  filesGitStashPopBtn: document.getElementById('files-git-stash-pop-btn'),
+  filesDeepSearchBtn: document.getElementById('files-deep-search-btn'),
+  filesSearchPanel: document.getElementById('files-search-panel'),
+  filesSearchForm: document.getElementById('files-search-form'),
+  filesSearchName: document.getElementById('files-search-name'),
+  filesSearchContent: document.getElementById('files-search-content'),
+  filesSearchRegex: document.getElementById('files-search-regex'),
+  filesSearchCase: document.getElementById('files-search-case'),
+  filesSearchGitignore: document.getElementById('files-search-gitignore'),
+  filesSearchSubmitBtn: document.getElementById('files-search-submit-btn'),
+  filesSearchCloseBtn: document.getElementById('files-search-close-btn'),
+  filesSearchSummary: document.getElementById('files-search-summary'),
+  filesSearchResults: document.getElementById('files-search-results'),
+  filesSelectAllBtn: document.getElementById('files-select-all-btn'),
+  filesSelectPatternBtn: document.getElementById('files-select-pattern-btn'),
+  filesBatchCopyBtn: document.getElementById('files-batch-copy-btn'),
+  filesBatchMoveBtn: document.getElementById('files-batch-move-btn'),
+  filesBatchDeleteBtn: document.getElementById('files-batch-delete-btn'),
+  filesArchiveZipBtn: document.getElementById('files-archive-zip-btn'),
+  filesArchiveTgzBtn: document.getElementById('files-archive-tgz-btn'),
+  filesSelectionCancelBtn: document.getElementById('files-selection-cancel-btn'),
   filesEditorDialog: document.getElementById('files-editor-dialog'),
   filesSearchInput: document.getElementById('files-search-input'),
   filesEditorPath: document.getElementById('files-editor-path'),
@@ -38,6 +81,8 @@ export const DOM = {
   filesMdToggleBtn: document.getElementById('files-md-toggle-btn'),
   filesMdPreview: document.getElementById('files-md-preview'),
   filesImgPreview: document.getElementById('files-img-preview'),
+  filesCastPlayer: document.getElementById('files-cast-player'),
+  filesEditorDiffBtn: document.getElementById('files-editor-diff-btn'),
   filesEditorSaveBtn: document.getElementById('files-editor-save-btn'),
   filesEditorCancelBtn: document.getElementById('files-editor-cancel-btn'),
   monitorPanel: document.getElementById('monitor-panel'),
@@ -56,16 +101,45 @@ export const DOM = {
   monitorJitterText: document.getElementById('monitor-jitter-text'),
   monitorLossText: document.getElementById('monitor-loss-text'),
   monitorProfileText: document.getElementById('monitor-profile-text'),
+  processPanel: document.getElementById('process-panel'),
+  processSessionFilter: document.getElementById('process-session-filter'),
+  processRefreshBtn: document.getElementById('process-refresh-btn'),
+  processSort: document.getElementById('process-sort'),
+  processList: document.getElementById('process-list'),
+  processSummary: document.getElementById('process-summary'),
+  devicesPanel: document.getElementById('devices-panel'),
+  devicesRefreshBtn: document.getElementById('devices-refresh-btn'),
+  devicesPairBtn: document.getElementById('devices-pair-btn'),
+  devicesRotateBtn: document.getElementById('devices-rotate-btn'),
+  devicesPairing: document.getElementById('devices-pairing'),
+  devicesPairingCode: document.getElementById('devices-pairing-code'),
+  devicesPairingMeta: document.getElementById('devices-pairing-meta'),
+  devicesPairingCopyBtn: document.getElementById('devices-pairing-copy-btn'),
+  devicesList: document.getElementById('devices-list'),
+  devicesSummary: document.getElementById('devices-summary'),
+  devicesPasskeyAddBtn: document.getElementById('devices-passkey-add-btn'),
+  devicesPasskeysList: document.getElementById('devices-passkeys-list'),
+  devicesGrantsScope: document.getElementById('devices-grants-scope'),
+  devicesGrantsList: document.getElementById('devices-grants-list'),
   prefThemeSelect: document.getElementById('pref-theme'),
   prefContrastSelect: document.getElementById('pref-contrast'),
   prefMotionSelect: document.getElementById('pref-motion'),
   prefTransparencySelect: document.getElementById('pref-transparency'),
-  toastRoot: document.getElementById('toast-root')
+  prefPushBtn: document.getElementById('pref-push-btn'),
+  toastRoot: document.getElementById('toast-root'),
+  notificationToggle: document.getElementById('notification-toggle'),
+  notificationCount: document.getElementById('notification-count'),
+  notificationPanel: document.getElementById('notification-panel'),
+  notificationList: document.getElementById('notification-list'),
+  notificationEmpty: document.getElementById('notification-empty'),
+  notificationClearBtn: document.getElementById('notification-clear-btn')
 };
 
 export const TOKEN_STORAGE_KEY = 'c2p_token';
 export const TOKEN_EXPIRES_AT_STORAGE_KEY = 'c2p_token_expires_at';
 export const TERMINAL_FONT_SIZE_STORAGE_KEY = 'c2p_terminal_font_size';
+export const DEVICE_ID_STORAGE_KEY = 'c2p_device_id';
+export const TOTP_TICKET_STORAGE_KEY = 'c2p_totp_ticket';
 const FEATURE_FLAGS_QUERY_KEY = 'flags';
 const FEATURE_FLAGS_STORAGE_KEY = 'flags';
 
@@ -267,6 +341,30 @@ export function readPersistedAccessToken() {
   };
 }
 
+// Device ids outlive tokens (and tabs) so re-pairing this browser keeps the same entry in the devices list.
+export function persistDeviceId(deviceId) {
+  if (typeof deviceId === 'string' && /^[a-f0-9]{32}$/.test(deviceId)) {
+    safeStorageSet(window.localStorage, DEVICE_ID_STORAGE_KEY, deviceId);
+  }
+}
+
+export function readPersistedDeviceId() {
+  const value = safeStorageGet(window.localStorage, DEVICE_ID_STORAGE_KEY);
+  return /^[a-f0-9]{32}$/.test(value) ? value : '';
+}
+
+// Proof that this device entered a TOTP code recently; the server decides how long it stays valid.
+export function persistTotpTicket(ticket) {
+  if (typeof ticket === 'string' && /^[A-Za-z0-9_-]{43}$/.test(ticket)) {
+    safeStorageSet(window.localStorage, TOTP_TICKET_STORAGE_KEY, ticket);
+  }
+}
+
+export function readPersistedTotpTicket() {
+  const value = safeStorageGet(window.localStorage, TOTP_TICKET_STORAGE_KEY);
+  return /^[A-Za-z0-9_-]{43}$/.test(value) ? value : '';
+}
+
 export const SIGNAL_STATES = ['is-online', 'is-warn', 'is-offline'];
 export const QUICK_KEY_SEQUENCES = {
   'ctrl-c': '\x03',
@@ -351,12 +449,59 @@ export const WebglAddonCtor =
   (window.WebglAddon && window.WebglAddon.default) ||
   window.WebglAddon;
 
+function createClientInstanceId() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+const DEVICE_LABEL_PATTERNS = [
+  [/iPad/, 'iPad'],
+  [/iPhone/, 'iPhone'],
+  [/Android/, 'Android'],
+  [/Mac OS X/, 'Mac'],
+  [/Windows/, 'Windows'],
+  [/Linux/, 'Linux']
+];
+const BROWSER_LABEL_PATTERNS = [
+  [/Edg\//, 'Edge'],
+  [/Firefox\//, 'Firefox'],
+  [/Chrome\//, 'Chrome'],
+  [/Safari\//, 'Safari']
+];
+
+// A short "device · browser" label shown to other viewers of the same session.
+function resolveDeviceLabel() {
+  const ua = navigator.userAgent || '';
+  const device = DEVICE_LABEL_PATTERNS.find(([pattern]) => pattern.test(ua));
+  const browser = BROWSER_LABEL_PATTERNS.find(([pattern]) => pattern.test(ua));
+  const deviceLabel = device ? device[1] : '设备';
+  return browser ? `${deviceLabel} · ${browser[1]}` : deviceLabel;
+}
+
+// Set when the app is opened from a push notification (`/?session=<id>`).
+function readRequestedSessionId() {
+  try {
+    const params = new URLSearchParams(window.location.search || '');
+    return (params.get('session') || '').trim();
+  } catch {
+    return '';
+  }
+}
+
 export const State = {
   token: '',
+  clientId: createClientInstanceId(),
+  // Presence and the input lock refer to this browser by the id the server derives at auth, not by `clientId`.
+  viewerId: '',
+  deviceLabel: resolveDeviceLabel(),
   tokenExpiresAt: '',
   tokenRefreshTimer: 0,
   tokenWarningTimer: 0,
   controlConnectedOnce: false,
+  watchOnly: false,
+  inputLockedSessions: new Set(),
   controlSocket: null,
   terminalSocket: null,
   terminal: null,
@@ -395,6 +540,7 @@ export const State = {
   reconnectDelayMs: 1000,
   reconnectTimer: 0,
   initialSessionsReceived: false,
+  requestedSessionId: readRequestedSessionId(),
   currentSessionId: '',
   cwd: '',
   terminalFontSize: 14,
@@ -430,7 +576,11 @@ export function normalizeSessionEntry(entry) {
     return {
       id: entry,
       cli: '',
-      cwd: ''
+      cwd: '',
+      name: '',
+      color: '',
+      tags: [],
+      recording: ''
     };
   }
   if (typeof entry !== 'object') {
@@ -443,7 +593,11 @@ export function normalizeSessionEntry(entry) {
   return {
     id,
     cli: typeof entry.cli === 'string' ? entry.cli : '',
-    cwd: typeof entry.cwd === 'string' ? entry.cwd : ''
+    cwd: typeof entry.cwd === 'string' ? entry.cwd : '',
+    name: typeof entry.name === 'string' ? entry.name.trim() : '',
+    color: typeof entry.color === 'string' && /^#[0-9a-f]{3,6}$/i.test(entry.color) ? entry.color : '',
+    tags: Array.isArray(entry.tags) ? entry.tags.filter((tag) => typeof tag === 'string' && tag) : [],
+    recording: typeof entry.recording === 'string' ? entry.recording : ''
   };
 }
 
@@ -456,6 +610,12 @@ export function readTokenFromHash() {
   return params.get('token') || '';
 }
 
+// One-time pairing links: `/#pair=<token>`.
+export function readPairingFromHash() {
+  const hash = window.location.hash.replace(/^#/, '').trim();
+  return hash.includes('=') ? new URLSearchParams(hash).get('pair') || '' : '';
+}
+
 export function apiUrl(path) {
   return new URL(path, window.location.origin).toString();
 }
@@ -498,6 +658,8 @@ export function createWsAuthMessage() {
     type: 'auth',
     token: State.token,
     client: {
+      id: State.clientId,
+      label: State.deviceLabel,
       ua: navigator.userAgent,
       version: 1
     }
@@ -601,6 +763,19 @@ export async function fetchSessionLogBytes(sessionId) {
   }
 }
 
+export async function fetchLaunchProfiles() {
+  try {
+    const response = await authedFetch(apiUrl('/api/profiles'));
+    if (!response.ok) {
+      return [];
+    }
+    const payload = await response.json();
+    return payload && Array.isArray(payload.profiles) ? payload.profiles : [];
+  } catch {
+    return [];
+  }
+}
+
 export async function fetchSessionReplayOffset(sessionId, tailBytes = TERMINAL_REPLAY_TAIL_BYTES) {
   if (!sessionId) {
     return null;
@@ -633,6 +808,33 @@ export async function fetchSessionReplayOffset(sessionId, tailBytes = TERMINAL_R
   }
 }
 
+export async function searchSessionLog(sessionId, query, options = {}) {
+  if (!sessionId || !query) {
+    return null;
+  }
+  const params = new URLSearchParams({ q: query });
+  if (options.regex) {
+    params.set('regex', '1');
+  }
+  if (options.caseSensitive) {
+    params.set('case', '1');
+  }
+  if (Number.isFinite(options.limit) && options.limit > 0) {
+    params.set('limit', String(Math.floor(options.limit)));
+  }
+  const response = await authedFetch(
+    apiUrl(`/api/sessions/${encodeURIComponent(sessionId)}/log/search?${params.toString()}`)
+  );
+  const payload = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error((payload && payload.error) || `HTTP ${response.status}`);
+  }
+  return {
+    matches: payload && Array.isArray(payload.matches) ? payload.matches : [],
+    truncated: !!(payload && payload.truncated)
+  };
+}
+
 export function setActionButtonsEnabled(enabled) {
   void enabled;
 }
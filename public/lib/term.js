@@ -27,6 +27,7 @@ import {
   setSessionOffset,
   persistTerminalFontSize,
   readPersistedTerminalFontSize,
+  searchSessionLog,
   textDecoder,
   textEncoder,
   wsUrl
@@ -34,6 +35,12 @@ import {
 import { extractScrollbackClearSequence } from './terminal-clear-policy.js';
 import { parseInputLineForExplicitClear } from './terminal-input-policy.js';
 import { applyReplayDropBarrier } from './terminal-replay-drop-policy.js';
+import {
+  collectBufferMatches,
+  createTerminalSearchMatcher,
+  resolveAdjacentMatchIndex,
+  resolveInitialMatchIndex
+} from './terminal-search-policy.js';
 import {
   sanitizeInitialAttachData,
   shouldBlockOscColorQueryPayload,
@@ -57,6 +64,13 @@ const TERMINAL_CLEAR_DEBUG_MAX_EVENTS = 400;
 const TERMINAL_CLEAR_DEBUG_EXPORT_MAX_EVENTS = 300;
 const RESIZE_ACK_TIMEOUT_MS = 3000;
 const ENABLE_WEBGL_RENDERER = false;
+const TERMINAL_SEARCH_DEBOUNCE_MS = 120;
+const TERMINAL_SEARCH_MAX_MATCHES = 2000;
+const TERMINAL_SEARCH_DECORATION_WINDOW = 150;
+const TERMINAL_SEARCH_JUMP_IDLE_MS = 180;
+const TERMINAL_SEARCH_LOG_LIMIT = 50;
+const TERMINAL_SEARCH_MATCH_COLOR = '#f9e2af';
+const TERMINAL_SEARCH_ACTIVE_MATCH_COLOR = '#fab387';
 
 function createControlRequestId(prefix) {
   const base = typeof prefix === 'string' && prefix ? prefix : 'req';
@@ -486,7 +500,7 @@ export function createTerm({ getControl, statusBar, toast, onActiveSessionChange
   }
 
   function sendResizeForPane(pane) {
-    if (!pane || !pane.sessionId || !pane.terminal) {
+    if (!pane || !pane.sessionId || !pane.terminal || State.watchOnly) {
       return;
     }
     const cols = pane.terminal.cols;
@@ -643,9 +657,17 @@ export function createTerm({ getControl, statusBar, toast, onActiveSessionChange
     return !!active.closest(`.terminal-pane[data-pane-id="${pane.id}"]`);
   }
 
+  function isPaneInputBlocked(pane) {
+    return State.watchOnly || (!!pane.sessionId && State.inputLockedSessions.has(pane.sessionId));
+  }
+
+  function applyPaneStdinState(pane) {
+    pane.terminal.options.disableStdin = isPaneInputBlocked(pane);
+  }
+
   function sendDataOnPane(pane, data) {
     const socket = pane.socket;
-    if (!socket || socket.readyState !== WebSocket.OPEN || !pane.sessionId || !pane.connected) {
+    if (!socket || socket.readyState !== WebSocket.OPEN || !pane.sessionId || !pane.connected || isPaneInputBlocked(pane)) {
       return false;
     }
     if (!data) {
@@ -985,6 +1007,7 @@ export function createTerm({ getControl, statusBar, toast, onActiveSessionChange
           chunkLogBytes: chunk.logBytes,
           queueEmpty: true
         });
+        schedulePaneSearchJump(pane);
         return;
       }
       logClearDebug('output.write.complete', pane, {
@@ -1113,6 +1136,7 @@ export function createTerm({ getControl, statusBar, toast, onActiveSessionChange
     pane.awaitingAuth = false;
 
     pane.sessionId = sessionId;
+    applyPaneStdinState(pane);
     if (typeof cwd === 'string' && cwd) {
       pane.cwd = cwd;
     }
@@ -1449,6 +1473,475 @@ export function createTerm({ getControl, statusBar, toast, onActiveSessionChange
     }
   }
 
+  function readPaneBufferRows(pane) {
+    const buffer = pane.terminal.buffer && pane.terminal.buffer.active;
+    if (!buffer || typeof buffer.getLine !== 'function') {
+      return [];
+    }
+    const rows = [];
+    for (let row = 0; row < buffer.length; row += 1) {
+      const line = buffer.getLine(row);
+      if (!line) {
+        rows.push({ text: '', isWrapped: false });
+        continue;
+      }
+      const nextLine = row + 1 < buffer.length ? buffer.getLine(row + 1) : null;
+      rows.push({
+        text: line.translateToString(!(nextLine && nextLine.isWrapped)),
+        isWrapped: !!line.isWrapped
+      });
+    }
+    return rows;
+  }
+
+  // Wide characters occupy two cells but one string index, so walk the cells to find the column.
+  function resolveBufferCellColumn(pane, row, stringIndex) {
+    const buffer = pane.terminal.buffer && pane.terminal.buffer.active;
+    const line = buffer && typeof buffer.getLine === 'function' ? buffer.getLine(row) : null;
+    if (!line || typeof line.getCell !== 'function') {
+      return stringIndex;
+    }
+    let consumed = 0;
+    for (let col = 0; col < line.length; col += 1) {
+      const cell = line.getCell(col);
+      if (!cell || cell.getWidth() === 0) {
+        continue;
+      }
+      if (consumed >= stringIndex) {
+        return col;
+      }
+      consumed += Math.max(1, cell.getChars().length);
+    }
+    return Math.min(stringIndex, Math.max(0, pane.terminal.cols - 1));
+  }
+
+  function resolveMatchCells(pane, match) {
+    const col = resolveBufferCellColumn(pane, match.row, match.index);
+    const endCol = resolveBufferCellColumn(pane, match.row, match.index + match.length);
+    const cols = Math.max(1, pane.terminal.cols);
+    const width = endCol > col ? endCol - col : Math.max(1, Math.min(match.length, cols - col));
+    return { col, width };
+  }
+
+  function clearPaneSearchDecorations(pane) {
+    const search = pane && pane.search;
+    if (!search) {
+      return;
+    }
+    search.decorations.forEach((decoration) => {
+      if (decoration && typeof decoration.dispose === 'function') {
+        decoration.dispose();
+      }
+    });
+    search.decorations = [];
+  }
+
+  function renderPaneSearchDecorations(pane) {
+    const search = pane.search;
+    clearPaneSearchDecorations(pane);
+    const terminal = pane.terminal;
+    const buffer = terminal.buffer && terminal.buffer.active;
+    if (
+      !buffer ||
+      typeof terminal.registerMarker !== 'function' ||
+      typeof terminal.registerDecoration !== 'function' ||
+      search.matches.length === 0
+    ) {
+      return;
+    }
+    const cursorRow = buffer.baseY + buffer.cursorY;
+    const anchor = Math.max(0, search.currentIndex);
+    const start = Math.max(0, anchor - TERMINAL_SEARCH_DECORATION_WINDOW);
+    const end = Math.min(search.matches.length, anchor + TERMINAL_SEARCH_DECORATION_WINDOW);
+    for (let index = start; index < end; index += 1) {
+      const match = search.matches[index];
+      const isActive = index === search.currentIndex;
+      try {
+        const marker = terminal.registerMarker(match.row - cursorRow);
+        if (!marker) {
+          continue;
+        }
+        const { col, width } = resolveMatchCells(pane, match);
+        const color = isActive ? TERMINAL_SEARCH_ACTIVE_MATCH_COLOR : TERMINAL_SEARCH_MATCH_COLOR;
+        const decoration = terminal.registerDecoration({
+          marker,
+          x: col,
+          width: Math.max(1, Math.min(width, terminal.cols - col)),
+          backgroundColor: color,
+          foregroundColor: '#1e1e2e',
+          layer: 'top',
+          overviewRulerOptions: { color }
+        });
+        if (decoration) {
+          search.decorations.push(decoration);
+        } else {
+          marker.dispose();
+        }
+      } catch {
+        // Decorations are cosmetic; the selection still marks the active match.
+      }
+    }
+  }
+
+  function renderPaneSearchCount(pane) {
+    const search = pane.search;
+    if (!search.query) {
+      search.countEl.textContent = '';
+      return;
+    }
+    if (search.error) {
+      search.countEl.textContent = search.error;
+      return;
+    }
+    search.countEl.textContent =
+      search.matches.length > 0 ? `${search.currentIndex + 1}/${search.matches.length}` : '0/0';
+  }
+
+  function focusPaneSearchMatch(pane) {
+    const search = pane.search;
+    const match = search.matches[search.currentIndex];
+    renderPaneSearchCount(pane);
+    renderPaneSearchDecorations(pane);
+    if (!match) {
+      search.position = null;
+      return;
+    }
+    search.position = { row: match.row, index: match.index };
+    const { col } = resolveMatchCells(pane, match);
+    pane.terminal.select(col, match.row, Math.max(1, resolveMatchCells(pane, match).width));
+    const viewportTop = pane.terminal.buffer.active.viewportY;
+    if (match.row < viewportTop || match.row >= viewportTop + pane.terminal.rows) {
+      pane.terminal.scrollToLine(Math.max(0, match.row - Math.floor(pane.terminal.rows / 2)));
+    }
+  }
+
+  function collectPaneSearchMatches(pane) {
+    const search = pane.search;
+    const compiled = createTerminalSearchMatcher(search.query, {
+      regex: search.regex,
+      caseSensitive: search.caseSensitive
+    });
+    if (!compiled.ok) {
+      search.matches = [];
+      search.currentIndex = -1;
+      search.error = compiled.error === 'empty' ? '' : '无效表达式';
+      return false;
+    }
+    search.error = '';
+    search.matches = collectBufferMatches(readPaneBufferRows(pane), compiled.matcher, {
+      maxMatches: TERMINAL_SEARCH_MAX_MATCHES
+    });
+    return true;
+  }
+
+  function runPaneSearch(pane) {
+    const search = pane.search;
+    search.query = search.inputEl.value;
+    hidePaneSearchLogResults(pane);
+    if (!collectPaneSearchMatches(pane)) {
+      if (typeof pane.terminal.clearSelection === 'function') {
+        pane.terminal.clearSelection();
+      }
+      focusPaneSearchMatch(pane);
+      return;
+    }
+    const buffer = pane.terminal.buffer.active;
+    search.currentIndex = resolveInitialMatchIndex(search.matches, buffer.viewportY + pane.terminal.rows - 1);
+    focusPaneSearchMatch(pane);
+    if (search.matches.length === 0) {
+      void searchPaneSessionLog(pane);
+    }
+  }
+
+  function stepPaneSearch(pane, direction) {
+    const search = pane.search;
+    if (!search.query) {
+      return;
+    }
+    // Output keeps arriving while the bar is open, so rescan before stepping.
+    if (!collectPaneSearchMatches(pane)) {
+      focusPaneSearchMatch(pane);
+      return;
+    }
+    search.currentIndex = search.position
+      ? resolveAdjacentMatchIndex(search.matches, search.position, direction)
+      : resolveInitialMatchIndex(search.matches, pane.terminal.buffer.active.viewportY + pane.terminal.rows - 1);
+    focusPaneSearchMatch(pane);
+  }
+
+  function hidePaneSearchLogResults(pane) {
+    const search = pane.search;
+    search.logRequestSeq += 1;
+    search.resultsEl.hidden = true;
+    search.resultsEl.replaceChildren();
+  }
+
+  function renderPaneSearchLogResults(pane, result) {
+    const search = pane.search;
+    search.resultsEl.replaceChildren();
+    if (result.matches.length === 0) {
+      const emptyEl = document.createElement('p');
+      emptyEl.className = 'terminal-search-empty';
+      emptyEl.textContent = '完整日志中也没有匹配';
+      search.resultsEl.appendChild(emptyEl);
+      search.resultsEl.hidden = false;
+      return;
+    }
+    const headEl = document.createElement('p');
+    headEl.className = 'terminal-search-empty';
+    headEl.textContent = result.truncated
+      ? `完整日志最近 ${result.matches.length} 处匹配`
+      : `完整日志 ${result.matches.length} 处匹配`;
+    search.resultsEl.appendChild(headEl);
+    result.matches
+      .slice()
+      .reverse()
+      .forEach((match) => {
+        const itemEl = document.createElement('button');
+        itemEl.type = 'button';
+        itemEl.className = 'terminal-search-result';
+        itemEl.textContent = match.preview || '';
+        itemEl.title = `日志偏移 ${match.offset}`;
+        itemEl.addEventListener('click', () => {
+          void jumpPaneToLogMatch(pane, match);
+        });
+        search.resultsEl.appendChild(itemEl);
+      });
+    search.resultsEl.hidden = false;
+  }
+
+  async function searchPaneSessionLog(pane) {
+    const search = pane.search;
+    const query = search.inputEl.value;
+    if (!pane.sessionId || !query) {
+      return;
+    }
+    search.logRequestSeq += 1;
+    const requestSeq = search.logRequestSeq;
+    try {
+      const result = await searchSessionLog(pane.sessionId, query, {
+        regex: search.regex,
+        caseSensitive: search.caseSensitive,
+        limit: TERMINAL_SEARCH_LOG_LIMIT
+      });
+      if (!result || requestSeq !== search.logRequestSeq || !panes.has(pane.id)) {
+        return;
+      }
+      renderPaneSearchLogResults(pane, result);
+    } catch (error) {
+      if (requestSeq !== search.logRequestSeq) {
+        return;
+      }
+      toast.show(`日志搜索失败: ${error.message}`, 'danger');
+    }
+  }
+
+  // Replays the session log from the matching line, then re-runs the in-buffer search once output settles.
+  async function jumpPaneToLogMatch(pane, match) {
+    const search = pane.search;
+    if (!pane.sessionId || !Number.isFinite(match.offset)) {
+      return;
+    }
+    hidePaneSearchLogResults(pane);
+    clearPaneSearchDecorations(pane);
+    clearPaneScrollback(pane, 'search-jump');
+    search.pendingJump = true;
+    await connectPane(pane, pane.sessionId, {
+      clearTerminal: true,
+      replayFrom: Math.max(0, Math.floor(match.offset))
+    });
+  }
+
+  function schedulePaneSearchJump(pane) {
+    const search = pane.search;
+    if (!search || !search.pendingJump) {
+      return;
+    }
+    if (search.jumpTimer) {
+      window.clearTimeout(search.jumpTimer);
+    }
+    search.jumpTimer = window.setTimeout(() => {
+      search.jumpTimer = 0;
+      if (!search.pendingJump || !panes.has(pane.id)) {
+        return;
+      }
+      search.pendingJump = false;
+      if (!collectPaneSearchMatches(pane)) {
+        return;
+      }
+      search.currentIndex = search.matches.length > 0 ? 0 : -1;
+      focusPaneSearchMatch(pane);
+      if (search.matches.length === 0) {
+        toast.show('匹配位置已超出终端回滚缓冲区', 'warn');
+      }
+    }, TERMINAL_SEARCH_JUMP_IDLE_MS);
+  }
+
+  function openPaneSearch(pane) {
+    const search = pane.search;
+    search.barEl.hidden = false;
+    pane.rootEl.classList.add('is-searching');
+    const selection = typeof pane.terminal.getSelection === 'function' ? pane.terminal.getSelection() : '';
+    if (selection && !selection.includes('\n')) {
+      search.inputEl.value = selection;
+    }
+    search.inputEl.focus();
+    search.inputEl.select();
+    if (search.inputEl.value) {
+      runPaneSearch(pane);
+    }
+  }
+
+  function closePaneSearch(pane, options = {}) {
+    const search = pane.search;
+    if (!search) {
+      return;
+    }
+    if (search.debounceTimer) {
+      window.clearTimeout(search.debounceTimer);
+      search.debounceTimer = 0;
+    }
+    if (search.jumpTimer) {
+      window.clearTimeout(search.jumpTimer);
+      search.jumpTimer = 0;
+    }
+    search.pendingJump = false;
+    hidePaneSearchLogResults(pane);
+    clearPaneSearchDecorations(pane);
+    search.matches = [];
+    search.currentIndex = -1;
+    search.position = null;
+    search.barEl.hidden = true;
+    pane.rootEl.classList.remove('is-searching');
+    if (options.focusTerminal !== false) {
+      pane.terminal.focus();
+    }
+  }
+
+  function createPaneSearchBar(pane, bodyEl, actionsEl) {
+    const toggleEl = document.createElement('button');
+    toggleEl.type = 'button';
+    toggleEl.className = 'terminal-pane-close terminal-pane-search-toggle';
+    toggleEl.textContent = '⌕';
+    toggleEl.title = '搜索回滚 (Ctrl+Shift+F)';
+    toggleEl.setAttribute('aria-label', '搜索回滚');
+    actionsEl.appendChild(toggleEl);
+
+    const barEl = document.createElement('div');
+    barEl.className = 'terminal-search';
+    barEl.hidden = true;
+
+    const rowEl = document.createElement('div');
+    rowEl.className = 'terminal-search-row';
+    const inputEl = document.createElement('input');
+    inputEl.type = 'search';
+    inputEl.className = 'terminal-search-input';
+    inputEl.placeholder = '搜索回滚';
+    inputEl.autocomplete = 'off';
+    inputEl.spellcheck = false;
+    inputEl.setAttribute('aria-label', '搜索回滚');
+
+    const createButton = (text, title, className = '') => {
+      const buttonEl = document.createElement('button');
+      buttonEl.type = 'button';
+      buttonEl.className = `terminal-search-btn${className ? ` ${className}` : ''}`;
+      buttonEl.textContent = text;
+      buttonEl.title = title;
+      buttonEl.setAttribute('aria-label', title);
+      return buttonEl;
+    };
+    const regexEl = createButton('.*', '正则表达式', 'is-toggle');
+    const caseEl = createButton('Aa', '区分大小写', 'is-toggle');
+    regexEl.setAttribute('aria-pressed', 'false');
+    caseEl.setAttribute('aria-pressed', 'false');
+    const countEl = document.createElement('span');
+    countEl.className = 'terminal-search-count';
+    countEl.setAttribute('aria-live', 'polite');
+    const prevEl = createButton('↑', '上一个 (Shift+Enter)');
+    const nextEl = createButton('↓', '下一个 (Enter)');
+    const logEl = createButton('全文', '搜索完整会话日志');
+    const closeEl = createButton('✕', '关闭搜索 (Esc)');
+    rowEl.append(inputEl, regexEl, caseEl, countEl, prevEl, nextEl, logEl, closeEl);
+
+    const resultsEl = document.createElement('div');
+    resultsEl.className = 'terminal-search-results';
+    resultsEl.hidden = true;
+    barEl.append(rowEl, resultsEl);
+    bodyEl.appendChild(barEl);
+
+    pane.search = {
+      barEl,
+      inputEl,
+      countEl,
+      resultsEl,
+      query: '',
+      regex: false,
+      caseSensitive: false,
+      error: '',
+      matches: [],
+      currentIndex: -1,
+      position: null,
+      decorations: [],
+      debounceTimer: 0,
+      jumpTimer: 0,
+      pendingJump: false,
+      logRequestSeq: 0
+    };
+    const search = pane.search;
+
+    const scheduleSearch = () => {
+      if (search.debounceTimer) {
+        window.clearTimeout(search.debounceTimer);
+      }
+      search.debounceTimer = window.setTimeout(() => {
+        search.debounceTimer = 0;
+        runPaneSearch(pane);
+      }, TERMINAL_SEARCH_DEBOUNCE_MS);
+    };
+    const bindToggle = (buttonEl, key) => {
+      buttonEl.addEventListener('click', () => {
+        search[key] = !search[key];
+        buttonEl.setAttribute('aria-pressed', search[key] ? 'true' : 'false');
+        buttonEl.classList.toggle('is-active', search[key]);
+        runPaneSearch(pane);
+      });
+    };
+
+    toggleEl.addEventListener('click', (event) => {
+      event.stopPropagation();
+      setActivePane(pane.id, { focus: false });
+      if (search.barEl.hidden) {
+        openPaneSearch(pane);
+      } else {
+        closePaneSearch(pane);
+      }
+    });
+    inputEl.addEventListener('input', scheduleSearch);
+    inputEl.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        closePaneSearch(pane);
+        return;
+      }
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        if (search.query !== inputEl.value) {
+          runPaneSearch(pane);
+          return;
+        }
+        stepPaneSearch(pane, event.shiftKey ? -1 : 1);
+      }
+    });
+    bindToggle(regexEl, 'regex');
+    bindToggle(caseEl, 'caseSensitive');
+    prevEl.addEventListener('click', () => stepPaneSearch(pane, -1));
+    nextEl.addEventListener('click', () => stepPaneSearch(pane, 1));
+    logEl.addEventListener('click', () => {
+      void searchPaneSessionLog(pane);
+    });
+    closeEl.addEventListener('click', () => closePaneSearch(pane));
+  }
+
   function createPane() {
     if (!DOM.terminalGrid || panes.size >= TERMINAL_MAX_PANES) {
       return null;
@@ -1483,6 +1976,8 @@ export function createTerm({ getControl, statusBar, toast, onActiveSessionChange
     DOM.terminalGrid.appendChild(rootEl);
 
     const terminal = new TerminalCtor({
+      allowProposedApi: true,
+      disableStdin: State.watchOnly,
       cursorBlink: true,
       convertEol: true,
       scrollback: resolveTerminalScrollback(),
@@ -1633,13 +2128,21 @@ export function createTerm({ getControl, statusBar, toast, onActiveSessionChange
       lastResizeSessionId: '',
       lastResizeCols: 0,
       lastResizeRows: 0,
-      pendingResizeAck: null
+      pendingResizeAck: null,
+      search: null
     };
+    createPaneSearchBar(pane, bodyEl, actionsEl);
 
     if (typeof terminal.attachCustomKeyEventHandler === 'function') {
       terminal.attachCustomKeyEventHandler((event) => {
         const key = typeof event.key === 'string' ? event.key.toLowerCase() : '';
         const hasPrimaryModifier = event.ctrlKey || event.metaKey;
+        if (hasPrimaryModifier && event.shiftKey && !event.altKey && key === 'f') {
+          if (event.type === 'keydown') {
+            openPaneSearch(pane);
+          }
+          return false;
+        }
         const selectionText =
           hasPrimaryModifier && !event.altKey && key === 'c' && typeof terminal.getSelection === 'function'
             ? terminal.getSelection() || ''
@@ -1712,6 +2215,7 @@ export function createTerm({ getControl, statusBar, toast, onActiveSessionChange
     const wasActive = paneId === activePaneId;
 
     disconnectPane(pane, { clearSession: true });
+    closePaneSearch(pane, { focusTerminal: false });
     if (pane.inputDisposable) {
       pane.inputDisposable.dispose();
       pane.inputDisposable = null;
@@ -2276,6 +2780,17 @@ export function createTerm({ getControl, statusBar, toast, onActiveSessionChange
       return nextSize;
     },
 
+    setWatchOnly(watchOnly) {
+      State.watchOnly = !!watchOnly;
+      panes.forEach(applyPaneStdinState);
+    },
+
+    // Sessions whose input lock is held by another client; their panes stay visible but stop taking keys.
+    setInputLockedSessions(sessionIds) {
+      State.inputLockedSessions = new Set(sessionIds);
+      panes.forEach(applyPaneStdinState);
+    },
+
     scaleFont(baseFontSize, scale) {
       const base = clampFontSize(baseFontSize || State.terminalFontSize || DEFAULT_FONT_SIZE);
       if (!Number.isFinite(scale) || scale <= 0) {
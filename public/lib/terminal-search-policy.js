@@ -0,0 +1,118 @@
+const SEARCH_QUERY_MAX_LENGTH = 256;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function createTerminalSearchMatcher(query, options = {}) {
+  const safeQuery = typeof query === 'string' ? query : '';
+  if (!safeQuery) {
+    return { ok: false, error: 'empty' };
+  }
+  if (safeQuery.length > SEARCH_QUERY_MAX_LENGTH) {
+    return { ok: false, error: 'too-long' };
+  }
+  const source = options.regex ? safeQuery : escapeRegExp(safeQuery);
+  const flags = options.caseSensitive ? 'g' : 'gi';
+  try {
+    const matcher = new RegExp(source, flags);
+    if (matcher.test('')) {
+      return { ok: false, error: 'matches-empty' };
+    }
+    matcher.lastIndex = 0;
+    return { ok: true, matcher };
+  } catch {
+    return { ok: false, error: 'invalid-regex' };
+  }
+}
+
+export function findTextMatches(text, matcher, maxMatches = Number.MAX_SAFE_INTEGER) {
+  const safeText = typeof text === 'string' ? text : '';
+  const output = [];
+  if (!safeText || !(matcher instanceof RegExp)) {
+    return output;
+  }
+  matcher.lastIndex = 0;
+  let found = matcher.exec(safeText);
+  while (found && output.length < maxMatches) {
+    if (found[0].length === 0) {
+      matcher.lastIndex += 1;
+    } else {
+      output.push({ start: found.index, length: found[0].length });
+    }
+    found = matcher.exec(safeText);
+  }
+  matcher.lastIndex = 0;
+  return output;
+}
+
+// Rows are { text, isWrapped } in buffer order; soft-wrapped rows are joined so matches can span them.
+// Callers pass untrimmed text for rows that continue onto a wrapped row so the joined string stays exact.
+// Each match reports the buffer row where it starts, the string index inside that row and its length.
+export function collectBufferMatches(rows, matcher, options = {}) {
+  const maxMatches =
+    Number.isFinite(options.maxMatches) && options.maxMatches > 0 ? Math.floor(options.maxMatches) : 1000;
+  const safeRows = Array.isArray(rows) ? rows : [];
+  const matches = [];
+  let index = 0;
+  while (index < safeRows.length && matches.length < maxMatches) {
+    const startRow = index;
+    const rowStarts = [0];
+    let text = typeof safeRows[index].text === 'string' ? safeRows[index].text : '';
+    index += 1;
+    while (index < safeRows.length && safeRows[index].isWrapped) {
+      rowStarts.push(text.length);
+      text += typeof safeRows[index].text === 'string' ? safeRows[index].text : '';
+      index += 1;
+    }
+    findTextMatches(text, matcher, maxMatches - matches.length).forEach((match) => {
+      let rowOffset = rowStarts.length - 1;
+      while (rowOffset > 0 && rowStarts[rowOffset] > match.start) {
+        rowOffset -= 1;
+      }
+      matches.push({
+        row: startRow + rowOffset,
+        index: match.start - rowStarts[rowOffset],
+        length: match.length
+      });
+    });
+  }
+  return matches;
+}
+
+function compareMatchPosition(match, row, index) {
+  return match.row === row ? match.index - index : match.row - row;
+}
+
+// Steps from the given position to the neighbouring match, wrapping around at either end.
+export function resolveAdjacentMatchIndex(matches, position, direction = 1) {
+  if (!Array.isArray(matches) || matches.length === 0) {
+    return -1;
+  }
+  const row = position && Number.isFinite(position.row) ? position.row : -1;
+  const index = position && Number.isFinite(position.index) ? position.index : -1;
+  if (direction < 0) {
+    for (let cursor = matches.length - 1; cursor >= 0; cursor -= 1) {
+      if (compareMatchPosition(matches[cursor], row, index) < 0) {
+        return cursor;
+      }
+    }
+    return matches.length - 1;
+  }
+  const found = matches.findIndex((match) => compareMatchPosition(match, row, index) > 0);
+  return found >= 0 ? found : 0;
+}
+
+// Start from the match nearest to the bottom of the viewport so the first hit stays close to what the user sees.
+export function resolveInitialMatchIndex(matches, viewportBottomRow) {
+  if (!Array.isArray(matches) || matches.length === 0) {
+    return -1;
+  }
+  const anchor = Number.isFinite(viewportBottomRow) ? viewportBottomRow : Number.MAX_SAFE_INTEGER;
+  for (let cursor = matches.length - 1; cursor >= 0; cursor -= 1) {
+    if (matches[cursor].row <= anchor) {
+      return cursor;
+    }
+  }
+  return matches.length - 1;
+}
@@ -10,16 +10,35 @@ import {
   ZOOM_SETTLE_MS,
   apiUrl,
   authedFetch,
+  fetchLaunchProfiles,
   normalizeSessionEntry,
   persistAccessToken,
+  persistDeviceId,
+  persistTotpTicket,
   pruneSessionOffsets,
   readPersistedAccessToken,
+  readPersistedDeviceId,
+  readPersistedTotpTicket,
+  readPairingFromHash,
   readTokenFromHash,
   setActionButtonsEnabled,
   setSignalState
 } from './state.js';
 import { writeClipboardText } from './clipboard.js';
 import { vibrate } from './haptic.js';
+import { hasGrant } from './grants-policy.js';
+import {
+  appendNotification,
+  buildCommandNotification,
+  buildShellNotification,
+  shouldNotifyCommandFinished
+} from './notification-policy.js';
+import {
+  describePasskeyFailure,
+  isPasskeySupported,
+  serializeCredential,
+  toRequestOptions
+} from './passkey-policy.js';
 import { createThemeManager } from './theme.js';
 import {
   clampScrollDeltaToRemaining,
@@ -42,7 +61,7 @@ const QUICK_KEY_ROWS = [
     { id: 'enter', label: '⏎' }
   ]
 ];
-const SERVICE_WORKER_URL = '/sw.js?v=76';
+const SERVICE_WORKER_URL = '/sw.js?v=101';
 const LEGACY_QUICK_KEY_STORAGE_KEY = 'c2p_quick_keys_v1';
 const SESSION_TAB_LONG_PRESS_MS = 520;
 const SESSION_TAB_FOCUS_SUPPRESS_MS = 700;
@@ -64,6 +83,8 @@ const DOCK_INPUT_PRESERVE_MS = 2000;
 const UI_STATE_STORAGE_KEY = 'c2p_ui_state_v1';
 const UI_STATE_WRITE_DEBOUNCE_MS = 120;
 const CONTROL_ACK_TIMEOUT_MS = 3000;
+const SESSION_TAB_COLOR_PRESETS = ['#e5534b', '#e0823d', '#c69026', '#57ab5a', '#539bf5', '#b083f0'];
+const PRESENCE_AVATAR_LIMIT = 3;
 const NON_TEXT_INPUT_TYPES = new Set([
   'button',
   'checkbox',
@@ -95,6 +116,57 @@ function resolveSessionIcon(cli) {
   return 'T';
 }
 
+function formatClockTime(value) {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    return '';
+  }
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function resolveViewerColor(viewerId) {
+  let hash = 0;
+  for (const char of String(viewerId || '')) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return SESSION_TAB_COLOR_PRESETS[hash % SESSION_TAB_COLOR_PRESETS.length];
+}
+
+// Several panes of one browser attach separately; fold them into a single viewer per client.
+function mergeViewersByClient(viewers) {
+  const merged = new Map();
+  viewers.forEach((viewer) => {
+    if (!viewer || typeof viewer.viewerId !== 'string') {
+      return;
+    }
+    const existing = merged.get(viewer.viewerId);
+    if (!existing) {
+      merged.set(viewer.viewerId, { ...viewer });
+      return;
+    }
+    if (viewer.mode === 'interactive') {
+      existing.mode = 'interactive';
+    }
+    if (viewer.connectedAt && viewer.connectedAt < existing.connectedAt) {
+      existing.connectedAt = viewer.connectedAt;
+    }
+    if (viewer.lastInputAt && (!existing.lastInputAt || viewer.lastInputAt > existing.lastInputAt)) {
+      existing.lastInputAt = viewer.lastInputAt;
+    }
+  });
+  return Array.from(merged.values());
+}
+
+function describePresenceViewer(viewer) {
+  const label = viewer.label || '未命名设备';
+  const role = viewer.mode === 'watch' ? '观看' : viewer.scope === 'admin' ? '可输入' : viewer.scope;
+  const details = [`${formatClockTime(viewer.connectedAt)} 加入`];
+  if (viewer.lastInputAt) {
+    details.push(`${formatClockTime(viewer.lastInputAt)} 最近输入`);
+  }
+  return `${label}（${role}）· ${details.join(' · ')}`;
+}
+
 function syncQuickKeysToggleVisual(button, visible) {
   if (!button) {
     return;
@@ -263,6 +335,12 @@ function createControlRequestId(prefix) {
 export function createUi({ getControl, getTerm }) {
   let sessionCache = [];
   const pendingSpawnPlaceholders = new Map();
+  const windowLayouts = new Map();
+  const windowListRequested = new Set();
+  const sessionPresence = new Map();
+  const unreadNotifications = new Map();
+  let notificationEntries = [];
+  let notificationSeq = 0;
   let preserveDockInputUntilMs = 0;
   let uiStateWriteTimer = 0;
   let keyboardAlignmentScope = '';
@@ -400,7 +478,7 @@ export function createUi({ getControl, getTerm }) {
     }
     const index = sessionCache.findIndex((entry) => entry && entry.id === sessionId);
     if (index >= 0) {
-      return `终端${index + 1}`;
+      return sessionCache[index].name || `终端${index + 1}`;
     }
     return '当前终端';
   }
@@ -753,6 +831,32 @@ export function createUi({ getControl, getTerm }) {
         DOM.sideActionsMenu.hidden = !nextExpanded;
       }
       syncSideActionsToggleVisual(DOM.sideActionsToggle, nextExpanded);
+      if (nextExpanded) {
+        void this.loadProfiles();
+      }
+    },
+
+    async loadProfiles() {
+      if (!DOM.launchProfiles || !State.token) {
+        return;
+      }
+      const profiles = await fetchLaunchProfiles();
+      DOM.launchProfiles.textContent = '';
+      profiles.forEach((profile) => {
+        if (!profile || typeof profile.name !== 'string') {
+          return;
+        }
+        const label = typeof profile.label === 'string' && profile.label ? profile.label : profile.name;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'side-action-btn launch-profile-btn';
+        button.dataset.profile = profile.name;
+        button.textContent = Array.from(label).slice(0, 2).join('');
+        button.title = `按配置启动：${label}`;
+        button.setAttribute('aria-label', `按配置启动：${label}`);
+        DOM.launchProfiles.appendChild(button);
+      });
+      DOM.launchProfiles.hidden = DOM.launchProfiles.childElementCount === 0;
     },
 
     collapse() {
@@ -900,6 +1004,18 @@ export function createUi({ getControl, getTerm }) {
         });
       }
 
+      if (DOM.launchProfiles) {
+        DOM.launchProfiles.addEventListener('click', (event) => {
+          const button = event.target instanceof Element ? event.target.closest('[data-profile]') : null;
+          if (!button) {
+            return;
+          }
+          event.preventDefault();
+          this.collapse();
+          Actions.spawn({ profile: button.dataset.profile });
+        });
+      }
+
       if (DOM.quickKeysToggle) {
         DOM.quickKeysToggle.addEventListener('click', () => {
           window.setTimeout(() => {
@@ -1125,20 +1241,64 @@ export function createUi({ getControl, getTerm }) {
         deleteMenuEl = document.createElement('div');
         deleteMenuEl.className = 'touch-context-menu session-tab-delete-menu';
         deleteMenuEl.hidden = true;
+        const colorSwatches = SESSION_TAB_COLOR_PRESETS.map(
+          (color) =>
+            `<button type="button" class="session-tab-color-swatch" data-action="set-color" data-color="${color}" style="--session-tab-color: ${color}" aria-label="标记颜色 ${color}"></button>`
+        ).join('');
         deleteMenuEl.innerHTML = `
+          <button type="button" class="touch-context-btn" data-action="rename-session">重命名</button>
+          <button type="button" class="touch-context-btn" data-action="edit-tags">编辑标签</button>
+          <button type="button" class="touch-context-btn" data-action="toggle-recording">开始录制</button>
+          <div class="session-tab-color-row">
+            ${colorSwatches}
+            <button type="button" class="session-tab-color-swatch is-clear" data-action="set-color" data-color="" aria-label="清除颜色">×</button>
+          </div>
           <button type="button" class="touch-context-btn is-danger" data-action="delete-session">删除终端</button>
         `;
         document.body.appendChild(deleteMenuEl);
 
         deleteMenuEl.addEventListener('click', (event) => {
-          const button =
-            event.target instanceof Element ? event.target.closest('[data-action="delete-session"]') : null;
+          const button = event.target instanceof Element ? event.target.closest('[data-action]') : null;
           if (!button) {
             return;
           }
+          const action = button.dataset.action || '';
           const sessionId = deleteMenuSessionId || '';
           hideDeleteMenu();
-          if (!sessionId || sessionId !== State.currentSessionId || State.killInFlight) {
+          if (!sessionId) {
+            return;
+          }
+          const session = sessionCache.find((entry) => entry.id === sessionId);
+          if (action === 'rename-session') {
+            const nextNameRaw = window.prompt('输入终端名称（留空恢复默认）', session ? session.name : '');
+            if (nextNameRaw === null) {
+              return;
+            }
+            Actions.updateSessionMetadata(sessionId, { name: nextNameRaw.trim() || null });
+            return;
+          }
+          if (action === 'edit-tags') {
+            const currentTags = session ? session.tags.join(', ') : '';
+            const nextTagsRaw = window.prompt('输入标签（逗号分隔）', currentTags);
+            if (nextTagsRaw === null) {
+              return;
+            }
+            const tags = nextTagsRaw
+              .split(/[,，]/)
+              .map((tag) => tag.trim())
+              .filter(Boolean);
+            Actions.updateSessionMetadata(sessionId, { tags: tags.length > 0 ? tags : null });
+            return;
+          }
+          if (action === 'set-color') {
+            Actions.updateSessionMetadata(sessionId, { color: button.dataset.color || null });
+            return;
+          }
+          if (action === 'toggle-recording') {
+            Actions.sendRecordingRequest(session && session.recording ? 'recording.stop' : 'recording.start', sessionId);
+            return;
+          }
+          if (action !== 'delete-session' || sessionId !== State.currentSessionId || State.killInFlight) {
             return;
           }
           Actions.requestKill(sessionId);
@@ -1167,6 +1327,15 @@ export function createUi({ getControl, getTerm }) {
         if (deleteButton instanceof HTMLButtonElement) {
           deleteButton.disabled = !canDelete;
         }
+        const session = sessionCache.find((entry) => entry.id === sessionId);
+        const recordingButton = menu.querySelector('[data-action="toggle-recording"]');
+        if (recordingButton instanceof HTMLButtonElement) {
+          recordingButton.textContent = session && session.recording ? '停止录制' : '开始录制';
+          recordingButton.disabled = State.watchOnly;
+        }
+        menu.querySelectorAll('[data-action="set-color"]').forEach((swatch) => {
+          swatch.classList.toggle('is-active', !!session && (swatch.dataset.color || '') === session.color);
+        });
         menu.hidden = false;
         menu.style.left = '0px';
         menu.style.top = '0px';
@@ -1328,6 +1497,9 @@ export function createUi({ getControl, getTerm }) {
           tab.setAttribute('aria-selected', active ? 'true' : 'false');
         }
       });
+      SessionWindows.render();
+      SessionPresence.applyInputLocks();
+      NotificationCenter.markSessionRead(State.currentSessionId);
     },
 
     update(list) {
@@ -1339,6 +1511,8 @@ export function createUi({ getControl, getTerm }) {
       const displaySessions = [...sessions, ...placeholderEntries];
       sessionCache = sessions;
       pruneSessionOffsets(sessions.map((session) => session.id));
+      SessionWindows.prune(sessions.map((session) => session.id));
+      SessionPresence.prune(sessions.map((session) => session.id));
       DOM.sessionTabs.textContent = '';
 
       const fragment = document.createDocumentFragment();
@@ -1347,7 +1521,8 @@ export function createUi({ getControl, getTerm }) {
         const pendingSpawn = !!session.pendingSpawn;
         const active = session.id === State.currentSessionId;
         const pending = active && State.killInFlight;
-        const terminalName = `终端${index + 1}`;
+        const terminalName = session.name || `终端${index + 1}`;
+        const tags = Array.isArray(session.tags) ? session.tags : [];
 
         const item = document.createElement('div');
         item.className = active ? 'session-tab-item is-active' : 'session-tab-item';
@@ -1355,6 +1530,13 @@ export function createUi({ getControl, getTerm }) {
         if (pendingSpawn) {
           item.classList.add('is-pending-spawn');
         }
+        if (session.color) {
+          item.classList.add('has-color');
+          item.style.setProperty('--session-tab-color', session.color);
+        }
+        if (session.recording) {
+          item.classList.add('is-recording');
+        }
 
         const button = document.createElement('button');
         button.type = 'button';
@@ -1374,6 +1556,12 @@ export function createUi({ getControl, getTerm }) {
         } else {
           button.title = terminalName;
         }
+        if (!pendingSpawn && tags.length > 0) {
+          button.title = `${button.title}\n#${tags.join(' #')}`;
+        }
+        if (session.recording) {
+          button.title = `${button.title}\n● 录制中`;
+        }
         button.setAttribute('role', 'tab');
         button.setAttribute('aria-selected', pendingSpawn ? 'false' : active ? 'true' : 'false');
         button.disabled = pendingSpawn;
@@ -1383,7 +1571,11 @@ export function createUi({ getControl, getTerm }) {
 
         const icon = document.createElement('span');
         icon.className = 'session-tab-icon';
-        icon.textContent = pendingSpawn ? '…' : resolveSessionIcon(cliLabel);
+        icon.textContent = pendingSpawn
+          ? '…'
+          : session.name
+            ? Array.from(session.name).slice(0, 2).join('')
+            : resolveSessionIcon(cliLabel);
         button.appendChild(icon);
 
         const srLabel = document.createElement('span');
@@ -1400,6 +1592,8 @@ export function createUi({ getControl, getTerm }) {
 
       DOM.sessionTabs.appendChild(fragment);
       DOM.sessionTabs.hidden = false;
+      SessionPresence.renderTabs();
+      NotificationCenter.prune(sessions.map((session) => session.id));
       this.renderActiveState();
       if (State.currentSessionId) {
         StatusBar.setSession(State.currentSessionId);
@@ -1409,6 +1603,488 @@ export function createUi({ getControl, getTerm }) {
     }
   };
 
+  // Tokens without terminal:input get a view-only terminal: the server drops their input, so the UI hides every
+  // way to type. Servers that predate grants only report the scope.
+  const WatchMode = {
+    apply(scope, grants) {
+      const watchOnly = grants ? !hasGrant(grants, 'terminal:input') : scope === 'readonly';
+      const changed = watchOnly !== State.watchOnly;
+      const term = getTerm();
+      if (term && typeof term.setWatchOnly === 'function') {
+        term.setWatchOnly(watchOnly);
+      } else {
+        State.watchOnly = watchOnly;
+      }
+      document.body.classList.toggle('is-watch-only', watchOnly);
+      if (DOM.watchBadge) {
+        DOM.watchBadge.hidden = !watchOnly;
+      }
+      if (!watchOnly) {
+        return;
+      }
+      if (QuickKeys.visible) {
+        QuickKeys.setVisible(false);
+      }
+      blurTerminalKeyboardInputIfFocused();
+      if (changed) {
+        const notice = scope === 'readonly' ? '只读令牌：仅可观看终端，输入已禁用' : '当前令牌没有终端输入权限，仅可观看';
+        Toast.show(notice, 'info');
+      }
+    }
+  };
+
+  const SessionPresence = {
+    update(payload) {
+      if (!payload || !payload.sessionId || !Array.isArray(payload.viewers)) {
+        return;
+      }
+      const previousLock = this.getInputLock(payload.sessionId);
+      const inputLock = payload.inputLock && typeof payload.inputLock.viewerId === 'string' ? payload.inputLock : null;
+      sessionPresence.set(payload.sessionId, { viewers: payload.viewers, inputLock });
+      this.renderTabs();
+      this.applyInputLocks();
+      if (payload.sessionId !== State.currentSessionId) {
+        return;
+      }
+      SessionWindows.render();
+      const lockedByOther = inputLock && inputLock.viewerId !== State.viewerId;
+      if (lockedByOther && (!previousLock || previousLock.viewerId !== inputLock.viewerId)) {
+        Toast.show(`${inputLock.label || '其他设备'} 锁定了输入，当前仅可观看`, 'info');
+      } else if (!inputLock && previousLock && previousLock.viewerId !== State.viewerId) {
+        Toast.show('输入锁已释放', 'info');
+      }
+    },
+
+    prune(sessionIds) {
+      const alive = new Set(sessionIds);
+      Array.from(sessionPresence.keys()).forEach((sessionId) => {
+        if (!alive.has(sessionId)) {
+          sessionPresence.delete(sessionId);
+        }
+      });
+      this.applyInputLocks();
+    },
+
+    getInputLock(sessionId) {
+      const presence = sessionPresence.get(sessionId);
+      return presence ? presence.inputLock : null;
+    },
+
+    getOtherViewers(sessionId) {
+      const presence = sessionPresence.get(sessionId);
+      if (!presence) {
+        return [];
+      }
+      return mergeViewersByClient(presence.viewers).filter((viewer) => viewer.viewerId !== State.viewerId);
+    },
+
+    renderTabs() {
+      if (!DOM.sessionTabs) {
+        return;
+      }
+      DOM.sessionTabs.querySelectorAll('.session-tab-item[data-session-id]').forEach((item) => {
+        const existing = item.querySelector('.session-tab-viewers');
+        if (existing) {
+          existing.remove();
+        }
+        const sessionId = item.dataset.sessionId || '';
+        const viewers = this.getOtherViewers(sessionId);
+        if (viewers.length === 0) {
+          return;
+        }
+        const inputLock = this.getInputLock(sessionId);
+        const stack = document.createElement('span');
+        stack.className = 'session-tab-viewers';
+        stack.title = viewers.map(describePresenceViewer).join('\n');
+        stack.setAttribute('aria-label', `另有 ${viewers.length} 台设备在线`);
+        viewers.slice(0, PRESENCE_AVATAR_LIMIT).forEach((viewer) => {
+          const avatar = document.createElement('span');
+          avatar.className = 'session-tab-viewer';
+          avatar.textContent = (Array.from(viewer.label || '?')[0] || '?').toUpperCase();
+          avatar.style.setProperty('--viewer-color', resolveViewerColor(viewer.viewerId));
+          avatar.classList.toggle('is-watching', viewer.mode === 'watch');
+          avatar.classList.toggle('has-input-lock', !!inputLock && inputLock.viewerId === viewer.viewerId);
+          stack.appendChild(avatar);
+        });
+        if (viewers.length > PRESENCE_AVATAR_LIMIT) {
+          const more = document.createElement('span');
+          more.className = 'session-tab-viewer is-overflow';
+          more.textContent = `+${viewers.length - PRESENCE_AVATAR_LIMIT}`;
+          stack.appendChild(more);
+        }
+        item.appendChild(stack);
+      });
+    },
+
+    applyInputLocks() {
+      const lockedSessionIds = Array.from(sessionPresence.entries())
+        .filter(([, presence]) => presence.inputLock && presence.inputLock.viewerId !== State.viewerId)
+        .map(([sessionId]) => sessionId);
+      const term = getTerm();
+      if (term && typeof term.setInputLockedSessions === 'function') {
+        term.setInputLockedSessions(lockedSessionIds);
+      } else {
+        State.inputLockedSessions = new Set(lockedSessionIds);
+      }
+      document.body.classList.toggle('is-input-locked', State.inputLockedSessions.has(State.currentSessionId));
+    },
+
+    toggleInputLock(sessionId) {
+      const inputLock = this.getInputLock(sessionId);
+      if (inputLock && inputLock.viewerId === State.viewerId) {
+        Actions.sendInputLockRequest('input.unlock', sessionId);
+        return;
+      }
+      if (inputLock && !window.confirm(`${inputLock.label || '其他设备'} 正持有输入锁，确定接管？`)) {
+        return;
+      }
+      Actions.sendInputLockRequest('input.lock', sessionId, { force: !!inputLock });
+    }
+  };
+
+  const NotificationCenter = {
+    handleCommandFinished(payload) {
+      if (!payload || !payload.sessionId || !shouldNotifyCommandFinished(payload)) {
+        return;
+      }
+      this.push(buildCommandNotification(payload));
+    },
+
+    handleShellNotification(payload) {
+      if (!payload || !payload.sessionId) {
+        return;
+      }
+      this.push(buildShellNotification(payload));
+    },
+
+    push(entry) {
+      notificationSeq += 1;
+      const notification = { ...entry, id: notificationSeq };
+      notificationEntries = appendNotification(notificationEntries, notification);
+      // The session on screen needs no badge unless the page itself is in the background.
+      const seen = notification.sessionId === State.currentSessionId && document.visibilityState === 'visible';
+      if (!seen) {
+        unreadNotifications.set(notification.sessionId, (unreadNotifications.get(notification.sessionId) || 0) + 1);
+      }
+      const prefix = resolveSessionDisplayName(notification.sessionId);
+      const detail = notification.body ? `${notification.title} · ${notification.body}` : notification.title;
+      Toast.show(`${prefix}：${detail}`, notification.tone, { popup: true, updateStatus: false });
+      vibrate('light');
+      this.render();
+    },
+
+    markSessionRead(sessionId) {
+      if (!sessionId || !unreadNotifications.delete(sessionId)) {
+        return;
+      }
+      this.render();
+    },
+
+    prune(sessionIds) {
+      const alive = new Set(sessionIds);
+      Array.from(unreadNotifications.keys()).forEach((sessionId) => {
+        if (!alive.has(sessionId)) {
+          unreadNotifications.delete(sessionId);
+        }
+      });
+      this.render();
+    },
+
+    clear() {
+      notificationEntries = [];
+      unreadNotifications.clear();
+      this.render();
+    },
+
+    isOpen() {
+      return !!DOM.notificationPanel && !DOM.notificationPanel.hidden;
+    },
+
+    setOpen(open) {
+      if (!DOM.notificationPanel) {
+        return;
+      }
+      DOM.notificationPanel.hidden = !open;
+      if (DOM.notificationToggle) {
+        DOM.notificationToggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+      }
+      if (open) {
+        this.renderList();
+      }
+    },
+
+    renderTabs() {
+      if (!DOM.sessionTabs) {
+        return;
+      }
+      DOM.sessionTabs.querySelectorAll('.session-tab-item[data-session-id]').forEach((item) => {
+        const existing = item.querySelector('.session-tab-badge');
+        if (existing) {
+          existing.remove();
+        }
+        const count = unreadNotifications.get(item.dataset.sessionId || '') || 0;
+        if (count === 0) {
+          return;
+        }
+        const badge = document.createElement('span');
+        badge.className = 'session-tab-badge';
+        badge.textContent = count > 9 ? '9+' : String(count);
+        badge.setAttribute('aria-label', `${count} 条未读通知`);
+        item.appendChild(badge);
+      });
+    },
+
+    renderList() {
+      if (!DOM.notificationList) {
+        return;
+      }
+      if (DOM.notificationEmpty) {
+        DOM.notificationEmpty.hidden = notificationEntries.length > 0;
+      }
+      const fragment = document.createDocumentFragment();
+      notificationEntries.forEach((entry) => {
+        const item = document.createElement('li');
+        item.className = `notification-item is-${entry.tone}`;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'notification-item-btn';
+        button.dataset.sessionId = entry.sessionId;
+        const title = document.createElement('span');
+        title.className = 'notification-item-title';
+        title.textContent = entry.title;
+        const meta = document.createElement('span');
+        meta.className = 'notification-item-meta';
+        const sessionLabel = sessionCache.some((session) => session.id === entry.sessionId)
+          ? resolveSessionDisplayName(entry.sessionId)
+          : '已关闭的终端';
+        meta.textContent = [sessionLabel, entry.body, formatClockTime(entry.at)].filter(Boolean).join(' · ');
+        button.append(title, meta);
+        item.appendChild(button);
+        fragment.appendChild(item);
+      });
+      DOM.notificationList.replaceChildren(fragment);
+    },
+
+    render() {
+      const total = Array.from(unreadNotifications.values()).reduce((sum, count) => sum + count, 0);
+      if (DOM.notificationCount) {
+        DOM.notificationCount.hidden = total === 0;
+        DOM.notificationCount.textContent = total > 99 ? '99+' : String(total);
+      }
+      this.renderTabs();
+      if (this.isOpen()) {
+        this.renderList();
+      }
+    },
+
+    bind() {
+      if (!DOM.notificationToggle || !DOM.notificationPanel) {
+        return;
+      }
+      DOM.notificationToggle.addEventListener('click', () => {
+        this.setOpen(!this.isOpen());
+      });
+      if (DOM.notificationClearBtn) {
+        DOM.notificationClearBtn.addEventListener('click', () => {
+          this.clear();
+        });
+      }
+      if (DOM.notificationList) {
+        DOM.notificationList.addEventListener('click', (event) => {
+          const button = event.target instanceof Element ? event.target.closest('.notification-item-btn') : null;
+          const sessionId = button ? button.dataset.sessionId || '' : '';
+          if (!sessionId || !SessionTabs.getById(sessionId)) {
+            return;
+          }
+          this.setOpen(false);
+          SessionTabs.activateSession(sessionId);
+        });
+      }
+      document.addEventListener(
+        'pointerdown',
+        (event) => {
+          if (!this.isOpen() || !(event.target instanceof Node)) {
+            return;
+          }
+          if (DOM.notificationPanel.contains(event.target) || DOM.notificationToggle.contains(event.target)) {
+            return;
+          }
+          this.setOpen(false);
+        },
+        { passive: true, capture: true }
+      );
+      document.addEventListener(
+        'visibilitychange',
+        () => {
+          if (document.visibilityState === 'visible') {
+            this.markSessionRead(State.currentSessionId);
+          }
+        },
+        { passive: true }
+      );
+    }
+  };
+
+  const SessionWindows = {
+    update(sessionId, windows) {
+      if (!sessionId || !Array.isArray(windows)) {
+        return;
+      }
+      windowLayouts.set(sessionId, windows);
+      windowListRequested.delete(sessionId);
+      if (sessionId === State.currentSessionId) {
+        this.render();
+      }
+    },
+
+    prune(sessionIds) {
+      const alive = new Set(sessionIds);
+      Array.from(windowLayouts.keys()).forEach((sessionId) => {
+        if (!alive.has(sessionId)) {
+          windowLayouts.delete(sessionId);
+          windowListRequested.delete(sessionId);
+        }
+      });
+    },
+
+    getActiveWindow(sessionId) {
+      const windows = windowLayouts.get(sessionId) || [];
+      return windows.find((entry) => entry.active) || windows[0] || null;
+    },
+
+    render() {
+      if (!DOM.sessionWindows) {
+        return;
+      }
+      const sessionId = State.currentSessionId;
+      const windows = sessionId ? windowLayouts.get(sessionId) : null;
+      DOM.sessionWindows.textContent = '';
+      if (!sessionId || !windows) {
+        DOM.sessionWindows.hidden = true;
+        if (sessionId && !windowListRequested.has(sessionId)) {
+          const control = getControl();
+          if (control && control.send({ type: 'window.list', sessionId })) {
+            windowListRequested.add(sessionId);
+          }
+        }
+        return;
+      }
+
+      const fragment = document.createDocumentFragment();
+      const createChip = (label, action, title) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'session-window-chip';
+        button.dataset.layoutAction = action;
+        button.textContent = label;
+        button.title = title;
+        button.setAttribute('aria-label', title);
+        return button;
+      };
+
+      windows.forEach((entry) => {
+        const panes = Array.isArray(entry.panes) ? entry.panes : [];
+        const chip = createChip(`${entry.index}:${entry.name || 'bash'}`, 'select-window', `切换到窗口 ${entry.index}`);
+        chip.classList.toggle('is-active', !!entry.active);
+        chip.setAttribute('aria-pressed', entry.active ? 'true' : 'false');
+        chip.dataset.windowId = entry.id;
+        if (panes.length > 1) {
+          const count = document.createElement('span');
+          count.className = 'session-window-pane-count';
+          count.textContent = String(panes.length);
+          chip.appendChild(count);
+        }
+        fragment.appendChild(chip);
+      });
+
+      fragment.appendChild(createChip('+', 'create-window', '新建窗口'));
+
+      const activeWindow = this.getActiveWindow(sessionId);
+      const activePanes = activeWindow && Array.isArray(activeWindow.panes) ? activeWindow.panes : [];
+      const totalPanes = windows.reduce((count, entry) => count + (Array.isArray(entry.panes) ? entry.panes.length : 0), 0);
+      const separator = document.createElement('span');
+      separator.className = 'session-window-separator';
+      separator.setAttribute('aria-hidden', 'true');
+      fragment.appendChild(separator);
+      fragment.appendChild(createChip('⇆', 'split-horizontal', '左右分屏'));
+      fragment.appendChild(createChip('⇅', 'split-vertical', '上下分屏'));
+      if (activePanes.length > 1) {
+        fragment.appendChild(createChip('⇥', 'next-pane', '切换到下一个窗格'));
+      }
+      if (totalPanes > 1) {
+        fragment.appendChild(createChip('✕', 'close-pane', '关闭当前窗格'));
+      }
+
+      const inputLock = SessionPresence.getInputLock(sessionId);
+      const ownsLock = !!inputLock && inputLock.viewerId === State.viewerId;
+      const lockTitle = ownsLock
+        ? '释放输入锁'
+        : inputLock
+          ? `${inputLock.label || '其他设备'} 持有输入锁，点击接管`
+          : '锁定输入：其他设备只能观看';
+      const lockChip = createChip(inputLock ? '🔒' : '🔓', 'toggle-input-lock', lockTitle);
+      lockChip.classList.toggle('is-active', ownsLock);
+      lockChip.classList.toggle('is-locked-by-other', !!inputLock && !ownsLock);
+      lockChip.setAttribute('aria-pressed', ownsLock ? 'true' : 'false');
+      fragment.appendChild(lockChip);
+
+      DOM.sessionWindows.appendChild(fragment);
+      DOM.sessionWindows.hidden = false;
+      Dock.scheduleMeasure();
+    },
+
+    bind() {
+      if (!DOM.sessionWindows) {
+        return;
+      }
+      DOM.sessionWindows.addEventListener('click', (event) => {
+        const target = event.target instanceof Element ? event.target.closest('[data-layout-action]') : null;
+        const sessionId = State.currentSessionId;
+        if (!target || !sessionId) {
+          return;
+        }
+        const action = target.dataset.layoutAction || '';
+        const activeWindow = this.getActiveWindow(sessionId);
+        const panes = activeWindow && Array.isArray(activeWindow.panes) ? activeWindow.panes : [];
+        const activePane = panes.find((pane) => pane.active) || panes[0] || null;
+
+        if (action === 'select-window') {
+          if (target.dataset.windowId && !(activeWindow && activeWindow.id === target.dataset.windowId)) {
+            Actions.sendLayoutRequest('window.select', sessionId, { windowId: target.dataset.windowId });
+          }
+          return;
+        }
+        if (action === 'create-window') {
+          const session = SessionTabs.getById(sessionId);
+          Actions.sendLayoutRequest('window.create', sessionId, session && session.cwd ? { cwd: session.cwd } : {});
+          return;
+        }
+        if (action === 'split-horizontal' || action === 'split-vertical') {
+          Actions.sendLayoutRequest('pane.split', sessionId, {
+            paneId: activePane ? activePane.id : undefined,
+            direction: action === 'split-horizontal' ? 'horizontal' : 'vertical'
+          });
+          return;
+        }
+        if (action === 'next-pane' && activePane) {
+          const nextPane = panes[(panes.indexOf(activePane) + 1) % panes.length];
+          Actions.sendLayoutRequest('pane.select', sessionId, { paneId: nextPane.id });
+          return;
+        }
+        if (action === 'toggle-input-lock') {
+          SessionPresence.toggleInputLock(sessionId);
+          return;
+        }
+        if (action === 'close-pane' && activePane) {
+          if (!window.confirm('关闭当前窗格？其中运行的程序会被结束。')) {
+            return;
+          }
+          Actions.sendLayoutRequest('pane.close', sessionId, { paneId: activePane.id });
+        }
+      });
+    }
+  };
+
   const Actions = {
     bind() {
     },
@@ -1434,6 +2110,7 @@ export function createUi({ getControl, getTerm }) {
         return;
       }
       const preferredCwd = typeof options.cwd === 'string' ? options.cwd.trim() : '';
+      const profile = typeof options.profile === 'string' ? options.profile.trim() : '';
       this.resetKillRequest();
       State.killRequested = false;
       const requestId = createControlRequestId('spawn');
@@ -1464,7 +2141,8 @@ export function createUi({ getControl, getTerm }) {
       const ok = control
         ? control.send({
             type: 'spawn',
-            cli: 'shell',
+            cli: profile ? 'profile' : 'shell',
+            profile: profile || undefined,
             requestId,
             // Keep terminal default cwd controlled by server (typically Linux home "~").
             cwd: preferredCwd || undefined,
@@ -1485,6 +2163,142 @@ export function createUi({ getControl, getTerm }) {
       Dock.collapse();
     },
 
+    updateSessionMetadata(sessionId, patch) {
+      const control = getControl();
+      if (!sessionId || !control) {
+        return false;
+      }
+      const requestId = createControlRequestId('session-update');
+      if (typeof control.registerPendingAck === 'function') {
+        control.registerPendingAck({
+          requestId,
+          timeoutMs: CONTROL_ACK_TIMEOUT_MS,
+          onAck: () => {
+            StatusBar.setText('终端信息已更新');
+          },
+          onError: (errorPayload) => {
+            const reason = errorPayload && typeof errorPayload.message === 'string' ? errorPayload.message : '';
+            const message = reason === 'insufficient_scope' ? '只读模式不可修改终端信息' : `更新失败: ${reason || 'unknown'}`;
+            StatusBar.setText(message);
+            Toast.show(message, 'warn');
+          },
+          onTimeout: () => {
+            Toast.show('更新终端信息超时', 'warn');
+          }
+        });
+      }
+      const ok = control.send({
+        type: 'session.update',
+        sessionId,
+        requestId,
+        ...patch
+      });
+      if (!ok) {
+        if (typeof control.clearPendingAck === 'function') {
+          control.clearPendingAck(requestId);
+        }
+        Toast.show('控制通道未就绪', 'warn');
+        return false;
+      }
+      return true;
+    },
+
+    sendRecordingRequest(type, sessionId) {
+      const control = getControl();
+      if (!sessionId || !control) {
+        return false;
+      }
+      const requestId = createControlRequestId('recording');
+      if (typeof control.registerPendingAck === 'function') {
+        control.registerPendingAck({
+          requestId,
+          timeoutMs: CONTROL_ACK_TIMEOUT_MS,
+          onError: (errorPayload) => {
+            const reason = errorPayload && typeof errorPayload.message === 'string' ? errorPayload.message : '';
+            const message = reason === 'insufficient_scope' ? '只读模式不可录制' : `录制操作失败: ${reason || 'unknown'}`;
+            StatusBar.setText(message);
+            Toast.show(message, 'warn');
+          },
+          onTimeout: () => {
+            Toast.show('录制操作超时', 'warn');
+          }
+        });
+      }
+      const ok = control.send({ type, sessionId, requestId });
+      if (!ok) {
+        if (typeof control.clearPendingAck === 'function') {
+          control.clearPendingAck(requestId);
+        }
+        Toast.show('控制通道未就绪', 'warn');
+        return false;
+      }
+      return true;
+    },
+
+    sendInputLockRequest(type, sessionId, fields = {}) {
+      const control = getControl();
+      if (!sessionId || !control) {
+        return false;
+      }
+      const requestId = createControlRequestId('input-lock');
+      if (typeof control.registerPendingAck === 'function') {
+        control.registerPendingAck({
+          requestId,
+          timeoutMs: CONTROL_ACK_TIMEOUT_MS,
+          onError: (errorPayload) => {
+            const reason = errorPayload && typeof errorPayload.message === 'string' ? errorPayload.message : '';
+            const message = reason === 'insufficient_scope' ? '只读模式不可锁定输入' : `输入锁操作失败: ${reason || 'unknown'}`;
+            StatusBar.setText(message);
+            Toast.show(message, 'warn');
+          },
+          onTimeout: () => {
+            Toast.show('输入锁操作超时', 'warn');
+          }
+        });
+      }
+      const ok = control.send({ type, sessionId, requestId, ...fields });
+      if (!ok) {
+        if (typeof control.clearPendingAck === 'function') {
+          control.clearPendingAck(requestId);
+        }
+        Toast.show('控制通道未就绪', 'warn');
+        return false;
+      }
+      return true;
+    },
+
+    sendLayoutRequest(type, sessionId, fields = {}) {
+      const control = getControl();
+      if (!sessionId || !control) {
+        return false;
+      }
+      const requestId = createControlRequestId('layout');
+      if (typeof control.registerPendingAck === 'function') {
+        control.registerPendingAck({
+          requestId,
+          timeoutMs: CONTROL_ACK_TIMEOUT_MS,
+          onError: (errorPayload) => {
+            const reason = errorPayload && typeof errorPayload.message === 'string' ? errorPayload.message : '';
+            const message = reason === 'insufficient_scope' ? '只读模式不可调整窗口布局' : `布局操作失败: ${reason || 'unknown'}`;
+            StatusBar.setText(message);
+            Toast.show(message, 'warn');
+          },
+          onTimeout: () => {
+            Toast.show('布局操作超时', 'warn');
+          }
+        });
+      }
+      const ok = control.send({ type, sessionId, requestId, ...fields });
+      if (!ok) {
+        if (typeof control.clearPendingAck === 'function') {
+          control.clearPendingAck(requestId);
+        }
+        Toast.show('控制通道未就绪', 'warn');
+        return false;
+      }
+      return true;
+    },
+
     requestKill(sessionId) {
       const control = getControl();
       const targetSessionId = sessionId || State.currentSessionId;
@@ -1585,6 +2399,15 @@ export function createUi({ getControl, getTerm }) {
           });
         });
 
+        // Clicking a push notification while the app is open focuses this window and asks for the session.
+        navigator.serviceWorker.addEventListener('message', (event) => {
+          const payload = event.data;
+          if (!payload || payload.type !== 'c2p:open-session' || !SessionTabs.getById(payload.sessionId)) {
+            return;
+          }
+          SessionTabs.activateSession(payload.sessionId);
+        });
+
         let controllerChangeNotified = false;
         navigator.serviceWorker.addEventListener('controllerchange', () => {
           if (controllerChangeNotified) {
@@ -2235,6 +3058,42 @@ export function createUi({ getControl, getTerm }) {
     const code = String(error && typeof error === 'object' && 'code' in error ? error.code : '').toLowerCase();
     const rawMessage = readErrorMessage(error).toLowerCase();
 
+    const serverReason = String(error && typeof error === 'object' && 'reason' in error ? error.reason : '');
+    if (status === 401 && serverReason === 'pairing_expired') {
+      return {
+        reason: 'pairing_expired',
+        status,
+        toastMessage: '登录失败：配对码已过期，请重新生成'
+      };
+    }
+    if (status === 401 && serverReason === 'pairing_invalid') {
+      return {
+        reason: 'pairing_invalid',
+        status,
+        toastMessage: '登录失败：配对码无效或已使用'
+      };
+    }
+    if (status === 401 && serverReason === 'totp_required') {
+      return {
+        reason: 'totp_required',
+        status,
+        toastMessage: '登录失败：需要输入验证器动态码'
+      };
+    }
+    if (status === 401 && serverReason === 'totp_invalid') {
+      return {
+        reason: 'totp_invalid',
+        status,
+        toastMessage: '登录失败：动态码错误或已使用'
+      };
+    }
+    if ((status === 400 || status === 401) && serverReason.startsWith('passkey_')) {
+      return {
+        reason: serverReason,
+        status,
+        toastMessage: `登录失败：${describePasskeyFailure(serverReason.slice('passkey_'.length))}`
+      };
+    }
     if (status === 401) {
       return {
         reason: 'unauthorized',
@@ -2300,8 +3159,9 @@ export function createUi({ getControl, getTerm }) {
         clearAccessTokenState();
         const message = error && typeof error === 'object' && 'message' in error ? String(error.message) : 'unknown';
         StatusBar.setControl('offline');
-        StatusBar.setText('访问令牌刷新失败，请重新使用 #token 链接登录');
+        StatusBar.setText('访问令牌刷新失败，请重新登录');
         Toast.show(`令牌刷新失败: ${message}`, 'danger');
+        void requestLogin();
       }
     };
 
@@ -2331,42 +3191,205 @@ export function createUi({ getControl, getTerm }) {
     }, refreshDelayMs);
   }
 
-  const Auth = {
-    async exchangeBootstrapToken(bootstrapToken) {
-      let response = null;
-      try {
-        response = await fetch(apiUrl('/api/auth/exchange'), {
-          method: 'POST',
-          headers: {
-            Authorization: `Bearer ${bootstrapToken}`
-          }
-        });
-      } catch {
-        const networkError = new Error('network request failed');
-        networkError.code = 'network';
-        throw networkError;
+  async function postAuthRequest(path, { headers = {}, body = {} } = {}) {
+    let response = null;
+    try {
+      response = await fetch(apiUrl(path), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+      });
+    } catch {
+      const networkError = new Error('network request failed');
+      networkError.code = 'network';
+      throw networkError;
+    }
+    if (!response.ok) {
+      const payload = await response.json().catch(() => null);
+      const reason = payload && typeof payload.error === 'string' ? payload.error : `auth exchange failed (${response.status})`;
+      const exchangeError = new Error(reason);
+      exchangeError.status = response.status;
+      exchangeError.reason = payload && typeof payload.reason === 'string' ? payload.reason : '';
+      throw exchangeError;
+    }
+    return response.json();
+  }
+
+  // Null when the user cancels; the server answers `totp_invalid` for anything that is not a current code.
+  function promptTotpCode() {
+    const value = window.prompt('请输入验证器 App 中的 6 位动态码');
+    return value === null ? null : value.trim();
+  }
+
+  async function requestAccessToken(path, { headers = {}, body = {} } = {}) {
+    const request = {
+      headers,
+      body: {
+        ...body,
+        device: {
+          id: readPersistedDeviceId() || undefined,
+          label: State.deviceLabel,
+          totpTicket: readPersistedTotpTicket() || undefined
+        }
       }
-      if (!response.ok) {
-        const payload = await response.json().catch(() => null);
-        const reason = payload && typeof payload.error === 'string' ? payload.error : `auth exchange failed (${response.status})`;
-        const exchangeError = new Error(reason);
-        exchangeError.status = response.status;
-        throw exchangeError;
+    };
+    let payload = null;
+    try {
+      payload = await postAuthRequest(path, request);
+    } catch (error) {
+      const totpCode = error && error.reason === 'totp_required' ? promptTotpCode() : null;
+      if (totpCode === null) {
+        throw error;
       }
-      const payload = await response.json();
-      if (!payload || typeof payload.accessToken !== 'string' || !payload.accessToken) {
-        throw new Error('invalid exchange response');
+      payload = await postAuthRequest(path, { ...request, body: { ...request.body, totpCode } });
+    }
+    if (!payload || typeof payload.accessToken !== 'string' || !payload.accessToken) {
+      throw new Error('invalid exchange response');
+    }
+    persistDeviceId(payload.deviceId);
+    persistTotpTicket(payload.totpTicket);
+    return {
+      accessToken: payload.accessToken,
+      expiresAt: typeof payload.expiresAt === 'string' ? payload.expiresAt : ''
+    };
+  }
+
+  let loginDialog = null;
+  let loginResolve = null;
+  let loginBusy = false;
+
+  function ensureLoginDialog() {
+    if (loginDialog) {
+      return loginDialog;
+    }
+    loginDialog = document.createElement('dialog');
+    loginDialog.className = 'file-dialog login-dialog';
+    loginDialog.innerHTML = `
+      <div class="file-dialog-header">
+        <span class="file-dialog-title">登录</span>
+      </div>
+      <form class="file-dialog-body login-dialog-body" method="dialog">
+        <button type="button" class="btn" data-login-action="passkey">使用通行密钥登录</button>
+        <div class="login-dialog-pairing">
+          <input type="text" inputmode="numeric" autocomplete="one-time-code" maxlength="7" placeholder="配对码"
+            aria-label="6 位配对码" data-role="pairing" />
+          <button type="submit" class="btn" data-login-action="pairing">登录</button>
+        </div>
+        <p class="login-dialog-hint" data-role="hint"></p>
+      </form>
+    `;
+    document.body.appendChild(loginDialog);
+    const passkeyBtn = loginDialog.querySelector('[data-login-action="passkey"]');
+    const pairingInput = loginDialog.querySelector('[data-role="pairing"]');
+
+    const finish = async (attempt) => {
+      if (loginBusy) {
+        return;
       }
-      return {
-        accessToken: payload.accessToken,
-        expiresAt: typeof payload.expiresAt === 'string' ? payload.expiresAt : ''
-      };
+      loginBusy = true;
+      try {
+        const issued = await attempt();
+        applyAccessToken(issued.accessToken, issued.expiresAt);
+        scheduleTokenLifecycle();
+        Toast.show('登录成功，已建立访问会话', 'success');
+        const resolve = loginResolve;
+        loginResolve = null;
+        loginDialog.close();
+        resolve?.(true);
+      } catch (error) {
+        // Dismissing the system passkey sheet is not an error worth a toast.
+        if (error && error.name === 'NotAllowedError') {
+          return;
+        }
+        Toast.show(describeAuthExchangeError(error).toastMessage, 'danger');
+      } finally {
+        loginBusy = false;
+      }
+    };
+
+    passkeyBtn.addEventListener('click', () => {
+      void finish(() => Auth.loginWithPasskey());
+    });
+    loginDialog.querySelector('form').addEventListener('submit', (event) => {
+      event.preventDefault();
+      const code = pairingInput.value.trim();
+      if (!code) {
+        pairingInput.focus();
+        return;
+      }
+      void finish(() => Auth.exchangePairingCode(code));
+    });
+    loginDialog.addEventListener('close', () => {
+      pairingInput.value = '';
+      const resolve = loginResolve;
+      loginResolve = null;
+      resolve?.(false);
+    });
+    return loginDialog;
+  }
+
+  const Auth = {
+    // Exactly one credential: the bootstrap token (Bearer) or a one-time pairing code (body).
+    exchangeCredential({ bootstrapToken = '', pairingCode = '' }) {
+      return requestAccessToken('/api/auth/exchange', {
+        headers: bootstrapToken ? { Authorization: `Bearer ${bootstrapToken}` } : {},
+        body: pairingCode ? { pairingCode } : {}
+      });
     },
 
-    async refreshAccessToken() {
-      const response = await authedFetch(apiUrl('/api/auth/refresh'), {
-        method: 'POST'
+    exchangeBootstrapToken(bootstrapToken) {
+      return this.exchangeCredential({ bootstrapToken });
+    },
+
+    exchangePairingCode(pairingCode) {
+      return this.exchangeCredential({ pairingCode });
+    },
+
+    async loginWithPasskey() {
+      const options = await postAuthRequest('/api/auth/passkeys/login/options');
+      const credential = await navigator.credentials.get({ publicKey: toRequestOptions(options) });
+      return requestAccessToken('/api/auth/passkeys/login', {
+        body: { credential: serializeCredential(credential) }
       });
+    },
+
+    // Resolves true once a token was obtained, false when the dialog is dismissed.
+    promptLogin() {
+      const dialog = ensureLoginDialog();
+      const passkeys = isPasskeySupported(window);
+      dialog.querySelector('[data-login-action="passkey"]').hidden = !passkeys;
+      const pairingHint = '配对码可在电脑上运行 c2pctl pair，或在已登录设备的「登录设备」中生成；也可扫码打开带 #token 的链接。';
+      dialog.querySelector('[data-role="hint"]').textContent = passkeys
+        ? `已添加通行密钥的设备可直接用生物识别登录。${pairingHint}`
+        : pairingHint;
+      if (!dialog.open) {
+        dialog.showModal();
+      }
+      return new Promise((resolve) => {
+        const previous = loginResolve;
+        loginResolve = (value) => {
+          previous?.(value);
+          resolve(value);
+        };
+      });
+    },
+
+    async refreshAccessToken() {
+      const refresh = (body) =>
+        authedFetch(apiUrl('/api/auth/refresh'), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+      let response = await refresh({});
+      if (response.status === 401) {
+        // Admin tokens need a fresh TOTP code once the device's verification window has passed.
+        const failure = await response.clone().json().catch(() => null);
+        const totpCode = failure && failure.reason === 'totp_required' ? promptTotpCode() : null;
+        if (totpCode !== null) {
+          response = await refresh({ totpCode });
+        }
+      }
       if (!response.ok) {
         throw new Error(`token refresh failed (${response.status})`);
       }
@@ -2374,6 +3397,7 @@ export function createUi({ getControl, getTerm }) {
       if (!payload || typeof payload.accessToken !== 'string' || !payload.accessToken) {
         throw new Error('invalid refresh response');
       }
+      persistTotpTicket(payload.totpTicket);
       return {
         accessToken: payload.accessToken,
         expiresAt: typeof payload.expiresAt === 'string' ? payload.expiresAt : ''
@@ -2382,9 +3406,12 @@ export function createUi({ getControl, getTerm }) {
 
     async init() {
       const hashToken = readTokenFromHash();
-      if (hashToken) {
+      const hashPairing = readPairingFromHash();
+      if (hashToken || hashPairing) {
         try {
-          const issued = await this.exchangeBootstrapToken(hashToken);
+          const issued = hashToken
+            ? await this.exchangeBootstrapToken(hashToken)
+            : await this.exchangePairingCode(hashPairing);
           applyAccessToken(issued.accessToken, issued.expiresAt);
           scheduleTokenLifecycle();
           Toast.show('认证成功，已建立访问会话', 'success');
@@ -2443,6 +3470,20 @@ export function createUi({ getControl, getTerm }) {
     }
   };
 
+  // Opens the login dialog and, once signed in, reconnects as a fresh page load would.
+  async function requestLogin() {
+    if (!(await Auth.promptLogin())) {
+      return false;
+    }
+    await Runtime.load();
+    const control = getControl();
+    if (control) {
+      control.connect();
+    }
+    window.dispatchEvent(new Event('c2p:authenticated'));
+    return true;
+  }
+
   function bindSessionCopy() {
     if (!DOM.sessionPill) {
       return;
@@ -2503,6 +3544,8 @@ export function createUi({ getControl, getTerm }) {
     window.localStorage.removeItem(LEGACY_QUICK_KEY_STORAGE_KEY);
 
     SessionTabs.bind();
+    SessionWindows.bind();
+    NotificationCenter.bind();
     Dock.bind();
     Actions.bind();
     SideActions.bind();
@@ -2517,13 +3560,14 @@ export function createUi({ getControl, getTerm }) {
         Network.bind();
         Viewport.bind();
         Actions.initServiceWorker().catch(() => {});
-        Runtime.load().finally(() => {
+        Runtime.load().finally(async () => {
           if (State.token) {
             control.connect();
-          } else {
-            StatusBar.setControl('offline');
-            StatusBar.setText('请使用带 #token 的链接登录');
+            return;
           }
+          StatusBar.setControl('offline');
+          StatusBar.setText('请扫码、使用带 #token 的链接、通行密钥或配对码登录');
+          await requestLogin();
         });
       });
     window.setTimeout(() => {
@@ -2538,12 +3582,17 @@ export function createUi({ getControl, getTerm }) {
     StatusBar,
     Dock,
     SessionTabs,
+    SessionWindows,
+    SessionPresence,
+    NotificationCenter,
+    WatchMode,
     Actions,
     QuickKeys,
     Network,
     Viewport,
     Auth,
     Runtime,
+    requestLogin,
     bindSessionCopy,
     onActiveSessionChanged,
     bootstrap
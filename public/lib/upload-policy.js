@@ -0,0 +1,69 @@
+export const UPLOAD_CHUNK_BYTES_DEFAULT = 8 * 1024 * 1024;
+export const UPLOAD_RETRY_DELAYS_MS = [1000, 3000, 5000, 10000, 20000];
+
+// Recognises a reselected file after a reload, when only the upload's metadata survived.
+export function buildUploadFingerprint(file) {
+  if (!file) {
+    return '';
+  }
+  return `${file.name}\u0000${Number(file.size) || 0}\u0000${Number(file.lastModified) || 0}`;
+}
+
+export function nextUploadChunk(offset, size, chunkBytes = UPLOAD_CHUNK_BYTES_DEFAULT) {
+  const start = Math.max(0, Math.min(Number(offset) || 0, size));
+  const step = Number.isFinite(chunkBytes) && chunkBytes > 0 ? Math.floor(chunkBytes) : UPLOAD_CHUNK_BYTES_DEFAULT;
+  return { start, end: Math.min(size, start + step) };
+}
+
+export function computeUploadPercent(offset, size) {
+  if (!Number.isFinite(size) || size <= 0) {
+    return offset >= size ? 100 : 0;
+  }
+  return Math.max(0, Math.min(100, Math.floor((offset / size) * 100)));
+}
+
+export function formatUploadChecksum(digest) {
+  const bytes = digest instanceof Uint8Array ? digest : new Uint8Array(digest);
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return `sha256 ${btoa(binary)}`;
+}
+
+// Network drops, a previous request still holding the upload, and server hiccups are worth
+// another try; everything else needs the user.
+export function isRetryableUploadStatus(status) {
+  return status === 0 || status === 408 || status === 409 || status === 429 || status === 460 || status >= 500;
+}
+
+export function computeUploadRetryDelay(attempt) {
+  const index = Math.max(0, Math.min(UPLOAD_RETRY_DELAYS_MS.length - 1, Math.floor(attempt)));
+  return UPLOAD_RETRY_DELAYS_MS[index];
+}
+
+export function describeUploadStatus(entry) {
+  if (!entry) {
+    return '';
+  }
+  const percent = `${computeUploadPercent(entry.offset, entry.size)}%`;
+  if (entry.status === 'uploading') {
+    return percent;
+  }
+  if (entry.status === 'paused') {
+    return `已暂停 ${percent}`;
+  }
+  if (entry.status === 'waiting') {
+    return `等待重试 ${percent}`;
+  }
+  if (entry.status === 'needs-file') {
+    return `重新选择文件以继续 ${percent}`;
+  }
+  if (entry.status === 'verifying') {
+    return '校验中';
+  }
+  if (entry.status === 'failed') {
+    return entry.error ? `失败: ${entry.error}` : '失败';
+  }
+  return '排队中';
+}
@@ -0,0 +1,425 @@
+import { DOM, State, apiUrl, authedFetch, buildAuthHeaders } from './state.js';
+import {
+  UPLOAD_CHUNK_BYTES_DEFAULT,
+  UPLOAD_RETRY_DELAYS_MS,
+  buildUploadFingerprint,
+  computeUploadPercent,
+  computeUploadRetryDelay,
+  describeUploadStatus,
+  formatUploadChecksum,
+  isRetryableUploadStatus,
+  nextUploadChunk
+} from './upload-policy.js';
+
+const UPLOAD_DB_NAME = 'c2p-uploads';
+const UPLOAD_DB_STORE = 'uploads';
+
+function openUploadDb() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+  return new Promise((resolve) => {
+    const request = indexedDB.open(UPLOAD_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(UPLOAD_DB_STORE, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => resolve(null);
+  });
+}
+
+async function runUploadDb(mode, action) {
+  const db = await openUploadDb();
+  if (!db) {
+    throw new Error('indexedDB unavailable');
+  }
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = action(db.transaction(UPLOAD_DB_STORE, mode).objectStore(UPLOAD_DB_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error || new Error('indexedDB request failed'));
+    });
+  } finally {
+    db.close();
+  }
+}
+
+async function readResponseError(response) {
+  const payload = await response.json().catch(() => null);
+  return payload && payload.error ? payload.error : `upload failed (${response.status})`;
+}
+
+function readXhrError(xhr) {
+  try {
+    const payload = JSON.parse(xhr.responseText || 'null');
+    return payload && payload.error ? payload.error : `HTTP ${xhr.status}`;
+  } catch {
+    return `HTTP ${xhr.status}`;
+  }
+}
+
+async function computeChunkChecksum(blob) {
+  // SubtleCrypto only exists in secure contexts; plain-http deployments upload without it.
+  if (!window.crypto || !window.crypto.subtle) {
+    return '';
+  }
+  const digest = await window.crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return formatUploadChecksum(digest);
+}
+
+// Files go through the resumable /api/fs/uploads protocol one at a time. Pending uploads and
+// their File blobs are kept in IndexedDB so a reload picks them up where the server left off.
+export function createUploadQueue({ toast, onUploaded }) {
+  const entries = [];
+  const rows = new Map();
+  let active = null;
+  let restored = false;
+
+  function persist(entry) {
+    const record = {
+      id: entry.id,
+      path: entry.path,
+      name: entry.name,
+      size: entry.size,
+      lastModified: entry.lastModified,
+      chunkBytes: entry.chunkBytes
+    };
+    return runUploadDb('readwrite', (store) => store.put({ ...record, file: entry.file })).catch(() =>
+      // Quota or a browser that cannot store blobs: keep the metadata so the user can reselect the file.
+      runUploadDb('readwrite', (store) => store.put(record)).catch(() => undefined)
+    );
+  }
+
+  function forget(entry) {
+    return runUploadDb('readwrite', (store) => store.delete(entry.id)).catch(() => undefined);
+  }
+
+  function renderEntry(entry) {
+    const row = rows.get(entry.id);
+    if (!row) {
+      return;
+    }
+    const offset = entry.status === 'uploading' ? entry.offset + entry.sentBytes : entry.offset;
+    row.fill.style.width = `${computeUploadPercent(offset, entry.size)}%`;
+    row.status.textContent = describeUploadStatus({ ...entry, offset });
+    row.root.classList.toggle('is-failed', entry.status === 'failed');
+    const paused = entry.status === 'paused' || entry.status === 'failed';
+    row.toggle.textContent = paused ? '▶' : '⏸';
+    row.toggle.title = paused ? '继续' : '暂停';
+    row.toggle.setAttribute('aria-label', row.toggle.title);
+    row.toggle.disabled = entry.status === 'needs-file' || entry.status === 'verifying';
+  }
+
+  function render() {
+    if (!DOM.filesUploads) {
+      return;
+    }
+    entries.forEach((entry) => {
+      if (rows.has(entry.id)) {
+        return;
+      }
+      const root = document.createElement('div');
+      root.className = 'files-upload-row';
+      const name = document.createElement('span');
+      name.className = 'files-upload-name';
+      name.textContent = entry.name;
+      name.title = entry.path;
+      const status = document.createElement('span');
+      status.className = 'files-upload-status';
+      const meter = document.createElement('span');
+      meter.className = 'files-upload-meter';
+      const fill = document.createElement('span');
+      fill.className = 'files-upload-meter-fill';
+      meter.appendChild(fill);
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'btn files-upload-btn';
+      toggle.addEventListener('click', () => {
+        if (entry.status === 'paused' || entry.status === 'failed') {
+          resume(entry);
+        } else {
+          pause(entry);
+        }
+      });
+      const cancelBtn = document.createElement('button');
+      cancelBtn.type = 'button';
+      cancelBtn.className = 'btn files-upload-btn';
+      cancelBtn.textContent = '✕';
+      cancelBtn.title = '取消上传';
+      cancelBtn.setAttribute('aria-label', '取消上传');
+      cancelBtn.addEventListener('click', () => {
+        void cancel(entry);
+      });
+      root.append(name, status, toggle, cancelBtn, meter);
+      DOM.filesUploads.appendChild(root);
+      rows.set(entry.id, { root, status, fill, toggle });
+    });
+    rows.forEach((row, id) => {
+      if (!entries.some((entry) => entry.id === id)) {
+        row.root.remove();
+        rows.delete(id);
+      }
+    });
+    entries.forEach(renderEntry);
+    DOM.filesUploads.hidden = entries.length === 0;
+  }
+
+  function removeEntry(entry) {
+    const index = entries.indexOf(entry);
+    if (index >= 0) {
+      entries.splice(index, 1);
+    }
+    render();
+  }
+
+  function setStatus(entry, status, error = '') {
+    entry.status = status;
+    entry.error = error;
+    renderEntry(entry);
+  }
+
+  async function syncOffset(entry) {
+    const response = await authedFetch(apiUrl(`/api/fs/uploads/${entry.id}`), { method: 'HEAD' });
+    if (response.status === 404) {
+      return false;
+    }
+    if (!response.ok) {
+      throw Object.assign(new Error(`HTTP ${response.status}`), { status: response.status });
+    }
+    entry.offset = Number(response.headers.get('Upload-Offset')) || 0;
+    return true;
+  }
+
+  function sendChunk(entry, blob, checksum) {
+    return new Promise((resolve) => {
+      const xhr = new XMLHttpRequest();
+      entry.xhr = xhr;
+      entry.sentBytes = 0;
+      xhr.open('PATCH', apiUrl(`/api/fs/uploads/${entry.id}`));
+      const headers = buildAuthHeaders({
+        'Content-Type': 'application/offset+octet-stream',
+        'Upload-Offset': String(entry.offset)
+      });
+      if (checksum) {
+        headers['Upload-Checksum'] = checksum;
+      }
+      Object.entries(headers).forEach(([key, value]) => {
+        xhr.setRequestHeader(key, value);
+      });
+      xhr.upload.onprogress = (event) => {
+        entry.sentBytes = event.loaded;
+        renderEntry(entry);
+      };
+      const finish = (status) => {
+        entry.xhr = null;
+        entry.sentBytes = 0;
+        const offset = Number.parseInt(xhr.getResponseHeader('Upload-Offset') || '', 10);
+        resolve({ status, offset, error: status > 0 ? readXhrError(xhr) : '' });
+      };
+      xhr.onload = () => finish(xhr.status);
+      xhr.onerror = () => finish(0);
+      xhr.onabort = () => finish(-1);
+      xhr.send(blob);
+    });
+  }
+
+  async function finalize(entry) {
+    setStatus(entry, 'verifying');
+    const response = await authedFetch(apiUrl(`/api/fs/uploads/${entry.id}/complete`), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({})
+    });
+    if (!response.ok) {
+      throw Object.assign(new Error(await readResponseError(response)), { status: response.status });
+    }
+    await forget(entry);
+    removeEntry(entry);
+    toast.show(`上传完成: ${entry.name}`, 'success');
+    onUploaded(entry);
+  }
+
+  async function upload(entry) {
+    setStatus(entry, 'uploading');
+    if (!(await syncOffset(entry))) {
+      throw Object.assign(new Error('upload not found'), { status: 404 });
+    }
+    while (entry.offset < entry.size) {
+      const { start, end } = nextUploadChunk(entry.offset, entry.size, entry.chunkBytes);
+      const blob = entry.file.slice(start, end);
+      const checksum = await computeChunkChecksum(blob);
+      if (entry.status !== 'uploading') {
+        return;
+      }
+      const result = await sendChunk(entry, blob, checksum);
+      if (result.status === -1) {
+        return;
+      }
+      if (Number.isFinite(result.offset)) {
+        entry.offset = result.offset;
+      }
+      if (result.status === 204) {
+        entry.attempts = 0;
+        renderEntry(entry);
+        continue;
+      }
+      // The server already holds a different offset; carry on from there.
+      if (result.status === 409 && result.error === 'offset mismatch') {
+        continue;
+      }
+      throw Object.assign(new Error(result.error || '网络错误'), { status: result.status });
+    }
+    await finalize(entry);
+  }
+
+  function scheduleRetry(entry, error) {
+    entry.attempts = (entry.attempts || 0) + 1;
+    if (entry.attempts > UPLOAD_RETRY_DELAYS_MS.length) {
+      setStatus(entry, 'failed', error.message);
+      return;
+    }
+    setStatus(entry, 'waiting');
+    entry.retryTimer = window.setTimeout(() => {
+      entry.retryTimer = 0;
+      if (entry.status === 'waiting') {
+        setStatus(entry, 'queued');
+        pump();
+      }
+    }, computeUploadRetryDelay(entry.attempts - 1));
+  }
+
+  async function run(entry) {
+    active = entry;
+    try {
+      await upload(entry);
+    } catch (error) {
+      const status = error && typeof error.status === 'number' ? error.status : 0;
+      if (status === 404) {
+        await forget(entry);
+        removeEntry(entry);
+        toast.show(`上传已过期: ${entry.name}，请重新上传`, 'warn');
+      } else if (isRetryableUploadStatus(status) && entry.status === 'uploading') {
+        scheduleRetry(entry, error);
+      } else if (entry.status === 'uploading' || entry.status === 'verifying') {
+        setStatus(entry, 'failed', error.message);
+        toast.show(`上传失败: ${entry.name} - ${error.message}`, 'danger');
+      }
+    } finally {
+      active = null;
+      pump();
+    }
+  }
+
+  function pump() {
+    if (active) {
+      return;
+    }
+    const next = entries.find((entry) => entry.status === 'queued');
+    if (next) {
+      void run(next);
+    }
+  }
+
+  function pause(entry) {
+    if (entry.retryTimer) {
+      window.clearTimeout(entry.retryTimer);
+      entry.retryTimer = 0;
+    }
+    setStatus(entry, 'paused');
+    if (entry.xhr) {
+      entry.xhr.abort();
+    }
+  }
+
+  function resume(entry) {
+    entry.attempts = 0;
+    setStatus(entry, 'queued');
+    pump();
+  }
+
+  async function cancel(entry) {
+    pause(entry);
+    removeEntry(entry);
+    await forget(entry);
+    await authedFetch(apiUrl(`/api/fs/uploads/${entry.id}`), { method: 'DELETE' }).catch(() => undefined);
+  }
+
+  function addEntry(entry) {
+    entries.push({ offset: 0, sentBytes: 0, attempts: 0, xhr: null, retryTimer: 0, error: '', ...entry });
+    render();
+  }
+
+  async function enqueue(file, targetPath) {
+    const fingerprint = buildUploadFingerprint(file);
+    const pending = entries.find((entry) => entry.status === 'needs-file' && entry.fingerprint === fingerprint);
+    if (pending) {
+      pending.file = file;
+      void persist(pending);
+      resume(pending);
+      return;
+    }
+
+    const response = await authedFetch(apiUrl('/api/fs/uploads'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ path: targetPath, size: file.size })
+    });
+    if (!response.ok) {
+      throw new Error(await readResponseError(response));
+    }
+    const payload = await response.json();
+    const entry = {
+      id: payload.id,
+      path: payload.path,
+      name: file.name,
+      size: file.size,
+      lastModified: file.lastModified,
+      fingerprint,
+      chunkBytes: Number(payload.chunkBytes) || UPLOAD_CHUNK_BYTES_DEFAULT,
+      file,
+      status: 'queued'
+    };
+    addEntry(entry);
+    await persist(entry);
+    pump();
+  }
+
+  async function restore() {
+    if (restored || !State.token) {
+      return;
+    }
+    restored = true;
+    const records = await runUploadDb('readonly', (store) => store.getAll()).catch(() => []);
+    let resumed = 0;
+    for (const record of records) {
+      const entry = {
+        id: record.id,
+        path: record.path,
+        name: record.name,
+        size: record.size,
+        lastModified: record.lastModified,
+        fingerprint: buildUploadFingerprint(record),
+        chunkBytes: record.chunkBytes || UPLOAD_CHUNK_BYTES_DEFAULT,
+        file: record.file instanceof Blob ? record.file : null,
+        status: 'paused'
+      };
+      const exists = await syncOffset(entry).catch(() => true);
+      if (!exists) {
+        await forget(entry);
+        continue;
+      }
+      entry.status = entry.file ? 'queued' : 'needs-file';
+      addEntry(entry);
+      resumed += 1;
+    }
+    if (resumed > 0) {
+      toast.show(`继续 ${resumed} 个未完成的上传`, 'info');
+    }
+    pump();
+  }
+
+  return {
+    enqueue,
+    restore
+  };
+}
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'c2p-v76';
+const CACHE_NAME = 'c2p-v101';
 const APP_SHELL_ASSETS = [
   '/',
   '/index.html',
@@ -11,14 +11,41 @@ const APP_SHELL_ASSETS = [
   '/lib/terminal-clear-policy.js',
   '/lib/terminal-input-policy.js',
   '/lib/terminal-replay-drop-policy.js',
+  '/lib/terminal-search-policy.js',
+  '/lib/notification-policy.js',
   '/lib/control.js',
   '/lib/ui.js',
   '/lib/theme.js',
   '/lib/quality.js',
   '/lib/gesture-scroll-policy.js',
   '/lib/gestures.js',
+  '/lib/asciicast-policy.js',
+  '/lib/cast-player.js',
+  '/lib/upload-policy.js',
+  '/lib/uploads.js',
+  '/lib/files-selection-policy.js',
+  '/lib/files-diff-policy.js',
+  '/lib/files-diff.js',
+  '/lib/files-conflict.js',
+  '/lib/files-search-policy.js',
+  '/lib/files-search.js',
+  '/lib/files-trash-policy.js',
+  '/lib/files-trash.js',
+  '/lib/files-git-policy.js',
+  '/lib/files-git.js',
+  '/lib/files-props-policy.js',
+  '/lib/files-props.js',
+  '/lib/files-watch-policy.js',
+  '/lib/files-watch.js',
   '/lib/files.js',
+  '/lib/push.js',
   '/lib/monitor.js',
+  '/lib/process-policy.js',
+  '/lib/processes.js',
+  '/lib/passkey-policy.js',
+  '/lib/grants-policy.js',
+  '/lib/devices-policy.js',
+  '/lib/devices.js',
   '/manifest.json',
   '/vendor/xterm.css',
   '/vendor/xterm.js',
@@ -78,6 +105,79 @@ self.addEventListener('message', (event) => {
   self.skipWaiting();
 });
 
+function formatPushBytes(bytes) {
+  const mb = Math.max(0, Number(bytes) || 0) / (1024 * 1024);
+  return mb >= 1024 ? `${(mb / 1024).toFixed(1)} GB` : `${Math.round(mb)} MB`;
+}
+
+function buildPushNotification(message) {
+  const sessionLabel = message.sessionName || message.sessionId || '';
+  if (message.type === 'session.exit') {
+    return {
+      title: `会话已退出 · ${sessionLabel}`,
+      body: message.exitCode === 0 ? '进程正常结束' : `退出码 ${message.exitCode}`,
+      tag: `exit:${message.sessionId}`
+    };
+  }
+  if (message.type === 'notification') {
+    return {
+      title: message.title || `终端通知 · ${sessionLabel}`,
+      body: message.title ? `${message.body || ''}\n${sessionLabel}`.trim() : message.body || '',
+      tag: `notify:${message.sessionId}`
+    };
+  }
+  if (message.type === 'disk.low') {
+    return {
+      title: '磁盘空间不足',
+      body: `${message.path} 剩余 ${formatPushBytes(message.freeBytes)}`,
+      tag: 'disk-low'
+    };
+  }
+  return { title: 'C2P', body: '推送通知已启用', tag: 'test' };
+}
+
+// A focused window already shows the same event in-app, so the system notification is skipped there.
+self.addEventListener('push', (event) => {
+  let message = {};
+  try {
+    message = event.data ? event.data.json() : {};
+  } catch {
+    message = {};
+  }
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+      if (windowClients.some((client) => client.focused)) {
+        return undefined;
+      }
+      const notification = buildPushNotification(message);
+      return self.registration.showNotification(notification.title, {
+        body: notification.body,
+        tag: notification.tag,
+        renotify: true,
+        data: { sessionId: typeof message.sessionId === 'string' ? message.sessionId : '' }
+      });
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const sessionId = (event.notification.data && event.notification.data.sessionId) || '';
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(async (windowClients) => {
+      const existing = windowClients.find((client) => new URL(client.url).origin === self.location.origin);
+      if (existing) {
+        await existing.focus();
+        if (sessionId) {
+          existing.postMessage({ type: 'c2p:open-session', sessionId });
+        }
+        return;
+      }
+      await self.clients.openWindow(sessionId ? `/?session=${encodeURIComponent(sessionId)}` : '/');
+    })
+  );
+});
+
 self.addEventListener('fetch', (event) => {
   const requestUrl = new URL(event.request.url);
   if (shouldBypassRequest(requestUrl, event.request)) {
@@ -0,0 +1,119 @@
+import path from 'node:path';
+import type { AccessTokenScope } from './auth.js';
+
+export const CAPABILITIES = [
+  'terminal:attach',
+  'terminal:input',
+  'terminal:spawn',
+  'fs:read',
+  'fs:write',
+  'system:read',
+  'system:manage',
+  'auth:read',
+  'auth:manage'
+] as const;
+
+export type Capability = (typeof CAPABILITIES)[number];
+
+// `true` grants a capability everywhere; a list limits a filesystem capability to those prefixes, relative to
+// the file API root.
+export type AccessGrants = Partial<Record<Capability, true | string[]>>;
+
+export type GrantsParseResult = { ok: true; grants: AccessGrants } | { ok: false; error: string };
+
+const SCOPE_CAPABILITIES: Record<AccessTokenScope, readonly Capability[]> = {
+  admin: CAPABILITIES,
+  readonly: ['terminal:attach', 'fs:read', 'system:read', 'auth:read']
+};
+const PATH_CAPABILITIES = new Set<Capability>(['fs:read', 'fs:write']);
+const MAX_GRANT_PATHS = 16;
+const GRANT_PATH_MAX_LENGTH = 1024;
+
+export function isCapability(value: unknown): value is Capability {
+  return typeof value === 'string' && (CAPABILITIES as readonly string[]).includes(value);
+}
+
+export function scopeGrants(scope: AccessTokenScope): AccessGrants {
+  return Object.fromEntries(SCOPE_CAPABILITIES[scope].map((capability) => [capability, true]));
+}
+
+// The narrowest preset that includes the capability; kept in 403 bodies for clients that only know scopes.
+export function requiredScopeFor(capability: Capability): AccessTokenScope {
+  return SCOPE_CAPABILITIES.readonly.includes(capability) ? 'readonly' : 'admin';
+}
+
+// Prefixes are root-relative with forward slashes, like the paths the file API accepts; `.` is the whole root.
+export function normalizeGrantPath(value: unknown): string | null {
+  if (typeof value !== 'string' || value.length > GRANT_PATH_MAX_LENGTH) {
+    return null;
+  }
+  const trimmed = value.trim().replace(/\\/g, '/');
+  if (trimmed.startsWith('/') || trimmed.includes('\0')) {
+    return null;
+  }
+  const normalized = path.posix.normalize(trimmed || '.').replace(/\/+$/, '');
+  if (normalized === '..' || normalized.startsWith('../')) {
+    return null;
+  }
+  return normalized || '.';
+}
+
+// Narrows a scope to a requested subset. Asking for more than the scope allows is an error rather than a silent
+// drop, so a client never believes it holds a grant it does not have.
+export function parseRequestedGrants(input: unknown, scope: AccessTokenScope): GrantsParseResult {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { ok: false, error: 'grants must be an object' };
+  }
+  const allowed = SCOPE_CAPABILITIES[scope];
+  const grants: AccessGrants = {};
+  for (const [capability, value] of Object.entries(input as Record<string, unknown>)) {
+    if (!isCapability(capability)) {
+      return { ok: false, error: `unknown capability: ${capability}` };
+    }
+    if (!allowed.includes(capability)) {
+      return { ok: false, error: `${capability} is not part of the ${scope} scope` };
+    }
+    if (value === true) {
+      grants[capability] = true;
+      continue;
+    }
+    if (!PATH_CAPABILITIES.has(capability) || !Array.isArray(value)) {
+      return { ok: false, error: `invalid grant for ${capability}` };
+    }
+    if (value.length === 0 || value.length > MAX_GRANT_PATHS) {
+      return { ok: false, error: `${capability} needs 1 to ${MAX_GRANT_PATHS} paths` };
+    }
+    const prefixes = value.map(normalizeGrantPath);
+    if (prefixes.some((prefix) => prefix === null)) {
+      return { ok: false, error: `invalid path for ${capability}` };
+    }
+    grants[capability] = prefixes.includes('.') ? true : [...new Set(prefixes as string[])];
+  }
+  if (Object.keys(grants).length === 0) {
+    return { ok: false, error: 'grants must include at least one capability' };
+  }
+  return { ok: true, grants };
+}
+
+// Tokens without `grants` carry everything their scope allows.
+export function resolveGrants(claims: { scope: AccessTokenScope; grants?: AccessGrants }): AccessGrants {
+  return claims.grants ?? scopeGrants(claims.scope);
+}
+
+export function hasCapability(grants: AccessGrants, capability: Capability): boolean {
+  return grants[capability] !== undefined;
+}
+
+// `relativePath` is relative to the file API root. Prefixes are compared lexically, the same way the file API
+// confines paths to its root, so a symlink inside a granted prefix still resolves wherever it points.
+export function isPathGranted(grants: AccessGrants, capability: Capability, relativePath: string): boolean {
+  const grant = grants[capability];
+  if (grant === true) {
+    return true;
+  }
+  if (!grant) {
+    return false;
+  }
+  const target = relativePath === '' ? '.' : relativePath;
+  return grant.some((prefix) => target === prefix || target.startsWith(`${prefix}/`));
+}
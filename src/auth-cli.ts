@@ -0,0 +1,134 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import readline from 'node:readline';
+import dotenv from 'dotenv';
+import qrcode from 'qrcode-terminal';
+import {
+  bootstrapTokenFingerprint,
+  ensureAccessSigningSecret,
+  ensureAuthToken,
+  rotateAuthToken,
+  signingSecretFilePath,
+  tokenFilePath
+} from './auth.js';
+import { C2PStore } from './store.js';
+import { buildOtpauthUri, encodeBase32, generateTotpSecret, matchTotpCode, TotpService } from './totp.js';
+
+const USAGE = 'Usage: node dist/auth-cli.js <rotate | totp <enroll|disable|status>> [--dir <path>]';
+const TOTP_CONFIRM_ATTEMPTS = 3;
+
+function readDirOption(args: string[]): string {
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    if (arg === '--dir' && args[i + 1]) {
+      return path.resolve(args[i + 1]);
+    }
+    if (arg.startsWith('--dir=')) {
+      return path.resolve(arg.slice('--dir='.length));
+    }
+  }
+  return process.cwd();
+}
+
+function rotate(baseDir: string): void {
+  const filePath = tokenFilePath(baseDir);
+  if (!fs.existsSync(filePath)) {
+    console.error(`[c2p] ${filePath} not found; start the server once or run from its working directory`);
+    process.exit(1);
+  }
+  const previous = ensureAuthToken(baseDir);
+  const token = rotateAuthToken(baseDir);
+  const fingerprints = `${bootstrapTokenFingerprint(previous)} -> ${bootstrapTokenFingerprint(token)}`;
+  console.log(`[c2p] bootstrap token rotated: ${fingerprints}`);
+  console.log(`[c2p] new token written to ${filePath}; a running server switches to it within a few seconds`);
+}
+
+// Opens the same store and signing secret the server in `baseDir` uses.
+function openTotpService(baseDir: string): { store: C2PStore; totp: TotpService } {
+  const secretPath = signingSecretFilePath(baseDir);
+  if (!fs.existsSync(secretPath)) {
+    console.error(`[c2p] ${secretPath} not found; start the server once or run from its working directory`);
+    process.exit(1);
+  }
+  dotenv.config({ path: path.join(baseDir, '.env') });
+  const dbPath = process.env.C2P_DB_PATH?.trim() || '.c2p-store.sqlite';
+  const store = new C2PStore(path.resolve(baseDir, dbPath));
+  return { store, totp: new TotpService({ store, signingSecret: ensureAccessSigningSecret(baseDir) }) };
+}
+
+async function enrollTotp(baseDir: string): Promise<void> {
+  const { store, totp } = openTotpService(baseDir);
+  try {
+    if (totp.isEnrolled()) {
+      console.error('[c2p] totp is already enrolled; run `totp disable` first to replace it');
+      process.exitCode = 1;
+      return;
+    }
+    const secret = generateTotpSecret();
+    const uri = buildOtpauthUri(secret, `admin@${os.hostname()}`);
+    console.log('[c2p] scan with an authenticator app:');
+    qrcode.generate(uri, { small: true });
+    console.log(`[c2p] otpauth uri: ${uri}`);
+    console.log(`[c2p] or enter the secret by hand: ${encodeBase32(secret)}`);
+
+    // Nothing is stored until the app proves it computes the same codes.
+    const rl = readline.createInterface({ input: process.stdin });
+    const lines = rl[Symbol.asyncIterator]();
+    try {
+      for (let attempt = 1; attempt <= TOTP_CONFIRM_ATTEMPTS; attempt += 1) {
+        process.stdout.write('[c2p] enter the current 6-digit code to confirm: ');
+        const line = await lines.next();
+        if (line.done) {
+          break;
+        }
+        const counter = matchTotpCode(secret, line.value);
+        if (counter !== null) {
+          totp.enroll(secret, counter);
+          console.log('[c2p] totp enrolled; admin sign-ins now ask for a code');
+          return;
+        }
+        console.log('[c2p] code did not match');
+      }
+    } finally {
+      rl.close();
+    }
+    console.error('[c2p] totp not enrolled');
+    process.exitCode = 1;
+  } finally {
+    store.close();
+  }
+}
+
+function disableTotp(baseDir: string): void {
+  const { store, totp } = openTotpService(baseDir);
+  try {
+    console.log(totp.disable() ? '[c2p] totp disabled' : '[c2p] totp was not enrolled');
+  } finally {
+    store.close();
+  }
+}
+
+function printTotpStatus(baseDir: string): void {
+  const { store } = openTotpService(baseDir);
+  try {
+    const enrollment = store.getTotpSecret();
+    console.log(enrollment ? `[c2p] totp enrolled at ${enrollment.createdAt}` : '[c2p] totp not enrolled');
+  } finally {
+    store.close();
+  }
+}
+
+const [command, ...rest] = process.argv.slice(2);
+if (command === 'rotate') {
+  rotate(readDirOption(rest));
+} else if (command === 'totp' && rest[0] === 'enroll') {
+  await enrollTotp(readDirOption(rest.slice(1)));
+} else if (command === 'totp' && rest[0] === 'disable') {
+  disableTotp(readDirOption(rest.slice(1)));
+} else if (command === 'totp' && rest[0] === 'status') {
+  printTotpStatus(readDirOption(rest.slice(1)));
+} else {
+  console.error(USAGE);
+  process.exit(2);
+}
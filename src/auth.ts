@@ -1,14 +1,34 @@
-import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
 import fs from 'node:fs';
 import path from 'node:path';
 import type { NextFunction, Request, Response } from 'express';
+import { type AccessGrants, parseRequestedGrants } from './access-grants.js';
+import { createDeviceId, type DeviceRecord, describeUserAgent, isDeviceId } from './devices.js';
 import type { C2PStore, IssuedTokenRecord } from './store.js';
+import {
+  coseKeyToJwk,
+  decodeBase64Url,
+  decodeCbor,
+  isCredentialId,
+  normalizePasskeyLabel,
+  parseAuthenticatorData,
+  parseClientData,
+  PASSKEY_ALGORITHMS,
+  type PasskeyRecord,
+  resolveRelyingParty,
+  rpIdHash,
+  verifyPasskeySignature
+} from './webauthn.js';
 
 const BOOTSTRAP_TOKEN_FILE = '.auth-token';
 const SIGNING_SECRET_FILE = '.auth-signing-secret';
 const ACCESS_TOKEN_VERSION = 'v1';
 const DEFAULT_ACCESS_TOKEN_TTL_SECONDS = 24 * 60 * 60;
 const ACCESS_TOKEN_SCOPES = ['admin', 'readonly'] as const;
+// Last-seen timestamps are written at most this often per device.
+const DEVICE_SEEN_INTERVAL_MS = 60_000;
+const PASSKEY_CHALLENGE_TTL_MS = 5 * 60_000;
+const PASSKEY_MAX_PENDING_CHALLENGES = 100;
 
 export type AccessTokenScope = (typeof ACCESS_TOKEN_SCOPES)[number];
 
@@ -17,6 +37,10 @@ export interface AccessTokenClaims {
   iat: number;
   exp: number;
   scope: AccessTokenScope;
+  // Device the token was issued to; absent on tokens issued before device enrollment existed.
+  did?: string;
+  // A subset of the scope requested at exchange; absent when the token carries the whole scope.
+  grants?: AccessGrants;
 }
 
 export interface AccessTokenIssueResult {
@@ -67,6 +91,60 @@ export type AccessTokenRefreshResult =
       code: AccessTokenVerifyFailureCode;
     };
 
+export interface DeviceEnrollment {
+  // A device id the client kept from an earlier exchange; reused unless that device was revoked.
+  deviceId?: string;
+  label?: string;
+  userAgent: string;
+  scope: AccessTokenScope;
+  ip: string;
+}
+
+export interface PasskeyServiceOptions {
+  store: C2PStore;
+  signingSecret: string;
+  userName: string;
+}
+
+export type PasskeyFailureCode =
+  | 'invalid_origin'
+  | 'invalid_credential'
+  | 'challenge_invalid'
+  | 'rp_mismatch'
+  | 'user_verification_required'
+  | 'unsupported_algorithm'
+  | 'already_registered'
+  | 'unknown_credential'
+  | 'signature_mismatch'
+  | 'sign_count_regressed';
+
+export type PasskeyOptionsResult =
+  | { ok: true; options: Record<string, unknown> }
+  | { ok: false; code: PasskeyFailureCode };
+
+export type PasskeyVerifyResult = { ok: true; passkey: PasskeyRecord } | { ok: false; code: PasskeyFailureCode };
+
+// What a registered passkey is bound to: the scope, grants and device of the token that registered it.
+export interface PasskeyBinding {
+  scope: AccessTokenScope;
+  deviceId?: string;
+  grants?: AccessGrants;
+}
+
+interface PasskeyChallenge {
+  type: 'webauthn.create' | 'webauthn.get';
+  origin: string;
+  rpId: string;
+  binding?: PasskeyBinding;
+  expiresAtMs: number;
+}
+
+interface PasskeyAssertion {
+  clientDataJSON: Buffer;
+  authenticatorData: Buffer;
+  signature: Buffer;
+}
+
 export interface AccessAuthMiddlewareHooks {
   onFailure?: (req: Request, reason: AccessTokenVerifyFailureCode | 'missing') => void;
   onSuccess?: (req: Request, context: AccessAuthContext) => void;
@@ -136,14 +214,18 @@ export function signingSecretFilePath(baseDir = process.cwd()): string {
   return path.resolve(baseDir, SIGNING_SECRET_FILE);
 }
 
+function readAuthTokenFile(filePath: string): string {
+  const token = fs.readFileSync(filePath, 'utf8').trim();
+  if (!isBootstrapTokenFormat(token)) {
+    throw new Error(`Invalid bootstrap token format in ${filePath}`);
+  }
+  return token;
+}
+
 export function ensureAuthToken(baseDir = process.cwd()): string {
   const filePath = tokenFilePath(baseDir);
   if (fs.existsSync(filePath)) {
-    const token = fs.readFileSync(filePath, 'utf8').trim();
-    if (!isBootstrapTokenFormat(token)) {
-      throw new Error(`Invalid bootstrap token format in ${filePath}`);
-    }
-    return token;
+    return readAuthTokenFile(filePath);
   }
 
   const token = randomBytes(32).toString('hex');
@@ -154,6 +236,24 @@ export function ensureAuthToken(baseDir = process.cwd()): string {
   return token;
 }
 
+// Replaces `.auth-token` through a rename so a server watching the file never reads a partial token.
+export function rotateAuthToken(baseDir = process.cwd()): string {
+  const filePath = tokenFilePath(baseDir);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const token = randomBytes(32).toString('hex');
+  fs.writeFileSync(tempPath, `${token}\n`, {
+    encoding: 'utf8',
+    mode: 0o600
+  });
+  fs.renameSync(tempPath, filePath);
+  return token;
+}
+
+// Identifies a bootstrap token in logs and audit entries without revealing it.
+export function bootstrapTokenFingerprint(token: string): string {
+  return createHash('sha256').update(token).digest('hex').slice(0, 12);
+}
+
 export function ensureAccessSigningSecret(baseDir = process.cwd()): string {
   const filePath = signingSecretFilePath(baseDir);
   if (fs.existsSync(filePath)) {
@@ -172,10 +272,65 @@ export function ensureAccessSigningSecret(baseDir = process.cwd()): string {
   return secret;
 }
 
+export interface BootstrapTokenRotation {
+  previousFingerprint: string;
+  fingerprint: string;
+}
+
+// The bootstrap token the running server accepts. It changes through `rotate()` (admin API) or when
+// `.auth-token` is rewritten by the CLI, which the server notices through `reload()`.
+export class BootstrapTokenManager {
+  private readonly filePath: string;
+  private token: string;
+
+  constructor(baseDir = process.cwd()) {
+    this.filePath = tokenFilePath(baseDir);
+    this.token = ensureAuthToken(baseDir);
+  }
+
+  getFilePath(): string {
+    return this.filePath;
+  }
+
+  getToken(): string {
+    return this.token;
+  }
+
+  getFingerprint(): string {
+    return bootstrapTokenFingerprint(this.token);
+  }
+
+  validate(candidate: string | null): boolean {
+    return validateBootstrapToken(candidate, this.token);
+  }
+
+  rotate(): BootstrapTokenRotation {
+    const previousFingerprint = this.getFingerprint();
+    this.token = rotateAuthToken(path.dirname(this.filePath));
+    return { previousFingerprint, fingerprint: this.getFingerprint() };
+  }
+
+  // Null when the file is missing or still holds the current token; throws on a malformed file.
+  reload(): BootstrapTokenRotation | null {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+    const token = readAuthTokenFile(this.filePath);
+    if (token === this.token) {
+      return null;
+    }
+    const previousFingerprint = this.getFingerprint();
+    this.token = token;
+    return { previousFingerprint, fingerprint: this.getFingerprint() };
+  }
+}
+
 export class AccessTokenService {
   private readonly store: C2PStore;
   private readonly signingSecret: string;
   private readonly ttlSeconds: number;
+  private readonly deviceSeenAt = new Map<string, number>();
+  private readonly deviceRevokedListeners = new Set<(deviceId: string) => void>();
 
   constructor(options: AccessTokenServiceOptions) {
     this.store = options.store;
@@ -187,13 +342,20 @@ export class AccessTokenService {
     return this.ttlSeconds;
   }
 
-  issueAccessToken(actor: string, scope: AccessTokenScope = 'admin'): AccessTokenIssueResult {
+  issueAccessToken(
+    actor: string,
+    scope: AccessTokenScope = 'admin',
+    deviceId?: string,
+    grants?: AccessGrants
+  ): AccessTokenIssueResult {
     const nowSec = Math.floor(Date.now() / 1000);
     const claims: AccessTokenClaims = {
       jti: createJti(),
       iat: nowSec,
       exp: nowSec + this.ttlSeconds,
-      scope
+      scope,
+      ...(deviceId ? { did: deviceId } : {}),
+      ...(grants ? { grants } : {})
     };
 
     const payloadBase64Url = base64UrlEncode(JSON.stringify(claims));
@@ -205,7 +367,8 @@ export class AccessTokenService {
       scope: claims.scope,
       issuedAt: new Date(claims.iat * 1000).toISOString(),
       expiresAt: new Date(claims.exp * 1000).toISOString(),
-      actor
+      actor,
+      deviceId
     };
     this.store.recordIssuedToken(record);
 
@@ -245,7 +408,9 @@ export class AccessTokenService {
         typeof parsed.jti !== 'string' ||
         !Number.isFinite(parsed.iat) ||
         !Number.isFinite(parsed.exp) ||
-        !isAccessTokenScope(parsed.scope)
+        !isAccessTokenScope(parsed.scope) ||
+        (parsed.did !== undefined && !isDeviceId(parsed.did)) ||
+        (parsed.grants !== undefined && !parseRequestedGrants(parsed.grants, parsed.scope).ok)
       ) {
         return { ok: false, code: 'invalid_payload' };
       }
@@ -253,7 +418,9 @@ export class AccessTokenService {
         jti: parsed.jti,
         iat: Math.trunc(parsed.iat as number),
         exp: Math.trunc(parsed.exp as number),
-        scope: parsed.scope
+        scope: parsed.scope,
+        ...(parsed.did ? { did: parsed.did } : {}),
+        ...(parsed.grants ? { grants: parsed.grants } : {})
       };
     } catch {
       return { ok: false, code: 'invalid_payload' };
@@ -264,7 +431,7 @@ export class AccessTokenService {
       return { ok: false, code: 'expired' };
     }
 
-    if (this.store.isTokenRevoked(claims.jti)) {
+    if (this.store.isTokenRevoked(claims.jti) || (claims.did && this.store.isDeviceRevoked(claims.did))) {
       return { ok: false, code: 'revoked' };
     }
 
@@ -291,13 +458,324 @@ export class AccessTokenService {
     }
 
     this.store.revokeToken(verified.claims.jti, 'refresh-rotate');
-    const issued = this.issueAccessToken(actor, verified.claims.scope);
+    const issued = this.issueAccessToken(actor, verified.claims.scope, verified.claims.did, verified.claims.grants);
     return {
       ok: true,
       previousClaims: verified.claims,
       issued
     };
   }
+
+  enrollDevice(input: DeviceEnrollment): DeviceRecord {
+    const now = new Date().toISOString();
+    const existing = isDeviceId(input.deviceId) ? this.store.getDevice(input.deviceId) : undefined;
+    if (existing && !existing.revokedAt) {
+      this.store.updateDevice(existing.id, {
+        label: input.label ?? existing.label,
+        userAgent: input.userAgent || existing.userAgent,
+        scope: input.scope,
+        lastSeenAt: now,
+        lastIp: input.ip
+      });
+      this.deviceSeenAt.set(existing.id, Date.now());
+      return this.store.getDevice(existing.id) ?? existing;
+    }
+
+    const record: DeviceRecord = {
+      id: createDeviceId(),
+      label: input.label ?? describeUserAgent(input.userAgent),
+      userAgent: input.userAgent,
+      scope: input.scope,
+      firstSeenAt: now,
+      lastSeenAt: now,
+      lastIp: input.ip
+    };
+    this.store.createDevice(record);
+    this.deviceSeenAt.set(record.id, Date.now());
+    return record;
+  }
+
+  recordDeviceSeen(claims: AccessTokenClaims, ip: string): void {
+    if (!claims.did) {
+      return;
+    }
+    const nowMs = Date.now();
+    const lastMs = this.deviceSeenAt.get(claims.did) ?? 0;
+    if (nowMs - lastMs < DEVICE_SEEN_INTERVAL_MS) {
+      return;
+    }
+    this.deviceSeenAt.set(claims.did, nowMs);
+    this.store.updateDevice(claims.did, { lastSeenAt: new Date(nowMs).toISOString(), lastIp: ip });
+  }
+
+  // Returns the revoked jtis, or null for an unknown device. Open WebSocket connections of the device are
+  // closed through `onDeviceRevoked` listeners.
+  revokeDevice(deviceId: string, reason = ''): string[] | null {
+    const jtis = this.store.revokeDevice(deviceId, reason);
+    if (jtis === null) {
+      return null;
+    }
+    this.deviceSeenAt.delete(deviceId);
+    for (const listener of this.deviceRevokedListeners) {
+      listener(deviceId);
+    }
+    return jtis;
+  }
+
+  onDeviceRevoked(listener: (deviceId: string) => void): () => void {
+    this.deviceRevokedListeners.add(listener);
+    return () => {
+      this.deviceRevokedListeners.delete(listener);
+    };
+  }
+}
+
+function readCredentialInput(input: unknown): { id: string; response: Record<string, unknown> } | null {
+  if (!input || typeof input !== 'object') {
+    return null;
+  }
+  const credential = input as Record<string, unknown>;
+  if (credential.type !== 'public-key' || !isCredentialId(credential.id)) {
+    return null;
+  }
+  const response = credential.response;
+  if (!response || typeof response !== 'object') {
+    return null;
+  }
+  return { id: credential.id, response: response as Record<string, unknown> };
+}
+
+// Registration and login ceremonies for WebAuthn passkeys. Challenges live in memory and are single-use;
+// the relying party is whatever origin the page was loaded from, so a passkey only works on that host.
+export class PasskeyService {
+  private readonly store: C2PStore;
+  private readonly userHandle: string;
+  private readonly userName: string;
+  private readonly challenges = new Map<string, PasskeyChallenge>();
+
+  constructor(options: PasskeyServiceOptions) {
+    this.store = options.store;
+    // One user per server; the handle is stable across restarts but reveals nothing about the secret.
+    this.userHandle = createHmac('sha256', options.signingSecret)
+      .update('c2p-passkey-user')
+      .digest()
+      .subarray(0, 16)
+      .toString('base64url');
+    this.userName = options.userName;
+  }
+
+  listPasskeys(): PasskeyRecord[] {
+    return this.store.listPasskeys();
+  }
+
+  deletePasskey(id: string): boolean {
+    return this.store.deletePasskey(id);
+  }
+
+  createRegistrationOptions(origin: unknown, binding: PasskeyBinding): PasskeyOptionsResult {
+    const party = resolveRelyingParty(origin);
+    if (!party) {
+      return { ok: false, code: 'invalid_origin' };
+    }
+    const challenge = this.issueChallenge({ type: 'webauthn.create', ...party, binding });
+    return {
+      ok: true,
+      options: {
+        challenge,
+        rp: { id: party.rpId, name: 'c2p' },
+        user: { id: this.userHandle, name: this.userName, displayName: this.userName },
+        pubKeyCredParams: PASSKEY_ALGORITHMS.map((alg) => ({ type: 'public-key', alg })),
+        timeout: PASSKEY_CHALLENGE_TTL_MS,
+        attestation: 'none',
+        authenticatorSelection: {
+          residentKey: 'required',
+          requireResidentKey: true,
+          userVerification: 'required'
+        },
+        excludeCredentials: this.store.listPasskeys(party.rpId).map((passkey) => ({
+          type: 'public-key',
+          id: passkey.id,
+          transports: passkey.transports
+        }))
+      }
+    };
+  }
+
+  verifyRegistration(origin: unknown, input: unknown, label: unknown): PasskeyVerifyResult {
+    const credential = readCredentialInput(input);
+    const clientDataJSON = decodeBase64Url(credential?.response.clientDataJSON);
+    const attestationObject = decodeBase64Url(credential?.response.attestationObject);
+    if (!credential || !clientDataJSON || !attestationObject) {
+      return { ok: false, code: 'invalid_credential' };
+    }
+    const challenge = this.consumeChallenge(origin, 'webauthn.create', clientDataJSON);
+    if (!challenge.ok) {
+      return challenge;
+    }
+
+    let authenticatorData: ReturnType<typeof parseAuthenticatorData>;
+    try {
+      const attestation = decodeCbor(attestationObject);
+      const authData = attestation instanceof Map ? attestation.get('authData') : undefined;
+      if (!Buffer.isBuffer(authData)) {
+        return { ok: false, code: 'invalid_credential' };
+      }
+      authenticatorData = parseAuthenticatorData(authData);
+    } catch {
+      return { ok: false, code: 'invalid_credential' };
+    }
+    // Attestation statements are not checked: options ask for 'none', and any authenticator is welcome.
+    const { rpId, binding } = challenge.challenge;
+    if (!authenticatorData.rpIdHash.equals(rpIdHash(rpId))) {
+      return { ok: false, code: 'rp_mismatch' };
+    }
+    if (!authenticatorData.userPresent || !authenticatorData.userVerified) {
+      return { ok: false, code: 'user_verification_required' };
+    }
+    const credentialId = authenticatorData.credentialId?.toString('base64url');
+    if (!credentialId || credentialId !== credential.id || !authenticatorData.credentialPublicKey) {
+      return { ok: false, code: 'invalid_credential' };
+    }
+    const key = coseKeyToJwk(authenticatorData.credentialPublicKey);
+    if (!key) {
+      return { ok: false, code: 'unsupported_algorithm' };
+    }
+    if (this.store.getPasskey(credentialId)) {
+      return { ok: false, code: 'already_registered' };
+    }
+
+    const transports = Array.isArray(credential.response.transports)
+      ? credential.response.transports.filter((entry): entry is string => typeof entry === 'string').slice(0, 8)
+      : [];
+    const passkey: PasskeyRecord = {
+      id: credentialId,
+      label: normalizePasskeyLabel(label) ?? 'Passkey',
+      publicKey: key.jwk,
+      algorithm: key.algorithm,
+      rpId,
+      scope: binding?.scope ?? 'readonly',
+      deviceId: binding?.deviceId,
+      ...(binding?.grants ? { grants: binding.grants } : {}),
+      signCount: authenticatorData.signCount,
+      transports,
+      createdAt: new Date().toISOString()
+    };
+    this.store.createPasskey(passkey);
+    return { ok: true, passkey };
+  }
+
+  // Discoverable-credential login: no allow list, the authenticator offers whichever passkeys it holds.
+  createLoginOptions(origin: unknown): PasskeyOptionsResult {
+    const party = resolveRelyingParty(origin);
+    if (!party) {
+      return { ok: false, code: 'invalid_origin' };
+    }
+    const challenge = this.issueChallenge({ type: 'webauthn.get', ...party });
+    return {
+      ok: true,
+      options: {
+        challenge,
+        rpId: party.rpId,
+        timeout: PASSKEY_CHALLENGE_TTL_MS,
+        userVerification: 'required',
+        allowCredentials: []
+      }
+    };
+  }
+
+  verifyLogin(origin: unknown, input: unknown): PasskeyVerifyResult {
+    const credential = readCredentialInput(input);
+    const clientDataJSON = decodeBase64Url(credential?.response.clientDataJSON);
+    const authenticatorData = decodeBase64Url(credential?.response.authenticatorData);
+    const signature = decodeBase64Url(credential?.response.signature);
+    if (!credential || !clientDataJSON || !authenticatorData || !signature) {
+      return { ok: false, code: 'invalid_credential' };
+    }
+    const challenge = this.consumeChallenge(origin, 'webauthn.get', clientDataJSON);
+    if (!challenge.ok) {
+      return challenge;
+    }
+    const passkey = this.store.getPasskey(credential.id);
+    if (!passkey || passkey.rpId !== challenge.challenge.rpId) {
+      return { ok: false, code: 'unknown_credential' };
+    }
+    return this.verifyAssertion(passkey, { clientDataJSON, authenticatorData, signature });
+  }
+
+  private verifyAssertion(passkey: PasskeyRecord, assertion: PasskeyAssertion): PasskeyVerifyResult {
+    let authenticatorData: ReturnType<typeof parseAuthenticatorData>;
+    try {
+      authenticatorData = parseAuthenticatorData(assertion.authenticatorData);
+    } catch {
+      return { ok: false, code: 'invalid_credential' };
+    }
+    if (!authenticatorData.rpIdHash.equals(rpIdHash(passkey.rpId))) {
+      return { ok: false, code: 'rp_mismatch' };
+    }
+    if (!authenticatorData.userPresent || !authenticatorData.userVerified) {
+      return { ok: false, code: 'user_verification_required' };
+    }
+    if (!verifyPasskeySignature(passkey, assertion.authenticatorData, assertion.clientDataJSON, assertion.signature)) {
+      return { ok: false, code: 'signature_mismatch' };
+    }
+    // Synced passkeys report a zero counter; a counter that stops increasing otherwise hints at a cloned key.
+    const signCount = authenticatorData.signCount;
+    if ((signCount !== 0 || passkey.signCount !== 0) && signCount <= passkey.signCount) {
+      return { ok: false, code: 'sign_count_regressed' };
+    }
+    const lastUsedAt = new Date().toISOString();
+    this.store.recordPasskeyUse(passkey.id, signCount, lastUsedAt);
+    return { ok: true, passkey: { ...passkey, signCount, lastUsedAt } };
+  }
+
+  private issueChallenge(input: Omit<PasskeyChallenge, 'expiresAtMs'>): string {
+    const nowMs = Date.now();
+    this.pruneChallenges(nowMs);
+    while (this.challenges.size >= PASSKEY_MAX_PENDING_CHALLENGES) {
+      const oldest = this.challenges.keys().next().value as string;
+      this.challenges.delete(oldest);
+    }
+    const challenge = randomBytes(32).toString('base64url');
+    this.challenges.set(challenge, { ...input, expiresAtMs: nowMs + PASSKEY_CHALLENGE_TTL_MS });
+    return challenge;
+  }
+
+  private consumeChallenge(
+    origin: unknown,
+    type: PasskeyChallenge['type'],
+    clientDataJSON: Buffer
+  ): { ok: true; challenge: PasskeyChallenge } | { ok: false; code: PasskeyFailureCode } {
+    const party = resolveRelyingParty(origin);
+    if (!party) {
+      return { ok: false, code: 'invalid_origin' };
+    }
+    const clientData = parseClientData(clientDataJSON);
+    if (!clientData || clientData.type !== type) {
+      return { ok: false, code: 'invalid_credential' };
+    }
+    const challenge = this.challenges.get(clientData.challenge);
+    if (!challenge) {
+      return { ok: false, code: 'challenge_invalid' };
+    }
+    this.challenges.delete(clientData.challenge);
+    if (
+      challenge.type !== type ||
+      challenge.expiresAtMs <= Date.now() ||
+      challenge.origin !== party.origin ||
+      clientData.origin !== party.origin
+    ) {
+      return { ok: false, code: 'challenge_invalid' };
+    }
+    return { ok: true, challenge };
+  }
+
+  private pruneChallenges(nowMs: number): void {
+    for (const [challenge, entry] of this.challenges) {
+      if (entry.expiresAtMs <= nowMs) {
+        this.challenges.delete(challenge);
+      }
+    }
+  }
 }
 
 export function readBearerTokenFromRequest(req: Request): string | null {
@@ -0,0 +1,62 @@
+import { randomBytes } from 'node:crypto';
+
+const DEVICE_ID_PATTERN = /^[a-f0-9]{32}$/;
+export const DEVICE_LABEL_MAX_LENGTH = 48;
+const DEVICE_USER_AGENT_MAX_LENGTH = 512;
+
+const DEVICE_LABEL_PATTERNS: Array<[RegExp, string]> = [
+  [/iPhone/, 'iPhone'],
+  [/iPad/, 'iPad'],
+  [/Android/, 'Android'],
+  [/Macintosh|Mac OS X/, 'Mac'],
+  [/Windows/, 'Windows'],
+  [/Linux/, 'Linux']
+];
+const BROWSER_LABEL_PATTERNS: Array<[RegExp, string]> = [
+  [/Edg\//, 'Edge'],
+  [/Firefox\//, 'Firefox'],
+  [/Chrome\//, 'Chrome'],
+  [/Safari\//, 'Safari']
+];
+
+export interface DeviceRecord {
+  id: string;
+  label: string;
+  userAgent: string;
+  scope: string;
+  firstSeenAt: string;
+  lastSeenAt: string;
+  lastIp: string;
+  revokedAt?: string;
+}
+
+export function createDeviceId(): string {
+  return randomBytes(16).toString('hex');
+}
+
+export function isDeviceId(value: unknown): value is string {
+  return typeof value === 'string' && DEVICE_ID_PATTERN.test(value);
+}
+
+export function normalizeDeviceLabel(value: unknown): string | undefined {
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+  const label = value.replace(/[\u0000-\u001f\u007f]+/g, ' ').trim().slice(0, DEVICE_LABEL_MAX_LENGTH).trim();
+  return label || undefined;
+}
+
+export function normalizeUserAgent(value: unknown): string {
+  if (typeof value !== 'string') {
+    return '';
+  }
+  return value.replace(/[\u0000-\u001f\u007f]+/g, ' ').trim().slice(0, DEVICE_USER_AGENT_MAX_LENGTH);
+}
+
+// Same "device · browser" shape the web client sends; used when an exchange does not name the device.
+export function describeUserAgent(userAgent: string): string {
+  const device = DEVICE_LABEL_PATTERNS.find(([pattern]) => pattern.test(userAgent));
+  const browser = BROWSER_LABEL_PATTERNS.find(([pattern]) => pattern.test(userAgent));
+  const deviceLabel = device ? device[1] : 'Unknown device';
+  return browser ? `${deviceLabel} · ${browser[1]}` : deviceLabel;
+}
@@ -0,0 +1,344 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { Transform, type Writable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import zlib from 'node:zlib';
+
+export const ARCHIVE_FORMATS = ['zip', 'tar.gz'] as const;
+export type ArchiveFormat = (typeof ARCHIVE_FORMATS)[number];
+
+// Without zip64 every size and offset has to fit in 32 bits; leave room for headers and for
+// deflate output that came out larger than its input.
+export const ZIP_MAX_BYTES = 0xffffffff - 64 * 1024 * 1024;
+// The end of central directory record stores the entry count in 16 bits.
+export const ZIP_MAX_ENTRIES = 0xffff;
+const ARCHIVE_MAX_ENTRIES_DEFAULT = 100_000;
+const TAR_BLOCK_BYTES = 512;
+const TAR_OCTAL_SIZE_MAX = 0o77777777777;
+
+export interface ArchiveEntry {
+  absolutePath: string;
+  name: string;
+  type: 'file' | 'directory';
+  size: number;
+  mode: number;
+  mtime: Date;
+}
+
+export type ArchiveCollectResult =
+  | { ok: true; root: string; entries: ArchiveEntry[]; totalBytes: number; skipped: number }
+  | { ok: false; status: number; error: string };
+
+export interface ArchiveCollectOptions {
+  maxBytes: number;
+  maxEntries?: number;
+  // Directories that are never walked into, such as server-managed storage inside the base.
+  exclude?: string[];
+}
+
+export function parseArchiveFormat(value: unknown): ArchiveFormat | null {
+  if (value === undefined || value === '' || value === 'zip') {
+    return 'zip';
+  }
+  return value === 'tar.gz' || value === 'tgz' ? 'tar.gz' : null;
+}
+
+export function archiveExtension(format: ArchiveFormat): string {
+  return format === 'zip' ? '.zip' : '.tar.gz';
+}
+
+// The deepest directory containing every selection, so archive names keep each selection's own
+// folder name instead of flattening everything into the archive root.
+export function resolveArchiveRoot(baseDir: string, absolutePaths: string[]): string {
+  const parents = absolutePaths.map((absolutePath) => (absolutePath === baseDir ? baseDir : path.dirname(absolutePath)));
+  let root = parents[0] ?? baseDir;
+  for (const parent of parents.slice(1)) {
+    while (root !== baseDir && !isSameOrInside(root, parent)) {
+      root = path.dirname(root);
+    }
+  }
+  return root;
+}
+
+function isSameOrInside(dir: string, candidate: string): boolean {
+  const relative = path.relative(dir, candidate);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+function toArchiveName(root: string, absolutePath: string): string {
+  return path.relative(root, absolutePath).split(path.sep).join('/');
+}
+
+// Symlinks and special files are skipped rather than followed, so an archive never reaches
+// outside the selected trees.
+export async function collectArchiveEntries(
+  baseDir: string,
+  absolutePaths: string[],
+  options: ArchiveCollectOptions
+): Promise<ArchiveCollectResult> {
+  const maxEntries = options.maxEntries ?? ARCHIVE_MAX_ENTRIES_DEFAULT;
+  const selections = [...new Set(absolutePaths)].sort();
+  // A selection inside another selected directory is already covered by the walk.
+  const roots = selections.filter(
+    (candidate) => !selections.some((other) => other !== candidate && isSameOrInside(other, candidate))
+  );
+  const root = resolveArchiveRoot(baseDir, roots);
+  const entries: ArchiveEntry[] = [];
+  let totalBytes = 0;
+  let skipped = 0;
+
+  const pending = [...roots].reverse();
+  while (pending.length > 0) {
+    const absolutePath = pending.pop() as string;
+    if (options.exclude?.some((excluded) => isSameOrInside(excluded, absolutePath))) {
+      skipped += 1;
+      continue;
+    }
+    const stat = await fs.promises.lstat(absolutePath);
+    if (!stat.isFile() && !stat.isDirectory()) {
+      skipped += 1;
+      continue;
+    }
+    if (absolutePath !== root) {
+      entries.push({
+        absolutePath,
+        name: toArchiveName(root, absolutePath),
+        type: stat.isFile() ? 'file' : 'directory',
+        size: stat.isFile() ? stat.size : 0,
+        mode: stat.mode & 0o7777,
+        mtime: stat.mtime
+      });
+      totalBytes += stat.isFile() ? stat.size : 0;
+      if (totalBytes > options.maxBytes) {
+        return { ok: false, status: 413, error: `archive too large (limit=${options.maxBytes} bytes)` };
+      }
+      if (entries.length > maxEntries) {
+        return { ok: false, status: 413, error: `archive has too many entries (limit=${maxEntries})` };
+      }
+    }
+    if (stat.isDirectory()) {
+      const children = (await fs.promises.readdir(absolutePath)).sort().reverse();
+      pending.push(...children.map((child) => path.join(absolutePath, child)));
+    }
+  }
+  return { ok: true, root, entries, totalBytes, skipped };
+}
+
+function writeChunk(output: Writable, chunk: Buffer): Promise<void> {
+  if (output.destroyed) {
+    return Promise.reject(new Error('archive output closed'));
+  }
+  if (output.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const cleanup = (): void => {
+      output.off('drain', onDrain);
+      output.off('close', onClose);
+    };
+    const onDrain = (): void => {
+      cleanup();
+      resolve();
+    };
+    const onClose = (): void => {
+      cleanup();
+      reject(new Error('archive output closed'));
+    };
+    output.on('drain', onDrain);
+    output.on('close', onClose);
+  });
+}
+
+// Reads at most the size recorded while collecting, so a file growing mid-download cannot push
+// the archive past its budget.
+function openEntryStream(entry: ArchiveEntry): fs.ReadStream {
+  return fs.createReadStream(entry.absolutePath, { start: 0, end: entry.size - 1, highWaterMark: 64 * 1024 });
+}
+
+function toDosDateTime(date: Date): { time: number; date: number } {
+  const year = Math.max(1980, Math.min(2107, date.getFullYear()));
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+interface ZipCentralRecord {
+  entry: ArchiveEntry;
+  name: Buffer;
+  flags: number;
+  method: number;
+  crc: number;
+  compressedSize: number;
+  size: number;
+  offset: number;
+}
+
+// Streams a zip with data descriptors (general purpose bit 3), so neither CRCs nor compressed
+// sizes need to be known before a file's data is written.
+export async function writeZipArchive(entries: ArchiveEntry[], output: Writable): Promise<void> {
+  if (entries.length > ZIP_MAX_ENTRIES) {
+    throw new Error(`zip archive has too many entries (limit=${ZIP_MAX_ENTRIES})`);
+  }
+  const records: ZipCentralRecord[] = [];
+  let offset = 0;
+  const write = async (chunk: Buffer): Promise<void> => {
+    await writeChunk(output, chunk);
+    offset += chunk.byteLength;
+  };
+
+  for (const entry of entries) {
+    const isFile = entry.type === 'file';
+    const name = Buffer.from(isFile ? entry.name : `${entry.name}/`, 'utf8');
+    const flags = isFile ? 0x0808 : 0x0800;
+    const method = isFile ? 8 : 0;
+    const stamp = toDosDateTime(entry.mtime);
+    const record: ZipCentralRecord = { entry, name, flags, method, crc: 0, compressedSize: 0, size: 0, offset };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(flags, 6);
+    header.writeUInt16LE(method, 8);
+    header.writeUInt16LE(stamp.time, 10);
+    header.writeUInt16LE(stamp.date, 12);
+    header.writeUInt16LE(name.byteLength, 26);
+    await write(Buffer.concat([header, name]));
+
+    if (isFile) {
+      const crcCounter = new Transform({
+        transform(chunk: Buffer, _encoding, callback) {
+          record.crc = zlib.crc32(chunk, record.crc);
+          record.size += chunk.byteLength;
+          callback(null, chunk);
+        }
+      });
+      const source = entry.size > 0 ? openEntryStream(entry) : [];
+      await pipeline(source, crcCounter, zlib.createDeflateRaw(), async (compressed: AsyncIterable<Buffer>) => {
+        for await (const chunk of compressed) {
+          record.compressedSize += chunk.byteLength;
+          await writeChunk(output, chunk);
+        }
+      });
+      offset += record.compressedSize;
+
+      const descriptor = Buffer.alloc(16);
+      descriptor.writeUInt32LE(0x08074b50, 0);
+      descriptor.writeUInt32LE(record.crc, 4);
+      descriptor.writeUInt32LE(record.compressedSize, 8);
+      descriptor.writeUInt32LE(record.size, 12);
+      await write(descriptor);
+    }
+    records.push(record);
+  }
+
+  const centralOffset = offset;
+  for (const record of records) {
+    const stamp = toDosDateTime(record.entry.mtime);
+    const isFile = record.entry.type === 'file';
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    // Made by version 2.0 on Unix, so extractors apply the permission bits below.
+    header.writeUInt16LE((3 << 8) | 20, 4);
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(record.flags, 8);
+    header.writeUInt16LE(record.method, 10);
+    header.writeUInt16LE(stamp.time, 12);
+    header.writeUInt16LE(stamp.date, 14);
+    header.writeUInt32LE(record.crc, 16);
+    header.writeUInt32LE(record.compressedSize, 20);
+    header.writeUInt32LE(record.size, 24);
+    header.writeUInt16LE(record.name.byteLength, 28);
+    const unixMode = (isFile ? 0o100000 : 0o040000) | record.entry.mode;
+    header.writeUInt32LE(((unixMode << 16) | (isFile ? 0 : 0x10)) >>> 0, 38);
+    header.writeUInt32LE(record.offset, 42);
+    await write(Buffer.concat([header, record.name]));
+  }
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(records.length, 8);
+  end.writeUInt16LE(records.length, 10);
+  end.writeUInt32LE(offset - centralOffset, 12);
+  end.writeUInt32LE(centralOffset, 16);
+  await write(end);
+}
+
+function writeOctal(block: Buffer, value: number, offset: number, length: number): void {
+  block.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length, 'ascii');
+}
+
+function paxRecord(key: string, value: string): string {
+  const body = ` ${key}=${value}\n`;
+  const bodyLength = Buffer.byteLength(body);
+  let length = bodyLength + String(bodyLength).length;
+  if (String(length).length + bodyLength !== length) {
+    length += 1;
+  }
+  return `${length}${body}`;
+}
+
+function buildTarHeader(name: string, entry: Pick<ArchiveEntry, 'mode' | 'mtime'>, size: number, typeflag: string): Buffer {
+  const block = Buffer.alloc(TAR_BLOCK_BYTES);
+  block.write(name, 0, 100, 'utf8');
+  writeOctal(block, entry.mode, 100, 8);
+  writeOctal(block, 0, 108, 8);
+  writeOctal(block, 0, 116, 8);
+  writeOctal(block, Math.min(size, TAR_OCTAL_SIZE_MAX), 124, 12);
+  writeOctal(block, Math.max(0, Math.floor(entry.mtime.getTime() / 1000)), 136, 12);
+  block.write(typeflag, 156, 1, 'ascii');
+  block.write('ustar\u000000', 257, 8, 'ascii');
+  block.fill(0x20, 148, 156);
+  let checksum = 0;
+  for (const byte of block) {
+    checksum += byte;
+  }
+  block.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+  return block;
+}
+
+function padToBlock(size: number): Buffer {
+  const remainder = size % TAR_BLOCK_BYTES;
+  return Buffer.alloc(remainder === 0 ? 0 : TAR_BLOCK_BYTES - remainder);
+}
+
+// ustar with pax extended headers for names over 100 bytes and sizes beyond the octal field.
+export async function writeTarArchive(entries: ArchiveEntry[], output: Writable): Promise<void> {
+  for (const entry of entries) {
+    const isFile = entry.type === 'file';
+    const name = isFile ? entry.name : `${entry.name}/`;
+    const records: string[] = [];
+    if (Buffer.byteLength(name) > 100) {
+      records.push(paxRecord('path', name));
+    }
+    if (entry.size > TAR_OCTAL_SIZE_MAX) {
+      records.push(paxRecord('size', String(entry.size)));
+    }
+    if (records.length > 0) {
+      const pax = Buffer.from(records.join(''), 'utf8');
+      await writeChunk(output, buildTarHeader(`PaxHeader/${path.posix.basename(name).slice(0, 80)}`, entry, pax.byteLength, 'x'));
+      await writeChunk(output, Buffer.concat([pax, padToBlock(pax.byteLength)]));
+    }
+    const shortName = Buffer.from(name, 'utf8').subarray(0, 100).toString('utf8');
+    await writeChunk(output, buildTarHeader(shortName, entry, entry.size, isFile ? '0' : '5'));
+    if (!isFile) {
+      continue;
+    }
+
+    let written = 0;
+    if (entry.size > 0) {
+      for await (const chunk of openEntryStream(entry)) {
+        written += (chunk as Buffer).byteLength;
+        await writeChunk(output, chunk as Buffer);
+      }
+    }
+    // A file that shrank after it was measured is zero-filled to keep the archive well-formed.
+    while (written < entry.size) {
+      const filler = Buffer.alloc(Math.min(64 * 1024, entry.size - written));
+      written += filler.byteLength;
+      await writeChunk(output, filler);
+    }
+    await writeChunk(output, padToBlock(entry.size));
+  }
+  await writeChunk(output, Buffer.alloc(TAR_BLOCK_BYTES * 2));
+}
@@ -0,0 +1,156 @@
+export const DIFF_CONTEXT_DEFAULT = 3;
+export const DIFF_CONTEXT_MAX = 100_000;
+// Beyond this many cells in the LCS table the changed middle is reported as a full replacement.
+const DIFF_MAX_CELLS = 4_000_000;
+const DIFF_BINARY_SNIFF_BYTES = 8 * 1024;
+const NO_NEWLINE_MARKER = '\\ No newline at end of file';
+
+type DiffOpType = 'equal' | 'delete' | 'insert';
+
+interface DiffOp {
+  type: DiffOpType;
+  // Line content including its terminating newline, if any.
+  line: string;
+  oldIndex: number;
+  newIndex: number;
+}
+
+export interface UnifiedDiffOptions {
+  oldLabel: string;
+  newLabel: string;
+  context?: number;
+}
+
+export interface UnifiedDiffResult {
+  diff: string;
+  added: number;
+  removed: number;
+  hunks: number;
+}
+
+export function isBinaryContent(content: Buffer): boolean {
+  return content.subarray(0, DIFF_BINARY_SNIFF_BYTES).includes(0);
+}
+
+function splitKeepingNewlines(text: string): string[] {
+  return text.match(/[^\n]*\n|[^\n]+$/g) ?? [];
+}
+
+// Lines are compared with their terminators, so a missing final newline shows up as a change.
+function diffOps(left: string[], right: string[]): DiffOp[] {
+  let start = 0;
+  while (start < left.length && start < right.length && left[start] === right[start]) {
+    start += 1;
+  }
+  let leftEnd = left.length;
+  let rightEnd = right.length;
+  while (leftEnd > start && rightEnd > start && left[leftEnd - 1] === right[rightEnd - 1]) {
+    leftEnd -= 1;
+    rightEnd -= 1;
+  }
+
+  const ops: DiffOp[] = [];
+  for (let index = 0; index < start; index += 1) {
+    ops.push({ type: 'equal', line: left[index], oldIndex: index, newIndex: index });
+  }
+  const rows = leftEnd - start;
+  const cols = rightEnd - start;
+  if (rows > 0 && cols > 0 && (rows + 1) * (cols + 1) <= DIFF_MAX_CELLS) {
+    const width = cols + 1;
+    const table = new Uint32Array((rows + 1) * width);
+    for (let i = rows - 1; i >= 0; i -= 1) {
+      for (let j = cols - 1; j >= 0; j -= 1) {
+        table[i * width + j] =
+          left[start + i] === right[start + j]
+            ? table[(i + 1) * width + j + 1] + 1
+            : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < rows || j < cols) {
+      if (i < rows && j < cols && left[start + i] === right[start + j]) {
+        ops.push({ type: 'equal', line: left[start + i], oldIndex: start + i, newIndex: start + j });
+        i += 1;
+        j += 1;
+      } else if (i < rows && (j >= cols || table[(i + 1) * width + j] >= table[i * width + j + 1])) {
+        ops.push({ type: 'delete', line: left[start + i], oldIndex: start + i, newIndex: start + j });
+        i += 1;
+      } else {
+        ops.push({ type: 'insert', line: right[start + j], oldIndex: start + i, newIndex: start + j });
+        j += 1;
+      }
+    }
+  } else {
+    for (let index = start; index < leftEnd; index += 1) {
+      ops.push({ type: 'delete', line: left[index], oldIndex: index, newIndex: start });
+    }
+    for (let index = start; index < rightEnd; index += 1) {
+      ops.push({ type: 'insert', line: right[index], oldIndex: leftEnd, newIndex: index });
+    }
+  }
+  for (let offset = 0; offset < left.length - leftEnd; offset += 1) {
+    ops.push({ type: 'equal', line: left[leftEnd + offset], oldIndex: leftEnd + offset, newIndex: rightEnd + offset });
+  }
+  return ops;
+}
+
+function formatRange(start: number, count: number): string {
+  // Unified diff convention: an empty range points at the line before it.
+  const first = count === 0 ? start : start + 1;
+  return count === 1 ? String(first) : `${first},${count}`;
+}
+
+function formatOpLine(op: DiffOp): string {
+  const prefix = op.type === 'equal' ? ' ' : op.type === 'delete' ? '-' : '+';
+  if (op.line.endsWith('\n')) {
+    return `${prefix}${op.line}`;
+  }
+  return `${prefix}${op.line}\n${NO_NEWLINE_MARKER}\n`;
+}
+
+// Produces a `diff -u` style patch. Identical inputs yield an empty string.
+export function buildUnifiedDiff(before: string, after: string, options: UnifiedDiffOptions): UnifiedDiffResult {
+  const context = Math.max(0, Math.min(DIFF_CONTEXT_MAX, Math.floor(options.context ?? DIFF_CONTEXT_DEFAULT)));
+  const ops = diffOps(splitKeepingNewlines(before), splitKeepingNewlines(after));
+  let added = 0;
+  let removed = 0;
+  const changed: number[] = [];
+  ops.forEach((op, index) => {
+    if (op.type === 'insert') {
+      added += 1;
+    } else if (op.type === 'delete') {
+      removed += 1;
+    }
+    if (op.type !== 'equal') {
+      changed.push(index);
+    }
+  });
+  if (changed.length === 0) {
+    return { diff: '', added, removed, hunks: 0 };
+  }
+
+  // Group changes whose context windows touch into the same hunk.
+  const ranges: Array<{ from: number; to: number }> = [];
+  for (const index of changed) {
+    const from = Math.max(0, index - context);
+    const to = Math.min(ops.length - 1, index + context);
+    const last = ranges[ranges.length - 1];
+    if (last && from <= last.to + 1) {
+      last.to = Math.max(last.to, to);
+    } else {
+      ranges.push({ from, to });
+    }
+  }
+
+  let diff = `--- ${options.oldLabel}\n+++ ${options.newLabel}\n`;
+  for (const range of ranges) {
+    const slice = ops.slice(range.from, range.to + 1);
+    const oldCount = slice.filter((op) => op.type !== 'insert').length;
+    const newCount = slice.filter((op) => op.type !== 'delete').length;
+    const first = slice[0];
+    diff += `@@ -${formatRange(first.oldIndex, oldCount)} +${formatRange(first.newIndex, newCount)} @@\n`;
+    diff += slice.map(formatOpLine).join('');
+  }
+  return { diff, added, removed, hunks: ranges.length };
+}
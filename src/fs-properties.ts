@@ -0,0 +1,72 @@
+import fs from 'node:fs';
+
+const PASSWD_FILE = '/etc/passwd';
+const GROUP_FILE = '/etc/group';
+
+export interface OwnerNames {
+  users: Map<number, string>;
+  groups: Map<number, string>;
+}
+
+interface CachedIdDatabase {
+  mtimeMs: number;
+  names: Map<number, string>;
+}
+
+const idDatabaseCache = new Map<string, CachedIdDatabase>();
+
+// Parses passwd/group style files (`name:x:id:...`); later duplicates do not override the first name.
+export function parseIdDatabase(content: string): Map<number, string> {
+  const names = new Map<number, string>();
+  for (const line of content.split('\n')) {
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+    const [name, , rawId] = line.split(':');
+    const id = Number(rawId);
+    if (name && rawId && Number.isInteger(id) && !names.has(id)) {
+      names.set(id, name);
+    }
+  }
+  return names;
+}
+
+async function readIdDatabase(filePath: string): Promise<Map<number, string>> {
+  try {
+    const stat = await fs.promises.stat(filePath);
+    const cached = idDatabaseCache.get(filePath);
+    if (cached && cached.mtimeMs === stat.mtimeMs) {
+      return cached.names;
+    }
+    const names = parseIdDatabase(await fs.promises.readFile(filePath, 'utf8'));
+    idDatabaseCache.set(filePath, { mtimeMs: stat.mtimeMs, names });
+    return names;
+  } catch {
+    // Windows, or accounts that only live in a directory service.
+    return new Map();
+  }
+}
+
+export async function readOwnerNames(): Promise<OwnerNames> {
+  const [users, groups] = await Promise.all([readIdDatabase(PASSWD_FILE), readIdDatabase(GROUP_FILE)]);
+  return { users, groups };
+}
+
+// Accepts an octal string ("755", "0644") or a number; only permission, setuid/setgid and sticky bits.
+export function parseFileMode(value: unknown): number | null {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value >= 0 && value <= 0o7777 ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const trimmed = value.trim().replace(/^0o/i, '');
+  if (!/^[0-7]{3,4}$/.test(trimmed)) {
+    return null;
+  }
+  return Number.parseInt(trimmed, 8);
+}
+
+export function formatFileMode(mode: number): string {
+  return (mode & 0o7777).toString(8).padStart(4, '0');
+}
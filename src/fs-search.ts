@@ -0,0 +1,298 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import type { LineMatcher } from './line-matcher.js';
+
+const SEARCH_BINARY_SNIFF_BYTES = 8 * 1024;
+const SEARCH_PREVIEW_MAX_LENGTH = 240;
+export const SEARCH_FILE_MAX_BYTES = 4 * 1024 * 1024;
+export const SEARCH_LIMIT_DEFAULT = 200;
+export const SEARCH_LIMIT_MAX = 2000;
+// Directories that are never worth descending into, regardless of .gitignore.
+const SEARCH_SKIPPED_DIRS = new Set(['.git']);
+
+export interface FsSearchOptions {
+  nameMatcher: RegExp | null;
+  contentMatcher: LineMatcher | null;
+  limit?: number;
+  gitignore?: boolean;
+  // Absolute directories that are never walked into, such as server-managed storage inside the base.
+  exclude?: string[];
+  signal?: AbortSignal;
+}
+
+export type FsSearchEvent =
+  | { type: 'file'; path: string; size: number }
+  | { type: 'match'; path: string; line: number; column: number; length: number; preview: string }
+  | { type: 'error'; error: string }
+  | {
+      type: 'done';
+      files: number;
+      matches: number;
+      truncated: boolean;
+      cancelled: boolean;
+      skipped: { binary: number; large: number; unreadable: number };
+    };
+
+interface IgnoreRule {
+  base: string;
+  pattern: RegExp;
+  negated: boolean;
+  directoryOnly: boolean;
+}
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Translates one glob segment sequence into a regular expression source. `**` spans directories,
+// `*` and `?` stay within one path segment, and `[...]`/`[!...]` are character classes.
+function globToRegExpSource(glob: string): string {
+  let source = '';
+  for (let index = 0; index < glob.length; index += 1) {
+    const char = glob[index];
+    if (char === '*') {
+      if (glob[index + 1] === '*') {
+        const slashAfter = glob[index + 2] === '/';
+        source += slashAfter ? '(?:.*/)?' : '.*';
+        index += slashAfter ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && glob.indexOf(']', index + 2) > index) {
+      const end = glob.indexOf(']', index + 2);
+      const body = glob.slice(index + 1, end).replace(/\\/g, '\\\\');
+      source += `[${body.startsWith('!') ? `^${body.slice(1)}` : body}]`;
+      index = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return source;
+}
+
+// Name globs match the entry name, or the path relative to the search root when they contain a slash.
+// Comma-separated alternatives are allowed, e.g. `*.ts,*.tsx`.
+export function compileNameGlob(
+  pattern: string,
+  options: { caseSensitive?: boolean } = {}
+): { ok: true; matcher: RegExp | null } | { ok: false; error: string } {
+  const alternatives = pattern
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean);
+  if (alternatives.length === 0) {
+    return { ok: true, matcher: null };
+  }
+  if (pattern.length > 256) {
+    return { ok: false, error: 'name pattern is too long' };
+  }
+  const sources = alternatives.map((part) =>
+    part.includes('/') ? globToRegExpSource(part.replace(/^\/+/, '')) : `(?:.*/)?${globToRegExpSource(part)}`
+  );
+  try {
+    return { ok: true, matcher: new RegExp(`^(?:${sources.join('|')})$`, options.caseSensitive ? '' : 'i') };
+  } catch {
+    return { ok: false, error: 'invalid name pattern' };
+  }
+}
+
+export function parseGitignore(content: string, base: string): IgnoreRule[] {
+  const rules: IgnoreRule[] = [];
+  for (const rawLine of content.split(/\r?\n/)) {
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+    const negated = line.startsWith('!');
+    if (negated) {
+      line = line.slice(1);
+    }
+    line = line.replace(/^\\([#!])/, '$1');
+    const directoryOnly = line.endsWith('/');
+    if (directoryOnly) {
+      line = line.replace(/\/+$/, '');
+    }
+    if (!line) {
+      continue;
+    }
+    // A slash anywhere but the end anchors the pattern to the .gitignore's directory.
+    const anchored = line.includes('/');
+    const body = globToRegExpSource(line.replace(/^\/+/, ''));
+    rules.push({
+      base,
+      pattern: new RegExp(`^${anchored ? '' : '(?:.*/)?'}${body}$`),
+      negated,
+      directoryOnly
+    });
+  }
+  return rules;
+}
+
+export function isIgnoredPath(rules: IgnoreRule[], relativePath: string, isDirectory: boolean): boolean {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) {
+      continue;
+    }
+    const prefix = rule.base ? `${rule.base}/` : '';
+    if (prefix && !relativePath.startsWith(prefix)) {
+      continue;
+    }
+    if (rule.pattern.test(relativePath.slice(prefix.length))) {
+      ignored = !rule.negated;
+    }
+  }
+  return ignored;
+}
+
+function buildPreview(text: string, column: number, length: number): string {
+  if (text.length <= SEARCH_PREVIEW_MAX_LENGTH) {
+    return text;
+  }
+  const context = Math.max(0, Math.floor((SEARCH_PREVIEW_MAX_LENGTH - length) / 2));
+  const start = Math.max(0, Math.min(column - context, text.length - SEARCH_PREVIEW_MAX_LENGTH));
+  return text.slice(start, start + SEARCH_PREVIEW_MAX_LENGTH);
+}
+
+async function readGitignore(dirPath: string, base: string): Promise<IgnoreRule[]> {
+  try {
+    return parseGitignore(await fs.promises.readFile(path.join(dirPath, '.gitignore'), 'utf8'), base);
+  } catch {
+    return [];
+  }
+}
+
+function toPortable(value: string): string {
+  return value.split(path.sep).join('/');
+}
+
+// Walks `rootDir` depth-first in name order without following symlinks. Paths in events are
+// relative to `baseDir`; globs and .gitignore rules see paths relative to `rootDir`. Content
+// matches are reported once per line with a 1-based line number.
+export async function* searchFiles(baseDir: string, rootDir: string, options: FsSearchOptions): AsyncGenerator<FsSearchEvent> {
+  const limit =
+    Number.isFinite(options.limit) && (options.limit as number) > 0
+      ? Math.min(SEARCH_LIMIT_MAX, Math.floor(options.limit as number))
+      : SEARCH_LIMIT_DEFAULT;
+  const useGitignore = options.gitignore !== false;
+  const skipped = { binary: 0, large: 0, unreadable: 0 };
+  let files = 0;
+  let matches = 0;
+  let truncated = false;
+
+  const stack: Array<{ dir: string; rel: string; rules: IgnoreRule[] }> = [
+    { dir: rootDir, rel: '', rules: useGitignore ? await readGitignore(rootDir, '') : [] }
+  ];
+  walk: while (stack.length > 0) {
+    if (options.signal?.aborted) {
+      break;
+    }
+    const current = stack.pop() as { dir: string; rel: string; rules: IgnoreRule[] };
+    let dirents: fs.Dirent[];
+    try {
+      dirents = await fs.promises.readdir(current.dir, { withFileTypes: true });
+    } catch {
+      skipped.unreadable += 1;
+      continue;
+    }
+    dirents.sort((left, right) => left.name.localeCompare(right.name));
+    const subdirs: Array<{ dir: string; rel: string; rules: IgnoreRule[] }> = [];
+
+    for (const dirent of dirents) {
+      if (options.signal?.aborted) {
+        break walk;
+      }
+      const rel = current.rel ? `${current.rel}/${dirent.name}` : dirent.name;
+      const absolutePath = path.join(current.dir, dirent.name);
+      if (dirent.isDirectory()) {
+        if (
+          SEARCH_SKIPPED_DIRS.has(dirent.name) ||
+          options.exclude?.includes(absolutePath) ||
+          isIgnoredPath(current.rules, rel, true)
+        ) {
+          continue;
+        }
+        const nested = useGitignore ? await readGitignore(absolutePath, rel) : [];
+        subdirs.push({ dir: absolutePath, rel, rules: nested.length > 0 ? current.rules.concat(nested) : current.rules });
+        continue;
+      }
+      if (!dirent.isFile() || isIgnoredPath(current.rules, rel, false)) {
+        continue;
+      }
+      if (options.nameMatcher && !options.nameMatcher.test(rel)) {
+        continue;
+      }
+
+      files += 1;
+      const relativePath = toPortable(path.relative(baseDir, absolutePath));
+      if (!options.contentMatcher) {
+        let size = 0;
+        try {
+          size = (await fs.promises.stat(absolutePath)).size;
+        } catch {
+          skipped.unreadable += 1;
+          continue;
+        }
+        matches += 1;
+        yield { type: 'file', path: relativePath, size };
+        if (matches >= limit) {
+          truncated = true;
+          break walk;
+        }
+        continue;
+      }
+
+      let content: Buffer;
+      try {
+        const stat = await fs.promises.stat(absolutePath);
+        if (stat.size > SEARCH_FILE_MAX_BYTES) {
+          skipped.large += 1;
+          continue;
+        }
+        content = await fs.promises.readFile(absolutePath);
+      } catch {
+        skipped.unreadable += 1;
+        continue;
+      }
+      if (content.subarray(0, SEARCH_BINARY_SNIFF_BYTES).includes(0)) {
+        skipped.binary += 1;
+        continue;
+      }
+      const lines = content
+        .toString('utf8')
+        .split('\n')
+        .map((line) => line.replace(/\r$/, ''));
+      const result = await options.contentMatcher.match(lines);
+      if (!result.ok) {
+        yield { type: 'error', error: result.error };
+        return;
+      }
+      for (let index = 0; index < lines.length; index += 1) {
+        const found = result.matches[index];
+        if (!found) {
+          continue;
+        }
+        matches += 1;
+        yield {
+          type: 'match',
+          path: relativePath,
+          line: index + 1,
+          ...found,
+          preview: buildPreview(lines[index], found.column, found.length)
+        };
+        if (matches >= limit) {
+          truncated = true;
+          break walk;
+        }
+      }
+    }
+    // Push in reverse so the alphabetically first directory is walked next.
+    for (let index = subdirs.length - 1; index >= 0; index -= 1) {
+      stack.push(subdirs[index]);
+    }
+  }
+
+  yield { type: 'done', files, matches, truncated, cancelled: options.signal?.aborted === true, skipped };
+}
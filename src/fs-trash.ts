@@ -0,0 +1,225 @@
+import { randomBytes } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+const TRASH_ID_PATTERN = /^[a-f0-9]{32}$/;
+const TRASH_META_EXTENSION = '.json';
+const TRASH_ITEM_EXTENSION = '.item';
+const TRASH_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+export const TRASH_DIR = path.join(process.cwd(), '.c2p-trash');
+
+export interface TrashItem {
+  id: string;
+  path: string;
+  name: string;
+  type: 'file' | 'dir' | 'other';
+  size: number;
+  deletedAt: string;
+  expiresAt: string;
+}
+
+export type TrashRestoreResult = { ok: true; item: TrashItem } | { ok: false; status: number; error: string };
+
+export interface FsTrashOptions {
+  dir?: string;
+  ttlMs: number;
+  cleanupIntervalMs?: number;
+}
+
+type TrashMeta = Omit<TrashItem, 'expiresAt'>;
+
+export function isTrashId(value: unknown): value is string {
+  return typeof value === 'string' && TRASH_ID_PATTERN.test(value);
+}
+
+function readMeta(filePath: string): TrashMeta | null {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8')) as Partial<TrashMeta>;
+    if (
+      !isTrashId(parsed.id) ||
+      typeof parsed.path !== 'string' ||
+      typeof parsed.name !== 'string' ||
+      (parsed.type !== 'file' && parsed.type !== 'dir' && parsed.type !== 'other') ||
+      !Number.isSafeInteger(parsed.size) ||
+      typeof parsed.deletedAt !== 'string'
+    ) {
+      return null;
+    }
+    return parsed as TrashMeta;
+  } catch {
+    return null;
+  }
+}
+
+async function moveEntry(sourcePath: string, targetPath: string): Promise<void> {
+  try {
+    await fs.promises.rename(sourcePath, targetPath);
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== 'EXDEV') {
+      throw error;
+    }
+    // The trash directory lives on another filesystem than the entry.
+    await fs.promises.cp(sourcePath, targetPath, {
+      recursive: true,
+      force: false,
+      errorOnExist: true,
+      verbatimSymlinks: true
+    });
+    await fs.promises.rm(sourcePath, { recursive: true, force: true });
+  }
+}
+
+// Deleted entries are moved next to a metadata file recording where they came from, so they can be
+// put back until they expire. Entries keep their on-disk contents untouched while in the trash.
+// Expired entries are removed by a background sweep and are hidden from lookups until it runs.
+export class FsTrash {
+  readonly dir: string;
+  readonly ttlMs: number;
+  private cleanupTimer: NodeJS.Timeout | null = null;
+  private cleanupRunning: Promise<void> | null = null;
+
+  constructor(options: FsTrashOptions) {
+    this.dir = path.resolve(options.dir ?? TRASH_DIR);
+    this.ttlMs = options.ttlMs;
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    void this.cleanupExpired();
+    this.cleanupTimer = setInterval(() => {
+      void this.cleanupExpired();
+    }, options.cleanupIntervalMs ?? TRASH_CLEANUP_INTERVAL_MS);
+    this.cleanupTimer.unref();
+  }
+
+  async move(absolutePath: string, relativePath: string, now = new Date()): Promise<TrashItem> {
+    const stat = await fs.promises.lstat(absolutePath);
+    const meta: TrashMeta = {
+      id: randomBytes(16).toString('hex'),
+      path: relativePath,
+      name: path.basename(absolutePath),
+      type: stat.isDirectory() ? 'dir' : stat.isFile() ? 'file' : 'other',
+      size: stat.isFile() ? stat.size : 0,
+      deletedAt: now.toISOString()
+    };
+    await moveEntry(absolutePath, this.itemPath(meta.id));
+    fs.writeFileSync(this.metaPath(meta.id), `${JSON.stringify(meta)}\n`, { mode: 0o600 });
+    return this.withExpiry(meta);
+  }
+
+  get(id: string): TrashItem | null {
+    if (!isTrashId(id)) {
+      return null;
+    }
+    const meta = readMeta(this.metaPath(id));
+    if (!meta || this.isExpired(meta, Date.now()) || !fs.existsSync(this.itemPath(id))) {
+      return null;
+    }
+    return this.withExpiry(meta);
+  }
+
+  list(): TrashItem[] {
+    const items: TrashItem[] = [];
+    for (const id of this.listIds()) {
+      const item = this.get(id);
+      if (item) {
+        items.push(item);
+      }
+    }
+    return items.sort((left, right) => right.deletedAt.localeCompare(left.deletedAt));
+  }
+
+  async restore(id: string, targetPath: string): Promise<TrashRestoreResult> {
+    const item = this.get(id);
+    if (!item) {
+      return { ok: false, status: 404, error: 'trash item not found' };
+    }
+    try {
+      await fs.promises.lstat(targetPath);
+      return { ok: false, status: 409, error: 'target already exists' };
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+    await moveEntry(this.itemPath(id), targetPath);
+    await fs.promises.rm(this.metaPath(id), { force: true });
+    return { ok: true, item };
+  }
+
+  async purge(id: string): Promise<boolean> {
+    if (!this.get(id)) {
+      return false;
+    }
+    await this.removeFiles(id);
+    return true;
+  }
+
+  async purgeAll(): Promise<number> {
+    let purged = 0;
+    for (const id of this.listIds()) {
+      if (this.get(id)) {
+        purged += 1;
+      }
+      await this.removeFiles(id);
+    }
+    return purged;
+  }
+
+  // Overlapping sweeps share one run, so a slow removal never has two passes deleting the same entries.
+  cleanupExpired(now = Date.now()): Promise<void> {
+    this.cleanupRunning ??= this.removeExpired(now).finally(() => {
+      this.cleanupRunning = null;
+    });
+    return this.cleanupRunning;
+  }
+
+  dispose(): void {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+
+  private listIds(): string[] {
+    let entries: string[] = [];
+    try {
+      entries = fs.readdirSync(this.dir);
+    } catch {
+      return [];
+    }
+    return entries
+      .filter((entry) => entry.endsWith(TRASH_META_EXTENSION))
+      .map((entry) => entry.slice(0, -TRASH_META_EXTENSION.length))
+      .filter(isTrashId);
+  }
+
+  private async removeExpired(now: number): Promise<void> {
+    for (const id of this.listIds()) {
+      const meta = readMeta(this.metaPath(id));
+      if (!meta || this.isExpired(meta, now)) {
+        await this.removeFiles(id).catch(() => {});
+      }
+    }
+  }
+
+  private isExpired(meta: TrashMeta, now: number): boolean {
+    return now - Date.parse(meta.deletedAt) > this.ttlMs;
+  }
+
+  private withExpiry(meta: TrashMeta): TrashItem {
+    return { ...meta, expiresAt: new Date(Date.parse(meta.deletedAt) + this.ttlMs).toISOString() };
+  }
+
+  private async removeFiles(id: string): Promise<void> {
+    await fs.promises.rm(this.itemPath(id), { recursive: true, force: true });
+    await fs.promises.rm(this.metaPath(id), { force: true });
+  }
+
+  private metaPath(id: string): string {
+    return path.join(this.dir, `${id}${TRASH_META_EXTENSION}`);
+  }
+
+  private itemPath(id: string): string {
+    return path.join(this.dir, `${id}${TRASH_ITEM_EXTENSION}`);
+  }
+}
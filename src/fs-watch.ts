@@ -0,0 +1,199 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Past this many distinct names in one debounce window the client is told to reload the whole listing.
+const FS_WATCH_MAX_NAMES = 200;
+
+export interface FsChangeEvent {
+  // Watched directory, relative to the root.
+  path: string;
+  // Changed entries directly inside the directory; empty when `overflow` or `removed` is set.
+  names: string[];
+  overflow: boolean;
+  // The directory itself is gone and the watch was dropped.
+  removed: boolean;
+}
+
+export type FsWatchResult = { ok: true; path: string } | { ok: false; error: string };
+
+export interface FsWatchSetOptions {
+  root: string;
+  // Never reported and never watchable (the trash directory).
+  excludeDir?: string;
+  maxWatches: number;
+  debounceMs: number;
+  // Upper bound on how long a change waits, so a directory that never goes quiet still reports.
+  maxWaitMs: number;
+  // Receives the root-relative path; a refused path fails with `forbidden`.
+  allowPath?: (relativePath: string) => boolean;
+  onChange: (event: FsChangeEvent) => void;
+}
+
+interface WatchEntry {
+  relativePath: string;
+  watcher: fs.FSWatcher;
+  names: Set<string>;
+  overflow: boolean;
+  timer: NodeJS.Timeout | null;
+  // When the oldest unreported change arrived; 0 while nothing is pending.
+  pendingSince: number;
+}
+
+function isWithin(baseDir: string, absolutePath: string): boolean {
+  const relative = path.relative(baseDir, absolutePath);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// Directory watches for one control connection. Changes are collected per directory and reported
+// once the directory has been quiet for `debounceMs`, or `maxWaitMs` after the first of them at the latest.
+export class FsWatchSet {
+  private readonly root: string;
+  private readonly excludeDir: string | null;
+  private readonly watches = new Map<string, WatchEntry>();
+
+  constructor(private readonly options: FsWatchSetOptions) {
+    this.root = path.resolve(options.root);
+    this.excludeDir = options.excludeDir ? path.resolve(options.excludeDir) : null;
+  }
+
+  get size(): number {
+    return this.watches.size;
+  }
+
+  watch(rawPath: string | undefined): FsWatchResult {
+    const absolutePath = this.resolve(rawPath);
+    if (!absolutePath) {
+      return { ok: false, error: 'invalid path' };
+    }
+    const relativePath = this.toRelative(absolutePath);
+    if (this.options.allowPath && !this.options.allowPath(relativePath)) {
+      return { ok: false, error: 'forbidden' };
+    }
+    if (this.watches.has(absolutePath)) {
+      return { ok: true, path: relativePath };
+    }
+    if (this.watches.size >= this.options.maxWatches) {
+      return { ok: false, error: 'too many watches' };
+    }
+    try {
+      if (!fs.statSync(absolutePath).isDirectory()) {
+        return { ok: false, error: 'not a directory' };
+      }
+    } catch {
+      return { ok: false, error: 'path not found' };
+    }
+
+    let watcher: fs.FSWatcher;
+    try {
+      watcher = fs.watch(absolutePath, { persistent: false });
+    } catch (error) {
+      const code = (error as NodeJS.ErrnoException).code;
+      return { ok: false, error: code === 'ENOSPC' || code === 'EMFILE' ? 'watch limit reached' : 'watch failed' };
+    }
+    const entry: WatchEntry = {
+      relativePath,
+      watcher,
+      names: new Set(),
+      overflow: false,
+      timer: null,
+      pendingSince: 0
+    };
+    watcher.on('change', (_eventType, filename) => {
+      this.record(absolutePath, entry, typeof filename === 'string' ? filename : null);
+    });
+    // Raised when the directory disappears on some platforms; the flush notices and reports it.
+    watcher.on('error', () => {
+      this.record(absolutePath, entry, null);
+    });
+    this.watches.set(absolutePath, entry);
+    return { ok: true, path: relativePath };
+  }
+
+  unwatch(rawPath: string | undefined): boolean {
+    const absolutePath = this.resolve(rawPath);
+    return absolutePath ? this.drop(absolutePath) : false;
+  }
+
+  close(): void {
+    for (const absolutePath of [...this.watches.keys()]) {
+      this.drop(absolutePath);
+    }
+  }
+
+  private resolve(rawPath: string | undefined): string | null {
+    const trimmed = (rawPath ?? '').trim();
+    const absolutePath = path.resolve(this.root, !trimmed || trimmed === '/' ? '.' : trimmed);
+    if (!isWithin(this.root, absolutePath)) {
+      return null;
+    }
+    if (this.excludeDir && isWithin(this.excludeDir, absolutePath)) {
+      return null;
+    }
+    return absolutePath;
+  }
+
+  private toRelative(absolutePath: string): string {
+    const relative = path.relative(this.root, absolutePath);
+    return relative ? relative.split(path.sep).join('/') : '.';
+  }
+
+  private drop(absolutePath: string): boolean {
+    const entry = this.watches.get(absolutePath);
+    if (!entry) {
+      return false;
+    }
+    this.watches.delete(absolutePath);
+    if (entry.timer) {
+      clearTimeout(entry.timer);
+    }
+    entry.watcher.close();
+    return true;
+  }
+
+  private record(absolutePath: string, entry: WatchEntry, filename: string | null): void {
+    if (this.watches.get(absolutePath) !== entry) {
+      return;
+    }
+    if (filename === null) {
+      entry.overflow = true;
+    } else {
+      // Only direct children are listed; nested names can show up on platforms with recursive events.
+      const name = filename.split(/[\\/]/)[0];
+      if (this.excludeDir && isWithin(this.excludeDir, path.join(absolutePath, name))) {
+        return;
+      }
+      entry.names.add(name);
+      if (entry.names.size > FS_WATCH_MAX_NAMES) {
+        entry.overflow = true;
+      }
+    }
+    const now = Date.now();
+    if (entry.pendingSince === 0) {
+      entry.pendingSince = now;
+    }
+    if (entry.timer) {
+      clearTimeout(entry.timer);
+    }
+    const untilMaxWait = Math.max(0, entry.pendingSince + this.options.maxWaitMs - now);
+    entry.timer = setTimeout(() => {
+      this.flush(absolutePath, entry);
+    }, Math.min(this.options.debounceMs, untilMaxWait));
+  }
+
+  private flush(absolutePath: string, entry: WatchEntry): void {
+    entry.timer = null;
+    entry.pendingSince = 0;
+    if (this.watches.get(absolutePath) !== entry) {
+      return;
+    }
+    const removed = !fs.existsSync(absolutePath);
+    const names = entry.overflow || removed ? [] : [...entry.names].sort();
+    const event: FsChangeEvent = { path: entry.relativePath, names, overflow: entry.overflow, removed };
+    entry.names.clear();
+    entry.overflow = false;
+    if (removed) {
+      this.drop(absolutePath);
+    }
+    this.options.onChange(event);
+  }
+}
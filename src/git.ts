@@ -0,0 +1,192 @@
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import { promisify } from 'node:util';
+
+const execFileAsync = promisify(execFile);
+const GIT_MAX_BUFFER_BYTES = 16 * 1024 * 1024;
+// Commits may run hooks; anything slower than this is treated as hung.
+const GIT_COMMAND_TIMEOUT_MS = 60_000;
+
+export interface GitStatusEntry {
+  // Relative to the repository root, with forward slashes. Untracked directories end with `/`.
+  path: string;
+  origPath?: string;
+  index: string;
+  worktree: string;
+  untracked: boolean;
+  conflicted: boolean;
+}
+
+export interface GitStatus {
+  root: string;
+  branch: string | null;
+  head: string | null;
+  upstream: string | null;
+  ahead: number;
+  behind: number;
+  stashes: number;
+  entries: GitStatusEntry[];
+}
+
+export type GitCommandResult = { ok: true; output: string } | { ok: false; status: number; error: string };
+
+export type GitHeadFileResult =
+  | { ok: true; root: string; relativePath: string; content: Buffer | null }
+  | { ok: false; status: number; error: string };
+
+function resolveGitBin(): string {
+  const raw = (process.env.C2P_GIT_BIN ?? '').trim();
+  return raw || 'git';
+}
+
+export async function runGit(cwd: string, args: string[]): Promise<Buffer> {
+  const { stdout } = await execFileAsync(resolveGitBin(), args, {
+    cwd,
+    encoding: 'buffer',
+    maxBuffer: GIT_MAX_BUFFER_BYTES,
+    timeout: GIT_COMMAND_TIMEOUT_MS,
+    // Read-only commands must not take index.lock away from a git command running in a terminal.
+    env: { ...process.env, GIT_OPTIONAL_LOCKS: '0', GIT_TERMINAL_PROMPT: '0' }
+  });
+  return stdout;
+}
+
+export async function findGitRoot(dir: string): Promise<string | null> {
+  try {
+    const output = await runGit(dir, ['rev-parse', '--show-toplevel']);
+    const root = output.toString('utf8').trim();
+    return root ? path.resolve(root) : null;
+  } catch {
+    return null;
+  }
+}
+
+// git reports the top level with symlinks resolved, so the file path is resolved the same way; the
+// file itself may already be deleted from the working tree.
+export async function realpathAllowMissing(absolutePath: string): Promise<string> {
+  try {
+    return await fs.promises.realpath(absolutePath);
+  } catch {
+    return path.join(await fs.promises.realpath(path.dirname(absolutePath)), path.basename(absolutePath));
+  }
+}
+
+// Reads the committed version of a file. `content` is null when the path is not in HEAD yet
+// (new file or a repository without commits).
+export async function readGitHeadFile(absolutePath: string): Promise<GitHeadFileResult> {
+  let directory: string;
+  try {
+    directory = path.dirname(await realpathAllowMissing(absolutePath));
+  } catch {
+    return { ok: false, status: 404, error: 'path not found' };
+  }
+  const root = await findGitRoot(directory);
+  if (!root) {
+    return { ok: false, status: 400, error: 'not a git repository' };
+  }
+  const relativePath = path
+    .relative(root, await realpathAllowMissing(absolutePath))
+    .split(path.sep)
+    .join('/');
+  if (!relativePath || relativePath.startsWith('../')) {
+    return { ok: false, status: 400, error: 'not a git repository' };
+  }
+  try {
+    const content = await runGit(root, ['cat-file', 'blob', `HEAD:${relativePath}`]);
+    return { ok: true, root, relativePath, content };
+  } catch {
+    return { ok: true, root, relativePath, content: null };
+  }
+}
+
+// Parses `git status --porcelain=v2 --branch -z`.
+export function parseGitStatus(output: string): Omit<GitStatus, 'root' | 'stashes'> {
+  const status: Omit<GitStatus, 'root' | 'stashes'> = {
+    branch: null,
+    head: null,
+    upstream: null,
+    ahead: 0,
+    behind: 0,
+    entries: []
+  };
+  const records = output.split('\0');
+  for (let index = 0; index < records.length; index += 1) {
+    const record = records[index];
+    if (record.startsWith('# ')) {
+      const [key, ...rest] = record.slice(2).split(' ');
+      const value = rest.join(' ');
+      if (key === 'branch.oid') {
+        status.head = value === '(initial)' ? null : value;
+      } else if (key === 'branch.head') {
+        status.branch = value === '(detached)' ? null : value;
+      } else if (key === 'branch.upstream') {
+        status.upstream = value;
+      } else if (key === 'branch.ab') {
+        const match = /^\+(\d+) -(\d+)$/.exec(value);
+        status.ahead = match ? Number(match[1]) : 0;
+        status.behind = match ? Number(match[2]) : 0;
+      }
+      continue;
+    }
+    const kind = record[0];
+    if (kind === '?') {
+      status.entries.push({ path: record.slice(2), index: '?', worktree: '?', untracked: true, conflicted: false });
+    } else if (kind === '1' || kind === '2' || kind === 'u') {
+      // Ordinary, renamed/copied and unmerged records have 8, 9 and 10 space-separated fields before the path.
+      const fieldCount = kind === '1' ? 8 : kind === '2' ? 9 : 10;
+      const fields = record.split(' ');
+      const xy = fields[1] ?? '..';
+      const entry: GitStatusEntry = {
+        path: fields.slice(fieldCount).join(' '),
+        index: xy[0],
+        worktree: xy[1],
+        untracked: false,
+        conflicted: kind === 'u'
+      };
+      if (kind === '2') {
+        // With -z the original path of a rename is the following record.
+        entry.origPath = records[index + 1];
+        index += 1;
+      }
+      status.entries.push(entry);
+    }
+  }
+  return status;
+}
+
+export async function readGitStatus(dir: string): Promise<GitStatus | null> {
+  const root = await findGitRoot(dir);
+  if (!root) {
+    return null;
+  }
+  const output = await runGit(root, ['status', '--porcelain=v2', '--branch', '-z']);
+  let stashes = 0;
+  try {
+    const count = await runGit(root, ['rev-list', '--walk-reflogs', '--count', 'refs/stash']);
+    stashes = Number(count.toString('utf8')) || 0;
+  } catch {
+    // no stash yet
+  }
+  return { root, stashes, ...parseGitStatus(output.toString('utf8')) };
+}
+
+// Runs a mutating command and reports git's own explanation when it fails (e.g. nothing to commit).
+export async function runGitCommand(root: string, args: string[]): Promise<GitCommandResult> {
+  try {
+    return { ok: true, output: (await runGit(root, args)).toString('utf8') };
+  } catch (error) {
+    const failure = error as NodeJS.ErrnoException & { stdout?: Buffer; stderr?: Buffer; killed?: boolean };
+    if (failure.code === 'ENOENT') {
+      return { ok: false, status: 500, error: 'git is not installed' };
+    }
+    if (failure.killed) {
+      return { ok: false, status: 504, error: 'git command timed out' };
+    }
+    // Errors lead stderr; status-style explanations such as "nothing to commit" end stdout.
+    const stderr = failure.stderr ? failure.stderr.toString('utf8').trim() : '';
+    const stdout = failure.stdout ? failure.stdout.toString('utf8').trim() : '';
+    const detail = stderr ? stderr.split('\n')[0] : stdout.split('\n').pop();
+    return { ok: false, status: 409, error: detail || 'git command failed' };
+  }
+}
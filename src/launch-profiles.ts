@@ -0,0 +1,204 @@
+import type { SpawnLaunchOptions, SpawnLayoutPane, SpawnLayoutWindow } from './pty-manager.js';
+
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,47}$/;
+const PROFILE_LABEL_MAX_LENGTH = 64;
+const PROFILE_COMMAND_MAX_LENGTH = 4096;
+const PROFILE_CWD_MAX_LENGTH = 4096;
+const PROFILE_STARTUP_SCRIPT_MAX_LENGTH = 16 * 1024;
+const PROFILE_ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,127}$/;
+const PROFILE_ENV_MAX_COUNT = 64;
+const PROFILE_ENV_VALUE_MAX_LENGTH = 4096;
+const PROFILE_LAYOUT_MAX_WINDOWS = 8;
+const PROFILE_LAYOUT_MAX_SPLITS = 3;
+const PROFILE_WINDOW_NAME_MAX_LENGTH = 32;
+
+export interface LaunchProfileInput {
+  label?: string;
+  command?: string;
+  cwd?: string;
+  env?: Record<string, string>;
+  layout?: SpawnLayoutWindow[];
+  startupScript?: string;
+}
+
+export interface LaunchProfile extends LaunchProfileInput {
+  name: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type LaunchProfileInputResult = { ok: true; profile: LaunchProfileInput } | { ok: false; error: string };
+
+export function isLaunchProfileName(value: unknown): value is string {
+  return typeof value === 'string' && PROFILE_NAME_PATTERN.test(value);
+}
+
+function readOptionalText(
+  candidate: Record<string, unknown>,
+  key: string,
+  maxLength: number
+): { ok: true; value?: string } | { ok: false } {
+  const value = candidate[key];
+  if (value === undefined || value === null || value === '') {
+    return { ok: true };
+  }
+  if (typeof value !== 'string' || value.length > maxLength || value.includes('\u0000')) {
+    return { ok: false };
+  }
+  return { ok: true, value: value.trim() ? value : undefined };
+}
+
+function parseEnv(value: unknown): Record<string, string> | null | undefined {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return null;
+  }
+  const entries = Object.entries(value as Record<string, unknown>);
+  if (entries.length > PROFILE_ENV_MAX_COUNT) {
+    return null;
+  }
+  const env: Record<string, string> = {};
+  for (const [key, entry] of entries) {
+    if (
+      !PROFILE_ENV_KEY_PATTERN.test(key) ||
+      typeof entry !== 'string' ||
+      entry.length > PROFILE_ENV_VALUE_MAX_LENGTH ||
+      entry.includes('\u0000')
+    ) {
+      return null;
+    }
+    env[key] = entry;
+  }
+  return entries.length > 0 ? env : undefined;
+}
+
+function parseLayoutPane(value: unknown): SpawnLayoutPane | null {
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+  const candidate = value as Record<string, unknown>;
+  const command = readOptionalText(candidate, 'command', PROFILE_COMMAND_MAX_LENGTH);
+  if (!command.ok) {
+    return null;
+  }
+  if (candidate.split !== undefined && candidate.split !== 'horizontal' && candidate.split !== 'vertical') {
+    return null;
+  }
+  const pane: SpawnLayoutPane = {
+    split: candidate.split === 'horizontal' ? 'horizontal' : 'vertical'
+  };
+  if (command.value) {
+    pane.command = command.value;
+  }
+  return pane;
+}
+
+function parseLayout(value: unknown): SpawnLayoutWindow[] | null | undefined {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (!Array.isArray(value) || value.length > PROFILE_LAYOUT_MAX_WINDOWS) {
+    return null;
+  }
+  const windows: SpawnLayoutWindow[] = [];
+  for (const entry of value) {
+    if (!entry || typeof entry !== 'object') {
+      return null;
+    }
+    const candidate = entry as Record<string, unknown>;
+    const name = readOptionalText(candidate, 'name', PROFILE_WINDOW_NAME_MAX_LENGTH);
+    const command = readOptionalText(candidate, 'command', PROFILE_COMMAND_MAX_LENGTH);
+    if (!name.ok || !command.ok) {
+      return null;
+    }
+    const rawPanes = candidate.panes ?? [];
+    if (!Array.isArray(rawPanes) || rawPanes.length > PROFILE_LAYOUT_MAX_SPLITS) {
+      return null;
+    }
+    const panes: SpawnLayoutPane[] = [];
+    for (const rawPane of rawPanes) {
+      const pane = parseLayoutPane(rawPane);
+      if (!pane) {
+        return null;
+      }
+      panes.push(pane);
+    }
+    const window: SpawnLayoutWindow = {};
+    if (name.value) {
+      window.name = name.value;
+    }
+    if (command.value) {
+      window.command = command.value;
+    }
+    if (panes.length > 0) {
+      window.panes = panes;
+    }
+    windows.push(window);
+  }
+  return windows.length > 0 ? windows : undefined;
+}
+
+// The first layout window is the session's own window; its command is ignored in favour of the profile command.
+export function parseLaunchProfileInput(value: unknown): LaunchProfileInputResult {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { ok: false, error: 'invalid profile payload' };
+  }
+  const candidate = value as Record<string, unknown>;
+  const label = readOptionalText(candidate, 'label', PROFILE_LABEL_MAX_LENGTH);
+  if (!label.ok) {
+    return { ok: false, error: 'invalid profile label' };
+  }
+  const command = readOptionalText(candidate, 'command', PROFILE_COMMAND_MAX_LENGTH);
+  if (!command.ok) {
+    return { ok: false, error: 'invalid profile command' };
+  }
+  const cwd = readOptionalText(candidate, 'cwd', PROFILE_CWD_MAX_LENGTH);
+  if (!cwd.ok) {
+    return { ok: false, error: 'invalid profile cwd' };
+  }
+  const startupScript = readOptionalText(candidate, 'startupScript', PROFILE_STARTUP_SCRIPT_MAX_LENGTH);
+  if (!startupScript.ok) {
+    return { ok: false, error: 'invalid profile startup script' };
+  }
+  const env = parseEnv(candidate.env);
+  if (env === null) {
+    return { ok: false, error: 'invalid profile env' };
+  }
+  const layout = parseLayout(candidate.layout);
+  if (layout === null) {
+    return { ok: false, error: 'invalid profile layout' };
+  }
+
+  const profile: LaunchProfileInput = {};
+  const safeLabel = label.value ? label.value.replace(/[\u0000-\u001f\u007f]+/g, ' ').trim() : '';
+  if (safeLabel) {
+    profile.label = safeLabel;
+  }
+  if (command.value) {
+    profile.command = command.value;
+  }
+  if (cwd.value) {
+    profile.cwd = cwd.value.trim();
+  }
+  if (env) {
+    profile.env = env;
+  }
+  if (layout) {
+    profile.layout = layout;
+  }
+  if (startupScript.value) {
+    profile.startupScript = startupScript.value;
+  }
+  return { ok: true, profile };
+}
+
+export function toSpawnLaunchOptions(profile: LaunchProfile): SpawnLaunchOptions {
+  return {
+    command: profile.command,
+    env: profile.env,
+    layout: profile.layout,
+    startupScript: profile.startupScript
+  };
+}
@@ -0,0 +1,110 @@
+import { Worker } from 'node:worker_threads';
+
+// Total time a single search may spend evaluating a user-supplied regular expression.
+export const REGEX_SEARCH_BUDGET_MS = 5000;
+const REGEX_TIMEOUT_ERROR = 'regular expression took too long';
+const REGEX_FAILED_ERROR = 'regular expression search failed';
+
+export interface LineMatch {
+  column: number;
+  length: number;
+}
+
+export type LineMatchBatch = { ok: true; matches: Array<LineMatch | null> } | { ok: false; error: string };
+
+// Finds the first non-empty match in each line. Callers hand over lines in batches and must close the
+// matcher when the search ends.
+export interface LineMatcher {
+  match(lines: string[]): Promise<LineMatchBatch>;
+  close(): void;
+}
+
+// Evaluated as a CommonJS worker so it runs the same from src/ under tsx and from dist/.
+const REGEX_WORKER_SOURCE = `
+const { parentPort, workerData } = require('node:worker_threads');
+const matcher = new RegExp(workerData.source, workerData.flags);
+parentPort.on('message', (lines) => {
+  parentPort.postMessage(lines.map((line) => {
+    matcher.lastIndex = 0;
+    const found = matcher.exec(line);
+    return found && found[0].length > 0 ? [found.index, found[0].length] : null;
+  }));
+});
+`;
+
+function matchInline(matcher: RegExp, lines: string[]): Array<LineMatch | null> {
+  return lines.map((line) => {
+    matcher.lastIndex = 0;
+    const found = matcher.exec(line);
+    return found && found[0].length > 0 ? { column: found.index, length: found[0].length } : null;
+  });
+}
+
+// Escaped literals match in linear time, so they stay on the calling thread.
+export function createLiteralLineMatcher(matcher: RegExp): LineMatcher {
+  return {
+    match: async (lines) => ({ ok: true, matches: matchInline(matcher, lines) }),
+    close: () => {}
+  };
+}
+
+// A pattern such as `(a+)+$` can backtrack for minutes on one line. It runs on a worker thread that
+// is terminated once the search has used up its budget, so the event loop never waits on it.
+export function createIsolatedLineMatcher(matcher: RegExp, budgetMs = REGEX_SEARCH_BUDGET_MS): LineMatcher {
+  let worker: Worker | null = null;
+  let remainingMs = budgetMs;
+  let failure: string | null = null;
+
+  const close = (): void => {
+    void worker?.terminate();
+    worker = null;
+  };
+
+  const startWorker = (): Worker => {
+    const started = new Worker(REGEX_WORKER_SOURCE, {
+      eval: true,
+      workerData: { source: matcher.source, flags: matcher.flags }
+    });
+    started.unref();
+    worker = started;
+    return started;
+  };
+
+  const runBatch = (target: Worker, lines: string[]): Promise<Array<[number, number] | null> | string> =>
+    new Promise((resolve) => {
+      const finish = (result: Array<[number, number] | null> | string): void => {
+        clearTimeout(timer);
+        target.off('message', finish);
+        target.off('error', onFailure);
+        target.off('exit', onFailure);
+        resolve(result);
+      };
+      const onFailure = (): void => finish(REGEX_FAILED_ERROR);
+      const timer = setTimeout(() => finish(REGEX_TIMEOUT_ERROR), Math.max(0, remainingMs));
+      target.on('message', finish);
+      target.once('error', onFailure);
+      target.once('exit', onFailure);
+      target.postMessage(lines);
+    });
+
+  return {
+    async match(lines) {
+      if (failure) {
+        return { ok: false, error: failure };
+      }
+      if (lines.length === 0) {
+        return { ok: true, matches: [] };
+      }
+      const startedAt = Date.now();
+      const result = await runBatch(worker ?? startWorker(), lines);
+      remainingMs -= Date.now() - startedAt;
+      if (typeof result === 'string') {
+        failure = result;
+        close();
+        return { ok: false, error: failure };
+      }
+      return { ok: true, matches: result.map((found) => (found ? { column: found[0], length: found[1] } : null)) };
+    },
+    close
+  };
+}
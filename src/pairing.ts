@@ -0,0 +1,146 @@
+import { randomBytes, randomInt, timingSafeEqual } from 'node:crypto';
+import type { AccessTokenScope } from './auth.js';
+
+const PAIRING_CODE_DIGITS = 6;
+const PAIRING_TOKEN_PATTERN = /^[a-f0-9]{32}$/;
+
+export interface PairingCode {
+  id: string;
+  // Typed by hand on the login screen.
+  code: string;
+  // Carried in `/#pair=<token>` links and QR codes.
+  token: string;
+  scope: AccessTokenScope;
+  issuedBy: string;
+  createdAt: string;
+  expiresAt: string;
+}
+
+export type PairingRedeemResult =
+  | { ok: true; pairing: PairingCode }
+  | { ok: false; reason: 'invalid' | 'expired' };
+
+export interface PairingCodeRegistryOptions {
+  ttlSeconds: number;
+  maxActive: number;
+}
+
+function secureEqual(a: string, b: string): boolean {
+  const left = Buffer.from(a, 'utf8');
+  const right = Buffer.from(b, 'utf8');
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+// Accepts "123456", "123 456" or "123-456" for codes, and the hex link token as is.
+export function normalizePairingInput(value: unknown): string | null {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const trimmed = value.trim().toLowerCase();
+  if (PAIRING_TOKEN_PATTERN.test(trimmed)) {
+    return trimmed;
+  }
+  const digits = trimmed.replace(/[\s-]/g, '');
+  return new RegExp(`^\\d{${PAIRING_CODE_DIGITS}}$`).test(digits) ? digits : null;
+}
+
+export function formatPairingCode(code: string): string {
+  return `${code.slice(0, 3)} ${code.slice(3)}`;
+}
+
+// Short-lived, single-use alternatives to the bootstrap token. Codes live in memory only, so a restart
+// invalidates every outstanding code.
+export class PairingCodeRegistry {
+  private readonly codes = new Map<string, PairingCode>();
+  private readonly ttlSeconds: number;
+  private readonly maxActive: number;
+
+  constructor(options: PairingCodeRegistryOptions) {
+    this.ttlSeconds = Math.max(30, Math.min(Math.trunc(options.ttlSeconds) || 300, 24 * 60 * 60));
+    this.maxActive = Math.max(1, Math.trunc(options.maxActive) || 1);
+  }
+
+  get size(): number {
+    this.prune(Date.now());
+    return this.codes.size;
+  }
+
+  getTtlSeconds(): number {
+    return this.ttlSeconds;
+  }
+
+  issue(scope: AccessTokenScope, issuedBy: string): PairingCode {
+    const nowMs = Date.now();
+    this.prune(nowMs);
+    // Oldest codes make room first; Map iteration follows insertion order.
+    while (this.codes.size >= this.maxActive) {
+      const oldest = this.codes.keys().next().value as string;
+      this.codes.delete(oldest);
+    }
+
+    let code = '';
+    do {
+      code = String(randomInt(0, 10 ** PAIRING_CODE_DIGITS)).padStart(PAIRING_CODE_DIGITS, '0');
+    } while ([...this.codes.values()].some((entry) => entry.code === code));
+
+    const pairing: PairingCode = {
+      id: randomBytes(8).toString('hex'),
+      code,
+      token: randomBytes(16).toString('hex'),
+      scope,
+      issuedBy,
+      createdAt: new Date(nowMs).toISOString(),
+      expiresAt: new Date(nowMs + this.ttlSeconds * 1000).toISOString()
+    };
+    this.codes.set(pairing.id, pairing);
+    return pairing;
+  }
+
+  // Looks up a live code without consuming it.
+  peek(candidate: unknown): PairingCode | null {
+    const match = this.find(candidate);
+    return match && Date.parse(match.expiresAt) > Date.now() ? match : null;
+  }
+
+  // A matching code is consumed whether or not it is still valid.
+  redeem(candidate: unknown): PairingRedeemResult {
+    const match = this.find(candidate);
+    if (!match) {
+      return { ok: false, reason: 'invalid' };
+    }
+    this.codes.delete(match.id);
+    if (Date.parse(match.expiresAt) <= Date.now()) {
+      return { ok: false, reason: 'expired' };
+    }
+    return { ok: true, pairing: match };
+  }
+
+  revokeAll(): number {
+    const count = this.codes.size;
+    this.codes.clear();
+    return count;
+  }
+
+  private find(candidate: unknown): PairingCode | undefined {
+    const normalized = normalizePairingInput(candidate);
+    if (!normalized) {
+      return undefined;
+    }
+    const isToken = PAIRING_TOKEN_PATTERN.test(normalized);
+    let match: PairingCode | undefined;
+    for (const entry of this.codes.values()) {
+      if (secureEqual(isToken ? entry.token : entry.code, normalized)) {
+        match = entry;
+      }
+    }
+    return match;
+  }
+
+  private prune(nowMs: number): void {
+    for (const [id, entry] of this.codes) {
+      if (Date.parse(entry.expiresAt) <= nowMs) {
+        this.codes.delete(id);
+      }
+    }
+  }
+}
@@ -0,0 +1,206 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// USER_HZ is 100 on every Linux architecture Node supports.
+const CLOCK_TICKS_PER_SECOND = 100;
+const PROCESS_COMMAND_MAX_LENGTH = 1024;
+
+export const PROCESS_SIGNALS = ['TERM', 'KILL', 'STOP', 'CONT'] as const;
+export type ProcessSignal = (typeof PROCESS_SIGNALS)[number];
+
+export interface ProcessInfo {
+  pid: number;
+  ppid: number;
+  uid: number;
+  user: string;
+  name: string;
+  command: string;
+  state: string;
+  cpuPercent: number;
+  rssBytes: number;
+  startedAt: string;
+}
+
+export interface ProcStat {
+  pid: number;
+  comm: string;
+  state: string;
+  ppid: number;
+  cpuTicks: number;
+  startTicks: number;
+}
+
+interface CpuSample {
+  cpuTicks: number;
+  startTicks: number;
+}
+
+// The comm field is parenthesised and may itself contain spaces or ')', so fields are
+// split after the last ')'.
+export function parseProcStat(text: string): ProcStat | null {
+  const open = text.indexOf('(');
+  const close = text.lastIndexOf(')');
+  if (open === -1 || close < open) {
+    return null;
+  }
+  const pid = Number.parseInt(text.slice(0, open), 10);
+  const fields = text.slice(close + 2).trim().split(/\s+/);
+  // fields[0] is field 3 (state) of proc(5); utime/stime are 14/15, starttime is 22.
+  const ppid = Number(fields[1]);
+  const utime = Number(fields[11]);
+  const stime = Number(fields[12]);
+  const startTicks = Number(fields[19]);
+  if (!Number.isInteger(pid) || ![ppid, utime, stime, startTicks].every(Number.isFinite)) {
+    return null;
+  }
+  return {
+    pid,
+    comm: text.slice(open + 1, close),
+    state: fields[0] ?? '?',
+    ppid,
+    cpuTicks: utime + stime,
+    startTicks
+  };
+}
+
+function readStatusField(status: string, field: string): string {
+  const matched = new RegExp(`^${field}:\\s*(.*)$`, 'm').exec(status);
+  return matched ? matched[1] : '';
+}
+
+function readText(filePath: string): string | null {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+function readUserNames(): Map<number, string> {
+  const users = new Map<number, string>();
+  for (const line of (readText('/etc/passwd') ?? '').split('\n')) {
+    const [name, , uid] = line.split(':');
+    const parsedUid = Number(uid);
+    if (name && Number.isInteger(parsedUid) && !users.has(parsedUid)) {
+      users.set(parsedUid, name);
+    }
+  }
+  return users;
+}
+
+function formatCommandLine(cmdline: string, comm: string): string {
+  const command = cmdline.replace(/\0+$/, '').replace(/\0/g, ' ');
+  return (command || `[${comm}]`).slice(0, PROCESS_COMMAND_MAX_LENGTH);
+}
+
+export function readProcessCommand(pid: number, procRoot = '/proc'): string | null {
+  const stat = parseProcStat(readText(path.join(procRoot, String(pid), 'stat')) ?? '');
+  if (!stat) {
+    return null;
+  }
+  return formatCommandLine(readText(path.join(procRoot, String(pid), 'cmdline')) ?? '', stat.comm);
+}
+
+export function parseProcessSignal(value: unknown): ProcessSignal | null {
+  const normalized = typeof value === 'string' ? value.trim().toUpperCase().replace(/^SIG/, '') : '';
+  return (PROCESS_SIGNALS as readonly string[]).includes(normalized) ? (normalized as ProcessSignal) : null;
+}
+
+// Every pid reachable from the roots through the parent links, roots included.
+export function collectDescendantPids(processes: Array<Pick<ProcessInfo, 'pid' | 'ppid'>>, rootPids: number[]): Set<number> {
+  const children = new Map<number, number[]>();
+  for (const entry of processes) {
+    const siblings = children.get(entry.ppid);
+    if (siblings) {
+      siblings.push(entry.pid);
+    } else {
+      children.set(entry.ppid, [entry.pid]);
+    }
+  }
+  const known = new Set(processes.map((entry) => entry.pid));
+  const result = new Set<number>();
+  const pending = rootPids.filter((pid) => known.has(pid));
+  while (pending.length > 0) {
+    const pid = pending.pop() as number;
+    if (result.has(pid)) {
+      continue;
+    }
+    result.add(pid);
+    pending.push(...(children.get(pid) ?? []));
+  }
+  return result;
+}
+
+// CPU usage is measured between consecutive list() calls, like top; a process seen for the
+// first time reports its average since start, like ps.
+export class ProcessSampler {
+  private readonly procRoot: string;
+  private previous = new Map<number, CpuSample>();
+  private previousUptime = 0;
+  private userNames: Map<number, string> | null = null;
+
+  constructor(procRoot = '/proc') {
+    this.procRoot = procRoot;
+  }
+
+  list(): ProcessInfo[] {
+    const uptime = Number.parseFloat(readText(path.join(this.procRoot, 'uptime')) ?? '');
+    const bootTimeMatch = /^btime\s+(\d+)$/m.exec(readText(path.join(this.procRoot, 'stat')) ?? '');
+    const bootTimeMs = bootTimeMatch ? Number(bootTimeMatch[1]) * 1000 : Date.now() - uptime * 1000;
+    const elapsed = this.previousUptime > 0 ? uptime - this.previousUptime : 0;
+    const users = this.userNames ?? (this.userNames = readUserNames());
+
+    let entries: string[] = [];
+    try {
+      entries = fs.readdirSync(this.procRoot);
+    } catch {
+      return [];
+    }
+
+    const processes: ProcessInfo[] = [];
+    const samples = new Map<number, CpuSample>();
+    for (const entry of entries) {
+      if (!/^\d+$/.test(entry)) {
+        continue;
+      }
+      const dir = path.join(this.procRoot, entry);
+      const stat = parseProcStat(readText(path.join(dir, 'stat')) ?? '');
+      const status = readText(path.join(dir, 'status'));
+      if (!stat || status === null) {
+        // The process exited while the directory was being walked.
+        continue;
+      }
+      const uid = Number.parseInt(readStatusField(status, 'Uid'), 10);
+      const rssKb = Number.parseInt(readStatusField(status, 'VmRSS'), 10);
+
+      const sample = { cpuTicks: stat.cpuTicks, startTicks: stat.startTicks };
+      samples.set(stat.pid, sample);
+      const last = this.previous.get(stat.pid);
+      let cpuSeconds = stat.cpuTicks / CLOCK_TICKS_PER_SECOND;
+      let wallSeconds = uptime - stat.startTicks / CLOCK_TICKS_PER_SECOND;
+      // A reused pid has a different start time and counts as a new process.
+      if (last && last.startTicks === stat.startTicks && elapsed > 0) {
+        cpuSeconds = (stat.cpuTicks - last.cpuTicks) / CLOCK_TICKS_PER_SECOND;
+        wallSeconds = elapsed;
+      }
+      const cpuPercent = wallSeconds > 0 ? Math.max(0, (cpuSeconds / wallSeconds) * 100) : 0;
+
+      processes.push({
+        pid: stat.pid,
+        ppid: stat.ppid,
+        uid: Number.isInteger(uid) ? uid : -1,
+        user: users.get(uid) ?? (Number.isInteger(uid) ? String(uid) : '?'),
+        name: stat.comm,
+        command: formatCommandLine(readText(path.join(dir, 'cmdline')) ?? '', stat.comm),
+        state: stat.state,
+        cpuPercent: Number(cpuPercent.toFixed(1)),
+        rssBytes: Number.isFinite(rssKb) ? rssKb * 1024 : 0,
+        startedAt: new Date(bootTimeMs + (stat.startTicks / CLOCK_TICKS_PER_SECOND) * 1000).toISOString()
+      });
+    }
+
+    this.previous = samples;
+    this.previousUptime = uptime;
+    return processes;
+  }
+}
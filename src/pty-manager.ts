@@ -1,15 +1,57 @@
 import { execFile, execFileSync } from 'node:child_process';
+import { randomUUID } from 'node:crypto';
 import fs from 'node:fs';
 import path from 'node:path';
+import { StringDecoder } from 'node:string_decoder';
 import { spawn, type IPty } from 'node-pty';
+import {
+  applySessionMetadataPatch,
+  decodeSessionMetadata,
+  encodeSessionMetadata,
+  hasSessionMetadata,
+  normalizeSessionMetadata,
+  type SessionMetadata,
+  type SessionMetadataPatch
+} from './session-metadata.js';
+import { AsciicastRecorder, pruneRecordings, RECORDING_DIR } from './session-recording.js';
+import { ShellIntegrationTracker, type CommandFinishedEvent, type ShellNotification } from './shell-integration.js';
 import type { CliKind, SessionRecord as StoreSessionRecord } from './store.js';
 
 const SESSION_LOG_DIR = path.join(process.cwd(), '.c2p-sessions');
 const SESSION_LOG_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const RECORDING_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
 const TMUX_SESSION_PREFIX = 'c2p-';
+const TMUX_METADATA_OPTION = '@c2p-meta';
+const TMUX_PANE_LIST_FORMAT = [
+  '#{session_name}',
+  '#{pane_current_path}',
+  '#{window_width}',
+  '#{window_height}',
+  '#{session_created}',
+  `#{${TMUX_METADATA_OPTION}}`,
+  '#{window_id}',
+  '#{window_index}',
+  '#{window_name}',
+  '#{window_active}',
+  '#{pane_id}',
+  '#{pane_index}',
+  '#{pane_active}',
+  '#{pane_width}',
+  '#{pane_height}',
+  '#{pane_current_command}',
+  '#{pane_pipe}'
+].join('\t');
+const TMUX_WINDOW_ID_PATTERN = /^@\d+$/;
+const TMUX_PANE_ID_PATTERN = /^%\d+$/;
+const TMUX_WINDOW_NAME_MAX_LENGTH = 32;
+const TMUX_PRINT_TARGET_ARGS = ['-P', '-F', '#{window_id}\t#{pane_id}'];
 const TMUX_POLL_INTERVAL_MS = 1500;
+const SHELL_LOG_POLL_INTERVAL_MS = 250;
+// A session that printed more than this since the last poll only has its newest output scanned for markers.
+const SHELL_LOG_READ_MAX_BYTES = 1024 * 1024;
 const ATTACH_KILL_ESCALATION_DELAY_MS = 1200;
 const TMUX_KILL_TIMEOUT_MS = 1200;
+const PRESENCE_INPUT_PUBLISH_INTERVAL_MS = 5000;
 const TMUX_DEFAULT_TERMINAL = 'tmux-256color';
 const FLOW_CONTROL_PAUSE = '\u0013';
 const FLOW_CONTROL_RESUME = '\u0011';
@@ -32,12 +74,31 @@ function shouldHideTmuxStatusBar(): boolean {
   );
 }
 
-export interface SpawnOptions {
+export interface SpawnLayoutPane {
+  command?: string;
+  split: TmuxSplitDirection;
+}
+
+export interface SpawnLayoutWindow {
+  name?: string;
+  command?: string;
+  panes?: SpawnLayoutPane[];
+}
+
+export interface SpawnLaunchOptions {
+  command?: string;
+  env?: Record<string, string>;
+  layout?: SpawnLayoutWindow[];
+  startupScript?: string;
+}
+
+export interface SpawnOptions extends SpawnLaunchOptions {
   id: string;
   cli: CliKind;
   cwd?: string;
   cols: number;
   rows: number;
+  profile?: string;
 }
 
 export interface SessionInfo {
@@ -47,14 +108,70 @@ export interface SessionInfo {
   cols: number;
   rows: number;
   startedAt: string;
+  profile?: string;
+  name?: string;
+  color?: string;
+  tags?: string[];
+  recording?: string;
+}
+
+export interface TmuxPaneInfo {
+  id: string;
+  index: number;
+  active: boolean;
+  cols: number;
+  rows: number;
+  command: string;
+  cwd: string;
+}
+
+export interface TmuxWindowInfo {
+  id: string;
+  index: number;
+  name: string;
+  active: boolean;
+  panes: TmuxPaneInfo[];
 }
 
+export type TmuxSplitDirection = 'horizontal' | 'vertical';
+
 export interface RecoverSessionsResult {
   recovered: SessionInfo[];
   discovered: SessionInfo[];
   missing: string[];
 }
 
+export interface SessionViewerIdentity {
+  viewerId?: string;
+  label: string;
+  tokenJti: string;
+  scope: string;
+}
+
+export interface SessionViewer {
+  attachmentId: string;
+  viewerId: string;
+  label: string;
+  tokenJti: string;
+  scope: string;
+  mode: 'watch' | 'interactive';
+  connectedAt: string;
+  lastInputAt: string | null;
+}
+
+export interface SessionInputLock {
+  viewerId: string;
+  label: string;
+  tokenJti: string;
+  since: string;
+}
+
+export interface SessionPresence {
+  sessionId: string;
+  viewers: SessionViewer[];
+  inputLock: SessionInputLock | null;
+}
+
 export interface AttachmentChunk {
   data: string;
   startOffset: number;
@@ -63,7 +180,9 @@ export interface AttachmentChunk {
 }
 
 export interface TerminalAttachment {
-  write(data: string | Buffer): void;
+  readonly id: string;
+  // Returns false when another client holds the session's input lock.
+  write(data: string | Buffer): boolean;
   resize(cols: number, rows: number): void;
   pauseOutput(): void;
   resumeOutput(): void;
@@ -75,6 +194,15 @@ export interface TerminalAttachment {
 interface SessionRuntime {
   info: SessionInfo;
   logPath: string;
+  layoutSignature: string;
+  viewers: Map<string, SessionViewer>;
+  inputLock: SessionInputLock | null;
+  presenceInputPublishedAt: number;
+  recorder: AsciicastRecorder | null;
+  outputSource: string | null;
+  shellTracker: ShellIntegrationTracker;
+  shellLogCursor: number;
+  shellLogDecoder: StringDecoder;
 }
 
 interface TmuxSessionSnapshot {
@@ -83,6 +211,23 @@ interface TmuxSessionSnapshot {
   cols: number;
   rows: number;
   startedAt: string;
+  metadata: SessionMetadata;
+  windows: TmuxWindowInfo[];
+}
+
+interface TmuxPaneRow {
+  sessionId: string;
+  cwd: string;
+  cols: string;
+  rows: string;
+  created: string;
+  metadata: string;
+  windowId: string;
+  windowIndex: number;
+  windowName: string;
+  windowActive: boolean;
+  pane: TmuxPaneInfo;
+  piped: boolean;
 }
 
 function resolveDirectory(rawPath: string | undefined, baseDir = process.cwd()): string | undefined {
@@ -135,6 +280,103 @@ function toIsoFromEpochSeconds(value: unknown, fallback: string): string {
   return new Date(parsed * 1000).toISOString();
 }
 
+function withSessionMetadata(info: SessionInfo, metadata: SessionMetadata): SessionInfo {
+  const { name: _name, color: _color, tags: _tags, ...base } = info;
+  return {
+    ...base,
+    ...normalizeSessionMetadata(metadata)
+  };
+}
+
+function parseTmuxIndex(value: string | undefined): number {
+  const parsed = Number.parseInt(String(value), 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : 0;
+}
+
+function parseTmuxPaneRow(line: string, fallbackCwd: string): TmuxPaneRow | null {
+  const fields = line.split('\t');
+  const sessionId = toSessionId((fields[0] ?? '').trim());
+  if (!sessionId) {
+    return null;
+  }
+  const cwd = normalizeCwd(fields[1], fallbackCwd);
+  return {
+    sessionId,
+    cwd,
+    cols: fields[2] ?? '',
+    rows: fields[3] ?? '',
+    created: fields[4] ?? '',
+    metadata: fields[5] ?? '',
+    windowId: fields[6] ?? '',
+    windowIndex: parseTmuxIndex(fields[7]),
+    windowName: fields[8] ?? '',
+    windowActive: fields[9] === '1',
+    pane: {
+      id: fields[10] ?? '',
+      index: parseTmuxIndex(fields[11]),
+      active: fields[12] === '1',
+      cols: parseTmuxIndex(fields[13]),
+      rows: parseTmuxIndex(fields[14]),
+      command: fields[15] ?? '',
+      cwd
+    },
+    piped: (fields[16] ?? '').trim() === '1'
+  };
+}
+
+function appendTmuxPaneRow(windows: TmuxWindowInfo[], row: TmuxPaneRow): void {
+  if (!TMUX_WINDOW_ID_PATTERN.test(row.windowId) || !TMUX_PANE_ID_PATTERN.test(row.pane.id)) {
+    return;
+  }
+  let window = windows.find((entry) => entry.id === row.windowId);
+  if (!window) {
+    window = {
+      id: row.windowId,
+      index: row.windowIndex,
+      name: row.windowName,
+      active: row.windowActive,
+      panes: []
+    };
+    windows.push(window);
+  }
+  window.panes.push({ ...row.pane });
+}
+
+function sortTmuxWindows(windows: TmuxWindowInfo[]): TmuxWindowInfo[] {
+  windows.sort((a, b) => a.index - b.index);
+  for (const window of windows) {
+    window.panes.sort((a, b) => a.index - b.index);
+  }
+  return windows;
+}
+
+function toLayoutSignature(windows: TmuxWindowInfo[]): string {
+  return windows
+    .map(
+      (window) =>
+        `${window.id}:${window.index}:${window.name}:${window.active ? 1 : 0}[${window.panes
+          .map((pane) => `${pane.id}:${pane.active ? 1 : 0}:${pane.cols}x${pane.rows}:${pane.command}`)
+          .join(',')}]`
+    )
+    .join('|');
+}
+
+function readTmuxPrintedTarget(output: string): { windowId: string; paneId: string } {
+  const [windowId = '', paneId = ''] = output.trim().split('\t');
+  if (!TMUX_WINDOW_ID_PATTERN.test(windowId) || !TMUX_PANE_ID_PATTERN.test(paneId)) {
+    throw new Error('tmux did not report the new pane');
+  }
+  return { windowId, paneId };
+}
+
+function normalizeWindowName(value: unknown): string | undefined {
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+  const collapsed = value.replace(/[\u0000-\u001f\u007f]+/g, ' ').trim();
+  return collapsed ? collapsed.slice(0, TMUX_WINDOW_NAME_MAX_LENGTH) : undefined;
+}
+
 function toSessionId(tmuxSessionName: string): string | null {
   if (!tmuxSessionName.startsWith(TMUX_SESSION_PREFIX)) {
     return null;
@@ -154,16 +396,16 @@ function shellQuote(value: string): string {
   return `'${value.replace(/'/g, `'\\''`)}'`;
 }
 
-function buildCliCommand(_cli: CliKind): string | null {
-  return null;
-}
-
-function buildTmuxShellCommand(cli: CliKind): string {
-  const command = buildCliCommand(cli);
-  if (!command) {
-    return '/bin/bash -l';
+// Launch commands fall back to a login shell when they exit so the pane keeps its output around.
+function buildTmuxShellCommand(launch: Pick<SpawnLaunchOptions, 'command' | 'env' | 'startupScript'> = {}): string {
+  const steps = [launch.startupScript, launch.command].filter((step): step is string => !!step && !!step.trim());
+  const shellCommand =
+    steps.length === 0 ? '/bin/bash -l' : `/bin/bash -lc ${shellQuote(`${steps.join('\n')}\nexec /bin/bash -l`)}`;
+  const envEntries = Object.entries(launch.env ?? {});
+  if (envEntries.length === 0) {
+    return shellCommand;
   }
-  return `/bin/bash -lc ${shellQuote(command)}`;
+  return `env ${envEntries.map(([key, value]) => shellQuote(`${key}=${value}`)).join(' ')} ${shellCommand}`;
 }
 
 function parseOsc52Clipboard(data: string, carry: string): { clipboardTexts: string[]; carry: string } {
@@ -356,21 +598,49 @@ function isLikelyTmuxNoServer(args: string[], error: unknown, message: string):
   return status === 1 && (command === 'list-panes' || command === 'list-sessions');
 }
 
+export interface PtyManagerOptions {
+  // Per-recording size limit in bytes; 0 means no limit.
+  recordingMaxBytes?: number;
+  // Finished recordings older than this are deleted; 0 keeps them forever.
+  recordingRetentionMs?: number;
+}
+
 export class PtyManager {
   private readonly defaultCwd: string;
   private readonly tmuxBin: string;
+  private readonly recordingDir: string;
+  private readonly recordingMaxBytes: number;
+  private readonly recordingRetentionMs: number;
   private readonly sessions = new Map<string, SessionRuntime>();
   private readonly exitListeners = new Set<(sessionId: string, exitCode: number) => void>();
   private readonly clipboardListeners = new Set<(sessionId: string, text: string) => void>();
+  private readonly metadataListeners = new Set<(session: SessionInfo) => void>();
+  private readonly layoutListeners = new Set<(sessionId: string, windows: TmuxWindowInfo[]) => void>();
+  private readonly presenceListeners = new Set<(presence: SessionPresence) => void>();
+  private readonly commandFinishedListeners = new Set<(sessionId: string, event: CommandFinishedEvent) => void>();
+  private readonly notificationListeners = new Set<(sessionId: string, notification: ShellNotification) => void>();
   private pollTimer: NodeJS.Timeout | null = null;
+  private shellLogTimer: NodeJS.Timeout | null = null;
+  private readonly shellLogReads = new Set<string>();
+  private recordingPruneTimer: NodeJS.Timeout | null = null;
   private readonly tmuxReady: boolean;
 
-  constructor(defaultCwd = process.cwd()) {
+  constructor(defaultCwd = process.cwd(), options: PtyManagerOptions = {}) {
     this.defaultCwd = normalizeCwd(defaultCwd, process.cwd());
     this.tmuxBin = (process.env.C2P_TMUX_BIN ?? 'tmux').trim() || 'tmux';
+    this.recordingDir = path.resolve((process.env.C2P_RECORDING_DIR ?? '').trim() || RECORDING_DIR);
+    this.recordingMaxBytes = Math.max(0, options.recordingMaxBytes ?? 0);
+    this.recordingRetentionMs = Math.max(0, options.recordingRetentionMs ?? 0);
 
     fs.mkdirSync(SESSION_LOG_DIR, { recursive: true });
     this.cleanStaleLogFiles();
+    if (this.recordingRetentionMs > 0) {
+      this.pruneExpiredRecordings();
+      this.recordingPruneTimer = setInterval(() => {
+        this.pruneExpiredRecordings();
+      }, RECORDING_PRUNE_INTERVAL_MS);
+      this.recordingPruneTimer.unref();
+    }
 
     this.tmuxReady = this.detectTmuxAvailability();
     if (this.tmuxReady) {
@@ -387,6 +657,18 @@ export class PtyManager {
       clearInterval(this.pollTimer);
       this.pollTimer = null;
     }
+    if (this.shellLogTimer) {
+      clearInterval(this.shellLogTimer);
+      this.shellLogTimer = null;
+    }
+    if (this.recordingPruneTimer) {
+      clearInterval(this.recordingPruneTimer);
+      this.recordingPruneTimer = null;
+    }
+    for (const runtime of this.sessions.values()) {
+      void runtime.recorder?.close();
+      runtime.recorder = null;
+    }
   }
 
   private detectTmuxAvailability(): boolean {
@@ -498,6 +780,12 @@ export class PtyManager {
       this.syncWithTmux();
     }, TMUX_POLL_INTERVAL_MS);
     this.pollTimer.unref();
+    this.shellLogTimer = setInterval(() => {
+      for (const runtime of this.sessions.values()) {
+        void this.observeSessionLog(runtime);
+      }
+    }, SHELL_LOG_POLL_INTERVAL_MS);
+    this.shellLogTimer.unref();
   }
 
   private resolveSessionLogPath(sessionId: string): string | null {
@@ -508,6 +796,12 @@ export class PtyManager {
     return path.join(SESSION_LOG_DIR, `${normalized}.log`);
   }
 
+  private pruneExpiredRecordings(): void {
+    void pruneRecordings(this.recordingDir, this.recordingRetentionMs, this.listActiveRecordingIds()).catch(() => {
+      // A failed sweep is retried on the next interval.
+    });
+  }
+
   private cleanStaleLogFiles(): void {
     let entries: fs.Dirent[] = [];
     try {
@@ -534,52 +828,77 @@ export class PtyManager {
   }
 
   private listTmuxSessionSnapshots(): Map<string, TmuxSessionSnapshot> {
-    const output = this.runTmux(
-      ['list-panes', '-a', '-F', '#{session_name}\t#{pane_current_path}\t#{window_width}\t#{window_height}\t#{session_created}'],
-      {
-        allowNoServer: true
-      }
-    );
+    const output = this.runTmux(['list-panes', '-a', '-F', TMUX_PANE_LIST_FORMAT], {
+      allowNoServer: true
+    });
 
     const snapshots = new Map<string, TmuxSessionSnapshot>();
     const nowIso = new Date().toISOString();
 
     for (const line of output.split('\n')) {
-      const trimmed = line.trim();
-      if (!trimmed) {
+      if (!line.trim()) {
         continue;
       }
-      const [rawSessionName, rawCwd, rawCols, rawRows, rawCreated] = trimmed.split('\t');
-      if (!rawSessionName) {
+      const row = parseTmuxPaneRow(line, this.defaultCwd);
+      if (!row) {
         continue;
       }
-      const sessionId = toSessionId(rawSessionName);
-      if (!sessionId || snapshots.has(sessionId)) {
+      const existing = snapshots.get(row.sessionId);
+      if (existing) {
+        appendTmuxPaneRow(existing.windows, row);
         continue;
       }
 
-      snapshots.set(sessionId, {
-        id: sessionId,
-        cwd: normalizeCwd(rawCwd, this.defaultCwd),
-        cols: normalizeDimension(rawCols, 100),
-        rows: normalizeDimension(rawRows, 30),
-        startedAt: toIsoFromEpochSeconds(rawCreated, nowIso)
+      const windows: TmuxWindowInfo[] = [];
+      appendTmuxPaneRow(windows, row);
+      snapshots.set(row.sessionId, {
+        id: row.sessionId,
+        cwd: row.cwd,
+        cols: normalizeDimension(row.cols, 100),
+        rows: normalizeDimension(row.rows, 30),
+        startedAt: toIsoFromEpochSeconds(row.created, nowIso),
+        metadata: decodeSessionMetadata(row.metadata),
+        windows
       });
     }
 
+    for (const snapshot of snapshots.values()) {
+      sortTmuxWindows(snapshot.windows);
+    }
     return snapshots;
   }
 
-  private resolvePrimaryPaneTarget(sessionId: string): string | null {
-    const output = this.runTmux(['list-panes', '-t', toTmuxSessionName(sessionId), '-F', '#{pane_id}'], {
+  private listSessionPaneRows(sessionId: string): TmuxPaneRow[] {
+    const output = this.runTmux(['list-panes', '-s', '-t', toTmuxSessionName(sessionId), '-F', TMUX_PANE_LIST_FORMAT], {
       allowFailure: true,
       allowNoServer: true
     });
-    const paneId = output
-      .split('\n')
-      .map((line) => line.trim())
-      .find((line) => line.length > 0);
-    return paneId ?? null;
+    const rows: TmuxPaneRow[] = [];
+    for (const line of output.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      const row = parseTmuxPaneRow(line, this.defaultCwd);
+      if (row && row.sessionId === sessionId) {
+        rows.push(row);
+      }
+    }
+    return rows;
+  }
+
+  private readSessionWindows(sessionId: string): TmuxWindowInfo[] {
+    const windows: TmuxWindowInfo[] = [];
+    for (const row of this.listSessionPaneRows(sessionId)) {
+      appendTmuxPaneRow(windows, row);
+    }
+    return sortTmuxWindows(windows);
+  }
+
+  // The session log follows a single pane: whichever one is already piped, otherwise the first pane.
+  private resolvePrimaryPaneTarget(sessionId: string): string | null {
+    const rows = this.listSessionPaneRows(sessionId);
+    const piped = rows.find((row) => row.piped);
+    return (piped ?? rows[0])?.pane.id ?? null;
   }
 
   private ensureSessionLogPipe(sessionId: string, logPath: string): void {
@@ -623,16 +942,39 @@ export class PtyManager {
     });
   }
 
+  private writeSessionMetadataOption(sessionId: string, metadata: SessionMetadata): void {
+    const sessionTarget = toTmuxSessionName(sessionId);
+    const encoded = encodeSessionMetadata(metadata);
+    const args = encoded
+      ? ['set-option', '-t', sessionTarget, TMUX_METADATA_OPTION, encoded]
+      : ['set-option', '-u', '-t', sessionTarget, TMUX_METADATA_OPTION];
+    this.runTmux(args, {
+      allowFailure: true,
+      allowNoServer: true
+    });
+  }
+
   private addOrUpdateSession(info: SessionInfo): void {
     const logPath = this.resolveSessionLogPath(info.id);
     if (!logPath) {
       return;
     }
+    const previous = this.sessions.get(info.id);
     this.sessions.set(info.id, {
       info: {
         ...info
       },
-      logPath
+      logPath,
+      layoutSignature: previous?.layoutSignature ?? '',
+      viewers: previous?.viewers ?? new Map(),
+      inputLock: previous?.inputLock ?? null,
+      presenceInputPublishedAt: previous?.presenceInputPublishedAt ?? 0,
+      recorder: previous?.recorder ?? null,
+      outputSource: previous?.outputSource ?? null,
+      shellTracker: previous?.shellTracker ?? new ShellIntegrationTracker(),
+      // Output from before this server saw the session has already been seen or missed; only new output counts.
+      shellLogCursor: previous?.shellLogCursor ?? this.getLogBytes(info.id),
+      shellLogDecoder: previous?.shellLogDecoder ?? new StringDecoder('utf8')
     });
     this.applySessionTerminalOptions(info.id);
     this.applySessionDisplayOptions(info.id);
@@ -640,15 +982,288 @@ export class PtyManager {
   }
 
   private removeSession(sessionId: string, exitCode: number): void {
-    const removed = this.sessions.delete(sessionId);
-    if (!removed) {
+    const runtime = this.sessions.get(sessionId);
+    if (!runtime) {
       return;
     }
+    void runtime.recorder?.close();
+    this.sessions.delete(sessionId);
     for (const listener of this.exitListeners) {
       listener(sessionId, exitCode);
     }
   }
 
+  // Session-level variables make later windows and splits inherit the launch environment.
+  private applySpawnEnvironment(sessionId: string, env: Record<string, string> | undefined): void {
+    for (const [key, value] of Object.entries(env ?? {})) {
+      this.runTmux(['set-environment', '-t', toTmuxSessionName(sessionId), key, value]);
+    }
+  }
+
+  // Each split chains off the previous pane, so a window's panes read top-to-bottom or left-to-right.
+  private applySpawnLayout(
+    sessionId: string,
+    first: { windowId: string; paneId: string },
+    cwd: string,
+    layout: SpawnLayoutWindow[],
+    env: Record<string, string> | undefined
+  ): void {
+    const tmuxSessionName = toTmuxSessionName(sessionId);
+    layout.forEach((window, index) => {
+      let paneId = first.paneId;
+      if (index > 0) {
+        const name = normalizeWindowName(window.name);
+        paneId = readTmuxPrintedTarget(
+          this.runTmux([
+            'new-window',
+            ...TMUX_PRINT_TARGET_ARGS,
+            '-t',
+            `${tmuxSessionName}:`,
+            '-c',
+            cwd,
+            ...(name ? ['-n', name] : []),
+            buildTmuxShellCommand({ command: window.command, env })
+          ])
+        ).paneId;
+      }
+      for (const pane of window.panes ?? []) {
+        paneId = readTmuxPrintedTarget(
+          this.runTmux([
+            'split-window',
+            ...TMUX_PRINT_TARGET_ARGS,
+            pane.split === 'horizontal' ? '-h' : '-v',
+            '-t',
+            paneId,
+            '-c',
+            cwd,
+            buildTmuxShellCommand({ command: pane.command, env })
+          ])
+        ).paneId;
+      }
+    });
+    this.runTmux(['select-window', '-t', first.windowId]);
+    this.runTmux(['select-pane', '-t', first.paneId]);
+  }
+
+  private publishLayout(runtime: SessionRuntime, windows: TmuxWindowInfo[], force = false): void {
+    const signature = toLayoutSignature(windows);
+    const previous = runtime.layoutSignature;
+    runtime.layoutSignature = signature;
+    // The first snapshot only primes the signature; clients fetch the initial layout on demand.
+    if (!force && (signature === previous || previous === '')) {
+      return;
+    }
+    for (const listener of this.layoutListeners) {
+      listener(runtime.info.id, windows);
+    }
+  }
+
+  private toPresence(runtime: SessionRuntime): SessionPresence {
+    return {
+      sessionId: runtime.info.id,
+      viewers: Array.from(runtime.viewers.values()).map((viewer) => ({ ...viewer })),
+      inputLock: runtime.inputLock ? { ...runtime.inputLock } : null
+    };
+  }
+
+  private publishPresence(runtime: SessionRuntime): void {
+    const presence = this.toPresence(runtime);
+    for (const listener of this.presenceListeners) {
+      listener(presence);
+    }
+  }
+
+  private releaseAttachment(sessionId: string, attachmentId: string): void {
+    const runtime = this.sessions.get(sessionId);
+    if (!runtime) {
+      return;
+    }
+    if (runtime.outputSource === attachmentId) {
+      runtime.outputSource = null;
+    }
+    const viewer = runtime.viewers.get(attachmentId);
+    if (!viewer) {
+      return;
+    }
+    runtime.viewers.delete(attachmentId);
+    // The lock follows the client, so it only lapses once that client's last interactive attachment is gone.
+    const lock = runtime.inputLock;
+    if (lock && !this.hasInteractiveViewer(runtime, lock.viewerId)) {
+      runtime.inputLock = null;
+    }
+    this.publishPresence(runtime);
+  }
+
+  private hasInteractiveViewer(runtime: SessionRuntime, viewerId: string): boolean {
+    for (const viewer of runtime.viewers.values()) {
+      if (viewer.viewerId === viewerId && viewer.mode === 'interactive') {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Every attachment sees the same session, so only one of them feeds the recorder; the next one to produce
+  // output takes over when it detaches, starting with a resize event if its terminal size differs.
+  private observeAttachmentOutput(sessionId: string, attachmentId: string, data: string, cols: number, rows: number): void {
+    const runtime = this.sessions.get(sessionId);
+    if (!runtime) {
+      return;
+    }
+    if (runtime.outputSource === null) {
+      runtime.outputSource = attachmentId;
+      runtime.recorder?.resize(cols, rows);
+    }
+    if (runtime.outputSource !== attachmentId || !runtime.recorder) {
+      return;
+    }
+    runtime.recorder.writeOutput(data);
+    if (runtime.recorder.isFull) {
+      console.warn(`[c2p] recording: ${runtime.recorder.id} reached the size limit, stopping`);
+      void this.stopRecording(sessionId);
+    }
+  }
+
+  // Shell integration markers are read from the pane's pipe-pane log rather than from attachments, so
+  // commands finishing and notifications still fire while no client has the session open. Logs are only
+  // read when their size moved since the last poll, and a session never has two reads in flight.
+  private async observeSessionLog(runtime: SessionRuntime): Promise<void> {
+    const sessionId = runtime.info.id;
+    if (this.shellLogReads.has(sessionId)) {
+      return;
+    }
+    this.shellLogReads.add(sessionId);
+    try {
+      const read = await this.readSessionLogTail(runtime);
+      // A session replaced meanwhile carries the old cursor over, so its successor picks up the same bytes.
+      if (!read || this.sessions.get(sessionId) !== runtime) {
+        return;
+      }
+      if (read.restarted) {
+        runtime.shellLogDecoder = new StringDecoder('utf8');
+      }
+      runtime.shellLogCursor = read.start + read.chunk.byteLength;
+      const shellEvents = runtime.shellTracker.feed(runtime.shellLogDecoder.write(read.chunk));
+      for (const event of shellEvents.finished) {
+        for (const listener of this.commandFinishedListeners) {
+          listener(sessionId, event);
+        }
+      }
+      for (const notification of shellEvents.notifications) {
+        for (const listener of this.notificationListeners) {
+          listener(sessionId, notification);
+        }
+      }
+    } finally {
+      this.shellLogReads.delete(sessionId);
+    }
+  }
+
+  private async readSessionLogTail(
+    runtime: SessionRuntime
+  ): Promise<{ start: number; chunk: Buffer; restarted: boolean } | null> {
+    try {
+      const logBytes = (await fs.promises.stat(runtime.logPath)).size;
+      if (logBytes === runtime.shellLogCursor) {
+        return null;
+      }
+      let start = logBytes < runtime.shellLogCursor ? 0 : runtime.shellLogCursor;
+      let restarted = start !== runtime.shellLogCursor;
+      if (logBytes - start > SHELL_LOG_READ_MAX_BYTES) {
+        start = logBytes - SHELL_LOG_READ_MAX_BYTES;
+        restarted = true;
+      }
+      const handle = await fs.promises.open(runtime.logPath, 'r');
+      try {
+        const chunk = Buffer.alloc(logBytes - start);
+        const { bytesRead } = await handle.read(chunk, 0, chunk.byteLength, start);
+        return { start, chunk: chunk.subarray(0, bytesRead), restarted };
+      } finally {
+        await handle.close();
+      }
+    } catch {
+      return null;
+    }
+  }
+
+  private recordAttachmentResize(sessionId: string, attachmentId: string, cols: number, rows: number): void {
+    const runtime = this.sessions.get(sessionId);
+    if (runtime?.recorder && runtime.outputSource === attachmentId) {
+      runtime.recorder.resize(cols, rows);
+    }
+  }
+
+  private emitMetadata(runtime: SessionRuntime): void {
+    const session = this.toSessionInfo(runtime);
+    for (const listener of this.metadataListeners) {
+      listener(session);
+    }
+  }
+
+  private toSessionInfo(runtime: SessionRuntime): SessionInfo {
+    return runtime.recorder ? { ...runtime.info, recording: runtime.recorder.id } : { ...runtime.info };
+  }
+
+  private acceptViewerInput(sessionId: string, attachmentId: string): boolean {
+    const runtime = this.sessions.get(sessionId);
+    if (!runtime) {
+      return true;
+    }
+    const viewer = runtime.viewers.get(attachmentId);
+    const viewerId = viewer?.viewerId ?? attachmentId;
+    if (runtime.inputLock && runtime.inputLock.viewerId !== viewerId) {
+      return false;
+    }
+    if (!viewer) {
+      return true;
+    }
+    const now = Date.now();
+    viewer.lastInputAt = new Date(now).toISOString();
+    // Keystrokes arrive far faster than anyone reads an avatar tooltip, so input times are published coarsely.
+    if (now - runtime.presenceInputPublishedAt >= PRESENCE_INPUT_PUBLISH_INTERVAL_MS) {
+      runtime.presenceInputPublishedAt = now;
+      this.publishPresence(runtime);
+    }
+    return true;
+  }
+
+  private requireSessionRuntime(sessionId: string): SessionRuntime {
+    this.ensureTmuxAvailable();
+    const runtime = this.sessions.get(sessionId);
+    if (!runtime) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+    return runtime;
+  }
+
+  private refreshLayout(runtime: SessionRuntime): TmuxWindowInfo[] {
+    const windows = this.readSessionWindows(runtime.info.id);
+    this.publishLayout(runtime, windows, true);
+    return windows;
+  }
+
+  private resolveLayoutTarget(
+    runtime: SessionRuntime,
+    kind: 'window' | 'pane',
+    targetId: string | undefined
+  ): { windows: TmuxWindowInfo[]; window: TmuxWindowInfo; pane: TmuxPaneInfo } {
+    const windows = this.readSessionWindows(runtime.info.id);
+    const activeWindow = windows.find((window) => window.active) ?? windows[0];
+    let window: TmuxWindowInfo | undefined = activeWindow;
+    let pane: TmuxPaneInfo | undefined = activeWindow?.panes.find((entry) => entry.active) ?? activeWindow?.panes[0];
+    if (targetId && kind === 'window') {
+      window = windows.find((entry) => entry.id === targetId);
+      pane = window?.panes.find((entry) => entry.active) ?? window?.panes[0];
+    } else if (targetId && kind === 'pane') {
+      window = windows.find((entry) => entry.panes.some((candidate) => candidate.id === targetId));
+      pane = window?.panes.find((entry) => entry.id === targetId);
+    }
+    if (!window || !pane) {
+      throw new Error(`${kind} not found: ${targetId ?? ''}`);
+    }
+    return { windows, window, pane };
+  }
+
   private syncWithTmux(): void {
     if (!this.tmuxReady) {
       return;
@@ -665,6 +1280,7 @@ export class PtyManager {
       existing.info.cwd = snapshot.cwd;
       existing.info.cols = snapshot.cols;
       existing.info.rows = snapshot.rows;
+      this.publishLayout(existing, snapshot.windows);
     }
 
     for (const sessionId of Array.from(this.sessions.keys())) {
@@ -683,7 +1299,8 @@ export class PtyManager {
         cwd: normalizeCwd(snapshot.cwd, this.defaultCwd),
         cols: normalizeDimension(snapshot.cols, 100),
         rows: normalizeDimension(snapshot.rows, 30),
-        startedAt: normalizeStartedAt(snapshot.startedAt, nowIso)
+        startedAt: normalizeStartedAt(snapshot.startedAt, nowIso),
+        ...snapshot.metadata
       });
     }
   }
@@ -698,6 +1315,31 @@ export class PtyManager {
     return () => this.clipboardListeners.delete(listener);
   }
 
+  onCommandFinished(listener: (sessionId: string, event: CommandFinishedEvent) => void): () => void {
+    this.commandFinishedListeners.add(listener);
+    return () => this.commandFinishedListeners.delete(listener);
+  }
+
+  onNotification(listener: (sessionId: string, notification: ShellNotification) => void): () => void {
+    this.notificationListeners.add(listener);
+    return () => this.notificationListeners.delete(listener);
+  }
+
+  onMetadata(listener: (session: SessionInfo) => void): () => void {
+    this.metadataListeners.add(listener);
+    return () => this.metadataListeners.delete(listener);
+  }
+
+  onLayout(listener: (sessionId: string, windows: TmuxWindowInfo[]) => void): () => void {
+    this.layoutListeners.add(listener);
+    return () => this.layoutListeners.delete(listener);
+  }
+
+  onPresence(listener: (presence: SessionPresence) => void): () => void {
+    this.presenceListeners.add(listener);
+    return () => this.presenceListeners.delete(listener);
+  }
+
   recoverSessions(records: StoreSessionRecord[]): RecoverSessionsResult {
     if (!this.tmuxReady) {
       return {
@@ -724,16 +1366,23 @@ export class PtyManager {
         continue;
       }
 
+      const recordMetadata = normalizeSessionMetadata(record);
+      const restoreMetadata = !hasSessionMetadata(snapshot.metadata) && hasSessionMetadata(recordMetadata);
       const info: SessionInfo = {
         id: record.id,
-        cli: record.cli === 'shell' ? 'shell' : 'shell',
+        cli: record.cli,
         cwd: normalizeCwd(snapshot.cwd || record.cwd, this.defaultCwd),
         cols: normalizeDimension(snapshot.cols, normalizeDimension(record.cols, 100)),
         rows: normalizeDimension(snapshot.rows, normalizeDimension(record.rows, 30)),
-        startedAt: normalizeStartedAt(record.startedAt, snapshot.startedAt || nowIso)
+        startedAt: normalizeStartedAt(record.startedAt, snapshot.startedAt || nowIso),
+        ...(record.profile ? { profile: record.profile } : {}),
+        ...(restoreMetadata ? recordMetadata : snapshot.metadata)
       };
 
       this.addOrUpdateSession(info);
+      if (restoreMetadata) {
+        this.writeSessionMetadataOption(info.id, recordMetadata);
+      }
       recovered.push({ ...info });
       snapshots.delete(record.id);
     }
@@ -745,7 +1394,8 @@ export class PtyManager {
         cwd: normalizeCwd(snapshot.cwd, this.defaultCwd),
         cols: normalizeDimension(snapshot.cols, 100),
         rows: normalizeDimension(snapshot.rows, 30),
-        startedAt: normalizeStartedAt(snapshot.startedAt, nowIso)
+        startedAt: normalizeStartedAt(snapshot.startedAt, nowIso),
+        ...snapshot.metadata
       };
       this.addOrUpdateSession(info);
       discovered.push({ ...info });
@@ -772,11 +1422,14 @@ export class PtyManager {
     const cwd = normalizeCwd(options.cwd, this.defaultCwd);
     const cols = normalizeDimension(options.cols, 100);
     const rows = normalizeDimension(options.rows, 30);
-    const shellCommand = buildTmuxShellCommand(options.cli);
+    const shellCommand = buildTmuxShellCommand(options);
+    const layout = options.layout ?? [];
+    const firstWindowName = normalizeWindowName(layout[0]?.name);
 
-    this.runTmux([
+    const created = this.runTmux([
       'new-session',
       '-d',
+      ...(layout.length > 0 ? TMUX_PRINT_TARGET_ARGS : []),
       '-s',
       toTmuxSessionName(sessionId),
       '-x',
@@ -785,23 +1438,41 @@ export class PtyManager {
       String(rows),
       '-c',
       cwd,
+      ...(firstWindowName ? ['-n', firstWindowName] : []),
       shellCommand
     ]);
 
+    try {
+      this.applySpawnEnvironment(sessionId, options.env);
+      if (layout.length > 0) {
+        this.applySpawnLayout(sessionId, readTmuxPrintedTarget(created), cwd, layout, options.env);
+      }
+    } catch (error) {
+      this.runTmux(['kill-session', '-t', toTmuxSessionName(sessionId)], {
+        allowFailure: true,
+        allowNoServer: true
+      });
+      throw error;
+    }
+
     const info: SessionInfo = {
       id: sessionId,
       cli: options.cli,
       cwd,
       cols,
       rows,
-      startedAt: new Date().toISOString()
+      startedAt: new Date().toISOString(),
+      ...(options.profile ? { profile: options.profile } : {})
     };
 
     this.addOrUpdateSession(info);
     return info;
   }
 
-  attach(sessionId: string, options: { cols: number; rows: number }): TerminalAttachment {
+  attach(
+    sessionId: string,
+    options: { cols: number; rows: number; readOnly?: boolean; viewer?: SessionViewerIdentity }
+  ): TerminalAttachment {
     this.ensureTmuxAvailable();
 
     const runtime = this.sessions.get(sessionId);
@@ -811,7 +1482,9 @@ export class PtyManager {
 
     const cols = normalizeDimension(options.cols, runtime.info.cols);
     const rows = normalizeDimension(options.rows, runtime.info.rows);
-    const pty = spawn(this.tmuxBin, ['attach-session', '-t', toTmuxSessionName(sessionId)], {
+    // Read-only tmux clients ignore keys, so watchers cannot type even if a frame slips through.
+    const attachArgs = ['attach-session', ...(options.readOnly ? ['-r'] : []), '-t', toTmuxSessionName(sessionId)];
+    const pty = spawn(this.tmuxBin, attachArgs, {
       name: 'xterm-256color',
       cols,
       rows,
@@ -826,6 +1499,23 @@ export class PtyManager {
     runtime.info.cols = cols;
     runtime.info.rows = rows;
 
+    const attachmentId = randomUUID();
+    let attachmentCols = cols;
+    let attachmentRows = rows;
+    if (options.viewer) {
+      runtime.viewers.set(attachmentId, {
+        attachmentId,
+        viewerId: options.viewer.viewerId || attachmentId,
+        label: options.viewer.label,
+        tokenJti: options.viewer.tokenJti,
+        scope: options.viewer.scope,
+        mode: options.readOnly ? 'watch' : 'interactive',
+        connectedAt: new Date().toISOString(),
+        lastInputAt: null
+      });
+      this.publishPresence(runtime);
+    }
+
     const dataListeners = new Set<(chunk: AttachmentChunk) => void>();
     const exitListeners = new Set<(exitCode: number) => void>();
     const manager = this;
@@ -849,6 +1539,7 @@ export class PtyManager {
       }
       closed = true;
       cleanupKillTimer();
+      this.releaseAttachment(sessionId, attachmentId);
       pty.kill('SIGTERM');
       killTimer = setTimeout(() => {
         killTimer = null;
@@ -860,6 +1551,7 @@ export class PtyManager {
       const payload = Buffer.from(data, 'utf8');
       const startOffset = logCursor;
       logCursor += payload.byteLength;
+      this.observeAttachmentOutput(sessionId, attachmentId, data, attachmentCols, attachmentRows);
 
       const osc52 = parseOsc52Clipboard(data, osc52Carry);
       osc52Carry = osc52.carry;
@@ -886,17 +1578,23 @@ export class PtyManager {
     pty.onExit(({ exitCode }) => {
       closed = true;
       cleanupKillTimer();
+      this.releaseAttachment(sessionId, attachmentId);
       for (const listener of exitListeners) {
         listener(typeof exitCode === 'number' ? exitCode : 0);
       }
     });
 
     return {
-      write(data: string | Buffer): void {
+      id: attachmentId,
+      write(data: string | Buffer): boolean {
         if (closed) {
-          return;
+          return false;
+        }
+        if (!manager.acceptViewerInput(sessionId, attachmentId)) {
+          return false;
         }
         pty.write(data);
+        return true;
       },
       resize(nextCols: number, nextRows: number): void {
         if (closed) {
@@ -906,8 +1604,11 @@ export class PtyManager {
         const rowsSafe = normalizeDimension(nextRows, runtime.info.rows);
         runtime.info.cols = colsSafe;
         runtime.info.rows = rowsSafe;
+        attachmentCols = colsSafe;
+        attachmentRows = rowsSafe;
         pty.resize(colsSafe, rowsSafe);
         manager.resize(sessionId, colsSafe, rowsSafe);
+        manager.recordAttachmentResize(sessionId, attachmentId, colsSafe, rowsSafe);
       },
       pauseOutput(): void {
         if (closed || outputPaused) {
@@ -937,6 +1638,233 @@ export class PtyManager {
     };
   }
 
+  startRecording(sessionId: string): AsciicastRecorder {
+    const runtime = this.sessions.get(sessionId);
+    if (!runtime) {
+      throw new Error('session not found');
+    }
+    if (runtime.recorder) {
+      throw new Error('recording already active');
+    }
+    runtime.recorder = new AsciicastRecorder({
+      dir: this.recordingDir,
+      sessionId,
+      cols: runtime.info.cols,
+      rows: runtime.info.rows,
+      title: runtime.info.name,
+      maxBytes: this.recordingMaxBytes
+    });
+    // Let the next output re-claim the source so the recorder picks up that attachment's size first.
+    runtime.outputSource = null;
+    this.emitMetadata(runtime);
+    return runtime.recorder;
+  }
+
+  async stopRecording(sessionId: string): Promise<string | null> {
+    const runtime = this.sessions.get(sessionId);
+    const recorder = runtime?.recorder;
+    if (!runtime || !recorder) {
+      return null;
+    }
+    runtime.recorder = null;
+    this.emitMetadata(runtime);
+    await recorder.close();
+    return recorder.id;
+  }
+
+  getRecordingDir(): string {
+    return this.recordingDir;
+  }
+
+  listActiveRecordingIds(): Set<string> {
+    const ids = new Set<string>();
+    for (const runtime of this.sessions.values()) {
+      if (runtime.recorder) {
+        ids.add(runtime.recorder.id);
+      }
+    }
+    return ids;
+  }
+
+  getPresence(sessionId: string): SessionPresence | null {
+    const runtime = this.sessions.get(sessionId);
+    return runtime ? this.toPresence(runtime) : null;
+  }
+
+  listPresence(): SessionPresence[] {
+    return Array.from(this.sessions.values())
+      .filter((runtime) => runtime.viewers.size > 0 || runtime.inputLock)
+      .map((runtime) => this.toPresence(runtime));
+  }
+
+  // Only a client with an interactive attachment can take the lock; `force` lets another admin take it over.
+  lockInput(sessionId: string, viewerId: string, options: { force?: boolean } = {}): SessionPresence {
+    const runtime = this.sessions.get(sessionId);
+    if (!runtime) {
+      throw new Error('session not found');
+    }
+    const holder = runtime.inputLock;
+    if (holder && holder.viewerId !== viewerId && !options.force) {
+      throw new Error('input lock held by another client');
+    }
+    const viewer = Array.from(runtime.viewers.values()).find(
+      (entry) => entry.viewerId === viewerId && entry.mode === 'interactive'
+    );
+    if (!viewer) {
+      throw new Error('client has no interactive attachment');
+    }
+    if (holder?.viewerId !== viewerId) {
+      runtime.inputLock = {
+        viewerId,
+        label: viewer.label,
+        tokenJti: viewer.tokenJti,
+        since: new Date().toISOString()
+      };
+      this.publishPresence(runtime);
+    }
+    return this.toPresence(runtime);
+  }
+
+  unlockInput(sessionId: string, viewerId: string, options: { force?: boolean } = {}): SessionPresence {
+    const runtime = this.sessions.get(sessionId);
+    if (!runtime) {
+      throw new Error('session not found');
+    }
+    const holder = runtime.inputLock;
+    if (holder && holder.viewerId !== viewerId && !options.force) {
+      throw new Error('input lock held by another client');
+    }
+    if (holder) {
+      runtime.inputLock = null;
+      this.publishPresence(runtime);
+    }
+    return this.toPresence(runtime);
+  }
+
+  updateSessionMetadata(sessionId: string, patch: SessionMetadataPatch): SessionInfo | null {
+    const runtime = this.sessions.get(sessionId);
+    if (!runtime) {
+      return null;
+    }
+
+    const metadata = applySessionMetadataPatch(runtime.info, patch);
+    runtime.info = withSessionMetadata(runtime.info, metadata);
+    this.writeSessionMetadataOption(sessionId, metadata);
+
+    const snapshot = { ...runtime.info };
+    for (const listener of this.metadataListeners) {
+      listener(snapshot);
+    }
+    return snapshot;
+  }
+
+  listWindows(sessionId: string): TmuxWindowInfo[] | null {
+    const runtime = this.sessions.get(sessionId);
+    if (!runtime || !this.tmuxReady) {
+      return null;
+    }
+    const windows = this.readSessionWindows(sessionId);
+    this.publishLayout(runtime, windows);
+    return windows;
+  }
+
+  // Shell pids of every pane in the session, i.e. the roots of its process tree.
+  listPanePids(sessionId: string): number[] | null {
+    if (!this.sessions.has(sessionId) || !this.tmuxReady) {
+      return null;
+    }
+    const output = this.runTmux(['list-panes', '-s', '-t', toTmuxSessionName(sessionId), '-F', '#{pane_pid}'], {
+      allowFailure: true,
+      allowNoServer: true
+    });
+    return output
+      .split('\n')
+      .map((line) => Number.parseInt(line.trim(), 10))
+      .filter((pid) => Number.isInteger(pid) && pid > 0);
+  }
+
+  listLayouts(): Array<{ sessionId: string; windows: TmuxWindowInfo[] }> {
+    if (!this.tmuxReady) {
+      return [];
+    }
+    const snapshots = this.listTmuxSessionSnapshots();
+    const layouts: Array<{ sessionId: string; windows: TmuxWindowInfo[] }> = [];
+    for (const runtime of this.sessions.values()) {
+      const snapshot = snapshots.get(runtime.info.id);
+      if (snapshot) {
+        layouts.push({ sessionId: runtime.info.id, windows: snapshot.windows });
+      }
+    }
+    return layouts;
+  }
+
+  createWindow(sessionId: string, options: { name?: string; cwd?: string } = {}): TmuxWindowInfo[] {
+    const runtime = this.requireSessionRuntime(sessionId);
+    const args = ['new-window', '-t', `${toTmuxSessionName(sessionId)}:`, '-c', normalizeCwd(options.cwd, runtime.info.cwd)];
+    const name = normalizeWindowName(options.name);
+    if (name) {
+      args.push('-n', name);
+    }
+    args.push(buildTmuxShellCommand());
+    this.runTmux(args);
+    return this.refreshLayout(runtime);
+  }
+
+  selectWindow(sessionId: string, windowId: string): TmuxWindowInfo[] {
+    const runtime = this.requireSessionRuntime(sessionId);
+    const { window } = this.resolveLayoutTarget(runtime, 'window', windowId);
+    this.runTmux(['select-window', '-t', window.id]);
+    return this.refreshLayout(runtime);
+  }
+
+  closeWindow(sessionId: string, windowId: string): TmuxWindowInfo[] {
+    const runtime = this.requireSessionRuntime(sessionId);
+    const { windows, window } = this.resolveLayoutTarget(runtime, 'window', windowId);
+    if (windows.length <= 1) {
+      throw new Error('cannot close the last window; kill the session instead');
+    }
+    this.runTmux(['kill-window', '-t', window.id]);
+    this.ensureSessionLogPipe(sessionId, runtime.logPath);
+    return this.refreshLayout(runtime);
+  }
+
+  splitPane(sessionId: string, options: { paneId?: string; direction: TmuxSplitDirection }): TmuxWindowInfo[] {
+    const runtime = this.requireSessionRuntime(sessionId);
+    const { pane } = this.resolveLayoutTarget(runtime, 'pane', options.paneId);
+    this.runTmux([
+      'split-window',
+      options.direction === 'horizontal' ? '-h' : '-v',
+      '-t',
+      pane.id,
+      '-c',
+      normalizeCwd(pane.cwd, runtime.info.cwd),
+      buildTmuxShellCommand()
+    ]);
+    return this.refreshLayout(runtime);
+  }
+
+  selectPane(sessionId: string, paneId: string): TmuxWindowInfo[] {
+    const runtime = this.requireSessionRuntime(sessionId);
+    const { window, pane } = this.resolveLayoutTarget(runtime, 'pane', paneId);
+    if (!window.active) {
+      this.runTmux(['select-window', '-t', window.id]);
+    }
+    this.runTmux(['select-pane', '-t', pane.id]);
+    return this.refreshLayout(runtime);
+  }
+
+  closePane(sessionId: string, paneId: string): TmuxWindowInfo[] {
+    const runtime = this.requireSessionRuntime(sessionId);
+    const { windows, pane } = this.resolveLayoutTarget(runtime, 'pane', paneId);
+    const paneCount = windows.reduce((total, window) => total + window.panes.length, 0);
+    if (paneCount <= 1) {
+      throw new Error('cannot close the last pane; kill the session instead');
+    }
+    this.runTmux(['kill-pane', '-t', pane.id]);
+    this.ensureSessionLogPipe(sessionId, runtime.logPath);
+    return this.refreshLayout(runtime);
+  }
+
   write(_sessionId: string, _data: string | Buffer): void {
     // no-op: tmux input is bound to per-connection attachment clients.
   }
@@ -1038,6 +1966,6 @@ export class PtyManager {
   }
 
   listSessions(): SessionInfo[] {
-    return Array.from(this.sessions.values()).map((session) => ({ ...session.info }));
+    return Array.from(this.sessions.values()).map((session) => this.toSessionInfo(session));
   }
 }
@@ -0,0 +1,146 @@
+import fs from 'node:fs';
+import type { C2PStore } from './store.js';
+import {
+  parsePushSubscription,
+  sendWebPush,
+  type PushSubscriptionParseResult,
+  type VapidKeys,
+  type WebPushSendOptions
+} from './web-push.js';
+
+const DISK_CHECK_MIN_INTERVAL_MS = 1000;
+
+export type PushMessage =
+  | { type: 'session.exit'; sessionId: string; sessionName?: string; exitCode: number }
+  | { type: 'notification'; sessionId: string; sessionName?: string; title: string; body: string }
+  | { type: 'disk.low'; path: string; freeBytes: number; minFreeBytes: number }
+  | { type: 'test' };
+
+export interface PushNotifierOptions {
+  store: C2PStore;
+  vapid: VapidKeys;
+  diskPath: string;
+  diskMinFreeBytes: number;
+  diskCheckIntervalMs: number;
+  allowInsecureEndpoints?: boolean;
+}
+
+function resolveSendOptions(message: PushMessage): WebPushSendOptions {
+  // Topics collapse undelivered pushes on the push service so a device coming back online
+  // is not flooded with stale entries.
+  if (message.type === 'disk.low') {
+    return { urgency: 'high', topic: 'disk-low' };
+  }
+  if (message.type === 'test') {
+    return { ttlSeconds: 60 };
+  }
+  const topic = `${message.type === 'session.exit' ? 'exit' : 'notify'}-${message.sessionId}`.replace(/[^A-Za-z0-9_-]/g, '').slice(0, 32);
+  return { urgency: message.type === 'session.exit' ? 'high' : 'normal', topic };
+}
+
+export class PushNotifier {
+  private readonly store: C2PStore;
+  private readonly vapid: VapidKeys;
+  private readonly diskPath: string;
+  private readonly diskMinFreeBytes: number;
+  private readonly diskCheckIntervalMs: number;
+  private readonly allowInsecureEndpoints: boolean;
+  private diskTimer: NodeJS.Timeout | null = null;
+  private diskLow = false;
+
+  constructor(options: PushNotifierOptions) {
+    this.store = options.store;
+    this.vapid = options.vapid;
+    this.diskPath = options.diskPath;
+    this.diskMinFreeBytes = Math.max(0, options.diskMinFreeBytes);
+    this.diskCheckIntervalMs = Math.max(DISK_CHECK_MIN_INTERVAL_MS, options.diskCheckIntervalMs);
+    this.allowInsecureEndpoints = options.allowInsecureEndpoints ?? false;
+  }
+
+  getPublicKey(): string {
+    return this.vapid.publicKey;
+  }
+
+  parseSubscription(value: unknown): PushSubscriptionParseResult {
+    return parsePushSubscription(value, { allowInsecureLoopback: this.allowInsecureEndpoints });
+  }
+
+  async notify(message: PushMessage): Promise<void> {
+    const subscriptions = this.store.listPushSubscriptions();
+    if (subscriptions.length === 0) {
+      return;
+    }
+    const payload = JSON.stringify({ ...message, at: new Date().toISOString() });
+    const sendOptions = resolveSendOptions(message);
+
+    await Promise.all(
+      subscriptions.map(async (subscription) => {
+        try {
+          const status = await sendWebPush(
+            { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+            payload,
+            this.vapid,
+            sendOptions
+          );
+          // 404/410 mean the browser dropped the subscription; it will never become valid again.
+          if (status === 404 || status === 410) {
+            this.store.deletePushSubscription(subscription.endpoint);
+            return;
+          }
+          if (status < 200 || status >= 300) {
+            console.warn(`[c2p] push: delivery failed (${status}) for ${new URL(subscription.endpoint).host}`);
+          }
+        } catch (error) {
+          const text = error instanceof Error ? error.message : String(error);
+          console.warn(`[c2p] push: delivery failed (${text})`);
+        }
+      })
+    );
+  }
+
+  startDiskWatch(): void {
+    if (this.diskTimer || this.diskMinFreeBytes <= 0) {
+      return;
+    }
+    this.diskTimer = setInterval(() => {
+      this.checkDisk();
+    }, this.diskCheckIntervalMs);
+    this.diskTimer.unref();
+  }
+
+  // Fires once when free space drops below the threshold and re-arms after it recovers. While nobody
+  // is subscribed the condition stays unreported, so the first device to subscribe still hears about it.
+  checkDisk(): void {
+    let freeBytes: number;
+    try {
+      const stats = fs.statfsSync(this.diskPath);
+      freeBytes = Number(stats.bsize) * Number(stats.bavail);
+    } catch {
+      return;
+    }
+    if (!Number.isFinite(freeBytes)) {
+      return;
+    }
+    if (freeBytes >= this.diskMinFreeBytes) {
+      this.diskLow = false;
+      return;
+    }
+    if (this.diskLow || this.store.listPushSubscriptions().length === 0) {
+      return;
+    }
+    this.diskLow = true;
+    void this.notify({
+      type: 'disk.low',
+      path: this.diskPath,
+      freeBytes: Math.round(freeBytes),
+      minFreeBytes: this.diskMinFreeBytes
+    });
+  }
+
+  dispose(): void {
+    if (this.diskTimer) {
+      clearInterval(this.diskTimer);
+      this.diskTimer = null;
+    }
+  }
+}
@@ -0,0 +1,297 @@
+import { createHash, randomBytes } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { Transform, type Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{32}$/;
+const UPLOAD_META_EXTENSION = '.json';
+const UPLOAD_DATA_EXTENSION = '.part';
+
+export const UPLOAD_DIR = path.join(process.cwd(), '.c2p-uploads');
+export const UPLOAD_CHUNK_BYTES = 8 * 1024 * 1024;
+
+export interface ResumableUpload {
+  id: string;
+  path: string;
+  size: number;
+  offset: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type ResumableUploadResult =
+  | { ok: true; upload: ResumableUpload }
+  | { ok: false; status: number; error: string; upload?: ResumableUpload };
+
+export type UploadCompleteResult =
+  | { ok: true; upload: ResumableUpload; sha256: string }
+  | { ok: false; status: number; error: string; upload?: ResumableUpload };
+
+export interface ResumableUploadStoreOptions {
+  dir?: string;
+  maxBytes: number;
+  ttlMs: number;
+  // Caps across every staged upload, so abandoned uploads cannot fill the disk before they expire.
+  maxPending: number;
+  maxPendingBytes: number;
+}
+
+interface UploadMeta {
+  id: string;
+  path: string;
+  size: number;
+  createdAt: string;
+}
+
+export function isUploadId(value: unknown): value is string {
+  return typeof value === 'string' && UPLOAD_ID_PATTERN.test(value);
+}
+
+// Upload-Checksum from the tus checksum extension: "<algorithm> <base64 digest>"; only sha256 is supported.
+export function parseUploadChecksum(value: unknown): { ok: true; digest: Buffer | null } | { ok: false; error: string } {
+  if (value === undefined || value === '') {
+    return { ok: true, digest: null };
+  }
+  const matched = typeof value === 'string' ? /^sha256 ([A-Za-z0-9+/]{43}=)$/.exec(value.trim()) : null;
+  if (!matched) {
+    return { ok: false, error: 'invalid upload checksum' };
+  }
+  return { ok: true, digest: Buffer.from(matched[1], 'base64') };
+}
+
+function readMeta(filePath: string): UploadMeta | null {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8')) as Partial<UploadMeta>;
+    if (
+      !isUploadId(parsed.id) ||
+      typeof parsed.path !== 'string' ||
+      !Number.isSafeInteger(parsed.size) ||
+      typeof parsed.createdAt !== 'string'
+    ) {
+      return null;
+    }
+    return parsed as UploadMeta;
+  } catch {
+    return null;
+  }
+}
+
+async function hashFile(filePath: string): Promise<string> {
+  const hash = createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+async function moveFile(sourcePath: string, targetPath: string): Promise<void> {
+  try {
+    await fs.promises.rename(sourcePath, targetPath);
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== 'EXDEV') {
+      throw error;
+    }
+    // The staging directory lives on another filesystem than the target.
+    await fs.promises.copyFile(sourcePath, targetPath);
+    await fs.promises.unlink(sourcePath);
+  }
+}
+
+// Staged uploads are a metadata file plus a data file whose length is the upload offset, so
+// progress survives server restarts. Each PATCH is all-or-nothing: a failed or interrupted
+// chunk is truncated away and the client resends it from the last committed offset.
+export class ResumableUploadStore {
+  readonly maxBytes: number;
+  private readonly dir: string;
+  private readonly ttlMs: number;
+  private readonly maxPending: number;
+  private readonly maxPendingBytes: number;
+  private readonly busy = new Set<string>();
+
+  constructor(options: ResumableUploadStoreOptions) {
+    this.dir = path.resolve(options.dir ?? UPLOAD_DIR);
+    this.maxBytes = options.maxBytes;
+    this.ttlMs = options.ttlMs;
+    this.maxPending = options.maxPending;
+    this.maxPendingBytes = options.maxPendingBytes;
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    this.cleanupExpired();
+  }
+
+  create(relativePath: string, size: number, now = new Date()): ResumableUploadResult {
+    if (!Number.isSafeInteger(size) || size < 0) {
+      return { ok: false, status: 400, error: 'invalid upload length' };
+    }
+    if (size > this.maxBytes) {
+      return { ok: false, status: 413, error: `upload too large (limit=${this.maxBytes} bytes)` };
+    }
+    this.cleanupExpired(now.getTime());
+    // Declared lengths are what a chunk may grow to, so they bound the staged bytes as well.
+    const pending = this.list();
+    if (pending.length >= this.maxPending) {
+      return { ok: false, status: 507, error: `too many staged uploads (limit=${this.maxPending})` };
+    }
+    const pendingBytes = pending.reduce((total, upload) => total + upload.size, 0);
+    if (pendingBytes + size > this.maxPendingBytes) {
+      return { ok: false, status: 507, error: `staged uploads exceed quota (limit=${this.maxPendingBytes} bytes)` };
+    }
+    const meta: UploadMeta = {
+      id: randomBytes(16).toString('hex'),
+      path: relativePath,
+      size,
+      createdAt: now.toISOString()
+    };
+    fs.writeFileSync(this.dataPath(meta.id), '', { mode: 0o600 });
+    fs.writeFileSync(this.metaPath(meta.id), `${JSON.stringify(meta)}\n`, { mode: 0o600 });
+    return { ok: true, upload: { ...meta, offset: 0, updatedAt: meta.createdAt } };
+  }
+
+  get(id: string): ResumableUpload | null {
+    if (!isUploadId(id)) {
+      return null;
+    }
+    const meta = readMeta(this.metaPath(id));
+    if (!meta) {
+      return null;
+    }
+    try {
+      const stat = fs.statSync(this.dataPath(id));
+      return { ...meta, offset: stat.size, updatedAt: stat.mtime.toISOString() };
+    } catch {
+      return null;
+    }
+  }
+
+  isBusy(id: string): boolean {
+    return this.busy.has(id);
+  }
+
+  async append(id: string, offset: number, source: Readable, checksum: Buffer | null): Promise<ResumableUploadResult> {
+    const upload = this.get(id);
+    if (!upload) {
+      return { ok: false, status: 404, error: 'upload not found' };
+    }
+    if (this.busy.has(id)) {
+      return { ok: false, status: 409, error: 'upload busy', upload };
+    }
+    if (offset !== upload.offset) {
+      return { ok: false, status: 409, error: 'offset mismatch', upload };
+    }
+
+    this.busy.add(id);
+    const hash = createHash('sha256');
+    const remaining = upload.size - upload.offset;
+    let received = 0;
+    const limitTransform = new Transform({
+      transform(chunk, _encoding, callback) {
+        const payload = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+        received += payload.byteLength;
+        if (received > remaining) {
+          const error = new Error('chunk exceeds upload length') as NodeJS.ErrnoException;
+          error.code = 'EFBIG';
+          callback(error);
+          return;
+        }
+        hash.update(payload);
+        callback(null, payload);
+      }
+    });
+
+    try {
+      await pipeline(source, limitTransform, fs.createWriteStream(this.dataPath(id), { flags: 'a' }));
+      if (checksum && !hash.digest().equals(checksum)) {
+        await fs.promises.truncate(this.dataPath(id), offset);
+        return { ok: false, status: 460, error: 'checksum mismatch', upload: this.get(id) ?? upload };
+      }
+      return { ok: true, upload: this.get(id) ?? upload };
+    } catch (error) {
+      await fs.promises.truncate(this.dataPath(id), offset).catch(() => {});
+      if ((error as NodeJS.ErrnoException).code === 'EFBIG') {
+        return { ok: false, status: 413, error: 'chunk exceeds upload length', upload: this.get(id) ?? upload };
+      }
+      throw error;
+    } finally {
+      this.busy.delete(id);
+    }
+  }
+
+  async complete(id: string, targetPath: string, expectedSha256?: string): Promise<UploadCompleteResult> {
+    const upload = this.get(id);
+    if (!upload) {
+      return { ok: false, status: 404, error: 'upload not found' };
+    }
+    if (this.busy.has(id)) {
+      return { ok: false, status: 409, error: 'upload busy', upload };
+    }
+    if (upload.offset !== upload.size) {
+      return { ok: false, status: 409, error: 'upload incomplete', upload };
+    }
+
+    this.busy.add(id);
+    try {
+      const sha256 = await hashFile(this.dataPath(id));
+      if (expectedSha256 && expectedSha256.toLowerCase() !== sha256) {
+        // The staged bytes cannot be trusted any more; the client has to start over.
+        this.removeFiles(id);
+        return { ok: false, status: 460, error: 'checksum mismatch', upload };
+      }
+      await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+      await moveFile(this.dataPath(id), targetPath);
+      this.removeFiles(id);
+      return { ok: true, upload, sha256 };
+    } finally {
+      this.busy.delete(id);
+    }
+  }
+
+  remove(id: string): boolean {
+    if (!this.get(id) || this.busy.has(id)) {
+      return false;
+    }
+    this.removeFiles(id);
+    return true;
+  }
+
+  cleanupExpired(now = Date.now()): void {
+    for (const id of this.listIds()) {
+      if (this.busy.has(id)) {
+        continue;
+      }
+      const upload = this.get(id);
+      if (!upload || now - Date.parse(upload.updatedAt) > this.ttlMs) {
+        this.removeFiles(id);
+      }
+    }
+  }
+
+  list(): ResumableUpload[] {
+    return this.listIds()
+      .map((id) => this.get(id))
+      .filter((upload): upload is ResumableUpload => upload !== null);
+  }
+
+  private listIds(): string[] {
+    let entries: string[] = [];
+    try {
+      entries = fs.readdirSync(this.dir);
+    } catch {
+      return [];
+    }
+    return entries
+      .filter((entry) => entry.endsWith(UPLOAD_META_EXTENSION))
+      .map((entry) => entry.slice(0, -UPLOAD_META_EXTENSION.length))
+      .filter((id) => isUploadId(id));
+  }
+
+  private removeFiles(id: string): void {
+    fs.rmSync(this.dataPath(id), { force: true });
+    fs.rmSync(this.metaPath(id), { force: true });
+  }
+
+  private metaPath(id: string): string {
+    return path.join(this.dir, `${id}${UPLOAD_META_EXTENSION}`);
+  }
+
+  private dataPath(id: string): string {
+    return path.join(this.dir, `${id}${UPLOAD_DATA_EXTENSION}`);
+  }
+}
@@ -1,18 +1,73 @@
+import { createHash, randomUUID } from 'node:crypto';
 import fs from 'node:fs';
 import os from 'node:os';
 import path from 'node:path';
 import { Transform } from 'node:stream';
 import { pipeline } from 'node:stream/promises';
+import zlib from 'node:zlib';
 import type { Application, Request, Response } from 'express';
-import type { AccessTokenScope } from '../auth.js';
+import {
+  type AccessGrants,
+  type Capability,
+  hasCapability,
+  isPathGranted,
+  requiredScopeFor,
+  resolveGrants
+} from '../access-grants.js';
+import type {
+  AccessTokenClaims,
+  AccessTokenScope,
+  AccessTokenService,
+  BootstrapTokenManager,
+  PasskeyService
+} from '../auth.js';
 import type { AuditLogger } from '../audit-log.js';
+import {
+  archiveExtension,
+  collectArchiveEntries,
+  parseArchiveFormat,
+  writeTarArchive,
+  writeZipArchive,
+  ZIP_MAX_BYTES,
+  ZIP_MAX_ENTRIES
+} from '../fs-archive.js';
+import { isDeviceId, normalizeDeviceLabel } from '../devices.js';
+import { buildUnifiedDiff, DIFF_CONTEXT_DEFAULT, isBinaryContent } from '../fs-diff.js';
+import { formatFileMode, parseFileMode, readOwnerNames } from '../fs-properties.js';
+import { compileNameGlob, searchFiles } from '../fs-search.js';
+import { type FsTrash, isTrashId } from '../fs-trash.js';
+import {
+  findGitRoot,
+  type GitCommandResult,
+  readGitHeadFile,
+  readGitStatus,
+  realpathAllowMissing,
+  runGitCommand
+} from '../git.js';
+import { isLaunchProfileName, parseLaunchProfileInput } from '../launch-profiles.js';
+import type { LineMatcher } from '../line-matcher.js';
+import type { PairingCodeRegistry } from '../pairing.js';
+import { collectDescendantPids, parseProcessSignal, ProcessSampler, readProcessCommand } from '../process-list.js';
 import type { PtyManager } from '../pty-manager.js';
+import type { PushNotifier } from '../push-notifier.js';
+import {
+  parseUploadChecksum,
+  type ResumableUpload,
+  type ResumableUploadStore,
+  UPLOAD_CHUNK_BYTES
+} from '../resumable-upload.js';
 import { getClientIp } from '../security.js';
+import { createSessionLogMatcher, searchSessionLog } from '../session-log-search.js';
+import { listRecordings, resolveRecordingPath } from '../session-recording.js';
+import { parseSessionMetadataPatch } from '../session-metadata.js';
 import type { C2PStore } from '../store.js';
 
 const FS_UPLOAD_LIMIT_BYTES = 100 * 1024 * 1024;
 const FS_READ_LIMIT_BYTES = 2 * 1024 * 1024;
 const FS_UPLOAD_MIN_FREE_BYTES = 1 * 1024 * 1024 * 1024;
+const FS_BATCH_MAX_ITEMS = 1000;
+const GIT_COMMIT_MESSAGE_MAX_LENGTH = 10_000;
+const FS_BATCH_OPS = ['copy', 'move', 'delete'] as const;
 const SESSION_REPLAY_TAIL_BYTES_DEFAULT = 64 * 1024;
 const SESSION_REPLAY_TAIL_BYTES_MIN = 1;
 const SESSION_REPLAY_TAIL_BYTES_MAX = 4 * 1024 * 1024;
@@ -31,12 +86,21 @@ interface NetworkSnapshot {
 
 let previousCpuSnapshot: CpuSnapshot | null = null;
 let previousNetworkSnapshot: NetworkSnapshot | null = null;
+const processSampler = new ProcessSampler();
 
 interface ApiRouteDeps {
   store: C2PStore;
+  accessTokenService: AccessTokenService;
+  bootstrapTokens: BootstrapTokenManager;
+  pairingCodes: PairingCodeRegistry;
+  passkeyService: PasskeyService;
   ptyManager: PtyManager;
   defaultWorkingDirectory: string;
   auditLogger: AuditLogger;
+  pushNotifier: PushNotifier;
+  uploads: ResumableUploadStore;
+  archiveMaxBytes: number;
+  trash: FsTrash;
 }
 
 function applySessionLogHeaders(res: Response, logBytes: number): number {
@@ -70,6 +134,20 @@ function readReplayTailBytesQuery(value: unknown): number {
   return Math.max(SESSION_REPLAY_TAIL_BYTES_MIN, Math.min(SESSION_REPLAY_TAIL_BYTES_MAX, Math.floor(parsed)));
 }
 
+function readBooleanQuery(value: unknown): boolean {
+  const rawValue = readStringQuery(value);
+  return rawValue === '1' || rawValue === 'true';
+}
+
+function readOptionalIntegerQuery(value: unknown): number | undefined {
+  const rawValue = readStringQuery(value);
+  if (!rawValue) {
+    return undefined;
+  }
+  const parsed = Number.parseInt(rawValue, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : undefined;
+}
+
 function readStringBodyField(body: unknown, key: string): string | undefined {
   if (!body || typeof body !== 'object') {
     return undefined;
@@ -78,6 +156,17 @@ function readStringBodyField(body: unknown, key: string): string | undefined {
   return typeof candidate === 'string' ? candidate : undefined;
 }
 
+function readStringArrayBodyField(body: unknown, key: string): string[] | undefined {
+  if (!body || typeof body !== 'object') {
+    return undefined;
+  }
+  const candidate = (body as Record<string, unknown>)[key];
+  if (!Array.isArray(candidate) || !candidate.every((item) => typeof item === 'string')) {
+    return undefined;
+  }
+  return candidate as string[];
+}
+
 function readBooleanBodyField(body: unknown, key: string, fallback: boolean): boolean {
   if (!body || typeof body !== 'object') {
     return fallback;
@@ -127,41 +216,104 @@ function toSessionSafeFilename(filename: string): string {
   return filename.replace(/[^\w.\-]/g, '_');
 }
 
-function respondFsError(res: Response, error: unknown): void {
+function describeFsError(error: unknown): { status: number; error: string } {
   const code = error && typeof error === 'object' ? (error as NodeJS.ErrnoException).code : undefined;
   if (code === 'ERR_FS_CP_EEXIST') {
-    res.status(409).json({ error: 'target already exists' });
-    return;
+    return { status: 409, error: 'target already exists' };
   }
   if (
     code === 'ERR_FS_CP_EINVAL' ||
     code === 'ERR_FS_CP_DIR_TO_NON_DIR' ||
     code === 'ERR_FS_CP_NON_DIR_TO_DIR'
   ) {
-    res.status(400).json({ error: 'invalid path or operation' });
-    return;
+    return { status: 400, error: 'invalid path or operation' };
   }
   if (code === 'ENOENT') {
-    res.status(404).json({ error: 'path not found' });
-    return;
+    return { status: 404, error: 'path not found' };
   }
   if (code === 'EEXIST') {
-    res.status(409).json({ error: 'target already exists' });
-    return;
+    return { status: 409, error: 'target already exists' };
   }
   if (code === 'ENOTDIR' || code === 'EISDIR' || code === 'EINVAL') {
-    res.status(400).json({ error: 'invalid path or operation' });
-    return;
+    return { status: 400, error: 'invalid path or operation' };
   }
   if (code === 'EACCES' || code === 'EPERM') {
-    res.status(403).json({ error: 'permission denied' });
-    return;
+    return { status: 403, error: 'permission denied' };
   }
   if (code === 'EFBIG') {
-    res.status(413).json({ error: `upload too large (limit=${FS_UPLOAD_LIMIT_BYTES} bytes)` });
-    return;
+    return { status: 413, error: `upload too large (limit=${FS_UPLOAD_LIMIT_BYTES} bytes)` };
+  }
+  return { status: 500, error: 'filesystem operation failed' };
+}
+
+function respondFsError(res: Response, error: unknown): void {
+  const { status, error: message } = describeFsError(error);
+  res.status(status).json({ error: message });
+}
+
+// Copies a file or directory without overwriting; returns false for other entry types.
+async function copyFsEntry(sourcePath: string, targetPath: string): Promise<boolean> {
+  const sourceStat = await fs.promises.stat(sourcePath);
+  if (sourceStat.isDirectory()) {
+    await fs.promises.cp(sourcePath, targetPath, {
+      recursive: true,
+      force: false,
+      errorOnExist: true
+    });
+    return true;
+  }
+  if (sourceStat.isFile()) {
+    await fs.promises.copyFile(sourcePath, targetPath, fs.constants.COPYFILE_EXCL);
+    return true;
+  }
+  return false;
+}
+
+// Strong validator for editor saves: mtime and size catch most changes cheaply, the content hash
+// catches rewrites that keep both.
+function computeFsEtag(stat: fs.Stats, content: Buffer): string {
+  const digest = createHash('sha256').update(content).digest('hex').slice(0, 16);
+  return `"${Math.round(stat.mtimeMs).toString(36)}-${stat.size.toString(36)}-${digest}"`;
+}
+
+function matchesIfMatch(header: string, currentEtag: string | null, currentIsFile: boolean): boolean {
+  if (header.trim() === '*') {
+    return currentIsFile;
+  }
+  return currentEtag !== null && header.split(',').some((candidate) => candidate.trim() === currentEtag);
+}
+
+async function entryExists(absolutePath: string): Promise<boolean> {
+  try {
+    await fs.promises.lstat(absolutePath);
+    return true;
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Missing files read as null so additions and deletions diff against an empty side.
+async function readDiffSource(
+  absolutePath: string
+): Promise<{ ok: true; content: Buffer | null } | { ok: false; status: number; error: string }> {
+  try {
+    const stat = await fs.promises.stat(absolutePath);
+    if (!stat.isFile()) {
+      return { ok: false, status: 400, error: 'path is not a file' };
+    }
+    if (stat.size > FS_READ_LIMIT_BYTES) {
+      return { ok: false, status: 413, error: `file too large to diff (limit=${FS_READ_LIMIT_BYTES} bytes)` };
+    }
+    return { ok: true, content: await fs.promises.readFile(absolutePath) };
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+      return { ok: true, content: null };
+    }
+    return { ok: false, ...describeFsError(error) };
   }
-  res.status(500).json({ error: 'filesystem operation failed' });
 }
 
 function resolveAuditActor(req: Request, res: Response): string {
@@ -326,13 +478,44 @@ function collectNetworkStats(): {
 }
 
 export function registerApiRoutes(app: Application, deps: ApiRouteDeps): void {
-  const { store, ptyManager, defaultWorkingDirectory, auditLogger } = deps;
+  const {
+    store,
+    accessTokenService,
+    bootstrapTokens,
+    pairingCodes,
+    passkeyService,
+    ptyManager,
+    defaultWorkingDirectory,
+    auditLogger,
+    pushNotifier,
+    uploads,
+    archiveMaxBytes,
+    trash
+  } = deps;
   const fsRoot = path.resolve(defaultWorkingDirectory);
+  // The trash may sit inside fsRoot; it is only reachable through the /api/fs/trash routes.
+  const resolveFsPath = (rawPath: string | undefined): string | null => {
+    const resolved = resolvePathWithinBase(fsRoot, rawPath);
+    return resolved && !isWithinBase(trash.dir, resolved) ? resolved : null;
+  };
+  const fsSearches = new Map<string, AbortController>();
 
   const auditFsEvent = (
     req: Request,
     res: Response,
-    event: 'fs.read' | 'fs.upload' | 'fs.download' | 'fs.delete' | 'fs.write' | 'fs.mkdir' | 'fs.rename' | 'fs.copy',
+    event:
+      | 'fs.read'
+      | 'fs.upload'
+      | 'fs.download'
+      | 'fs.delete'
+      | 'fs.write'
+      | 'fs.mkdir'
+      | 'fs.rename'
+      | 'fs.copy'
+      | 'fs.batch'
+      | 'fs.restore'
+      | 'fs.chmod'
+      | 'fs.symlink',
     resource: string,
     outcome: 'success' | 'failure',
     metadata: Record<string, unknown> = {}
@@ -346,44 +529,135 @@ export function registerApiRoutes(app: Application, deps: ApiRouteDeps): void {
     });
   };
 
-  const requireScope = (req: Request, res: Response, requiredScope: AccessTokenScope, resource: string): boolean => {
-    const auth = res.locals.auth as { claims?: { scope?: AccessTokenScope } } | undefined;
-    const actualScope =
-      auth?.claims?.scope === 'admin' || auth?.claims?.scope === 'readonly' ? auth.claims.scope : 'unknown';
-    if (requiredScope === 'readonly' || actualScope === 'admin') {
-      return true;
+  const auditGitEvent = (
+    req: Request,
+    res: Response,
+    event: 'git.stage' | 'git.unstage' | 'git.commit' | 'git.stash',
+    resource: string,
+    outcome: 'success' | 'failure',
+    metadata: Record<string, unknown> = {}
+  ): void => {
+    auditLogger.log({
+      event,
+      actor: resolveAuditActor(req, res),
+      resource,
+      outcome,
+      metadata
+    });
+  };
+
+  const readGrants = (res: Response): { scope: AccessTokenScope | 'unknown'; grants: AccessGrants } => {
+    const auth = res.locals.auth as { claims?: AccessTokenClaims } | undefined;
+    if (auth?.claims?.scope !== 'admin' && auth?.claims?.scope !== 'readonly') {
+      return { scope: 'unknown', grants: {} };
     }
+    return { scope: auth.claims.scope, grants: resolveGrants(auth.claims) };
+  };
 
+  const denyCapability = (
+    req: Request,
+    res: Response,
+    capability: Capability,
+    resource: string,
+    metadata: Record<string, unknown> = {}
+  ): void => {
+    // `requiredScope` stays in the body for clients that predate capabilities.
+    const details = {
+      requiredScope: requiredScopeFor(capability),
+      actualScope: readGrants(res).scope,
+      requiredCapability: capability,
+      ...metadata
+    };
     auditLogger.log({
       event: 'auth.denied_scope',
       actor: resolveAuditActor(req, res),
       resource,
       outcome: 'failure',
-      metadata: {
-        requiredScope,
-        actualScope
-      }
+      metadata: details
     });
+    res.status(403).json({ error: 'forbidden', reason: 'insufficient_scope', ...details });
+  };
 
-    res.status(403).json({
-      error: 'forbidden',
-      reason: 'insufficient_scope',
-      requiredScope,
-      actualScope
-    });
+  const requireCapability = (req: Request, res: Response, capability: Capability, resource: string): boolean => {
+    if (hasCapability(readGrants(res).grants, capability)) {
+      return true;
+    }
+    denyCapability(req, res, capability, resource);
+    return false;
+  };
+
+  // For filesystem capabilities limited to path prefixes; call with a path already confined by resolveFsPath.
+  const requirePathGrant = (req: Request, res: Response, capability: Capability, absolutePath: string): boolean => {
+    const relativePath = toRelativePath(fsRoot, absolutePath);
+    if (isPathGranted(readGrants(res).grants, capability, relativePath)) {
+      return true;
+    }
+    denyCapability(req, res, capability, relativePath, { path: relativePath });
     return false;
   };
 
-  app.get('/api/tasks', (_req: Request, res: Response) => {
+  const isPathAllowed = (res: Response, capability: Capability, absolutePath: string): boolean =>
+    isPathGranted(readGrants(res).grants, capability, toRelativePath(fsRoot, absolutePath));
+
+  app.get('/api/tasks', (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'terminal:attach', '/api/tasks')) {
+      return;
+    }
     res.json({ tasks: store.listTasks() });
   });
 
-  app.get('/api/sessions', (_req: Request, res: Response) => {
+  app.get('/api/sessions', (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'terminal:attach', '/api/sessions')) {
+      return;
+    }
     res.json({ sessions: ptyManager.listSessions() });
   });
 
+  app.patch('/api/sessions/:id', (req: Request, res: Response) => {
+    const sessionId = typeof req.params.id === 'string' ? req.params.id : '';
+    if (!requireCapability(req, res, 'terminal:spawn', `/api/sessions/${sessionId}`)) {
+      return;
+    }
+
+    const parsedPatch = parseSessionMetadataPatch(req.body);
+    if (!parsedPatch.ok) {
+      res.status(400).json({ error: parsedPatch.error });
+      return;
+    }
+    if (!ptyManager.hasSession(sessionId)) {
+      res.status(404).json({ error: 'session not found' });
+      return;
+    }
+
+    const updated = ptyManager.updateSessionMetadata(sessionId, parsedPatch.patch);
+    if (!updated) {
+      res.status(404).json({ error: 'session not found' });
+      return;
+    }
+    store.updateSession(sessionId, {
+      name: updated.name,
+      color: updated.color,
+      tags: updated.tags
+    });
+    auditLogger.log({
+      event: 'session.metadata_update',
+      actor: resolveAuditActor(req, res),
+      resource: sessionId,
+      outcome: 'success',
+      metadata: {
+        name: updated.name ?? null,
+        color: updated.color ?? null,
+        tags: updated.tags ?? []
+      }
+    });
+    res.json({ session: updated });
+  });
+
   app.get('/api/sessions/:id/replay-offset', (req: Request, res: Response) => {
     const sessionId = typeof req.params.id === 'string' ? req.params.id : '';
+    if (!requireCapability(req, res, 'terminal:attach', `/api/sessions/${sessionId}`)) {
+      return;
+    }
     const tailBytes = readReplayTailBytesQuery(req.query.tailBytes);
     const replay = ptyManager.resolveReplayOffset(sessionId, tailBytes);
     if (!replay) {
@@ -393,8 +667,51 @@ export function registerApiRoutes(app: Application, deps: ApiRouteDeps): void {
     res.json(replay);
   });
 
+  app.get('/api/sessions/:id/log/search', async (req: Request, res: Response) => {
+    const sessionId = typeof req.params.id === 'string' ? req.params.id : '';
+    if (!requireCapability(req, res, 'terminal:attach', `/api/sessions/${sessionId}`)) {
+      return;
+    }
+    const logPath = ptyManager.getLogPath(sessionId);
+    if (!logPath) {
+      res.status(404).json({ error: 'session log not found' });
+      return;
+    }
+
+    const query = readStringQuery(req.query.q) ?? '';
+    const matcher = createSessionLogMatcher(query, {
+      regex: readBooleanQuery(req.query.regex),
+      caseSensitive: readBooleanQuery(req.query.case)
+    });
+    if (!matcher.ok) {
+      res.status(400).json({ error: matcher.error });
+      return;
+    }
+
+    try {
+      const result = await searchSessionLog(logPath, matcher.matcher, {
+        limit: readOptionalIntegerQuery(req.query.limit),
+        before: readOptionalIntegerQuery(req.query.before)
+      });
+      if (!result.ok) {
+        res.status(result.status).json({ error: result.error });
+        return;
+      }
+      res.setHeader('Cache-Control', 'no-store');
+      res.json({ matches: result.matches, logBytes: result.logBytes, truncated: result.truncated });
+    } catch {
+      res.status(404).json({ error: 'session log not found' });
+    } finally {
+      matcher.matcher.close();
+    }
+  });
+
   app.head('/api/sessions/:id/log', (req: Request, res: Response) => {
     const sessionId = typeof req.params.id === 'string' ? req.params.id : '';
+    if (!hasCapability(readGrants(res).grants, 'terminal:attach')) {
+      res.status(403).end();
+      return;
+    }
     const logPath = ptyManager.getLogPath(sessionId);
     if (!logPath) {
       res.status(404).end();
@@ -407,6 +724,9 @@ export function registerApiRoutes(app: Application, deps: ApiRouteDeps): void {
 
   app.get('/api/sessions/:id/log', (req: Request, res: Response) => {
     const sessionId = typeof req.params.id === 'string' ? req.params.id : '';
+    if (!requireCapability(req, res, 'terminal:attach', `/api/sessions/${sessionId}`)) {
+      return;
+    }
     const logPath = ptyManager.getLogPath(sessionId);
     if (!logPath) {
       res.status(404).json({ error: 'session log not found' });
@@ -436,161 +756,922 @@ export function registerApiRoutes(app: Application, deps: ApiRouteDeps): void {
     stream.pipe(res);
   });
 
-  app.get('/api/runtime', (_req: Request, res: Response) => {
-    res.json({ cwd: defaultWorkingDirectory });
+  app.get('/api/recordings', async (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'terminal:attach', '/api/recordings')) {
+      return;
+    }
+    const recordings = await listRecordings(ptyManager.getRecordingDir(), ptyManager.listActiveRecordingIds());
+    res.json({ recordings });
   });
 
-  app.get('/api/fs/list', async (req: Request, res: Response) => {
-    const requestPath = readStringQuery(req.query.path);
-    const targetPath = resolvePathWithinBase(fsRoot, requestPath);
-    if (!targetPath) {
-      res.status(400).json({ error: 'invalid path' });
+  app.get('/api/recordings/:id', async (req: Request, res: Response) => {
+    const recordingId = typeof req.params.id === 'string' ? req.params.id.replace(/\.cast$/, '') : '';
+    if (!requireCapability(req, res, 'terminal:attach', `/api/recordings/${recordingId}`)) {
+      return;
+    }
+    const recordingPath = resolveRecordingPath(ptyManager.getRecordingDir(), recordingId);
+    if (!recordingPath) {
+      res.status(400).json({ error: 'invalid recording id' });
       return;
     }
 
+    let bytes: number;
     try {
-      const stat = await fs.promises.stat(targetPath);
-      if (!stat.isDirectory()) {
-        res.status(400).json({ error: 'path is not a directory' });
-        return;
+      const stat = await fs.promises.stat(recordingPath);
+      if (!stat.isFile()) {
+        throw new Error('not a file');
       }
-
-      const entries = await fs.promises.readdir(targetPath, { withFileTypes: true });
-      const payload = await Promise.all(
-        entries.map(async (entry) => {
-          const absolutePath = path.join(targetPath, entry.name);
-          let size = 0;
-          let mtimeMs = 0;
-          try {
-            const entryStat = await fs.promises.stat(absolutePath);
-            size = entryStat.size;
-            mtimeMs = entryStat.mtimeMs;
-          } catch {
-            // keep defaults for entries that disappear during listing
-          }
-
-          const type = entry.isDirectory() ? 'dir' : entry.isFile() ? 'file' : 'other';
-          return {
-            name: entry.name,
-            path: toRelativePath(fsRoot, absolutePath),
-            absPath: toPortablePath(absolutePath),
-            type,
-            size,
-            mtimeMs: Math.round(mtimeMs)
-          };
-        })
-      );
-
-      payload.sort((left, right) => {
-        if (left.type !== right.type) {
-          if (left.type === 'dir') {
-            return -1;
-          }
-          if (right.type === 'dir') {
-            return 1;
-          }
-        }
-        return left.name.localeCompare(right.name, 'zh-CN-u-kn-true');
-      });
-
-      const relativePath = toRelativePath(fsRoot, targetPath);
-      const parentPath = targetPath === fsRoot ? null : toRelativePath(fsRoot, path.resolve(targetPath, '..'));
-      res.json({
-        root: '.',
-        path: relativePath,
-        parent: parentPath,
-        entries: payload
-      });
-    } catch (error) {
-      respondFsError(res, error);
+      bytes = stat.size;
+    } catch {
+      res.status(404).json({ error: 'recording not found' });
+      return;
     }
-  });
 
-  app.get('/api/fs/read', async (req: Request, res: Response) => {
-    const requestPath = readStringQuery(req.query.path);
-    const targetPath = resolvePathWithinBase(fsRoot, requestPath);
-    if (!targetPath) {
-      auditFsEvent(req, res, 'fs.read', String(requestPath ?? ''), 'failure', { reason: 'invalid path' });
-      res.status(400).json({ error: 'invalid path' });
+    auditLogger.log({
+      event: 'recording.download',
+      actor: resolveAuditActor(req, res),
+      resource: recordingId,
+      outcome: 'success',
+      metadata: { bytes }
+    });
+    // An active recording keeps growing, so only the bytes present at request time are sent.
+    res.setHeader('Content-Type', 'application/x-asciicast');
+    res.setHeader('Content-Length', String(bytes));
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Content-Disposition', `attachment; filename="${recordingId}.cast"`);
+    if (bytes === 0) {
+      res.status(200).end();
       return;
     }
-
-    try {
-      const stat = await fs.promises.stat(targetPath);
-      if (!stat.isFile()) {
-        res.status(400).json({ error: 'path is not a file' });
-        return;
-      }
-      if (stat.size > FS_READ_LIMIT_BYTES) {
-        res.status(413).json({ error: `file too large to read (limit=${FS_READ_LIMIT_BYTES} bytes)` });
+    const stream = fs.createReadStream(recordingPath, { highWaterMark: 64 * 1024, end: bytes - 1 });
+    stream.on('error', () => {
+      if (!res.headersSent) {
+        res.status(404).json({ error: 'recording not found' });
         return;
       }
-      const content = await fs.promises.readFile(targetPath, 'utf8');
-      auditFsEvent(req, res, 'fs.read', toRelativePath(fsRoot, targetPath), 'success', {
-        bytes: stat.size
-      });
-      res.json({
-        path: toRelativePath(fsRoot, targetPath),
-        size: stat.size,
-        content
-      });
-    } catch (error) {
-      const message = error instanceof Error ? error.message : String(error);
-      auditFsEvent(req, res, 'fs.read', toRelativePath(fsRoot, targetPath), 'failure', { reason: message });
-      respondFsError(res, error);
-    }
+      res.destroy();
+    });
+    stream.pipe(res);
   });
 
-  app.post('/api/fs/write', async (req: Request, res: Response) => {
-    if (!requireScope(req, res, 'admin', '/api/fs/write')) {
+  // Starting a recording needs terminal:spawn, so deleting one does too; active recordings must be stopped first.
+  app.delete('/api/recordings/:id', async (req: Request, res: Response) => {
+    const recordingId = typeof req.params.id === 'string' ? req.params.id.replace(/\.cast$/, '') : '';
+    if (!requireCapability(req, res, 'terminal:spawn', `/api/recordings/${recordingId}`)) {
       return;
     }
-
-    const requestPath = readStringBodyField(req.body, 'path');
-    const content = readStringBodyField(req.body, 'content');
-    const targetPath = resolvePathWithinBase(fsRoot, requestPath);
-    if (!targetPath) {
-      auditFsEvent(req, res, 'fs.write', String(requestPath ?? ''), 'failure', { reason: 'invalid path' });
-      res.status(400).json({ error: 'invalid path' });
+    const recordingPath = resolveRecordingPath(ptyManager.getRecordingDir(), recordingId);
+    if (!recordingPath) {
+      res.status(400).json({ error: 'invalid recording id' });
       return;
     }
-    if (typeof content !== 'string') {
-      auditFsEvent(req, res, 'fs.write', toRelativePath(fsRoot, targetPath), 'failure', { reason: 'invalid content' });
-      res.status(400).json({ error: 'invalid content' });
+    if (ptyManager.listActiveRecordingIds().has(recordingId)) {
+      res.status(409).json({ error: 'recording is active' });
       return;
     }
-
     try {
-      await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
-      await fs.promises.writeFile(targetPath, content, 'utf8');
-      auditFsEvent(req, res, 'fs.write', toRelativePath(fsRoot, targetPath), 'success', {
-        bytes: Buffer.byteLength(content, 'utf8')
-      });
-      res.status(201).json({
-        ok: true,
-        path: toRelativePath(fsRoot, targetPath),
-        bytes: Buffer.byteLength(content, 'utf8')
-      });
+      await fs.promises.unlink(recordingPath);
     } catch (error) {
-      const message = error instanceof Error ? error.message : String(error);
-      auditFsEvent(req, res, 'fs.write', toRelativePath(fsRoot, targetPath), 'failure', { reason: message });
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        res.status(404).json({ error: 'recording not found' });
+        return;
+      }
       respondFsError(res, error);
+      return;
     }
+    auditLogger.log({
+      event: 'recording.delete',
+      actor: resolveAuditActor(req, res),
+      resource: recordingId,
+      outcome: 'success'
+    });
+    res.status(204).end();
   });
 
-  app.post('/api/fs/mkdir', async (req: Request, res: Response) => {
-    if (!requireScope(req, res, 'admin', '/api/fs/mkdir')) {
+  app.get('/api/profiles', (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'terminal:attach', '/api/profiles')) {
       return;
     }
+    res.json({ profiles: store.listLaunchProfiles() });
+  });
 
-    const requestPath = readStringBodyField(req.body, 'path');
-    const recursive = readBooleanBodyField(req.body, 'recursive', true);
-    const targetPath = resolvePathWithinBase(fsRoot, requestPath);
-    if (!targetPath) {
-      auditFsEvent(req, res, 'fs.mkdir', String(requestPath ?? ''), 'failure', { reason: 'invalid path' });
+  app.put('/api/profiles/:name', (req: Request, res: Response) => {
+    const name = typeof req.params.name === 'string' ? req.params.name : '';
+    if (!requireCapability(req, res, 'terminal:spawn', `/api/profiles/${name}`)) {
+      return;
+    }
+    if (!isLaunchProfileName(name)) {
+      res.status(400).json({ error: 'invalid profile name' });
+      return;
+    }
+
+    const parsed = parseLaunchProfileInput(req.body);
+    if (!parsed.ok) {
+      res.status(400).json({ error: parsed.error });
+      return;
+    }
+
+    const current = store.getLaunchProfile(name);
+    const now = new Date().toISOString();
+    const profile = {
+      name,
+      ...parsed.profile,
+      createdAt: current?.createdAt ?? now,
+      updatedAt: now
+    };
+    store.upsertLaunchProfile(profile);
+    auditLogger.log({
+      event: 'profile.upsert',
+      actor: resolveAuditActor(req, res),
+      resource: name,
+      outcome: 'success',
+      metadata: {
+        created: !current,
+        command: profile.command ?? null,
+        cwd: profile.cwd ?? null,
+        envKeys: Object.keys(profile.env ?? {})
+      }
+    });
+    res.status(current ? 200 : 201).json({ profile });
+  });
+
+  app.delete('/api/profiles/:name', (req: Request, res: Response) => {
+    const name = typeof req.params.name === 'string' ? req.params.name : '';
+    if (!requireCapability(req, res, 'terminal:spawn', `/api/profiles/${name}`)) {
+      return;
+    }
+    if (!store.deleteLaunchProfile(name)) {
+      res.status(404).json({ error: 'profile not found' });
+      return;
+    }
+    auditLogger.log({
+      event: 'profile.delete',
+      actor: resolveAuditActor(req, res),
+      resource: name,
+      outcome: 'success'
+    });
+    res.status(204).end();
+  });
+
+  // The key is public by design, so any token may read it; subscribing needs system:manage.
+  app.get('/api/push/vapid-public-key', (_req: Request, res: Response) => {
+    res.json({ publicKey: pushNotifier.getPublicKey() });
+  });
+
+  app.post('/api/push/subscriptions', (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'system:manage', '/api/push/subscriptions')) {
+      return;
+    }
+    const body = req.body && typeof req.body === 'object' ? (req.body as Record<string, unknown>) : {};
+    const parsed = pushNotifier.parseSubscription(body.subscription);
+    if (!parsed.ok) {
+      res.status(400).json({ error: parsed.error });
+      return;
+    }
+    const label = typeof body.label === 'string' ? body.label.trim().slice(0, 64) : '';
+    const endpoint = parsed.subscription.endpoint;
+    const current = store.listPushSubscriptions().find((entry) => entry.endpoint === endpoint);
+    const auth = res.locals.auth as { claims?: { did?: string } } | undefined;
+    const now = new Date().toISOString();
+    store.upsertPushSubscription({
+      endpoint,
+      p256dh: parsed.subscription.keys.p256dh,
+      auth: parsed.subscription.keys.auth,
+      label,
+      // Revoking this device drops the subscription along with its tokens.
+      deviceId: auth?.claims?.did,
+      createdAt: current?.createdAt ?? now,
+      updatedAt: now
+    });
+    auditLogger.log({
+      event: 'push.subscribe',
+      actor: resolveAuditActor(req, res),
+      resource: new URL(endpoint).host,
+      outcome: 'success',
+      metadata: {
+        created: !current,
+        label
+      }
+    });
+    res.status(current ? 200 : 201).json({ ok: true });
+  });
+
+  app.delete('/api/push/subscriptions', (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'system:manage', '/api/push/subscriptions')) {
+      return;
+    }
+    const body = req.body && typeof req.body === 'object' ? (req.body as Record<string, unknown>) : {};
+    const endpoint = typeof body.endpoint === 'string' ? body.endpoint : '';
+    if (!endpoint || !store.deletePushSubscription(endpoint)) {
+      res.status(404).json({ error: 'subscription not found' });
+      return;
+    }
+    auditLogger.log({
+      event: 'push.unsubscribe',
+      actor: resolveAuditActor(req, res),
+      resource: new URL(endpoint).host,
+      outcome: 'success'
+    });
+    res.status(204).end();
+  });
+
+  app.get('/api/auth/devices', (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'auth:read', '/api/auth/devices')) {
+      return;
+    }
+    const auth = res.locals.auth as { claims?: { did?: string } } | undefined;
+    const currentDeviceId = auth?.claims?.did ?? null;
+    res.json({
+      currentDeviceId,
+      devices: store.listDevices().map((device) => ({
+        id: device.id,
+        label: device.label,
+        userAgent: device.userAgent,
+        scope: device.scope,
+        firstSeenAt: device.firstSeenAt,
+        lastSeenAt: device.lastSeenAt,
+        lastIp: device.lastIp,
+        revokedAt: device.revokedAt ?? null,
+        activeTokens: device.activeTokens,
+        current: device.id === currentDeviceId
+      }))
+    });
+  });
+
+  app.patch('/api/auth/devices/:id', (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'auth:manage', '/api/auth/devices')) {
+      return;
+    }
+    const deviceId = String(req.params.id ?? '');
+    const label = normalizeDeviceLabel(readStringBodyField(req.body, 'label'));
+    if (!label) {
+      res.status(400).json({ error: 'invalid label' });
+      return;
+    }
+    const device = isDeviceId(deviceId) ? store.getDevice(deviceId) : undefined;
+    if (!device) {
+      res.status(404).json({ error: 'device not found' });
+      return;
+    }
+    store.updateDevice(deviceId, { label });
+    auditLogger.log({
+      event: 'auth.device_renamed',
+      actor: resolveAuditActor(req, res),
+      resource: deviceId,
+      outcome: 'success',
+      metadata: {
+        label,
+        previousLabel: device.label
+      }
+    });
+    res.json({ ok: true, id: deviceId, label });
+  });
+
+  // Revokes every token the device holds and closes its open WebSocket connections.
+  app.post('/api/auth/devices/:id/revoke', (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'auth:manage', '/api/auth/devices')) {
+      return;
+    }
+    const deviceId = String(req.params.id ?? '');
+    const device = isDeviceId(deviceId) ? store.getDevice(deviceId) : undefined;
+    const jtis = device ? accessTokenService.revokeDevice(deviceId, 'device-revoke') : null;
+    if (!device || jtis === null) {
+      res.status(404).json({ error: 'device not found' });
+      return;
+    }
+    auditLogger.log({
+      event: 'auth.device_revoked',
+      actor: resolveAuditActor(req, res),
+      resource: deviceId,
+      outcome: 'success',
+      metadata: {
+        label: device.label,
+        revokedTokens: jtis,
+        alreadyRevoked: !!device.revokedAt
+      }
+    });
+    res.json({ ok: true, id: deviceId, revokedTokens: jtis.length });
+  });
+
+  // One-time codes for pairing another device without handing out the bootstrap token.
+  app.post('/api/auth/pairing', (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'auth:manage', '/api/auth/pairing')) {
+      return;
+    }
+    const rawScope = req.body && typeof req.body === 'object' ? (req.body as { scope?: unknown }).scope : undefined;
+    if (rawScope !== undefined && rawScope !== 'admin' && rawScope !== 'readonly') {
+      res.status(400).json({ error: 'invalid scope' });
+      return;
+    }
+    const actor = resolveAuditActor(req, res);
+    const pairing = pairingCodes.issue(rawScope === 'readonly' ? 'readonly' : 'admin', actor);
+    auditLogger.log({
+      event: 'auth.pairing_issued',
+      actor,
+      resource: pairing.id,
+      outcome: 'success',
+      metadata: {
+        scope: pairing.scope,
+        expiresAt: pairing.expiresAt,
+        source: 'api'
+      }
+    });
+    res.status(201).json({
+      ok: true,
+      id: pairing.id,
+      code: pairing.code,
+      token: pairing.token,
+      scope: pairing.scope,
+      expiresAt: pairing.expiresAt
+    });
+  });
+
+  app.delete('/api/auth/pairing', (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'auth:manage', '/api/auth/pairing')) {
+      return;
+    }
+    const revoked = pairingCodes.revokeAll();
+    auditLogger.log({
+      event: 'auth.pairing_revoked',
+      actor: resolveAuditActor(req, res),
+      resource: 'pairing',
+      outcome: 'success',
+      metadata: {
+        revoked
+      }
+    });
+    res.json({ ok: true, revoked });
+  });
+
+  // Access tokens already issued stay valid; revoke devices to cut those off.
+  app.post('/api/auth/bootstrap/rotate', (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'auth:manage', '/api/auth/bootstrap')) {
+      return;
+    }
+    let rotation: ReturnType<BootstrapTokenManager['rotate']>;
+    try {
+      rotation = bootstrapTokens.rotate();
+    } catch {
+      res.status(500).json({ error: 'rotate failed' });
+      return;
+    }
+    const revokedPairingCodes = pairingCodes.revokeAll();
+    auditLogger.log({
+      event: 'auth.bootstrap_rotated',
+      actor: resolveAuditActor(req, res),
+      resource: 'bootstrap',
+      outcome: 'success',
+      metadata: {
+        source: 'api',
+        previousFingerprint: rotation.previousFingerprint,
+        fingerprint: rotation.fingerprint,
+        revokedPairingCodes
+      }
+    });
+    res.json({ ok: true, fingerprint: rotation.fingerprint, revokedPairingCodes });
+  });
+
+  app.get('/api/auth/passkeys', (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'auth:read', '/api/auth/passkeys')) {
+      return;
+    }
+    res.json({
+      passkeys: passkeyService.listPasskeys().map((passkey) => ({
+        id: passkey.id,
+        label: passkey.label,
+        rpId: passkey.rpId,
+        scope: passkey.scope,
+        deviceId: passkey.deviceId ?? null,
+        grants: passkey.grants ?? null,
+        createdAt: passkey.createdAt,
+        lastUsedAt: passkey.lastUsedAt ?? null
+      }))
+    });
+  });
+
+  // A passkey signs in with the scope and grants of the token that registered it, so a narrowed token cannot
+  // register its way back to the full scope.
+  app.post('/api/auth/passkeys/register/options', (req: Request, res: Response) => {
+    const auth = res.locals.auth as { claims?: Pick<AccessTokenClaims, 'scope' | 'did' | 'grants'> } | undefined;
+    const result = passkeyService.createRegistrationOptions(req.headers.origin, {
+      scope: auth?.claims?.scope === 'admin' ? 'admin' : 'readonly',
+      deviceId: auth?.claims?.did,
+      ...(auth?.claims?.grants ? { grants: auth.claims.grants } : {})
+    });
+    if (!result.ok) {
+      res.status(400).json({ error: 'passkeys unavailable on this origin', reason: result.code });
+      return;
+    }
+    res.json(result.options);
+  });
+
+  app.post('/api/auth/passkeys/register', (req: Request, res: Response) => {
+    const body = req.body && typeof req.body === 'object' ? (req.body as Record<string, unknown>) : {};
+    const result = passkeyService.verifyRegistration(req.headers.origin, body.credential, body.label);
+    const actor = resolveAuditActor(req, res);
+    if (!result.ok) {
+      auditLogger.log({
+        event: 'auth.passkey_registered',
+        actor,
+        resource: 'passkey',
+        outcome: 'failure',
+        metadata: {
+          reason: result.code
+        }
+      });
+      res.status(400).json({ error: 'passkey registration failed', reason: result.code });
+      return;
+    }
+    const { passkey } = result;
+    auditLogger.log({
+      event: 'auth.passkey_registered',
+      actor,
+      resource: passkey.id,
+      outcome: 'success',
+      metadata: {
+        label: passkey.label,
+        rpId: passkey.rpId,
+        scope: passkey.scope,
+        deviceId: passkey.deviceId ?? null,
+        ...(passkey.grants ? { grants: passkey.grants } : {})
+      }
+    });
+    res.status(201).json({ ok: true, id: passkey.id, label: passkey.label, scope: passkey.scope });
+  });
+
+  app.delete('/api/auth/passkeys/:id', (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'auth:manage', '/api/auth/passkeys')) {
+      return;
+    }
+    const passkeyId = String(req.params.id ?? '');
+    if (!passkeyService.deletePasskey(passkeyId)) {
+      res.status(404).json({ error: 'passkey not found' });
+      return;
+    }
+    auditLogger.log({
+      event: 'auth.passkey_deleted',
+      actor: resolveAuditActor(req, res),
+      resource: passkeyId,
+      outcome: 'success'
+    });
+    res.json({ ok: true, id: passkeyId });
+  });
+
+  app.post('/api/push/test', async (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'system:manage', '/api/push/test')) {
+      return;
+    }
+    await pushNotifier.notify({ type: 'test' });
+    res.json({ ok: true, subscriptions: store.listPushSubscriptions().length });
+  });
+
+  app.get('/api/runtime', (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'system:read', '/api/runtime')) {
+      return;
+    }
+    res.json({ cwd: defaultWorkingDirectory });
+  });
+
+  app.get('/api/fs/list', async (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'fs:read', '/api/fs/list')) {
+      return;
+    }
+    const requestPath = readStringQuery(req.query.path);
+    const targetPath = resolveFsPath(requestPath);
+    if (!targetPath) {
+      res.status(400).json({ error: 'invalid path' });
+      return;
+    }
+    if (!requirePathGrant(req, res, 'fs:read', targetPath)) {
+      return;
+    }
+
+    try {
+      const stat = await fs.promises.stat(targetPath);
+      if (!stat.isDirectory()) {
+        res.status(400).json({ error: 'path is not a directory' });
+        return;
+      }
+
+      const entries = (await fs.promises.readdir(targetPath, { withFileTypes: true })).filter(
+        (entry) => path.join(targetPath, entry.name) !== trash.dir
+      );
+      const owners = await readOwnerNames();
+      const payload = await Promise.all(
+        entries.map(async (entry) => {
+          const absolutePath = path.join(targetPath, entry.name);
+          const symlink = entry.isSymbolicLink();
+          let entryStat: fs.Stats | null = null;
+          let linkTarget: string | null = null;
+          try {
+            if (symlink) {
+              linkTarget = await fs.promises.readlink(absolutePath);
+            }
+            // Symlinks report their target; a dangling link falls back to the link itself.
+            entryStat = await fs.promises.stat(absolutePath).catch(() => fs.promises.lstat(absolutePath));
+          } catch {
+            // keep defaults for entries that disappear during listing
+          }
+
+          const isDirectory = entryStat ? entryStat.isDirectory() : entry.isDirectory();
+          const isFile = entryStat ? entryStat.isFile() : entry.isFile();
+          const type = isDirectory ? 'dir' : isFile ? 'file' : 'other';
+          return {
+            name: entry.name,
+            path: toRelativePath(fsRoot, absolutePath),
+            absPath: toPortablePath(absolutePath),
+            type,
+            size: entryStat ? entryStat.size : 0,
+            mtimeMs: Math.round(entryStat ? entryStat.mtimeMs : 0),
+            atimeMs: Math.round(entryStat ? entryStat.atimeMs : 0),
+            ctimeMs: Math.round(entryStat ? entryStat.ctimeMs : 0),
+            birthtimeMs: Math.round(entryStat ? entryStat.birthtimeMs : 0),
+            mode: entryStat ? formatFileMode(entryStat.mode) : null,
+            uid: entryStat ? entryStat.uid : null,
+            gid: entryStat ? entryStat.gid : null,
+            owner: entryStat ? (owners.users.get(entryStat.uid) ?? null) : null,
+            group: entryStat ? (owners.groups.get(entryStat.gid) ?? null) : null,
+            symlink,
+            linkTarget
+          };
+        })
+      );
+
+      payload.sort((left, right) => {
+        if (left.type !== right.type) {
+          if (left.type === 'dir') {
+            return -1;
+          }
+          if (right.type === 'dir') {
+            return 1;
+          }
+        }
+        return left.name.localeCompare(right.name, 'zh-CN-u-kn-true');
+      });
+
+      const relativePath = toRelativePath(fsRoot, targetPath);
+      const parentPath = targetPath === fsRoot ? null : toRelativePath(fsRoot, path.resolve(targetPath, '..'));
+      res.json({
+        root: '.',
+        path: relativePath,
+        parent: parentPath,
+        entries: payload
+      });
+    } catch (error) {
+      respondFsError(res, error);
+    }
+  });
+
+  // Streams NDJSON: a `start` line carrying the cancel token, then `file` or `match` lines, then `done`.
+  // The search stops when the client disconnects or calls DELETE /api/fs/search/:token.
+  app.get('/api/fs/search', async (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'fs:read', '/api/fs/search')) {
+      return;
+    }
+    const requestPath = readStringQuery(req.query.path);
+    const rootDir = resolveFsPath(requestPath);
+    if (!rootDir) {
+      auditFsEvent(req, res, 'fs.read', String(requestPath ?? ''), 'failure', { reason: 'invalid path', search: true });
+      res.status(400).json({ error: 'invalid path' });
+      return;
+    }
+    if (!requirePathGrant(req, res, 'fs:read', rootDir)) {
+      return;
+    }
+    const caseSensitive = readBooleanQuery(req.query.case);
+    const name = compileNameGlob(readStringQuery(req.query.name) ?? '', { caseSensitive });
+    if (!name.ok) {
+      res.status(400).json({ error: name.error });
+      return;
+    }
+    const query = readStringQuery(req.query.q) ?? '';
+    let contentMatcher: LineMatcher | null = null;
+    if (query) {
+      const matcher = createSessionLogMatcher(query, { regex: readBooleanQuery(req.query.regex), caseSensitive });
+      if (!matcher.ok) {
+        res.status(400).json({ error: matcher.error });
+        return;
+      }
+      contentMatcher = matcher.matcher;
+    }
+    if (!name.matcher && !contentMatcher) {
+      res.status(400).json({ error: 'name or q is required' });
+      return;
+    }
+    try {
+      if (!(await fs.promises.stat(rootDir)).isDirectory()) {
+        contentMatcher?.close();
+        res.status(400).json({ error: 'path is not a directory' });
+        return;
+      }
+    } catch (error) {
+      contentMatcher?.close();
+      respondFsError(res, error);
+      return;
+    }
+
+    const token = randomUUID();
+    const controller = new AbortController();
+    fsSearches.set(token, controller);
+    res.on('close', () => {
+      controller.abort();
+    });
+    res.status(200);
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Search-Token', token);
+
+    const writeLine = async (payload: Record<string, unknown>): Promise<void> => {
+      if (!res.write(`${JSON.stringify(payload)}\n`) && !res.destroyed) {
+        await new Promise<void>((resolve) => {
+          const done = (): void => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+          };
+          res.on('drain', done);
+          res.on('close', done);
+        });
+      }
+    };
+
+    try {
+      await writeLine({ type: 'start', token, path: toRelativePath(fsRoot, rootDir) });
+      for await (const event of searchFiles(fsRoot, rootDir, {
+        nameMatcher: name.matcher,
+        contentMatcher,
+        limit: readOptionalIntegerQuery(req.query.limit),
+        exclude: [trash.dir],
+        gitignore: req.query.gitignore === undefined ? true : readBooleanQuery(req.query.gitignore),
+        signal: controller.signal
+      })) {
+        if (res.destroyed) {
+          break;
+        }
+        await writeLine(event);
+      }
+      res.end();
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      if (!res.destroyed) {
+        res.end(`${JSON.stringify({ type: 'error', error: message })}\n`);
+      }
+    } finally {
+      fsSearches.delete(token);
+      contentMatcher?.close();
+    }
+  });
+
+  app.delete('/api/fs/search/:token', (req: Request, res: Response) => {
+    const token = typeof req.params.token === 'string' ? req.params.token : '';
+    if (!requireCapability(req, res, 'fs:read', '/api/fs/search')) {
+      return;
+    }
+    const controller = fsSearches.get(token);
+    if (!controller) {
+      res.status(404).json({ error: 'search not found' });
+      return;
+    }
+    controller.abort();
+    res.status(204).end();
+  });
+
+  app.get('/api/fs/read', async (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'fs:read', '/api/fs/read')) {
+      return;
+    }
+    const requestPath = readStringQuery(req.query.path);
+    const targetPath = resolveFsPath(requestPath);
+    if (!targetPath) {
+      auditFsEvent(req, res, 'fs.read', String(requestPath ?? ''), 'failure', { reason: 'invalid path' });
+      res.status(400).json({ error: 'invalid path' });
+      return;
+    }
+    if (!requirePathGrant(req, res, 'fs:read', targetPath)) {
+      return;
+    }
+
+    try {
+      const stat = await fs.promises.stat(targetPath);
+      if (!stat.isFile()) {
+        res.status(400).json({ error: 'path is not a file' });
+        return;
+      }
+      if (stat.size > FS_READ_LIMIT_BYTES) {
+        res.status(413).json({ error: `file too large to read (limit=${FS_READ_LIMIT_BYTES} bytes)` });
+        return;
+      }
+      const buffer = await fs.promises.readFile(targetPath);
+      const etag = computeFsEtag(stat, buffer);
+      auditFsEvent(req, res, 'fs.read', toRelativePath(fsRoot, targetPath), 'success', {
+        bytes: stat.size
+      });
+      res.setHeader('ETag', etag);
+      res.json({
+        path: toRelativePath(fsRoot, targetPath),
+        size: stat.size,
+        etag,
+        content: buffer.toString('utf8')
+      });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      auditFsEvent(req, res, 'fs.read', toRelativePath(fsRoot, targetPath), 'failure', { reason: message });
+      respondFsError(res, error);
+    }
+  });
+
+  // Unified diff of `path` against another file (`against`) or its committed version (`base=head`).
+  app.get('/api/fs/diff', async (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'fs:read', '/api/fs/diff')) {
+      return;
+    }
+    const requestPath = readStringQuery(req.query.path);
+    const againstRaw = readStringQuery(req.query.against);
+    const useHead = readStringQuery(req.query.base)?.toLowerCase() === 'head';
+    const context = readOptionalIntegerQuery(req.query.context) ?? DIFF_CONTEXT_DEFAULT;
+    const targetPath = resolveFsPath(requestPath);
+    const againstPath = useHead ? null : resolveFsPath(againstRaw);
+    if (!targetPath || (!useHead && againstRaw !== undefined && !againstPath)) {
+      auditFsEvent(req, res, 'fs.read', String(requestPath ?? ''), 'failure', { reason: 'invalid path', diff: true });
+      res.status(400).json({ error: 'invalid path' });
+      return;
+    }
+    if (!useHead && !againstPath) {
+      res.status(400).json({ error: 'against or base=head is required' });
+      return;
+    }
+    if (
+      !requirePathGrant(req, res, 'fs:read', targetPath) ||
+      (againstPath && !requirePathGrant(req, res, 'fs:read', againstPath))
+    ) {
+      return;
+    }
+    const relativePath = toRelativePath(fsRoot, targetPath);
+    const againstRelative = againstPath ? toRelativePath(fsRoot, againstPath) : null;
+
+    try {
+      const current = await readDiffSource(targetPath);
+      if (!current.ok) {
+        res.status(current.status).json({ error: current.error });
+        return;
+      }
+      let previous: Buffer | null;
+      let oldName: string;
+      let newName: string;
+      if (againstPath) {
+        const other = await readDiffSource(againstPath);
+        if (!other.ok) {
+          res.status(other.status).json({ error: other.error });
+          return;
+        }
+        previous = other.content;
+        oldName = againstRelative as string;
+        newName = relativePath;
+      } else {
+        const head = await readGitHeadFile(targetPath);
+        if (!head.ok) {
+          res.status(head.status).json({ error: head.error });
+          return;
+        }
+        if (head.content && head.content.length > FS_READ_LIMIT_BYTES) {
+          res.status(413).json({ error: `file too large to diff (limit=${FS_READ_LIMIT_BYTES} bytes)` });
+          return;
+        }
+        previous = head.content;
+        oldName = head.relativePath;
+        newName = head.relativePath;
+      }
+      if (!previous && !current.content) {
+        res.status(404).json({ error: 'path not found' });
+        return;
+      }
+
+      const oldContent = previous ?? Buffer.alloc(0);
+      const newContent = current.content ?? Buffer.alloc(0);
+      const binary = isBinaryContent(oldContent) || isBinaryContent(newContent);
+      const result = binary
+        ? { diff: '', added: 0, removed: 0, hunks: 0 }
+        : buildUnifiedDiff(oldContent.toString('utf8'), newContent.toString('utf8'), {
+            oldLabel: previous ? `a/${oldName}` : '/dev/null',
+            newLabel: current.content ? `b/${newName}` : '/dev/null',
+            context
+          });
+      auditFsEvent(req, res, 'fs.read', relativePath, 'success', { diff: againstRelative ?? 'HEAD' });
+      res.setHeader('Cache-Control', 'no-store');
+      res.json({
+        path: relativePath,
+        against: againstRelative,
+        base: againstPath ? null : 'HEAD',
+        oldExists: previous !== null,
+        newExists: current.content !== null,
+        binary,
+        identical: binary ? oldContent.equals(newContent) : result.hunks === 0,
+        added: result.added,
+        removed: result.removed,
+        diff: result.diff
+      });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      auditFsEvent(req, res, 'fs.read', relativePath, 'failure', { reason: message, diff: true });
+      respondFsError(res, error);
+    }
+  });
+
+  app.post('/api/fs/write', async (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'fs:write', '/api/fs/write')) {
+      return;
+    }
+
+    const requestPath = readStringBodyField(req.body, 'path');
+    const content = readStringBodyField(req.body, 'content');
+    const targetPath = resolveFsPath(requestPath);
+    if (!targetPath) {
+      auditFsEvent(req, res, 'fs.write', String(requestPath ?? ''), 'failure', { reason: 'invalid path' });
+      res.status(400).json({ error: 'invalid path' });
+      return;
+    }
+    if (!requirePathGrant(req, res, 'fs:write', targetPath)) {
+      return;
+    }
+    if (typeof content !== 'string') {
+      auditFsEvent(req, res, 'fs.write', toRelativePath(fsRoot, targetPath), 'failure', { reason: 'invalid content' });
+      res.status(400).json({ error: 'invalid content' });
+      return;
+    }
+
+    const ifMatch = req.get('If-Match');
+    try {
+      if (ifMatch) {
+        // Optimistic concurrency: refuse the save when the file changed since the editor read it,
+        // and hand back what is on disk so the client can resolve the conflict.
+        let currentStat: fs.Stats | null = null;
+        let currentBuffer: Buffer | null = null;
+        try {
+          currentStat = await fs.promises.stat(targetPath);
+          // Files past the read limit never reach the editor, so no client can hold their ETag; they are
+          // treated as changed without loading them.
+          if (currentStat.isFile() && currentStat.size <= FS_READ_LIMIT_BYTES) {
+            currentBuffer = await fs.promises.readFile(targetPath);
+          }
+        } catch (error) {
+          if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+            throw error;
+          }
+        }
+        const currentEtag = currentStat && currentBuffer ? computeFsEtag(currentStat, currentBuffer) : null;
+        if (!matchesIfMatch(ifMatch, currentEtag, currentStat?.isFile() ?? false)) {
+          auditFsEvent(req, res, 'fs.write', toRelativePath(fsRoot, targetPath), 'failure', { reason: 'conflict' });
+          // A write-only grant must not turn a bogus If-Match into a way to read the file.
+          const readable = currentBuffer !== null && isPathAllowed(res, 'fs:read', targetPath);
+          res.status(409).json({
+            error: 'file changed on disk',
+            path: toRelativePath(fsRoot, targetPath),
+            exists: currentStat !== null,
+            etag: currentEtag,
+            size: currentStat ? currentStat.size : 0,
+            content: readable ? (currentBuffer as Buffer).toString('utf8') : null
+          });
+          return;
+        }
+      }
+
+      await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+      const buffer = Buffer.from(content, 'utf8');
+      await fs.promises.writeFile(targetPath, buffer);
+      const etag = computeFsEtag(await fs.promises.stat(targetPath), buffer);
+      auditFsEvent(req, res, 'fs.write', toRelativePath(fsRoot, targetPath), 'success', {
+        bytes: buffer.length
+      });
+      res.setHeader('ETag', etag);
+      res.status(201).json({
+        ok: true,
+        path: toRelativePath(fsRoot, targetPath),
+        bytes: buffer.length,
+        etag
+      });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      auditFsEvent(req, res, 'fs.write', toRelativePath(fsRoot, targetPath), 'failure', { reason: message });
+      respondFsError(res, error);
+    }
+  });
+
+  app.post('/api/fs/mkdir', async (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'fs:write', '/api/fs/mkdir')) {
+      return;
+    }
+
+    const requestPath = readStringBodyField(req.body, 'path');
+    const recursive = readBooleanBodyField(req.body, 'recursive', true);
+    const targetPath = resolveFsPath(requestPath);
+    if (!targetPath) {
+      auditFsEvent(req, res, 'fs.mkdir', String(requestPath ?? ''), 'failure', { reason: 'invalid path' });
       res.status(400).json({ error: 'invalid path' });
       return;
     }
+    if (!requirePathGrant(req, res, 'fs:write', targetPath)) {
+      return;
+    }
 
     try {
       await fs.promises.mkdir(targetPath, { recursive });
@@ -607,14 +1688,14 @@ export function registerApiRoutes(app: Application, deps: ApiRouteDeps): void {
   });
 
   app.post('/api/fs/rename', async (req: Request, res: Response) => {
-    if (!requireScope(req, res, 'admin', '/api/fs/rename')) {
+    if (!requireCapability(req, res, 'fs:write', '/api/fs/rename')) {
       return;
     }
 
     const sourcePathRaw = readStringBodyField(req.body, 'path');
     const targetPathRaw = readStringBodyField(req.body, 'to');
-    const sourcePath = resolvePathWithinBase(fsRoot, sourcePathRaw);
-    const targetPath = resolvePathWithinBase(fsRoot, targetPathRaw);
+    const sourcePath = resolveFsPath(sourcePathRaw);
+    const targetPath = resolveFsPath(targetPathRaw);
     if (!sourcePath || !targetPath) {
       auditFsEvent(req, res, 'fs.rename', `${String(sourcePathRaw ?? '')} -> ${String(targetPathRaw ?? '')}`, 'failure', {
         reason: 'invalid path'
@@ -622,6 +1703,9 @@ export function registerApiRoutes(app: Application, deps: ApiRouteDeps): void {
       res.status(400).json({ error: 'invalid path' });
       return;
     }
+    if (!requirePathGrant(req, res, 'fs:write', sourcePath) || !requirePathGrant(req, res, 'fs:write', targetPath)) {
+      return;
+    }
 
     try {
       await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
@@ -644,15 +1728,97 @@ export function registerApiRoutes(app: Application, deps: ApiRouteDeps): void {
     }
   });
 
+  app.post('/api/fs/chmod', async (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'fs:write', '/api/fs/chmod')) {
+      return;
+    }
+
+    const requestPath = readStringBodyField(req.body, 'path');
+    const targetPath = resolveFsPath(requestPath);
+    if (!targetPath || targetPath === fsRoot) {
+      auditFsEvent(req, res, 'fs.chmod', String(requestPath ?? ''), 'failure', { reason: 'invalid path' });
+      res.status(400).json({ error: 'invalid path' });
+      return;
+    }
+    if (!requirePathGrant(req, res, 'fs:write', targetPath)) {
+      return;
+    }
+    const mode = parseFileMode(req.body && typeof req.body === 'object' ? (req.body as { mode?: unknown }).mode : null);
+    if (mode === null) {
+      auditFsEvent(req, res, 'fs.chmod', toRelativePath(fsRoot, targetPath), 'failure', { reason: 'invalid mode' });
+      res.status(400).json({ error: 'invalid mode' });
+      return;
+    }
+
+    const relativePath = toRelativePath(fsRoot, targetPath);
+    try {
+      // chmod follows symlinks, so a link must not lead to a file outside the root.
+      const realTarget = await fs.promises.realpath(targetPath);
+      if (!isWithinBase(await fs.promises.realpath(fsRoot), realTarget)) {
+        auditFsEvent(req, res, 'fs.chmod', relativePath, 'failure', { reason: 'target outside root' });
+        res.status(400).json({ error: 'invalid path' });
+        return;
+      }
+      const previousMode = formatFileMode((await fs.promises.stat(realTarget)).mode);
+      await fs.promises.chmod(realTarget, mode);
+      const nextMode = formatFileMode((await fs.promises.stat(realTarget)).mode);
+      auditFsEvent(req, res, 'fs.chmod', relativePath, 'success', { mode: nextMode, previousMode });
+      res.json({ ok: true, path: relativePath, mode: nextMode });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      auditFsEvent(req, res, 'fs.chmod', relativePath, 'failure', { reason: message, mode: formatFileMode(mode) });
+      respondFsError(res, error);
+    }
+  });
+
+  // Creates `path` as a link to `target`; both are relative to the root and the link is stored relative
+  // to its own directory.
+  app.post('/api/fs/symlink', async (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'fs:write', '/api/fs/symlink')) {
+      return;
+    }
+
+    const linkPathRaw = readStringBodyField(req.body, 'path');
+    const targetPathRaw = readStringBodyField(req.body, 'target');
+    const linkPath = resolveFsPath(linkPathRaw);
+    const targetPath = resolveFsPath(targetPathRaw);
+    if (!linkPath || !targetPath || linkPath === fsRoot || linkPath === targetPath) {
+      auditFsEvent(req, res, 'fs.symlink', String(linkPathRaw ?? ''), 'failure', {
+        reason: 'invalid path',
+        target: String(targetPathRaw ?? '')
+      });
+      res.status(400).json({ error: 'invalid path' });
+      return;
+    }
+    // Writes through the link land on the target, so the target needs write access as well.
+    if (!requirePathGrant(req, res, 'fs:write', linkPath) || !requirePathGrant(req, res, 'fs:write', targetPath)) {
+      return;
+    }
+
+    const relativeLink = toRelativePath(fsRoot, linkPath);
+    const relativeTarget = toRelativePath(fsRoot, targetPath);
+    try {
+      const targetStat = await fs.promises.stat(targetPath);
+      const linkTarget = toPortablePath(path.relative(path.dirname(linkPath), targetPath)) || '.';
+      await fs.promises.symlink(linkTarget, linkPath, targetStat.isDirectory() ? 'dir' : 'file');
+      auditFsEvent(req, res, 'fs.symlink', relativeLink, 'success', { target: relativeTarget });
+      res.status(201).json({ ok: true, path: relativeLink, target: relativeTarget, linkTarget });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      auditFsEvent(req, res, 'fs.symlink', relativeLink, 'failure', { reason: message, target: relativeTarget });
+      respondFsError(res, error);
+    }
+  });
+
   app.post('/api/fs/copy', async (req: Request, res: Response) => {
-    if (!requireScope(req, res, 'admin', '/api/fs/copy')) {
+    if (!requireCapability(req, res, 'fs:write', '/api/fs/copy')) {
       return;
     }
 
     const sourcePathRaw = readStringBodyField(req.body, 'path');
     const targetPathRaw = readStringBodyField(req.body, 'to');
-    const sourcePath = resolvePathWithinBase(fsRoot, sourcePathRaw);
-    const targetPath = resolvePathWithinBase(fsRoot, targetPathRaw);
+    const sourcePath = resolveFsPath(sourcePathRaw);
+    const targetPath = resolveFsPath(targetPathRaw);
     if (!sourcePath || !targetPath) {
       auditFsEvent(req, res, 'fs.copy', `${String(sourcePathRaw ?? '')} -> ${String(targetPathRaw ?? '')}`, 'failure', {
         reason: 'invalid path'
@@ -660,6 +1826,9 @@ export function registerApiRoutes(app: Application, deps: ApiRouteDeps): void {
       res.status(400).json({ error: 'invalid path' });
       return;
     }
+    if (!requirePathGrant(req, res, 'fs:read', sourcePath) || !requirePathGrant(req, res, 'fs:write', targetPath)) {
+      return;
+    }
     if (sourcePath === targetPath) {
       auditFsEvent(req, res, 'fs.copy', toRelativePath(fsRoot, sourcePath), 'failure', { reason: 'same path' });
       res.status(400).json({ error: 'source and target cannot be the same path' });
@@ -668,16 +1837,7 @@ export function registerApiRoutes(app: Application, deps: ApiRouteDeps): void {
 
     try {
       await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
-      const sourceStat = await fs.promises.stat(sourcePath);
-      if (sourceStat.isDirectory()) {
-        await fs.promises.cp(sourcePath, targetPath, {
-          recursive: true,
-          force: false,
-          errorOnExist: true
-        });
-      } else if (sourceStat.isFile()) {
-        await fs.promises.copyFile(sourcePath, targetPath, fs.constants.COPYFILE_EXCL);
-      } else {
+      if (!(await copyFsEntry(sourcePath, targetPath))) {
         auditFsEvent(req, res, 'fs.copy', toRelativePath(fsRoot, sourcePath), 'failure', {
           reason: 'unsupported entry type',
           to: toRelativePath(fsRoot, targetPath)
@@ -704,18 +1864,22 @@ export function registerApiRoutes(app: Application, deps: ApiRouteDeps): void {
   });
 
   app.post('/api/fs/remove', async (req: Request, res: Response) => {
-    if (!requireScope(req, res, 'admin', '/api/fs/remove')) {
+    if (!requireCapability(req, res, 'fs:write', '/api/fs/remove')) {
       return;
     }
 
     const requestPath = readStringBodyField(req.body, 'path');
     const recursive = readBooleanBodyField(req.body, 'recursive', false);
-    const targetPath = resolvePathWithinBase(fsRoot, requestPath);
+    const permanent = readBooleanBodyField(req.body, 'permanent', false);
+    const targetPath = resolveFsPath(requestPath);
     if (!targetPath) {
       auditFsEvent(req, res, 'fs.delete', String(requestPath ?? ''), 'failure', { reason: 'invalid path' });
       res.status(400).json({ error: 'invalid path' });
       return;
     }
+    if (!requirePathGrant(req, res, 'fs:write', targetPath)) {
+      return;
+    }
     if (targetPath === fsRoot) {
       auditFsEvent(req, res, 'fs.delete', '.', 'failure', { reason: 'cannot remove root' });
       res.status(400).json({ error: 'cannot remove workspace root' });
@@ -723,12 +1887,24 @@ export function registerApiRoutes(app: Application, deps: ApiRouteDeps): void {
     }
 
     try {
+      if (!permanent) {
+        const item = await trash.move(targetPath, toRelativePath(fsRoot, targetPath));
+        auditFsEvent(req, res, 'fs.delete', item.path, 'success', { trash: true, trashId: item.id });
+        res.json({
+          ok: true,
+          path: item.path,
+          trashId: item.id,
+          expiresAt: item.expiresAt
+        });
+        return;
+      }
       await fs.promises.rm(targetPath, {
         recursive,
         force: false
       });
       auditFsEvent(req, res, 'fs.delete', toRelativePath(fsRoot, targetPath), 'success', {
-        recursive
+        recursive,
+        permanent: true
       });
       res.json({
         ok: true,
@@ -736,19 +1912,248 @@ export function registerApiRoutes(app: Application, deps: ApiRouteDeps): void {
       });
     } catch (error) {
       const message = error instanceof Error ? error.message : String(error);
-      auditFsEvent(req, res, 'fs.delete', toRelativePath(fsRoot, targetPath), 'failure', { reason: message });
+      auditFsEvent(req, res, 'fs.delete', toRelativePath(fsRoot, targetPath), 'failure', { reason: message });
+      respondFsError(res, error);
+    }
+  });
+
+  // Runs one operation over many paths; every item reports its own outcome and the whole
+  // request is audited as a single fs.batch record.
+  app.post('/api/fs/batch', async (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'fs:write', '/api/fs/batch')) {
+      return;
+    }
+
+    const opRaw = readStringBodyField(req.body, 'op');
+    const op = FS_BATCH_OPS.find((candidate) => candidate === opRaw);
+    const rawPaths = readStringArrayBodyField(req.body, 'paths');
+    if (!op) {
+      res.status(400).json({ error: 'invalid batch op' });
+      return;
+    }
+    if (!rawPaths || rawPaths.length === 0) {
+      res.status(400).json({ error: 'paths required' });
+      return;
+    }
+    if (rawPaths.length > FS_BATCH_MAX_ITEMS) {
+      res.status(413).json({ error: `too many paths (limit=${FS_BATCH_MAX_ITEMS})` });
+      return;
+    }
+    const targetDirRaw = readStringBodyField(req.body, 'to');
+    const targetDir = op === 'delete' ? null : resolveFsPath(targetDirRaw);
+    if (op !== 'delete' && !targetDir) {
+      auditFsEvent(req, res, 'fs.batch', String(targetDirRaw ?? ''), 'failure', { op, reason: 'invalid path' });
+      res.status(400).json({ error: 'invalid path' });
+      return;
+    }
+    if (targetDir && !requirePathGrant(req, res, 'fs:write', targetDir)) {
+      return;
+    }
+    const recursive = readBooleanBodyField(req.body, 'recursive', false);
+    const permanent = readBooleanBodyField(req.body, 'permanent', false);
+
+    const results: Array<{
+      path: string;
+      ok: boolean;
+      to?: string;
+      trashId?: string;
+      status?: number;
+      error?: string;
+    }> = [];
+    if (targetDir) {
+      try {
+        await fs.promises.mkdir(targetDir, { recursive: true });
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        auditFsEvent(req, res, 'fs.batch', toRelativePath(fsRoot, targetDir), 'failure', { op, reason: message });
+        respondFsError(res, error);
+        return;
+      }
+    }
+
+    for (const rawPath of rawPaths) {
+      const sourcePath = resolveFsPath(rawPath);
+      if (!sourcePath) {
+        results.push({ path: rawPath, ok: false, status: 400, error: 'invalid path' });
+        continue;
+      }
+      const relativePath = toRelativePath(fsRoot, sourcePath);
+      if (sourcePath === fsRoot) {
+        results.push({ path: relativePath, ok: false, status: 400, error: 'cannot operate on workspace root' });
+        continue;
+      }
+      if (!isPathAllowed(res, op === 'copy' ? 'fs:read' : 'fs:write', sourcePath)) {
+        results.push({ path: relativePath, ok: false, status: 403, error: 'forbidden' });
+        continue;
+      }
+      try {
+        if (!targetDir && !permanent) {
+          const item = await trash.move(sourcePath, relativePath);
+          results.push({ path: relativePath, ok: true, trashId: item.id });
+          continue;
+        }
+        if (!targetDir) {
+          await fs.promises.rm(sourcePath, { recursive, force: false });
+          results.push({ path: relativePath, ok: true });
+          continue;
+        }
+        const targetPath = path.join(targetDir, path.basename(sourcePath));
+        if (targetPath === sourcePath) {
+          results.push({
+            path: relativePath,
+            ok: false,
+            status: 400,
+            error: 'source and target cannot be the same path'
+          });
+          continue;
+        }
+        if (op === 'move') {
+          // rename() silently replaces an existing entry, so conflicts are reported the way copy reports them.
+          if (await entryExists(targetPath)) {
+            results.push({ path: relativePath, ok: false, status: 409, error: 'target already exists' });
+            continue;
+          }
+          await fs.promises.rename(sourcePath, targetPath);
+        } else if (!(await copyFsEntry(sourcePath, targetPath))) {
+          results.push({ path: relativePath, ok: false, status: 400, error: 'path is not a file or directory' });
+          continue;
+        }
+        results.push({ path: relativePath, ok: true, to: toRelativePath(fsRoot, targetPath) });
+      } catch (error) {
+        results.push({ path: relativePath, ok: false, ...describeFsError(error) });
+      }
+    }
+
+    const failures = results
+      .filter((result) => !result.ok)
+      .map((result) => ({ path: result.path, error: result.error }));
+    const resource = results.map((result) => result.path).join(',');
+    const target = targetDir
+      ? { to: toRelativePath(fsRoot, targetDir) }
+      : permanent
+        ? { recursive, permanent }
+        : { trash: true };
+    auditFsEvent(req, res, 'fs.batch', resource, failures.length === 0 ? 'success' : 'failure', {
+      op,
+      ...target,
+      succeeded: results.length - failures.length,
+      failed: failures.length,
+      ...(failures.length > 0 ? { failures } : {})
+    });
+    res.json({
+      ok: failures.length === 0,
+      op,
+      succeeded: results.length - failures.length,
+      failed: failures.length,
+      results
+    });
+  });
+
+  // Path-limited tokens only see items deleted from inside their read prefixes.
+  app.get('/api/fs/trash', (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'fs:read', '/api/fs/trash')) {
+      return;
+    }
+    const { grants } = readGrants(res);
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      items: trash.list().filter((item) => isPathGranted(grants, 'fs:read', item.path)),
+      ttlMs: trash.ttlMs
+    });
+  });
+
+  app.post('/api/fs/trash/:id/restore', async (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'fs:write', '/api/fs/trash')) {
+      return;
+    }
+    const id = typeof req.params.id === 'string' ? req.params.id : '';
+    const item = isTrashId(id) ? trash.get(id) : null;
+    if (!item) {
+      res.status(404).json({ error: 'trash item not found' });
+      return;
+    }
+    // Restores to the original location unless the client picks another one, e.g. after a conflict.
+    const targetPathRaw = readStringBodyField(req.body, 'to') ?? item.path;
+    const targetPath = resolveFsPath(targetPathRaw);
+    if (!targetPath || targetPath === fsRoot) {
+      auditFsEvent(req, res, 'fs.restore', item.path, 'failure', { reason: 'invalid path', to: targetPathRaw });
+      res.status(400).json({ error: 'invalid path' });
+      return;
+    }
+    if (
+      !requirePathGrant(req, res, 'fs:write', path.join(fsRoot, item.path)) ||
+      !requirePathGrant(req, res, 'fs:write', targetPath)
+    ) {
+      return;
+    }
+
+    try {
+      const restored = await trash.restore(id, targetPath);
+      if (!restored.ok) {
+        auditFsEvent(req, res, 'fs.restore', item.path, 'failure', {
+          reason: restored.error,
+          to: toRelativePath(fsRoot, targetPath)
+        });
+        res.status(restored.status).json({ error: restored.error });
+        return;
+      }
+      auditFsEvent(req, res, 'fs.restore', item.path, 'success', {
+        trashId: id,
+        to: toRelativePath(fsRoot, targetPath)
+      });
+      res.json({ ok: true, path: toRelativePath(fsRoot, targetPath) });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      auditFsEvent(req, res, 'fs.restore', item.path, 'failure', { reason: message });
       respondFsError(res, error);
     }
   });
 
+  app.delete('/api/fs/trash/:id', async (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'fs:write', '/api/fs/trash')) {
+      return;
+    }
+    const id = typeof req.params.id === 'string' ? req.params.id : '';
+    const item = isTrashId(id) ? trash.get(id) : null;
+    if (!item) {
+      res.status(404).json({ error: 'trash item not found' });
+      return;
+    }
+    if (!requirePathGrant(req, res, 'fs:write', path.join(fsRoot, item.path))) {
+      return;
+    }
+    if (!(await trash.purge(id))) {
+      res.status(404).json({ error: 'trash item not found' });
+      return;
+    }
+    auditFsEvent(req, res, 'fs.delete', item.path, 'success', { permanent: true, trashId: id });
+    res.status(204).end();
+  });
+
+  app.delete('/api/fs/trash', async (req: Request, res: Response) => {
+    // Emptying the trash touches items from every path, so it needs write access to the whole root.
+    if (!requirePathGrant(req, res, 'fs:write', fsRoot)) {
+      return;
+    }
+    const purged = await trash.purgeAll();
+    auditFsEvent(req, res, 'fs.delete', 'trash', 'success', { permanent: true, purged });
+    res.json({ ok: true, purged });
+  });
+
   app.get('/api/fs/download', async (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'fs:read', '/api/fs/download')) {
+      return;
+    }
     const requestPath = readStringQuery(req.query.path);
-    const targetPath = resolvePathWithinBase(fsRoot, requestPath);
+    const targetPath = resolveFsPath(requestPath);
     if (!targetPath) {
       auditFsEvent(req, res, 'fs.download', String(requestPath ?? ''), 'failure', { reason: 'invalid path' });
       res.status(400).json({ error: 'invalid path' });
       return;
     }
+    if (!requirePathGrant(req, res, 'fs:read', targetPath)) {
+      return;
+    }
 
     try {
       const stat = await fs.promises.stat(targetPath);
@@ -782,18 +2187,99 @@ export function registerApiRoutes(app: Application, deps: ApiRouteDeps): void {
     }
   });
 
+  app.get('/api/fs/archive', async (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'fs:read', '/api/fs/archive')) {
+      return;
+    }
+    const rawPaths = (Array.isArray(req.query.path) ? req.query.path : [req.query.path]).filter(
+      (value): value is string => typeof value === 'string'
+    );
+    const targetPaths = rawPaths.map((rawPath) => resolveFsPath(rawPath));
+    const resource = rawPaths.join(',');
+    if (rawPaths.length === 0 || targetPaths.some((targetPath) => !targetPath)) {
+      auditFsEvent(req, res, 'fs.download', resource, 'failure', { reason: 'invalid path', archive: true });
+      res.status(400).json({ error: 'invalid path' });
+      return;
+    }
+    const format = parseArchiveFormat(req.query.format);
+    if (!format) {
+      res.status(400).json({ error: 'invalid archive format' });
+      return;
+    }
+
+    const selected = targetPaths as string[];
+    if (!selected.every((targetPath) => requirePathGrant(req, res, 'fs:read', targetPath))) {
+      return;
+    }
+    const relativePaths = selected.map((targetPath) => toRelativePath(fsRoot, targetPath));
+    let collected: Awaited<ReturnType<typeof collectArchiveEntries>>;
+    try {
+      collected = await collectArchiveEntries(fsRoot, selected, {
+        maxBytes: format === 'zip' ? Math.min(archiveMaxBytes, ZIP_MAX_BYTES) : archiveMaxBytes,
+        maxEntries: format === 'zip' ? ZIP_MAX_ENTRIES : undefined,
+        exclude: [trash.dir]
+      });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      auditFsEvent(req, res, 'fs.download', relativePaths.join(','), 'failure', { reason: message, archive: format });
+      respondFsError(res, error);
+      return;
+    }
+    if (!collected.ok) {
+      auditFsEvent(req, res, 'fs.download', relativePaths.join(','), 'failure', {
+        reason: collected.error,
+        archive: format
+      });
+      res.status(collected.status).json({ error: collected.error });
+      return;
+    }
+
+    const baseName = selected.length === 1 ? path.basename(selected[0]) : path.basename(collected.root);
+    const filename = toSessionSafeFilename(`${baseName || 'files'}${archiveExtension(format)}`);
+    auditFsEvent(req, res, 'fs.download', relativePaths.join(','), 'success', {
+      archive: format,
+      entries: collected.entries.length,
+      bytes: collected.totalBytes,
+      skipped: collected.skipped
+    });
+    res.setHeader('Content-Type', format === 'zip' ? 'application/zip' : 'application/gzip');
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`);
+
+    try {
+      if (format === 'zip') {
+        await writeZipArchive(collected.entries, res);
+        res.end();
+      } else {
+        const gzip = zlib.createGzip();
+        await Promise.all([
+          pipeline(gzip, res),
+          writeTarArchive(collected.entries, gzip).then(() => {
+            gzip.end();
+          })
+        ]);
+      }
+    } catch {
+      // Headers are already out; cutting the connection is the only way to signal a broken archive.
+      res.destroy();
+    }
+  });
+
   app.post('/api/fs/upload', async (req: Request, res: Response) => {
-    if (!requireScope(req, res, 'admin', '/api/fs/upload')) {
+    if (!requireCapability(req, res, 'fs:write', '/api/fs/upload')) {
       return;
     }
 
     const requestPath = readStringQuery(req.query.path);
-    const targetPath = resolvePathWithinBase(fsRoot, requestPath);
+    const targetPath = resolveFsPath(requestPath);
     if (!targetPath) {
       auditFsEvent(req, res, 'fs.upload', String(requestPath ?? ''), 'failure', { reason: 'invalid path' });
       res.status(400).json({ error: 'invalid path' });
       return;
     }
+    if (!requirePathGrant(req, res, 'fs:write', targetPath)) {
+      return;
+    }
 
     const declaredLength = Number.parseInt(String(req.headers['content-length'] ?? ''), 10);
     if (Number.isFinite(declaredLength) && declaredLength > FS_UPLOAD_LIMIT_BYTES) {
@@ -849,7 +2335,495 @@ export function registerApiRoutes(app: Application, deps: ApiRouteDeps): void {
     }
   });
 
-  app.get('/api/system/stats', async (_req: Request, res: Response) => {
+  const setUploadHeaders = (res: Response, upload: ResumableUpload): void => {
+    res.setHeader('Upload-Offset', String(upload.offset));
+    res.setHeader('Upload-Length', String(upload.size));
+    res.setHeader('Cache-Control', 'no-store');
+  };
+
+  // Uploads keep their target path, so every verb on an upload is checked against the token's write prefixes.
+  const readGrantedUpload = (
+    req: Request,
+    res: Response,
+    uploadId: string
+  ): { upload: ResumableUpload; targetPath: string } | null => {
+    const upload = uploads.get(uploadId);
+    const targetPath = upload ? resolveFsPath(upload.path) : null;
+    if (!upload || !targetPath) {
+      res.status(404).json({ error: 'upload not found' });
+      return null;
+    }
+    return requirePathGrant(req, res, 'fs:write', targetPath) ? { upload, targetPath } : null;
+  };
+
+  app.post('/api/fs/uploads', (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'fs:write', '/api/fs/uploads')) {
+      return;
+    }
+
+    const requestPath = readStringBodyField(req.body, 'path');
+    const targetPath = resolveFsPath(requestPath);
+    if (!requestPath || !targetPath || targetPath === fsRoot) {
+      auditFsEvent(req, res, 'fs.upload', String(requestPath ?? ''), 'failure', { reason: 'invalid path' });
+      res.status(400).json({ error: 'invalid path' });
+      return;
+    }
+    if (!requirePathGrant(req, res, 'fs:write', targetPath)) {
+      return;
+    }
+    const size = req.body && typeof req.body === 'object' ? (req.body as Record<string, unknown>).size : undefined;
+    const disk = collectDiskStats(fsRoot);
+    if (disk && typeof size === 'number' && disk.freeBytes - size < FS_UPLOAD_MIN_FREE_BYTES) {
+      auditFsEvent(req, res, 'fs.upload', toRelativePath(fsRoot, targetPath), 'failure', {
+        reason: 'insufficient disk space',
+        freeBytes: disk.freeBytes,
+        size
+      });
+      res.status(507).json({ error: 'insufficient disk space for upload' });
+      return;
+    }
+
+    const created = uploads.create(toRelativePath(fsRoot, targetPath), typeof size === 'number' ? size : Number.NaN);
+    if (!created.ok) {
+      res.status(created.status).json({ error: created.error });
+      return;
+    }
+    setUploadHeaders(res, created.upload);
+    res.setHeader('Location', `/api/fs/uploads/${created.upload.id}`);
+    res.status(201).json({ ...created.upload, chunkBytes: UPLOAD_CHUNK_BYTES });
+  });
+
+  app.head('/api/fs/uploads/:id', (req: Request, res: Response) => {
+    const uploadId = typeof req.params.id === 'string' ? req.params.id : '';
+    if (!requireCapability(req, res, 'fs:write', `/api/fs/uploads/${uploadId}`)) {
+      return;
+    }
+    const granted = readGrantedUpload(req, res, uploadId);
+    if (!granted) {
+      return;
+    }
+    setUploadHeaders(res, granted.upload);
+    res.status(200).end();
+  });
+
+  app.patch('/api/fs/uploads/:id', async (req: Request, res: Response) => {
+    const uploadId = typeof req.params.id === 'string' ? req.params.id : '';
+    if (!requireCapability(req, res, 'fs:write', `/api/fs/uploads/${uploadId}`)) {
+      return;
+    }
+    if (!req.is('application/offset+octet-stream')) {
+      res.status(415).json({ error: 'content-type must be application/offset+octet-stream' });
+      return;
+    }
+    const rawOffset = String(req.headers['upload-offset'] ?? '');
+    const offset = /^\d{1,15}$/.test(rawOffset) ? Number(rawOffset) : -1;
+    if (offset < 0) {
+      res.status(400).json({ error: 'invalid upload offset' });
+      return;
+    }
+    const checksum = parseUploadChecksum(req.headers['upload-checksum']);
+    if (!checksum.ok) {
+      res.status(400).json({ error: checksum.error });
+      return;
+    }
+    if (!readGrantedUpload(req, res, uploadId)) {
+      return;
+    }
+
+    try {
+      const appended = await uploads.append(uploadId, offset, req, checksum.digest);
+      if (appended.upload) {
+        setUploadHeaders(res, appended.upload);
+      }
+      if (!appended.ok) {
+        res.status(appended.status).json({ error: appended.error, offset: appended.upload?.offset });
+        return;
+      }
+      res.status(204).end();
+    } catch (error) {
+      // A dropped connection leaves nothing to answer; the client resumes from HEAD.
+      if (!req.destroyed) {
+        respondFsError(res, error);
+      }
+    }
+  });
+
+  app.post('/api/fs/uploads/:id/complete', async (req: Request, res: Response) => {
+    const uploadId = typeof req.params.id === 'string' ? req.params.id : '';
+    if (!requireCapability(req, res, 'fs:write', `/api/fs/uploads/${uploadId}`)) {
+      return;
+    }
+    const expectedSha256 = readStringBodyField(req.body, 'sha256');
+    if (expectedSha256 !== undefined && !/^[a-fA-F0-9]{64}$/.test(expectedSha256)) {
+      res.status(400).json({ error: 'invalid sha256' });
+      return;
+    }
+    const granted = readGrantedUpload(req, res, uploadId);
+    if (!granted) {
+      return;
+    }
+    const { upload, targetPath } = granted;
+
+    try {
+      const completed = await uploads.complete(uploadId, targetPath, expectedSha256);
+      if (!completed.ok) {
+        if (completed.status === 460) {
+          auditFsEvent(req, res, 'fs.upload', upload.path, 'failure', { reason: completed.error, resumable: true });
+        }
+        res.status(completed.status).json({ error: completed.error, offset: completed.upload?.offset });
+        return;
+      }
+      auditFsEvent(req, res, 'fs.upload', upload.path, 'success', {
+        bytes: upload.size,
+        sha256: completed.sha256,
+        resumable: true
+      });
+      res.status(201).json({
+        ok: true,
+        path: upload.path,
+        bytes: upload.size,
+        sha256: completed.sha256
+      });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      auditFsEvent(req, res, 'fs.upload', upload.path, 'failure', { reason: message, resumable: true });
+      respondFsError(res, error);
+    }
+  });
+
+  app.delete('/api/fs/uploads/:id', (req: Request, res: Response) => {
+    const uploadId = typeof req.params.id === 'string' ? req.params.id : '';
+    if (!requireCapability(req, res, 'fs:write', `/api/fs/uploads/${uploadId}`)) {
+      return;
+    }
+    if (!readGrantedUpload(req, res, uploadId)) {
+      return;
+    }
+    if (!uploads.remove(uploadId)) {
+      res.status(uploads.isBusy(uploadId) ? 409 : 404).json({
+        error: uploads.isBusy(uploadId) ? 'upload busy' : 'upload not found'
+      });
+      return;
+    }
+    res.status(204).end();
+  });
+
+  // Repository-relative path of an absolute path, or null when it is outside fsRoot or the repository.
+  const toGitPathspec = async (root: string, absolutePath: string): Promise<string | null> => {
+    try {
+      const relative = path.relative(root, await realpathAllowMissing(absolutePath));
+      if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+        return null;
+      }
+      return relative ? relative.split(path.sep).join('/') : '.';
+    } catch {
+      return null;
+    }
+  };
+
+  // Locates the repository containing the directory named by `path` (default: fsRoot).
+  const resolveGitRoot = async (
+    rawDir: string | undefined
+  ): Promise<{ ok: true; root: string; resource: string } | { ok: false; status: number; error: string }> => {
+    const dirPath = resolveFsPath(rawDir);
+    if (!dirPath) {
+      return { ok: false, status: 400, error: 'invalid path' };
+    }
+    const root = await findGitRoot(dirPath);
+    if (!root) {
+      return { ok: false, status: 400, error: 'not a git repository' };
+    }
+    return { ok: true, root, resource: toRelativePath(fsRoot, dirPath) };
+  };
+
+  // Commits and stashes act on the whole repository, so they need write access to its top level; a repository
+  // that starts above fsRoot needs write access to all of fsRoot.
+  const requireRepoWriteGrant = async (req: Request, res: Response, repoRoot: string): Promise<boolean> => {
+    const relative = path.relative(await fs.promises.realpath(fsRoot), repoRoot);
+    const outside = relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative);
+    return requirePathGrant(req, res, 'fs:write', outside ? fsRoot : path.join(fsRoot, relative));
+  };
+
+  app.get('/api/git/status', async (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'fs:read', '/api/git/status')) {
+      return;
+    }
+    const dirPath = resolveFsPath(readStringQuery(req.query.path));
+    if (!dirPath) {
+      res.status(400).json({ error: 'invalid path' });
+      return;
+    }
+    if (!requirePathGrant(req, res, 'fs:read', dirPath)) {
+      return;
+    }
+    try {
+      const status = await readGitStatus(dirPath);
+      res.setHeader('Cache-Control', 'no-store');
+      if (!status) {
+        res.json({ repo: false });
+        return;
+      }
+      const fsRootReal = await fs.promises.realpath(fsRoot);
+      const trashReal = await realpathAllowMissing(trash.dir);
+      // Entries are reported relative to fsRoot; anything the file APIs cannot reach is left out.
+      const toFsRelative = (repoPath: string): string | null => {
+        const absolutePath = path.join(status.root, repoPath);
+        if (!isWithinBase(fsRootReal, absolutePath) || isWithinBase(trashReal, absolutePath)) {
+          return null;
+        }
+        return toRelativePath(fsRootReal, absolutePath);
+      };
+      const entries = status.entries.flatMap((entry) => {
+        const entryPath = toFsRelative(entry.path);
+        if (entryPath === null || !isPathAllowed(res, 'fs:read', path.join(fsRoot, entryPath))) {
+          return [];
+        }
+        return [
+          {
+            path: entryPath,
+            ...(entry.origPath ? { origPath: toFsRelative(entry.origPath) ?? entry.origPath } : {}),
+            index: entry.index,
+            worktree: entry.worktree,
+            staged: !entry.untracked && entry.index !== '.',
+            unstaged: entry.untracked || entry.worktree !== '.',
+            untracked: entry.untracked,
+            conflicted: entry.conflicted,
+            directory: entry.path.endsWith('/')
+          }
+        ];
+      });
+      res.json({
+        repo: true,
+        root: toFsRelative(''),
+        branch: status.branch,
+        detached: status.branch === null && status.head !== null,
+        head: status.head,
+        upstream: status.upstream,
+        ahead: status.ahead,
+        behind: status.behind,
+        stashes: status.stashes,
+        entries
+      });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      res.status(500).json({ error: `git status failed: ${message.split('\n')[0]}` });
+    }
+  });
+
+  const registerGitPathsRoute = (action: 'stage' | 'unstage'): void => {
+    app.post(`/api/git/${action}`, async (req: Request, res: Response) => {
+      if (!requireCapability(req, res, 'fs:write', `/api/git/${action}`)) {
+        return;
+      }
+      const event = action === 'stage' ? 'git.stage' : 'git.unstage';
+      const rawPaths = readStringArrayBodyField(req.body, 'paths');
+      if (!rawPaths || rawPaths.length === 0 || rawPaths.length > FS_BATCH_MAX_ITEMS) {
+        res.status(400).json({ error: 'paths must be a non-empty array' });
+        return;
+      }
+      const repo = await resolveGitRoot(readStringBodyField(req.body, 'path'));
+      if (!repo.ok) {
+        auditGitEvent(req, res, event, rawPaths.join(','), 'failure', { reason: repo.error });
+        res.status(repo.status).json({ error: repo.error });
+        return;
+      }
+      const pathspecs: string[] = [];
+      for (const rawPath of rawPaths) {
+        const absolutePath = resolveFsPath(rawPath);
+        const pathspec = absolutePath ? await toGitPathspec(repo.root, absolutePath) : null;
+        if (!pathspec) {
+          auditGitEvent(req, res, event, rawPaths.join(','), 'failure', { reason: 'invalid path', path: rawPath });
+          res.status(400).json({ error: `invalid path: ${rawPath}` });
+          return;
+        }
+        if (!requirePathGrant(req, res, 'fs:write', absolutePath as string)) {
+          return;
+        }
+        pathspecs.push(pathspec);
+      }
+
+      // `add -A` also stages deletions; `reset` works before the first commit, unlike `restore --staged`.
+      const args =
+        action === 'stage'
+          ? ['--literal-pathspecs', 'add', '-A', '--', ...pathspecs]
+          : ['--literal-pathspecs', 'reset', '-q', '--', ...pathspecs];
+      const result = await runGitCommand(repo.root, args);
+      if (!result.ok) {
+        auditGitEvent(req, res, event, rawPaths.join(','), 'failure', { reason: result.error, repo: repo.resource });
+        res.status(result.status).json({ error: result.error });
+        return;
+      }
+      auditGitEvent(req, res, event, rawPaths.join(','), 'success', { repo: repo.resource, count: pathspecs.length });
+      res.json({ ok: true, paths: rawPaths });
+    });
+  };
+  registerGitPathsRoute('stage');
+  registerGitPathsRoute('unstage');
+
+  app.post('/api/git/commit', async (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'fs:write', '/api/git/commit')) {
+      return;
+    }
+    const message = (readStringBodyField(req.body, 'message') ?? '').trim();
+    if (!message || message.length > GIT_COMMIT_MESSAGE_MAX_LENGTH) {
+      res.status(400).json({ error: 'invalid commit message' });
+      return;
+    }
+    const repo = await resolveGitRoot(readStringBodyField(req.body, 'path'));
+    if (!repo.ok) {
+      res.status(repo.status).json({ error: repo.error });
+      return;
+    }
+    if (!(await requireRepoWriteGrant(req, res, repo.root))) {
+      return;
+    }
+    const summary = message.split('\n')[0].slice(0, 200);
+    // Only what is already staged is committed, mirroring a plain `git commit`.
+    const committed = await runGitCommand(repo.root, ['commit', '-q', '-m', message]);
+    const head: GitCommandResult = committed.ok ? await runGitCommand(repo.root, ['rev-parse', 'HEAD']) : committed;
+    if (!head.ok) {
+      auditGitEvent(req, res, 'git.commit', repo.resource, 'failure', { reason: head.error, summary });
+      res.status(head.status).json({ error: head.error });
+      return;
+    }
+    const commit = head.output.trim();
+    auditGitEvent(req, res, 'git.commit', repo.resource, 'success', { commit, summary });
+    res.json({ ok: true, commit, summary });
+  });
+
+  app.post('/api/git/stash', async (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'fs:write', '/api/git/stash')) {
+      return;
+    }
+    const action = readStringBodyField(req.body, 'action');
+    if (action !== 'push' && action !== 'pop') {
+      res.status(400).json({ error: 'action must be push or pop' });
+      return;
+    }
+    const repo = await resolveGitRoot(readStringBodyField(req.body, 'path'));
+    if (!repo.ok) {
+      res.status(repo.status).json({ error: repo.error });
+      return;
+    }
+    if (!(await requireRepoWriteGrant(req, res, repo.root))) {
+      return;
+    }
+    const message = (readStringBodyField(req.body, 'message') ?? '').trim();
+    const includeUntracked = readBooleanBodyField(req.body, 'includeUntracked', false);
+    const args =
+      action === 'push'
+        ? ['stash', 'push', ...(includeUntracked ? ['--include-untracked'] : []), ...(message ? ['-m', message] : [])]
+        : ['stash', 'pop'];
+    let result = await runGitCommand(repo.root, args);
+    // `stash push` succeeds without creating a stash when the tree is clean.
+    if (result.ok && action === 'push' && /No local changes to save/.test(result.output)) {
+      result = { ok: false, status: 409, error: 'No local changes to save' };
+    }
+    if (!result.ok) {
+      auditGitEvent(req, res, 'git.stash', repo.resource, 'failure', { action, reason: result.error });
+      res.status(result.status).json({ error: result.error });
+      return;
+    }
+    auditGitEvent(req, res, 'git.stash', repo.resource, 'success', {
+      action,
+      includeUntracked,
+      ...(message ? { message } : {})
+    });
+    res.json({ ok: true, action });
+  });
+
+  app.get('/api/processes', (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'system:read', '/api/processes')) {
+      return;
+    }
+    const sessionId = typeof req.query.session === 'string' ? req.query.session.trim() : '';
+    let processes = processSampler.list();
+    let rootPids: number[] = [];
+    if (sessionId) {
+      const panePids = ptyManager.listPanePids(sessionId);
+      if (!panePids) {
+        res.status(404).json({ error: 'session not found' });
+        return;
+      }
+      rootPids = panePids;
+      const sessionPids = collectDescendantPids(processes, panePids);
+      processes = processes.filter((entry) => sessionPids.has(entry.pid));
+    }
+    processes.sort((left, right) => right.cpuPercent - left.cpuPercent || left.pid - right.pid);
+    res.json({
+      timestamp: new Date().toISOString(),
+      ...(sessionId ? { sessionId, rootPids } : {}),
+      processes
+    });
+  });
+
+  app.post('/api/processes/:pid/signal', (req: Request, res: Response) => {
+    const rawPid = typeof req.params.pid === 'string' ? req.params.pid : '';
+    if (!requireCapability(req, res, 'system:manage', `/api/processes/${rawPid}`)) {
+      return;
+    }
+    const pid = /^\d{1,10}$/.test(rawPid) ? Number(rawPid) : 0;
+    if (pid <= 1) {
+      res.status(400).json({ error: 'invalid pid' });
+      return;
+    }
+    const body = req.body && typeof req.body === 'object' ? (req.body as Record<string, unknown>) : {};
+    const signal = parseProcessSignal(body.signal);
+    if (!signal) {
+      res.status(400).json({ error: 'invalid signal' });
+      return;
+    }
+    // Stopping or killing the server would take this very control surface down with it.
+    if (pid === process.pid) {
+      res.status(400).json({ error: 'refusing to signal the server process' });
+      return;
+    }
+
+    const command = readProcessCommand(pid);
+    const actor = resolveAuditActor(req, res);
+    try {
+      process.kill(pid, `SIG${signal}`);
+    } catch (error) {
+      const code = (error as NodeJS.ErrnoException).code;
+      auditLogger.log({
+        event: 'process.signal',
+        actor,
+        resource: String(pid),
+        outcome: 'failure',
+        metadata: {
+          signal,
+          command,
+          reason: code ?? 'unknown'
+        }
+      });
+      if (code === 'ESRCH') {
+        res.status(404).json({ error: 'process not found' });
+        return;
+      }
+      if (code === 'EPERM') {
+        res.status(403).json({ error: 'operation not permitted' });
+        return;
+      }
+      res.status(500).json({ error: 'signal failed' });
+      return;
+    }
+    auditLogger.log({
+      event: 'process.signal',
+      actor,
+      resource: String(pid),
+      outcome: 'success',
+      metadata: {
+        signal,
+        command
+      }
+    });
+    res.json({ ok: true, pid, signal });
+  });
+
+  app.get('/api/system/stats', async (req: Request, res: Response) => {
+    if (!requireCapability(req, res, 'system:read', '/api/system/stats')) {
+      return;
+    }
     try {
       const disk = collectDiskStats(fsRoot);
       res.json({
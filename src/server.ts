@@ -9,15 +9,21 @@ import qrcode from 'qrcode-terminal';
 import {
   AccessTokenService,
   type AccessTokenScope,
+  BootstrapTokenManager,
   createAccessAuthMiddleware,
   ensureAccessSigningSecret,
-  ensureAuthToken,
-  readBootstrapTokenFromRequest,
-  validateBootstrapToken
+  PasskeyService,
+  readBootstrapTokenFromRequest
 } from './auth.js';
+import { type AccessGrants, parseRequestedGrants, resolveGrants } from './access-grants.js';
 import { AuditLogger } from './audit-log.js';
+import { normalizeDeviceLabel, normalizeUserAgent } from './devices.js';
+import { FsTrash } from './fs-trash.js';
 import { MetricsRegistry } from './metrics.js';
+import { formatPairingCode, PairingCodeRegistry } from './pairing.js';
 import { PtyManager } from './pty-manager.js';
+import { PushNotifier } from './push-notifier.js';
+import { ResumableUploadStore } from './resumable-upload.js';
 import { registerApiRoutes } from './routes/api.js';
 import {
   checkOriginAndHost,
@@ -28,7 +34,9 @@ import {
   MemoryRateLimiter
 } from './security.js';
 import { C2PStore } from './store.js';
+import { DEFAULT_TOTP_REVERIFY_DAYS, TotpService, type TotpCheckPassed } from './totp.js';
 import { getLanAddress, isEnabledEnvFlag, resolveTunnelMode, startTunnel } from './tunnel.js';
+import { ensureVapidKeys } from './web-push.js';
 import { createControlChannel } from './ws/control.js';
 import type { WsChannel } from './ws/channel.js';
 import { createTerminalChannel } from './ws/terminal.js';
@@ -113,21 +121,56 @@ try {
 }
 
 const store = new C2PStore();
-const bootstrapToken = ensureAuthToken();
+const bootstrapTokens = new BootstrapTokenManager();
+const pairingCodes = new PairingCodeRegistry({
+  ttlSeconds: parseIntEnv('C2P_PAIRING_CODE_TTL_SECONDS', 5 * 60),
+  maxActive: 20
+});
 const signingSecret = ensureAccessSigningSecret();
 const accessTokenService = new AccessTokenService({
   store,
   signingSecret,
   ttlSeconds: parseIntEnv('C2P_ACCESS_TOKEN_TTL_SECONDS', 24 * 60 * 60)
 });
+const passkeyService = new PasskeyService({ store, signingSecret, userName: `c2p@${os.hostname()}` });
+const totpService = new TotpService({
+  store,
+  signingSecret,
+  reverifyDays: parseIntEnv('C2P_TOTP_REVERIFY_DAYS', DEFAULT_TOTP_REVERIFY_DAYS)
+});
 
 const auditLogger = new AuditLogger({
   dir: process.env.C2P_AUDIT_DIR,
   retentionDays: parseIntEnv('C2P_AUDIT_RETENTION_DAYS', 90)
 });
 const metrics = new MetricsRegistry();
+const pushNotifier = new PushNotifier({
+  store,
+  vapid: ensureVapidKeys(),
+  diskPath: defaultWorkingDirectory,
+  diskMinFreeBytes: parseIntEnv('C2P_PUSH_DISK_MIN_FREE_MB', 1024) * 1024 * 1024,
+  diskCheckIntervalMs: parseIntEnv('C2P_PUSH_DISK_CHECK_INTERVAL_SECONDS', 300) * 1000,
+  allowInsecureEndpoints: isEnabledEnvFlag(process.env.C2P_PUSH_ALLOW_INSECURE_ENDPOINTS)
+});
+pushNotifier.startDiskWatch();
+
+const uploads = new ResumableUploadStore({
+  dir: (process.env.C2P_UPLOAD_DIR ?? '').trim() || undefined,
+  maxBytes: parseIntEnv('C2P_UPLOAD_MAX_MB', 4096) * 1024 * 1024,
+  ttlMs: parseIntEnv('C2P_UPLOAD_TTL_HOURS', 24) * 60 * 60 * 1000,
+  maxPending: parseIntEnv('C2P_UPLOAD_MAX_PENDING', 32),
+  maxPendingBytes: parseIntEnv('C2P_UPLOAD_MAX_PENDING_MB', 8192) * 1024 * 1024
+});
 
-const ptyManager = new PtyManager(defaultTerminalWorkingDirectory);
+const trash = new FsTrash({
+  dir: (process.env.C2P_TRASH_DIR ?? '').trim() || undefined,
+  ttlMs: parseIntEnv('C2P_TRASH_TTL_DAYS', 30) * 24 * 60 * 60 * 1000
+});
+
+const ptyManager = new PtyManager(defaultTerminalWorkingDirectory, {
+  recordingMaxBytes: parseIntEnv('C2P_RECORDING_MAX_MB', 512) * 1024 * 1024,
+  recordingRetentionMs: parseIntEnv('C2P_RECORDING_RETENTION_DAYS', 30) * 24 * 60 * 60 * 1000
+});
 
 if (!ptyManager.isReady()) {
   console.warn('[c2p] warn: tmux not available, terminal sessions will not be ready');
@@ -145,7 +188,10 @@ if (!ptyManager.isReady()) {
       rows: session.rows,
       startedAt: session.startedAt,
       updatedAt: now,
-      status: 'detached'
+      status: 'detached',
+      name: session.name,
+      color: session.color,
+      tags: session.tags
     });
   }
 
@@ -260,37 +306,66 @@ app.get('/metrics', (_req, res) => {
 
 app.use('/api', createOriginHostMiddleware(originPolicy));
 
-app.post('/api/auth/exchange', (req, res) => {
+function rejectExchange(
+  req: express.Request,
+  res: express.Response,
+  resource: 'bootstrap' | 'pairing' | 'passkey' | 'totp',
+  reason: string,
+  code?: string
+): void {
   const remoteIp = getClientIp(req);
-  const lockState = exchangeFailureLimiter.peek(remoteIp);
-  if (!lockState.allowed) {
-    res.setHeader('Retry-After', String(Math.max(1, Math.ceil(lockState.retryAfterMs / 1000))));
-    res.status(429).json({
-      error: 'too many auth failures',
-      retryAfterSec: Math.max(1, Math.ceil(lockState.retryAfterMs / 1000))
-    });
-    return;
-  }
+  exchangeFailureLimiter.hit(remoteIp);
+  auditLogger.log({
+    event: 'auth.failed',
+    actor: remoteIp,
+    resource,
+    outcome: 'failure',
+    metadata: {
+      reason
+    }
+  });
+  res.status(401).json(code ? { error: 'unauthorized', reason: code } : { error: 'unauthorized' });
+}
 
-  const candidate = readBootstrapTokenFromRequest(req);
-  if (!validateBootstrapToken(candidate, bootstrapToken)) {
-    exchangeFailureLimiter.hit(remoteIp);
-    auditLogger.log({
-      event: 'auth.failed',
-      actor: remoteIp,
-      resource: 'bootstrap',
-      outcome: 'failure',
-      metadata: {
-        reason: 'invalid bootstrap token'
-      }
-    });
-    res.status(401).json({ error: 'unauthorized' });
-    return;
+// Returns false after answering 429 while the client is locked out for repeated auth failures.
+function checkExchangeLock(req: express.Request, res: express.Response): boolean {
+  const lockState = exchangeFailureLimiter.peek(getClientIp(req));
+  if (lockState.allowed) {
+    return true;
   }
+  res.setHeader('Retry-After', String(Math.max(1, Math.ceil(lockState.retryAfterMs / 1000))));
+  res.status(429).json({
+    error: 'too many auth failures',
+    retryAfterSec: Math.max(1, Math.ceil(lockState.retryAfterMs / 1000))
+  });
+  return false;
+}
 
+// Enrolls the calling device and answers with a fresh access token; shared by every sign-in method.
+function issueDeviceSession(
+  req: express.Request,
+  res: express.Response,
+  scope: AccessTokenScope,
+  via: 'bootstrap' | 'pairing' | 'passkey',
+  options: {
+    fallbackDeviceId?: string;
+    metadata?: Record<string, unknown>;
+    totp?: TotpCheckPassed;
+    grants?: AccessGrants;
+  } = {}
+): void {
+  const remoteIp = getClientIp(req);
   const body = req.body && typeof req.body === 'object' ? (req.body as Record<string, unknown>) : null;
-  const scope = parseAccessTokenScope(body?.scope);
-  const issued = accessTokenService.issueAccessToken(remoteIp, scope);
+  const deviceInput = body?.device && typeof body.device === 'object' ? (body.device as Record<string, unknown>) : null;
+  const device = accessTokenService.enrollDevice({
+    deviceId: typeof deviceInput?.id === 'string' ? deviceInput.id : options.fallbackDeviceId,
+    label: normalizeDeviceLabel(deviceInput?.label),
+    userAgent: normalizeUserAgent(req.headers['user-agent']),
+    scope,
+    ip: remoteIp
+  });
+  const issued = accessTokenService.issueAccessToken(remoteIp, scope, device.id, options.grants);
+  const totpTicket = options.totp?.codeVerified ? totpService.markVerified(device.id) : options.totp?.ticket;
   auditLogger.log({
     event: 'auth.token_issued',
     actor: remoteIp,
@@ -299,7 +374,13 @@ app.post('/api/auth/exchange', (req, res) => {
     metadata: {
       scope: issued.claims.scope,
       expiresAt: issued.expiresAt,
-      ttlSeconds: accessTokenService.getAccessTokenTtlSeconds()
+      ttlSeconds: accessTokenService.getAccessTokenTtlSeconds(),
+      deviceId: device.id,
+      deviceLabel: device.label,
+      via,
+      ...(options.grants ? { grants: options.grants } : {}),
+      ...(options.totp?.codeVerified && via !== 'passkey' ? { totp: true } : {}),
+      ...options.metadata
     }
   });
 
@@ -307,8 +388,143 @@ app.post('/api/auth/exchange', (req, res) => {
     tokenType: 'Bearer',
     accessToken: issued.token,
     scope: issued.claims.scope,
+    grants: resolveGrants(issued.claims),
     expiresAt: issued.expiresAt,
-    ttlSeconds: accessTokenService.getAccessTokenTtlSeconds()
+    ttlSeconds: accessTokenService.getAccessTokenTtlSeconds(),
+    deviceId: device.id,
+    ...(totpTicket ? { totpTicket } : {})
+  });
+}
+
+// Undefined keeps the whole scope; answers 400 and returns null when the body asks for more than the scope allows.
+function readRequestedGrants(
+  req: express.Request,
+  res: express.Response,
+  scope: AccessTokenScope
+): AccessGrants | undefined | null {
+  const body = req.body && typeof req.body === 'object' ? (req.body as Record<string, unknown>) : null;
+  if (body?.grants === undefined) {
+    return undefined;
+  }
+  const parsed = parseRequestedGrants(body.grants, scope);
+  if (!parsed.ok) {
+    res.status(400).json({ error: `invalid grants: ${parsed.error}` });
+    return null;
+  }
+  return parsed.grants;
+}
+
+// Answers 401 and returns null while an admin sign-in still needs a TOTP code; only wrong codes count as
+// failures. Exchanges name their device in the body, refreshes pass the id from the signed token.
+function checkTotp(
+  req: express.Request,
+  res: express.Response,
+  scope: AccessTokenScope,
+  tokenDeviceId?: string
+): TotpCheckPassed | null {
+  const body = req.body && typeof req.body === 'object' ? (req.body as Record<string, unknown>) : null;
+  const deviceInput = body?.device && typeof body.device === 'object' ? (body.device as Record<string, unknown>) : null;
+  const result = totpService.check({
+    scope,
+    deviceId: tokenDeviceId ?? (typeof deviceInput?.id === 'string' ? deviceInput.id : undefined),
+    deviceTrusted: tokenDeviceId !== undefined,
+    ticket: deviceInput?.totpTicket,
+    code: body?.totpCode
+  });
+  if (result.ok) {
+    return result;
+  }
+  if (result.reason === 'totp_invalid') {
+    rejectExchange(req, res, 'totp', 'invalid totp code', 'totp_invalid');
+    return null;
+  }
+  res.status(401).json({ error: 'unauthorized', reason: 'totp_required' });
+  return null;
+}
+
+app.post('/api/auth/exchange', (req, res) => {
+  if (!checkExchangeLock(req, res)) {
+    return;
+  }
+
+  const body = req.body && typeof req.body === 'object' ? (req.body as Record<string, unknown>) : null;
+  const candidate = readBootstrapTokenFromRequest(req);
+  if (!candidate && body?.pairingCode === undefined) {
+    rejectExchange(req, res, 'bootstrap', 'invalid bootstrap token');
+    return;
+  }
+  if (candidate) {
+    if (!bootstrapTokens.validate(candidate)) {
+      rejectExchange(req, res, 'bootstrap', 'invalid bootstrap token');
+      return;
+    }
+    const scope = parseAccessTokenScope(body?.scope);
+    const grants = readRequestedGrants(req, res, scope);
+    if (grants === null) {
+      return;
+    }
+    const totp = checkTotp(req, res, scope);
+    if (totp) {
+      issueDeviceSession(req, res, scope, 'bootstrap', { totp, grants });
+    }
+    return;
+  }
+  // Pairing codes carry their own scope; the requested one is ignored, requested grants narrow it. The code is
+  // only consumed once those checks passed, so asking the user for a second factor does not burn it.
+  const pending = pairingCodes.peek(body?.pairingCode);
+  const grants = pending ? readRequestedGrants(req, res, pending.scope) : undefined;
+  const totp = pending && grants !== null ? checkTotp(req, res, pending.scope) : undefined;
+  if (grants === null || totp === null) {
+    return;
+  }
+  const redeemed = pairingCodes.redeem(body?.pairingCode);
+  if (!redeemed.ok) {
+    rejectExchange(req, res, 'pairing', `${redeemed.reason} pairing code`, `pairing_${redeemed.reason}`);
+    return;
+  }
+  issueDeviceSession(req, res, redeemed.pairing.scope, 'pairing', {
+    totp,
+    grants,
+    metadata: { pairingId: redeemed.pairing.id }
+  });
+});
+
+app.post('/api/auth/passkeys/login/options', (req, res) => {
+  if (!checkExchangeLock(req, res)) {
+    return;
+  }
+  const result = passkeyService.createLoginOptions(req.headers.origin);
+  if (!result.ok) {
+    res.status(400).json({ error: 'passkeys unavailable on this origin', reason: result.code });
+    return;
+  }
+  res.status(200).json(result.options);
+});
+
+app.post('/api/auth/passkeys/login', (req, res) => {
+  if (!checkExchangeLock(req, res)) {
+    return;
+  }
+  const body = req.body && typeof req.body === 'object' ? (req.body as Record<string, unknown>) : null;
+  const verdict = passkeyService.verifyLogin(req.headers.origin, body?.credential);
+  if (!verdict.ok) {
+    rejectExchange(req, res, 'passkey', `passkey ${verdict.code}`, `passkey_${verdict.code}`);
+    return;
+  }
+  const { passkey } = verdict;
+  // A browser that lost its stored device id signs back in as the device that registered the passkey.
+  // User verification already makes a passkey two factors, so it also counts as a fresh TOTP verification.
+  const scope = passkey.scope === 'admin' ? 'admin' : 'readonly';
+  const grants = passkey.grants ? parseRequestedGrants(passkey.grants, scope) : undefined;
+  if (grants && !grants.ok) {
+    rejectExchange(req, res, 'passkey', 'passkey grants invalid', 'passkey_invalid_credential');
+    return;
+  }
+  issueDeviceSession(req, res, scope, 'passkey', {
+    fallbackDeviceId: passkey.deviceId,
+    grants: grants?.grants,
+    totp: { ok: true, codeVerified: scope === 'admin' && totpService.isEnrolled() },
+    metadata: { passkeyId: passkey.id }
   });
 });
 
@@ -336,6 +552,9 @@ const accessAuthMiddleware = createAccessAuthMiddleware(accessTokenService, {
         reason
       }
     });
+  },
+  onSuccess: (req, context) => {
+    accessTokenService.recordDeviceSeen(context.claims, getClientIp(req));
   }
 });
 app.use('/api', accessAuthMiddleware);
@@ -344,7 +563,7 @@ app.post('/api/auth/refresh', (req, res) => {
   const auth = res.locals.auth as
     | {
         token: string;
-        claims: { jti: string; scope: AccessTokenScope };
+        claims: { jti: string; scope: AccessTokenScope; did?: string };
       }
     | undefined;
   if (!auth) {
@@ -352,6 +571,15 @@ app.post('/api/auth/refresh', (req, res) => {
     return;
   }
 
+  const body = req.body && typeof req.body === 'object' ? (req.body as Record<string, unknown>) : null;
+  if (body?.totpCode !== undefined && !checkExchangeLock(req, res)) {
+    return;
+  }
+  const totp = checkTotp(req, res, auth.claims.scope, auth.claims.did ?? '');
+  if (!totp) {
+    return;
+  }
+
   const remoteIp = getClientIp(req);
   const refreshed = accessTokenService.refreshAccessToken(auth.token, remoteIp);
   if (!refreshed.ok) {
@@ -376,16 +604,21 @@ app.post('/api/auth/refresh', (req, res) => {
     metadata: {
       previousJti: refreshed.previousClaims.jti,
       scope: refreshed.issued.claims.scope,
-      expiresAt: refreshed.issued.expiresAt
+      expiresAt: refreshed.issued.expiresAt,
+      ...(totp.codeVerified ? { totp: true } : {})
     }
   });
 
+  const did = refreshed.issued.claims.did;
+  const totpTicket = totp.codeVerified && did ? totpService.markVerified(did) : totp.ticket;
   res.status(200).json({
     tokenType: 'Bearer',
     accessToken: refreshed.issued.token,
     scope: refreshed.issued.claims.scope,
+    grants: resolveGrants(refreshed.issued.claims),
     expiresAt: refreshed.issued.expiresAt,
-    ttlSeconds: accessTokenService.getAccessTokenTtlSeconds()
+    ttlSeconds: accessTokenService.getAccessTokenTtlSeconds(),
+    ...(totpTicket ? { totpTicket } : {})
   });
 });
 
@@ -418,9 +651,17 @@ app.post('/api/auth/revoke', (req, res) => {
 
 registerApiRoutes(app, {
   store,
+  accessTokenService,
+  bootstrapTokens,
+  pairingCodes,
+  passkeyService,
   ptyManager,
   defaultWorkingDirectory,
-  auditLogger
+  auditLogger,
+  pushNotifier,
+  uploads,
+  archiveMaxBytes: parseIntEnv('C2P_ARCHIVE_MAX_MB', 2048) * 1024 * 1024,
+  trash
 });
 
 const server = http.createServer(app);
@@ -431,7 +672,10 @@ const channels: WsChannel[] = [
     accessTokenService,
     auditLogger,
     metrics,
-    wsAuthFailureLimiter
+    wsAuthFailureLimiter,
+    pushNotifier,
+    fsRoot: defaultWorkingDirectory,
+    trashDir: trash.dir
   }),
   createTerminalChannel({
     ptyManager,
@@ -473,6 +717,8 @@ server.on('upgrade', (request, socket, head) => {
 server.on('close', () => {
   ptyManager.dispose();
   metrics.dispose();
+  pushNotifier.dispose();
+  trash.dispose();
   store.close();
 });
 
@@ -490,7 +736,64 @@ server.on('error', (error: NodeJS.ErrnoException) => {
   process.exit(1);
 });
 
+// Where printed pairing links point; the tunnel origin once tailscale is up.
+let pairingBaseUrl = `http://localhost:${port}`;
+
+function printPairingCode(source: 'startup' | 'signal'): void {
+  const pairing = pairingCodes.issue('admin', 'local');
+  auditLogger.log({
+    event: 'auth.pairing_issued',
+    actor: 'local',
+    resource: pairing.id,
+    outcome: 'success',
+    metadata: {
+      scope: pairing.scope,
+      expiresAt: pairing.expiresAt,
+      source
+    }
+  });
+  const expiresAt = new Date(pairing.expiresAt).toLocaleTimeString();
+  console.log(`[c2p] pairing code: ${formatPairingCode(pairing.code)} (single use, expires ${expiresAt})`);
+  const pairingUrl = `${pairingBaseUrl}/#pair=${pairing.token}`;
+  console.log(`[c2p] pairing link: ${pairingUrl}`);
+  console.log('[c2p] scan to pair:');
+  qrcode.generate(pairingUrl, { small: true });
+}
+
+// `c2pctl pair` asks the running server for a fresh code this way.
+process.on('SIGUSR2', () => {
+  printPairingCode('signal');
+});
+
+// `c2pctl rotate-token` rewrites `.auth-token` from another process.
+fs.watchFile(bootstrapTokens.getFilePath(), { interval: 2000, persistent: false }, () => {
+  try {
+    const rotation = bootstrapTokens.reload();
+    if (!rotation) {
+      return;
+    }
+    const revokedPairingCodes = pairingCodes.revokeAll();
+    auditLogger.log({
+      event: 'auth.bootstrap_rotated',
+      actor: 'local',
+      resource: 'bootstrap',
+      outcome: 'success',
+      metadata: {
+        source: 'file',
+        previousFingerprint: rotation.previousFingerprint,
+        fingerprint: rotation.fingerprint,
+        revokedPairingCodes
+      }
+    });
+    console.log(`[c2p] bootstrap token rotated (${rotation.previousFingerprint} -> ${rotation.fingerprint})`);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(`[c2p] bootstrap token reload failed, keeping the current token: ${message}`);
+  }
+});
+
 server.listen(port, async () => {
+  const bootstrapToken = bootstrapTokens.getToken();
   const localUrl = `http://localhost:${port}/#token=${bootstrapToken}`;
   const lan = getLanAddress();
 
@@ -499,6 +802,11 @@ server.listen(port, async () => {
   console.log(`[c2p] terminal default cwd: ${defaultTerminalWorkingDirectory}`);
   console.log(`[c2p] sqlite: ${store.getDbPath()}`);
   console.log(`[c2p] audit dir: ${auditLogger.getDir()}`);
+  console.log(
+    totpService.isEnrolled()
+      ? `[c2p] totp: required for admin sign-ins, re-verified every ${totpService.getReverifyDays()} days`
+      : '[c2p] totp: not enrolled (node dist/auth-cli.js totp enroll)'
+  );
   console.log(`[c2p] local bootstrap: ${localUrl}`);
   if (lan) {
     console.log(`[c2p] lan bootstrap: http://${lan}:${port}/#token=${bootstrapToken}`);
@@ -508,8 +816,8 @@ server.listen(port, async () => {
     const tunnelUrl = await startTunnel(port, bootstrapToken);
     const tunnelCommand = isEnabledEnvFlag(process.env.TAILSCALE_FUNNEL) ? 'funnel' : 'serve';
     console.log(`[c2p] tunnel: tailscale ${tunnelCommand} -> ${tunnelUrl}`);
-    console.log('[c2p] scan to connect:');
-    qrcode.generate(tunnelUrl, { small: true });
+    pairingBaseUrl = new URL(tunnelUrl).origin;
+    printPairingCode('startup');
   } catch (error) {
     const message = error instanceof Error ? error.message : String(error);
     console.error(`[c2p] tunnel startup failed: ${message}`);
@@ -0,0 +1,179 @@
+import fs from 'node:fs';
+import { createIsolatedLineMatcher, createLiteralLineMatcher, type LineMatcher } from './line-matcher.js';
+
+const LOG_SEARCH_CHUNK_BYTES = 64 * 1024;
+const LOG_SEARCH_LINE_MAX_BYTES = 16 * 1024;
+const LOG_SEARCH_BATCH_MAX_LINES = 1000;
+const LOG_SEARCH_PREVIEW_MAX_LENGTH = 240;
+export const LOG_SEARCH_QUERY_MAX_LENGTH = 256;
+export const LOG_SEARCH_LIMIT_DEFAULT = 50;
+export const LOG_SEARCH_LIMIT_MAX = 500;
+
+const ANSI_SEQUENCE_PATTERN =
+  // OSC ... (BEL | ST), DCS/SOS/PM/APC ... ST, CSI, then single-character escapes.
+  /\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)?|\x1b[PX^_][^\x1b]*(?:\x1b\\)?|\x1b\[[0-?]*[ -/]*[@-~]|\x1b[ -/]*[0-~]/g;
+const CONTROL_CHAR_PATTERN = /[\u0000-\u0008\u000b-\u001f\u007f]/g;
+
+export interface SessionLogSearchOptions {
+  query: string;
+  regex?: boolean;
+  caseSensitive?: boolean;
+  limit?: number;
+  before?: number;
+}
+
+export interface SessionLogSearchMatch {
+  offset: number;
+  line: number;
+  column: number;
+  length: number;
+  preview: string;
+}
+
+export type SessionLogSearchResult =
+  | { ok: true; matches: SessionLogSearchMatch[]; logBytes: number; truncated: boolean }
+  | { ok: false; status: number; error: string };
+
+export type SessionLogMatcherResult = { ok: true; matcher: LineMatcher } | { ok: false; error: string };
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function stripAnsiText(value: string): string {
+  const withoutEscapes = value.replace(ANSI_SEQUENCE_PATTERN, '');
+  // A bare carriage return redraws the line, so only the text after the last one is what the user saw.
+  const lastCarriageReturn = withoutEscapes.lastIndexOf('\r', withoutEscapes.length - 2);
+  const visible = lastCarriageReturn >= 0 ? withoutEscapes.slice(lastCarriageReturn + 1) : withoutEscapes;
+  return visible.replace(/\r$/, '').replace(CONTROL_CHAR_PATTERN, '');
+}
+
+export function createSessionLogMatcher(query: string, options: { regex?: boolean; caseSensitive?: boolean } = {}): SessionLogMatcherResult {
+  if (typeof query !== 'string' || query.length === 0) {
+    return { ok: false, error: 'query is required' };
+  }
+  if (query.length > LOG_SEARCH_QUERY_MAX_LENGTH) {
+    return { ok: false, error: 'query is too long' };
+  }
+  const source = options.regex ? query : escapeRegExp(query);
+  const flags = options.caseSensitive ? 'g' : 'gi';
+  try {
+    const matcher = new RegExp(source, flags);
+    if (matcher.test('')) {
+      return { ok: false, error: 'query matches empty text' };
+    }
+    matcher.lastIndex = 0;
+    return { ok: true, matcher: options.regex ? createIsolatedLineMatcher(matcher) : createLiteralLineMatcher(matcher) };
+  } catch {
+    return { ok: false, error: 'invalid regular expression' };
+  }
+}
+
+function buildPreview(text: string, column: number, length: number): string {
+  if (text.length <= LOG_SEARCH_PREVIEW_MAX_LENGTH) {
+    return text;
+  }
+  const context = Math.max(0, Math.floor((LOG_SEARCH_PREVIEW_MAX_LENGTH - length) / 2));
+  const start = Math.max(0, Math.min(column - context, text.length - LOG_SEARCH_PREVIEW_MAX_LENGTH));
+  return text.slice(start, start + LOG_SEARCH_PREVIEW_MAX_LENGTH);
+}
+
+// Matches are reported per line with the byte offset of the line start so clients can replay from there.
+// When more than `limit` lines match, the latest ones win because older output is the least likely target.
+export async function searchSessionLog(
+  logPath: string,
+  matcher: LineMatcher,
+  options: Pick<SessionLogSearchOptions, 'limit' | 'before'> = {}
+): Promise<SessionLogSearchResult> {
+  const limit =
+    Number.isFinite(options.limit) && (options.limit as number) > 0
+      ? Math.min(LOG_SEARCH_LIMIT_MAX, Math.floor(options.limit as number))
+      : LOG_SEARCH_LIMIT_DEFAULT;
+  const logBytes = (await fs.promises.stat(logPath)).size;
+  const endOffset =
+    Number.isFinite(options.before) && (options.before as number) >= 0
+      ? Math.min(logBytes, Math.floor(options.before as number))
+      : logBytes;
+
+  const matches: SessionLogSearchMatch[] = [];
+  let truncated = false;
+  let lineNumber = 0;
+  let lineStart = 0;
+  let pending: Buffer[] = [];
+  let pendingBytes = 0;
+  let batch: Array<{ offset: number; line: number; text: string }> = [];
+
+  const flushLine = (): void => {
+    const raw = Buffer.concat(pending, pendingBytes).toString('utf8');
+    pending = [];
+    pendingBytes = 0;
+    batch.push({ offset: lineStart, line: lineNumber, text: stripAnsiText(raw) });
+    lineNumber += 1;
+  };
+
+  const flushBatch = async (): Promise<string | null> => {
+    const lines = batch;
+    batch = [];
+    const result = await matcher.match(lines.map((entry) => entry.text));
+    if (!result.ok) {
+      return result.error;
+    }
+    result.matches.forEach((found, index) => {
+      if (!found) {
+        return;
+      }
+      const { offset, line, text } = lines[index];
+      matches.push({ offset, line, ...found, preview: buildPreview(text, found.column, found.length) });
+      if (matches.length > limit) {
+        matches.shift();
+        truncated = true;
+      }
+    });
+    return null;
+  };
+
+  if (endOffset === 0) {
+    return { ok: true, matches, logBytes, truncated };
+  }
+
+  const stream = fs.createReadStream(logPath, {
+    highWaterMark: LOG_SEARCH_CHUNK_BYTES,
+    end: endOffset - 1
+  });
+  let position = 0;
+  for await (const chunk of stream as AsyncIterable<Buffer>) {
+    let cursor = 0;
+    while (cursor < chunk.length) {
+      const newlineIndex = chunk.indexOf(0x0a, cursor);
+      const segmentEnd = newlineIndex < 0 ? chunk.length : newlineIndex;
+      const room = LOG_SEARCH_LINE_MAX_BYTES - pendingBytes;
+      if (room > 0 && segmentEnd > cursor) {
+        const segment = chunk.subarray(cursor, Math.min(segmentEnd, cursor + room));
+        pending.push(segment);
+        pendingBytes += segment.length;
+      }
+      if (newlineIndex < 0) {
+        break;
+      }
+      flushLine();
+      cursor = newlineIndex + 1;
+      lineStart = position + cursor;
+    }
+    position += chunk.length;
+    if (batch.length >= LOG_SEARCH_BATCH_MAX_LINES) {
+      const error = await flushBatch();
+      if (error) {
+        return { ok: false, status: 422, error };
+      }
+    }
+  }
+  if (pendingBytes > 0) {
+    flushLine();
+  }
+  const error = await flushBatch();
+  if (error) {
+    return { ok: false, status: 422, error };
+  }
+
+  return { ok: true, matches, logBytes, truncated };
+}
@@ -0,0 +1,161 @@
+const SESSION_NAME_MAX_LENGTH = 64;
+const SESSION_TAG_MAX_LENGTH = 32;
+const SESSION_TAGS_MAX_COUNT = 16;
+const SESSION_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/;
+
+export interface SessionMetadata {
+  name?: string;
+  color?: string;
+  tags?: string[];
+}
+
+export interface SessionMetadataPatch {
+  name?: string | null;
+  color?: string | null;
+  tags?: string[] | null;
+}
+
+export type SessionMetadataPatchResult = { ok: true; patch: SessionMetadataPatch } | { ok: false; error: string };
+
+function normalizeName(value: unknown): string | undefined {
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+  const collapsed = value.replace(/[\u0000-\u001f\u007f]+/g, ' ').trim();
+  if (!collapsed) {
+    return undefined;
+  }
+  return collapsed.slice(0, SESSION_NAME_MAX_LENGTH);
+}
+
+function normalizeColor(value: unknown): string | undefined {
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+  const lowered = value.trim().toLowerCase();
+  return SESSION_COLOR_PATTERN.test(lowered) ? lowered : undefined;
+}
+
+function normalizeTags(value: unknown): string[] | undefined {
+  if (!Array.isArray(value)) {
+    return undefined;
+  }
+  const output: string[] = [];
+  const seen = new Set<string>();
+  for (const entry of value) {
+    const tag = normalizeName(entry)?.slice(0, SESSION_TAG_MAX_LENGTH);
+    if (!tag || seen.has(tag)) {
+      continue;
+    }
+    seen.add(tag);
+    output.push(tag);
+    if (output.length >= SESSION_TAGS_MAX_COUNT) {
+      break;
+    }
+  }
+  return output.length > 0 ? output : undefined;
+}
+
+export function normalizeSessionMetadata(value: unknown): SessionMetadata {
+  if (!value || typeof value !== 'object') {
+    return {};
+  }
+  const candidate = value as Record<string, unknown>;
+  const metadata: SessionMetadata = {};
+  const name = normalizeName(candidate.name);
+  const color = normalizeColor(candidate.color);
+  const tags = normalizeTags(candidate.tags);
+  if (name) {
+    metadata.name = name;
+  }
+  if (color) {
+    metadata.color = color;
+  }
+  if (tags) {
+    metadata.tags = tags;
+  }
+  return metadata;
+}
+
+export function hasSessionMetadata(metadata: SessionMetadata): boolean {
+  return !!metadata.name || !!metadata.color || (Array.isArray(metadata.tags) && metadata.tags.length > 0);
+}
+
+export function parseSessionMetadataPatch(value: unknown): SessionMetadataPatchResult {
+  if (!value || typeof value !== 'object') {
+    return { ok: false, error: 'invalid metadata payload' };
+  }
+  const candidate = value as Record<string, unknown>;
+  const patch: SessionMetadataPatch = {};
+
+  if ('name' in candidate) {
+    if (candidate.name === null || candidate.name === '') {
+      patch.name = null;
+    } else if (typeof candidate.name === 'string') {
+      patch.name = normalizeName(candidate.name) ?? null;
+    } else {
+      return { ok: false, error: 'invalid session name' };
+    }
+  }
+
+  if ('color' in candidate) {
+    if (candidate.color === null || candidate.color === '') {
+      patch.color = null;
+    } else {
+      const color = normalizeColor(candidate.color);
+      if (!color) {
+        return { ok: false, error: 'invalid session color' };
+      }
+      patch.color = color;
+    }
+  }
+
+  if ('tags' in candidate) {
+    if (candidate.tags === null) {
+      patch.tags = null;
+    } else if (Array.isArray(candidate.tags) && candidate.tags.every((tag) => typeof tag === 'string')) {
+      patch.tags = normalizeTags(candidate.tags) ?? null;
+    } else {
+      return { ok: false, error: 'invalid session tags' };
+    }
+  }
+
+  if (!('name' in patch) && !('color' in patch) && !('tags' in patch)) {
+    return { ok: false, error: 'empty metadata update' };
+  }
+  return { ok: true, patch };
+}
+
+export function applySessionMetadataPatch(current: SessionMetadata, patch: SessionMetadataPatch): SessionMetadata {
+  const next: SessionMetadata = {
+    name: current.name,
+    color: current.color,
+    tags: current.tags ? [...current.tags] : undefined
+  };
+  if (patch.name !== undefined) {
+    next.name = patch.name ?? undefined;
+  }
+  if (patch.color !== undefined) {
+    next.color = patch.color ?? undefined;
+  }
+  if (patch.tags !== undefined) {
+    next.tags = patch.tags ? [...patch.tags] : undefined;
+  }
+  return normalizeSessionMetadata(next);
+}
+
+export function encodeSessionMetadata(metadata: SessionMetadata): string {
+  const normalized = normalizeSessionMetadata(metadata);
+  return hasSessionMetadata(normalized) ? JSON.stringify(normalized) : '';
+}
+
+export function decodeSessionMetadata(raw: string | undefined): SessionMetadata {
+  if (typeof raw !== 'string' || raw.trim().length === 0) {
+    return {};
+  }
+  try {
+    return normalizeSessionMetadata(JSON.parse(raw));
+  } catch {
+    return {};
+  }
+}
@@ -0,0 +1,278 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+const RECORDING_ID_PATTERN = /^([A-Za-z0-9-]+)-(\d{8}T\d{9}Z)$/;
+const RECORDING_EXTENSION = '.cast';
+const RECORDING_HEADER_MAX_BYTES = 8 * 1024;
+
+export const RECORDING_DIR = path.join(process.cwd(), '.c2p-recordings');
+
+export interface AsciicastHeader {
+  version: 2;
+  width: number;
+  height: number;
+  timestamp: number;
+  title?: string;
+  env?: Record<string, string>;
+}
+
+export interface RecordingInfo {
+  id: string;
+  sessionId: string;
+  title?: string;
+  width: number;
+  height: number;
+  startedAt: string;
+  bytes: number;
+  active: boolean;
+}
+
+export interface AsciicastRecorderOptions {
+  dir?: string;
+  sessionId: string;
+  cols: number;
+  rows: number;
+  title?: string;
+  now?: Date;
+  // The recorder stops writing once the file would grow past this many bytes; 0 means no limit.
+  maxBytes?: number;
+}
+
+export function isRecordingId(value: unknown): value is string {
+  return typeof value === 'string' && value.length <= 160 && RECORDING_ID_PATTERN.test(value);
+}
+
+export function resolveRecordingPath(dir: string, recordingId: string): string | null {
+  return isRecordingId(recordingId) ? path.join(dir, `${recordingId}${RECORDING_EXTENSION}`) : null;
+}
+
+function toRecordingStamp(date: Date): string {
+  return date.toISOString().replace(/[-:]/g, '').replace('.', '');
+}
+
+function parseAsciicastHeader(line: string): AsciicastHeader | null {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(line);
+  } catch {
+    return null;
+  }
+  if (!parsed || typeof parsed !== 'object') {
+    return null;
+  }
+  const candidate = parsed as Record<string, unknown>;
+  if (candidate.version !== 2 || typeof candidate.width !== 'number' || typeof candidate.height !== 'number') {
+    return null;
+  }
+  return {
+    version: 2,
+    width: candidate.width,
+    height: candidate.height,
+    timestamp: typeof candidate.timestamp === 'number' ? candidate.timestamp : 0,
+    title: typeof candidate.title === 'string' ? candidate.title : undefined
+  };
+}
+
+async function readRecordingHeader(filePath: string): Promise<AsciicastHeader | null> {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(RECORDING_HEADER_MAX_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    const text = buffer.subarray(0, bytesRead).toString('utf8');
+    const newlineIndex = text.indexOf('\n');
+    return parseAsciicastHeader(newlineIndex >= 0 ? text.slice(0, newlineIndex) : text);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Newest first; files without a readable asciicast v2 header are skipped rather than failing the listing.
+export async function listRecordings(dir: string, activeIds: ReadonlySet<string> = new Set()): Promise<RecordingInfo[]> {
+  let names: string[];
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch {
+    return [];
+  }
+  const recordings: Array<RecordingInfo & { stamp: string }> = [];
+  for (const name of names) {
+    if (!name.endsWith(RECORDING_EXTENSION)) {
+      continue;
+    }
+    const id = name.slice(0, -RECORDING_EXTENSION.length);
+    const matched = RECORDING_ID_PATTERN.exec(id);
+    if (!matched) {
+      continue;
+    }
+    const filePath = path.join(dir, name);
+    try {
+      const [stat, header] = await Promise.all([fs.promises.stat(filePath), readRecordingHeader(filePath)]);
+      if (!stat.isFile() || !header) {
+        continue;
+      }
+      const recording: RecordingInfo & { stamp: string } = {
+        stamp: matched[2],
+        id,
+        sessionId: matched[1],
+        width: header.width,
+        height: header.height,
+        startedAt: new Date(header.timestamp * 1000).toISOString(),
+        bytes: stat.size,
+        active: activeIds.has(id)
+      };
+      if (header.title) {
+        recording.title = header.title;
+      }
+      recordings.push(recording);
+    } catch {
+      // The file may have been removed between readdir and stat.
+    }
+  }
+  return recordings
+    .sort((left, right) => right.stamp.localeCompare(left.stamp))
+    .map(({ stamp: _stamp, ...recording }) => recording);
+}
+
+// Removes finished recordings last written more than `maxAgeMs` ago; returns how many were removed.
+export async function pruneRecordings(
+  dir: string,
+  maxAgeMs: number,
+  activeIds: ReadonlySet<string> = new Set(),
+  now = Date.now()
+): Promise<number> {
+  let names: string[];
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch {
+    return 0;
+  }
+  let removed = 0;
+  for (const name of names) {
+    const id = name.endsWith(RECORDING_EXTENSION) ? name.slice(0, -RECORDING_EXTENSION.length) : '';
+    if (!isRecordingId(id) || activeIds.has(id)) {
+      continue;
+    }
+    const filePath = path.join(dir, name);
+    try {
+      const stat = await fs.promises.stat(filePath);
+      if (stat.isFile() && now - stat.mtimeMs > maxAgeMs) {
+        await fs.promises.rm(filePath, { force: true });
+        removed += 1;
+      }
+    } catch {
+      // The file may have been removed between readdir and stat.
+    }
+  }
+  return removed;
+}
+
+// Writes asciicast v2: a JSON header line followed by `[elapsedSeconds, code, data]` event lines.
+// Output arriving while the file stream is still flushing earlier events is dropped rather than buffered,
+// so a noisy session cannot grow memory without bound.
+export class AsciicastRecorder {
+  readonly id: string;
+  readonly sessionId: string;
+  readonly filePath: string;
+  readonly startedAt: string;
+  private readonly startedAtNs: bigint;
+  private readonly stream: fs.WriteStream;
+  private readonly maxBytes: number;
+  private cols: number;
+  private rows: number;
+  private bytes: number;
+  private draining = false;
+  private droppedFrames = 0;
+  private full = false;
+  private closed = false;
+
+  constructor(options: AsciicastRecorderOptions) {
+    const dir = options.dir ?? RECORDING_DIR;
+    const now = options.now ?? new Date();
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    this.sessionId = options.sessionId;
+    this.id = `${options.sessionId}-${toRecordingStamp(now)}`;
+    this.filePath = path.join(dir, `${this.id}${RECORDING_EXTENSION}`);
+    this.startedAt = now.toISOString();
+    this.startedAtNs = process.hrtime.bigint();
+    this.maxBytes = options.maxBytes ?? 0;
+    this.cols = options.cols;
+    this.rows = options.rows;
+
+    const header: AsciicastHeader = {
+      version: 2,
+      width: options.cols,
+      height: options.rows,
+      timestamp: Math.floor(now.getTime() / 1000),
+      env: { TERM: 'xterm-256color' }
+    };
+    if (options.title) {
+      header.title = options.title;
+    }
+    const headerLine = `${JSON.stringify(header)}\n`;
+    fs.writeFileSync(this.filePath, headerLine, { encoding: 'utf8', flag: 'wx', mode: 0o600 });
+    this.bytes = Buffer.byteLength(headerLine);
+    this.stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+    this.stream.on('error', (error) => {
+      this.closed = true;
+      console.warn(`[c2p] recording: write failed for ${this.id} (${error.message})`);
+    });
+  }
+
+  // True once the size limit has been reached; nothing more is written after that.
+  get isFull(): boolean {
+    return this.full;
+  }
+
+  writeOutput(data: string): void {
+    if (data.length > 0) {
+      this.writeEvent('o', data);
+    }
+  }
+
+  resize(cols: number, rows: number): void {
+    if (cols === this.cols && rows === this.rows) {
+      return;
+    }
+    this.cols = cols;
+    this.rows = rows;
+    this.writeEvent('r', `${cols}x${rows}`);
+  }
+
+  close(): Promise<void> {
+    if (this.closed) {
+      return Promise.resolve();
+    }
+    this.closed = true;
+    if (this.droppedFrames > 0) {
+      console.warn(`[c2p] recording: dropped ${this.droppedFrames} output frames for ${this.id} (disk too slow)`);
+    }
+    return new Promise((resolve) => {
+      this.stream.end(() => resolve());
+    });
+  }
+
+  private writeEvent(code: 'o' | 'r', data: string): void {
+    if (this.closed || this.full) {
+      return;
+    }
+    // Resize events are rare and keep playback geometry right, so only output is dropped.
+    if (this.draining && code === 'o') {
+      this.droppedFrames += 1;
+      return;
+    }
+    const elapsedSeconds = Number(process.hrtime.bigint() - this.startedAtNs) / 1e9;
+    const line = `${JSON.stringify([Number(elapsedSeconds.toFixed(6)), code, data])}\n`;
+    const lineBytes = Buffer.byteLength(line);
+    if (this.maxBytes > 0 && this.bytes + lineBytes > this.maxBytes) {
+      this.full = true;
+      return;
+    }
+    this.bytes += lineBytes;
+    if (!this.stream.write(line) && !this.draining) {
+      this.draining = true;
+      this.stream.once('drain', () => {
+        this.draining = false;
+      });
+    }
+  }
+}
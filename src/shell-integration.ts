@@ -0,0 +1,168 @@
+import { stripAnsiText } from './session-log-search.js';
+
+const OSC_START = '\u001b]';
+const OSC_BEL = '\u0007';
+const OSC_ST = '\u001b\\';
+const SHELL_INTEGRATION_MAX_CARRY_CHARS = 8192;
+const SHELL_COMMAND_CAPTURE_MAX_CHARS = 4096;
+const SHELL_COMMAND_TEXT_MAX_LENGTH = 512;
+const SHELL_NOTIFICATION_TEXT_MAX_LENGTH = 256;
+
+export interface CommandFinishedEvent {
+  command: string;
+  exitCode: number | null;
+  durationMs: number;
+  finishedAt: string;
+}
+
+export interface ShellNotification {
+  title: string;
+  body: string;
+}
+
+export interface ShellIntegrationEvents {
+  finished: CommandFinishedEvent[];
+  notifications: ShellNotification[];
+}
+
+function sanitizeText(value: string, maxLength: number): string {
+  return value
+    .replace(/[\u0000-\u001f\u007f]+/g, ' ')
+    .trim()
+    .slice(0, maxLength);
+}
+
+function parseExitCode(value: string | undefined): number | null {
+  if (value === undefined || !/^-?\d{1,6}$/.test(value)) {
+    return null;
+  }
+  return Number(value);
+}
+
+// Follows the FinalTerm / iTerm2 shell integration markers:
+//   OSC 133;A prompt start, OSC 133;B prompt end (the echoed command line follows),
+//   OSC 133;C command output starts, OSC 133;D[;exit] command finished.
+// OSC 9;<text> (iTerm2) and OSC 777;notify;<title>;<body> (urxvt/VTE) are surfaced as notifications.
+export class ShellIntegrationTracker {
+  private carry = '';
+  private capturingCommand = false;
+  private commandCapture = '';
+  private command = '';
+  private commandStartedAt: number | null = null;
+
+  feed(data: string, now = Date.now()): ShellIntegrationEvents {
+    const events: ShellIntegrationEvents = { finished: [], notifications: [] };
+    const combined = `${this.carry}${data}`;
+    this.carry = '';
+    let cursor = 0;
+
+    while (cursor < combined.length) {
+      const start = combined.indexOf(OSC_START, cursor);
+      this.captureText(combined.slice(cursor, start === -1 ? combined.length : start));
+      if (start === -1) {
+        break;
+      }
+
+      const belIndex = combined.indexOf(OSC_BEL, start + OSC_START.length);
+      const stIndex = combined.indexOf(OSC_ST, start + OSC_START.length);
+      let endIndex = -1;
+      let terminatorLength = 0;
+      if (belIndex !== -1 && (stIndex === -1 || belIndex < stIndex)) {
+        endIndex = belIndex;
+        terminatorLength = 1;
+      } else if (stIndex !== -1) {
+        endIndex = stIndex;
+        terminatorLength = 2;
+      }
+      if (endIndex === -1) {
+        const pending = combined.slice(start);
+        this.carry = pending.length <= SHELL_INTEGRATION_MAX_CARRY_CHARS ? pending : '';
+        break;
+      }
+
+      this.handleOsc(combined.slice(start + OSC_START.length, endIndex), now, events);
+      cursor = endIndex + terminatorLength;
+    }
+
+    return events;
+  }
+
+  private captureText(text: string): void {
+    if (!this.capturingCommand || !text) {
+      return;
+    }
+    const room = SHELL_COMMAND_CAPTURE_MAX_CHARS - this.commandCapture.length;
+    if (room > 0) {
+      this.commandCapture += text.slice(0, room);
+    }
+  }
+
+  private handleOsc(payload: string, now: number, events: ShellIntegrationEvents): void {
+    const separator = payload.indexOf(';');
+    const code = separator === -1 ? payload : payload.slice(0, separator);
+    const body = separator === -1 ? '' : payload.slice(separator + 1);
+
+    if (code === '133') {
+      const [marker, ...params] = body.split(';');
+      if (marker === 'A') {
+        this.capturingCommand = false;
+        return;
+      }
+      if (marker === 'B') {
+        this.capturingCommand = true;
+        this.commandCapture = '';
+        return;
+      }
+      if (marker === 'C') {
+        this.capturingCommand = false;
+        // The echoed line ends with the Enter key's CR/LF, which would otherwise read as a line redraw.
+        const echoedLine = this.commandCapture.replace(/[\r\n]+$/, '');
+        this.command = sanitizeText(stripAnsiText(echoedLine), SHELL_COMMAND_TEXT_MAX_LENGTH);
+        this.commandCapture = '';
+        this.commandStartedAt = now;
+        return;
+      }
+      if (marker === 'D') {
+        // A bare D without a preceding C means the prompt was submitted empty; nothing ran.
+        if (this.commandStartedAt !== null) {
+          events.finished.push({
+            command: this.command,
+            exitCode: parseExitCode(params[0]),
+            durationMs: Math.max(0, now - this.commandStartedAt),
+            finishedAt: new Date(now).toISOString()
+          });
+        }
+        this.capturingCommand = false;
+        this.command = '';
+        this.commandStartedAt = null;
+      }
+      return;
+    }
+
+    if (code === '9') {
+      // ConEmu reuses OSC 9 with numeric subcommands (progress, cwd, ...), which are not notifications.
+      if (/^\d+(;|$)/.test(body)) {
+        return;
+      }
+      const text = sanitizeText(body, SHELL_NOTIFICATION_TEXT_MAX_LENGTH);
+      if (text) {
+        events.notifications.push({ title: '', body: text });
+      }
+      return;
+    }
+
+    if (code === '777') {
+      const [action, title = '', ...rest] = body.split(';');
+      if (action !== 'notify') {
+        return;
+      }
+      const notification = {
+        title: sanitizeText(title, SHELL_NOTIFICATION_TEXT_MAX_LENGTH),
+        body: sanitizeText(rest.join(';'), SHELL_NOTIFICATION_TEXT_MAX_LENGTH)
+      };
+      if (notification.title || notification.body) {
+        events.notifications.push(notification);
+      }
+    }
+  }
+}
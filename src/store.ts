@@ -1,8 +1,12 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { DatabaseSync } from 'node:sqlite';
+import type { DeviceRecord } from './devices.js';
+import { isLaunchProfileName, parseLaunchProfileInput, type LaunchProfile } from './launch-profiles.js';
+import { normalizeSessionMetadata, type SessionMetadata } from './session-metadata.js';
+import type { PasskeyRecord } from './webauthn.js';
 
-export type CliKind = 'shell';
+export type CliKind = 'shell' | 'profile';
 export type TaskStatus = 'running' | 'done' | 'error' | 'killed';
 export type SessionStatus = 'running' | 'detached' | 'killed';
 
@@ -19,12 +23,20 @@ export interface TaskRecord {
   exitCode?: number;
 }
 
+export interface TotpSecretRecord {
+  // Encrypted with a key derived from the access signing secret.
+  secret: string;
+  createdAt: string;
+  lastCounter: number;
+}
+
 export interface IssuedTokenRecord {
   jti: string;
   scope: string;
   issuedAt: string;
   expiresAt: string;
   actor: string;
+  deviceId?: string;
 }
 
 export interface SessionRecord {
@@ -36,6 +48,20 @@ export interface SessionRecord {
   startedAt: string;
   updatedAt: string;
   status: SessionStatus;
+  profile?: string;
+  name?: string;
+  color?: string;
+  tags?: string[];
+}
+
+export interface PushSubscriptionRecord {
+  endpoint: string;
+  p256dh: string;
+  auth: string;
+  label: string;
+  deviceId?: string;
+  createdAt: string;
+  updatedAt: string;
 }
 
 interface LegacyStoreData {
@@ -66,7 +92,7 @@ function normalizeTaskStatus(value: unknown): TaskStatus {
 }
 
 function normalizeCliKind(value: unknown): CliKind {
-  if (value === 'shell') {
+  if (value === 'shell' || value === 'profile') {
     return value;
   }
   return 'shell';
@@ -86,6 +112,105 @@ function normalizeIsoDate(value: unknown, fallback: string): string {
   return fallback;
 }
 
+function readSessionMetadataColumns(row: Record<string, unknown>): SessionMetadata {
+  let tags: unknown;
+  try {
+    tags = typeof row.tags === 'string' ? JSON.parse(row.tags) : undefined;
+  } catch {
+    tags = undefined;
+  }
+  return normalizeSessionMetadata({
+    name: row.name,
+    color: row.color,
+    tags
+  });
+}
+
+function toDeviceRecord(row: Record<string, unknown>): DeviceRecord {
+  return {
+    id: toStringValue(row.id),
+    label: toStringValue(row.label),
+    userAgent: toStringValue(row.user_agent),
+    scope: toStringValue(row.scope),
+    firstSeenAt: toStringValue(row.first_seen_at),
+    lastSeenAt: toStringValue(row.last_seen_at),
+    lastIp: toStringValue(row.last_ip),
+    revokedAt: optionalString(row.revoked_at)
+  };
+}
+
+const PASSKEY_COLUMNS =
+  'id, label, public_key, algorithm, rp_id, scope, device_id, sign_count, transports, created_at, last_used_at, ' +
+  'grants';
+
+function toPasskeyRecord(row: Record<string, unknown>): PasskeyRecord {
+  const publicKey = parseJsonColumn(row.public_key);
+  const transports = parseJsonColumn(row.transports);
+  const grants = parseJsonColumn(row.grants);
+  return {
+    id: toStringValue(row.id),
+    label: toStringValue(row.label),
+    publicKey: publicKey && typeof publicKey === 'object' ? (publicKey as PasskeyRecord['publicKey']) : {},
+    algorithm: toInt(row.algorithm),
+    rpId: toStringValue(row.rp_id),
+    scope: toStringValue(row.scope),
+    deviceId: optionalString(row.device_id),
+    signCount: toInt(row.sign_count),
+    transports: Array.isArray(transports) ? transports.filter((entry) => typeof entry === 'string') : [],
+    createdAt: toStringValue(row.created_at),
+    lastUsedAt: optionalString(row.last_used_at),
+    ...(grants && typeof grants === 'object' ? { grants: grants as PasskeyRecord['grants'] } : {})
+  };
+}
+
+function toSessionRecord(row: Record<string, unknown>): SessionRecord {
+  const profile = optionalString(row.profile);
+  return {
+    id: toStringValue(row.id),
+    cli: normalizeCliKind(row.cli),
+    cwd: toStringValue(row.cwd, process.cwd()),
+    cols: toInt(row.cols, 100),
+    rows: toInt(row.rows, 30),
+    startedAt: toStringValue(row.started_at),
+    updatedAt: toStringValue(row.updated_at),
+    status: normalizeSessionStatus(row.status),
+    ...(profile ? { profile } : {}),
+    ...readSessionMetadataColumns(row)
+  };
+}
+
+function parseJsonColumn(value: unknown): unknown {
+  if (typeof value !== 'string' || value.length === 0) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+}
+
+function toLaunchProfile(row: Record<string, unknown>): LaunchProfile | undefined {
+  const name = toStringValue(row.name);
+  const parsed = parseLaunchProfileInput({
+    label: row.label,
+    command: row.command,
+    cwd: row.cwd,
+    env: parseJsonColumn(row.env),
+    layout: parseJsonColumn(row.layout),
+    startupScript: row.startup_script
+  });
+  if (!isLaunchProfileName(name) || !parsed.ok) {
+    return undefined;
+  }
+  return {
+    name,
+    ...parsed.profile,
+    createdAt: toStringValue(row.created_at),
+    updatedAt: toStringValue(row.updated_at)
+  };
+}
+
 function ensureDirectoryFor(filePath: string): void {
   fs.mkdirSync(path.dirname(filePath), { recursive: true });
 }
@@ -182,6 +307,38 @@ export class C2PStore {
         reason TEXT
       );
 
+      CREATE TABLE IF NOT EXISTS devices (
+        id TEXT PRIMARY KEY,
+        label TEXT NOT NULL,
+        user_agent TEXT NOT NULL,
+        scope TEXT NOT NULL,
+        first_seen_at TEXT NOT NULL,
+        last_seen_at TEXT NOT NULL,
+        last_ip TEXT NOT NULL,
+        revoked_at TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS passkeys (
+        id TEXT PRIMARY KEY,
+        label TEXT NOT NULL,
+        public_key TEXT NOT NULL,
+        algorithm INTEGER NOT NULL,
+        rp_id TEXT NOT NULL,
+        scope TEXT NOT NULL,
+        device_id TEXT,
+        sign_count INTEGER NOT NULL,
+        transports TEXT,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS totp_secrets (
+        id TEXT PRIMARY KEY,
+        secret TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        last_counter INTEGER NOT NULL
+      );
+
       CREATE TABLE IF NOT EXISTS sessions (
         id TEXT PRIMARY KEY,
         cli TEXT NOT NULL,
@@ -193,14 +350,53 @@ export class C2PStore {
         status TEXT NOT NULL
       );
 
+      CREATE TABLE IF NOT EXISTS launch_profiles (
+        name TEXT PRIMARY KEY,
+        label TEXT,
+        command TEXT,
+        cwd TEXT,
+        env TEXT,
+        layout TEXT,
+        startup_script TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
       DROP TABLE IF EXISTS push_subscriptions;
 
+      CREATE TABLE IF NOT EXISTS web_push_subscriptions (
+        endpoint TEXT PRIMARY KEY,
+        p256dh TEXT NOT NULL,
+        auth TEXT NOT NULL,
+        label TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
       CREATE INDEX IF NOT EXISTS idx_tasks_created_at ON tasks(created_at DESC);
       CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
       CREATE INDEX IF NOT EXISTS idx_sessions_updated_at ON sessions(updated_at DESC);
       CREATE INDEX IF NOT EXISTS idx_sessions_status ON sessions(status);
       CREATE INDEX IF NOT EXISTS idx_tokens_expires_at ON tokens(expires_at);
     `);
+
+    this.ensureColumn('sessions', 'name', 'TEXT');
+    this.ensureColumn('sessions', 'color', 'TEXT');
+    this.ensureColumn('sessions', 'tags', 'TEXT');
+    this.ensureColumn('sessions', 'profile', 'TEXT');
+    this.ensureColumn('tokens', 'device_id', 'TEXT');
+    this.ensureColumn('devices', 'totp_verified_at', 'TEXT');
+    this.ensureColumn('passkeys', 'grants', 'TEXT');
+    this.ensureColumn('web_push_subscriptions', 'device_id', 'TEXT');
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_tokens_device_id ON tokens(device_id)');
+  }
+
+  private ensureColumn(table: string, column: string, definition: string): void {
+    const columns = this.db.prepare(`PRAGMA table_info(${table})`).all() as Array<Record<string, unknown>>;
+    if (columns.some((entry) => entry.name === column)) {
+      return;
+    }
+    this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
   }
 
   private migrateFromLegacyJson(legacyPath: string): void {
@@ -374,8 +570,10 @@ export class C2PStore {
 
   recordIssuedToken(record: IssuedTokenRecord): void {
     this.db
-      .prepare('INSERT OR REPLACE INTO tokens (jti, scope, issued_at, expires_at, actor) VALUES (?, ?, ?, ?, ?)')
-      .run(record.jti, record.scope, record.issuedAt, record.expiresAt, record.actor);
+      .prepare(
+        'INSERT OR REPLACE INTO tokens (jti, scope, issued_at, expires_at, actor, device_id) VALUES (?, ?, ?, ?, ?, ?)'
+      )
+      .run(record.jti, record.scope, record.issuedAt, record.expiresAt, record.actor, record.deviceId ?? null);
   }
 
   isTokenRevoked(jti: string): boolean {
@@ -391,12 +589,211 @@ export class C2PStore {
       .run(jti, new Date().toISOString(), reason || null);
   }
 
+  createDevice(record: DeviceRecord): void {
+    this.db
+      .prepare(
+        `INSERT INTO devices (id, label, user_agent, scope, first_seen_at, last_seen_at, last_ip, revoked_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        record.id,
+        record.label,
+        record.userAgent,
+        record.scope,
+        record.firstSeenAt,
+        record.lastSeenAt,
+        record.lastIp,
+        record.revokedAt ?? null
+      );
+  }
+
+  getDevice(deviceId: string): DeviceRecord | undefined {
+    const row = this.db
+      .prepare(
+        `SELECT id, label, user_agent, scope, first_seen_at, last_seen_at, last_ip, revoked_at
+         FROM devices WHERE id = ?`
+      )
+      .get(deviceId) as Record<string, unknown> | undefined;
+    return row ? toDeviceRecord(row) : undefined;
+  }
+
+  // Includes the number of unexpired, unrevoked tokens per device.
+  listDevices(): Array<DeviceRecord & { activeTokens: number }> {
+    const rows = this.db
+      .prepare(
+        `SELECT d.id, d.label, d.user_agent, d.scope, d.first_seen_at, d.last_seen_at, d.last_ip, d.revoked_at,
+           (SELECT COUNT(*) FROM tokens t
+            WHERE t.device_id = d.id AND t.expires_at > ?
+              AND NOT EXISTS (SELECT 1 FROM revoked_tokens r WHERE r.jti = t.jti)) AS active_tokens
+         FROM devices d
+         ORDER BY d.last_seen_at DESC`
+      )
+      .all(new Date().toISOString()) as Array<Record<string, unknown>>;
+    return rows.map((row) => ({ ...toDeviceRecord(row), activeTokens: toInt(row.active_tokens) }));
+  }
+
+  updateDevice(
+    deviceId: string,
+    patch: Partial<Pick<DeviceRecord, 'label' | 'userAgent' | 'scope' | 'lastSeenAt' | 'lastIp'>>
+  ): void {
+    const current = this.getDevice(deviceId);
+    if (!current) {
+      return;
+    }
+    const next = { ...current, ...patch };
+    this.db
+      .prepare('UPDATE devices SET label = ?, user_agent = ?, scope = ?, last_seen_at = ?, last_ip = ? WHERE id = ?')
+      .run(next.label, next.userAgent, next.scope, next.lastSeenAt, next.lastIp, deviceId);
+  }
+
+  isDeviceRevoked(deviceId: string): boolean {
+    const row = this.db.prepare('SELECT revoked_at FROM devices WHERE id = ?').get(deviceId) as
+      | Record<string, unknown>
+      | undefined;
+    return !!row && typeof row.revoked_at === 'string';
+  }
+
+  createPasskey(record: PasskeyRecord): void {
+    this.db
+      .prepare(
+        `INSERT INTO passkeys (${PASSKEY_COLUMNS})
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        record.id,
+        record.label,
+        JSON.stringify(record.publicKey),
+        record.algorithm,
+        record.rpId,
+        record.scope,
+        record.deviceId ?? null,
+        record.signCount,
+        JSON.stringify(record.transports),
+        record.createdAt,
+        record.lastUsedAt ?? null,
+        record.grants ? JSON.stringify(record.grants) : null
+      );
+  }
+
+  getPasskey(id: string): PasskeyRecord | undefined {
+    const row = this.db.prepare(`SELECT ${PASSKEY_COLUMNS} FROM passkeys WHERE id = ?`).get(id) as
+      Record<string, unknown> | undefined;
+    return row ? toPasskeyRecord(row) : undefined;
+  }
+
+  listPasskeys(rpId?: string): PasskeyRecord[] {
+    const rows = (
+      rpId
+        ? this.db.prepare(`SELECT ${PASSKEY_COLUMNS} FROM passkeys WHERE rp_id = ? ORDER BY created_at DESC`).all(rpId)
+        : this.db.prepare(`SELECT ${PASSKEY_COLUMNS} FROM passkeys ORDER BY created_at DESC`).all()
+    ) as Array<Record<string, unknown>>;
+    return rows.map(toPasskeyRecord);
+  }
+
+  recordPasskeyUse(id: string, signCount: number, usedAt: string): void {
+    this.db.prepare('UPDATE passkeys SET sign_count = ?, last_used_at = ? WHERE id = ?').run(signCount, usedAt, id);
+  }
+
+  deletePasskey(id: string): boolean {
+    const result = this.db.prepare('DELETE FROM passkeys WHERE id = ?').run(id);
+    return Number(result.changes) > 0;
+  }
+
+  // A single row: the server has one admin identity, so there is one enrolled authenticator.
+  getTotpSecret(): TotpSecretRecord | undefined {
+    const row = this.db.prepare("SELECT secret, created_at, last_counter FROM totp_secrets WHERE id = 'admin'").get() as
+      | Record<string, unknown>
+      | undefined;
+    if (!row) {
+      return undefined;
+    }
+    return {
+      secret: toStringValue(row.secret),
+      createdAt: toStringValue(row.created_at),
+      lastCounter: toInt(row.last_counter)
+    };
+  }
+
+  // Replacing the secret forgets every device verification made against the previous one.
+  setTotpSecret(secret: string, createdAt: string, lastCounter: number): void {
+    this.db.exec('BEGIN IMMEDIATE');
+    try {
+      this.db
+        .prepare("INSERT OR REPLACE INTO totp_secrets (id, secret, created_at, last_counter) VALUES ('admin', ?, ?, ?)")
+        .run(secret, createdAt, lastCounter);
+      this.db.prepare('UPDATE devices SET totp_verified_at = NULL').run();
+      this.db.exec('COMMIT');
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  deleteTotpSecret(): boolean {
+    const result = this.db.prepare("DELETE FROM totp_secrets WHERE id = 'admin'").run();
+    return Number(result.changes) > 0;
+  }
+
+  // Fails when the time step was already used, which makes every code single-use.
+  recordTotpUse(counter: number): boolean {
+    const result = this.db
+      .prepare("UPDATE totp_secrets SET last_counter = ? WHERE id = 'admin' AND last_counter < ?")
+      .run(counter, counter);
+    return Number(result.changes) > 0;
+  }
+
+  getDeviceTotpVerifiedAt(deviceId: string): string | undefined {
+    const row = this.db
+      .prepare('SELECT totp_verified_at FROM devices WHERE id = ? AND revoked_at IS NULL')
+      .get(deviceId) as Record<string, unknown> | undefined;
+    return row ? optionalString(row.totp_verified_at) : undefined;
+  }
+
+  setDeviceTotpVerifiedAt(deviceId: string, verifiedAt: string): void {
+    this.db.prepare('UPDATE devices SET totp_verified_at = ? WHERE id = ?').run(verifiedAt, deviceId);
+  }
+
+  // Marks the device revoked and revokes every token issued to it that has not expired yet; returns those jtis.
+  revokeDevice(deviceId: string, reason = ''): string[] | null {
+    if (!this.getDevice(deviceId)) {
+      return null;
+    }
+    const now = new Date().toISOString();
+    let jtis: string[] = [];
+    this.db.exec('BEGIN IMMEDIATE');
+    try {
+      const rows = this.db
+        .prepare(
+          `SELECT jti FROM tokens t
+           WHERE device_id = ? AND expires_at > ? AND NOT EXISTS (SELECT 1 FROM revoked_tokens r WHERE r.jti = t.jti)`
+        )
+        .all(deviceId, now) as Array<Record<string, unknown>>;
+      jtis = rows.map((row) => toStringValue(row.jti)).filter(Boolean);
+      this.db.prepare('UPDATE devices SET revoked_at = COALESCE(revoked_at, ?) WHERE id = ?').run(now, deviceId);
+      // A passkey on a revoked device would let it sign straight back in.
+      this.db.prepare('DELETE FROM passkeys WHERE device_id = ?').run(deviceId);
+      // Push payloads carry session names and terminal notification text, so a lost device stops receiving them.
+      this.db.prepare('DELETE FROM web_push_subscriptions WHERE device_id = ?').run(deviceId);
+      const revoke = this.db.prepare(
+        'INSERT OR REPLACE INTO revoked_tokens (jti, revoked_at, reason) VALUES (?, ?, ?)'
+      );
+      for (const jti of jtis) {
+        revoke.run(jti, now, reason || null);
+      }
+      this.db.exec('COMMIT');
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+    return jtis;
+  }
+
   upsertSession(session: SessionRecord): void {
     this.db
       .prepare(
         `INSERT OR REPLACE INTO sessions (
-          id, cli, cwd, cols, rows, started_at, updated_at, status
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+          id, cli, cwd, cols, rows, started_at, updated_at, status, name, color, tags, profile
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
       )
       .run(
         session.id,
@@ -406,7 +803,11 @@ export class C2PStore {
         session.rows,
         session.startedAt,
         session.updatedAt,
-        session.status
+        session.status,
+        session.name ?? null,
+        session.color ?? null,
+        session.tags && session.tags.length > 0 ? JSON.stringify(session.tags) : null,
+        session.profile ?? null
       );
   }
 
@@ -428,7 +829,7 @@ export class C2PStore {
   getSession(sessionId: string): SessionRecord | undefined {
     const row = this.db
       .prepare(
-        `SELECT id, cli, cwd, cols, rows, started_at, updated_at, status
+        `SELECT id, cli, cwd, cols, rows, started_at, updated_at, status, name, color, tags, profile
          FROM sessions WHERE id = ?`
       )
       .get(sessionId) as Record<string, unknown> | undefined;
@@ -437,39 +838,118 @@ export class C2PStore {
       return undefined;
     }
 
-    return {
-      id: toStringValue(row.id),
-      cli: normalizeCliKind(row.cli),
-      cwd: toStringValue(row.cwd, process.cwd()),
-      cols: toInt(row.cols, 100),
-      rows: toInt(row.rows, 30),
-      startedAt: toStringValue(row.started_at),
-      updatedAt: toStringValue(row.updated_at),
-      status: normalizeSessionStatus(row.status)
-    };
+    return toSessionRecord(row);
   }
 
   listSessions(): SessionRecord[] {
     const rows = this.db
       .prepare(
-        `SELECT id, cli, cwd, cols, rows, started_at, updated_at, status
+        `SELECT id, cli, cwd, cols, rows, started_at, updated_at, status, name, color, tags, profile
          FROM sessions
          ORDER BY updated_at DESC`
       )
       .all() as Array<Record<string, unknown>>;
 
+    return rows.map((row) => toSessionRecord(row));
+  }
+
+  listLaunchProfiles(): LaunchProfile[] {
+    const rows = this.db
+      .prepare(
+        `SELECT name, label, command, cwd, env, layout, startup_script, created_at, updated_at
+         FROM launch_profiles
+         ORDER BY name ASC`
+      )
+      .all() as Array<Record<string, unknown>>;
+
+    return rows.map((row) => toLaunchProfile(row)).filter((profile): profile is LaunchProfile => !!profile);
+  }
+
+  getLaunchProfile(name: string): LaunchProfile | undefined {
+    const row = this.db
+      .prepare(
+        `SELECT name, label, command, cwd, env, layout, startup_script, created_at, updated_at
+         FROM launch_profiles WHERE name = ?`
+      )
+      .get(name) as Record<string, unknown> | undefined;
+
+    return row ? toLaunchProfile(row) : undefined;
+  }
+
+  upsertLaunchProfile(profile: LaunchProfile): void {
+    this.db
+      .prepare(
+        `INSERT OR REPLACE INTO launch_profiles (
+          name, label, command, cwd, env, layout, startup_script, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        profile.name,
+        profile.label ?? null,
+        profile.command ?? null,
+        profile.cwd ?? null,
+        profile.env ? JSON.stringify(profile.env) : null,
+        profile.layout ? JSON.stringify(profile.layout) : null,
+        profile.startupScript ?? null,
+        profile.createdAt,
+        profile.updatedAt
+      );
+  }
+
+  deleteLaunchProfile(name: string): boolean {
+    const result = this.db.prepare('DELETE FROM launch_profiles WHERE name = ?').run(name);
+    return Number(result.changes) > 0;
+  }
+
+  listPushSubscriptions(): PushSubscriptionRecord[] {
+    const rows = this.db
+      .prepare(
+        `SELECT endpoint, p256dh, auth, label, device_id, created_at, updated_at
+         FROM web_push_subscriptions
+         ORDER BY created_at ASC`
+      )
+      .all() as Array<Record<string, unknown>>;
+
     return rows.map((row) => ({
-      id: toStringValue(row.id),
-      cli: normalizeCliKind(row.cli),
-      cwd: toStringValue(row.cwd, process.cwd()),
-      cols: toInt(row.cols, 100),
-      rows: toInt(row.rows, 30),
-      startedAt: toStringValue(row.started_at),
-      updatedAt: toStringValue(row.updated_at),
-      status: normalizeSessionStatus(row.status)
+      endpoint: toStringValue(row.endpoint),
+      p256dh: toStringValue(row.p256dh),
+      auth: toStringValue(row.auth),
+      label: toStringValue(row.label),
+      deviceId: optionalString(row.device_id),
+      createdAt: toStringValue(row.created_at),
+      updatedAt: toStringValue(row.updated_at)
     }));
   }
 
+  // Re-subscribing the same endpoint refreshes its keys but keeps the original created_at.
+  upsertPushSubscription(record: PushSubscriptionRecord): void {
+    this.db
+      .prepare(
+        `INSERT INTO web_push_subscriptions (endpoint, p256dh, auth, label, device_id, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(endpoint) DO UPDATE SET
+           p256dh = excluded.p256dh,
+           auth = excluded.auth,
+           label = excluded.label,
+           device_id = excluded.device_id,
+           updated_at = excluded.updated_at`
+      )
+      .run(
+        record.endpoint,
+        record.p256dh,
+        record.auth,
+        record.label,
+        record.deviceId ?? null,
+        record.createdAt,
+        record.updatedAt
+      );
+  }
+
+  deletePushSubscription(endpoint: string): boolean {
+    const result = this.db.prepare('DELETE FROM web_push_subscriptions WHERE endpoint = ?').run(endpoint);
+    return Number(result.changes) > 0;
+  }
+
   close(): void {
     this.db.close();
   }
@@ -0,0 +1,246 @@
+import { createCipheriv, createDecipheriv, createHmac, hkdfSync, randomBytes, timingSafeEqual } from 'node:crypto';
+import type { AccessTokenScope } from './auth.js';
+import type { C2PStore } from './store.js';
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from the neighbouring periods are accepted to absorb phone clock drift.
+const TOTP_DRIFT_STEPS = 1;
+const TOTP_SECRET_BYTES = 20;
+const TOTP_ENCRYPTION_VERSION = 'v1';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const DEFAULT_TOTP_REVERIFY_DAYS = 30;
+
+export interface TotpServiceOptions {
+  store: C2PStore;
+  signingSecret: string;
+  reverifyDays?: number;
+}
+
+// `codeVerified` is set when this request carried an accepted code; `ticket` renews an earlier verification.
+export type TotpCheckResult =
+  | { ok: true; codeVerified: boolean; ticket?: string }
+  | { ok: false; reason: 'totp_required' | 'totp_invalid' };
+
+export type TotpCheckPassed = Extract<TotpCheckResult, { ok: true }>;
+
+export interface TotpCheckInput {
+  scope: AccessTokenScope;
+  deviceId?: string;
+  // True when the device id comes from a signed token rather than the request body.
+  deviceTrusted?: boolean;
+  ticket?: unknown;
+  code?: unknown;
+}
+
+export function encodeBase32(input: Buffer): string {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of input) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+export function decodeBase32(input: string): Buffer | null {
+  const cleaned = input.replace(/[\s=-]/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes: number[] = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index < 0) {
+      return null;
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+export function generateTotpSecret(): Buffer {
+  return randomBytes(TOTP_SECRET_BYTES);
+}
+
+export function totpCounter(nowMs = Date.now()): number {
+  return Math.floor(nowMs / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+// RFC 4226 HOTP with the RFC 6238 defaults authenticator apps assume: SHA-1, 6 digits, 30 s steps.
+export function hotp(secret: Buffer, counter: number): string {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = createHmac('sha1', secret).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+export function normalizeTotpCode(value: unknown): string | null {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const digits = value.replace(/[\s-]/g, '');
+  return new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(digits) ? digits : null;
+}
+
+// Returns the time step the code belongs to, or null when it matches none within the drift window.
+export function matchTotpCode(secret: Buffer, code: unknown, nowMs = Date.now()): number | null {
+  const normalized = normalizeTotpCode(code);
+  if (!normalized) {
+    return null;
+  }
+  const current = totpCounter(nowMs);
+  let matched: number | null = null;
+  for (let step = -TOTP_DRIFT_STEPS; step <= TOTP_DRIFT_STEPS; step += 1) {
+    const candidate = Buffer.from(hotp(secret, current + step));
+    if (timingSafeEqual(candidate, Buffer.from(normalized))) {
+      matched = current + step;
+    }
+  }
+  return matched;
+}
+
+export function buildOtpauthUri(secret: Buffer, account: string, issuer = 'c2p'): string {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret: encodeBase32(secret),
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+function deriveTotpKey(signingSecret: string): Buffer {
+  return Buffer.from(hkdfSync('sha256', signingSecret, 'c2p-totp', 'totp-secret-encryption', 32));
+}
+
+// The key comes from `.auth-signing-secret`, so a copy of the SQLite file alone does not reveal the secret.
+export function encryptTotpSecret(secret: Buffer, signingSecret: string): string {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', deriveTotpKey(signingSecret), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret), cipher.final()]);
+  return [TOTP_ENCRYPTION_VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+    .join('.');
+}
+
+export function decryptTotpSecret(payload: string, signingSecret: string): Buffer | null {
+  const [version, iv, tag, ciphertext] = payload.split('.');
+  if (version !== TOTP_ENCRYPTION_VERSION || !iv || !tag || !ciphertext) {
+    return null;
+  }
+  try {
+    const decipher = createDecipheriv('aes-256-gcm', deriveTotpKey(signingSecret), Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]);
+  } catch {
+    return null;
+  }
+}
+
+function normalizeReverifyDays(input: number | undefined): number {
+  if (!Number.isFinite(input)) {
+    return DEFAULT_TOTP_REVERIFY_DAYS;
+  }
+  return Math.max(1, Math.min(Math.trunc(input as number), 365));
+}
+
+// Optional second factor for admin scope. Once enrolled, admin exchanges and refreshes need a code unless the
+// device verified one within the last `reverifyDays`. Exchanges prove that earlier verification with a ticket
+// (an HMAC over device id and verification time) because the device id alone is visible to every signed-in device.
+export class TotpService {
+  private readonly store: C2PStore;
+  private readonly signingSecret: string;
+  private readonly reverifyMs: number;
+
+  constructor(options: TotpServiceOptions) {
+    this.store = options.store;
+    this.signingSecret = options.signingSecret;
+    this.reverifyMs = normalizeReverifyDays(options.reverifyDays) * 24 * 60 * 60 * 1000;
+  }
+
+  isEnrolled(): boolean {
+    return !!this.store.getTotpSecret();
+  }
+
+  getReverifyDays(): number {
+    return Math.round(this.reverifyMs / (24 * 60 * 60 * 1000));
+  }
+
+  // Stores a confirmed secret; every device has to verify against the new secret before its next admin exchange.
+  enroll(secret: Buffer, counter: number): void {
+    this.store.setTotpSecret(encryptTotpSecret(secret, this.signingSecret), new Date().toISOString(), counter);
+  }
+
+  disable(): boolean {
+    return this.store.deleteTotpSecret();
+  }
+
+  // Readonly exchanges and servers without TOTP never need a code.
+  check(input: TotpCheckInput): TotpCheckResult {
+    const enrollment = this.store.getTotpSecret();
+    if (input.scope !== 'admin' || !enrollment) {
+      return { ok: true, codeVerified: false };
+    }
+    const verifiedAt = this.readRecentVerification(input.deviceId);
+    if (verifiedAt && (input.deviceTrusted || this.isTicketValid(input.ticket, input.deviceId, verifiedAt))) {
+      return { ok: true, codeVerified: false, ticket: this.createTicket(input.deviceId as string, verifiedAt) };
+    }
+    if (input.code === undefined || input.code === null || input.code === '') {
+      return { ok: false, reason: 'totp_required' };
+    }
+    const secret = decryptTotpSecret(enrollment.secret, this.signingSecret);
+    const counter = secret ? matchTotpCode(secret, input.code) : null;
+    // Each code works once, so a code read over the user's shoulder cannot be replayed.
+    if (counter === null || !this.store.recordTotpUse(counter)) {
+      return { ok: false, reason: 'totp_invalid' };
+    }
+    return { ok: true, codeVerified: true };
+  }
+
+  // Starts a new verification window for the device and returns the ticket the client keeps.
+  markVerified(deviceId: string): string {
+    const verifiedAt = new Date().toISOString();
+    this.store.setDeviceTotpVerifiedAt(deviceId, verifiedAt);
+    return this.createTicket(deviceId, verifiedAt);
+  }
+
+  private readRecentVerification(deviceId: string | undefined): string | null {
+    const verifiedAt = deviceId ? this.store.getDeviceTotpVerifiedAt(deviceId) : undefined;
+    if (!verifiedAt) {
+      return null;
+    }
+    const verifiedMs = Date.parse(verifiedAt);
+    return Number.isFinite(verifiedMs) && Date.now() - verifiedMs < this.reverifyMs ? verifiedAt : null;
+  }
+
+  private createTicket(deviceId: string, verifiedAt: string): string {
+    return createHmac('sha256', this.signingSecret).update(`c2p-totp:${deviceId}:${verifiedAt}`).digest('base64url');
+  }
+
+  private isTicketValid(ticket: unknown, deviceId: string | undefined, verifiedAt: string): boolean {
+    if (typeof ticket !== 'string' || !deviceId) {
+      return false;
+    }
+    const expected = Buffer.from(this.createTicket(deviceId, verifiedAt));
+    const actual = Buffer.from(ticket);
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+  }
+}
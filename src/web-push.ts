@@ -0,0 +1,222 @@
+import { createCipheriv, createECDH, createPrivateKey, hkdfSync, randomBytes, sign, type ECDH } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+const VAPID_KEYS_FILE = '.c2p-vapid.json';
+const VAPID_DEFAULT_SUBJECT = 'mailto:c2p@localhost';
+const VAPID_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+const PUSH_RECORD_SIZE = 4096;
+const PUSH_PAYLOAD_MAX_BYTES = 3000;
+const PUSH_ENDPOINT_MAX_LENGTH = 2048;
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+export interface VapidKeys {
+  publicKey: string;
+  privateKey: string;
+  subject: string;
+}
+
+export interface PushSubscriptionInput {
+  endpoint: string;
+  keys: {
+    p256dh: string;
+    auth: string;
+  };
+}
+
+export type PushSubscriptionParseResult = { ok: true; subscription: PushSubscriptionInput } | { ok: false; error: string };
+
+export interface WebPushSendOptions {
+  ttlSeconds?: number;
+  urgency?: 'very-low' | 'low' | 'normal' | 'high';
+  topic?: string;
+  timeoutMs?: number;
+}
+
+function decodeBase64Url(value: unknown): Buffer | null {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]+={0,2}$/.test(value)) {
+    return null;
+  }
+  return Buffer.from(value, 'base64url');
+}
+
+function isP256PublicKey(key: Buffer | null): key is Buffer {
+  return !!key && key.length === 65 && key[0] === 0x04;
+}
+
+function createVapidKeys(subject: string): VapidKeys {
+  const ecdh = createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    publicKey: ecdh.getPublicKey().toString('base64url'),
+    privateKey: ecdh.getPrivateKey().toString('base64url'),
+    subject
+  };
+}
+
+function isValidVapidKeys(keys: Partial<VapidKeys>): keys is VapidKeys {
+  const privateKey = decodeBase64Url(keys.privateKey);
+  return isP256PublicKey(decodeBase64Url(keys.publicKey)) && !!privateKey && privateKey.length === 32;
+}
+
+// C2P_VAPID_PUBLIC_KEY / C2P_VAPID_PRIVATE_KEY win over the generated key file so several
+// instances can share one application server identity.
+export function ensureVapidKeys(baseDir = process.cwd()): VapidKeys {
+  const subject = (process.env.C2P_VAPID_SUBJECT ?? '').trim() || VAPID_DEFAULT_SUBJECT;
+  const fromEnv = {
+    publicKey: (process.env.C2P_VAPID_PUBLIC_KEY ?? '').trim(),
+    privateKey: (process.env.C2P_VAPID_PRIVATE_KEY ?? '').trim(),
+    subject
+  };
+  if (fromEnv.publicKey || fromEnv.privateKey) {
+    if (!isValidVapidKeys(fromEnv)) {
+      throw new Error('Invalid C2P_VAPID_PUBLIC_KEY / C2P_VAPID_PRIVATE_KEY');
+    }
+    return fromEnv;
+  }
+
+  const filePath = path.resolve(baseDir, VAPID_KEYS_FILE);
+  if (fs.existsSync(filePath)) {
+    let parsed: Partial<VapidKeys>;
+    try {
+      parsed = JSON.parse(fs.readFileSync(filePath, 'utf8')) as Partial<VapidKeys>;
+    } catch {
+      throw new Error(`Invalid VAPID key file ${filePath}`);
+    }
+    if (!isValidVapidKeys(parsed)) {
+      throw new Error(`Invalid VAPID key file ${filePath}`);
+    }
+    return { publicKey: parsed.publicKey, privateKey: parsed.privateKey, subject };
+  }
+
+  const keys = createVapidKeys(subject);
+  fs.writeFileSync(filePath, `${JSON.stringify({ publicKey: keys.publicKey, privateKey: keys.privateKey })}\n`, {
+    encoding: 'utf8',
+    mode: 0o600
+  });
+  return keys;
+}
+
+// Push services are always https. Plain http on loopback is opt-in so a local stand-in push
+// service can be used for testing without letting clients point the server at local ports.
+export function parsePushSubscription(
+  value: unknown,
+  options: { allowInsecureLoopback?: boolean } = {}
+): PushSubscriptionParseResult {
+  if (!value || typeof value !== 'object') {
+    return { ok: false, error: 'invalid subscription' };
+  }
+  const candidate = value as Record<string, unknown>;
+  const endpoint = candidate.endpoint;
+  if (typeof endpoint !== 'string' || endpoint.length > PUSH_ENDPOINT_MAX_LENGTH) {
+    return { ok: false, error: 'invalid subscription endpoint' };
+  }
+  let url: URL;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return { ok: false, error: 'invalid subscription endpoint' };
+  }
+  const secure =
+    url.protocol === 'https:' || (!!options.allowInsecureLoopback && url.protocol === 'http:' && LOOPBACK_HOSTS.has(url.hostname));
+  if (!secure || url.username || url.password) {
+    return { ok: false, error: 'invalid subscription endpoint' };
+  }
+
+  const keys = candidate.keys && typeof candidate.keys === 'object' ? (candidate.keys as Record<string, unknown>) : {};
+  const p256dh = decodeBase64Url(keys.p256dh);
+  const auth = decodeBase64Url(keys.auth);
+  if (!isP256PublicKey(p256dh) || !auth || auth.length !== 16) {
+    return { ok: false, error: 'invalid subscription keys' };
+  }
+  return {
+    ok: true,
+    subscription: {
+      endpoint: url.toString(),
+      keys: { p256dh: p256dh.toString('base64url'), auth: auth.toString('base64url') }
+    }
+  };
+}
+
+// RFC 8292: an ES256 JWT scoped to the push service origin, sent with the application server key.
+export function createVapidAuthorization(endpoint: string, vapid: VapidKeys, nowSec = Math.floor(Date.now() / 1000)): string {
+  const publicKey = Buffer.from(vapid.publicKey, 'base64url');
+  const privateKey = createPrivateKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: publicKey.subarray(1, 33).toString('base64url'),
+      y: publicKey.subarray(33, 65).toString('base64url'),
+      d: vapid.privateKey
+    },
+    format: 'jwk'
+  });
+  const header = Buffer.from(JSON.stringify({ typ: 'JWT', alg: 'ES256' })).toString('base64url');
+  const claims = Buffer.from(
+    JSON.stringify({ aud: new URL(endpoint).origin, exp: nowSec + VAPID_TOKEN_TTL_SECONDS, sub: vapid.subject })
+  ).toString('base64url');
+  const signature = sign('sha256', Buffer.from(`${header}.${claims}`), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+  return `vapid t=${header}.${claims}.${signature.toString('base64url')}, k=${vapid.publicKey}`;
+}
+
+// RFC 8291 message encryption with the RFC 8188 aes128gcm content coding, as a single record.
+export function encryptPushPayload(
+  payload: Buffer,
+  keys: PushSubscriptionInput['keys'],
+  options: { salt?: Buffer; localKeys?: ECDH } = {}
+): Buffer {
+  if (payload.length > PUSH_PAYLOAD_MAX_BYTES) {
+    throw new Error('push payload too large');
+  }
+  const userAgentPublicKey = Buffer.from(keys.p256dh, 'base64url');
+  const authSecret = Buffer.from(keys.auth, 'base64url');
+  const localKeys = options.localKeys ?? createECDH('prime256v1');
+  if (!options.localKeys) {
+    localKeys.generateKeys();
+  }
+  const serverPublicKey = localKeys.getPublicKey();
+  const sharedSecret = localKeys.computeSecret(userAgentPublicKey);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublicKey, serverPublicKey]);
+  const ikm = Buffer.from(hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const salt = options.salt ?? randomBytes(16);
+  const contentKey = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const cipher = createCipheriv('aes-128-gcm', contentKey, nonce);
+  // 0x02 marks the final (and only) record; no extra padding.
+  const ciphertext = Buffer.concat([cipher.update(Buffer.concat([payload, Buffer.from([0x02])])), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(PUSH_RECORD_SIZE, 16);
+  header.writeUInt8(serverPublicKey.length, 20);
+  return Buffer.concat([header, serverPublicKey, ciphertext]);
+}
+
+export async function sendWebPush(
+  subscription: PushSubscriptionInput,
+  payload: string,
+  vapid: VapidKeys,
+  options: WebPushSendOptions = {}
+): Promise<number> {
+  const body = encryptPushPayload(Buffer.from(payload, 'utf8'), subscription.keys);
+  const headers: Record<string, string> = {
+    Authorization: createVapidAuthorization(subscription.endpoint, vapid),
+    'Content-Encoding': 'aes128gcm',
+    'Content-Type': 'application/octet-stream',
+    TTL: String(options.ttlSeconds ?? 24 * 60 * 60),
+    Urgency: options.urgency ?? 'normal'
+  };
+  if (options.topic) {
+    headers.Topic = options.topic;
+  }
+  const response = await fetch(subscription.endpoint, {
+    method: 'POST',
+    headers,
+    body: new Uint8Array(body),
+    signal: AbortSignal.timeout(options.timeoutMs ?? 10_000)
+  });
+  await response.arrayBuffer().catch(() => undefined);
+  return response.status;
+}
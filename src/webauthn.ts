@@ -0,0 +1,297 @@
+import { createHash, createPublicKey, type JsonWebKey, verify } from 'node:crypto';
+import type { AccessGrants } from './access-grants.js';
+
+// COSE algorithm identifiers offered at registration, in order of preference.
+export const COSE_ALG_ES256 = -7;
+export const COSE_ALG_EDDSA = -8;
+export const COSE_ALG_RS256 = -257;
+export const PASSKEY_ALGORITHMS = [COSE_ALG_ES256, COSE_ALG_EDDSA, COSE_ALG_RS256];
+export const PASSKEY_LABEL_MAX_LENGTH = 48;
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40;
+const CREDENTIAL_ID_PATTERN = /^[A-Za-z0-9_-]{16,1364}$/;
+
+export interface PasskeyRecord {
+  // Credential id, base64url.
+  id: string;
+  label: string;
+  publicKey: JsonWebKey;
+  algorithm: number;
+  rpId: string;
+  scope: string;
+  // Device that registered the passkey; revoking it deletes the passkey too.
+  deviceId?: string;
+  // Narrowed grants of the registering token; signing in never yields more than it had.
+  grants?: AccessGrants;
+  signCount: number;
+  transports: string[];
+  createdAt: string;
+  lastUsedAt?: string;
+}
+
+export interface ClientData {
+  type: string;
+  challenge: string;
+  origin: string;
+}
+
+export interface AuthenticatorData {
+  rpIdHash: Buffer;
+  userPresent: boolean;
+  userVerified: boolean;
+  signCount: number;
+  credentialId?: Buffer;
+  credentialPublicKey?: Map<unknown, unknown>;
+}
+
+interface CborResult {
+  value: unknown;
+  offset: number;
+}
+
+function readCborLength(buffer: Buffer, offset: number, info: number): { length: number; offset: number } {
+  if (info < 24) {
+    return { length: info, offset };
+  }
+  if (info === 24) {
+    return { length: buffer.readUInt8(offset), offset: offset + 1 };
+  }
+  if (info === 25) {
+    return { length: buffer.readUInt16BE(offset), offset: offset + 2 };
+  }
+  if (info === 26) {
+    return { length: buffer.readUInt32BE(offset), offset: offset + 4 };
+  }
+  if (info === 27) {
+    const length = buffer.readBigUInt64BE(offset);
+    if (length > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new Error('cbor length too large');
+    }
+    return { length: Number(length), offset: offset + 8 };
+  }
+  throw new Error('indefinite-length cbor is not supported');
+}
+
+function decodeCborItem(buffer: Buffer, start: number, depth: number): CborResult {
+  if (depth > 16) {
+    throw new Error('cbor nesting too deep');
+  }
+  if (start >= buffer.length) {
+    throw new Error('truncated cbor');
+  }
+  const initial = buffer.readUInt8(start);
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+
+  if (major === 7) {
+    if (info === 20) {
+      return { value: false, offset: start + 1 };
+    }
+    if (info === 21) {
+      return { value: true, offset: start + 1 };
+    }
+    if (info === 22 || info === 23) {
+      return { value: null, offset: start + 1 };
+    }
+    if (info === 26) {
+      return { value: buffer.readFloatBE(start + 1), offset: start + 5 };
+    }
+    if (info === 27) {
+      return { value: buffer.readDoubleBE(start + 1), offset: start + 9 };
+    }
+    throw new Error('unsupported cbor simple value');
+  }
+
+  const { length, offset } = readCborLength(buffer, start + 1, info);
+  switch (major) {
+    case 0:
+      return { value: length, offset };
+    case 1:
+      return { value: -1 - length, offset };
+    case 2:
+    case 3: {
+      const end = offset + length;
+      if (end > buffer.length) {
+        throw new Error('truncated cbor');
+      }
+      const bytes = buffer.subarray(offset, end);
+      return { value: major === 2 ? Buffer.from(bytes) : bytes.toString('utf8'), offset: end };
+    }
+    case 4: {
+      const items: unknown[] = [];
+      let cursor = offset;
+      for (let i = 0; i < length; i += 1) {
+        const item = decodeCborItem(buffer, cursor, depth + 1);
+        items.push(item.value);
+        cursor = item.offset;
+      }
+      return { value: items, offset: cursor };
+    }
+    case 5: {
+      const map = new Map<unknown, unknown>();
+      let cursor = offset;
+      for (let i = 0; i < length; i += 1) {
+        const key = decodeCborItem(buffer, cursor, depth + 1);
+        const value = decodeCborItem(buffer, key.offset, depth + 1);
+        map.set(key.value, value.value);
+        cursor = value.offset;
+      }
+      return { value: map, offset: cursor };
+    }
+    default:
+      // Tags (major 6) do not appear in attestation objects or COSE keys.
+      throw new Error('unsupported cbor type');
+  }
+}
+
+// Just enough CBOR for WebAuthn: definite lengths, maps decode to `Map` so integer COSE labels survive.
+export function decodeCbor(buffer: Buffer): unknown {
+  return decodeCborItem(buffer, 0, 0).value;
+}
+
+export function decodeCborPrefix(buffer: Buffer, start = 0): CborResult {
+  return decodeCborItem(buffer, start, 0);
+}
+
+export function isCredentialId(value: unknown): value is string {
+  return typeof value === 'string' && CREDENTIAL_ID_PATTERN.test(value);
+}
+
+export function normalizePasskeyLabel(value: unknown): string | undefined {
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+  const label = value.replace(/[\u0000-\u001f\u007f]+/g, ' ').trim().slice(0, PASSKEY_LABEL_MAX_LENGTH).trim();
+  return label || undefined;
+}
+
+export function decodeBase64Url(value: unknown): Buffer | null {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]*$/.test(value)) {
+    return null;
+  }
+  return Buffer.from(value, 'base64url');
+}
+
+export function parseClientData(clientDataJSON: Buffer): ClientData | null {
+  try {
+    const parsed = JSON.parse(clientDataJSON.toString('utf8')) as Partial<ClientData>;
+    if (typeof parsed.type !== 'string' || typeof parsed.challenge !== 'string' || typeof parsed.origin !== 'string') {
+      return null;
+    }
+    return { type: parsed.type, challenge: parsed.challenge, origin: parsed.origin };
+  } catch {
+    return null;
+  }
+}
+
+export function parseAuthenticatorData(data: Buffer): AuthenticatorData {
+  if (data.length < 37) {
+    throw new Error('authenticator data too short');
+  }
+  const flags = data.readUInt8(32);
+  const result: AuthenticatorData = {
+    rpIdHash: data.subarray(0, 32),
+    userPresent: (flags & FLAG_USER_PRESENT) !== 0,
+    userVerified: (flags & FLAG_USER_VERIFIED) !== 0,
+    signCount: data.readUInt32BE(33)
+  };
+  if ((flags & FLAG_ATTESTED_CREDENTIAL_DATA) === 0) {
+    return result;
+  }
+  // aaguid (16 bytes), credential id length (2 bytes), credential id, COSE public key.
+  if (data.length < 55) {
+    throw new Error('attested credential data too short');
+  }
+  const idLength = data.readUInt16BE(53);
+  const idEnd = 55 + idLength;
+  if (idEnd > data.length) {
+    throw new Error('credential id truncated');
+  }
+  result.credentialId = data.subarray(55, idEnd);
+  const key = decodeCborPrefix(data, idEnd);
+  if (!(key.value instanceof Map)) {
+    throw new Error('credential public key is not a map');
+  }
+  result.credentialPublicKey = key.value;
+  return result;
+}
+
+export function rpIdHash(rpId: string): Buffer {
+  return createHash('sha256').update(rpId).digest();
+}
+
+function coseBytes(key: Map<unknown, unknown>, label: number): string | null {
+  const value = key.get(label);
+  return Buffer.isBuffer(value) ? value.toString('base64url') : null;
+}
+
+// Converts a COSE_Key (RFC 9053) to a JWK node can import; null for key types we do not verify.
+export function coseKeyToJwk(key: Map<unknown, unknown>): { jwk: JsonWebKey; algorithm: number } | null {
+  const kty = key.get(1);
+  const algorithm = key.get(3);
+  if (kty === 2 && algorithm === COSE_ALG_ES256 && key.get(-1) === 1) {
+    const x = coseBytes(key, -2);
+    const y = coseBytes(key, -3);
+    return x && y ? { jwk: { kty: 'EC', crv: 'P-256', x, y }, algorithm } : null;
+  }
+  if (kty === 1 && algorithm === COSE_ALG_EDDSA && key.get(-1) === 6) {
+    const x = coseBytes(key, -2);
+    return x ? { jwk: { kty: 'OKP', crv: 'Ed25519', x }, algorithm } : null;
+  }
+  if (kty === 3 && algorithm === COSE_ALG_RS256) {
+    const n = coseBytes(key, -1);
+    const e = coseBytes(key, -2);
+    return n && e ? { jwk: { kty: 'RSA', n, e }, algorithm } : null;
+  }
+  return null;
+}
+
+// Assertion signatures cover authenticatorData || SHA-256(clientDataJSON).
+export function verifyPasskeySignature(
+  passkey: Pick<PasskeyRecord, 'publicKey' | 'algorithm'>,
+  authenticatorData: Buffer,
+  clientDataJSON: Buffer,
+  signature: Buffer
+): boolean {
+  const signed = Buffer.concat([authenticatorData, createHash('sha256').update(clientDataJSON).digest()]);
+  try {
+    const key = createPublicKey({ key: passkey.publicKey, format: 'jwk' });
+    if (passkey.algorithm === COSE_ALG_EDDSA) {
+      return verify(null, signed, key, signature);
+    }
+    if (passkey.algorithm === COSE_ALG_ES256) {
+      return verify('sha256', signed, { key, dsaEncoding: 'der' }, signature);
+    }
+    if (passkey.algorithm === COSE_ALG_RS256) {
+      return verify('sha256', signed, key, signature);
+    }
+    return false;
+  } catch {
+    return false;
+  }
+}
+
+// WebAuthn only runs in secure contexts and RP IDs must be domain names, so plain-http LAN addresses and raw IPs
+// cannot hold passkeys.
+export function resolveRelyingParty(rawOrigin: unknown): { origin: string; rpId: string } | null {
+  if (typeof rawOrigin !== 'string' || !rawOrigin.trim()) {
+    return null;
+  }
+  let parsed: URL;
+  try {
+    parsed = new URL(rawOrigin.trim());
+  } catch {
+    return null;
+  }
+  const rpId = parsed.hostname.toLowerCase();
+  const isLocalhost = rpId === 'localhost' || rpId.endsWith('.localhost');
+  if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && isLocalhost)) {
+    return null;
+  }
+  if (!rpId || rpId.startsWith('[') || /^\d{1,3}(\.\d{1,3}){3}$/.test(rpId)) {
+    return null;
+  }
+  return { origin: parsed.origin, rpId };
+}
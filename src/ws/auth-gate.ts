@@ -1,19 +1,40 @@
+import { createHash } from 'node:crypto';
 import type { IncomingMessage } from 'node:http';
 import { WebSocket, type RawData } from 'ws';
+import { resolveGrants } from '../access-grants.js';
 import type { AccessAuthContext, AccessTokenService } from '../auth.js';
 import type { AuditLogger } from '../audit-log.js';
 import type { MetricsRegistry } from '../metrics.js';
 import { getClientIp, type MemoryRateLimiter } from '../security.js';
 
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const CLIENT_LABEL_MAX_LENGTH = 48;
+
 interface WsAuthMessage {
   type: 'auth';
   token: string;
   client?: {
+    id?: string;
+    label?: string;
     ua?: string;
     version?: number;
   };
 }
 
+// `id` is a per-page-load identifier the browser sends on both channels so control requests can refer to its attachments.
+// The browser picks it itself, so anything that grants rights keys on `viewerId`, which also binds the device or token.
+export interface WsClientInfo {
+  id?: string;
+  viewerId?: string;
+  label: string;
+  ua: string;
+  version: number;
+}
+
+export interface WsAuthContext extends AccessAuthContext {
+  client: WsClientInfo;
+}
+
 export interface WsAuthGateDeps {
   channel: 'control' | 'terminal';
   request: IncomingMessage;
@@ -24,6 +45,10 @@ export interface WsAuthGateDeps {
   timeoutMs?: number;
 }
 
+function resolveViewerId(claims: { jti: string; did?: string }, clientId: string): string {
+  return createHash('sha256').update(`${claims.did ?? claims.jti}:${clientId}`).digest('base64url').slice(0, 22);
+}
+
 function rawDataToString(raw: RawData): string {
   if (typeof raw === 'string') {
     return raw;
@@ -37,6 +62,14 @@ function rawDataToString(raw: RawData): string {
   return Buffer.concat(raw.map((chunk) => (Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)))).toString('utf8');
 }
 
+function normalizeClientLabel(value: unknown): string | undefined {
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+  const label = value.replace(/[\u0000-\u001f\u007f]+/g, ' ').trim().slice(0, CLIENT_LABEL_MAX_LENGTH).trim();
+  return label || undefined;
+}
+
 function parseAuthMessage(raw: RawData): WsAuthMessage | null {
   let parsed: unknown;
   try {
@@ -59,6 +92,8 @@ function parseAuthMessage(raw: RawData): WsAuthMessage | null {
     token: row.token,
     client: client
       ? {
+          id: typeof client.id === 'string' && CLIENT_ID_PATTERN.test(client.id) ? client.id : undefined,
+          label: normalizeClientLabel(client.label),
           ua: typeof client.ua === 'string' ? client.ua : undefined,
           version: typeof client.version === 'number' ? client.version : undefined
         }
@@ -72,14 +107,14 @@ function closeWithReason(ws: WebSocket, code: number, reason: string): void {
   }
 }
 
-export function requireWsAuth(ws: WebSocket, deps: WsAuthGateDeps): Promise<AccessAuthContext | null> {
+export function requireWsAuth(ws: WebSocket, deps: WsAuthGateDeps): Promise<WsAuthContext | null> {
   const timeoutMs = Number.isFinite(deps.timeoutMs) ? Number(deps.timeoutMs) : 2000;
   const remoteIp = getClientIp(deps.request);
 
   return new Promise((resolve) => {
     let settled = false;
 
-    const settle = (result: AccessAuthContext | null): void => {
+    const settle = (result: WsAuthContext | null): void => {
       if (settled) {
         return;
       }
@@ -142,6 +177,18 @@ export function requireWsAuth(ws: WebSocket, deps: WsAuthGateDeps): Promise<Acce
         return;
       }
 
+      deps.accessTokenService.recordDeviceSeen(verdict.claims, remoteIp);
+      const deviceId = verdict.claims.did;
+      if (deviceId) {
+        // Revoking a device also cuts off the connections it already has open.
+        const unsubscribe = deps.accessTokenService.onDeviceRevoked((revokedId) => {
+          if (revokedId === deviceId) {
+            closeWithReason(ws, 4401, 'device revoked');
+          }
+        });
+        ws.once('close', unsubscribe);
+      }
+
       deps.auditLogger.log({
         event: 'ws.auth_ok',
         actor: remoteIp,
@@ -150,16 +197,22 @@ export function requireWsAuth(ws: WebSocket, deps: WsAuthGateDeps): Promise<Acce
         metadata: {
           tokenJti: verdict.claims.jti,
           expiresAt: verdict.expiresAt,
+          clientLabel: authMessage.client?.label ?? '',
           clientUa: authMessage.client?.ua ?? '',
           clientVersion: authMessage.client?.version ?? 0
         }
       });
 
+      const clientId = authMessage.client?.id;
+      const viewerId = clientId ? resolveViewerId(verdict.claims, clientId) : undefined;
       if (ws.readyState === WebSocket.OPEN) {
         ws.send(
           JSON.stringify({
             type: 'auth.ok',
-            expiresAt: verdict.expiresAt
+            expiresAt: verdict.expiresAt,
+            scope: verdict.claims.scope,
+            grants: resolveGrants(verdict.claims),
+            ...(viewerId ? { viewerId } : {})
           })
         );
       }
@@ -167,7 +220,14 @@ export function requireWsAuth(ws: WebSocket, deps: WsAuthGateDeps): Promise<Acce
       settle({
         token: authMessage.token,
         claims: verdict.claims,
-        expiresAt: verdict.expiresAt
+        expiresAt: verdict.expiresAt,
+        client: {
+          id: clientId,
+          viewerId,
+          label: authMessage.client?.label ?? '',
+          ua: authMessage.client?.ua ?? '',
+          version: authMessage.client?.version ?? 0
+        }
       });
     });
   });
@@ -2,11 +2,17 @@ import { randomUUID } from 'node:crypto';
 import type { IncomingMessage } from 'node:http';
 import type { Duplex } from 'node:stream';
 import { WebSocket, WebSocketServer, type RawData } from 'ws';
+import { type Capability, hasCapability, isPathGranted, requiredScopeFor, resolveGrants } from '../access-grants.js';
 import type { AccessTokenService } from '../auth.js';
 import type { AuditLogger } from '../audit-log.js';
+import { type FsChangeEvent, FsWatchSet } from '../fs-watch.js';
+import { isLaunchProfileName, toSpawnLaunchOptions, type LaunchProfile } from '../launch-profiles.js';
 import type { MetricsRegistry } from '../metrics.js';
-import type { PtyManager } from '../pty-manager.js';
+import type { PtyManager, SessionPresence, TmuxSplitDirection, TmuxWindowInfo } from '../pty-manager.js';
+import type { PushNotifier } from '../push-notifier.js';
 import { getClientIp, type MemoryRateLimiter } from '../security.js';
+import { parseSessionMetadataPatch } from '../session-metadata.js';
+import type { CommandFinishedEvent, ShellNotification } from '../shell-integration.js';
 import type { C2PStore, CliKind, TaskRecord, TaskStatus } from '../store.js';
 import { requireWsAuth } from './auth-gate.js';
 import type { WsChannel } from './channel.js';
@@ -27,6 +33,7 @@ interface ControlHelloMessage {
 interface ControlSpawnMessage {
   type: 'spawn';
   cli: CliKind;
+  profile?: string;
   cwd?: string;
   cols?: number;
   rows?: number;
@@ -46,6 +53,52 @@ interface ControlKillMessage {
   sessionId: string;
 }
 
+interface ControlSessionUpdateMessage {
+  type: 'session.update';
+  sessionId: string;
+  metadata: Record<string, unknown>;
+  requestId?: string;
+}
+
+type ControlLayoutRequestType =
+  | 'window.list'
+  | 'window.create'
+  | 'window.select'
+  | 'window.close'
+  | 'pane.split'
+  | 'pane.select'
+  | 'pane.close';
+
+interface ControlLayoutMessage {
+  type: ControlLayoutRequestType;
+  sessionId: string;
+  windowId?: string;
+  paneId?: string;
+  direction?: TmuxSplitDirection;
+  name?: string;
+  cwd?: string;
+  requestId?: string;
+}
+
+interface ControlInputLockMessage {
+  type: 'input.lock' | 'input.unlock';
+  sessionId: string;
+  force: boolean;
+  requestId?: string;
+}
+
+interface ControlRecordingMessage {
+  type: 'recording.start' | 'recording.stop';
+  sessionId: string;
+  requestId?: string;
+}
+
+interface ControlFsWatchMessage {
+  type: 'fs.watch' | 'fs.unwatch';
+  path: string;
+  requestId?: string;
+}
+
 interface ControlHeartbeatPingMessage {
   type: 'heartbeat.ping';
   seq?: number;
@@ -58,9 +111,25 @@ type ControlMessage =
   | ControlSpawnMessage
   | ControlResizeMessage
   | ControlKillMessage
+  | ControlSessionUpdateMessage
+  | ControlLayoutMessage
+  | ControlInputLockMessage
+  | ControlRecordingMessage
+  | ControlFsWatchMessage
   | ControlHeartbeatPingMessage;
 
-type ControlRequestType = 'spawn' | 'resize';
+type ControlRequestType =
+  | 'spawn'
+  | 'resize'
+  | 'kill'
+  | 'session.update'
+  | 'input.lock'
+  | 'input.unlock'
+  | 'recording.start'
+  | 'recording.stop'
+  | 'fs.watch'
+  | 'fs.unwatch'
+  | ControlLayoutRequestType;
 
 type ControlOutbound =
   | { type: 'auth.ok'; expiresAt: string }
@@ -68,8 +137,23 @@ type ControlOutbound =
   | { type: 'spawned'; sessionId: string; cli: CliKind; cwd: string; requestId?: string }
   | { type: 'resized'; sessionId: string; cols: number; rows: number; requestId?: string }
   | { type: 'exited'; sessionId: string; exitCode: number }
+  | {
+      type: 'session.updated';
+      sessionId: string;
+      name?: string;
+      color?: string;
+      tags?: string[];
+      requestId?: string;
+    }
+  | { type: 'windows'; sessionId: string; windows: TmuxWindowInfo[]; requestId?: string }
+  | ({ type: 'presence'; requestId?: string } & SessionPresence)
+  | { type: 'recording'; sessionId: string; recording: string | null; requestId?: string }
   | { type: 'clipboard'; sessionId: string; text: string }
+  | ({ type: 'command.finished'; sessionId: string } & CommandFinishedEvent)
+  | ({ type: 'notification'; sessionId: string } & ShellNotification)
   | { type: 'sessions'; list: unknown[] }
+  | { type: 'fs.watching' | 'fs.unwatched'; path: string; requestId?: string }
+  | ({ type: 'fs.changed' } & FsChangeEvent)
   | { type: 'heartbeat.pong'; seq: number; sentAt: number; serverAt: number }
   | {
       type: 'error';
@@ -86,14 +170,31 @@ interface ControlChannelDeps {
   auditLogger: AuditLogger;
   metrics: MetricsRegistry;
   wsAuthFailureLimiter: MemoryRateLimiter;
+  pushNotifier: PushNotifier;
+  fsRoot: string;
+  trashDir: string;
 }
 
+const CONTROL_LAYOUT_REQUEST_TYPES = new Set<string>([
+  'window.list',
+  'window.create',
+  'window.select',
+  'window.close',
+  'pane.split',
+  'pane.select',
+  'pane.close'
+]);
+
+const FS_WATCH_MAX_PER_CONNECTION = 16;
+const FS_WATCH_DEBOUNCE_MS = 250;
+const FS_WATCH_MAX_WAIT_MS = 1000;
+
 const CONTROL_PROTOCOL_VERSION = 1;
 const SERVER_CAPABILITIES = ['shell', 'terminal.binary.v1'] as const;
 const SERVER_CAPABILITY_SET = new Set<string>(SERVER_CAPABILITIES);
 
 function isCliKind(value: unknown): value is CliKind {
-  return value === 'shell';
+  return value === 'shell' || value === 'profile';
 }
 
 function normalizeDimension(value: unknown, fallback: number): number {
@@ -127,6 +228,14 @@ function normalizeRequestId(value: unknown): string | undefined {
   return trimmed.slice(0, 120);
 }
 
+function readOptionalString(value: unknown): string | undefined {
+  return typeof value === 'string' && value.trim().length > 0 ? value.trim() : undefined;
+}
+
+function normalizeSplitDirection(value: unknown): TmuxSplitDirection {
+  return value === 'horizontal' ? 'horizontal' : 'vertical';
+}
+
 function normalizeHeartbeatGrade(value: unknown): WsHeartbeatGrade | undefined {
   const normalized = typeof value === 'string' ? value.trim().toLowerCase() : '';
   if (normalized === 'excellent' || normalized === 'good' || normalized === 'fair' || normalized === 'poor') {
@@ -204,10 +313,18 @@ function parseControlMessage(raw: RawData): ControlMessage | undefined {
     };
   }
 
-  if (candidate.type === 'spawn' && isCliKind(candidate.cli)) {
+  // `{ type: 'spawn', profile }` implies the profile CLI kind; a profile kind without a valid name is rejected.
+  const spawnProfile = isLaunchProfileName(candidate.profile) ? candidate.profile : undefined;
+  const spawnCli = spawnProfile ? 'profile' : candidate.cli;
+  if (
+    candidate.type === 'spawn' &&
+    isCliKind(spawnCli) &&
+    (spawnProfile !== undefined || (spawnCli === 'shell' && candidate.profile === undefined))
+  ) {
     return {
       type: 'spawn',
-      cli: candidate.cli,
+      cli: spawnCli,
+      profile: spawnProfile,
       cwd: typeof candidate.cwd === 'string' ? candidate.cwd : undefined,
       cols: typeof candidate.cols === 'number' ? candidate.cols : undefined,
       rows: typeof candidate.rows === 'number' ? candidate.rows : undefined,
@@ -232,6 +349,61 @@ function parseControlMessage(raw: RawData): ControlMessage | undefined {
     };
   }
 
+  if (candidate.type === 'session.update' && typeof candidate.sessionId === 'string') {
+    const { type: _type, sessionId: _sessionId, requestId: _requestId, ...metadata } = candidate;
+    return {
+      type: 'session.update',
+      sessionId: candidate.sessionId,
+      metadata,
+      requestId: normalizeRequestId(candidate.requestId)
+    };
+  }
+
+  if (
+    typeof candidate.type === 'string' &&
+    CONTROL_LAYOUT_REQUEST_TYPES.has(candidate.type) &&
+    typeof candidate.sessionId === 'string'
+  ) {
+    return {
+      type: candidate.type as ControlLayoutRequestType,
+      sessionId: candidate.sessionId,
+      windowId: readOptionalString(candidate.windowId),
+      paneId: readOptionalString(candidate.paneId),
+      direction: normalizeSplitDirection(candidate.direction),
+      name: readOptionalString(candidate.name),
+      cwd: readOptionalString(candidate.cwd),
+      requestId: normalizeRequestId(candidate.requestId)
+    };
+  }
+
+  if ((candidate.type === 'input.lock' || candidate.type === 'input.unlock') && typeof candidate.sessionId === 'string') {
+    return {
+      type: candidate.type,
+      sessionId: candidate.sessionId,
+      force: candidate.force === true,
+      requestId: normalizeRequestId(candidate.requestId)
+    };
+  }
+
+  if (
+    (candidate.type === 'recording.start' || candidate.type === 'recording.stop') &&
+    typeof candidate.sessionId === 'string'
+  ) {
+    return {
+      type: candidate.type,
+      sessionId: candidate.sessionId,
+      requestId: normalizeRequestId(candidate.requestId)
+    };
+  }
+
+  if ((candidate.type === 'fs.watch' || candidate.type === 'fs.unwatch') && typeof candidate.path === 'string') {
+    return {
+      type: candidate.type,
+      path: candidate.path,
+      requestId: normalizeRequestId(candidate.requestId)
+    };
+  }
+
   if (candidate.type === 'heartbeat.ping') {
     return {
       type: 'heartbeat.ping',
@@ -244,6 +416,10 @@ function parseControlMessage(raw: RawData): ControlMessage | undefined {
   return undefined;
 }
 
+function isControlLayoutMessage(message: ControlMessage): message is ControlLayoutMessage {
+  return CONTROL_LAYOUT_REQUEST_TYPES.has(message.type);
+}
+
 function sendControlMessage(ws: WebSocket, payload: ControlOutbound): void {
   if (ws.readyState === WebSocket.OPEN) {
     ws.send(JSON.stringify(payload));
@@ -251,7 +427,17 @@ function sendControlMessage(ws: WebSocket, payload: ControlOutbound): void {
 }
 
 export function createControlChannel(deps: ControlChannelDeps): WsChannel {
-  const { ptyManager, store, accessTokenService, auditLogger, metrics, wsAuthFailureLimiter } = deps;
+  const {
+    ptyManager,
+    store,
+    accessTokenService,
+    auditLogger,
+    metrics,
+    wsAuthFailureLimiter,
+    pushNotifier,
+    fsRoot,
+    trashDir
+  } = deps;
   const wss = new WebSocketServer({ noServer: true, perMessageDeflate: WS_PER_MESSAGE_DEFLATE });
   attachWsHeartbeat(wss);
 
@@ -305,19 +491,73 @@ export function createControlChannel(deps: ControlChannelDeps): WsChannel {
       broadcastControl({ type: 'exited', sessionId, exitCode });
     }
     broadcastSessions();
+
+    // An explicit kill came from a client that already knows; only unexpected exits are pushed.
+    if (!wasKilled) {
+      void pushNotifier.notify({ type: 'session.exit', sessionId, sessionName: store.getSession(sessionId)?.name, exitCode });
+    }
   });
 
   ptyManager.onClipboard((sessionId, text) => {
     broadcastControl({ type: 'clipboard', sessionId, text });
   });
 
+  ptyManager.onCommandFinished((sessionId, event) => {
+    broadcastControl({ type: 'command.finished', sessionId, ...event });
+  });
+
+  ptyManager.onNotification((sessionId, notification) => {
+    broadcastControl({ type: 'notification', sessionId, ...notification });
+    void pushNotifier.notify({ type: 'notification', sessionId, sessionName: store.getSession(sessionId)?.name, ...notification });
+  });
+
+  ptyManager.onMetadata(() => {
+    broadcastSessions();
+  });
+
+  ptyManager.onLayout((sessionId, windows) => {
+    broadcastControl({ type: 'windows', sessionId, windows });
+  });
+
+  ptyManager.onPresence((presence) => {
+    broadcastControl({ type: 'presence', ...presence });
+  });
+
+  const runLayoutRequest = (message: ControlLayoutMessage): TmuxWindowInfo[] => {
+    const { sessionId } = message;
+    if (message.type === 'window.create') {
+      return ptyManager.createWindow(sessionId, { name: message.name, cwd: message.cwd });
+    }
+    if (message.type === 'window.select') {
+      return ptyManager.selectWindow(sessionId, message.windowId ?? '');
+    }
+    if (message.type === 'window.close') {
+      return ptyManager.closeWindow(sessionId, message.windowId ?? '');
+    }
+    if (message.type === 'pane.split') {
+      return ptyManager.splitPane(sessionId, {
+        paneId: message.paneId,
+        direction: message.direction ?? 'vertical'
+      });
+    }
+    if (message.type === 'pane.select') {
+      return ptyManager.selectPane(sessionId, message.paneId ?? '');
+    }
+    if (message.type === 'pane.close') {
+      return ptyManager.closePane(sessionId, message.paneId ?? '');
+    }
+    return ptyManager.listWindows(sessionId) ?? [];
+  };
+
   wss.on('connection', (ws, request) => {
     metrics.incWsConnection('control');
     const remoteIp = getClientIp(request);
+    let fsWatches: FsWatchSet | null = null;
 
     ws.on('close', () => {
       metrics.decWsConnection('control');
       controlClients.delete(ws);
+      fsWatches?.close();
     });
 
     void requireWsAuth(ws, {
@@ -333,9 +573,42 @@ export function createControlChannel(deps: ControlChannelDeps): WsChannel {
         return;
       }
 
-      controlClients.add(ws);
+      const grants = resolveGrants(authContext.claims);
+      const canAttach = hasCapability(grants, 'terminal:attach');
+      // Without terminal:attach the connection only serves filesystem watches, so session broadcasts skip it.
+      if (canAttach) {
+        controlClients.add(ws);
+      }
       sendControlMessage(ws, createHelloPayload());
-      sendControlMessage(ws, { type: 'sessions', list: ptyManager.listSessions() });
+      if (canAttach) {
+        sendControlMessage(ws, { type: 'sessions', list: ptyManager.listSessions() });
+        for (const layout of ptyManager.listLayouts()) {
+          sendControlMessage(ws, { type: 'windows', sessionId: layout.sessionId, windows: layout.windows });
+        }
+        for (const presence of ptyManager.listPresence()) {
+          sendControlMessage(ws, { type: 'presence', ...presence });
+        }
+      }
+
+      const rejectWithout = (capability: Capability, resource: string, sendError: (text: string) => void): boolean => {
+        if (hasCapability(grants, capability)) {
+          return false;
+        }
+        auditLogger.log({
+          event: 'auth.denied_scope',
+          actor: remoteIp,
+          resource,
+          outcome: 'failure',
+          metadata: {
+            requiredScope: requiredScopeFor(capability),
+            actualScope: authContext.claims.scope,
+            requiredCapability: capability,
+            tokenJti: authContext.claims.jti
+          }
+        });
+        sendError('insufficient_scope');
+        return true;
+      };
 
       ws.on('message', (raw, isBinary) => {
         if (isBinary) {
@@ -369,19 +642,70 @@ export function createControlChannel(deps: ControlChannelDeps): WsChannel {
           return;
         }
 
+        // Watching only reveals what listing the directory would, so it needs the same fs:read grant.
+        if (message.type === 'fs.watch' || message.type === 'fs.unwatch') {
+          const { requestId } = message;
+          const sendWatchError = (text: string): void => {
+            sendControlMessage(ws, { type: 'error', message: text, requestId, requestType: 'fs.watch' });
+          };
+          if (message.type === 'fs.watch' && rejectWithout('fs:read', '/ws/control/fs.watch', sendWatchError)) {
+            return;
+          }
+          if (message.type === 'fs.unwatch') {
+            fsWatches?.unwatch(message.path);
+            sendControlMessage(ws, { type: 'fs.unwatched', path: message.path, requestId });
+            return;
+          }
+          fsWatches ??= new FsWatchSet({
+            root: fsRoot,
+            excludeDir: trashDir,
+            maxWatches: FS_WATCH_MAX_PER_CONNECTION,
+            debounceMs: FS_WATCH_DEBOUNCE_MS,
+            maxWaitMs: FS_WATCH_MAX_WAIT_MS,
+            allowPath: (relativePath) => isPathGranted(grants, 'fs:read', relativePath),
+            onChange: (event) => {
+              sendControlMessage(ws, { type: 'fs.changed', ...event });
+            }
+          });
+          const watched = fsWatches.watch(message.path);
+          if (!watched.ok) {
+            sendWatchError(watched.error);
+            return;
+          }
+          sendControlMessage(ws, { type: 'fs.watching', path: watched.path, requestId });
+          return;
+        }
+
         if (message.type === 'spawn') {
           const sessionId = randomUUID();
           const cols = normalizeDimension(message.cols, 100);
           const rows = normalizeDimension(message.rows, 30);
+          const sendSpawnError = (text: string): void => {
+            sendControlMessage(ws, { type: 'error', message: text, requestId: message.requestId, requestType: 'spawn' });
+          };
+          if (rejectWithout('terminal:spawn', '/ws/control/spawn', sendSpawnError)) {
+            return;
+          }
 
           try {
-            const info = ptyManager.spawn({
+            let profile: LaunchProfile | undefined;
+            if (message.profile) {
+              profile = store.getLaunchProfile(message.profile);
+              if (!profile) {
+                throw new Error('profile not found');
+              }
+            }
+            const spawned = ptyManager.spawn({
               id: sessionId,
               cli: message.cli,
-              cwd: message.cwd,
+              cwd: message.cwd ?? profile?.cwd,
               cols,
-              rows
+              rows,
+              ...(profile ? { profile: profile.name, ...toSpawnLaunchOptions(profile) } : {})
             });
+            const info = profile
+              ? (ptyManager.updateSessionMetadata(sessionId, { name: profile.label ?? profile.name }) ?? spawned)
+              : spawned;
 
             const task: TaskRecord = {
               id: sessionId,
@@ -403,7 +727,9 @@ export function createControlChannel(deps: ControlChannelDeps): WsChannel {
               rows: info.rows,
               startedAt: info.startedAt,
               updatedAt: info.startedAt,
-              status: 'running'
+              status: 'running',
+              profile: info.profile,
+              name: info.name
             });
 
             auditLogger.log({
@@ -413,6 +739,7 @@ export function createControlChannel(deps: ControlChannelDeps): WsChannel {
               outcome: 'success',
               metadata: {
                 cli: message.cli,
+                profile: message.profile ?? null,
                 cwd: info.cwd,
                 tokenJti: authContext.claims.jti
               }
@@ -435,16 +762,12 @@ export function createControlChannel(deps: ControlChannelDeps): WsChannel {
               outcome: 'failure',
               metadata: {
                 cli: message.cli,
+                profile: message.profile ?? null,
                 error: text,
                 tokenJti: authContext.claims.jti
               }
             });
-            sendControlMessage(ws, {
-              type: 'error',
-              message: text,
-              requestId: message.requestId,
-              requestType: 'spawn'
-            });
+            sendSpawnError(text);
           }
           return;
         }
@@ -452,14 +775,21 @@ export function createControlChannel(deps: ControlChannelDeps): WsChannel {
         if (message.type === 'resize') {
           const cols = normalizeDimension(message.cols, 100);
           const rows = normalizeDimension(message.rows, 30);
-          if (!ptyManager.hasSession(message.sessionId)) {
+          // Watchers must not reflow the terminal of the person they are observing.
+          const sendResizeError = (text: string): void => {
             sendControlMessage(ws, {
               type: 'error',
-              message: 'session not found',
+              message: text,
               requestId: message.requestId,
               requestType: 'resize',
               sessionId: message.sessionId
             });
+          };
+          if (rejectWithout('terminal:input', message.sessionId, sendResizeError)) {
+            return;
+          }
+          if (!ptyManager.hasSession(message.sessionId)) {
+            sendResizeError('session not found');
             return;
           }
           try {
@@ -478,19 +808,222 @@ export function createControlChannel(deps: ControlChannelDeps): WsChannel {
               requestId: message.requestId
             });
           } catch (error) {
-            const text = error instanceof Error ? error.message : 'resize failed';
+            sendResizeError(error instanceof Error ? error.message : 'resize failed');
+          }
+          return;
+        }
+
+        if (message.type === 'session.update') {
+          const sendUpdateError = (text: string): void => {
             sendControlMessage(ws, {
               type: 'error',
               message: text,
               requestId: message.requestId,
-              requestType: 'resize',
+              requestType: 'session.update',
+              sessionId: message.sessionId
+            });
+          };
+          if (rejectWithout('terminal:spawn', message.sessionId, sendUpdateError)) {
+            return;
+          }
+          const parsedPatch = parseSessionMetadataPatch(message.metadata);
+          if (!parsedPatch.ok) {
+            sendUpdateError(parsedPatch.error);
+            return;
+          }
+          if (!ptyManager.hasSession(message.sessionId)) {
+            sendUpdateError('session not found');
+            return;
+          }
+          const updated = ptyManager.updateSessionMetadata(message.sessionId, parsedPatch.patch);
+          if (!updated) {
+            sendUpdateError('session not found');
+            return;
+          }
+          store.updateSession(message.sessionId, {
+            name: updated.name,
+            color: updated.color,
+            tags: updated.tags
+          });
+          auditLogger.log({
+            event: 'session.metadata_update',
+            actor: remoteIp,
+            resource: message.sessionId,
+            outcome: 'success',
+            metadata: {
+              name: updated.name ?? null,
+              color: updated.color ?? null,
+              tags: updated.tags ?? [],
+              tokenJti: authContext.claims.jti
+            }
+          });
+          sendControlMessage(ws, {
+            type: 'session.updated',
+            sessionId: message.sessionId,
+            name: updated.name,
+            color: updated.color,
+            tags: updated.tags,
+            requestId: message.requestId
+          });
+          return;
+        }
+
+        if (isControlLayoutMessage(message)) {
+          const sendLayoutError = (text: string): void => {
+            sendControlMessage(ws, {
+              type: 'error',
+              message: text,
+              requestId: message.requestId,
+              requestType: message.type,
               sessionId: message.sessionId
             });
+          };
+          const isMutation = message.type !== 'window.list';
+          if (rejectWithout(isMutation ? 'terminal:spawn' : 'terminal:attach', message.sessionId, sendLayoutError)) {
+            return;
+          }
+          if (!ptyManager.hasSession(message.sessionId)) {
+            sendLayoutError('session not found');
+            return;
+          }
+          try {
+            const windows = runLayoutRequest(message);
+            if (isMutation) {
+              auditLogger.log({
+                event: 'session.layout_update',
+                actor: remoteIp,
+                resource: message.sessionId,
+                outcome: 'success',
+                metadata: {
+                  action: message.type,
+                  windowId: message.windowId ?? null,
+                  paneId: message.paneId ?? null,
+                  tokenJti: authContext.claims.jti
+                }
+              });
+            }
+            sendControlMessage(ws, {
+              type: 'windows',
+              sessionId: message.sessionId,
+              windows,
+              requestId: message.requestId
+            });
+          } catch (error) {
+            sendLayoutError(error instanceof Error ? error.message : 'layout request failed');
+          }
+          return;
+        }
+
+        if (message.type === 'input.lock' || message.type === 'input.unlock') {
+          const sendLockError = (text: string): void => {
+            sendControlMessage(ws, {
+              type: 'error',
+              message: text,
+              requestId: message.requestId,
+              requestType: message.type,
+              sessionId: message.sessionId
+            });
+          };
+          if (rejectWithout('terminal:input', message.sessionId, sendLockError)) {
+            return;
+          }
+          const viewerId = authContext.client.viewerId;
+          if (!viewerId) {
+            sendLockError('client id required');
+            return;
+          }
+          if (!ptyManager.hasSession(message.sessionId)) {
+            sendLockError('session not found');
+            return;
+          }
+          const previousHolder = ptyManager.getPresence(message.sessionId)?.inputLock ?? null;
+          let presence: SessionPresence;
+          try {
+            presence =
+              message.type === 'input.lock'
+                ? ptyManager.lockInput(message.sessionId, viewerId, { force: message.force })
+                : ptyManager.unlockInput(message.sessionId, viewerId, { force: message.force });
+          } catch (error) {
+            sendLockError(error instanceof Error ? error.message : 'input lock request failed');
+            return;
+          }
+          auditLogger.log({
+            event: message.type === 'input.lock' ? 'session.input_lock' : 'session.input_unlock',
+            actor: remoteIp,
+            resource: message.sessionId,
+            outcome: 'success',
+            metadata: {
+              previousHolder: previousHolder?.tokenJti ?? null,
+              takeover: previousHolder !== null && previousHolder.viewerId !== viewerId,
+              tokenJti: authContext.claims.jti
+            }
+          });
+          sendControlMessage(ws, { type: 'presence', ...presence, requestId: message.requestId });
+          return;
+        }
+
+        if (message.type === 'recording.start' || message.type === 'recording.stop') {
+          const sendRecordingError = (text: string): void => {
+            sendControlMessage(ws, {
+              type: 'error',
+              message: text,
+              requestId: message.requestId,
+              requestType: message.type,
+              sessionId: message.sessionId
+            });
+          };
+          if (rejectWithout('terminal:spawn', message.sessionId, sendRecordingError)) {
+            return;
+          }
+          if (!ptyManager.hasSession(message.sessionId)) {
+            sendRecordingError('session not found');
+            return;
+          }
+          const { sessionId, requestId } = message;
+          if (message.type === 'recording.stop') {
+            void ptyManager.stopRecording(sessionId).then((recordingId) => {
+              if (recordingId) {
+                auditLogger.log({
+                  event: 'session.recording_stop',
+                  actor: remoteIp,
+                  resource: sessionId,
+                  outcome: 'success',
+                  metadata: {
+                    recordingId,
+                    tokenJti: authContext.claims.jti
+                  }
+                });
+              }
+              sendControlMessage(ws, { type: 'recording', sessionId, recording: null, requestId });
+            });
+            return;
+          }
+          try {
+            const recorder = ptyManager.startRecording(sessionId);
+            auditLogger.log({
+              event: 'session.recording_start',
+              actor: remoteIp,
+              resource: sessionId,
+              outcome: 'success',
+              metadata: {
+                recordingId: recorder.id,
+                tokenJti: authContext.claims.jti
+              }
+            });
+            sendControlMessage(ws, { type: 'recording', sessionId, recording: recorder.id, requestId });
+          } catch (error) {
+            sendRecordingError(error instanceof Error ? error.message : 'recording failed');
           }
           return;
         }
 
         if (message.type === 'kill') {
+          const sendKillError = (text: string): void => {
+            sendControlMessage(ws, { type: 'error', message: text, requestType: 'kill', sessionId: message.sessionId });
+          };
+          if (rejectWithout('terminal:spawn', message.sessionId, sendKillError)) {
+            return;
+          }
           killRequested.add(message.sessionId);
           killOptimisticBroadcasted.add(message.sessionId);
 
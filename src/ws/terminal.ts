@@ -2,6 +2,7 @@ import fs from 'node:fs';
 import type { IncomingMessage } from 'node:http';
 import type { Duplex } from 'node:stream';
 import { WebSocket, WebSocketServer, type RawData } from 'ws';
+import { hasCapability, requiredScopeFor, resolveGrants } from '../access-grants.js';
 import type { AccessTokenService } from '../auth.js';
 import type { AuditLogger } from '../audit-log.js';
 import type { MetricsRegistry } from '../metrics.js';
@@ -183,17 +184,44 @@ export function createTerminalChannel(deps: TerminalChannelDeps): WsChannel {
       const binaryCodec = useBinaryCodec(parsed.searchParams.get('codec'));
       const attachCols = parseDimension(parsed.searchParams.get('cols'), 100);
       const attachRows = parseDimension(parsed.searchParams.get('rows'), 30);
+      const grants = resolveGrants(authContext.claims);
+      // Tokens without terminal:input always watch; others can opt into the same view-only attachment with
+      // `mode=watch`.
+      const watchOnly = !hasCapability(grants, 'terminal:input') || parsed.searchParams.get('mode') === 'watch';
 
       if (!sessionId || !ptyManager.hasSession(sessionId)) {
         ws.close(1008, 'invalid session');
         return;
       }
+      if (!hasCapability(grants, 'terminal:attach')) {
+        auditLogger.log({
+          event: 'auth.denied_scope',
+          actor: remoteIp,
+          resource: sessionId,
+          outcome: 'failure',
+          metadata: {
+            requiredScope: requiredScopeFor('terminal:attach'),
+            actualScope: authContext.claims.scope,
+            requiredCapability: 'terminal:attach',
+            tokenJti: authContext.claims.jti
+          }
+        });
+        ws.close(1008, 'insufficient_scope');
+        return;
+      }
 
       let attachment: TerminalAttachment;
       try {
         attachment = ptyManager.attach(sessionId, {
           cols: attachCols,
-          rows: attachRows
+          rows: attachRows,
+          readOnly: watchOnly,
+          viewer: {
+            viewerId: authContext.client.viewerId,
+            label: authContext.client.label,
+            tokenJti: authContext.claims.jti,
+            scope: authContext.claims.scope
+          }
         });
       } catch (error) {
         const message = error instanceof Error ? error.message : 'attach failed';
@@ -207,11 +235,14 @@ export function createTerminalChannel(deps: TerminalChannelDeps): WsChannel {
         resource: sessionId,
         outcome: 'success',
         metadata: {
+          mode: watchOnly ? 'watch' : 'interactive',
           tokenJti: authContext.claims.jti
         }
       });
 
       const sessionHash = hashSessionId(sessionId);
+      let deniedInputFrames = 0;
+      const auditedDenials = new Set<string>();
       const sendQueue: Buffer[] = [];
       let queuedBytes = 0;
       let flushTimer: NodeJS.Timeout | null = null;
@@ -432,6 +463,26 @@ export function createTerminalChannel(deps: TerminalChannelDeps): WsChannel {
         })();
       }
 
+      const rejectInput = (reason: 'watch_only' | 'input_locked'): void => {
+        deniedInputFrames += 1;
+        // Only the first denial per reason is audited per attachment; the total is reported on detach.
+        if (auditedDenials.has(reason)) {
+          return;
+        }
+        auditedDenials.add(reason);
+        auditLogger.log({
+          event: 'session.terminal_input_denied',
+          actor: remoteIp,
+          resource: sessionId,
+          outcome: 'failure',
+          metadata: {
+            reason,
+            scope: authContext.claims.scope,
+            tokenJti: authContext.claims.jti
+          }
+        });
+      };
+
       ws.on('message', (raw, isBinary) => {
         if (isBinary) {
           const frame = decodeTerminalFrame(raw, sessionHash);
@@ -439,12 +490,22 @@ export function createTerminalChannel(deps: TerminalChannelDeps): WsChannel {
             ws.close(1003, 'invalid terminal frame');
             return;
           }
-          if (frame.payload.byteLength > 0) {
-            attachment.write(frame.payload.toString('utf8'));
+          if (watchOnly) {
+            rejectInput('watch_only');
+            return;
+          }
+          if (frame.payload.byteLength > 0 && !attachment.write(frame.payload.toString('utf8'))) {
+            rejectInput('input_locked');
           }
           return;
         }
-        attachment.write(rawDataToString(raw));
+        if (watchOnly) {
+          rejectInput('watch_only');
+          return;
+        }
+        if (!attachment.write(rawDataToString(raw))) {
+          rejectInput('input_locked');
+        }
       });
 
       ws.on('close', () => {
@@ -461,6 +522,8 @@ export function createTerminalChannel(deps: TerminalChannelDeps): WsChannel {
           resource: sessionId,
           outcome: 'success',
           metadata: {
+            mode: watchOnly ? 'watch' : 'interactive',
+            ...(deniedInputFrames > 0 ? { deniedInputFrames } : {}),
             tokenJti: authContext.claims.jti
           }
         });
@@ -14,12 +14,14 @@ function readState() {
     }
     return {
       nextPaneId: Number.isFinite(parsed.nextPaneId) ? Math.max(1, Math.floor(parsed.nextPaneId)) : 1,
+      nextWindowId: Number.isFinite(parsed.nextWindowId) ? Math.max(1, Math.floor(parsed.nextWindowId)) : 1,
       sessions: parsed.sessions && typeof parsed.sessions === 'object' ? parsed.sessions : {},
       panes: parsed.panes && typeof parsed.panes === 'object' ? parsed.panes : {}
     };
   } catch {
     return {
       nextPaneId: 1,
+      nextWindowId: 1,
       sessions: {},
       panes: {}
     };
@@ -62,14 +64,150 @@ function parseIntOption(args, name, fallback) {
   return parsed;
 }
 
-function renderFormat(format, session) {
+function createPane(state, sessionName, cwd, cols, rows) {
+  const pane = {
+    id: `%${state.nextPaneId}`,
+    index: 0,
+    active: true,
+    cwd,
+    cols,
+    rows,
+    command: 'bash',
+    piped: false,
+    // There is no real shell; the process that asked for the pane stands in for it.
+    pid: process.ppid
+  };
+  state.nextPaneId += 1;
+  state.panes[pane.id] = sessionName;
+  return pane;
+}
+
+function printCreatedTarget(args, session, window, pane) {
+  if (args.includes('-P')) {
+    process.stdout.write(`${renderFormat(readOption(args, '-F') || '#{session_name}:#{window_index}.#{pane_index}', session, window, pane)}\n`);
+  }
+}
+
+function createWindow(state, session, name, cwd) {
+  const window = {
+    id: `@${state.nextWindowId}`,
+    index: session.windows.reduce((max, entry) => Math.max(max, entry.index + 1), 0),
+    name: name || 'bash',
+    active: true,
+    panes: [createPane(state, session.name, cwd, session.cols, session.rows)]
+  };
+  state.nextWindowId += 1;
+  session.windows.forEach((entry) => {
+    entry.active = false;
+  });
+  session.windows.push(window);
+  return window;
+}
+
+function ensureWindows(state, session) {
+  if (Array.isArray(session.windows) && session.windows.length > 0) {
+    return session.windows;
+  }
+  const pane = {
+    id: session.paneId,
+    index: 0,
+    active: true,
+    cwd: session.cwd,
+    cols: session.cols,
+    rows: session.rows,
+    command: 'bash',
+    piped: !!session.logPath
+  };
+  session.windows = [{ id: `@${state.nextWindowId}`, index: 0, name: 'bash', active: true, panes: [pane] }];
+  state.nextWindowId += 1;
+  return session.windows;
+}
+
+function findPaneEntry(state, paneId) {
+  const sessionName = state.panes[paneId];
+  const session = sessionName ? state.sessions[sessionName] : null;
+  if (!session) {
+    return null;
+  }
+  for (const window of ensureWindows(state, session)) {
+    const pane = window.panes.find((entry) => entry.id === paneId);
+    if (pane) {
+      return { session, window, pane };
+    }
+  }
+  return null;
+}
+
+function findWindowEntry(state, windowId) {
+  for (const session of Object.values(state.sessions)) {
+    const window = ensureWindows(state, session).find((entry) => entry.id === windowId);
+    if (window) {
+      return { session, window };
+    }
+  }
+  return null;
+}
+
+function removeSessionState(state, session) {
+  for (const window of ensureWindows(state, session)) {
+    for (const pane of window.panes) {
+      delete state.panes[pane.id];
+    }
+  }
+  delete state.panes[session.paneId];
+  delete state.sessions[session.name];
+}
+
+function removeWindow(state, session, window) {
+  for (const pane of window.panes) {
+    delete state.panes[pane.id];
+  }
+  session.windows = session.windows.filter((entry) => entry.id !== window.id);
+  if (session.windows.length === 0) {
+    removeSessionState(state, session);
+    return;
+  }
+  if (!session.windows.some((entry) => entry.active)) {
+    session.windows[session.windows.length - 1].active = true;
+  }
+  session.paneId = session.windows[0].panes[0].id;
+}
+
+function renderFormat(format, session, window = null, pane = null) {
+  const options = session.options && typeof session.options === 'object' ? session.options : {};
   return format
+    .replace(/#\{(@[\w-]+)\}/g, (_match, name) => (typeof options[name] === 'string' ? options[name] : ''))
     .replaceAll('#{session_name}', session.name)
-    .replaceAll('#{pane_current_path}', session.cwd)
+    .replaceAll('#{pane_current_path}', pane ? pane.cwd : session.cwd)
     .replaceAll('#{window_width}', String(session.cols))
     .replaceAll('#{window_height}', String(session.rows))
     .replaceAll('#{session_created}', String(session.createdAt))
-    .replaceAll('#{pane_id}', session.paneId);
+    .replaceAll('#{window_id}', window ? window.id : '')
+    .replaceAll('#{window_index}', window ? String(window.index) : '0')
+    .replaceAll('#{window_name}', window ? window.name : '')
+    .replaceAll('#{window_active}', window && window.active ? '1' : '0')
+    .replaceAll('#{pane_id}', pane ? pane.id : session.paneId)
+    .replaceAll('#{pane_index}', pane ? String(pane.index) : '0')
+    .replaceAll('#{pane_active}', pane && pane.active ? '1' : '0')
+    .replaceAll('#{pane_width}', String(pane ? pane.cols : session.cols))
+    .replaceAll('#{pane_height}', String(pane ? pane.rows : session.rows))
+    .replaceAll('#{pane_current_command}', pane ? pane.command : 'bash')
+    .replaceAll('#{pane_pipe}', pane && pane.piped ? '1' : '0')
+    .replaceAll('#{pane_pid}', pane && pane.pid ? String(pane.pid) : '0');
+}
+
+function renderPaneLines(state, format, sessions, options = {}) {
+  const lines = [];
+  for (const session of sessions) {
+    const windows = ensureWindows(state, session);
+    const scopedWindows = options.activeWindowOnly ? windows.filter((window) => window.active) : windows;
+    for (const window of scopedWindows) {
+      for (const pane of window.panes) {
+        lines.push(renderFormat(format, session, window, pane));
+      }
+    }
+  }
+  return lines;
 }
 
 function normalizeQuotedPath(rawValue) {
@@ -105,8 +243,13 @@ function appendOutput(session, text) {
 }
 
 function getSessionByTarget(state, target) {
-  if (state.sessions[target]) {
-    return state.sessions[target];
+  const sessionTarget = target.endsWith(':') ? target.slice(0, -1) : target;
+  if (state.sessions[sessionTarget]) {
+    return state.sessions[sessionTarget];
+  }
+  const byWindow = findWindowEntry(state, target);
+  if (byWindow) {
+    return byWindow.session;
   }
   const byPane = state.panes[target];
   if (byPane && state.sessions[byPane]) {
@@ -115,7 +258,7 @@ function getSessionByTarget(state, target) {
   return null;
 }
 
-function attachSessionLoop(sessionName) {
+function attachSessionLoop(sessionName, readOnly = false) {
   process.stdin.setEncoding('utf8');
   process.stdin.resume();
 
@@ -143,6 +286,9 @@ function attachSessionLoop(sessionName) {
       process.exit(0);
       return;
     }
+    if (readOnly) {
+      return;
+    }
 
     appendOutput(session, chunk);
     writeState(state);
@@ -174,19 +320,22 @@ function main() {
     const cols = parseIntOption(args, '-x', 100);
     const rows = parseIntOption(args, '-y', 30);
     const cwd = readOption(args, '-c') || process.cwd();
-    const paneId = `%${state.nextPaneId}`;
-    state.nextPaneId += 1;
-    state.sessions[name] = {
+    const session = {
       name,
       cwd,
       cols,
       rows,
       createdAt: Math.floor(Date.now() / 1000),
-      paneId,
-      logPath: ''
+      paneId: '',
+      logPath: '',
+      windows: []
     };
-    state.panes[paneId] = name;
+    state.sessions[name] = session;
+    const window = createWindow(state, session, readOption(args, '-n'), cwd);
+    window.panes[0].startCommand = args[args.length - 1];
+    session.paneId = window.panes[0].id;
     writeState(state);
+    printCreatedTarget(args, session, window, window.panes[0]);
     process.exit(0);
   }
 
@@ -197,17 +346,26 @@ function main() {
 
     const format = readOption(args, '-F') || '#{session_name}';
     const target = readOption(args, '-t');
-    let list = Object.values(state.sessions);
+    let lines = [];
 
-    if (target) {
+    if (args.includes('-a')) {
+      lines = renderPaneLines(state, format, Object.values(state.sessions));
+    } else if (target && target.startsWith('%')) {
+      const entry = findPaneEntry(state, target);
+      if (!entry) {
+        failMissingSession(target);
+      }
+      lines = entry.window.panes.map((pane) => renderFormat(format, entry.session, entry.window, pane));
+    } else if (target) {
       const session = getSessionByTarget(state, target);
       if (!session) {
         failMissingSession(target);
       }
-      list = [session];
+      lines = renderPaneLines(state, format, [session], { activeWindowOnly: !args.includes('-s') });
+    } else {
+      lines = renderPaneLines(state, format, Object.values(state.sessions), { activeWindowOnly: true });
     }
 
-    const lines = list.map((session) => renderFormat(format, session));
     process.stdout.write(`${lines.join('\n')}\n`);
     process.exit(0);
   }
@@ -226,6 +384,10 @@ function main() {
     const pipeCommand = args[args.length - 1] || '';
     const logPath = parsePipeTargetPath(pipeCommand);
     if (logPath) {
+      const entry = findPaneEntry(state, target.startsWith('%') ? target : session.paneId);
+      if (entry) {
+        entry.pane.piped = true;
+      }
       session.logPath = logPath;
       fs.mkdirSync(path.dirname(logPath), { recursive: true });
       fs.closeSync(fs.openSync(logPath, 'a', 0o600));
@@ -239,7 +401,7 @@ function main() {
     if (!target || !state.sessions[target]) {
       failMissingSession(target || '');
     }
-    attachSessionLoop(target);
+    attachSessionLoop(target, args.includes('-r'));
     return;
   }
 
@@ -261,8 +423,114 @@ function main() {
     if (!session) {
       failMissingSession(target || '');
     }
-    delete state.panes[session.paneId];
-    delete state.sessions[target];
+    removeSessionState(state, session);
+    writeState(state);
+    process.exit(0);
+  }
+
+  if (command === 'new-window') {
+    const target = readOption(args, '-t');
+    const session = target ? getSessionByTarget(state, target) : null;
+    if (!session) {
+      failMissingSession(target || '');
+    }
+    ensureWindows(state, session);
+    const window = createWindow(state, session, readOption(args, '-n'), readOption(args, '-c') || session.cwd);
+    window.panes[0].startCommand = args[args.length - 1];
+    writeState(state);
+    printCreatedTarget(args, session, window, window.panes[0]);
+    process.exit(0);
+  }
+
+  if (command === 'select-window' || command === 'kill-window') {
+    const target = readOption(args, '-t');
+    const entry = target ? findWindowEntry(state, target) : null;
+    if (!entry) {
+      process.stderr.write(`can't find window: ${target}\n`);
+      process.exit(1);
+    }
+    if (command === 'kill-window') {
+      removeWindow(state, entry.session, entry.window);
+    } else {
+      entry.session.windows.forEach((window) => {
+        window.active = window.id === entry.window.id;
+      });
+    }
+    writeState(state);
+    process.exit(0);
+  }
+
+  if (command === 'split-window' || command === 'select-pane' || command === 'kill-pane') {
+    const target = readOption(args, '-t');
+    const entry = target ? findPaneEntry(state, target) : null;
+    if (!entry) {
+      process.stderr.write(`can't find pane: ${target}\n`);
+      process.exit(1);
+    }
+    const { session, window } = entry;
+    let createdPane = null;
+    if (command === 'split-window') {
+      const pane = createPane(state, session.name, readOption(args, '-c') || entry.pane.cwd, entry.pane.cols, entry.pane.rows);
+      pane.index = window.panes.reduce((max, candidate) => Math.max(max, candidate.index + 1), 0);
+      pane.split = args.includes('-h') ? 'horizontal' : 'vertical';
+      pane.startCommand = args[args.length - 1];
+      window.panes.forEach((candidate) => {
+        candidate.active = false;
+      });
+      window.panes.push(pane);
+      createdPane = pane;
+    } else if (command === 'select-pane') {
+      window.panes.forEach((candidate) => {
+        candidate.active = candidate.id === entry.pane.id;
+      });
+    } else {
+      delete state.panes[entry.pane.id];
+      window.panes = window.panes.filter((candidate) => candidate.id !== entry.pane.id);
+      if (window.panes.length === 0) {
+        removeWindow(state, session, window);
+      } else {
+        if (!window.panes.some((candidate) => candidate.active)) {
+          window.panes[window.panes.length - 1].active = true;
+        }
+        session.paneId = session.windows[0].panes[0].id;
+      }
+    }
+    writeState(state);
+    if (createdPane) {
+      printCreatedTarget(args, session, window, createdPane);
+    }
+    process.exit(0);
+  }
+
+  if (command === 'set-environment') {
+    const target = readOption(args, '-t');
+    const session = target ? getSessionByTarget(state, target) : null;
+    if (!session) {
+      failMissingSession(target || '');
+    }
+    const [key, value] = args.slice(args.indexOf('-t') + 2);
+    session.environment = { ...(session.environment || {}), [key]: value };
+    writeState(state);
+    process.exit(0);
+  }
+
+  if (command === 'set-option') {
+    const target = readOption(args, '-t');
+    const session = target ? getSessionByTarget(state, target) : null;
+    if (!session) {
+      failMissingSession(target || '');
+    }
+    const targetIndex = args.indexOf('-t');
+    const [name, value] = args.slice(targetIndex + 2);
+    if (!name || !name.startsWith('@')) {
+      process.exit(0);
+    }
+    session.options = session.options && typeof session.options === 'object' ? session.options : {};
+    if (args.includes('-u')) {
+      delete session.options[name];
+    } else {
+      session.options[name] = value ?? '';
+    }
     writeState(state);
     process.exit(0);
   }
@@ -0,0 +1,379 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { createECDH, randomBytes } from 'node:crypto';
+import { once } from 'node:events';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function rawDataToText(raw) {
+  if (typeof raw === 'string') {
+    return raw;
+  }
+  if (Buffer.isBuffer(raw)) {
+    return raw.toString('utf8');
+  }
+  if (raw instanceof ArrayBuffer) {
+    return Buffer.from(raw).toString('utf8');
+  }
+  return Buffer.concat(raw.map((item) => (Buffer.isBuffer(item) ? item : Buffer.from(item)))).toString('utf8');
+}
+
+function createJsonWaiter(ws) {
+  return function waitForJson(predicate, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error('timeout waiting for websocket message'));
+      }, timeoutMs);
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        ws.off('message', onMessage);
+        ws.off('close', onClose);
+      };
+
+      const onClose = () => {
+        cleanup();
+        reject(new Error('websocket closed before expected message'));
+      };
+
+      const onMessage = (raw) => {
+        let payload = null;
+        try {
+          payload = JSON.parse(rawDataToText(raw));
+        } catch {
+          payload = null;
+        }
+        if (!payload) {
+          return;
+        }
+        if (predicate(payload)) {
+          cleanup();
+          resolve(payload);
+        }
+      };
+
+      ws.on('message', onMessage);
+      ws.on('close', onClose);
+    });
+  };
+}
+
+async function openWebSocket(url) {
+  return await new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+async function exchangeDevice(baseUrl, bootstrapToken, { scope = 'admin', device, userAgent } = {}) {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${bootstrapToken}`,
+      'Content-Type': 'application/json',
+      ...(userAgent ? { 'User-Agent': userAgent } : {})
+    },
+    body: JSON.stringify({ scope, device })
+  });
+  assert.equal(response.status, 200);
+  return await response.json();
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+async function openAuthedControl(port, accessToken, client) {
+  const controlWs = await openWebSocket(`ws://127.0.0.1:${port}/ws/control`);
+  const waitControlJson = createJsonWaiter(controlWs);
+  controlWs.send(
+    JSON.stringify({
+      type: 'auth',
+      token: accessToken,
+      client: {
+        ua: 'auth-devices-test',
+        version: 1,
+        ...client
+      }
+    })
+  );
+  await waitControlJson((payload) => payload.type === 'auth.ok');
+  await waitControlJson((payload) => payload.type === 'sessions' && Array.isArray(payload.list));
+  return { controlWs, waitControlJson };
+}
+
+
+async function readAuditEvents(runtimeDir, event) {
+  const auditDir = path.join(runtimeDir, '.c2p-audit');
+  const files = await readdir(auditDir).catch(() => []);
+  const target = files.filter((name) => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name)).sort().pop();
+  if (!target) {
+    return [];
+  }
+  const text = await readFile(path.join(auditDir, target), 'utf8').catch(() => '');
+  return text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((payload) => payload.event === event);
+}
+
+test('exchanges enroll named devices and revoking a device cuts off its tokens and sockets', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-auth-devices-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+
+  let currentServer = null;
+  try {
+    const port = await getFreePort();
+    currentServer = await startServer({ runtimeDir, stateFile: fakeStatePath, port });
+    const { baseUrl } = currentServer;
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+
+    const laptop = await exchangeDevice(baseUrl, bootstrapToken, {
+      device: { label: 'Work laptop' },
+      userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) Firefox/120.0'
+    });
+    assert.match(laptop.deviceId, /^[a-f0-9]{32}$/);
+    const phone = await exchangeDevice(baseUrl, bootstrapToken, {
+      userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0) Version/17.0 Mobile Safari/604.1'
+    });
+    const phoneAgain = await exchangeDevice(baseUrl, bootstrapToken, {
+      scope: 'readonly',
+      device: { id: phone.deviceId, label: 'Lost phone' }
+    });
+    assert.equal(phoneAgain.deviceId, phone.deviceId);
+
+    const request = async (pathname, token, init = {}) => {
+      const response = await fetch(`${baseUrl}${pathname}`, {
+        ...init,
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', ...init.headers }
+      });
+      return { status: response.status, body: response.status === 204 ? null : await response.json() };
+    };
+
+    const listed = await request('/api/auth/devices', phoneAgain.accessToken);
+    assert.equal(listed.status, 200);
+    assert.equal(listed.body.currentDeviceId, phone.deviceId);
+    const devices = new Map(listed.body.devices.map((device) => [device.id, device]));
+    assert.equal(devices.size, 2);
+    assert.equal(devices.get(laptop.deviceId).label, 'Work laptop');
+    assert.equal(devices.get(laptop.deviceId).current, false);
+    assert.match(devices.get(laptop.deviceId).userAgent, /Firefox/);
+    assert.equal(devices.get(phone.deviceId).label, 'Lost phone');
+    assert.equal(devices.get(phone.deviceId).scope, 'readonly');
+    assert.equal(devices.get(phone.deviceId).activeTokens, 2);
+    assert.equal(devices.get(phone.deviceId).current, true);
+    assert.equal(devices.get(phone.deviceId).revokedAt, null);
+
+    const renamed = await request(`/api/auth/devices/${laptop.deviceId}`, laptop.accessToken, {
+      method: 'PATCH',
+      body: JSON.stringify({ label: '  Desk  ' })
+    });
+    assert.deepEqual(renamed, { status: 200, body: { ok: true, id: laptop.deviceId, label: 'Desk' } });
+
+    // Readonly tokens can list devices but not revoke them.
+    const denied = await request(`/api/auth/devices/${laptop.deviceId}/revoke`, phoneAgain.accessToken, {
+      method: 'POST'
+    });
+    assert.equal(denied.status, 403);
+    const unknown = await request(`/api/auth/devices/${'0'.repeat(32)}/revoke`, laptop.accessToken, {
+      method: 'POST'
+    });
+    assert.equal(unknown.status, 404);
+
+    const subscribe = (token, endpoint) => {
+      const ecdh = createECDH('prime256v1');
+      ecdh.generateKeys();
+      const keys = { p256dh: ecdh.getPublicKey().toString('base64url'), auth: randomBytes(16).toString('base64url') };
+      return request('/api/push/subscriptions', token, {
+        method: 'POST',
+        body: JSON.stringify({ subscription: { endpoint, keys } })
+      });
+    };
+    const phoneEndpoint = 'https://push.example.com/lost-phone';
+    const laptopEndpoint = 'https://push.example.com/laptop';
+    assert.equal((await subscribe(phone.accessToken, phoneEndpoint)).status, 201);
+    assert.equal((await subscribe(laptop.accessToken, laptopEndpoint)).status, 201);
+
+    const { controlWs } = await openAuthedControl(port, phoneAgain.accessToken, { label: 'Lost phone' });
+    const closed = new Promise((resolve) => {
+      controlWs.once('close', (code, reason) => resolve({ code, reason: reason.toString() }));
+    });
+    const revoked = await request(`/api/auth/devices/${phone.deviceId}/revoke`, laptop.accessToken, { method: 'POST' });
+    assert.deepEqual(revoked, { status: 200, body: { ok: true, id: phone.deviceId, revokedTokens: 2 } });
+    assert.deepEqual(await closed, { code: 4401, reason: 'device revoked' });
+
+    assert.equal((await request('/api/auth/devices', phone.accessToken)).status, 401);
+    assert.equal((await request('/api/auth/devices', phoneAgain.accessToken)).status, 401);
+    assert.equal((await request('/api/auth/refresh', phoneAgain.accessToken, { method: 'POST' })).status, 401);
+    const afterRevoke = await request('/api/auth/devices', laptop.accessToken);
+    assert.equal(afterRevoke.status, 200);
+    const revokedDevice = afterRevoke.body.devices.find((device) => device.id === phone.deviceId);
+    assert.ok(revokedDevice.revokedAt);
+    assert.equal(revokedDevice.activeTokens, 0);
+    // The phone's push subscription went with it (re-adding it creates a new row); the laptop's stays.
+    assert.equal((await subscribe(laptop.accessToken, phoneEndpoint)).status, 201);
+    assert.equal((await subscribe(laptop.accessToken, laptopEndpoint)).status, 200);
+
+    // The bootstrap token can still enroll the phone again, as a new device.
+    const reenrolled = await exchangeDevice(baseUrl, bootstrapToken, { device: { id: phone.deviceId } });
+    assert.notEqual(reenrolled.deviceId, phone.deviceId);
+
+    const events = await readAuditEvents(runtimeDir, 'auth.device_revoked');
+    assert.equal(events.length, 1);
+    assert.equal(events[0].resource, phone.deviceId);
+    assert.equal(events[0].metadata.revokedTokens.length, 2);
+  } finally {
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,427 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdir, mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function rawDataToText(raw) {
+  if (typeof raw === 'string') {
+    return raw;
+  }
+  if (Buffer.isBuffer(raw)) {
+    return raw.toString('utf8');
+  }
+  if (raw instanceof ArrayBuffer) {
+    return Buffer.from(raw).toString('utf8');
+  }
+  return Buffer.concat(raw.map((item) => (Buffer.isBuffer(item) ? item : Buffer.from(item)))).toString('utf8');
+}
+
+function createJsonWaiter(ws) {
+  return function waitForJson(predicate, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error('timeout waiting for websocket message'));
+      }, timeoutMs);
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        ws.off('message', onMessage);
+        ws.off('close', onClose);
+      };
+
+      const onClose = () => {
+        cleanup();
+        reject(new Error('websocket closed before expected message'));
+      };
+
+      const onMessage = (raw) => {
+        let payload = null;
+        try {
+          payload = JSON.parse(rawDataToText(raw));
+        } catch {
+          payload = null;
+        }
+        if (!payload) {
+          return;
+        }
+        if (predicate(payload)) {
+          cleanup();
+          resolve(payload);
+        }
+      };
+
+      ws.on('message', onMessage);
+      ws.on('close', onClose);
+    });
+  };
+}
+
+async function openWebSocket(url) {
+  return await new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+
+async function exchange(baseUrl, bootstrapToken, body) {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${bootstrapToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+
+async function openAuthedControl(port, accessToken) {
+  const controlWs = await openWebSocket(`ws://127.0.0.1:${port}/ws/control`);
+  const waitControlJson = createJsonWaiter(controlWs);
+  controlWs.send(JSON.stringify({ type: 'auth', token: accessToken, client: { ua: 'auth-grants-test', version: 1 } }));
+  const authOk = await waitControlJson((payload) => payload.type === 'auth.ok');
+  return { controlWs, waitControlJson, authOk };
+}
+
+async function findLatestAuditFile(auditDir) {
+  const files = await readdir(auditDir).catch(() => []);
+  const target = files.filter((name) => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name)).sort().pop();
+  if (!target) {
+    return '';
+  }
+  return path.join(auditDir, target);
+}
+
+async function waitForAuditEvent(auditDir, predicate, timeoutMs = 4000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    const auditFile = await findLatestAuditFile(auditDir);
+    const text = auditFile ? await readFile(auditFile, 'utf8').catch(() => '') : '';
+    for (const line of text.split('\n')) {
+      let payload = null;
+      try {
+        payload = JSON.parse(line);
+      } catch {
+        payload = null;
+      }
+      if (payload && predicate(payload)) {
+        return payload;
+      }
+    }
+    await sleep(120);
+  }
+  return null;
+}
+
+test('exchanges can narrow a token to capabilities and path prefixes', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-auth-grants-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+  await mkdir(path.join(runtimeDir, 'docs', 'drafts'), { recursive: true });
+  await writeFile(path.join(runtimeDir, 'docs', 'readme.txt'), 'hello\n');
+  await writeFile(path.join(runtimeDir, 'secret.txt'), 'top secret\n');
+  await mkdir(path.join(runtimeDir, 'inbox'));
+  await writeFile(path.join(runtimeDir, 'inbox', 'private.txt'), 'drop box\n');
+
+  let currentServer = null;
+  const sockets = [];
+  try {
+    const port = await getFreePort();
+    currentServer = await startServer({ runtimeDir, stateFile: fakeStatePath, port });
+    const { baseUrl } = currentServer;
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+
+    // Asking for more than the scope allows, or for something unknown, fails instead of being dropped.
+    const tooBroad = await exchange(baseUrl, bootstrapToken, { scope: 'readonly', grants: { 'fs:write': true } });
+    assert.equal(tooBroad.status, 400);
+    assert.match(tooBroad.body.error, /fs:write is not part of the readonly scope/);
+    const unknown = await exchange(baseUrl, bootstrapToken, { scope: 'admin', grants: { 'fs:delete': true } });
+    assert.equal(unknown.status, 400);
+    const escaping = await exchange(baseUrl, bootstrapToken, { scope: 'admin', grants: { 'fs:read': ['../etc'] } });
+    assert.equal(escaping.status, 400);
+
+    const grants = { 'fs:read': ['docs'], 'fs:write': ['docs/drafts'], 'system:read': true };
+    const narrowed = await exchange(baseUrl, bootstrapToken, { scope: 'admin', grants });
+    assert.equal(narrowed.status, 200);
+    assert.equal(narrowed.body.scope, 'admin');
+    assert.deepEqual(narrowed.body.grants, grants);
+    const full = await exchange(baseUrl, bootstrapToken, { scope: 'readonly' });
+    assert.deepEqual(Object.keys(full.body.grants).sort(), ['auth:read', 'fs:read', 'system:read', 'terminal:attach']);
+
+    const request = async (pathname, token, init = {}) => {
+      const response = await fetch(`${baseUrl}${pathname}`, {
+        ...init,
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', ...init.headers }
+      });
+      return { status: response.status, body: await response.json().catch(() => null) };
+    };
+    const token = narrowed.body.accessToken;
+
+    assert.equal((await request('/api/fs/read?path=docs/readme.txt', token)).status, 200);
+    assert.equal((await request('/api/fs/list?path=docs', token)).status, 200);
+    const outside = await request('/api/fs/read?path=secret.txt', token);
+    assert.deepEqual(outside, {
+      status: 403,
+      body: {
+        error: 'forbidden',
+        reason: 'insufficient_scope',
+        requiredScope: 'readonly',
+        actualScope: 'admin',
+        requiredCapability: 'fs:read',
+        path: 'secret.txt'
+      }
+    });
+    // Prefixes match whole path segments.
+    assert.equal((await request('/api/fs/list?path=.', token)).status, 403);
+    assert.equal((await request('/api/fs/read?path=docs-other/x', token)).status, 403);
+
+    const draft = await request('/api/fs/write', token, {
+      method: 'POST',
+      body: JSON.stringify({ path: 'docs/drafts/note.txt', content: 'draft\n' })
+    });
+    assert.equal(draft.status, 201);
+    const overwrite = await request('/api/fs/write', token, {
+      method: 'POST',
+      body: JSON.stringify({ path: 'docs/readme.txt', content: 'changed\n' })
+    });
+    assert.equal(overwrite.status, 403);
+    assert.equal(await readFile(path.join(runtimeDir, 'docs', 'readme.txt'), 'utf8'), 'hello\n');
+    // A stale If-Match only hands back the current content when the token may also read it.
+    const staleDraft = await request('/api/fs/write', token, {
+      method: 'POST',
+      headers: { 'If-Match': '"stale"' },
+      body: JSON.stringify({ path: 'docs/drafts/note.txt', content: 'again\n' })
+    });
+    assert.equal(staleDraft.status, 409);
+    assert.equal(staleDraft.body.content, 'draft\n');
+    const writeOnly = await exchange(baseUrl, bootstrapToken, { scope: 'admin', grants: { 'fs:write': ['inbox'] } });
+    const blindConflict = await request('/api/fs/write', writeOnly.body.accessToken, {
+      method: 'POST',
+      headers: { 'If-Match': '"stale"' },
+      body: JSON.stringify({ path: 'inbox/private.txt', content: 'guess\n' })
+    });
+    assert.equal(blindConflict.status, 409);
+    assert.equal(blindConflict.body.exists, true);
+    assert.equal(blindConflict.body.content, null);
+    assert.equal(await readFile(path.join(runtimeDir, 'inbox', 'private.txt'), 'utf8'), 'drop box\n');
+    const copyOut = await request('/api/fs/copy', token, {
+      method: 'POST',
+      body: JSON.stringify({ path: 'secret.txt', to: 'docs/drafts/secret.txt' })
+    });
+    assert.equal(copyOut.status, 403);
+
+    assert.equal((await request('/api/system/stats', token)).status, 200);
+    const sessions = await request('/api/sessions', token);
+    assert.equal(sessions.status, 403);
+    assert.equal(sessions.body.requiredCapability, 'terminal:attach');
+    assert.equal((await request('/api/auth/devices', token)).status, 403);
+    const pairing = await request('/api/auth/pairing', token, { method: 'POST', body: JSON.stringify({}) });
+    assert.equal(pairing.status, 403);
+    assert.equal(pairing.body.requiredCapability, 'auth:manage');
+
+    const denied = await waitForAuditEvent(
+      path.join(runtimeDir, '.c2p-audit'),
+      (payload) => payload.event === 'auth.denied_scope' && payload.resource === 'secret.txt'
+    );
+    assert.equal(denied?.metadata.requiredCapability, 'fs:read');
+
+    // Refreshing keeps the narrowed grants.
+    const refreshed = await request('/api/auth/refresh', token, { method: 'POST', body: JSON.stringify({}) });
+    assert.equal(refreshed.status, 200);
+    assert.deepEqual(refreshed.body.grants, grants);
+    const refreshedToken = refreshed.body.accessToken;
+    assert.equal((await request('/api/fs/read?path=secret.txt', refreshedToken)).status, 403);
+
+    // The control channel only serves watches inside the prefixes and refuses terminal actions.
+    const adminFull = await exchange(baseUrl, bootstrapToken, { scope: 'admin' });
+    const spawner = await openAuthedControl(port, adminFull.body.accessToken);
+    sockets.push(spawner.controlWs);
+    spawner.controlWs.send(JSON.stringify({ type: 'spawn', cli: 'shell', cols: 100, rows: 30 }));
+    const spawned = await spawner.waitControlJson((payload) => payload.type === 'spawned');
+
+    const limited = await openAuthedControl(port, refreshedToken);
+    sockets.push(limited.controlWs);
+    assert.deepEqual(limited.authOk.grants, grants);
+    limited.controlWs.send(JSON.stringify({ type: 'spawn', cli: 'shell', requestId: 'grants-spawn' }));
+    const spawnDenied = await limited.waitControlJson(
+      (payload) => payload.type === 'error' && payload.requestId === 'grants-spawn'
+    );
+    assert.equal(spawnDenied.message, 'insufficient_scope');
+    limited.controlWs.send(JSON.stringify({ type: 'fs.watch', path: 'docs', requestId: 'watch-docs' }));
+    const watching = await limited.waitControlJson((payload) => payload.requestId === 'watch-docs');
+    assert.equal(watching.type, 'fs.watching');
+    limited.controlWs.send(JSON.stringify({ type: 'fs.watch', path: '.', requestId: 'watch-root' }));
+    const watchDenied = await limited.waitControlJson((payload) => payload.requestId === 'watch-root');
+    assert.deepEqual([watchDenied.type, watchDenied.message], ['error', 'forbidden']);
+
+    // The terminal channel closes for tokens without terminal:attach.
+    const terminalWs = await openWebSocket(
+      `ws://127.0.0.1:${port}/ws/terminal?session=${encodeURIComponent(spawned.sessionId)}&cols=100&rows=30`
+    );
+    sockets.push(terminalWs);
+    const closed = once(terminalWs, 'close');
+    terminalWs.send(JSON.stringify({ type: 'auth', token: refreshedToken }));
+    const [code, reason] = await closed;
+    assert.equal(code, 1008);
+    assert.equal(reason.toString(), 'insufficient_scope');
+  } finally {
+    sockets.forEach((ws) => ws.terminate());
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
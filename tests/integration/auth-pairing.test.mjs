@@ -0,0 +1,320 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const authCliEntry = path.join(repoRoot, 'dist', 'auth-cli.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+async function readAuditEvents(runtimeDir, event) {
+  const auditDir = path.join(runtimeDir, '.c2p-audit');
+  const files = await readdir(auditDir).catch(() => []);
+  const target = files.filter((name) => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name)).sort().pop();
+  if (!target) {
+    return [];
+  }
+  const text = await readFile(path.join(auditDir, target), 'utf8').catch(() => '');
+  return text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((payload) => payload.event === event);
+}
+
+
+async function exchange(baseUrl, { bootstrapToken, pairingCode, scope } = {}) {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      ...(bootstrapToken ? { Authorization: `Bearer ${bootstrapToken}` } : {}),
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ pairingCode, scope })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function waitForPairingCodes(server, count, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const matches = server.getLogs().matchAll(/pairing code: (\d{3}) (\d{3}).*\n.*pairing link: /g);
+    const codes = [...matches].map((match) => match[1] + match[2]);
+    if (codes.length >= count) {
+      return codes;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`pairing code not printed\n${server.getLogs()}`);
+    }
+    await sleep(50);
+  }
+}
+
+async function waitForAuditEvent(runtimeDir, event, predicate, timeoutMs = 8000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const match = (await readAuditEvents(runtimeDir, event)).find(predicate);
+    if (match) {
+      return match;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`audit event ${event} not written`);
+    }
+    await sleep(100);
+  }
+}
+
+async function runAuthCli(args, cwd) {
+  const child = spawn(process.execPath, [authCliEntry, ...args], { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+  let output = '';
+  child.stdout.on('data', (chunk) => {
+    output += chunk.toString();
+  });
+  const [code] = await once(child, 'exit');
+  return { code, output };
+}
+
+test('pairing codes are single use and rotating the bootstrap token invalidates the old one', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-auth-pairing-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+
+  let currentServer = null;
+  try {
+    const port = await getFreePort();
+    currentServer = await startServer({ runtimeDir, stateFile: fakeStatePath, port });
+    const { baseUrl } = currentServer;
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+
+    // The startup code is printed next to its QR and can be redeemed exactly once.
+    const [startupCode] = await waitForPairingCodes(currentServer, 1);
+    assert.match(currentServer.getLogs(), /#pair=[a-f0-9]{32}/);
+    const paired = await exchange(baseUrl, { pairingCode: startupCode, scope: 'readonly' });
+    assert.equal(paired.status, 200);
+    assert.equal(paired.body.scope, 'admin');
+    const reused = await exchange(baseUrl, { pairingCode: startupCode });
+    assert.deepEqual(reused, { status: 401, body: { error: 'unauthorized', reason: 'pairing_invalid' } });
+
+    const request = async (pathname, token, init = {}) => {
+      const response = await fetch(`${baseUrl}${pathname}`, {
+        ...init,
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', ...init.headers }
+      });
+      return { status: response.status, body: await response.json() };
+    };
+    const adminToken = paired.body.accessToken;
+
+    const issued = await request('/api/auth/pairing', adminToken, {
+      method: 'POST',
+      body: JSON.stringify({ scope: 'readonly' })
+    });
+    assert.equal(issued.status, 201);
+    assert.equal(issued.body.scope, 'readonly');
+    const viewer = await exchange(baseUrl, { pairingCode: issued.body.token });
+    assert.equal(viewer.status, 200);
+    assert.equal(viewer.body.scope, 'readonly');
+    const denied = await request('/api/auth/pairing', viewer.body.accessToken, { method: 'POST' });
+    assert.equal(denied.status, 403);
+    const rotateDenied = await request('/api/auth/bootstrap/rotate', viewer.body.accessToken, { method: 'POST' });
+    assert.equal(rotateDenied.status, 403);
+    const badScope = await request('/api/auth/pairing', adminToken, {
+      method: 'POST',
+      body: JSON.stringify({ scope: 'root' })
+    });
+    assert.equal(badScope.status, 400);
+
+    // SIGUSR2 prints a fresh code; rotation then voids it together with the old bootstrap token.
+    currentServer.child.kill('SIGUSR2');
+    const [, signalCode] = await waitForPairingCodes(currentServer, 2);
+    const rotated = await request('/api/auth/bootstrap/rotate', adminToken, { method: 'POST' });
+    assert.equal(rotated.status, 200);
+    assert.equal(rotated.body.revokedPairingCodes, 1);
+    assert.equal((await exchange(baseUrl, { bootstrapToken })).status, 401);
+    const voided = await exchange(baseUrl, { pairingCode: signalCode });
+    assert.equal(voided.body.reason, 'pairing_invalid');
+
+    const rotatedToken = await readBootstrapToken(runtimeDir);
+    assert.notEqual(rotatedToken, bootstrapToken);
+    assert.equal((await exchange(baseUrl, { bootstrapToken: rotatedToken })).status, 200);
+    // Access tokens issued before the rotation keep working.
+    assert.equal((await request('/api/auth/devices', adminToken)).status, 200);
+
+    const cli = await runAuthCli(['rotate', '--dir', runtimeDir], runtimeDir);
+    assert.equal(cli.code, 0);
+    assert.match(cli.output, /bootstrap token rotated/);
+    const fileRotation = await waitForAuditEvent(runtimeDir, 'auth.bootstrap_rotated', (entry) => {
+      return entry.metadata.source === 'file';
+    });
+    const cliToken = await readBootstrapToken(runtimeDir);
+    assert.equal(fileRotation.metadata.previousFingerprint, rotated.body.fingerprint);
+    assert.equal((await exchange(baseUrl, { bootstrapToken: rotatedToken })).status, 401);
+    assert.equal((await exchange(baseUrl, { bootstrapToken: cliToken })).status, 200);
+
+    const apiRotation = await readAuditEvents(runtimeDir, 'auth.bootstrap_rotated');
+    assert.deepEqual(
+      apiRotation.map((entry) => entry.metadata.source),
+      ['api', 'file']
+    );
+    const pairingIssued = await readAuditEvents(runtimeDir, 'auth.pairing_issued');
+    assert.deepEqual(
+      pairingIssued.map((entry) => entry.metadata.source),
+      ['startup', 'api', 'signal']
+    );
+    const tokenIssued = await readAuditEvents(runtimeDir, 'auth.token_issued');
+    assert.deepEqual(
+      tokenIssued.map((entry) => entry.metadata.via),
+      ['pairing', 'pairing', 'bootstrap', 'bootstrap']
+    );
+    assert.equal(JSON.stringify(await readAuditEvents(runtimeDir, 'auth.failed')).includes(bootstrapToken), false);
+  } finally {
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
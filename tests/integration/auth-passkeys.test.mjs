@@ -0,0 +1,374 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { createHash, generateKeyPairSync, randomBytes, sign } from 'node:crypto';
+import { once } from 'node:events';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+async function readAuditEvents(runtimeDir, event) {
+  const auditDir = path.join(runtimeDir, '.c2p-audit');
+  const files = await readdir(auditDir).catch(() => []);
+  const target = files.filter((name) => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name)).sort().pop();
+  if (!target) {
+    return [];
+  }
+  const text = await readFile(path.join(auditDir, target), 'utf8').catch(() => '');
+  return text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((payload) => payload.event === event);
+}
+
+
+function encodeHead(major, length) {
+  if (length < 24) {
+    return Buffer.from([(major << 5) | length]);
+  }
+  if (length < 0x100) {
+    return Buffer.from([(major << 5) | 24, length]);
+  }
+  const head = Buffer.alloc(3);
+  head.writeUInt8((major << 5) | 25, 0);
+  head.writeUInt16BE(length, 1);
+  return head;
+}
+
+function encodeCbor(value) {
+  if (typeof value === 'number') {
+    return value >= 0 ? encodeHead(0, value) : encodeHead(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([encodeHead(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([encodeHead(3, bytes.length), bytes]);
+  }
+  const entries = [...value.entries()];
+  return Buffer.concat([
+    encodeHead(5, entries.length),
+    ...entries.flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)])
+  ]);
+}
+
+// Plays the platform authenticator: a P-256 key with user verification always passed.
+function createAuthenticator(origin) {
+  const keys = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = keys.publicKey.export({ format: 'jwk' });
+  const credentialId = randomBytes(16);
+  let counter = 0;
+
+  const authData = (rpId, attested) => {
+    const count = Buffer.alloc(4);
+    count.writeUInt32BE(counter);
+    const parts = [createHash('sha256').update(rpId).digest(), Buffer.from([attested ? 0x45 : 0x05]), count];
+    if (attested) {
+      const coseKey = new Map([
+        [1, 2],
+        [3, -7],
+        [-1, 1],
+        [-2, Buffer.from(jwk.x, 'base64url')],
+        [-3, Buffer.from(jwk.y, 'base64url')]
+      ]);
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      parts.push(Buffer.alloc(16), idLength, credentialId, encodeCbor(coseKey));
+    }
+    return Buffer.concat(parts);
+  };
+
+  return {
+    id: credentialId.toString('base64url'),
+    register(options) {
+      const clientDataJSON = JSON.stringify({ type: 'webauthn.create', challenge: options.challenge, origin });
+      const attestationObject = encodeCbor(
+        new Map([
+          ['fmt', 'none'],
+          ['attStmt', new Map()],
+          ['authData', authData(options.rp.id, true)]
+        ])
+      );
+      return {
+        id: credentialId.toString('base64url'),
+        rawId: credentialId.toString('base64url'),
+        type: 'public-key',
+        response: {
+          clientDataJSON: Buffer.from(clientDataJSON).toString('base64url'),
+          attestationObject: attestationObject.toString('base64url'),
+          transports: ['internal']
+        }
+      };
+    },
+    login(options) {
+      counter += 1;
+      const clientData = { type: 'webauthn.get', challenge: options.challenge, origin };
+      const clientDataJSON = Buffer.from(JSON.stringify(clientData));
+      const data = authData(options.rpId, false);
+      const signed = Buffer.concat([data, createHash('sha256').update(clientDataJSON).digest()]);
+      const signature = sign('sha256', signed, keys.privateKey);
+      return {
+        id: credentialId.toString('base64url'),
+        rawId: credentialId.toString('base64url'),
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientDataJSON.toString('base64url'),
+          authenticatorData: data.toString('base64url'),
+          signature: signature.toString('base64url')
+        }
+      };
+    }
+  };
+}
+
+async function postJson(baseUrl, route, { origin, token, body = {} } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (origin) {
+    headers.Origin = origin;
+  }
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const response = await fetch(`${baseUrl}${route}`, { method: 'POST', headers, body: JSON.stringify(body) });
+  return { status: response.status, payload: await response.json().catch(() => null) };
+}
+
+test('passkeys registered by a signed-in device mint access tokens for it later', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is not permitted in this environment');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-passkeys-'));
+  const stateFile = path.join(runtimeDir, 'fake-tmux-state.json');
+  const port = await getFreePort();
+  const origin = `http://localhost:${port}`;
+  const server = await startServer({ runtimeDir, stateFile, port });
+
+  try {
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    const exchanged = await postJson(server.baseUrl, '/api/auth/exchange', { token: bootstrapToken });
+    assert.equal(exchanged.status, 200);
+    const { accessToken, deviceId } = exchanged.payload;
+
+    // WebAuthn needs a secure context, so plain-http IP origins are turned away.
+    const insecure = await postJson(server.baseUrl, '/api/auth/passkeys/register/options', {
+      origin: server.baseUrl,
+      token: accessToken
+    });
+    assert.equal(insecure.status, 400);
+    assert.equal(insecure.payload.reason, 'invalid_origin');
+
+    const authenticator = createAuthenticator(origin);
+    const registerOptions = await postJson(server.baseUrl, '/api/auth/passkeys/register/options', {
+      origin,
+      token: accessToken
+    });
+    assert.equal(registerOptions.status, 200);
+    assert.equal(registerOptions.payload.rp.id, 'localhost');
+    const registered = await postJson(server.baseUrl, '/api/auth/passkeys/register', {
+      origin,
+      token: accessToken,
+      body: { credential: authenticator.register(registerOptions.payload), label: 'Test phone' }
+    });
+    assert.equal(registered.status, 201);
+    assert.equal(registered.payload.id, authenticator.id);
+
+    const listed = await fetch(`${server.baseUrl}/api/auth/passkeys`, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    }).then((response) => response.json());
+    assert.deepEqual(
+      listed.passkeys.map((passkey) => [passkey.label, passkey.scope, passkey.deviceId]),
+      [['Test phone', 'admin', deviceId]]
+    );
+
+    // Signing in needs no token; the browser that lost its device id gets the registering device back.
+    const loginOptions = await postJson(server.baseUrl, '/api/auth/passkeys/login/options', { origin });
+    assert.equal(loginOptions.status, 200);
+    const credential = authenticator.login(loginOptions.payload);
+    const loggedIn = await postJson(server.baseUrl, '/api/auth/passkeys/login', { origin, body: { credential } });
+    assert.equal(loggedIn.status, 200);
+    assert.equal(loggedIn.payload.scope, 'admin');
+    assert.equal(loggedIn.payload.deviceId, deviceId);
+    const runtime = await fetch(`${server.baseUrl}/api/runtime`, {
+      headers: { Authorization: `Bearer ${loggedIn.payload.accessToken}` }
+    });
+    assert.equal(runtime.status, 200);
+
+    const replayed = await postJson(server.baseUrl, '/api/auth/passkeys/login', { origin, body: { credential } });
+    assert.equal(replayed.status, 401);
+    assert.equal(replayed.payload.reason, 'passkey_challenge_invalid');
+
+    const deleted = await fetch(`${server.baseUrl}/api/auth/passkeys/${authenticator.id}`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${loggedIn.payload.accessToken}` }
+    });
+    assert.equal(deleted.status, 200);
+    const nextOptions = await postJson(server.baseUrl, '/api/auth/passkeys/login/options', { origin });
+    const afterDelete = await postJson(server.baseUrl, '/api/auth/passkeys/login', {
+      origin,
+      body: { credential: authenticator.login(nextOptions.payload) }
+    });
+    assert.equal(afterDelete.status, 401);
+    assert.equal(afterDelete.payload.reason, 'passkey_unknown_credential');
+
+    const issued = await readAuditEvents(runtimeDir, 'auth.token_issued');
+    assert.deepEqual(
+      issued.map((entry) => entry.metadata.via),
+      ['bootstrap', 'passkey']
+    );
+    assert.equal(issued[1].metadata.passkeyId, authenticator.id);
+    const failures = await readAuditEvents(runtimeDir, 'auth.failed');
+    assert.deepEqual(
+      failures.filter((entry) => entry.resource === 'passkey').map((entry) => entry.metadata.reason),
+      ['passkey challenge_invalid', 'passkey unknown_credential']
+    );
+    assert.equal((await readAuditEvents(runtimeDir, 'auth.passkey_deleted')).length, 1);
+  } finally {
+    await stopServer(server.child);
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,324 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { createHmac } from 'node:crypto';
+import { once } from 'node:events';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const authCliEntry = path.join(repoRoot, 'dist', 'auth-cli.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+async function readAuditEvents(runtimeDir, event) {
+  const auditDir = path.join(runtimeDir, '.c2p-audit');
+  const files = await readdir(auditDir).catch(() => []);
+  const target = files.filter((name) => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name)).sort().pop();
+  if (!target) {
+    return [];
+  }
+  const text = await readFile(path.join(auditDir, target), 'utf8').catch(() => '');
+  return text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((payload) => payload.event === event);
+}
+
+function decodeBase32(value) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let bits = '';
+  for (const char of value) {
+    bits += alphabet.indexOf(char).toString(2).padStart(5, '0');
+  }
+  const bytes = bits.match(/.{8}/g).map((byte) => Number.parseInt(byte, 2));
+  return Buffer.from(bytes);
+}
+
+// Independent RFC 6238 implementation (SHA-1, 6 digits, 30 s) standing in for an authenticator app.
+function totpCode(secret, step = 0) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30_000) + step));
+  const digest = createHmac('sha1', secret).update(counter).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  return String((digest.readUInt32BE(offset) & 0x7fffffff) % 1_000_000).padStart(6, '0');
+}
+
+async function exchange(baseUrl, { bootstrapToken, pairingCode, scope, device, totpCode: code } = {}) {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      ...(bootstrapToken ? { Authorization: `Bearer ${bootstrapToken}` } : {}),
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ pairingCode, scope, device, totpCode: code })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function runAuthCli(args, cwd) {
+  const child = spawn(process.execPath, [authCliEntry, ...args], { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+  let output = '';
+  child.stdout.on('data', (chunk) => {
+    output += chunk.toString();
+  });
+  const [code] = await once(child, 'exit');
+  return { code, output };
+}
+
+// Drives `totp enroll` like a user would: read the printed secret, then type codes from the "app".
+async function enrollTotp(runtimeDir) {
+  const child = spawn(process.execPath, [authCliEntry, 'totp', 'enroll', '--dir', runtimeDir], {
+    cwd: runtimeDir,
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  let output = '';
+  let prompts = 0;
+  let secret = null;
+  child.stdout.on('data', (chunk) => {
+    output += chunk.toString();
+    const match = output.match(/enter the secret by hand: ([A-Z2-7]+)/);
+    secret = match ? decodeBase32(match[1]) : null;
+    const seen = output.split('enter the current 6-digit code').length - 1;
+    while (prompts < seen) {
+      prompts += 1;
+      child.stdin.write(prompts === 1 ? '000000\n' : `${totpCode(secret)}\n`);
+    }
+  });
+  const [code] = await once(child, 'exit');
+  return { code, output, secret };
+}
+
+test('admin exchanges require a TOTP code once enrolled, readonly ones do not', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-auth-totp-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+
+  let currentServer = null;
+  try {
+    const port = await getFreePort();
+    currentServer = await startServer({ runtimeDir, stateFile: fakeStatePath, port });
+    const { baseUrl } = currentServer;
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    assert.match(currentServer.getLogs(), /totp: not enrolled/);
+
+    // A wrong confirmation code is refused before the secret is stored.
+    const enrolled = await enrollTotp(runtimeDir);
+    assert.equal(enrolled.code, 0, enrolled.output);
+    assert.match(enrolled.output, /otpauth:\/\/totp\/c2p%3Aadmin%40/);
+    assert.match(enrolled.output, /code did not match[\s\S]*totp enrolled/);
+    const { secret } = enrolled;
+    const twice = await runAuthCli(['totp', 'enroll', '--dir', runtimeDir], runtimeDir);
+    assert.equal(twice.code, 1);
+    assert.match((await runAuthCli(['totp', 'status', '--dir', runtimeDir], runtimeDir)).output, /totp enrolled at/);
+
+    const readonly = await exchange(baseUrl, { bootstrapToken, scope: 'readonly' });
+    assert.equal(readonly.status, 200);
+    assert.equal(readonly.body.totpTicket, undefined);
+
+    const missing = await exchange(baseUrl, { bootstrapToken, scope: 'admin' });
+    assert.deepEqual(missing, { status: 401, body: { error: 'unauthorized', reason: 'totp_required' } });
+    const wrong = await exchange(baseUrl, { bootstrapToken, scope: 'admin', totpCode: '000000' });
+    assert.deepEqual(wrong, { status: 401, body: { error: 'unauthorized', reason: 'totp_invalid' } });
+
+    // The enrollment consumed the current step, so the app's next code is the first one left to use.
+    const code = totpCode(secret, 1);
+    const admin = await exchange(baseUrl, { bootstrapToken, scope: 'admin', totpCode: code });
+    assert.equal(admin.status, 200);
+    assert.equal(admin.body.scope, 'admin');
+    assert.match(admin.body.totpTicket, /^[A-Za-z0-9_-]{43}$/);
+    const replayed = await exchange(baseUrl, { bootstrapToken, scope: 'admin', totpCode: code });
+    assert.equal(replayed.body.reason, 'totp_invalid');
+
+    // The ticket, not the device id alone, lets the same browser skip the code.
+    const device = { id: admin.body.deviceId, totpTicket: admin.body.totpTicket };
+    const guessed = await exchange(baseUrl, { bootstrapToken, scope: 'admin', device: { id: device.id } });
+    assert.equal(guessed.body.reason, 'totp_required');
+    const again = await exchange(baseUrl, { bootstrapToken, scope: 'admin', device });
+    assert.equal(again.status, 200);
+    assert.equal(again.body.deviceId, device.id);
+    assert.equal(again.body.totpTicket, device.totpTicket);
+
+    // Asking for the code does not burn an admin pairing code.
+    const pairingCode = currentServer.getLogs().match(/pairing code: (\d{3}) (\d{3})/).slice(1).join('');
+    const pairingMissing = await exchange(baseUrl, { pairingCode });
+    assert.equal(pairingMissing.body.reason, 'totp_required');
+    const paired = await exchange(baseUrl, { pairingCode, device });
+    assert.equal(paired.status, 200);
+
+    // Refresh trusts the device id signed into the token.
+    const refreshed = await fetch(`${baseUrl}/api/auth/refresh`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${admin.body.accessToken}`, 'Content-Type': 'application/json' },
+      body: '{}'
+    });
+    assert.equal(refreshed.status, 200);
+    assert.equal((await refreshed.json()).totpTicket, device.totpTicket);
+
+    const issued = await readAuditEvents(runtimeDir, 'auth.token_issued');
+    assert.deepEqual(
+      issued.map((entry) => entry.metadata.totp === true),
+      [false, true, false, false]
+    );
+    const failures = await readAuditEvents(runtimeDir, 'auth.failed');
+    assert.equal(failures.filter((entry) => entry.resource === 'totp').length, 2);
+
+    // Wrong codes share the exchange failure limiter with bootstrap tokens and pairing codes.
+    for (let i = 0; i < 4; i += 1) {
+      await exchange(baseUrl, { bootstrapToken, scope: 'admin', totpCode: '000000' });
+    }
+    const locked = await exchange(baseUrl, { bootstrapToken, scope: 'readonly' });
+    assert.equal(locked.status, 429);
+
+    assert.match((await runAuthCli(['totp', 'disable', '--dir', runtimeDir], runtimeDir)).output, /totp disabled/);
+    assert.match((await runAuthCli(['totp', 'status', '--dir', runtimeDir], runtimeDir)).output, /totp not enrolled/);
+  } finally {
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,300 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdir, mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+import zlib from 'node:zlib';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+async function exchangeAccessToken(baseUrl, bootstrapToken, scope = 'admin') {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${bootstrapToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ scope })
+  });
+  assert.equal(response.status, 200, 'exchange should succeed');
+  const payload = await response.json();
+  assert.equal(typeof payload.accessToken, 'string');
+  return payload.accessToken;
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+async function readAuditEvents(runtimeDir, event) {
+  const auditDir = path.join(runtimeDir, '.c2p-audit');
+  const files = await readdir(auditDir).catch(() => []);
+  const target = files.filter((name) => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name)).sort().pop();
+  if (!target) {
+    return [];
+  }
+  const text = await readFile(path.join(auditDir, target), 'utf8').catch(() => '');
+  return text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((payload) => payload.event === event);
+}
+
+test('archive downloads stream zip and tar.gz bundles for readonly tokens', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-fs-archive-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+
+  let currentServer = null;
+  try {
+    await mkdir(path.join(runtimeDir, 'proj', 'src'), { recursive: true });
+    await writeFile(path.join(runtimeDir, 'proj', 'src', 'main.js'), 'export {};\n');
+    await writeFile(path.join(runtimeDir, 'notes.txt'), 'hello\n');
+
+    const port = await getFreePort();
+    currentServer = await startServer({ runtimeDir, stateFile: fakeStatePath, port });
+    const { baseUrl } = currentServer;
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    const readonlyToken = await exchangeAccessToken(baseUrl, bootstrapToken, 'readonly');
+
+    const fetchArchive = (query) =>
+      fetch(`${baseUrl}/api/fs/archive?${query}`, { headers: { Authorization: `Bearer ${readonlyToken}` } });
+
+    const zip = await fetchArchive('path=proj');
+    assert.equal(zip.status, 200);
+    assert.equal(zip.headers.get('content-type'), 'application/zip');
+    assert.match(zip.headers.get('content-disposition'), /filename\*=UTF-8''proj\.zip/);
+    const zipBody = Buffer.from(await zip.arrayBuffer());
+    assert.equal(zipBody.readUInt32LE(0), 0x04034b50);
+    assert.ok(zipBody.includes(Buffer.from('proj/src/main.js')));
+
+    const tgz = await fetchArchive('path=proj&path=notes.txt&format=tgz');
+    assert.equal(tgz.status, 200);
+    assert.equal(tgz.headers.get('content-type'), 'application/gzip');
+    assert.equal(
+      tgz.headers.get('content-disposition'),
+      `attachment; filename*=UTF-8''${encodeURIComponent(path.basename(runtimeDir))}.tar.gz`
+    );
+    const tar = zlib.gunzipSync(Buffer.from(await tgz.arrayBuffer()));
+    assert.equal(tar.length % 512, 0);
+    assert.ok(tar.includes(Buffer.from('proj/src/main.js')));
+    assert.ok(tar.includes(Buffer.from('hello\n')));
+
+    assert.equal((await fetchArchive('path=../escape')).status, 400);
+    assert.equal((await fetchArchive('path=proj&format=rar')).status, 400);
+    assert.equal((await fetchArchive('path=missing')).status, 404);
+
+    let events = [];
+    const startedAt = Date.now();
+    while (Date.now() - startedAt < 4000) {
+      events = (await readAuditEvents(runtimeDir, 'fs.download')).filter((event) => event.metadata?.archive);
+      if (events.length >= 2) {
+        break;
+      }
+      await sleep(100);
+    }
+    const successes = events.filter((event) => event.outcome === 'success');
+    assert.deepEqual(
+      successes.map((event) => [event.resource, event.metadata.archive]),
+      [
+        ['proj', 'zip'],
+        ['proj,notes.txt', 'tar.gz']
+      ]
+    );
+    assert.equal(successes[1].metadata.entries, 4);
+  } finally {
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
+
+test('zip archives over the 16-bit entry count are refused before any bytes are sent', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-fs-archive-zip-limit-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+
+  let currentServer = null;
+  try {
+    // The directory itself is an entry too, so 65535 files push the selection one past the limit.
+    const bulkDir = path.join(runtimeDir, 'bulk');
+    await mkdir(bulkDir);
+    for (let start = 0; start < 65535; start += 1000) {
+      const batch = Array.from({ length: Math.min(1000, 65535 - start) }, (_, offset) =>
+        writeFile(path.join(bulkDir, `f${start + offset}`), '')
+      );
+      await Promise.all(batch);
+    }
+
+    const port = await getFreePort();
+    currentServer = await startServer({ runtimeDir, stateFile: fakeStatePath, port });
+    const { baseUrl } = currentServer;
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    const readonlyToken = await exchangeAccessToken(baseUrl, bootstrapToken, 'readonly');
+
+    const fetchArchive = (query) =>
+      fetch(`${baseUrl}/api/fs/archive?${query}`, { headers: { Authorization: `Bearer ${readonlyToken}` } });
+
+    const zip = await fetchArchive('path=bulk');
+    assert.equal(zip.status, 413);
+    assert.deepEqual(await zip.json(), { error: 'archive has too many entries (limit=65535)' });
+
+    // tar has no such field, so the same selection still streams.
+    const tgz = await fetchArchive('path=bulk&format=tgz');
+    assert.equal(tgz.status, 200);
+    const tar = zlib.gunzipSync(Buffer.from(await tgz.arrayBuffer()));
+    assert.ok(tar.includes(Buffer.from('bulk/f65534')));
+  } finally {
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,294 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdir, mkdtemp, readdir, readFile, rm, stat, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+async function exchangeAccessToken(baseUrl, bootstrapToken, scope = 'admin') {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${bootstrapToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ scope })
+  });
+  assert.equal(response.status, 200, 'exchange should succeed');
+  const payload = await response.json();
+  assert.equal(typeof payload.accessToken, 'string');
+  return payload.accessToken;
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+async function readAuditEvents(runtimeDir, event) {
+  const auditDir = path.join(runtimeDir, '.c2p-audit');
+  const files = await readdir(auditDir).catch(() => []);
+  const target = files.filter((name) => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name)).sort().pop();
+  if (!target) {
+    return [];
+  }
+  const text = await readFile(path.join(auditDir, target), 'utf8').catch(() => '');
+  return text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((payload) => payload.event === event);
+}
+
+test('batch copy, move and delete report per-item results with one audit record each', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-fs-batch-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+
+  let currentServer = null;
+  try {
+    await mkdir(path.join(runtimeDir, 'work', 'lib'), { recursive: true });
+    await writeFile(path.join(runtimeDir, 'work', 'a.txt'), 'a\n');
+    await writeFile(path.join(runtimeDir, 'work', 'b.txt'), 'b\n');
+    await writeFile(path.join(runtimeDir, 'work', 'lib', 'c.txt'), 'c\n');
+    await mkdir(path.join(runtimeDir, 'dest'));
+    await writeFile(path.join(runtimeDir, 'dest', 'b.txt'), 'existing\n');
+
+    const port = await getFreePort();
+    currentServer = await startServer({ runtimeDir, stateFile: fakeStatePath, port });
+    const { baseUrl } = currentServer;
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    const adminToken = await exchangeAccessToken(baseUrl, bootstrapToken);
+    const readonlyToken = await exchangeAccessToken(baseUrl, bootstrapToken, 'readonly');
+
+    const batch = (token, body) =>
+      fetch(`${baseUrl}/api/fs/batch`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+
+    assert.equal((await batch(readonlyToken, { op: 'delete', paths: ['work/a.txt'] })).status, 403);
+    assert.equal((await batch(adminToken, { op: 'chmod', paths: ['work/a.txt'] })).status, 400);
+    assert.equal((await batch(adminToken, { op: 'delete', paths: [] })).status, 400);
+    assert.equal((await batch(adminToken, { op: 'copy', paths: ['work/a.txt'], to: '../outside' })).status, 400);
+
+    const copied = await batch(adminToken, {
+      op: 'copy',
+      paths: ['work/a.txt', 'work/b.txt', 'work/lib', '../escape', 'work/missing.txt'],
+      to: 'dest'
+    });
+    assert.equal(copied.status, 200);
+    assert.deepEqual(await copied.json(), {
+      ok: false,
+      op: 'copy',
+      succeeded: 2,
+      failed: 3,
+      results: [
+        { path: 'work/a.txt', ok: true, to: 'dest/a.txt' },
+        { path: 'work/b.txt', ok: false, status: 409, error: 'target already exists' },
+        { path: 'work/lib', ok: true, to: 'dest/lib' },
+        { path: '../escape', ok: false, status: 400, error: 'invalid path' },
+        { path: 'work/missing.txt', ok: false, status: 404, error: 'path not found' }
+      ]
+    });
+    assert.equal(await readFile(path.join(runtimeDir, 'dest', 'lib', 'c.txt'), 'utf8'), 'c\n');
+    assert.equal(await readFile(path.join(runtimeDir, 'dest', 'b.txt'), 'utf8'), 'existing\n');
+
+    const moved = await (
+      await batch(adminToken, { op: 'move', paths: ['work/a.txt', 'work/lib'], to: 'archive/old' })
+    ).json();
+    assert.equal(moved.ok, true);
+    assert.deepEqual(
+      moved.results.map((result) => result.to),
+      ['archive/old/a.txt', 'archive/old/lib']
+    );
+    await assert.rejects(stat(path.join(runtimeDir, 'work', 'a.txt')), { code: 'ENOENT' });
+
+    const blocked = await (await batch(adminToken, { op: 'move', paths: ['work/b.txt'], to: 'dest' })).json();
+    assert.deepEqual(blocked.results, [{ path: 'work/b.txt', ok: false, status: 409, error: 'target already exists' }]);
+    assert.equal(await readFile(path.join(runtimeDir, 'work', 'b.txt'), 'utf8'), 'b\n');
+    assert.equal(await readFile(path.join(runtimeDir, 'dest', 'b.txt'), 'utf8'), 'existing\n');
+
+    const deleted = await (
+      await batch(adminToken, { op: 'delete', paths: ['archive', 'dest/a.txt', '.'], recursive: true })
+    ).json();
+    assert.equal(deleted.succeeded, 2);
+    assert.deepEqual(deleted.results[2], {
+      path: '.',
+      ok: false,
+      status: 400,
+      error: 'cannot operate on workspace root'
+    });
+    await assert.rejects(stat(path.join(runtimeDir, 'archive')), { code: 'ENOENT' });
+
+    let events = [];
+    const startedAt = Date.now();
+    while (Date.now() - startedAt < 4000) {
+      events = await readAuditEvents(runtimeDir, 'fs.batch');
+      if (events.length >= 5) {
+        break;
+      }
+      await sleep(100);
+    }
+    assert.deepEqual(
+      events.map((event) => [event.metadata.op, event.outcome, event.metadata.succeeded, event.metadata.failed]),
+      [
+        ['copy', 'failure', undefined, undefined],
+        ['copy', 'failure', 2, 3],
+        ['move', 'success', 2, 0],
+        ['move', 'failure', 0, 1],
+        ['delete', 'failure', 2, 1]
+      ]
+    );
+    assert.equal(events[1].resource, 'work/a.txt,work/b.txt,work/lib,../escape,work/missing.txt');
+    assert.equal(events[1].metadata.to, 'dest');
+    assert.deepEqual(events[1].metadata.failures[0], { path: 'work/b.txt', error: 'target already exists' });
+  } finally {
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,284 @@
+import assert from 'node:assert/strict';
+import { execFileSync, spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdir, mkdtemp, readdir, readFile, rm, stat, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+async function exchangeAccessToken(baseUrl, bootstrapToken, scope = 'admin') {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${bootstrapToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ scope })
+  });
+  assert.equal(response.status, 200, 'exchange should succeed');
+  const payload = await response.json();
+  assert.equal(typeof payload.accessToken, 'string');
+  return payload.accessToken;
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+async function readAuditEvents(runtimeDir, event) {
+  const auditDir = path.join(runtimeDir, '.c2p-audit');
+  const files = await readdir(auditDir).catch(() => []);
+  const target = files.filter((name) => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name)).sort().pop();
+  if (!target) {
+    return [];
+  }
+  const text = await readFile(path.join(auditDir, target), 'utf8').catch(() => '');
+  return text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((payload) => payload.event === event);
+}
+
+test('fs diff compares two files or a file against git HEAD', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-fs-diff-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+
+  let currentServer = null;
+  try {
+    await mkdir(path.join(runtimeDir, 'plain'));
+    await writeFile(path.join(runtimeDir, 'plain', 'a.txt'), 'one\ntwo\nthree\n');
+    await writeFile(path.join(runtimeDir, 'plain', 'b.txt'), 'one\n2\nthree\nfour\n');
+    await writeFile(path.join(runtimeDir, 'plain', 'bin.dat'), Buffer.from([1, 0, 2]));
+
+    const repoDir = path.join(runtimeDir, 'repo');
+    await mkdir(repoDir);
+    const git = (...args) =>
+      execFileSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@example.com', ...args], { cwd: repoDir });
+    let hasGit = true;
+    try {
+      git('init', '-q');
+      await writeFile(path.join(repoDir, 'app.js'), 'const a = 1;\nconst b = 2;\n');
+      await writeFile(path.join(repoDir, 'old.txt'), 'bye\n');
+      git('add', '.');
+      git('commit', '-q', '-m', 'init');
+      await writeFile(path.join(repoDir, 'app.js'), 'const a = 1;\nconst b = 3;\n');
+      await rm(path.join(repoDir, 'old.txt'));
+      await writeFile(path.join(repoDir, 'new.txt'), 'hello\n');
+    } catch {
+      hasGit = false;
+    }
+
+    const port = await getFreePort();
+    currentServer = await startServer({ runtimeDir, stateFile: fakeStatePath, port });
+    const { baseUrl } = currentServer;
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    const readonlyToken = await exchangeAccessToken(baseUrl, bootstrapToken, 'readonly');
+    const diff = async (query) => {
+      const response = await fetch(`${baseUrl}/api/fs/diff?${new URLSearchParams(query)}`, {
+        headers: { Authorization: `Bearer ${readonlyToken}` }
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    const files = await diff({ path: 'plain/b.txt', against: 'plain/a.txt' });
+    assert.equal(files.status, 200);
+    assert.deepEqual(files.body, {
+      path: 'plain/b.txt',
+      against: 'plain/a.txt',
+      base: null,
+      oldExists: true,
+      newExists: true,
+      binary: false,
+      identical: false,
+      added: 2,
+      removed: 1,
+      diff: '--- a/plain/a.txt\n+++ b/plain/b.txt\n@@ -1,3 +1,4 @@\n one\n-two\n+2\n three\n+four\n'
+    });
+    assert.equal((await diff({ path: 'plain/a.txt', against: 'plain/a.txt' })).body.identical, true);
+    const binary = await diff({ path: 'plain/bin.dat', against: 'plain/a.txt' });
+    assert.equal(binary.body.binary, true);
+    assert.equal(binary.body.diff, '');
+    assert.deepEqual(await diff({ path: 'plain/a.txt', against: 'plain/missing.txt' }), {
+      status: 200,
+      body: {
+        path: 'plain/a.txt',
+        against: 'plain/missing.txt',
+        base: null,
+        oldExists: false,
+        newExists: true,
+        binary: false,
+        identical: false,
+        added: 3,
+        removed: 0,
+        diff: '--- /dev/null\n+++ b/plain/a.txt\n@@ -0,0 +1,3 @@\n+one\n+two\n+three\n'
+      }
+    });
+    assert.equal((await diff({ path: 'plain/x.txt', against: 'plain/y.txt' })).status, 404);
+    assert.equal((await diff({ path: 'plain/a.txt' })).status, 400);
+    assert.equal((await diff({ path: 'plain/a.txt', against: '../outside.txt' })).status, 400);
+    assert.deepEqual(await diff({ path: 'plain/a.txt', base: 'head' }), {
+      status: 400,
+      body: { error: 'not a git repository' }
+    });
+
+    if (hasGit) {
+      const modified = await diff({ path: 'repo/app.js', base: 'head', context: '0' });
+      assert.equal(modified.body.base, 'HEAD');
+      assert.equal(modified.body.diff, '--- a/app.js\n+++ b/app.js\n@@ -2 +2 @@\n-const b = 2;\n+const b = 3;\n');
+      const deleted = await diff({ path: 'repo/old.txt', base: 'head' });
+      assert.equal(deleted.body.newExists, false);
+      assert.equal(deleted.body.diff, '--- a/old.txt\n+++ /dev/null\n@@ -1 +0,0 @@\n-bye\n');
+      const added = await diff({ path: 'repo/new.txt', base: 'head' });
+      assert.equal(added.body.oldExists, false);
+      assert.equal(added.body.added, 1);
+    }
+  } finally {
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,295 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { chmod, mkdir, mkdtemp, readdir, readFile, readlink, rm, stat, symlink, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+async function exchangeAccessToken(baseUrl, bootstrapToken, scope = 'admin') {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${bootstrapToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ scope })
+  });
+  assert.equal(response.status, 200, 'exchange should succeed');
+  const payload = await response.json();
+  assert.equal(typeof payload.accessToken, 'string');
+  return payload.accessToken;
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+async function readAuditEvents(runtimeDir, event) {
+  const auditDir = path.join(runtimeDir, '.c2p-audit');
+  const files = await readdir(auditDir).catch(() => []);
+  const target = files.filter((name) => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name)).sort().pop();
+  if (!target) {
+    return [];
+  }
+  const text = await readFile(path.join(auditDir, target), 'utf8').catch(() => '');
+  return text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((payload) => payload.event === event);
+}
+
+test('fs list reports mode, owner and link targets; admins can chmod and create symlinks', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+  if (process.platform === 'win32') {
+    t.skip('posix permissions are not available on windows');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-fs-properties-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+  const outsideDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-fs-properties-outside-'));
+
+  let currentServer = null;
+  try {
+    await mkdir(path.join(runtimeDir, 'work', 'bin'), { recursive: true });
+    await writeFile(path.join(runtimeDir, 'work', 'run.sh'), '#!/bin/sh\necho hi\n');
+    await chmod(path.join(runtimeDir, 'work', 'run.sh'), 0o644);
+    await symlink('bin', path.join(runtimeDir, 'work', 'bin-link'));
+    await symlink('missing.txt', path.join(runtimeDir, 'work', 'dangling'));
+    await writeFile(path.join(outsideDir, 'secret.txt'), 'x');
+    await chmod(path.join(outsideDir, 'secret.txt'), 0o600);
+    await symlink(path.join(outsideDir, 'secret.txt'), path.join(runtimeDir, 'work', 'escape'));
+
+    const port = await getFreePort();
+    currentServer = await startServer({ runtimeDir, stateFile: fakeStatePath, port });
+    const { baseUrl } = currentServer;
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    const adminToken = await exchangeAccessToken(baseUrl, bootstrapToken);
+    const readonlyToken = await exchangeAccessToken(baseUrl, bootstrapToken, 'readonly');
+    const post = async (pathname, body, token = adminToken) => {
+      const response = await fetch(`${baseUrl}${pathname}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    };
+    const list = async (dirPath) => {
+      const response = await fetch(`${baseUrl}/api/fs/list?${new URLSearchParams({ path: dirPath })}`, {
+        headers: { Authorization: `Bearer ${readonlyToken}` }
+      });
+      assert.equal(response.status, 200);
+      const payload = await response.json();
+      return new Map(payload.entries.map((entry) => [entry.name, entry]));
+    };
+
+    const entries = await list('work');
+    const script = entries.get('run.sh');
+    assert.equal(script.type, 'file');
+    assert.equal(script.mode, '0644');
+    assert.equal(script.uid, process.getuid());
+    assert.equal(script.gid, process.getgid());
+    assert.equal(script.symlink, false);
+    assert.equal(script.linkTarget, null);
+    assert.ok(script.ctimeMs > 0);
+    if (process.getuid() === 0) {
+      assert.equal(script.owner, 'root');
+    }
+    assert.equal(entries.get('bin-link').type, 'dir');
+    assert.equal(entries.get('bin-link').symlink, true);
+    assert.equal(entries.get('bin-link').linkTarget, 'bin');
+    assert.equal(entries.get('dangling').type, 'other');
+    assert.equal(entries.get('dangling').linkTarget, 'missing.txt');
+
+    assert.equal((await post('/api/fs/chmod', { path: 'work/run.sh', mode: '755' }, readonlyToken)).status, 403);
+    assert.deepEqual(await post('/api/fs/chmod', { path: 'work/run.sh', mode: '755' }), {
+      status: 200,
+      body: { ok: true, path: 'work/run.sh', mode: '0755' }
+    });
+    assert.equal((await stat(path.join(runtimeDir, 'work', 'run.sh'))).mode & 0o777, 0o755);
+    assert.equal((await post('/api/fs/chmod', { path: 'work/run.sh', mode: 0o700 })).body.mode, '0700');
+    assert.deepEqual(await post('/api/fs/chmod', { path: 'work/run.sh', mode: '8777' }), {
+      status: 400,
+      body: { error: 'invalid mode' }
+    });
+    assert.equal((await post('/api/fs/chmod', { path: 'work/nope.sh', mode: '755' })).status, 404);
+    assert.equal((await post('/api/fs/chmod', { path: '../x', mode: '755' })).status, 400);
+    assert.equal((await post('/api/fs/chmod', { path: 'work/escape', mode: '777' })).status, 400);
+    assert.equal((await stat(path.join(outsideDir, 'secret.txt'))).mode & 0o777, 0o600);
+
+    const readonlySymlink = await post('/api/fs/symlink', { path: 'link.sh', target: 'work/run.sh' }, readonlyToken);
+    assert.equal(readonlySymlink.status, 403);
+    assert.deepEqual(await post('/api/fs/symlink', { path: 'work/bin/run', target: 'work/run.sh' }), {
+      status: 201,
+      body: { ok: true, path: 'work/bin/run', target: 'work/run.sh', linkTarget: '../run.sh' }
+    });
+    assert.equal(await readlink(path.join(runtimeDir, 'work', 'bin', 'run')), '../run.sh');
+    assert.equal(await readFile(path.join(runtimeDir, 'work', 'bin', 'run'), 'utf8'), '#!/bin/sh\necho hi\n');
+    assert.equal((await post('/api/fs/symlink', { path: 'work/bin/run', target: 'work/run.sh' })).status, 409);
+    assert.equal((await post('/api/fs/symlink', { path: 'work/x', target: 'work/missing' })).status, 404);
+    assert.equal((await post('/api/fs/symlink', { path: 'work/x', target: '../../etc/passwd' })).status, 400);
+
+    const chmodEvents = await readAuditEvents(runtimeDir, 'fs.chmod');
+    assert.ok(
+      chmodEvents.some(
+        (event) => event.outcome === 'success' && event.resource === 'work/run.sh' && event.metadata.mode === '0755'
+      )
+    );
+    assert.ok(chmodEvents.some((event) => event.outcome === 'failure' && event.resource === 'work/escape'));
+    const symlinkEvents = await readAuditEvents(runtimeDir, 'fs.symlink');
+    assert.ok(
+      symlinkEvents.some(
+        (event) =>
+          event.outcome === 'success' && event.resource === 'work/bin/run' && event.metadata.target === 'work/run.sh'
+      )
+    );
+  } finally {
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+    await rm(outsideDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,301 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdir, mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+async function exchangeAccessToken(baseUrl, bootstrapToken, scope = 'admin') {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${bootstrapToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ scope })
+  });
+  assert.equal(response.status, 200, 'exchange should succeed');
+  const payload = await response.json();
+  assert.equal(typeof payload.accessToken, 'string');
+  return payload.accessToken;
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+async function readAuditEvents(runtimeDir, event) {
+  const auditDir = path.join(runtimeDir, '.c2p-audit');
+  const files = await readdir(auditDir).catch(() => []);
+  const target = files.filter((name) => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name)).sort().pop();
+  if (!target) {
+    return [];
+  }
+  const text = await readFile(path.join(auditDir, target), 'utf8').catch(() => '');
+  return text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((payload) => payload.event === event);
+}
+
+function parseNdjson(text) {
+  return text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+test('fs search streams NDJSON matches and can be cancelled by token', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-fs-search-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+
+  let currentServer = null;
+  try {
+    await mkdir(path.join(runtimeDir, 'proj', 'src'), { recursive: true });
+    await mkdir(path.join(runtimeDir, 'proj', 'build'), { recursive: true });
+    await writeFile(path.join(runtimeDir, 'proj', '.gitignore'), 'build/\n');
+    await writeFile(path.join(runtimeDir, 'proj', 'src', 'main.ts'), 'const a = 1;\n// FIXME later\n');
+    await writeFile(path.join(runtimeDir, 'proj', 'build', 'main.js'), '// FIXME compiled\n');
+    // Long matching lines keep the response large enough that the walk is still running when
+    // the cancel request arrives.
+    await mkdir(path.join(runtimeDir, 'bulk'));
+    const bulkContent = `needle ${'x'.repeat(230)}\n`.repeat(20);
+    for (let index = 0; index < 300; index += 1) {
+      await writeFile(path.join(runtimeDir, 'bulk', `f${String(index).padStart(3, '0')}.txt`), bulkContent);
+    }
+
+    const port = await getFreePort();
+    currentServer = await startServer({ runtimeDir, stateFile: fakeStatePath, port });
+    const { baseUrl } = currentServer;
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    const readonlyToken = await exchangeAccessToken(baseUrl, bootstrapToken, 'readonly');
+    const search = (query, init = {}) =>
+      fetch(`${baseUrl}/api/fs/search?${query}`, {
+        ...init,
+        headers: { Authorization: `Bearer ${readonlyToken}` }
+      });
+
+    const grep = await search('path=proj&q=fixme');
+    assert.equal(grep.status, 200);
+    assert.match(grep.headers.get('content-type'), /^application\/x-ndjson/);
+    const grepEvents = parseNdjson(await grep.text());
+    assert.equal(grepEvents[0].type, 'start');
+    assert.equal(grepEvents[0].path, 'proj');
+    assert.deepEqual(grepEvents.slice(1, -1), [
+      { type: 'match', path: 'proj/src/main.ts', line: 2, column: 3, length: 5, preview: '// FIXME later' }
+    ]);
+    assert.equal(grepEvents.at(-1).type, 'done');
+
+    const unignored = parseNdjson(await (await search('path=proj&q=FIXME&case=1&gitignore=0&name=*.js')).text());
+    assert.deepEqual(
+      unignored.filter((event) => event.type === 'match').map((event) => event.path),
+      ['proj/build/main.js']
+    );
+
+    const byName = parseNdjson(await (await search('name=src/**/*.ts&path=proj')).text());
+    assert.deepEqual(byName[1], { type: 'file', path: 'proj/src/main.ts', size: 28 });
+
+    const limited = parseNdjson(await (await search('path=bulk&q=needle&limit=5')).text());
+    assert.equal(limited.filter((event) => event.type === 'match').length, 5);
+    assert.equal(limited.at(-1).truncated, true);
+
+    assert.equal((await search('path=../outside&q=x')).status, 400);
+    assert.equal((await search('path=proj')).status, 400);
+    assert.equal((await search('path=proj&q=(&regex=1')).status, 400);
+    assert.equal((await search('path=proj/src/main.ts&q=x')).status, 400);
+    assert.equal((await search('path=missing&q=x')).status, 404);
+
+    // A backtracking pattern runs off the event loop and ends the stream with an error once its budget is spent.
+    await mkdir(path.join(runtimeDir, 'redos'));
+    await writeFile(path.join(runtimeDir, 'redos', 'input.txt'), `${'a'.repeat(40)}!\n`);
+    const slowSearch = search(`path=redos&q=${encodeURIComponent('(a+)+$')}&regex=1`);
+    await sleep(200);
+    const healthStartedAt = Date.now();
+    assert.equal((await fetch(`${baseUrl}/healthz`)).status, 200);
+    assert.ok(Date.now() - healthStartedAt < 1000);
+    const slowEvents = parseNdjson(await (await slowSearch).text());
+    assert.deepEqual(slowEvents.at(-1), { type: 'error', error: 'regular expression took too long' });
+
+    const streaming = await search('path=bulk&q=needle&limit=2000');
+    const reader = streaming.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    while (!buffered.includes('\n')) {
+      const { value } = await reader.read();
+      buffered += decoder.decode(value, { stream: true });
+    }
+    const { token } = JSON.parse(buffered.slice(0, buffered.indexOf('\n')));
+    assert.equal(streaming.headers.get('x-search-token'), token);
+    const cancelled = await fetch(`${baseUrl}/api/fs/search/${token}`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${readonlyToken}` }
+    });
+    assert.equal(cancelled.status, 204);
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) {
+        break;
+      }
+      buffered += decoder.decode(value, { stream: true });
+    }
+    const streamedEvents = parseNdjson(buffered);
+    assert.equal(streamedEvents.at(-1).type, 'done');
+    assert.equal(streamedEvents.at(-1).cancelled, true);
+    assert.ok(streamedEvents.at(-1).matches < 2000);
+
+    const unknown = await fetch(`${baseUrl}/api/fs/search/${token}`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${readonlyToken}` }
+    });
+    assert.equal(unknown.status, 404);
+  } finally {
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
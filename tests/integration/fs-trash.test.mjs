@@ -0,0 +1,325 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdir, mkdtemp, readdir, readFile, rm, stat, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+async function exchangeAccessToken(baseUrl, bootstrapToken, scope = 'admin') {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${bootstrapToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ scope })
+  });
+  assert.equal(response.status, 200, 'exchange should succeed');
+  const payload = await response.json();
+  assert.equal(typeof payload.accessToken, 'string');
+  return payload.accessToken;
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+async function readAuditEvents(runtimeDir, event) {
+  const auditDir = path.join(runtimeDir, '.c2p-audit');
+  const files = await readdir(auditDir).catch(() => []);
+  const target = files.filter((name) => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name)).sort().pop();
+  if (!target) {
+    return [];
+  }
+  const text = await readFile(path.join(auditDir, target), 'utf8').catch(() => '');
+  return text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((payload) => payload.event === event);
+}
+
+async function waitForAuditEvents(runtimeDir, event, count) {
+  let events = [];
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 4000) {
+    events = await readAuditEvents(runtimeDir, event);
+    if (events.length >= count) {
+      break;
+    }
+    await sleep(100);
+  }
+  return events;
+}
+
+test('deletes go to the trash and can be restored, purged or emptied', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-fs-trash-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+
+  let currentServer = null;
+  try {
+    await mkdir(path.join(runtimeDir, 'work', 'lib'), { recursive: true });
+    await writeFile(path.join(runtimeDir, 'work', 'a.txt'), 'a\n');
+    await writeFile(path.join(runtimeDir, 'work', 'b.txt'), 'b\n');
+    await writeFile(path.join(runtimeDir, 'work', 'lib', 'c.txt'), 'c\n');
+
+    const port = await getFreePort();
+    currentServer = await startServer({ runtimeDir, stateFile: fakeStatePath, port });
+    const { baseUrl } = currentServer;
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    const adminToken = await exchangeAccessToken(baseUrl, bootstrapToken);
+    const readonlyToken = await exchangeAccessToken(baseUrl, bootstrapToken, 'readonly');
+
+    const request = (token, method, pathname, body) =>
+      fetch(`${baseUrl}${pathname}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          ...(body ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+    const listTrash = async (token = adminToken) => (await request(token, 'GET', '/api/fs/trash')).json();
+
+    const removed = await request(adminToken, 'POST', '/api/fs/remove', { path: 'work/a.txt' });
+    assert.equal(removed.status, 200);
+    const removedPayload = await removed.json();
+    assert.equal(removedPayload.path, 'work/a.txt');
+    assert.match(removedPayload.trashId, /^[a-f0-9]{32}$/);
+    await assert.rejects(stat(path.join(runtimeDir, 'work', 'a.txt')), { code: 'ENOENT' });
+
+    const batch = await (
+      await request(adminToken, 'POST', '/api/fs/batch', { op: 'delete', paths: ['work/lib'], recursive: true })
+    ).json();
+    assert.equal(batch.ok, true);
+    assert.match(batch.results[0].trashId, /^[a-f0-9]{32}$/);
+
+    const listing = await listTrash(readonlyToken);
+    assert.equal(listing.ttlMs, 30 * 24 * 60 * 60 * 1000);
+    assert.deepEqual(
+      listing.items.map((item) => [item.path, item.type]).sort(),
+      [
+        ['work/a.txt', 'file'],
+        ['work/lib', 'dir']
+      ]
+    );
+
+    // The trash directory is invisible to and unreachable through the regular file APIs.
+    const rootList = await (await request(adminToken, 'GET', '/api/fs/list?path=.')).json();
+    assert.equal(
+      rootList.entries.some((entry) => entry.name === '.c2p-trash'),
+      false
+    );
+    const trashFile = `.c2p-trash/${removedPayload.trashId}.item`;
+    assert.equal(
+      (await request(adminToken, 'GET', `/api/fs/read?path=${encodeURIComponent(trashFile)}`)).status,
+      400
+    );
+    assert.equal((await request(adminToken, 'POST', '/api/fs/remove', { path: '.c2p-trash' })).status, 400);
+
+    const restorePath = `/api/fs/trash/${removedPayload.trashId}/restore`;
+    assert.equal((await request(readonlyToken, 'POST', restorePath, {})).status, 403);
+    await writeFile(path.join(runtimeDir, 'work', 'a.txt'), 'replacement\n');
+    const conflict = await request(adminToken, 'POST', restorePath, {});
+    assert.equal(conflict.status, 409);
+    assert.deepEqual(await conflict.json(), { error: 'target already exists' });
+    assert.equal(
+      (await request(adminToken, 'POST', restorePath, { to: '.c2p-trash/escape.txt' })).status,
+      400
+    );
+    const restored = await request(adminToken, 'POST', restorePath, { to: 'work/a.restored.txt' });
+    assert.deepEqual(await restored.json(), { ok: true, path: 'work/a.restored.txt' });
+    assert.equal(await readFile(path.join(runtimeDir, 'work', 'a.restored.txt'), 'utf8'), 'a\n');
+    assert.equal((await request(adminToken, 'POST', restorePath, {})).status, 404);
+
+    const dirItem = (await listTrash()).items.find((item) => item.path === 'work/lib');
+    assert.equal((await request(readonlyToken, 'DELETE', `/api/fs/trash/${dirItem.id}`)).status, 403);
+    assert.equal((await request(adminToken, 'DELETE', `/api/fs/trash/${dirItem.id}`)).status, 204);
+    assert.equal((await request(adminToken, 'DELETE', `/api/fs/trash/${dirItem.id}`)).status, 404);
+
+    await request(adminToken, 'POST', '/api/fs/remove', { path: 'work/b.txt' });
+    const permanent = await request(adminToken, 'POST', '/api/fs/remove', {
+      path: 'work/a.restored.txt',
+      permanent: true
+    });
+    assert.deepEqual(await permanent.json(), { ok: true, path: 'work/a.restored.txt' });
+    assert.deepEqual(
+      (await listTrash()).items.map((item) => item.path),
+      ['work/b.txt']
+    );
+    assert.equal((await request(readonlyToken, 'DELETE', '/api/fs/trash')).status, 403);
+    assert.deepEqual(await (await request(adminToken, 'DELETE', '/api/fs/trash')).json(), { ok: true, purged: 1 });
+    assert.deepEqual((await listTrash()).items, []);
+
+    const restoreEvents = await waitForAuditEvents(runtimeDir, 'fs.restore', 3);
+    assert.deepEqual(
+      restoreEvents.map((event) => [event.outcome, event.metadata.reason, event.metadata.to]),
+      [
+        ['failure', 'target already exists', 'work/a.txt'],
+        ['failure', 'invalid path', '.c2p-trash/escape.txt'],
+        ['success', undefined, 'work/a.restored.txt']
+      ]
+    );
+    const deleteEvents = await waitForAuditEvents(runtimeDir, 'fs.delete', 6);
+    assert.deepEqual(
+      deleteEvents
+        .filter((event) => event.outcome === 'success')
+        .map((event) => [event.resource, event.metadata.trash === true, event.metadata.permanent === true]),
+      [
+        ['work/a.txt', true, false],
+        ['work/lib', false, true],
+        ['work/b.txt', true, false],
+        ['work/a.restored.txt', false, true],
+        ['trash', false, true]
+      ]
+    );
+  } finally {
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
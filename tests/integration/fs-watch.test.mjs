@@ -0,0 +1,330 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function rawDataToText(raw) {
+  if (typeof raw === 'string') {
+    return raw;
+  }
+  if (Buffer.isBuffer(raw)) {
+    return raw.toString('utf8');
+  }
+  if (raw instanceof ArrayBuffer) {
+    return Buffer.from(raw).toString('utf8');
+  }
+  return Buffer.concat(raw.map((item) => (Buffer.isBuffer(item) ? item : Buffer.from(item)))).toString('utf8');
+}
+
+function createJsonWaiter(ws) {
+  return function waitForJson(predicate, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error('timeout waiting for websocket message'));
+      }, timeoutMs);
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        ws.off('message', onMessage);
+        ws.off('close', onClose);
+      };
+
+      const onClose = () => {
+        cleanup();
+        reject(new Error('websocket closed before expected message'));
+      };
+
+      const onMessage = (raw) => {
+        let payload = null;
+        try {
+          payload = JSON.parse(rawDataToText(raw));
+        } catch {
+          payload = null;
+        }
+        if (!payload) {
+          return;
+        }
+        if (predicate(payload)) {
+          cleanup();
+          resolve(payload);
+        }
+      };
+
+      ws.on('message', onMessage);
+      ws.on('close', onClose);
+    });
+  };
+}
+
+async function openWebSocket(url) {
+  return await new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+async function exchangeAccessToken(baseUrl, bootstrapToken, scope = 'admin') {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${bootstrapToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ scope })
+  });
+  assert.equal(response.status, 200, 'exchange should succeed');
+  const payload = await response.json();
+  assert.equal(typeof payload.accessToken, 'string');
+  return payload.accessToken;
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+async function openAuthedControl(port, accessToken, client) {
+  const controlWs = await openWebSocket(`ws://127.0.0.1:${port}/ws/control`);
+  const waitControlJson = createJsonWaiter(controlWs);
+  controlWs.send(
+    JSON.stringify({
+      type: 'auth',
+      token: accessToken,
+      client: {
+        ua: 'fs-watch-test',
+        version: 1,
+        ...client
+      }
+    })
+  );
+  await waitControlJson((payload) => payload.type === 'auth.ok');
+  await waitControlJson((payload) => payload.type === 'sessions' && Array.isArray(payload.list));
+  return { controlWs, waitControlJson };
+}
+
+
+test('control channel watches directories and pushes debounced fs.changed events', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-fs-watch-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+
+  let currentServer = null;
+  let control = null;
+  try {
+    await mkdir(path.join(runtimeDir, 'watched'));
+    await writeFile(path.join(runtimeDir, 'plain.txt'), 'x');
+    for (let index = 0; index < 16; index += 1) {
+      await mkdir(path.join(runtimeDir, 'many', String(index)), { recursive: true });
+    }
+
+    const port = await getFreePort();
+    currentServer = await startServer({ runtimeDir, stateFile: fakeStatePath, port });
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    const adminToken = await exchangeAccessToken(currentServer.baseUrl, bootstrapToken);
+    const readonlyToken = await exchangeAccessToken(currentServer.baseUrl, bootstrapToken, 'readonly');
+
+    control = await openAuthedControl(port, readonlyToken, { id: 'fs-watch-client-01' });
+    const request = async (payload) => {
+      control.controlWs.send(JSON.stringify(payload));
+      return await control.waitControlJson((message) => message.requestId === payload.requestId);
+    };
+
+    assert.deepEqual(await request({ type: 'fs.watch', path: 'watched/', requestId: 'w1' }), {
+      type: 'fs.watching',
+      path: 'watched',
+      requestId: 'w1'
+    });
+    const invalid = await request({ type: 'fs.watch', path: '../outside', requestId: 'w2' });
+    assert.equal(invalid.type, 'error');
+    assert.equal(invalid.requestType, 'fs.watch');
+    assert.equal(invalid.message, 'invalid path');
+    assert.equal((await request({ type: 'fs.watch', path: 'plain.txt', requestId: 'w3' })).message, 'not a directory');
+
+    // A REST write by another client shows up as one debounced event for the watched directory.
+    const changed = control.waitControlJson((message) => message.type === 'fs.changed' && message.path === 'watched');
+    const writeResponse = await fetch(`${currentServer.baseUrl}/api/fs/write`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${adminToken}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ path: 'watched/note.txt', content: 'hello' })
+    });
+    assert.equal(writeResponse.status, 201);
+    assert.deepEqual(await changed, {
+      type: 'fs.changed',
+      path: 'watched',
+      names: ['note.txt'],
+      overflow: false,
+      removed: false
+    });
+
+    for (let index = 0; index < 15; index += 1) {
+      const watched = await request({ type: 'fs.watch', path: `many/${index}`, requestId: `m${index}` });
+      assert.equal(watched.type, 'fs.watching');
+    }
+    const capped = await request({ type: 'fs.watch', path: 'many/15', requestId: 'm15' });
+    assert.equal(capped.message, 'too many watches');
+
+    assert.deepEqual(await request({ type: 'fs.unwatch', path: 'watched', requestId: 'u1' }), {
+      type: 'fs.unwatched',
+      path: 'watched',
+      requestId: 'u1'
+    });
+    assert.equal((await request({ type: 'fs.watch', path: 'many/15', requestId: 'm15b' })).type, 'fs.watching');
+    await writeFile(path.join(runtimeDir, 'watched', 'later.txt'), 'x');
+    await assert.rejects(
+      control.waitControlJson((message) => message.type === 'fs.changed' && message.path === 'watched', 800),
+      /timeout/
+    );
+  } finally {
+    control?.controlWs.close();
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,297 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdir, mkdtemp, readdir, readFile, rm, stat, truncate, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+async function exchangeAccessToken(baseUrl, bootstrapToken, scope = 'admin') {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${bootstrapToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ scope })
+  });
+  assert.equal(response.status, 200, 'exchange should succeed');
+  const payload = await response.json();
+  assert.equal(typeof payload.accessToken, 'string');
+  return payload.accessToken;
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+async function readAuditEvents(runtimeDir, event) {
+  const auditDir = path.join(runtimeDir, '.c2p-audit');
+  const files = await readdir(auditDir).catch(() => []);
+  const target = files.filter((name) => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name)).sort().pop();
+  if (!target) {
+    return [];
+  }
+  const text = await readFile(path.join(auditDir, target), 'utf8').catch(() => '');
+  return text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((payload) => payload.event === event);
+}
+
+test('writes with If-Match are rejected with the current content once the file changed', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-fs-write-conflict-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+
+  let currentServer = null;
+  try {
+    await mkdir(path.join(runtimeDir, 'work'));
+    await writeFile(path.join(runtimeDir, 'work', 'notes.md'), 'one\ntwo\n');
+
+    const port = await getFreePort();
+    currentServer = await startServer({ runtimeDir, stateFile: fakeStatePath, port });
+    const { baseUrl } = currentServer;
+    const adminToken = await exchangeAccessToken(baseUrl, await readBootstrapToken(runtimeDir));
+
+    const read = async (filePath) => {
+      const response = await fetch(`${baseUrl}/api/fs/read?path=${encodeURIComponent(filePath)}`, {
+        headers: { Authorization: `Bearer ${adminToken}` }
+      });
+      assert.equal(response.status, 200);
+      const payload = await response.json();
+      assert.equal(response.headers.get('etag'), payload.etag);
+      return payload;
+    };
+    const write = (filePath, content, ifMatch) =>
+      fetch(`${baseUrl}/api/fs/write`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${adminToken}`,
+          'Content-Type': 'application/json',
+          ...(ifMatch ? { 'If-Match': ifMatch } : {})
+        },
+        body: JSON.stringify({ path: filePath, content })
+      });
+
+    const first = await read('work/notes.md');
+    assert.match(first.etag, /^"[0-9a-z]+-[0-9a-z]+-[0-9a-f]{16}"$/);
+
+    const saved = await write('work/notes.md', 'one\ntwo\nthree\n', first.etag);
+    assert.equal(saved.status, 201);
+    const savedPayload = await saved.json();
+    assert.equal(saved.headers.get('etag'), savedPayload.etag);
+    assert.notEqual(savedPayload.etag, first.etag);
+    assert.equal((await read('work/notes.md')).etag, savedPayload.etag);
+
+    // Someone else edits the file; the stale validator must not clobber it.
+    await writeFile(path.join(runtimeDir, 'work', 'notes.md'), 'desktop edit\n');
+    const conflict = await write('work/notes.md', 'phone edit\n', savedPayload.etag);
+    assert.equal(conflict.status, 409);
+    const conflictPayload = await conflict.json();
+    assert.deepEqual(
+      { ...conflictPayload, etag: typeof conflictPayload.etag },
+      {
+        error: 'file changed on disk',
+        path: 'work/notes.md',
+        exists: true,
+        etag: 'string',
+        size: 13,
+        content: 'desktop edit\n'
+      }
+    );
+    assert.equal(await readFile(path.join(runtimeDir, 'work', 'notes.md'), 'utf8'), 'desktop edit\n');
+
+    const overwritten = await write('work/notes.md', 'phone edit\n', conflictPayload.etag);
+    assert.equal(overwritten.status, 201);
+    assert.equal(await readFile(path.join(runtimeDir, 'work', 'notes.md'), 'utf8'), 'phone edit\n');
+
+    assert.equal((await write('work/notes.md', 'any\n', '*')).status, 201);
+    const missing = await write('work/gone.md', 'x\n', '*');
+    assert.equal(missing.status, 409);
+    assert.equal((await missing.json()).exists, false);
+    assert.equal((await write('work/new.md', 'blind\n')).status, 201);
+
+    let events = [];
+    const startedAt = Date.now();
+    while (Date.now() - startedAt < 4000) {
+      events = (await readAuditEvents(runtimeDir, 'fs.write')).filter((event) => event.outcome === 'failure');
+      if (events.length >= 2) {
+        break;
+      }
+      await sleep(100);
+    }
+    assert.deepEqual(
+      events.map((event) => [event.resource, event.metadata.reason]),
+      [
+        ['work/notes.md', 'conflict'],
+        ['work/gone.md', 'conflict']
+      ]
+    );
+
+    // A file past the 2 MiB read limit has no ETag a client could hold, so any validator but `*` conflicts.
+    const hugePath = path.join(runtimeDir, 'work', 'huge.log');
+    await writeFile(hugePath, '');
+    await truncate(hugePath, 3 * 1024 * 1024);
+    const hugeConflict = await write('work/huge.log', 'small\n', savedPayload.etag);
+    assert.equal(hugeConflict.status, 409);
+    assert.deepEqual(await hugeConflict.json(), {
+      error: 'file changed on disk',
+      path: 'work/huge.log',
+      exists: true,
+      etag: null,
+      size: 3 * 1024 * 1024,
+      content: null
+    });
+    assert.equal((await stat(hugePath)).size, 3 * 1024 * 1024);
+    assert.equal((await write('work/huge.log', 'small\n', '*')).status, 201);
+    assert.equal(await readFile(hugePath, 'utf8'), 'small\n');
+  } finally {
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
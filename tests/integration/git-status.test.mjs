@@ -0,0 +1,324 @@
+import assert from 'node:assert/strict';
+import { execFileSync, spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdir, mkdtemp, readdir, readFile, rm, stat, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+async function exchangeAccessToken(baseUrl, bootstrapToken, scope = 'admin') {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${bootstrapToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ scope })
+  });
+  assert.equal(response.status, 200, 'exchange should succeed');
+  const payload = await response.json();
+  assert.equal(typeof payload.accessToken, 'string');
+  return payload.accessToken;
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+async function readAuditEvents(runtimeDir, event) {
+  const auditDir = path.join(runtimeDir, '.c2p-audit');
+  const files = await readdir(auditDir).catch(() => []);
+  const target = files.filter((name) => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name)).sort().pop();
+  if (!target) {
+    return [];
+  }
+  const text = await readFile(path.join(auditDir, target), 'utf8').catch(() => '');
+  return text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((payload) => payload.event === event);
+}
+
+test('git status reports changes and admin tokens can stage, commit and stash', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-git-status-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+
+  let currentServer = null;
+  try {
+    const repoDir = path.join(runtimeDir, 'repo');
+    await mkdir(path.join(repoDir, 'src'), { recursive: true });
+    await mkdir(path.join(runtimeDir, 'plain'));
+    const git = (...args) =>
+      execFileSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@example.com', ...args], { cwd: repoDir })
+        .toString('utf8')
+        .trim();
+    try {
+      git('init', '-q');
+      git('config', 'user.name', 't');
+      git('config', 'user.email', 't@example.com');
+    } catch {
+      t.skip('git is not available');
+      return;
+    }
+    await writeFile(path.join(repoDir, 'src', 'app.js'), 'const a = 1;\n');
+    await writeFile(path.join(repoDir, 'old.txt'), 'bye\n');
+    git('add', '.');
+    git('commit', '-q', '-m', 'init');
+    await writeFile(path.join(repoDir, 'src', 'app.js'), 'const a = 2;\n');
+    await rm(path.join(repoDir, 'old.txt'));
+    await writeFile(path.join(repoDir, 'new file.txt'), 'hello\n');
+
+    const port = await getFreePort();
+    currentServer = await startServer({ runtimeDir, stateFile: fakeStatePath, port });
+    const { baseUrl } = currentServer;
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    const adminToken = await exchangeAccessToken(baseUrl, bootstrapToken);
+    const readonlyToken = await exchangeAccessToken(baseUrl, bootstrapToken, 'readonly');
+    const status = async (dirPath, token = readonlyToken) => {
+      const response = await fetch(`${baseUrl}/api/git/status?${new URLSearchParams({ path: dirPath })}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return { status: response.status, body: await response.json() };
+    };
+    const post = async (pathname, body, token = adminToken) => {
+      const response = await fetch(`${baseUrl}${pathname}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    assert.deepEqual(await status('plain'), { status: 200, body: { repo: false } });
+
+    const initial = await status('repo/src');
+    assert.equal(initial.status, 200);
+    assert.equal(initial.body.repo, true);
+    assert.equal(initial.body.root, 'repo');
+    assert.equal(initial.body.detached, false);
+    assert.match(initial.body.head, /^[0-9a-f]{40}$/);
+    assert.equal(initial.body.stashes, 0);
+    const byPath = new Map(initial.body.entries.map((entry) => [entry.path, entry]));
+    assert.deepEqual([...byPath.keys()].sort(), ['repo/new file.txt', 'repo/old.txt', 'repo/src/app.js']);
+    assert.deepEqual(byPath.get('repo/src/app.js'), {
+      path: 'repo/src/app.js',
+      index: '.',
+      worktree: 'M',
+      staged: false,
+      unstaged: true,
+      untracked: false,
+      conflicted: false,
+      directory: false
+    });
+    assert.equal(byPath.get('repo/old.txt').worktree, 'D');
+    assert.equal(byPath.get('repo/new file.txt').untracked, true);
+
+    const denied = await post('/api/git/stage', { path: 'repo', paths: ['repo/src/app.js'] }, readonlyToken);
+    assert.equal(denied.status, 403);
+    assert.equal((await post('/api/git/stage', { path: 'repo', paths: [] })).status, 400);
+    assert.equal((await post('/api/git/stage', { path: 'repo', paths: ['plain'] })).status, 400);
+    assert.equal((await post('/api/git/stage', { path: 'plain', paths: ['plain'] })).status, 400);
+
+    const changedPaths = ['repo/src/app.js', 'repo/old.txt', 'repo/new file.txt'];
+    const staged = await post('/api/git/stage', { path: 'repo', paths: changedPaths });
+    assert.deepEqual(staged, { status: 200, body: { ok: true, paths: changedPaths } });
+    const afterStage = new Map((await status('repo')).body.entries.map((entry) => [entry.path, entry]));
+    assert.equal(afterStage.get('repo/src/app.js').index, 'M');
+    assert.equal(afterStage.get('repo/old.txt').index, 'D');
+    assert.equal(afterStage.get('repo/new file.txt').index, 'A');
+
+    assert.equal((await post('/api/git/unstage', { path: 'repo', paths: ['repo/new file.txt'] })).status, 200);
+    assert.equal(
+      (await status('repo')).body.entries.find((entry) => entry.path === 'repo/new file.txt').untracked,
+      true
+    );
+
+    assert.equal((await post('/api/git/commit', { path: 'repo', message: '   ' })).status, 400);
+    const committed = await post('/api/git/commit', { path: 'repo', message: 'update app\n\nbody' });
+    assert.equal(committed.status, 200);
+    assert.equal(committed.body.summary, 'update app');
+    assert.equal(committed.body.commit, git('rev-parse', 'HEAD'));
+    assert.equal(git('log', '-1', '--format=%B'), 'update app\n\nbody');
+    const nothing = await post('/api/git/commit', { path: 'repo', message: 'empty' });
+    assert.equal(nothing.status, 409);
+
+    assert.equal((await post('/api/git/stash', { path: 'repo', action: 'drop' })).status, 400);
+    const stashed = await post('/api/git/stash', {
+      path: 'repo',
+      action: 'push',
+      includeUntracked: true,
+      message: 'wip'
+    });
+    assert.deepEqual(stashed, { status: 200, body: { ok: true, action: 'push' } });
+    const clean = await status('repo');
+    assert.deepEqual(clean.body.entries, []);
+    assert.equal(clean.body.stashes, 1);
+    assert.equal((await post('/api/git/stash', { path: 'repo', action: 'push' })).status, 409);
+    assert.equal((await post('/api/git/stash', { path: 'repo', action: 'pop' })).status, 200);
+    assert.equal(await readFile(path.join(repoDir, 'new file.txt'), 'utf8'), 'hello\n');
+    assert.equal((await status('repo')).body.stashes, 0);
+
+    const stageEvents = await readAuditEvents(runtimeDir, 'git.stage');
+    assert.equal(stageEvents.some((event) => event.outcome === 'success' && event.metadata.count === 3), true);
+    assert.equal((await readAuditEvents(runtimeDir, 'git.unstage')).length, 1);
+    const commitEvents = await readAuditEvents(runtimeDir, 'git.commit');
+    assert.deepEqual(
+      commitEvents.map((event) => event.outcome),
+      ['success', 'failure']
+    );
+    assert.equal(commitEvents[0].metadata.commit, committed.body.commit);
+    const stashEvents = await readAuditEvents(runtimeDir, 'git.stash');
+    assert.deepEqual(
+      stashEvents.map((event) => `${event.metadata.action}:${event.outcome}`),
+      ['push:success', 'push:failure', 'pop:success']
+    );
+  } finally {
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
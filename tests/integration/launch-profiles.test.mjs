@@ -0,0 +1,378 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function rawDataToText(raw) {
+  if (typeof raw === 'string') {
+    return raw;
+  }
+  if (Buffer.isBuffer(raw)) {
+    return raw.toString('utf8');
+  }
+  if (raw instanceof ArrayBuffer) {
+    return Buffer.from(raw).toString('utf8');
+  }
+  return Buffer.concat(raw.map((item) => (Buffer.isBuffer(item) ? item : Buffer.from(item)))).toString('utf8');
+}
+
+function createJsonWaiter(ws) {
+  return function waitForJson(predicate, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error('timeout waiting for websocket message'));
+      }, timeoutMs);
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        ws.off('message', onMessage);
+        ws.off('close', onClose);
+      };
+
+      const onClose = () => {
+        cleanup();
+        reject(new Error('websocket closed before expected message'));
+      };
+
+      const onMessage = (raw) => {
+        let payload = null;
+        try {
+          payload = JSON.parse(rawDataToText(raw));
+        } catch {
+          payload = null;
+        }
+        if (!payload) {
+          return;
+        }
+        if (predicate(payload)) {
+          cleanup();
+          resolve(payload);
+        }
+      };
+
+      ws.on('message', onMessage);
+      ws.on('close', onClose);
+    });
+  };
+}
+
+async function openWebSocket(url) {
+  return await new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+async function exchangeAccessToken(baseUrl, bootstrapToken, scope = 'admin') {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${bootstrapToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ scope })
+  });
+  assert.equal(response.status, 200, 'exchange should succeed');
+  const payload = await response.json();
+  assert.equal(typeof payload.accessToken, 'string');
+  return payload.accessToken;
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+async function openAuthedControl(port, accessToken) {
+  const controlWs = await openWebSocket(`ws://127.0.0.1:${port}/ws/control`);
+  const waitControlJson = createJsonWaiter(controlWs);
+  controlWs.send(
+    JSON.stringify({
+      type: 'auth',
+      token: accessToken,
+      client: {
+        ua: 'launch-profiles-test',
+        version: 1
+      }
+    })
+  );
+  await waitControlJson((payload) => payload.type === 'auth.ok');
+  await waitControlJson((payload) => payload.type === 'sessions' && Array.isArray(payload.list));
+  return { controlWs, waitControlJson };
+}
+
+async function putProfile(baseUrl, accessToken, name, body) {
+  return await fetch(`${baseUrl}/api/profiles/${encodeURIComponent(name)}`, {
+    method: 'PUT',
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  });
+}
+
+test('launch profiles are managed over REST and spawned over the control channel', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-launch-profiles-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+
+  let currentServer = null;
+  try {
+    const port = await getFreePort();
+    currentServer = await startServer({
+      runtimeDir,
+      stateFile: fakeStatePath,
+      port
+    });
+    const { baseUrl } = currentServer;
+
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    const accessToken = await exchangeAccessToken(baseUrl, bootstrapToken);
+    const readonlyToken = await exchangeAccessToken(baseUrl, bootstrapToken, 'readonly');
+
+    const profileBody = {
+      label: 'API dev',
+      cwd: runtimeDir,
+      command: 'echo ready',
+      startupScript: 'export STARTED=1',
+      env: { APP_MODE: "it's dev" },
+      layout: [{ name: 'server', panes: [{ split: 'horizontal', command: 'echo watch' }] }, { name: 'logs' }]
+    };
+
+    const denied = await putProfile(baseUrl, readonlyToken, 'api-dev', profileBody);
+    assert.equal(denied.status, 403);
+
+    const invalidName = await putProfile(baseUrl, accessToken, 'bad name', profileBody);
+    assert.equal(invalidName.status, 400);
+    const invalidBody = await putProfile(baseUrl, accessToken, 'api-dev', { env: { 'BAD-KEY': '1' } });
+    assert.equal(invalidBody.status, 400);
+    assert.equal((await invalidBody.json()).error, 'invalid profile env');
+
+    const created = await putProfile(baseUrl, accessToken, 'api-dev', profileBody);
+    assert.equal(created.status, 201);
+    const createdPayload = await created.json();
+    assert.equal(createdPayload.profile.name, 'api-dev');
+    assert.equal(createdPayload.profile.command, 'echo ready');
+
+    const replaced = await putProfile(baseUrl, accessToken, 'api-dev', profileBody);
+    assert.equal(replaced.status, 200);
+    assert.equal((await replaced.json()).profile.createdAt, createdPayload.profile.createdAt);
+
+    const listResponse = await fetch(`${baseUrl}/api/profiles`, {
+      headers: { Authorization: `Bearer ${readonlyToken}` }
+    });
+    assert.equal(listResponse.status, 200);
+    const listed = await listResponse.json();
+    assert.deepEqual(
+      listed.profiles.map((profile) => profile.name),
+      ['api-dev']
+    );
+
+    const { controlWs, waitControlJson } = await openAuthedControl(port, accessToken);
+
+    controlWs.send(JSON.stringify({ type: 'spawn', profile: 'missing', requestId: 'spawn-missing' }));
+    const missing = await waitControlJson((payload) => payload.type === 'error' && payload.requestId === 'spawn-missing');
+    assert.equal(missing.message, 'profile not found');
+
+    controlWs.send(JSON.stringify({ type: 'spawn', profile: 'api-dev', cols: 120, rows: 36, requestId: 'spawn-profile' }));
+    const spawned = await waitControlJson((payload) => payload.type === 'spawned' && payload.requestId === 'spawn-profile');
+    assert.equal(spawned.cli, 'profile');
+    assert.equal(spawned.cwd, runtimeDir);
+    const sessionList = await waitControlJson(
+      (payload) => payload.type === 'sessions' && payload.list.some((session) => session.id === spawned.sessionId)
+    );
+    const session = sessionList.list.find((entry) => entry.id === spawned.sessionId);
+    assert.equal(session.profile, 'api-dev');
+    assert.equal(session.name, 'API dev');
+
+    const fakeState = JSON.parse(await readFile(fakeStatePath, 'utf8'));
+    const tmuxSession = fakeState.sessions[`c2p-${spawned.sessionId}`];
+    assert.ok(tmuxSession, 'tmux session should exist');
+    assert.equal(tmuxSession.environment.APP_MODE, "it's dev");
+    assert.deepEqual(
+      tmuxSession.windows.map((window) => [window.name, window.active, window.panes.length]),
+      [
+        ['server', true, 2],
+        ['logs', false, 1]
+      ]
+    );
+    const [primaryPane, watchPane] = tmuxSession.windows[0].panes;
+    assert.equal(primaryPane.active, true);
+    assert.match(primaryPane.startCommand, /^env 'APP_MODE=it'\\''s dev' \/bin\/bash -lc /);
+    assert.match(primaryPane.startCommand, /export STARTED=1\necho ready\nexec \/bin\/bash -l/);
+    assert.equal(watchPane.split, 'horizontal');
+    assert.match(watchPane.startCommand, /echo watch/);
+    assert.doesNotMatch(watchPane.startCommand, /STARTED/);
+
+    const readonlyDelete = await fetch(`${baseUrl}/api/profiles/api-dev`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${readonlyToken}` }
+    });
+    assert.equal(readonlyDelete.status, 403);
+    const deleted = await fetch(`${baseUrl}/api/profiles/api-dev`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+    assert.equal(deleted.status, 204);
+    const deletedAgain = await fetch(`${baseUrl}/api/profiles/api-dev`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+    assert.equal(deletedAgain.status, 404);
+
+    controlWs.close();
+    await once(controlWs, 'close');
+  } finally {
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
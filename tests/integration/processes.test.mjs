@@ -0,0 +1,406 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function rawDataToText(raw) {
+  if (typeof raw === 'string') {
+    return raw;
+  }
+  if (Buffer.isBuffer(raw)) {
+    return raw.toString('utf8');
+  }
+  if (raw instanceof ArrayBuffer) {
+    return Buffer.from(raw).toString('utf8');
+  }
+  return Buffer.concat(raw.map((item) => (Buffer.isBuffer(item) ? item : Buffer.from(item)))).toString('utf8');
+}
+
+function createJsonWaiter(ws) {
+  return function waitForJson(predicate, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error('timeout waiting for websocket message'));
+      }, timeoutMs);
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        ws.off('message', onMessage);
+        ws.off('close', onClose);
+      };
+
+      const onClose = () => {
+        cleanup();
+        reject(new Error('websocket closed before expected message'));
+      };
+
+      const onMessage = (raw) => {
+        let payload = null;
+        try {
+          payload = JSON.parse(rawDataToText(raw));
+        } catch {
+          payload = null;
+        }
+        if (!payload) {
+          return;
+        }
+        if (predicate(payload)) {
+          cleanup();
+          resolve(payload);
+        }
+      };
+
+      ws.on('message', onMessage);
+      ws.on('close', onClose);
+    });
+  };
+}
+
+async function openWebSocket(url) {
+  return await new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+async function exchangeAccessToken(baseUrl, bootstrapToken, scope = 'admin') {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${bootstrapToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ scope })
+  });
+  assert.equal(response.status, 200, 'exchange should succeed');
+  const payload = await response.json();
+  assert.equal(typeof payload.accessToken, 'string');
+  return payload.accessToken;
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+async function openAuthedControl(port, accessToken, client) {
+  const controlWs = await openWebSocket(`ws://127.0.0.1:${port}/ws/control`);
+  const waitControlJson = createJsonWaiter(controlWs);
+  controlWs.send(
+    JSON.stringify({
+      type: 'auth',
+      token: accessToken,
+      client: {
+        ua: 'shell-notifications-test',
+        version: 1,
+        ...client
+      }
+    })
+  );
+  await waitControlJson((payload) => payload.type === 'auth.ok');
+  await waitControlJson((payload) => payload.type === 'sessions' && Array.isArray(payload.list));
+  return { controlWs, waitControlJson };
+}
+
+
+async function readAuditEvents(runtimeDir, event) {
+  const auditDir = path.join(runtimeDir, '.c2p-audit');
+  const files = await readdir(auditDir).catch(() => []);
+  const target = files.filter((name) => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name)).sort().pop();
+  if (!target) {
+    return [];
+  }
+  const text = await readFile(path.join(auditDir, target), 'utf8').catch(() => '');
+  return text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((payload) => payload.event === event);
+}
+
+async function readProcessState(pid) {
+  const stat = await readFile(`/proc/${pid}/stat`, 'utf8');
+  return stat.slice(stat.lastIndexOf(')') + 2).split(' ')[0];
+}
+
+async function waitForProcessState(pid, expected, timeoutMs = 4000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    const state = await readProcessState(pid).catch(() => '');
+    if (expected.includes(state)) {
+      return state;
+    }
+    await sleep(50);
+  }
+  throw new Error(`process ${pid} did not reach state ${expected}`);
+}
+
+async function signalProcess(baseUrl, token, pid, signal) {
+  return await fetch(`${baseUrl}/api/processes/${pid}/signal`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ signal })
+  });
+}
+
+test('process API lists processes, filters by session and signals with audit', async (t) => {
+  if (process.platform !== 'linux') {
+    t.skip('process listing reads /proc');
+    return;
+  }
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-processes-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+  const sleeper = spawn('sleep', ['60'], { stdio: 'ignore' });
+
+  let currentServer = null;
+  try {
+    const port = await getFreePort();
+    currentServer = await startServer({
+      runtimeDir,
+      stateFile: fakeStatePath,
+      port
+    });
+    const { baseUrl } = currentServer;
+    const serverPid = currentServer.child.pid;
+
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    const adminToken = await exchangeAccessToken(baseUrl, bootstrapToken);
+    const readonlyToken = await exchangeAccessToken(baseUrl, bootstrapToken, 'readonly');
+
+    const listResponse = await fetch(`${baseUrl}/api/processes`, {
+      headers: { Authorization: `Bearer ${readonlyToken}` }
+    });
+    assert.equal(listResponse.status, 200);
+    const listed = await listResponse.json();
+    const serverEntry = listed.processes.find((entry) => entry.pid === serverPid);
+    assert.ok(serverEntry, 'server process should be listed');
+    assert.equal(serverEntry.ppid, process.pid);
+    assert.match(serverEntry.command, /server\.js/);
+    assert.ok(serverEntry.rssBytes > 0);
+    assert.equal(typeof serverEntry.cpuPercent, 'number');
+    assert.ok(Date.parse(serverEntry.startedAt) > 0);
+    const sleeperEntry = listed.processes.find((entry) => entry.pid === sleeper.pid);
+    assert.equal(sleeperEntry?.command, 'sleep 60');
+
+    const missingSession = await fetch(`${baseUrl}/api/processes?session=missing`, {
+      headers: { Authorization: `Bearer ${adminToken}` }
+    });
+    assert.equal(missingSession.status, 404);
+
+    const admin = await openAuthedControl(port, adminToken, { id: 'process-client-001' });
+    admin.controlWs.send(JSON.stringify({ type: 'spawn', cli: 'shell', cols: 120, rows: 36 }));
+    const spawned = await admin.waitControlJson(
+      (payload) => payload.type === 'spawned' && typeof payload.sessionId === 'string'
+    );
+    const sessionResponse = await fetch(`${baseUrl}/api/processes?session=${spawned.sessionId}`, {
+      headers: { Authorization: `Bearer ${adminToken}` }
+    });
+    assert.equal(sessionResponse.status, 200);
+    const sessionListed = await sessionResponse.json();
+    assert.equal(sessionListed.sessionId, spawned.sessionId);
+    // The fake tmux reports its parent, the server, as the pane process.
+    assert.deepEqual(sessionListed.rootPids, [serverPid]);
+    assert.ok(sessionListed.processes.some((entry) => entry.pid === serverPid));
+    assert.equal(sessionListed.processes.some((entry) => entry.pid === sleeper.pid), false);
+    admin.controlWs.close();
+
+    assert.equal((await signalProcess(baseUrl, readonlyToken, sleeper.pid, 'TERM')).status, 403);
+    assert.equal((await signalProcess(baseUrl, adminToken, sleeper.pid, 'HUP')).status, 400);
+    assert.equal((await signalProcess(baseUrl, adminToken, 1, 'TERM')).status, 400);
+    assert.equal((await signalProcess(baseUrl, adminToken, serverPid, 'STOP')).status, 400);
+
+    const stopResponse = await signalProcess(baseUrl, adminToken, sleeper.pid, 'sigstop');
+    assert.equal(stopResponse.status, 200);
+    assert.deepEqual(await stopResponse.json(), { ok: true, pid: sleeper.pid, signal: 'STOP' });
+    await waitForProcessState(sleeper.pid, ['T']);
+
+    assert.equal((await signalProcess(baseUrl, adminToken, sleeper.pid, 'CONT')).status, 200);
+    await waitForProcessState(sleeper.pid, ['S', 'R']);
+
+    const exited = once(sleeper, 'exit');
+    assert.equal((await signalProcess(baseUrl, adminToken, sleeper.pid, 'TERM')).status, 200);
+    const [, exitSignal] = await exited;
+    assert.equal(exitSignal, 'SIGTERM');
+
+    assert.equal((await signalProcess(baseUrl, adminToken, sleeper.pid, 'KILL')).status, 404);
+
+    let events = [];
+    const startedAt = Date.now();
+    while (Date.now() - startedAt < 4000) {
+      events = await readAuditEvents(runtimeDir, 'process.signal');
+      if (events.length >= 4) {
+        break;
+      }
+      await sleep(100);
+    }
+    assert.deepEqual(
+      events.map((event) => [event.resource, event.outcome, event.metadata.signal]),
+      [
+        [String(sleeper.pid), 'success', 'STOP'],
+        [String(sleeper.pid), 'success', 'CONT'],
+        [String(sleeper.pid), 'success', 'TERM'],
+        [String(sleeper.pid), 'failure', 'KILL']
+      ]
+    );
+    assert.equal(events[0].metadata.command, 'sleep 60');
+    assert.equal(events[3].metadata.reason, 'ESRCH');
+  } finally {
+    if (sleeper.exitCode === null && sleeper.signalCode === null) {
+      sleeper.kill('SIGKILL');
+    }
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,385 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { createHash } from 'node:crypto';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+async function exchangeAccessToken(baseUrl, bootstrapToken, scope = 'admin') {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${bootstrapToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ scope })
+  });
+  assert.equal(response.status, 200, 'exchange should succeed');
+  const payload = await response.json();
+  assert.equal(typeof payload.accessToken, 'string');
+  return payload.accessToken;
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port, env = {} }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+async function readAuditEvents(runtimeDir, event) {
+  const auditDir = path.join(runtimeDir, '.c2p-audit');
+  const files = await readdir(auditDir).catch(() => []);
+  const target = files.filter((name) => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name)).sort().pop();
+  if (!target) {
+    return [];
+  }
+  const text = await readFile(path.join(auditDir, target), 'utf8').catch(() => '');
+  return text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((payload) => payload.event === event);
+}
+
+function sha256(buffer) {
+  return createHash('sha256').update(buffer).digest();
+}
+
+async function patchChunk(baseUrl, token, id, offset, chunk, options = {}) {
+  const headers = {
+    Authorization: `Bearer ${token}`,
+    'Content-Type': options.contentType ?? 'application/offset+octet-stream',
+    'Upload-Offset': String(offset)
+  };
+  if (options.checksum) {
+    headers['Upload-Checksum'] = `sha256 ${options.checksum.toString('base64')}`;
+  }
+  return await fetch(`${baseUrl}/api/fs/uploads/${id}`, { method: 'PATCH', headers, body: chunk });
+}
+
+async function headUpload(baseUrl, token, id) {
+  return await fetch(`${baseUrl}/api/fs/uploads/${id}`, {
+    method: 'HEAD',
+    headers: { Authorization: `Bearer ${token}` }
+  });
+}
+
+test('resumable uploads survive a server restart and finalize with a checksum', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-resumable-upload-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+  const content = Buffer.from('0123456789'.repeat(100));
+
+  let currentServer = null;
+  try {
+    const port = await getFreePort();
+    currentServer = await startServer({ runtimeDir, stateFile: fakeStatePath, port });
+    const { baseUrl } = currentServer;
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    const adminToken = await exchangeAccessToken(baseUrl, bootstrapToken);
+    const readonlyToken = await exchangeAccessToken(baseUrl, bootstrapToken, 'readonly');
+
+    const createUpload = (token, body) =>
+      fetch(`${baseUrl}/api/fs/uploads`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+    assert.equal((await createUpload(readonlyToken, { path: 'a.bin', size: 1 })).status, 403);
+    assert.equal((await createUpload(adminToken, { path: '../escape.bin', size: 1 })).status, 400);
+    assert.equal((await createUpload(adminToken, { path: 'a.bin', size: 'big' })).status, 400);
+
+    const created = await createUpload(adminToken, { path: 'nested/data.bin', size: content.length });
+    assert.equal(created.status, 201);
+    const upload = await created.json();
+    assert.match(upload.id, /^[a-f0-9]{32}$/);
+    assert.equal(upload.path, 'nested/data.bin');
+    assert.equal(upload.offset, 0);
+    assert.equal(upload.chunkBytes > 0, true);
+    assert.equal(created.headers.get('location'), `/api/fs/uploads/${upload.id}`);
+
+    const first = content.subarray(0, 400);
+    assert.equal((await patchChunk(baseUrl, readonlyToken, upload.id, 0, first)).status, 403);
+    assert.equal((await patchChunk(baseUrl, adminToken, upload.id, 0, first, { contentType: 'text/plain' })).status, 415);
+    const corrupt = await patchChunk(baseUrl, adminToken, upload.id, 0, first, { checksum: sha256(Buffer.from('x')) });
+    assert.equal(corrupt.status, 460);
+    assert.equal(corrupt.headers.get('upload-offset'), '0');
+
+    const accepted = await patchChunk(baseUrl, adminToken, upload.id, 0, first, { checksum: sha256(first) });
+    assert.equal(accepted.status, 204);
+    assert.equal(accepted.headers.get('upload-offset'), '400');
+
+    const stale = await patchChunk(baseUrl, adminToken, upload.id, 0, first);
+    assert.equal(stale.status, 409);
+    assert.deepEqual(await stale.json(), { error: 'offset mismatch', offset: 400 });
+
+    await stopServer(currentServer.child);
+    currentServer = await startServer({ runtimeDir, stateFile: fakeStatePath, port });
+
+    const head = await headUpload(baseUrl, adminToken, upload.id);
+    assert.equal(head.status, 200);
+    assert.equal(head.headers.get('upload-offset'), '400');
+    assert.equal(head.headers.get('upload-length'), String(content.length));
+    assert.equal((await headUpload(baseUrl, adminToken, 'f'.repeat(32))).status, 404);
+
+    const incomplete = await fetch(`${baseUrl}/api/fs/uploads/${upload.id}/complete`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${adminToken}`, 'Content-Type': 'application/json' },
+      body: '{}'
+    });
+    assert.equal(incomplete.status, 409);
+
+    const rest = content.subarray(400);
+    assert.equal((await patchChunk(baseUrl, adminToken, upload.id, 400, rest, { checksum: sha256(rest) })).status, 204);
+
+    const completed = await fetch(`${baseUrl}/api/fs/uploads/${upload.id}/complete`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${adminToken}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sha256: sha256(content).toString('hex') })
+    });
+    assert.equal(completed.status, 201);
+    assert.deepEqual(await completed.json(), {
+      ok: true,
+      path: 'nested/data.bin',
+      bytes: content.length,
+      sha256: sha256(content).toString('hex')
+    });
+    assert.deepEqual(await readFile(path.join(runtimeDir, 'nested', 'data.bin')), content);
+    assert.equal((await headUpload(baseUrl, adminToken, upload.id)).status, 404);
+
+    const abandoned = await (await createUpload(adminToken, { path: 'gone.bin', size: 4 })).json();
+    const deleteUpload = (id) =>
+      fetch(`${baseUrl}/api/fs/uploads/${id}`, { method: 'DELETE', headers: { Authorization: `Bearer ${adminToken}` } });
+    assert.equal((await deleteUpload(abandoned.id)).status, 204);
+    assert.equal((await deleteUpload(abandoned.id)).status, 404);
+
+    let events = [];
+    const startedAt = Date.now();
+    while (Date.now() - startedAt < 4000) {
+      events = (await readAuditEvents(runtimeDir, 'fs.upload')).filter((event) => event.metadata?.resumable);
+      if (events.length >= 1) {
+        break;
+      }
+      await sleep(100);
+    }
+    assert.equal(events.length, 1);
+    assert.equal(events[0].resource, 'nested/data.bin');
+    assert.equal(events[0].outcome, 'success');
+    assert.equal(events[0].metadata.bytes, content.length);
+  } finally {
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
+
+test('upload verbs honour the target path grant and the server caps staged uploads', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-resumable-upload-limits-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+
+  let currentServer = null;
+  try {
+    const port = await getFreePort();
+    currentServer = await startServer({
+      runtimeDir,
+      stateFile: fakeStatePath,
+      port,
+      env: { C2P_UPLOAD_MAX_PENDING: '2', C2P_UPLOAD_MAX_PENDING_MB: '1' }
+    });
+    const { baseUrl } = currentServer;
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    const adminToken = await exchangeAccessToken(baseUrl, bootstrapToken);
+    const exchanged = await fetch(`${baseUrl}/api/auth/exchange`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${bootstrapToken}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ scope: 'admin', grants: { 'fs:write': ['inbox'] } })
+    });
+    const inboxToken = (await exchanged.json()).accessToken;
+
+    const createUpload = (token, body) =>
+      fetch(`${baseUrl}/api/fs/uploads`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+    const deleteUpload = (token, id) =>
+      fetch(`${baseUrl}/api/fs/uploads/${id}`, { method: 'DELETE', headers: { Authorization: `Bearer ${token}` } });
+
+    const foreign = await (await createUpload(adminToken, { path: 'config/app.json', size: 4 })).json();
+    const patched = await patchChunk(baseUrl, inboxToken, foreign.id, 0, Buffer.from('evil'));
+    assert.equal(patched.status, 403);
+    assert.equal((await patched.json()).path, 'config/app.json');
+    assert.equal((await headUpload(baseUrl, inboxToken, foreign.id)).status, 403);
+    assert.equal((await deleteUpload(inboxToken, foreign.id)).status, 403);
+    const head = await headUpload(baseUrl, adminToken, foreign.id);
+    assert.equal(head.headers.get('upload-offset'), '0');
+
+    const own = await createUpload(inboxToken, { path: 'inbox/photo.jpg', size: 4 });
+    assert.equal(own.status, 201);
+    const ownUpload = await own.json();
+    assert.equal((await patchChunk(baseUrl, inboxToken, ownUpload.id, 0, Buffer.from('jpeg'))).status, 204);
+
+    const tooMany = await createUpload(adminToken, { path: 'third.bin', size: 4 });
+    assert.equal(tooMany.status, 507);
+    assert.deepEqual(await tooMany.json(), { error: 'too many staged uploads (limit=2)' });
+
+    assert.equal((await deleteUpload(inboxToken, ownUpload.id)).status, 204);
+    const tooLarge = await createUpload(adminToken, { path: 'big.bin', size: 1024 * 1024 });
+    assert.equal(tooLarge.status, 507);
+    assert.deepEqual(await tooLarge.json(), { error: 'staged uploads exceed quota (limit=1048576 bytes)' });
+    assert.equal((await createUpload(adminToken, { path: 'small.bin', size: 1024 })).status, 201);
+  } finally {
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,246 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(address.port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15_000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(100);
+  }
+  throw new Error('health check timeout');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8_000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not ready');
+}
+
+async function exchangeAccessToken(baseUrl, bootstrapToken) {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${bootstrapToken}`
+    }
+  });
+  assert.equal(response.status, 200);
+  const payload = await response.json();
+  assert.equal(typeof payload.accessToken, 'string');
+  return payload.accessToken;
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5_000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+test('log search API strips ANSI and returns line byte offsets for replay', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-log-search-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+  const port = await getFreePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const server = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: fakeStatePath,
+      C2P_ALLOW_EMPTY_ORIGIN: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  try {
+    await waitForHealth(baseUrl, server);
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    const accessToken = await exchangeAccessToken(baseUrl, bootstrapToken);
+    const search = async (sessionId, query) =>
+      await fetch(`${baseUrl}/api/sessions/${encodeURIComponent(sessionId)}/log/search?${query}`, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      });
+
+    const logsDir = path.join(runtimeDir, '.c2p-sessions');
+    await mkdir(logsDir, { recursive: true });
+
+    const sessionId = 'log-search-session';
+    const lines = [
+      '$ make build\r\n',
+      '\x1b[31mError\x1b[0m: build failed\r\n',
+      'progress 10%\rprogress 100%\r\n',
+      '\x1b]0;title\x07中文 error here\r\n',
+      'ok'
+    ];
+    const content = lines.join('');
+    await writeFile(path.join(logsDir, `${sessionId}.log`), content, 'utf8');
+    const lineOffsets = [];
+    let cursor = 0;
+    for (const line of lines) {
+      lineOffsets.push(cursor);
+      cursor += Buffer.byteLength(line, 'utf8');
+    }
+
+    const plainResponse = await search(sessionId, 'q=error');
+    assert.equal(plainResponse.status, 200);
+    const plainPayload = await plainResponse.json();
+    assert.equal(plainPayload.logBytes, Buffer.byteLength(content, 'utf8'));
+    assert.equal(plainPayload.truncated, false);
+    assert.deepEqual(
+      plainPayload.matches.map((match) => match.offset),
+      [lineOffsets[1], lineOffsets[3]]
+    );
+    assert.equal(plainPayload.matches[0].preview, 'Error: build failed');
+    assert.equal(plainPayload.matches[0].column, 0);
+    assert.equal(plainPayload.matches[1].preview, '中文 error here');
+    assert.equal(plainPayload.matches[1].line, 3);
+
+    const casePayload = await (await search(sessionId, 'q=Error&case=1')).json();
+    assert.deepEqual(
+      casePayload.matches.map((match) => match.offset),
+      [lineOffsets[1]]
+    );
+
+    const regexPayload = await (await search(sessionId, `q=${encodeURIComponent('progress \\d+%$')}&regex=1`)).json();
+    assert.equal(regexPayload.matches.length, 1);
+    assert.equal(regexPayload.matches[0].offset, lineOffsets[2]);
+    assert.equal(regexPayload.matches[0].preview, 'progress 100%');
+
+    const limitedPayload = await (await search(sessionId, 'q=error&limit=1')).json();
+    assert.equal(limitedPayload.truncated, true);
+    assert.deepEqual(
+      limitedPayload.matches.map((match) => match.offset),
+      [lineOffsets[3]]
+    );
+
+    const beforePayload = await (await search(sessionId, `q=error&before=${lineOffsets[3]}`)).json();
+    assert.deepEqual(
+      beforePayload.matches.map((match) => match.offset),
+      [lineOffsets[1]]
+    );
+
+    const ansiOnlyPayload = await (await search(sessionId, 'q=31m')).json();
+    assert.equal(ansiOnlyPayload.matches.length, 0);
+
+    const invalidRegexResponse = await search(sessionId, `q=${encodeURIComponent('(')}&regex=1`);
+    assert.equal(invalidRegexResponse.status, 400);
+    const emptyQueryResponse = await search(sessionId, 'q=');
+    assert.equal(emptyQueryResponse.status, 400);
+
+    const missingResponse = await search('log-search-missing', 'q=error');
+    assert.equal(missingResponse.status, 404);
+
+    // A backtracking pattern runs off the event loop and is cut off once its time budget is spent.
+    await writeFile(path.join(logsDir, 'log-search-redos.log'), `${'a'.repeat(40)}!\r\n`, 'utf8');
+    const slowSearch = search('log-search-redos', `q=${encodeURIComponent('(a+)+$')}&regex=1`);
+    await sleep(200);
+    const healthStartedAt = Date.now();
+    assert.equal((await fetch(`${baseUrl}/healthz`)).status, 200);
+    assert.ok(Date.now() - healthStartedAt < 1000);
+    const slowResponse = await slowSearch;
+    assert.equal(slowResponse.status, 422);
+    assert.deepEqual(await slowResponse.json(), { error: 'regular expression took too long' });
+  } finally {
+    await stopServer(server);
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,378 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function rawDataToText(raw) {
+  if (typeof raw === 'string') {
+    return raw;
+  }
+  if (Buffer.isBuffer(raw)) {
+    return raw.toString('utf8');
+  }
+  if (raw instanceof ArrayBuffer) {
+    return Buffer.from(raw).toString('utf8');
+  }
+  return Buffer.concat(raw.map((item) => (Buffer.isBuffer(item) ? item : Buffer.from(item)))).toString('utf8');
+}
+
+function createJsonWaiter(ws) {
+  return function waitForJson(predicate, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error('timeout waiting for websocket message'));
+      }, timeoutMs);
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        ws.off('message', onMessage);
+        ws.off('close', onClose);
+      };
+
+      const onClose = () => {
+        cleanup();
+        reject(new Error('websocket closed before expected message'));
+      };
+
+      const onMessage = (raw) => {
+        let payload = null;
+        try {
+          payload = JSON.parse(rawDataToText(raw));
+        } catch {
+          payload = null;
+        }
+        if (!payload) {
+          return;
+        }
+        if (predicate(payload)) {
+          cleanup();
+          resolve(payload);
+        }
+      };
+
+      ws.on('message', onMessage);
+      ws.on('close', onClose);
+    });
+  };
+}
+
+async function openWebSocket(url) {
+  return await new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+async function exchangeAccessToken(baseUrl, bootstrapToken, scope = 'admin') {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${bootstrapToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ scope })
+  });
+  assert.equal(response.status, 200, 'exchange should succeed');
+  const payload = await response.json();
+  assert.equal(typeof payload.accessToken, 'string');
+  return payload.accessToken;
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+async function openAuthedControl(port, accessToken) {
+  const controlWs = await openWebSocket(`ws://127.0.0.1:${port}/ws/control`);
+  const waitControlJson = createJsonWaiter(controlWs);
+  controlWs.send(
+    JSON.stringify({
+      type: 'auth',
+      token: accessToken,
+      client: {
+        ua: 'session-metadata-test',
+        version: 1
+      }
+    })
+  );
+  await waitControlJson((payload) => payload.type === 'auth.ok');
+  await waitControlJson((payload) => payload.type === 'sessions' && Array.isArray(payload.list));
+  return { controlWs, waitControlJson };
+}
+
+test('session metadata is updated via control/REST, broadcast, and survives restart', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-session-meta-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+
+  let currentServer = null;
+  try {
+    const port = await getFreePort();
+    currentServer = await startServer({
+      runtimeDir,
+      stateFile: fakeStatePath,
+      port
+    });
+
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    const accessToken = await exchangeAccessToken(currentServer.baseUrl, bootstrapToken);
+    const { controlWs, waitControlJson } = await openAuthedControl(port, accessToken);
+
+    controlWs.send(
+      JSON.stringify({
+        type: 'spawn',
+        cli: 'shell',
+        cols: 120,
+        rows: 36
+      })
+    );
+    const spawned = await waitControlJson((payload) => payload.type === 'spawned' && typeof payload.sessionId === 'string');
+    const sessionId = spawned.sessionId;
+
+    const pendingBroadcast = waitControlJson(
+      (payload) =>
+        payload.type === 'sessions' &&
+        Array.isArray(payload.list) &&
+        payload.list.some((entry) => entry.id === sessionId && entry.name === 'api server')
+    );
+    controlWs.send(
+      JSON.stringify({
+        type: 'session.update',
+        sessionId,
+        requestId: 'meta-1',
+        name: '  api server  ',
+        color: '#57AB5A',
+        tags: ['backend', 'backend', 'dev']
+      })
+    );
+    const updated = await waitControlJson((payload) => payload.type === 'session.updated' && payload.requestId === 'meta-1');
+    assert.equal(updated.name, 'api server');
+    assert.equal(updated.color, '#57ab5a');
+    assert.deepEqual(updated.tags, ['backend', 'dev']);
+    await pendingBroadcast;
+
+    controlWs.send(
+      JSON.stringify({
+        type: 'session.update',
+        sessionId,
+        requestId: 'meta-bad',
+        color: 'red'
+      })
+    );
+    const invalid = await waitControlJson((payload) => payload.type === 'error' && payload.requestId === 'meta-bad');
+    assert.equal(invalid.requestType, 'session.update');
+
+    const patchResponse = await fetch(`${currentServer.baseUrl}/api/sessions/${encodeURIComponent(sessionId)}`, {
+      method: 'PATCH',
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ tags: null, name: 'api' })
+    });
+    assert.equal(patchResponse.status, 200);
+    const patchPayload = await patchResponse.json();
+    assert.equal(patchPayload.session.name, 'api');
+    assert.equal(patchPayload.session.color, '#57ab5a');
+    assert.equal(patchPayload.session.tags, undefined);
+    await waitControlJson(
+      (payload) =>
+        payload.type === 'sessions' && payload.list.some((entry) => entry.id === sessionId && entry.name === 'api')
+    );
+
+    const readonlyToken = await exchangeAccessToken(currentServer.baseUrl, bootstrapToken, 'readonly');
+    const deniedResponse = await fetch(`${currentServer.baseUrl}/api/sessions/${encodeURIComponent(sessionId)}`, {
+      method: 'PATCH',
+      headers: {
+        Authorization: `Bearer ${readonlyToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ name: 'hijacked' })
+    });
+    assert.equal(deniedResponse.status, 403);
+
+    const missingResponse = await fetch(`${currentServer.baseUrl}/api/sessions/missing-session`, {
+      method: 'PATCH',
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ name: 'nobody' })
+    });
+    assert.equal(missingResponse.status, 404);
+
+    controlWs.close();
+    await once(controlWs, 'close');
+    await stopServer(currentServer.child);
+
+    currentServer = await startServer({
+      runtimeDir,
+      stateFile: fakeStatePath,
+      port
+    });
+    const refreshedAccessToken = await exchangeAccessToken(currentServer.baseUrl, await readBootstrapToken(runtimeDir));
+    const sessionsResponse = await fetch(`${currentServer.baseUrl}/api/sessions`, {
+      headers: {
+        Authorization: `Bearer ${refreshedAccessToken}`
+      }
+    });
+    assert.equal(sessionsResponse.status, 200);
+    const { sessions } = await sessionsResponse.json();
+    const restored = sessions.find((entry) => entry.id === sessionId);
+    assert.ok(restored, `session ${sessionId} should be restored after restart`);
+    assert.equal(restored.name, 'api');
+    assert.equal(restored.color, '#57ab5a');
+  } finally {
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,479 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function rawDataToText(raw) {
+  if (typeof raw === 'string') {
+    return raw;
+  }
+  if (Buffer.isBuffer(raw)) {
+    return raw.toString('utf8');
+  }
+  if (raw instanceof ArrayBuffer) {
+    return Buffer.from(raw).toString('utf8');
+  }
+  return Buffer.concat(raw.map((item) => (Buffer.isBuffer(item) ? item : Buffer.from(item)))).toString('utf8');
+}
+
+function createJsonWaiter(ws) {
+  return function waitForJson(predicate, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error('timeout waiting for websocket message'));
+      }, timeoutMs);
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        ws.off('message', onMessage);
+        ws.off('close', onClose);
+      };
+
+      const onClose = () => {
+        cleanup();
+        reject(new Error('websocket closed before expected message'));
+      };
+
+      const onMessage = (raw) => {
+        let payload = null;
+        try {
+          payload = JSON.parse(rawDataToText(raw));
+        } catch {
+          payload = null;
+        }
+        if (!payload) {
+          return;
+        }
+        if (predicate(payload)) {
+          cleanup();
+          resolve(payload);
+        }
+      };
+
+      ws.on('message', onMessage);
+      ws.on('close', onClose);
+    });
+  };
+}
+
+async function openWebSocket(url) {
+  return await new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+async function exchangeAccessToken(baseUrl, bootstrapToken, scope = 'admin') {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${bootstrapToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ scope })
+  });
+  assert.equal(response.status, 200, 'exchange should succeed');
+  const payload = await response.json();
+  assert.equal(typeof payload.accessToken, 'string');
+  return payload.accessToken;
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+async function openAuthedControl(port, accessToken, client) {
+  const controlWs = await openWebSocket(`ws://127.0.0.1:${port}/ws/control`);
+  const waitControlJson = createJsonWaiter(controlWs);
+  controlWs.send(
+    JSON.stringify({
+      type: 'auth',
+      token: accessToken,
+      client: {
+        ua: 'session-presence-test',
+        version: 1,
+        ...client
+      }
+    })
+  );
+  const authOk = await waitControlJson((payload) => payload.type === 'auth.ok');
+  await waitControlJson((payload) => payload.type === 'sessions' && Array.isArray(payload.list));
+  return { controlWs, waitControlJson, viewerId: authOk.viewerId };
+}
+
+async function openAuthedTerminal(port, accessToken, sessionId, client) {
+  const terminalWs = await openWebSocket(
+    `ws://127.0.0.1:${port}/ws/terminal?session=${encodeURIComponent(sessionId)}&cols=120&rows=36`
+  );
+  const waitTerminalJson = createJsonWaiter(terminalWs);
+  terminalWs.send(
+    JSON.stringify({
+      type: 'auth',
+      token: accessToken,
+      client: {
+        ua: 'session-presence-test',
+        version: 1,
+        ...client
+      }
+    })
+  );
+  await waitTerminalJson((payload) => payload.type === 'auth.ok');
+  let text = '';
+  terminalWs.on('message', (raw) => {
+    text += rawDataToText(raw);
+  });
+  return { terminalWs, readText: () => text };
+}
+
+async function waitForText(readText, needle, timeoutMs = 4000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (readText().includes(needle)) {
+      return true;
+    }
+    await sleep(80);
+  }
+  return false;
+}
+
+test('presence is broadcast per attachment and the input lock limits typing to one client', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-session-presence-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+
+  let currentServer = null;
+  try {
+    const port = await getFreePort();
+    currentServer = await startServer({
+      runtimeDir,
+      stateFile: fakeStatePath,
+      port
+    });
+
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    const adminToken = await exchangeAccessToken(currentServer.baseUrl, bootstrapToken);
+    const readonlyToken = await exchangeAccessToken(currentServer.baseUrl, bootstrapToken, 'readonly');
+    const laptopClient = { id: 'laptop-client-0001', label: 'Mac · Chrome' };
+    const phoneClient = { id: 'phone-client-0001', label: 'iPhone\u0007 · Safari' };
+
+    const laptop = await openAuthedControl(port, adminToken, laptopClient);
+    const phone = await openAuthedControl(port, adminToken, phoneClient);
+    laptop.controlWs.send(JSON.stringify({ type: 'spawn', cli: 'shell', cols: 120, rows: 36 }));
+    const spawned = await laptop.waitControlJson(
+      (payload) => payload.type === 'spawned' && typeof payload.sessionId === 'string'
+    );
+    const sessionId = spawned.sessionId;
+
+    const laptopJoined = laptop.waitControlJson(
+      (payload) => payload.type === 'presence' && payload.sessionId === sessionId && payload.viewers.length === 1
+    );
+    const laptopTerminal = await openAuthedTerminal(port, adminToken, sessionId, laptopClient);
+    const firstPresence = await laptopJoined;
+    assert.equal(typeof laptop.viewerId, 'string');
+    assert.equal(firstPresence.viewers[0].viewerId, laptop.viewerId);
+    assert.equal(JSON.stringify(firstPresence).includes(laptopClient.id), false, 'raw client ids stay private');
+    assert.equal(firstPresence.viewers[0].label, 'Mac · Chrome');
+    assert.equal(firstPresence.viewers[0].scope, 'admin');
+    assert.equal(firstPresence.viewers[0].mode, 'interactive');
+    assert.equal(typeof firstPresence.viewers[0].tokenJti, 'string');
+    assert.equal(typeof firstPresence.viewers[0].connectedAt, 'string');
+    assert.equal(firstPresence.viewers[0].lastInputAt, null);
+    assert.equal(firstPresence.inputLock, null);
+
+    const allJoined = laptop.waitControlJson(
+      (payload) => payload.type === 'presence' && payload.sessionId === sessionId && payload.viewers.length === 3
+    );
+    const phoneTerminal = await openAuthedTerminal(port, adminToken, sessionId, phoneClient);
+    const watcherTerminal = await openAuthedTerminal(port, readonlyToken, sessionId, { id: 'watcher-client-01' });
+    const joined = await allJoined;
+    const phoneViewer = joined.viewers.find((viewer) => viewer.viewerId === phone.viewerId);
+    assert.equal(phoneViewer.label, 'iPhone  · Safari');
+    const watcherViewer = joined.viewers.find((viewer) => viewer.mode === 'watch');
+    assert.equal(watcherViewer.mode, 'watch');
+    assert.equal(watcherViewer.scope, 'readonly');
+
+    const lateObserver = await openAuthedControl(port, adminToken, { id: 'observer-client-01' });
+    const snapshot = await lateObserver.waitControlJson(
+      (payload) => payload.type === 'presence' && payload.sessionId === sessionId
+    );
+    assert.equal(snapshot.viewers.length, 3);
+
+    lateObserver.controlWs.send(JSON.stringify({ type: 'input.lock', sessionId, requestId: 'lock-no-attachment' }));
+    const noAttachment = await lateObserver.waitControlJson(
+      (payload) => payload.type === 'error' && payload.requestId === 'lock-no-attachment'
+    );
+    assert.equal(noAttachment.message, 'client has no interactive attachment');
+
+    laptop.controlWs.send(JSON.stringify({ type: 'input.lock', sessionId, requestId: 'lock-1' }));
+    const locked = await laptop.waitControlJson((payload) => payload.type === 'presence' && payload.requestId === 'lock-1');
+    assert.equal(locked.inputLock.viewerId, laptop.viewerId);
+    assert.equal(locked.inputLock.label, 'Mac · Chrome');
+
+    phoneTerminal.terminalWs.send('phone-input-while-locked\n');
+    laptopTerminal.terminalWs.send('laptop-input-with-lock\n');
+    assert.equal(await waitForText(laptopTerminal.readText, 'laptop-input-with-lock'), true);
+    await sleep(200);
+    assert.equal(phoneTerminal.readText().includes('phone-input-while-locked'), false);
+    assert.equal(phoneTerminal.terminalWs.readyState, WebSocket.OPEN);
+
+    phone.controlWs.send(JSON.stringify({ type: 'input.lock', sessionId, requestId: 'lock-2' }));
+    const contested = await phone.waitControlJson((payload) => payload.type === 'error' && payload.requestId === 'lock-2');
+    assert.equal(contested.message, 'input lock held by another client');
+    assert.equal(contested.requestType, 'input.lock');
+
+    const readonlyControl = await openAuthedControl(port, readonlyToken, { id: 'watcher-client-01' });
+    readonlyControl.controlWs.send(JSON.stringify({ type: 'input.lock', sessionId, requestId: 'lock-readonly' }));
+    const readonlyDenied = await readonlyControl.waitControlJson(
+      (payload) => payload.type === 'error' && payload.requestId === 'lock-readonly'
+    );
+    assert.equal(readonlyDenied.message, 'insufficient_scope');
+
+    phone.controlWs.send(JSON.stringify({ type: 'input.lock', sessionId, force: true, requestId: 'lock-3' }));
+    const takenOver = await phone.waitControlJson((payload) => payload.type === 'presence' && payload.requestId === 'lock-3');
+    assert.equal(takenOver.inputLock.viewerId, phone.viewerId);
+
+    phoneTerminal.terminalWs.send('phone-input-after-takeover\n');
+    assert.equal(await waitForText(phoneTerminal.readText, 'phone-input-after-takeover'), true);
+
+    const lockReleased = laptop.waitControlJson(
+      (payload) => payload.type === 'presence' && payload.sessionId === sessionId && payload.viewers.length === 2
+    );
+    phoneTerminal.terminalWs.close();
+    const afterPhoneLeft = await lockReleased;
+    assert.equal(afterPhoneLeft.inputLock, null, 'the lock lapses once its holder detaches');
+    assert.equal(
+      afterPhoneLeft.viewers.some((viewer) => viewer.viewerId === phone.viewerId),
+      false
+    );
+
+    laptop.controlWs.send(JSON.stringify({ type: 'input.unlock', sessionId, requestId: 'unlock-1' }));
+    const unlocked = await laptop.waitControlJson((payload) => payload.type === 'presence' && payload.requestId === 'unlock-1');
+    assert.equal(unlocked.inputLock, null);
+
+    laptopTerminal.terminalWs.close();
+    watcherTerminal.terminalWs.close();
+    readonlyControl.controlWs.close();
+    lateObserver.controlWs.close();
+    phone.controlWs.close();
+    laptop.controlWs.close();
+    await once(laptop.controlWs, 'close');
+  } finally {
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
+
+test('the input lock belongs to the token that took it, not to the client id it sent', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-session-presence-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+
+  let currentServer = null;
+  try {
+    const port = await getFreePort();
+    currentServer = await startServer({
+      runtimeDir,
+      stateFile: fakeStatePath,
+      port
+    });
+
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    const holderToken = await exchangeAccessToken(currentServer.baseUrl, bootstrapToken);
+    const intruderToken = await exchangeAccessToken(currentServer.baseUrl, bootstrapToken);
+    const sharedClient = { id: 'laptop-client-0001', label: 'Mac · Chrome' };
+
+    const holder = await openAuthedControl(port, holderToken, sharedClient);
+    holder.controlWs.send(JSON.stringify({ type: 'spawn', cli: 'shell', cols: 120, rows: 36 }));
+    const spawned = await holder.waitControlJson(
+      (payload) => payload.type === 'spawned' && typeof payload.sessionId === 'string'
+    );
+    const sessionId = spawned.sessionId;
+    const holderTerminal = await openAuthedTerminal(port, holderToken, sessionId, sharedClient);
+
+    holder.controlWs.send(JSON.stringify({ type: 'input.lock', sessionId, requestId: 'lock-holder' }));
+    const locked = await holder.waitControlJson(
+      (payload) => payload.type === 'presence' && payload.requestId === 'lock-holder'
+    );
+    assert.equal(locked.inputLock.viewerId, holder.viewerId);
+
+    const intruder = await openAuthedControl(port, intruderToken, sharedClient);
+    assert.notEqual(intruder.viewerId, holder.viewerId);
+    const intruderTerminal = await openAuthedTerminal(port, intruderToken, sessionId, sharedClient);
+
+    intruderTerminal.terminalWs.send('intruder-input-while-locked\n');
+    holderTerminal.terminalWs.send('holder-input-with-lock\n');
+    assert.equal(await waitForText(holderTerminal.readText, 'holder-input-with-lock'), true);
+    await sleep(200);
+    assert.equal(intruderTerminal.readText().includes('intruder-input-while-locked'), false);
+
+    intruder.controlWs.send(JSON.stringify({ type: 'input.unlock', sessionId, requestId: 'unlock-intruder' }));
+    const refused = await intruder.waitControlJson(
+      (payload) => payload.type === 'error' && payload.requestId === 'unlock-intruder'
+    );
+    assert.equal(refused.message, 'input lock held by another client');
+
+    holderTerminal.terminalWs.close();
+    intruderTerminal.terminalWs.close();
+    intruder.controlWs.close();
+    holder.controlWs.close();
+    await once(holder.controlWs, 'close');
+  } finally {
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,432 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function rawDataToText(raw) {
+  if (typeof raw === 'string') {
+    return raw;
+  }
+  if (Buffer.isBuffer(raw)) {
+    return raw.toString('utf8');
+  }
+  if (raw instanceof ArrayBuffer) {
+    return Buffer.from(raw).toString('utf8');
+  }
+  return Buffer.concat(raw.map((item) => (Buffer.isBuffer(item) ? item : Buffer.from(item)))).toString('utf8');
+}
+
+function createJsonWaiter(ws) {
+  return function waitForJson(predicate, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error('timeout waiting for websocket message'));
+      }, timeoutMs);
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        ws.off('message', onMessage);
+        ws.off('close', onClose);
+      };
+
+      const onClose = () => {
+        cleanup();
+        reject(new Error('websocket closed before expected message'));
+      };
+
+      const onMessage = (raw) => {
+        let payload = null;
+        try {
+          payload = JSON.parse(rawDataToText(raw));
+        } catch {
+          payload = null;
+        }
+        if (!payload) {
+          return;
+        }
+        if (predicate(payload)) {
+          cleanup();
+          resolve(payload);
+        }
+      };
+
+      ws.on('message', onMessage);
+      ws.on('close', onClose);
+    });
+  };
+}
+
+async function openWebSocket(url) {
+  return await new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+async function exchangeAccessToken(baseUrl, bootstrapToken, scope = 'admin') {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${bootstrapToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ scope })
+  });
+  assert.equal(response.status, 200, 'exchange should succeed');
+  const payload = await response.json();
+  assert.equal(typeof payload.accessToken, 'string');
+  return payload.accessToken;
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+async function openAuthedControl(port, accessToken, client) {
+  const controlWs = await openWebSocket(`ws://127.0.0.1:${port}/ws/control`);
+  const waitControlJson = createJsonWaiter(controlWs);
+  controlWs.send(
+    JSON.stringify({
+      type: 'auth',
+      token: accessToken,
+      client: {
+        ua: 'session-recording-test',
+        version: 1,
+        ...client
+      }
+    })
+  );
+  await waitControlJson((payload) => payload.type === 'auth.ok');
+  await waitControlJson((payload) => payload.type === 'sessions' && Array.isArray(payload.list));
+  return { controlWs, waitControlJson };
+}
+
+async function openAuthedTerminal(port, accessToken, sessionId, client) {
+  const terminalWs = await openWebSocket(
+    `ws://127.0.0.1:${port}/ws/terminal?session=${encodeURIComponent(sessionId)}&cols=120&rows=36`
+  );
+  const waitTerminalJson = createJsonWaiter(terminalWs);
+  terminalWs.send(
+    JSON.stringify({
+      type: 'auth',
+      token: accessToken,
+      client: {
+        ua: 'session-recording-test',
+        version: 1,
+        ...client
+      }
+    })
+  );
+  await waitTerminalJson((payload) => payload.type === 'auth.ok');
+  let text = '';
+  terminalWs.on('message', (raw) => {
+    text += rawDataToText(raw);
+  });
+  return { terminalWs, readText: () => text };
+}
+
+async function waitForText(readText, needle, timeoutMs = 4000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (readText().includes(needle)) {
+      return true;
+    }
+    await sleep(80);
+  }
+  return false;
+}
+test('recording captures attachment output as asciicast v2 and is downloadable over REST', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-session-recording-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+
+  let currentServer = null;
+  try {
+    const port = await getFreePort();
+    currentServer = await startServer({
+      runtimeDir,
+      stateFile: fakeStatePath,
+      port
+    });
+
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    const adminToken = await exchangeAccessToken(currentServer.baseUrl, bootstrapToken);
+    const readonlyToken = await exchangeAccessToken(currentServer.baseUrl, bootstrapToken, 'readonly');
+
+    const admin = await openAuthedControl(port, adminToken, { id: 'recorder-client-01' });
+    admin.controlWs.send(JSON.stringify({ type: 'spawn', cli: 'shell', cols: 120, rows: 36 }));
+    const spawned = await admin.waitControlJson(
+      (payload) => payload.type === 'spawned' && typeof payload.sessionId === 'string'
+    );
+    const sessionId = spawned.sessionId;
+
+    const readonlyControl = await openAuthedControl(port, readonlyToken, { id: 'watcher-client-01' });
+    readonlyControl.controlWs.send(JSON.stringify({ type: 'recording.start', sessionId, requestId: 'rec-readonly' }));
+    const readonlyDenied = await readonlyControl.waitControlJson(
+      (payload) => payload.type === 'error' && payload.requestId === 'rec-readonly'
+    );
+    assert.equal(readonlyDenied.message, 'insufficient_scope');
+
+    const listedRecording = admin.waitControlJson(
+      (payload) =>
+        payload.type === 'sessions' && payload.list.some((entry) => entry.id === sessionId && entry.recording)
+    );
+    admin.controlWs.send(JSON.stringify({ type: 'recording.start', sessionId, requestId: 'rec-start' }));
+    const started = await admin.waitControlJson(
+      (payload) => payload.type === 'recording' && payload.requestId === 'rec-start'
+    );
+    assert.equal(started.sessionId, sessionId);
+    assert.match(started.recording, new RegExp(`^${sessionId}-\\d{8}T\\d{9}Z$`));
+    const sessionsWhileRecording = await listedRecording;
+    assert.equal(sessionsWhileRecording.list.find((entry) => entry.id === sessionId).recording, started.recording);
+
+    admin.controlWs.send(JSON.stringify({ type: 'recording.start', sessionId, requestId: 'rec-again' }));
+    const duplicate = await admin.waitControlJson((payload) => payload.type === 'error' && payload.requestId === 'rec-again');
+    assert.equal(duplicate.message, 'recording already active');
+    assert.equal(duplicate.requestType, 'recording.start');
+
+    const terminal = await openAuthedTerminal(port, adminToken, sessionId, { id: 'recorder-client-01' });
+    terminal.terminalWs.send('recorded-echo-line\n');
+    assert.equal(await waitForText(terminal.readText, 'recorded-echo-line'), true);
+
+    const activeListResponse = await fetch(`${currentServer.baseUrl}/api/recordings`, {
+      headers: { Authorization: `Bearer ${readonlyToken}` }
+    });
+    assert.equal(activeListResponse.status, 200);
+    const activeList = await activeListResponse.json();
+    assert.equal(activeList.recordings.length, 1);
+    assert.equal(activeList.recordings[0].id, started.recording);
+    assert.equal(activeList.recordings[0].active, true);
+    const activeDelete = await fetch(`${currentServer.baseUrl}/api/recordings/${started.recording}`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${adminToken}` }
+    });
+    assert.equal(activeDelete.status, 409);
+
+    admin.controlWs.send(JSON.stringify({ type: 'recording.stop', sessionId, requestId: 'rec-stop' }));
+    const stopped = await admin.waitControlJson((payload) => payload.type === 'recording' && payload.requestId === 'rec-stop');
+    assert.equal(stopped.recording, null);
+
+    const listResponse = await fetch(`${currentServer.baseUrl}/api/recordings`, {
+      headers: { Authorization: `Bearer ${adminToken}` }
+    });
+    const list = await listResponse.json();
+    assert.equal(list.recordings[0].sessionId, sessionId);
+    assert.equal(list.recordings[0].width, 120);
+    assert.equal(list.recordings[0].height, 36);
+    assert.equal(list.recordings[0].active, false);
+
+    const downloadResponse = await fetch(`${currentServer.baseUrl}/api/recordings/${started.recording}`, {
+      headers: { Authorization: `Bearer ${adminToken}` }
+    });
+    assert.equal(downloadResponse.status, 200);
+    assert.equal(downloadResponse.headers.get('content-type'), 'application/x-asciicast');
+    assert.match(downloadResponse.headers.get('content-disposition'), /\.cast"$/);
+    const lines = (await downloadResponse.text()).trim().split('\n');
+    const header = JSON.parse(lines[0]);
+    assert.equal(header.version, 2);
+    assert.equal(header.width, 120);
+    assert.equal(header.height, 36);
+    const events = lines.slice(1).map((line) => JSON.parse(line));
+    assert.ok(events.every((event) => typeof event[0] === 'number' && (event[1] === 'o' || event[1] === 'r')));
+    assert.ok(events.some((event) => event[1] === 'o' && event[2].includes('recorded-echo-line')));
+
+    const invalidResponse = await fetch(`${currentServer.baseUrl}/api/recordings/..%2Fstore`, {
+      headers: { Authorization: `Bearer ${adminToken}` }
+    });
+    assert.equal(invalidResponse.status, 400);
+    const missingResponse = await fetch(`${currentServer.baseUrl}/api/recordings/${sessionId}-20000101T000000000Z`, {
+      headers: { Authorization: `Bearer ${adminToken}` }
+    });
+    assert.equal(missingResponse.status, 404);
+
+    const deleteRecording = (token, id) =>
+      fetch(`${currentServer.baseUrl}/api/recordings/${id}`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${token}` }
+      });
+    assert.equal((await deleteRecording(readonlyToken, started.recording)).status, 403);
+    assert.equal((await deleteRecording(adminToken, started.recording)).status, 204);
+    assert.equal((await deleteRecording(adminToken, started.recording)).status, 404);
+    assert.equal((await deleteRecording(adminToken, 'not-a-recording')).status, 400);
+    const afterDelete = await (
+      await fetch(`${currentServer.baseUrl}/api/recordings`, { headers: { Authorization: `Bearer ${adminToken}` } })
+    ).json();
+    assert.deepEqual(afterDelete.recordings, []);
+
+    admin.controlWs.send(JSON.stringify({ type: 'recording.stop', sessionId, requestId: 'rec-stop-again' }));
+    const stopIdle = await admin.waitControlJson(
+      (payload) => payload.type === 'recording' && payload.requestId === 'rec-stop-again'
+    );
+    assert.equal(stopIdle.recording, null);
+
+    const auditDir = path.join(runtimeDir, '.c2p-audit');
+    const auditDate = new Date().toISOString().slice(0, 10);
+    const auditText = await readFile(path.join(auditDir, `${auditDate}.jsonl`), 'utf8');
+    const auditEvents = auditText
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line).event);
+    assert.ok(auditEvents.includes('session.recording_start'));
+    assert.ok(auditEvents.includes('session.recording_stop'));
+    assert.ok(auditEvents.includes('recording.download'));
+    assert.ok(auditEvents.includes('recording.delete'));
+
+    terminal.terminalWs.close();
+    readonlyControl.controlWs.close();
+    admin.controlWs.close();
+    await once(admin.controlWs, 'close');
+  } finally {
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
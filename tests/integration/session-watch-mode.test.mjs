@@ -0,0 +1,396 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function rawDataToText(raw) {
+  if (typeof raw === 'string') {
+    return raw;
+  }
+  if (Buffer.isBuffer(raw)) {
+    return raw.toString('utf8');
+  }
+  if (raw instanceof ArrayBuffer) {
+    return Buffer.from(raw).toString('utf8');
+  }
+  return Buffer.concat(raw.map((item) => (Buffer.isBuffer(item) ? item : Buffer.from(item)))).toString('utf8');
+}
+
+function createJsonWaiter(ws) {
+  return function waitForJson(predicate, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error('timeout waiting for websocket message'));
+      }, timeoutMs);
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        ws.off('message', onMessage);
+        ws.off('close', onClose);
+      };
+
+      const onClose = () => {
+        cleanup();
+        reject(new Error('websocket closed before expected message'));
+      };
+
+      const onMessage = (raw) => {
+        let payload = null;
+        try {
+          payload = JSON.parse(rawDataToText(raw));
+        } catch {
+          payload = null;
+        }
+        if (!payload) {
+          return;
+        }
+        if (predicate(payload)) {
+          cleanup();
+          resolve(payload);
+        }
+      };
+
+      ws.on('message', onMessage);
+      ws.on('close', onClose);
+    });
+  };
+}
+
+async function openWebSocket(url) {
+  return await new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+async function exchangeAccessToken(baseUrl, bootstrapToken, scope = 'admin') {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${bootstrapToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ scope })
+  });
+  assert.equal(response.status, 200, 'exchange should succeed');
+  const payload = await response.json();
+  assert.equal(typeof payload.accessToken, 'string');
+  return payload.accessToken;
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+async function openAuthedControl(port, accessToken) {
+  const controlWs = await openWebSocket(`ws://127.0.0.1:${port}/ws/control`);
+  const waitControlJson = createJsonWaiter(controlWs);
+  controlWs.send(
+    JSON.stringify({
+      type: 'auth',
+      token: accessToken,
+      client: {
+        ua: 'session-watch-mode-test',
+        version: 1
+      }
+    })
+  );
+  await waitControlJson((payload) => payload.type === 'auth.ok');
+  await waitControlJson((payload) => payload.type === 'sessions' && Array.isArray(payload.list));
+  return { controlWs, waitControlJson };
+}
+
+async function openAuthedTerminal(port, accessToken, sessionId) {
+  const terminalWs = await openWebSocket(
+    `ws://127.0.0.1:${port}/ws/terminal?session=${encodeURIComponent(sessionId)}&cols=120&rows=36`
+  );
+  const waitTerminalJson = createJsonWaiter(terminalWs);
+  terminalWs.send(
+    JSON.stringify({
+      type: 'auth',
+      token: accessToken,
+      client: {
+        ua: 'session-watch-mode-test',
+        version: 1
+      }
+    })
+  );
+  const authOk = await waitTerminalJson((payload) => payload.type === 'auth.ok');
+  return { terminalWs, authOk };
+}
+
+function collectTerminalText(ws) {
+  let text = '';
+  ws.on('message', (raw) => {
+    text += rawDataToText(raw);
+  });
+  return () => text;
+}
+
+async function findLatestAuditFile(auditDir) {
+  const files = await readdir(auditDir).catch(() => []);
+  const target = files.filter((name) => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name)).sort().pop();
+  if (!target) {
+    return '';
+  }
+  return path.join(auditDir, target);
+}
+
+async function waitForAuditEvent(auditDir, predicate, timeoutMs = 4000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    const auditFile = await findLatestAuditFile(auditDir);
+    const text = auditFile ? await readFile(auditFile, 'utf8').catch(() => '') : '';
+    for (const line of text.split('\n')) {
+      let payload = null;
+      try {
+        payload = JSON.parse(line);
+      } catch {
+        payload = null;
+      }
+      if (payload && predicate(payload)) {
+        return payload;
+      }
+    }
+    await sleep(120);
+  }
+  return null;
+}
+
+test('readonly tokens attach view-only and cannot drive the session', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-session-watch-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+
+  let currentServer = null;
+  try {
+    const port = await getFreePort();
+    currentServer = await startServer({
+      runtimeDir,
+      stateFile: fakeStatePath,
+      port
+    });
+
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    const adminToken = await exchangeAccessToken(currentServer.baseUrl, bootstrapToken);
+    const admin = await openAuthedControl(port, adminToken);
+    admin.controlWs.send(JSON.stringify({ type: 'spawn', cli: 'shell', cols: 120, rows: 36 }));
+    const spawned = await admin.waitControlJson(
+      (payload) => payload.type === 'spawned' && typeof payload.sessionId === 'string'
+    );
+    const sessionId = spawned.sessionId;
+
+    const readonlyToken = await exchangeAccessToken(currentServer.baseUrl, bootstrapToken, 'readonly');
+    const readonlyControlWs = await openWebSocket(`ws://127.0.0.1:${port}/ws/control`);
+    const waitReadonlyJson = createJsonWaiter(readonlyControlWs);
+    readonlyControlWs.send(JSON.stringify({ type: 'auth', token: readonlyToken }));
+    const readonlyAuth = await waitReadonlyJson((payload) => payload.type === 'auth.ok');
+    assert.equal(readonlyAuth.scope, 'readonly');
+
+    readonlyControlWs.send(JSON.stringify({ type: 'resize', sessionId, cols: 80, rows: 20, requestId: 'watch-resize' }));
+    const resizeDenied = await waitReadonlyJson(
+      (payload) => payload.type === 'error' && payload.requestId === 'watch-resize'
+    );
+    assert.equal(resizeDenied.message, 'insufficient_scope');
+
+    readonlyControlWs.send(JSON.stringify({ type: 'spawn', cli: 'shell', requestId: 'watch-spawn' }));
+    const spawnDenied = await waitReadonlyJson((payload) => payload.type === 'error' && payload.requestId === 'watch-spawn');
+    assert.equal(spawnDenied.message, 'insufficient_scope');
+
+    readonlyControlWs.send(JSON.stringify({ type: 'kill', sessionId }));
+    const killDenied = await waitReadonlyJson(
+      (payload) => payload.type === 'error' && payload.requestType === 'kill' && payload.sessionId === sessionId
+    );
+    assert.equal(killDenied.message, 'insufficient_scope');
+
+    const watcher = await openAuthedTerminal(port, readonlyToken, sessionId);
+    assert.equal(watcher.authOk.scope, 'readonly');
+    const watcherText = collectTerminalText(watcher.terminalWs);
+    watcher.terminalWs.send('watch-input-should-drop\n');
+    watcher.terminalWs.send('watch-text-should-drop\n');
+
+    const driver = await openAuthedTerminal(port, adminToken, sessionId);
+    const driverText = collectTerminalText(driver.terminalWs);
+    driver.terminalWs.send('admin-input-echo\n');
+    const startedAt = Date.now();
+    while (Date.now() - startedAt < 4000 && !driverText().includes('admin-input-echo')) {
+      await sleep(80);
+    }
+    assert.equal(driverText().includes('admin-input-echo'), true, 'admin input should still reach the session');
+    assert.equal(driverText().includes('watch-input-should-drop'), false);
+    assert.equal(watcherText().includes('watch-input-should-drop'), false);
+    assert.equal(watcherText().includes('watch-text-should-drop'), false);
+    assert.equal(watcher.terminalWs.readyState, WebSocket.OPEN);
+
+    const fakeState = JSON.parse(await readFile(fakeStatePath, 'utf8'));
+    const sessionState = Object.values(fakeState.sessions)[0];
+    assert.equal(JSON.stringify(sessionState).includes('watch-input-should-drop'), false);
+    assert.equal(sessionState.cols, 120);
+
+    const deniedAudit = await waitForAuditEvent(
+      path.join(runtimeDir, '.c2p-audit'),
+      (payload) => payload.event === 'session.terminal_input_denied' && payload.resource === sessionId
+    );
+    assert.ok(deniedAudit, 'denied terminal input should be audited');
+    assert.equal(deniedAudit.outcome, 'failure');
+    assert.equal(deniedAudit.metadata?.scope, 'readonly');
+
+    watcher.terminalWs.close();
+    driver.terminalWs.close();
+    readonlyControlWs.close();
+    admin.controlWs.close();
+    await once(admin.controlWs, 'close');
+  } finally {
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
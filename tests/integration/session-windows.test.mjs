@@ -0,0 +1,357 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function rawDataToText(raw) {
+  if (typeof raw === 'string') {
+    return raw;
+  }
+  if (Buffer.isBuffer(raw)) {
+    return raw.toString('utf8');
+  }
+  if (raw instanceof ArrayBuffer) {
+    return Buffer.from(raw).toString('utf8');
+  }
+  return Buffer.concat(raw.map((item) => (Buffer.isBuffer(item) ? item : Buffer.from(item)))).toString('utf8');
+}
+
+function createJsonWaiter(ws) {
+  return function waitForJson(predicate, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error('timeout waiting for websocket message'));
+      }, timeoutMs);
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        ws.off('message', onMessage);
+        ws.off('close', onClose);
+      };
+
+      const onClose = () => {
+        cleanup();
+        reject(new Error('websocket closed before expected message'));
+      };
+
+      const onMessage = (raw) => {
+        let payload = null;
+        try {
+          payload = JSON.parse(rawDataToText(raw));
+        } catch {
+          payload = null;
+        }
+        if (!payload) {
+          return;
+        }
+        if (predicate(payload)) {
+          cleanup();
+          resolve(payload);
+        }
+      };
+
+      ws.on('message', onMessage);
+      ws.on('close', onClose);
+    });
+  };
+}
+
+async function openWebSocket(url) {
+  return await new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+async function exchangeAccessToken(baseUrl, bootstrapToken, scope = 'admin') {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${bootstrapToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ scope })
+  });
+  assert.equal(response.status, 200, 'exchange should succeed');
+  const payload = await response.json();
+  assert.equal(typeof payload.accessToken, 'string');
+  return payload.accessToken;
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+async function openAuthedControl(port, accessToken) {
+  const controlWs = await openWebSocket(`ws://127.0.0.1:${port}/ws/control`);
+  const waitControlJson = createJsonWaiter(controlWs);
+  controlWs.send(
+    JSON.stringify({
+      type: 'auth',
+      token: accessToken,
+      client: {
+        ua: 'session-windows-test',
+        version: 1
+      }
+    })
+  );
+  await waitControlJson((payload) => payload.type === 'auth.ok');
+  await waitControlJson((payload) => payload.type === 'sessions' && Array.isArray(payload.list));
+  return { controlWs, waitControlJson };
+}
+
+test('tmux windows and panes are managed over the control channel', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-session-windows-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+
+  let currentServer = null;
+  try {
+    const port = await getFreePort();
+    currentServer = await startServer({
+      runtimeDir,
+      stateFile: fakeStatePath,
+      port
+    });
+
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    const accessToken = await exchangeAccessToken(currentServer.baseUrl, bootstrapToken);
+    const { controlWs, waitControlJson } = await openAuthedControl(port, accessToken);
+    const observer = await openAuthedControl(port, accessToken);
+
+    controlWs.send(JSON.stringify({ type: 'spawn', cli: 'shell', cols: 120, rows: 36 }));
+    const spawned = await waitControlJson((payload) => payload.type === 'spawned' && typeof payload.sessionId === 'string');
+    const sessionId = spawned.sessionId;
+
+    let requestSeq = 0;
+    const request = async (type, fields = {}) => {
+      requestSeq += 1;
+      const requestId = `layout-${requestSeq}`;
+      const pending = waitControlJson(
+        (payload) => (payload.type === 'windows' || payload.type === 'error') && payload.requestId === requestId
+      );
+      controlWs.send(JSON.stringify({ type, sessionId, requestId, ...fields }));
+      return await pending;
+    };
+
+    const listed = await request('window.list');
+    assert.equal(listed.type, 'windows');
+    assert.equal(listed.sessionId, sessionId);
+    assert.equal(listed.windows.length, 1);
+    assert.equal(listed.windows[0].panes.length, 1);
+    const firstWindowId = listed.windows[0].id;
+    const firstPaneId = listed.windows[0].panes[0].id;
+
+    const observerBroadcast = observer.waitControlJson(
+      (payload) => payload.type === 'windows' && payload.sessionId === sessionId && payload.windows.length === 2
+    );
+    const created = await request('window.create', { name: 'logs\ttail' });
+    assert.equal(created.windows.length, 2);
+    const logsWindow = created.windows[1];
+    assert.equal(logsWindow.name, 'logs tail');
+    assert.equal(logsWindow.active, true);
+    await observerBroadcast;
+
+    const split = await request('pane.split', { paneId: logsWindow.panes[0].id, direction: 'horizontal' });
+    const splitWindow = split.windows.find((window) => window.id === logsWindow.id);
+    assert.equal(splitWindow.panes.length, 2);
+    assert.equal(splitWindow.panes[1].active, true);
+
+    const selectedPane = await request('pane.select', { paneId: splitWindow.panes[0].id });
+    assert.equal(selectedPane.windows.find((window) => window.id === logsWindow.id).panes[0].active, true);
+
+    const closedPane = await request('pane.close', { paneId: splitWindow.panes[1].id });
+    assert.equal(closedPane.windows.find((window) => window.id === logsWindow.id).panes.length, 1);
+
+    const selectedWindow = await request('window.select', { windowId: firstWindowId });
+    assert.equal(selectedWindow.windows.find((window) => window.id === firstWindowId).active, true);
+
+    const closedWindow = await request('window.close', { windowId: logsWindow.id });
+    assert.deepEqual(
+      closedWindow.windows.map((window) => window.id),
+      [firstWindowId]
+    );
+
+    const lastWindow = await request('window.close', { windowId: firstWindowId });
+    assert.equal(lastWindow.type, 'error');
+    assert.equal(lastWindow.requestType, 'window.close');
+    const lastPane = await request('pane.close', { paneId: firstPaneId });
+    assert.equal(lastPane.type, 'error');
+    const unknownPane = await request('pane.select', { paneId: '%999' });
+    assert.equal(unknownPane.type, 'error');
+
+    const readonlyToken = await exchangeAccessToken(currentServer.baseUrl, bootstrapToken, 'readonly');
+    const readonly = await openAuthedControl(port, readonlyToken);
+    readonly.controlWs.send(JSON.stringify({ type: 'window.create', sessionId, requestId: 'readonly-create' }));
+    const denied = await readonly.waitControlJson(
+      (payload) => payload.type === 'error' && payload.requestId === 'readonly-create'
+    );
+    assert.equal(denied.message, 'insufficient_scope');
+    readonly.controlWs.send(JSON.stringify({ type: 'window.list', sessionId, requestId: 'readonly-list' }));
+    const readonlyList = await readonly.waitControlJson(
+      (payload) => payload.type === 'windows' && payload.requestId === 'readonly-list'
+    );
+    assert.equal(readonlyList.windows.length, 1);
+
+    const missing = await request('window.list', { sessionId: 'missing-session' });
+    assert.equal(missing.type, 'error');
+    assert.equal(missing.message, 'session not found');
+
+    readonly.controlWs.close();
+    observer.controlWs.close();
+    controlWs.close();
+    await once(controlWs, 'close');
+  } finally {
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
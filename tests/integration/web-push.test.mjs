@@ -0,0 +1,503 @@
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { createDecipheriv, createECDH, hkdfSync, randomBytes } from 'node:crypto';
+import { once } from 'node:events';
+import { appendFile, mkdtemp, readFile, rm, stat } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import test from 'node:test';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const serverEntry = path.join(repoRoot, 'dist', 'server.js');
+const fakeTmuxPath = path.join(repoRoot, 'tests', 'helpers', 'fake-tmux.mjs');
+const fakeTailscalePath = path.join(repoRoot, 'tests', 'helpers', 'fake-tailscale.mjs');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getFreePort() {
+  return await new Promise((resolve, reject) => {
+    const server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      if (!address || typeof address === 'string') {
+        reject(new Error('failed to allocate free port'));
+        return;
+      }
+      const { port } = address;
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(port);
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function canListenLoopback() {
+  try {
+    const server = createServer();
+    await new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', resolve);
+      server.once('error', reject);
+    });
+    await new Promise((resolve, reject) => {
+      server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function rawDataToText(raw) {
+  if (typeof raw === 'string') {
+    return raw;
+  }
+  if (Buffer.isBuffer(raw)) {
+    return raw.toString('utf8');
+  }
+  if (raw instanceof ArrayBuffer) {
+    return Buffer.from(raw).toString('utf8');
+  }
+  return Buffer.concat(raw.map((item) => (Buffer.isBuffer(item) ? item : Buffer.from(item)))).toString('utf8');
+}
+
+function createJsonWaiter(ws) {
+  return function waitForJson(predicate, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error('timeout waiting for websocket message'));
+      }, timeoutMs);
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        ws.off('message', onMessage);
+        ws.off('close', onClose);
+      };
+
+      const onClose = () => {
+        cleanup();
+        reject(new Error('websocket closed before expected message'));
+      };
+
+      const onMessage = (raw) => {
+        let payload = null;
+        try {
+          payload = JSON.parse(rawDataToText(raw));
+        } catch {
+          payload = null;
+        }
+        if (!payload) {
+          return;
+        }
+        if (predicate(payload)) {
+          cleanup();
+          resolve(payload);
+        }
+      };
+
+      ws.on('message', onMessage);
+      ws.on('close', onClose);
+    });
+  };
+}
+
+async function openWebSocket(url) {
+  return await new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs = 15000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server exited early with code=${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // keep polling
+    }
+    await sleep(120);
+  }
+  throw new Error('server health check timed out');
+}
+
+async function readBootstrapToken(runtimeDir) {
+  const tokenPath = path.join(runtimeDir, '.auth-token');
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < 8000) {
+    try {
+      const raw = await readFile(tokenPath, 'utf8');
+      const token = raw.trim();
+      if (token.length > 0) {
+        return token;
+      }
+    } catch {
+      // retry
+    }
+    await sleep(80);
+  }
+  throw new Error('bootstrap token not created in time');
+}
+
+async function exchangeAccessToken(baseUrl, bootstrapToken, scope = 'admin') {
+  const response = await fetch(`${baseUrl}/api/auth/exchange`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${bootstrapToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ scope })
+  });
+  assert.equal(response.status, 200, 'exchange should succeed');
+  const payload = await response.json();
+  assert.equal(typeof payload.accessToken, 'string');
+  return payload.accessToken;
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null) {
+    return;
+  }
+  child.kill('SIGTERM');
+  await Promise.race([
+    once(child, 'exit'),
+    sleep(5000).then(() => {
+      child.kill('SIGKILL');
+    })
+  ]);
+}
+
+async function startServer({ runtimeDir, stateFile, port, env = {} }) {
+  const child = spawn(process.execPath, [serverEntry, '--cwd', runtimeDir], {
+    cwd: runtimeDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      TUNNEL: 'tailscale',
+      C2P_TAILSCALE_BIN: fakeTailscalePath,
+      C2P_TMUX_BIN: fakeTmuxPath,
+      FAKE_TMUX_STATE_FILE: stateFile,
+      C2P_ALLOW_EMPTY_ORIGIN: '1',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+  child.stderr.on('data', (chunk) => {
+    logs += chunk.toString();
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  await waitForHealth(baseUrl, child);
+
+  return {
+    child,
+    baseUrl,
+    getLogs() {
+      return logs;
+    }
+  };
+}
+
+async function openAuthedControl(port, accessToken, client) {
+  const controlWs = await openWebSocket(`ws://127.0.0.1:${port}/ws/control`);
+  const waitControlJson = createJsonWaiter(controlWs);
+  controlWs.send(
+    JSON.stringify({
+      type: 'auth',
+      token: accessToken,
+      client: {
+        ua: 'web-push-test',
+        version: 1,
+        ...client
+      }
+    })
+  );
+  await waitControlJson((payload) => payload.type === 'auth.ok');
+  await waitControlJson((payload) => payload.type === 'sessions' && Array.isArray(payload.list));
+  return { controlWs, waitControlJson };
+}
+
+async function openAuthedTerminal(port, accessToken, sessionId, client) {
+  const terminalWs = await openWebSocket(
+    `ws://127.0.0.1:${port}/ws/terminal?session=${encodeURIComponent(sessionId)}&cols=120&rows=36`
+  );
+  const waitTerminalJson = createJsonWaiter(terminalWs);
+  terminalWs.send(
+    JSON.stringify({
+      type: 'auth',
+      token: accessToken,
+      client: {
+        ua: 'web-push-test',
+        version: 1,
+        ...client
+      }
+    })
+  );
+  await waitTerminalJson((payload) => payload.type === 'auth.ok');
+  let text = '';
+  terminalWs.on('message', (raw) => {
+    text += rawDataToText(raw);
+  });
+  return { terminalWs, readText: () => text };
+}
+
+function createUserAgentKeys() {
+  const ecdh = createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    ecdh,
+    keys: {
+      p256dh: ecdh.getPublicKey().toString('base64url'),
+      auth: randomBytes(16).toString('base64url')
+    }
+  };
+}
+
+function decryptPushBody(body, userAgent) {
+  const salt = body.subarray(0, 16);
+  const keyLength = body.readUInt8(20);
+  const serverPublicKey = body.subarray(21, 21 + keyLength);
+  const ciphertext = body.subarray(21 + keyLength);
+  const sharedSecret = userAgent.ecdh.computeSecret(serverPublicKey);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgent.ecdh.getPublicKey(), serverPublicKey]);
+  const ikm = Buffer.from(hkdfSync('sha256', sharedSecret, Buffer.from(userAgent.keys.auth, 'base64url'), keyInfo, 32));
+  const contentKey = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+  const decipher = createDecipheriv('aes-128-gcm', contentKey, nonce);
+  decipher.setAuthTag(ciphertext.subarray(ciphertext.length - 16));
+  const plaintext = Buffer.concat([decipher.update(ciphertext.subarray(0, ciphertext.length - 16)), decipher.final()]);
+  return JSON.parse(plaintext.subarray(0, -1).toString('utf8'));
+}
+
+// A local stand-in for a browser push service: `/push/gone` answers 410 like an expired subscription.
+async function startPushService(port, userAgent) {
+  const received = [];
+  const waiters = [];
+  const server = createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      if (req.url === '/push/gone') {
+        res.writeHead(410).end();
+        return;
+      }
+      const entry = {
+        headers: req.headers,
+        message: decryptPushBody(Buffer.concat(chunks), userAgent)
+      };
+      received.push(entry);
+      for (const waiter of [...waiters]) {
+        if (waiter.predicate(entry.message)) {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          waiter.resolve(entry);
+        }
+      }
+      res.writeHead(201).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(port, '127.0.0.1', resolve));
+  return {
+    server,
+    waitForPush(predicate, timeoutMs = 10000) {
+      const existing = received.find((entry) => predicate(entry.message));
+      if (existing) {
+        return Promise.resolve(existing);
+      }
+      return new Promise((resolve, reject) => {
+        const waiter = { predicate, resolve };
+        waiters.push(waiter);
+        setTimeout(() => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          reject(new Error('push not received'));
+        }, timeoutMs).unref();
+      });
+    }
+  };
+}
+
+async function postJson(baseUrl, pathname, token, body, method = 'POST') {
+  return fetch(`${baseUrl}${pathname}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  });
+}
+
+test('web push subscriptions receive encrypted session exit, shell notification and disk-low pushes', async (t) => {
+  if (!(await canListenLoopback())) {
+    t.skip('loopback listen is blocked in current sandbox');
+    return;
+  }
+
+  const runtimeDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-web-push-it-'));
+  const fakeStatePath = path.join(runtimeDir, 'fake-tmux-state.json');
+  const userAgent = createUserAgentKeys();
+
+  let currentServer = null;
+  let pushService = null;
+  try {
+    const pushPort = await getFreePort();
+    pushService = await startPushService(pushPort, userAgent);
+    const port = await getFreePort();
+    currentServer = await startServer({
+      runtimeDir,
+      stateFile: fakeStatePath,
+      port,
+      env: {
+        C2P_PUSH_ALLOW_INSECURE_ENDPOINTS: '1',
+        // Larger than any real disk, so the first check after subscribing reports low space.
+        C2P_PUSH_DISK_MIN_FREE_MB: String(1024 * 1024 * 1024),
+        C2P_PUSH_DISK_CHECK_INTERVAL_SECONDS: '1'
+      }
+    });
+
+    const bootstrapToken = await readBootstrapToken(runtimeDir);
+    const adminToken = await exchangeAccessToken(currentServer.baseUrl, bootstrapToken);
+    const readonlyToken = await exchangeAccessToken(currentServer.baseUrl, bootstrapToken, 'readonly');
+
+    const keyResponse = await fetch(`${currentServer.baseUrl}/api/push/vapid-public-key`, {
+      headers: { Authorization: `Bearer ${readonlyToken}` }
+    });
+    assert.equal(keyResponse.status, 200);
+    const { publicKey } = await keyResponse.json();
+    assert.equal(Buffer.from(publicKey, 'base64url').length, 65);
+    assert.equal((await stat(path.join(runtimeDir, '.c2p-vapid.json'))).mode & 0o777, 0o600);
+
+    const subscription = { endpoint: `http://127.0.0.1:${pushPort}/push/device`, keys: userAgent.keys };
+    const readonlySubscribe = await postJson(currentServer.baseUrl, '/api/push/subscriptions', readonlyToken, { subscription });
+    assert.equal(readonlySubscribe.status, 403);
+    const invalidSubscribe = await postJson(currentServer.baseUrl, '/api/push/subscriptions', adminToken, {
+      subscription: { ...subscription, endpoint: 'http://push.example.com/device' }
+    });
+    assert.equal(invalidSubscribe.status, 400);
+
+    const subscribed = await postJson(currentServer.baseUrl, '/api/push/subscriptions', adminToken, {
+      subscription,
+      label: 'Phone · Chrome'
+    });
+    assert.equal(subscribed.status, 201);
+    const goneSubscribed = await postJson(currentServer.baseUrl, '/api/push/subscriptions', adminToken, {
+      subscription: { ...subscription, endpoint: `http://127.0.0.1:${pushPort}/push/gone` }
+    });
+    assert.equal(goneSubscribed.status, 201);
+
+    const testResponse = await postJson(currentServer.baseUrl, '/api/push/test', adminToken, {});
+    assert.deepEqual(await testResponse.json(), { ok: true, subscriptions: 1 });
+    const testPush = await pushService.waitForPush((message) => message.type === 'test');
+    assert.equal(testPush.headers['content-encoding'], 'aes128gcm');
+    assert.match(testPush.headers.authorization, new RegExp(`^vapid t=[\\w-]+\\.[\\w-]+\\.[\\w-]+, k=${publicKey}$`));
+    assert.equal(testPush.headers.ttl, '60');
+
+    const diskPush = await pushService.waitForPush((message) => message.type === 'disk.low');
+    assert.equal(diskPush.message.path, runtimeDir);
+    assert.equal(typeof diskPush.message.freeBytes, 'number');
+
+    const admin = await openAuthedControl(port, adminToken, { id: 'push-client-00001' });
+    admin.controlWs.send(JSON.stringify({ type: 'spawn', cli: 'shell', cols: 120, rows: 36 }));
+    const spawned = await admin.waitControlJson(
+      (payload) => payload.type === 'spawned' && typeof payload.sessionId === 'string'
+    );
+    const sessionId = spawned.sessionId;
+
+    const terminal = await openAuthedTerminal(port, adminToken, sessionId, { id: 'push-client-00001' });
+    terminal.terminalWs.send('\u001b]777;notify;Build;finished\u0007\n');
+    const notifyPush = await pushService.waitForPush((message) => message.type === 'notification');
+    assert.equal(notifyPush.message.sessionId, sessionId);
+    assert.equal(notifyPush.message.title, 'Build');
+    assert.equal(notifyPush.message.body, 'finished');
+    assert.equal(notifyPush.headers.urgency, 'normal');
+    terminal.terminalWs.close();
+    await once(terminal.terminalWs, 'close');
+
+    // With the app closed nothing is attached; tmux still pipes the pane into the session log.
+    await appendFile(
+      path.join(runtimeDir, '.c2p-sessions', `${sessionId}.log`),
+      '\u001b]777;notify;Deploy;done while closed\u0007\n'
+    );
+    const detachedPush = await pushService.waitForPush(
+      (message) => message.type === 'notification' && message.title === 'Deploy'
+    );
+    assert.equal(detachedPush.message.sessionId, sessionId);
+    assert.equal(detachedPush.message.body, 'done while closed');
+
+    // The tmux session disappearing on its own (not a kill request) is what an unexpected exit looks like.
+    spawnSync(process.execPath, [fakeTmuxPath, 'kill-session', '-t', `c2p-${sessionId}`], {
+      env: { ...process.env, FAKE_TMUX_STATE_FILE: fakeStatePath }
+    });
+    const exitPush = await pushService.waitForPush((message) => message.type === 'session.exit');
+    assert.equal(exitPush.message.sessionId, sessionId);
+    assert.equal(exitPush.headers.urgency, 'high');
+
+    const unsubscribed = await postJson(
+      currentServer.baseUrl,
+      '/api/push/subscriptions',
+      adminToken,
+      { endpoint: subscription.endpoint },
+      'DELETE'
+    );
+    assert.equal(unsubscribed.status, 204);
+    const missing = await postJson(
+      currentServer.baseUrl,
+      '/api/push/subscriptions',
+      adminToken,
+      { endpoint: subscription.endpoint },
+      'DELETE'
+    );
+    assert.equal(missing.status, 404);
+
+    const auditPath = path.join(runtimeDir, '.c2p-audit', `${new Date().toISOString().slice(0, 10)}.jsonl`);
+    const auditEvents = (await readFile(auditPath, 'utf8'))
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line))
+      .filter((entry) => entry.event.startsWith('push.'));
+    assert.deepEqual(
+      auditEvents.map((entry) => entry.event),
+      ['push.subscribe', 'push.subscribe', 'push.unsubscribe']
+    );
+    assert.equal(auditEvents[0].metadata.label, 'Phone · Chrome');
+
+    admin.controlWs.close();
+    await once(admin.controlWs, 'close');
+  } finally {
+    if (currentServer) {
+      await stopServer(currentServer.child);
+    }
+    if (pushService) {
+      pushService.server.close();
+    }
+    await rm(runtimeDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  CAPABILITIES,
+  hasCapability,
+  isPathGranted,
+  normalizeGrantPath,
+  parseRequestedGrants,
+  requiredScopeFor,
+  resolveGrants,
+  scopeGrants
+} from '../../dist/access-grants.js';
+
+test('scope presets map to capabilities and back', () => {
+  assert.deepEqual(Object.keys(scopeGrants('admin')), [...CAPABILITIES]);
+  assert.deepEqual(scopeGrants('readonly'), {
+    'terminal:attach': true,
+    'fs:read': true,
+    'system:read': true,
+    'auth:read': true
+  });
+  assert.equal(requiredScopeFor('fs:read'), 'readonly');
+  assert.equal(requiredScopeFor('terminal:input'), 'admin');
+
+  // Tokens issued without grants keep everything their scope allows.
+  assert.deepEqual(resolveGrants({ scope: 'readonly' }), scopeGrants('readonly'));
+  assert.deepEqual(resolveGrants({ scope: 'admin', grants: { 'fs:read': true } }), { 'fs:read': true });
+});
+
+test('parseRequestedGrants narrows a scope and rejects anything broader', () => {
+  assert.deepEqual(parseRequestedGrants({ 'fs:read': ['./docs/', 'src', 'src'], 'system:read': true }, 'readonly'), {
+    ok: true,
+    grants: { 'fs:read': ['docs', 'src'], 'system:read': true }
+  });
+  // `.` covers the whole root, so the list collapses to a plain grant.
+  assert.deepEqual(parseRequestedGrants({ 'fs:write': ['docs', '.'] }, 'admin'), {
+    ok: true,
+    grants: { 'fs:write': true }
+  });
+
+  assert.equal(parseRequestedGrants({ 'fs:write': true }, 'readonly').ok, false);
+  assert.equal(parseRequestedGrants({ 'fs:delete': true }, 'admin').ok, false);
+  assert.equal(parseRequestedGrants({ 'terminal:input': ['docs'] }, 'admin').ok, false);
+  assert.equal(parseRequestedGrants({ 'fs:read': [] }, 'admin').ok, false);
+  assert.equal(parseRequestedGrants({ 'fs:read': false }, 'admin').ok, false);
+  assert.equal(parseRequestedGrants({}, 'admin').ok, false);
+  assert.equal(parseRequestedGrants(['fs:read'], 'admin').ok, false);
+  assert.equal(parseRequestedGrants({ 'fs:read': Array.from({ length: 17 }, (_, i) => `d${i}`) }, 'admin').ok, false);
+});
+
+test('grant paths stay inside the root and match whole segments', () => {
+  assert.equal(normalizeGrantPath('docs//guides/'), 'docs/guides');
+  assert.equal(normalizeGrantPath('docs\\guides'), 'docs/guides');
+  assert.equal(normalizeGrantPath(''), '.');
+  assert.equal(normalizeGrantPath('/etc'), null);
+  assert.equal(normalizeGrantPath('docs/../..'), null);
+  assert.equal(normalizeGrantPath(42), null);
+
+  const grants = { 'fs:read': ['docs', 'src/lib'], 'fs:write': true };
+  assert.equal(hasCapability(grants, 'fs:read'), true);
+  assert.equal(hasCapability(grants, 'terminal:attach'), false);
+  assert.equal(isPathGranted(grants, 'fs:read', 'docs'), true);
+  assert.equal(isPathGranted(grants, 'fs:read', 'docs/a/b.md'), true);
+  assert.equal(isPathGranted(grants, 'fs:read', 'docs-old/a.md'), false);
+  assert.equal(isPathGranted(grants, 'fs:read', 'src'), false);
+  assert.equal(isPathGranted(grants, 'fs:read', '.'), false);
+  assert.equal(isPathGranted(grants, 'fs:write', '.'), true);
+  assert.equal(isPathGranted(grants, 'system:read', 'docs'), false);
+});
@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  findCastEventIndex,
+  formatCastTime,
+  normalizeCastSpeed,
+  parseAsciicast,
+  parseCastResize
+} from '../../public/lib/asciicast-policy.js';
+
+test('parseAsciicast keeps output and resize events and skips everything else', () => {
+  const text = [
+    JSON.stringify({ version: 2, width: 80, height: 24, timestamp: 1700000000, title: 'demo' }),
+    JSON.stringify([0.1, 'o', 'hello']),
+    JSON.stringify([0.2, 'i', 'typed']),
+    JSON.stringify([0.3, 'r', '100x30']),
+    JSON.stringify([0.35, 'r', 'bogus']),
+    '[0.4, "o", "trunc',
+    JSON.stringify([0.25, 'o', 'late']),
+    ''
+  ].join('\n');
+  const parsed = parseAsciicast(text);
+  assert.equal(parsed.ok, true);
+  assert.deepEqual(parsed.header, { width: 80, height: 24, title: 'demo', timestamp: 1700000000 });
+  assert.deepEqual(parsed.events, [
+    { time: 0.1, code: 'o', data: 'hello' },
+    { time: 0.3, code: 'r', data: '100x30' },
+    { time: 0.3, code: 'o', data: 'late' }
+  ]);
+  assert.equal(parsed.duration, 0.3);
+});
+
+test('parseAsciicast rejects missing or unsupported headers', () => {
+  assert.deepEqual(parseAsciicast(''), { ok: false, error: 'invalid-header' });
+  assert.deepEqual(parseAsciicast('{"version":1,"width":80,"height":24}'), { ok: false, error: 'unsupported-version' });
+  assert.deepEqual(parseAsciicast('{"version":2,"width":0,"height":24}'), { ok: false, error: 'invalid-header' });
+  assert.deepEqual(parseAsciicast(null), { ok: false, error: 'invalid-header' });
+});
+
+test('findCastEventIndex returns the index of the next event to play', () => {
+  const events = [{ time: 0 }, { time: 1 }, { time: 1 }, { time: 2.5 }];
+  assert.equal(findCastEventIndex(events, -1), 0);
+  assert.equal(findCastEventIndex(events, 0), 1);
+  assert.equal(findCastEventIndex(events, 1), 3);
+  assert.equal(findCastEventIndex(events, 2), 3);
+  assert.equal(findCastEventIndex(events, 10), 4);
+  assert.equal(findCastEventIndex([], 1), 0);
+});
+
+test('cast helpers normalize resize, speed and time labels', () => {
+  assert.deepEqual(parseCastResize('120x40'), { cols: 120, rows: 40 });
+  assert.equal(parseCastResize('0x40'), null);
+  assert.equal(parseCastResize('120 x 40'), null);
+  assert.equal(normalizeCastSpeed('2'), 2);
+  assert.equal(normalizeCastSpeed(3), 1);
+  assert.equal(formatCastTime(0), '0:00');
+  assert.equal(formatCastTime(65.9), '1:05');
+  assert.equal(formatCastTime(3725), '1:02:05');
+});
@@ -71,3 +71,67 @@ test('AccessTokenService issues, verifies and revokes tokens', async () => {
     await rm(tempDir, { recursive: true, force: true });
   }
 });
+
+test('AccessTokenService enrolls devices and revokes every token of a device', async () => {
+  const tempDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-auth-devices-'));
+  const store = new C2PStore(path.join(tempDir, 'store.sqlite'));
+  const tokenService = new AccessTokenService({
+    store,
+    signingSecret: 'test-signing-secret-for-unit-tests-0123456789',
+    ttlSeconds: 3600
+  });
+
+  try {
+    const phone = tokenService.enrollDevice({
+      label: 'Phone',
+      userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0) Safari/604.1',
+      scope: 'admin',
+      ip: '10.0.0.2'
+    });
+    assert.match(phone.id, /^[a-f0-9]{32}$/);
+    const laptop = tokenService.enrollDevice({
+      userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) Chrome/120.0 Safari/537.36',
+      scope: 'readonly',
+      ip: '10.0.0.3'
+    });
+    assert.equal(laptop.label, 'Mac · Chrome');
+
+    // Exchanging again with a known device id keeps the device.
+    const again = tokenService.enrollDevice({ deviceId: phone.id, userAgent: '', scope: 'admin', ip: '10.0.0.4' });
+    assert.equal(again.id, phone.id);
+    assert.equal(again.label, 'Phone');
+    assert.equal(again.lastIp, '10.0.0.4');
+    assert.equal(again.firstSeenAt, phone.firstSeenAt);
+
+    const phoneA = tokenService.issueAccessToken('10.0.0.2', 'admin', phone.id);
+    const phoneB = tokenService.issueAccessToken('10.0.0.2', 'admin', phone.id);
+    const laptopToken = tokenService.issueAccessToken('10.0.0.3', 'readonly', laptop.id);
+    assert.equal(phoneA.claims.did, phone.id);
+    const refreshed = tokenService.refreshAccessToken(phoneB.token, '10.0.0.2');
+    assert.equal(refreshed.ok, true);
+    assert.equal(refreshed.ok && refreshed.issued.claims.did, phone.id);
+
+    const listed = new Map(store.listDevices().map((device) => [device.id, device]));
+    assert.equal(listed.get(phone.id).activeTokens, 2);
+    assert.equal(listed.get(laptop.id).activeTokens, 1);
+
+    const notified = [];
+    const unsubscribe = tokenService.onDeviceRevoked((deviceId) => notified.push(deviceId));
+    const revoked = tokenService.revokeDevice(phone.id, 'unit-test');
+    unsubscribe();
+    assert.equal(revoked.length, 2);
+    assert.deepEqual(notified, [phone.id]);
+    assert.equal(tokenService.verifyAccessToken(phoneA.token).ok, false);
+    assert.equal(refreshed.ok && tokenService.verifyAccessToken(refreshed.issued.token).ok, false);
+    assert.equal(tokenService.verifyAccessToken(laptopToken.token).ok, true);
+    assert.equal(tokenService.revokeDevice('0'.repeat(32)), null);
+
+    // A revoked device id is not reused; the next exchange enrolls a fresh device.
+    const reenrolled = tokenService.enrollDevice({ deviceId: phone.id, userAgent: '', scope: 'admin', ip: '10.0.0.2' });
+    assert.notEqual(reenrolled.id, phone.id);
+    assert.ok(store.getDevice(phone.id).revokedAt);
+  } finally {
+    store.close();
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  buildPairingLink,
+  canRevokeDevice,
+  describeDeviceMeta,
+  describeDeviceStatus,
+  formatDeviceSeen,
+  formatPairingCode,
+  formatPairingRemaining,
+  sortDevices
+} from '../../public/lib/devices-policy.js';
+
+const now = new Date('2026-03-10T12:00:00.000Z');
+
+test('sortDevices puts this browser first and revoked devices last', () => {
+  const devices = [
+    { id: 'a', current: false, lastSeenAt: '2026-03-10T11:00:00.000Z' },
+    { id: 'b', current: false, lastSeenAt: '2026-03-10T11:59:00.000Z', revokedAt: '2026-03-10T11:59:30.000Z' },
+    { id: 'c', current: true, lastSeenAt: '2026-03-01T00:00:00.000Z' },
+    { id: 'd', current: false, lastSeenAt: '2026-03-10T11:30:00.000Z' }
+  ];
+  assert.deepEqual(
+    sortDevices(devices).map((device) => device.id),
+    ['c', 'd', 'a', 'b']
+  );
+});
+
+test('formatDeviceSeen uses relative times for the last month', () => {
+  assert.equal(formatDeviceSeen('2026-03-10T11:59:30.000Z', now), '刚刚');
+  assert.equal(formatDeviceSeen('2026-03-10T11:15:00.000Z', now), '45 分钟前');
+  assert.equal(formatDeviceSeen('2026-03-10T02:00:00.000Z', now), '10 小时前');
+  assert.equal(formatDeviceSeen('2026-03-07T12:00:00.000Z', now), '3 天前');
+  assert.match(formatDeviceSeen('2025-12-01T12:00:00.000Z', now), /^2025-12-0[12]$/);
+  assert.equal(formatDeviceSeen('', now), '-');
+});
+
+test('device status, meta and revoke permission follow the device record', () => {
+  const other = {
+    id: 'x',
+    current: false,
+    scope: 'admin',
+    activeTokens: 1,
+    lastSeenAt: '2026-03-10T11:55:00.000Z',
+    lastIp: '10.0.0.2'
+  };
+  assert.equal(describeDeviceStatus(other), '已登录');
+  assert.equal(describeDeviceStatus({ ...other, activeTokens: 0 }), '已过期');
+  assert.equal(describeDeviceStatus({ ...other, current: true }), '本机');
+  assert.equal(describeDeviceStatus({ ...other, revokedAt: '2026-03-10T11:58:00.000Z' }), '已撤销');
+  assert.equal(describeDeviceMeta(other, now), '管理员 · 最近 5 分钟前 · 10.0.0.2');
+  assert.equal(describeDeviceMeta({ ...other, scope: 'readonly', lastIp: '' }, now), '只读 · 最近 5 分钟前');
+
+  assert.equal(canRevokeDevice(other, false), true);
+  assert.equal(canRevokeDevice(other, true), false);
+  assert.equal(canRevokeDevice({ ...other, current: true }, false), false);
+  assert.equal(canRevokeDevice({ ...other, revokedAt: '2026-03-10T11:58:00.000Z' }, false), false);
+});
+
+test('pairing codes are grouped, counted down and linked by token', () => {
+  assert.equal(formatPairingCode('042913'), '042 913');
+  assert.equal(formatPairingRemaining('2026-03-10T12:04:59.200Z', now), '5:00');
+  assert.equal(formatPairingRemaining('2026-03-10T12:00:09.000Z', now), '0:09');
+  assert.equal(formatPairingRemaining('2026-03-10T11:59:59.000Z', now), '');
+  assert.equal(
+    buildPairingLink('https://host.example.ts.net', 'ab'.repeat(16)),
+    `https://host.example.ts.net/#pair=${'ab'.repeat(16)}`
+  );
+});
@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  buildSideBySideRows,
+  collapseUnchanged,
+  diffLines,
+  guessDiffLanguage,
+  parseUnifiedDiff,
+  splitLines,
+  summarizeDiff
+} from '../../public/lib/files-diff-policy.js';
+
+test('splitLines drops the trailing newline and carriage returns', () => {
+  assert.deepEqual(splitLines('a\r\nb\n'), ['a', 'b']);
+  assert.deepEqual(splitLines('a\n\n'), ['a', '']);
+  assert.deepEqual(splitLines(''), []);
+  assert.deepEqual(splitLines(null), []);
+});
+
+test('diffLines keeps line numbers on both sides', () => {
+  const ops = diffLines('a\nb\nc\nd\n', 'a\nB\nc\nd\ne\n');
+  assert.deepEqual(ops, [
+    { type: 'equal', text: 'a', oldLine: 1, newLine: 1 },
+    { type: 'delete', text: 'b', oldLine: 2 },
+    { type: 'insert', text: 'B', newLine: 2 },
+    { type: 'equal', text: 'c', oldLine: 3, newLine: 3 },
+    { type: 'equal', text: 'd', oldLine: 4, newLine: 4 },
+    { type: 'insert', text: 'e', newLine: 5 }
+  ]);
+  assert.deepEqual(summarizeDiff(ops), { added: 2, removed: 1 });
+});
+
+test('diffLines finds the longest common subsequence inside the changed region', () => {
+  const ops = diffLines('x\none\ntwo\nthree\ny\n', 'x\nzero\none\nthree\nfour\ny\n');
+  assert.deepEqual(
+    ops.map((op) => `${op.type[0]}:${op.text}`),
+    ['e:x', 'i:zero', 'e:one', 'd:two', 'e:three', 'i:four', 'e:y']
+  );
+  assert.deepEqual(diffLines('same\n', 'same\n'), [{ type: 'equal', text: 'same', oldLine: 1, newLine: 1 }]);
+});
+
+test('buildSideBySideRows pairs replaced lines and pads uneven runs', () => {
+  const rows = buildSideBySideRows(diffLines('keep\nold1\nold2\nend\n', 'keep\nnew1\nend\nextra\n'));
+  assert.deepEqual(rows, [
+    { type: 'equal', left: { line: 1, text: 'keep' }, right: { line: 1, text: 'keep' } },
+    { type: 'change', left: { line: 2, text: 'old1' }, right: { line: 2, text: 'new1' } },
+    { type: 'delete', left: { line: 3, text: 'old2' }, right: null },
+    { type: 'equal', left: { line: 4, text: 'end' }, right: { line: 3, text: 'end' } },
+    { type: 'insert', left: null, right: { line: 4, text: 'extra' } }
+  ]);
+});
+
+test('parseUnifiedDiff numbers lines from hunk headers and skips markers', () => {
+  const hunks = parseUnifiedDiff(
+    [
+      '--- a/f.txt',
+      '+++ b/f.txt',
+      '@@ -3,3 +3,3 @@',
+      ' c',
+      '-d',
+      '\\ No newline at end of file',
+      '+D',
+      ' e',
+      '@@ -0,0 +1 @@',
+      '+new'
+    ].join('\n')
+  );
+  assert.deepEqual(hunks, [
+    {
+      oldStart: 3,
+      newStart: 3,
+      ops: [
+        { type: 'equal', text: 'c', oldLine: 3, newLine: 3 },
+        { type: 'delete', text: 'd', oldLine: 4 },
+        { type: 'insert', text: 'D', newLine: 4 },
+        { type: 'equal', text: 'e', oldLine: 5, newLine: 5 }
+      ]
+    },
+    { oldStart: 1, newStart: 1, ops: [{ type: 'insert', text: 'new', newLine: 1 }] }
+  ]);
+  assert.deepEqual(parseUnifiedDiff(''), []);
+});
+
+test('collapseUnchanged folds long unchanged runs around changes', () => {
+  const before = Array.from({ length: 20 }, (_, index) => `l${index + 1}`).join('\n');
+  const after = before.replace('l10', 'L10');
+  const segments = collapseUnchanged(diffLines(before, after), 3);
+  assert.deepEqual(
+    segments.map((segment) => [segment.type, segment.ops.length]),
+    [
+      ['fold', 6],
+      ['lines', 8],
+      ['fold', 7]
+    ]
+  );
+  assert.equal(segments[1].ops[0].text, 'l7');
+  // A fold would hide a single line only; keep it visible.
+  const short = collapseUnchanged(diffLines('a\nb\nc\nd\ne\n', 'a\nb\nc\nd\nE\n'), 3);
+  assert.deepEqual(
+    short.map((segment) => [segment.type, segment.ops.length]),
+    [['lines', 6]]
+  );
+});
+
+test('guessDiffLanguage uses the extension or well-known file names', () => {
+  assert.equal(guessDiffLanguage('src/server.ts'), 'ts');
+  assert.equal(guessDiffLanguage('docker/Dockerfile'), 'dockerfile');
+  assert.equal(guessDiffLanguage('.env'), '');
+  assert.equal(guessDiffLanguage('README'), '');
+});
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  buildGitBadgeIndex,
+  describeGitEntry,
+  formatGitBranch,
+  splitGitEntries
+} from '../../public/lib/files-git-policy.js';
+
+function entry(pathValue, fields) {
+  return {
+    path: pathValue,
+    index: '.',
+    worktree: '.',
+    staged: false,
+    unstaged: false,
+    untracked: false,
+    conflicted: false,
+    directory: false,
+    ...fields
+  };
+}
+
+const modified = entry('src/app.ts', { worktree: 'M', unstaged: true });
+const added = entry('src/new.ts', { index: 'A', staged: true });
+const both = entry('README.md', { index: 'M', worktree: 'D', staged: true, unstaged: true });
+const untracked = entry('notes', { index: '?', worktree: '?', unstaged: true, untracked: true, directory: true });
+const conflict = entry('src/lib/merge.ts', { index: 'U', worktree: 'U', conflicted: true });
+
+test('describeGitEntry prefers the working tree change and labels both sides', () => {
+  assert.deepEqual(describeGitEntry(modified), { code: 'M', kind: 'modified', label: '未暂存修改' });
+  assert.deepEqual(describeGitEntry(added), { code: 'A', kind: 'added', label: '已暂存新增' });
+  assert.deepEqual(describeGitEntry(both), { code: 'D', kind: 'deleted', label: '已暂存修改，未暂存删除' });
+  assert.equal(describeGitEntry(untracked).code, '?');
+  assert.equal(describeGitEntry(conflict).kind, 'conflicted');
+});
+
+test('buildGitBadgeIndex keys direct children and rolls nested changes up', () => {
+  const entries = [modified, added, both, untracked, conflict];
+  const root = buildGitBadgeIndex(entries, '.');
+  assert.deepEqual([...root.keys()].sort(), ['README.md', 'notes', 'src']);
+  assert.equal(root.get('src').kind, 'conflicted');
+  assert.equal(root.get('README.md').code, 'D');
+
+  const src = buildGitBadgeIndex(entries, 'src');
+  assert.deepEqual([...src.keys()].sort(), ['src/app.ts', 'src/lib', 'src/new.ts']);
+  assert.equal(src.get('src/lib').kind, 'conflicted');
+
+  const counted = buildGitBadgeIndex([modified, added], '.');
+  assert.deepEqual(counted.get('src'), { code: '•', kind: 'nested', count: 2, label: '包含 2 项变更' });
+  assert.equal(buildGitBadgeIndex([modified], 'docs').size, 0);
+});
+
+test('formatGitBranch and splitGitEntries summarize the panel', () => {
+  assert.equal(formatGitBranch({ repo: false }), '');
+  const summary = { repo: true, branch: 'main', head: '0123456789', ahead: 2, behind: 1, stashes: 1 };
+  assert.equal(formatGitBranch(summary), 'main ↑2 ↓1 stash 1');
+  assert.equal(formatGitBranch({ ...summary, branch: null, ahead: 0, behind: 0, stashes: 0 }), '(分离) 0123456');
+  assert.equal(formatGitBranch({ ...summary, branch: null, head: null, ahead: 0, behind: 0, stashes: 0 }), '(无提交)');
+  const { staged, unstaged } = splitGitEntries([modified, added, both, conflict]);
+  assert.deepEqual(
+    staged.map((item) => item.path),
+    ['src/new.ts', 'README.md']
+  );
+  assert.deepEqual(
+    unstaged.map((item) => item.path),
+    ['src/app.ts', 'README.md', 'src/lib/merge.ts']
+  );
+});
@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  describeEntryKind,
+  formatOctalMode,
+  formatOwnerLabel,
+  formatPermissionString,
+  formatPropsTimestamp,
+  isExecutableMode,
+  parseOctalMode,
+  toggleExecutableMode
+} from '../../public/lib/files-props-policy.js';
+
+test('parseOctalMode and formatOctalMode round-trip listing modes', () => {
+  assert.equal(parseOctalMode('0755'), 0o755);
+  assert.equal(parseOctalMode('644'), 0o644);
+  assert.equal(parseOctalMode('0o755'), null);
+  assert.equal(parseOctalMode(null), null);
+  assert.equal(formatOctalMode(0o644), '0644');
+  assert.equal(formatOctalMode(0o4755), '4755');
+});
+
+test('formatPermissionString renders ls-style modes with special bits', () => {
+  assert.equal(formatPermissionString(0o755, 'dir'), 'drwxr-xr-x');
+  assert.equal(formatPermissionString(0o640, 'file'), '-rw-r-----');
+  assert.equal(formatPermissionString(0o4755, 'file'), '-rwsr-xr-x');
+  assert.equal(formatPermissionString(0o2644, 'file'), '-rw-r-Sr--');
+  assert.equal(formatPermissionString(0o1777, 'dir'), 'drwxrwxrwt');
+  assert.equal(formatPermissionString(0o1776, 'dir'), 'drwxrwxrwT');
+  assert.equal(formatPermissionString(0o600, 'other'), '?rw-------');
+});
+
+test('toggleExecutableMode grants execute to readers and clears every execute bit', () => {
+  assert.equal(toggleExecutableMode(0o644, true), 0o755);
+  assert.equal(toggleExecutableMode(0o640, true), 0o750);
+  assert.equal(toggleExecutableMode(0o200, true), 0o300);
+  assert.equal(toggleExecutableMode(0o4755, false), 0o4644);
+  assert.equal(isExecutableMode(0o744), true);
+  assert.equal(isExecutableMode(0o644), false);
+});
+
+test('owner labels, timestamps and entry kinds are formatted for the properties sheet', () => {
+  assert.equal(formatOwnerLabel('alice', 1000), 'alice (1000)');
+  assert.equal(formatOwnerLabel(null, 1001), '1001');
+  assert.equal(formatOwnerLabel(null, null), '-');
+  assert.equal(formatPropsTimestamp(0), '-');
+  assert.match(formatPropsTimestamp(Date.UTC(2024, 0, 2, 3, 4, 5)), /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+  assert.equal(describeEntryKind({ type: 'file', symlink: false }), '文件');
+  assert.equal(describeEntryKind({ type: 'dir', symlink: true }), '符号链接 → 目录');
+  assert.equal(describeEntryKind({ type: 'other', symlink: true }), '符号链接（目标不存在）');
+});
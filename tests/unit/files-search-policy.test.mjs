@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  describeSearchSummary,
+  findLineRange,
+  groupSearchResults,
+  parseNdjsonChunk
+} from '../../public/lib/files-search-policy.js';
+
+test('parseNdjsonChunk carries partial lines across chunks and drops malformed ones', () => {
+  const first = parseNdjsonChunk('', '{"type":"start","token":"t"}\n{"type":"ma');
+  assert.deepEqual(first.events, [{ type: 'start', token: 't' }]);
+  assert.equal(first.rest, '{"type":"ma');
+
+  const second = parseNdjsonChunk(first.rest, 'tch","path":"a"}\nnot json\n\n{"nope":1}\n');
+  assert.deepEqual(second.events, [{ type: 'match', path: 'a' }]);
+  assert.equal(second.rest, '');
+});
+
+test('groupSearchResults keeps first-seen path order', () => {
+  const groups = groupSearchResults([
+    { type: 'start', token: 't' },
+    { type: 'match', path: 'b.ts', line: 3, column: 0, length: 4, preview: 'TODO' },
+    { type: 'file', path: 'a.ts', size: 12 },
+    { type: 'match', path: 'b.ts', line: 9, column: 2, length: 4 }
+  ]);
+  assert.deepEqual(groups, [
+    {
+      path: 'b.ts',
+      size: null,
+      matches: [
+        { line: 3, column: 0, length: 4, preview: 'TODO' },
+        { line: 9, column: 2, length: 4, preview: '' }
+      ]
+    },
+    { path: 'a.ts', size: 12, matches: [] }
+  ]);
+});
+
+test('describeSearchSummary mentions limits, cancellation and skipped files', () => {
+  assert.equal(
+    describeSearchSummary({ matches: 2, files: 10, truncated: false, cancelled: false, skipped: {} }, '.'),
+    '2 条结果，扫描 10 个文件'
+  );
+  assert.equal(
+    describeSearchSummary(
+      { matches: 200, files: 50, truncated: true, cancelled: true, skipped: { binary: 3, large: 1 } },
+      'src'
+    ),
+    '在 src 中 200 条结果，扫描 50 个文件，已达上限，已取消，跳过二进制 3，跳过大文件 1'
+  );
+  assert.equal(describeSearchSummary(null), '');
+});
+
+test('findLineRange locates 1-based lines without their line break', () => {
+  const text = 'one\r\ntwo\nthree';
+  assert.deepEqual(findLineRange(text, 1), { start: 0, end: 3 });
+  assert.deepEqual(findLineRange(text, 2), { start: 5, end: 8 });
+  assert.deepEqual(findLineRange(text, 3), { start: 9, end: 14 });
+  assert.equal(findLineRange(text, 4), null);
+  assert.equal(findLineRange(text, 0), null);
+});
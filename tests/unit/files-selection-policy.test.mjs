@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  compileSelectionPattern,
+  isEverySelected,
+  selectEntriesByPattern,
+  summarizeBatchResults
+} from '../../public/lib/files-selection-policy.js';
+
+const entries = ['app.log', 'App.LOG.1', 'build.tmp', 'notes.md', 'a+b.txt', 'v1.txt', 'v2.txt', 'vx.txt'].map(
+  (name) => ({ name, path: `dir/${name}` })
+);
+
+function names(pattern) {
+  return selectEntriesByPattern(entries, pattern).map((entry) => entry.name);
+}
+
+test('selection patterns support wildcards, classes and alternatives case-insensitively', () => {
+  assert.deepEqual(names('*.log'), ['app.log']);
+  assert.deepEqual(names('*.log*'), ['app.log', 'App.LOG.1']);
+  assert.deepEqual(names('*.log, *.tmp'), ['app.log', 'build.tmp']);
+  assert.deepEqual(names('v?.txt'), ['v1.txt', 'v2.txt', 'vx.txt']);
+  assert.deepEqual(names('v[12].txt'), ['v1.txt', 'v2.txt']);
+  assert.deepEqual(names('v[!12].txt'), ['vx.txt']);
+  assert.deepEqual(names('a+b.txt'), ['a+b.txt']);
+  assert.deepEqual(names('notes'), []);
+  assert.equal(compileSelectionPattern(' , '), null);
+  assert.equal(compileSelectionPattern(undefined), null);
+});
+
+test('isEverySelected is false for empty lists and partial selections', () => {
+  assert.equal(isEverySelected([], new Set()), false);
+  assert.equal(isEverySelected(entries.slice(0, 2), new Set(['dir/app.log'])), false);
+  assert.equal(isEverySelected(entries.slice(0, 2), new Set(['dir/app.log', 'dir/App.LOG.1', 'x'])), true);
+});
+
+test('summarizeBatchResults counts outcomes and reports the first failure', () => {
+  assert.deepEqual(
+    summarizeBatchResults({
+      results: [
+        { path: 'a', ok: true },
+        { path: 'b', ok: false, status: 409, error: 'target already exists' },
+        { path: 'c', ok: false }
+      ]
+    }),
+    { succeeded: 1, failed: 2, failedPaths: ['b', 'c'], firstError: 'b: target already exists' }
+  );
+  assert.deepEqual(summarizeBatchResults(null), { succeeded: 0, failed: 0, failedPaths: [], firstError: '' });
+});
@@ -0,0 +1,34 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { describeTrashExpiry, describeTrashItem, formatTrashDeletedAt } from '../../public/lib/files-trash-policy.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('formatTrashDeletedAt shows the time for today and the date otherwise', () => {
+  const now = new Date(2026, 2, 14, 18, 30);
+  assert.equal(formatTrashDeletedAt(new Date(2026, 2, 14, 9, 5).toISOString(), now), '09:05');
+  assert.equal(formatTrashDeletedAt(new Date(2026, 1, 3, 23, 7).toISOString(), now), '02-03 23:07');
+  assert.equal(formatTrashDeletedAt('not a date', now), '');
+});
+
+test('describeTrashExpiry counts down in days, then hours', () => {
+  const now = new Date(2026, 2, 14, 18, 30);
+  const at = (offsetMs) => new Date(now.getTime() + offsetMs).toISOString();
+  assert.equal(describeTrashExpiry(at(29 * 24 * HOUR_MS + HOUR_MS), now), '29 天后清除');
+  assert.equal(describeTrashExpiry(at(5 * HOUR_MS + 1000), now), '5 小时后清除');
+  assert.equal(describeTrashExpiry(at(10 * 60 * 1000), now), '即将清除');
+  assert.equal(describeTrashExpiry(at(-HOUR_MS), now), '即将清除');
+  assert.equal(describeTrashExpiry(undefined, now), '');
+});
+
+test('describeTrashItem joins kind, deletion time and expiry', () => {
+  const now = new Date(2026, 2, 14, 18, 30);
+  const item = {
+    type: 'dir',
+    deletedAt: new Date(2026, 2, 14, 8, 0).toISOString(),
+    expiresAt: new Date(now.getTime() + 3 * 24 * HOUR_MS).toISOString()
+  };
+  assert.equal(describeTrashItem(item, now), '目录 · 删除于 08:00 · 3 天后清除');
+  assert.equal(describeTrashItem({ type: 'file' }, now), '文件');
+  assert.equal(describeTrashItem({ type: 'symlink', deletedAt: 'bad' }, now), '其他');
+});
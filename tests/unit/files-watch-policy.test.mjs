@@ -0,0 +1,25 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { diffWatchTargets, isPathAffected, resolveWatchTargets } from '../../public/lib/files-watch-policy.js';
+
+test('resolveWatchTargets watches the listed directory and the editor file directory once', () => {
+  assert.deepEqual(resolveWatchTargets({ listPath: 'src', editorPath: 'src/app.js' }), ['src']);
+  assert.deepEqual(resolveWatchTargets({ listPath: '.', editorPath: 'docs/a/readme.md' }), ['.', 'docs/a']);
+  assert.deepEqual(resolveWatchTargets({ listPath: '', editorPath: 'notes.txt' }), ['.']);
+  assert.deepEqual(resolveWatchTargets({ listPath: '', editorPath: '' }), []);
+});
+
+test('diffWatchTargets reports directories to subscribe and to drop', () => {
+  assert.deepEqual(diffWatchTargets(['.', 'src'], ['src', 'docs']), { add: ['docs'], remove: ['.'] });
+  assert.deepEqual(diffWatchTargets([], []), { add: [], remove: [] });
+});
+
+test('isPathAffected matches direct children, overflow and removal of the parent directory', () => {
+  const event = { path: 'src', names: ['app.js'], overflow: false, removed: false };
+  assert.equal(isPathAffected(event, 'src/app.js'), true);
+  assert.equal(isPathAffected(event, 'src/other.js'), false);
+  assert.equal(isPathAffected(event, 'lib/app.js'), false);
+  assert.equal(isPathAffected({ ...event, names: [], overflow: true }, 'src/other.js'), true);
+  assert.equal(isPathAffected({ path: '.', names: ['a.txt'], overflow: false, removed: false }, 'a.txt'), true);
+  assert.equal(isPathAffected(null, 'src/app.js'), false);
+});
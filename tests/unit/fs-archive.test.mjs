@@ -0,0 +1,171 @@
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, symlink, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { PassThrough } from 'node:stream';
+import test from 'node:test';
+import zlib from 'node:zlib';
+import {
+  collectArchiveEntries,
+  parseArchiveFormat,
+  resolveArchiveRoot,
+  writeTarArchive,
+  writeZipArchive,
+  ZIP_MAX_ENTRIES
+} from '../../dist/fs-archive.js';
+
+async function withTree(run) {
+  const baseDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-archive-'));
+  try {
+    await mkdir(path.join(baseDir, 'proj', 'src'), { recursive: true });
+    await writeFile(path.join(baseDir, 'proj', 'README.md'), '# proj\n');
+    await writeFile(path.join(baseDir, 'proj', 'src', 'index.js'), 'console.log(1);\n'.repeat(200));
+    await writeFile(path.join(baseDir, 'proj', 'empty.txt'), '');
+    await mkdir(path.join(baseDir, 'notes'));
+    await writeFile(path.join(baseDir, 'notes', 'todo.txt'), 'ship it\n');
+    await symlink('/etc/passwd', path.join(baseDir, 'proj', 'passwd'));
+    await run(baseDir);
+  } finally {
+    await rm(baseDir, { recursive: true, force: true });
+  }
+}
+
+async function collectOutput(write, entries) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', (chunk) => chunks.push(chunk));
+  await write(entries, output);
+  output.end();
+  return Buffer.concat(chunks);
+}
+
+// Reads the central directory the way an extractor would and inflates every member.
+function readZip(buffer) {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const files = new Map();
+  for (let index = 0; index < count; index += 1) {
+    assert.equal(buffer.readUInt32LE(offset), 0x02014b50);
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const mode = buffer.readUInt32LE(offset + 38) >>> 16;
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.subarray(offset + 46, offset + 46 + nameLength).toString('utf8');
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+    const content = method === 8 ? zlib.inflateRawSync(raw) : raw;
+    assert.equal(zlib.crc32(content), crc, `crc of ${name}`);
+    files.set(name, { content: content.toString('utf8'), mode });
+    offset += 46 + nameLength;
+  }
+  return files;
+}
+
+function readTar(buffer) {
+  const files = new Map();
+  let offset = 0;
+  let paxPath = '';
+  while (offset < buffer.length && buffer[offset] !== 0) {
+    const header = buffer.subarray(offset, offset + 512);
+    const name = header.subarray(0, 100).toString('utf8').replace(/\0.*$/s, '');
+    const size = Number.parseInt(header.subarray(124, 136).toString('ascii'), 8);
+    const type = String.fromCharCode(header[156]);
+    const body = buffer.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+    if (type === 'x') {
+      paxPath = /\d+ path=(.*)\n/.exec(body.toString('utf8'))[1];
+      continue;
+    }
+    files.set(paxPath || name, { type, content: body.toString('utf8') });
+    paxPath = '';
+  }
+  return files;
+}
+
+test('parseArchiveFormat defaults to zip and accepts tar.gz aliases', () => {
+  assert.equal(parseArchiveFormat(undefined), 'zip');
+  assert.equal(parseArchiveFormat('tgz'), 'tar.gz');
+  assert.equal(parseArchiveFormat('tar.gz'), 'tar.gz');
+  assert.equal(parseArchiveFormat('rar'), null);
+});
+
+test('resolveArchiveRoot keeps the deepest common parent within the base', () => {
+  assert.equal(resolveArchiveRoot('/srv', ['/srv/a/b/proj']), '/srv/a/b');
+  assert.equal(resolveArchiveRoot('/srv', ['/srv/a/b/x', '/srv/a/c/y']), '/srv/a');
+  assert.equal(resolveArchiveRoot('/srv', ['/srv/a', '/srv/ab']), '/srv');
+  assert.equal(resolveArchiveRoot('/srv', ['/srv']), '/srv');
+});
+
+test('collectArchiveEntries walks selections, skips symlinks and enforces the budget', async () => {
+  await withTree(async (baseDir) => {
+    const collected = await collectArchiveEntries(
+      baseDir,
+      [path.join(baseDir, 'proj'), path.join(baseDir, 'proj', 'src'), path.join(baseDir, 'notes', 'todo.txt')],
+      { maxBytes: 1024 * 1024 }
+    );
+    assert.equal(collected.ok, true);
+    assert.equal(collected.root, baseDir);
+    assert.deepEqual(
+      collected.entries.map((entry) => entry.name),
+      ['notes/todo.txt', 'proj', 'proj/README.md', 'proj/empty.txt', 'proj/src', 'proj/src/index.js']
+    );
+    assert.equal(collected.skipped, 1);
+
+    const tooLarge = await collectArchiveEntries(baseDir, [path.join(baseDir, 'proj')], { maxBytes: 100 });
+    assert.deepEqual(tooLarge, { ok: false, status: 413, error: 'archive too large (limit=100 bytes)' });
+    const tooMany = await collectArchiveEntries(baseDir, [path.join(baseDir, 'proj')], { maxBytes: 1e9, maxEntries: 2 });
+    assert.equal(tooMany.ok, false);
+    await assert.rejects(collectArchiveEntries(baseDir, [path.join(baseDir, 'missing')], { maxBytes: 1e9 }), {
+      code: 'ENOENT'
+    });
+  });
+});
+
+test('writeZipArchive streams a zip that round-trips with crc and unix modes', async () => {
+  await withTree(async (baseDir) => {
+    const collected = await collectArchiveEntries(baseDir, [path.join(baseDir, 'proj')], { maxBytes: 1e9 });
+    const files = readZip(await collectOutput(writeZipArchive, collected.entries));
+    assert.deepEqual([...files.keys()], ['proj/', 'proj/README.md', 'proj/empty.txt', 'proj/src/', 'proj/src/index.js']);
+    assert.equal(files.get('proj/README.md').content, '# proj\n');
+    assert.equal(files.get('proj/empty.txt').content, '');
+    assert.equal(files.get('proj/src/index.js').content, 'console.log(1);\n'.repeat(200));
+    assert.equal(files.get('proj/src/').mode & 0o170000, 0o040000);
+    assert.equal(files.get('proj/README.md').mode & 0o170000, 0o100000);
+  });
+});
+
+test('writeZipArchive refuses more entries than the end record can count before writing anything', async () => {
+  const entries = Array.from({ length: ZIP_MAX_ENTRIES + 1 }, (_, index) => ({
+    absolutePath: `/nowhere/${index}`,
+    name: `d${index}`,
+    type: 'directory',
+    size: 0,
+    mode: 0o755,
+    mtime: new Date(0)
+  }));
+  const output = new PassThrough();
+  let written = 0;
+  output.on('data', (chunk) => {
+    written += chunk.length;
+  });
+  await assert.rejects(writeZipArchive(entries, output), /too many entries \(limit=65535\)/);
+  assert.equal(written, 0);
+});
+
+test('writeTarArchive writes ustar members with pax headers for long names', async () => {
+  await withTree(async (baseDir) => {
+    const longDir = path.join(baseDir, 'proj', 'd'.repeat(70), 'e'.repeat(70));
+    await mkdir(longDir, { recursive: true });
+    await writeFile(path.join(longDir, 'deep.txt'), 'deep\n');
+    const collected = await collectArchiveEntries(baseDir, [path.join(baseDir, 'proj')], { maxBytes: 1e9 });
+    const tar = await collectOutput(writeTarArchive, collected.entries);
+    assert.equal(tar.length % 512, 0);
+    const files = readTar(tar);
+    assert.equal(files.get('proj/').type, '5');
+    assert.equal(files.get('proj/README.md').content, '# proj\n');
+    assert.equal(files.get(`proj/${'d'.repeat(70)}/${'e'.repeat(70)}/deep.txt`).content, 'deep\n');
+  });
+});
@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdtemp, rm, unlink, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import { buildUnifiedDiff, isBinaryContent } from '../../dist/fs-diff.js';
+import { readGitHeadFile } from '../../dist/git.js';
+
+const labels = { oldLabel: 'a/f.txt', newLabel: 'b/f.txt' };
+
+function numbered(count) {
+  return Array.from({ length: count }, (_, index) => `line ${index + 1}\n`).join('');
+}
+
+test('buildUnifiedDiff emits diff -u hunks with default context', () => {
+  const before = numbered(12);
+  const after = before.replace('line 2\n', 'line two\n').replace('line 11\n', '');
+  const result = buildUnifiedDiff(before, after, labels);
+  assert.equal(result.added, 1);
+  assert.equal(result.removed, 2);
+  assert.equal(result.hunks, 2);
+  assert.equal(
+    result.diff,
+    [
+      '--- a/f.txt',
+      '+++ b/f.txt',
+      '@@ -1,5 +1,5 @@',
+      ' line 1',
+      '-line 2',
+      '+line two',
+      ' line 3',
+      ' line 4',
+      ' line 5',
+      '@@ -8,5 +8,4 @@',
+      ' line 8',
+      ' line 9',
+      ' line 10',
+      '-line 11',
+      ' line 12',
+      ''
+    ].join('\n')
+  );
+  assert.equal(buildUnifiedDiff(before, after, { ...labels, context: 100 }).hunks, 1);
+});
+
+test('buildUnifiedDiff handles empty sides and missing final newlines', () => {
+  assert.deepEqual(buildUnifiedDiff('same\n', 'same\n', labels), { diff: '', added: 0, removed: 0, hunks: 0 });
+  assert.equal(
+    buildUnifiedDiff('', 'a\nb\n', { oldLabel: '/dev/null', newLabel: 'b/f.txt' }).diff,
+    '--- /dev/null\n+++ b/f.txt\n@@ -0,0 +1,2 @@\n+a\n+b\n'
+  );
+  assert.equal(
+    buildUnifiedDiff('a\nb', 'a\nb\n', { ...labels, context: 0 }).diff,
+    '--- a/f.txt\n+++ b/f.txt\n@@ -2 +2 @@\n-b\n\\ No newline at end of file\n+b\n'
+  );
+  assert.equal(isBinaryContent(Buffer.from([0x61, 0x00, 0x62])), true);
+  assert.equal(isBinaryContent(Buffer.from('text')), false);
+});
+
+test('readGitHeadFile returns the committed blob, or null for untracked files', async (t) => {
+  const repoDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-git-head-'));
+  const git = (...args) =>
+    execFileSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@example.com', ...args], { cwd: repoDir });
+  try {
+    try {
+      git('init', '-q');
+    } catch {
+      t.skip('git is not available');
+      return;
+    }
+    const filePath = path.join(repoDir, 'tracked.txt');
+    await writeFile(filePath, 'committed\n');
+    git('add', 'tracked.txt');
+    git('commit', '-q', '-m', 'init');
+    await writeFile(filePath, 'working copy\n');
+    await writeFile(path.join(repoDir, 'new.txt'), 'new\n');
+
+    const tracked = await readGitHeadFile(filePath);
+    assert.equal(tracked.ok, true);
+    assert.equal(tracked.relativePath, 'tracked.txt');
+    assert.equal(tracked.content.toString('utf8'), 'committed\n');
+    assert.equal((await readGitHeadFile(path.join(repoDir, 'new.txt'))).content, null);
+
+    await unlink(filePath);
+    assert.equal((await readGitHeadFile(filePath)).content.toString('utf8'), 'committed\n');
+
+    const outside = await readGitHeadFile(path.join(os.tmpdir(), 'c2p-not-a-repo-file.txt'));
+    assert.deepEqual(outside, { ok: false, status: 400, error: 'not a git repository' });
+  } finally {
+    await rm(repoDir, { recursive: true, force: true });
+  }
+});
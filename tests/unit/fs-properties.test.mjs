@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { formatFileMode, parseFileMode, parseIdDatabase } from '../../dist/fs-properties.js';
+
+test('parseIdDatabase maps ids to the first name and skips comments and malformed lines', () => {
+  const names = parseIdDatabase(
+    [
+      '# comment',
+      'root:x:0:0:root:/root:/bin/bash',
+      'alice:x:1000:1000::/home/alice:/bin/sh',
+      'toor:x:0:0::/:',
+      'bad',
+      ''
+    ].join('\n')
+  );
+  assert.deepEqual([...names.entries()], [
+    [0, 'root'],
+    [1000, 'alice']
+  ]);
+  assert.equal(parseIdDatabase('wheel:x:10:alice,bob\n').get(10), 'wheel');
+});
+
+test('parseFileMode accepts octal strings and numbers within permission bits', () => {
+  assert.equal(parseFileMode('755'), 0o755);
+  assert.equal(parseFileMode('0644'), 0o644);
+  assert.equal(parseFileMode(' 4755 '), 0o4755);
+  assert.equal(parseFileMode('0o700'), 0o700);
+  assert.equal(parseFileMode(0o600), 0o600);
+  assert.equal(parseFileMode('75'), null);
+  assert.equal(parseFileMode('0888'), null);
+  assert.equal(parseFileMode('07777'), null);
+  assert.equal(parseFileMode(0o10000), null);
+  assert.equal(parseFileMode(1.5), null);
+  assert.equal(parseFileMode(null), null);
+});
+
+test('formatFileMode drops file type bits and pads to four digits', () => {
+  assert.equal(formatFileMode(0o100644), '0644');
+  assert.equal(formatFileMode(0o40755), '0755');
+  assert.equal(formatFileMode(0o1777), '1777');
+});
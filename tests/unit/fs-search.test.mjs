@@ -0,0 +1,141 @@
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import { compileNameGlob, isIgnoredPath, parseGitignore, searchFiles } from '../../dist/fs-search.js';
+import { createSessionLogMatcher } from '../../dist/session-log-search.js';
+
+async function withTree(run) {
+  const baseDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-search-'));
+  try {
+    const files = {
+      '.gitignore': 'dist/\n*.log\n!keep.log\n/root-only.txt\n',
+      'src/app.ts': 'import x from "y";\n// TODO: wire it\nexport const todo = 1;\r\n',
+      'src/app.test.ts': 'test("todo");\n',
+      'src/nested/.gitignore': 'generated.ts\n',
+      'src/nested/generated.ts': 'TODO generated\n',
+      'src/nested/root-only.txt': 'TODO nested root-only\n',
+      'root-only.txt': 'TODO hidden by anchor\n',
+      'dist/bundle.js': 'TODO bundled\n',
+      'debug.log': 'TODO log\n',
+      'keep.log': 'TODO keep\n',
+      '.git/HEAD': 'TODO ref\n'
+    };
+    for (const [relative, content] of Object.entries(files)) {
+      await mkdir(path.dirname(path.join(baseDir, relative)), { recursive: true });
+      await writeFile(path.join(baseDir, relative), content);
+    }
+    await writeFile(path.join(baseDir, 'src', 'image.bin'), Buffer.from([0x54, 0x4f, 0x44, 0x4f, 0, 1, 2]));
+    await run(baseDir);
+  } finally {
+    await rm(baseDir, { recursive: true, force: true });
+  }
+}
+
+async function collect(iterable) {
+  const events = [];
+  for await (const event of iterable) {
+    events.push(event);
+  }
+  return events;
+}
+
+function contentMatcher(query, options = {}) {
+  return createSessionLogMatcher(query, options).matcher;
+}
+
+test('compileNameGlob matches names anywhere and slash patterns from the search root', () => {
+  const byName = compileNameGlob('*.ts, *.md').matcher;
+  assert.equal(byName.test('src/app.ts'), true);
+  assert.equal(byName.test('README.MD'), true);
+  assert.equal(byName.test('src/app.js'), false);
+
+  const byPath = compileNameGlob('src/**/*.test.ts').matcher;
+  assert.equal(byPath.test('src/app.test.ts'), true);
+  assert.equal(byPath.test('src/a/b/app.test.ts'), true);
+  assert.equal(byPath.test('lib/src/app.test.ts'), false);
+
+  assert.equal(compileNameGlob('v[!0-9].txt').matcher.test('vx.txt'), true);
+  assert.equal(compileNameGlob('App.ts', { caseSensitive: true }).matcher.test('app.ts'), false);
+  assert.deepEqual(compileNameGlob(' '), { ok: true, matcher: null });
+});
+
+test('gitignore rules honour anchoring, directory-only patterns and negation', () => {
+  const rules = parseGitignore('# comment\nbuild/\n*.log\n!keep.log\n/top.txt\ndocs/**/*.tmp\n', '');
+  assert.equal(isIgnoredPath(rules, 'build', true), true);
+  assert.equal(isIgnoredPath(rules, 'build', false), false);
+  assert.equal(isIgnoredPath(rules, 'a/b/err.log', false), true);
+  assert.equal(isIgnoredPath(rules, 'a/keep.log', false), false);
+  assert.equal(isIgnoredPath(rules, 'top.txt', false), true);
+  assert.equal(isIgnoredPath(rules, 'a/top.txt', false), false);
+  assert.equal(isIgnoredPath(rules, 'docs/x/y/z.tmp', false), true);
+
+  const nested = parseGitignore('/local.txt\n', 'pkg');
+  assert.equal(isIgnoredPath(nested, 'pkg/local.txt', false), true);
+  assert.equal(isIgnoredPath(nested, 'local.txt', false), false);
+});
+
+test('searchFiles greps text files, skipping ignored, binary and .git entries', async () => {
+  await withTree(async (baseDir) => {
+    const events = await collect(
+      searchFiles(baseDir, baseDir, { nameMatcher: null, contentMatcher: contentMatcher('todo') })
+    );
+    const done = events.pop();
+    assert.deepEqual(
+      events.map((event) => `${event.path}:${event.line}:${event.column}`),
+      ['keep.log:1:0', 'src/app.test.ts:1:6', 'src/app.ts:2:3', 'src/app.ts:3:13', 'src/nested/root-only.txt:1:0']
+    );
+    assert.equal(events[3].preview, 'export const todo = 1;');
+    assert.equal(done.type, 'done');
+    assert.equal(done.matches, 5);
+    assert.equal(done.truncated, false);
+    assert.equal(done.skipped.binary, 1);
+
+    const unfiltered = await collect(
+      searchFiles(baseDir, path.join(baseDir, 'src'), {
+        nameMatcher: compileNameGlob('*.ts').matcher,
+        contentMatcher: contentMatcher('TODO', { caseSensitive: true }),
+        gitignore: false
+      })
+    );
+    assert.deepEqual(
+      unfiltered.filter((event) => event.type === 'match').map((event) => event.path),
+      ['src/app.ts', 'src/nested/generated.ts']
+    );
+  });
+});
+
+test('searchFiles lists name matches, stops at the limit and honours cancellation', async () => {
+  await withTree(async (baseDir) => {
+    const listed = await collect(
+      searchFiles(baseDir, baseDir, { nameMatcher: compileNameGlob('*.ts').matcher, contentMatcher: null })
+    );
+    assert.deepEqual(
+      listed.slice(0, -1).map((event) => [event.type, event.path]),
+      [
+        ['file', 'src/app.test.ts'],
+        ['file', 'src/app.ts']
+      ]
+    );
+
+    const limited = await collect(
+      searchFiles(baseDir, baseDir, { nameMatcher: null, contentMatcher: contentMatcher('todo'), limit: 2 })
+    );
+    assert.equal(limited.length, 3);
+    assert.equal(limited[2].truncated, true);
+
+    const controller = new AbortController();
+    const cancelled = [];
+    for await (const event of searchFiles(baseDir, baseDir, {
+      nameMatcher: null,
+      contentMatcher: contentMatcher('todo'),
+      signal: controller.signal
+    })) {
+      cancelled.push(event);
+      controller.abort();
+    }
+    assert.equal(cancelled.length, 2);
+    assert.equal(cancelled[1].cancelled, true);
+  });
+});
@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readdir, readFile, rm, stat, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import { FsTrash, isTrashId } from '../../dist/fs-trash.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function withTrash(run) {
+  const tempDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-trash-'));
+  try {
+    const trash = new FsTrash({ dir: path.join(tempDir, 'trash'), ttlMs: DAY_MS });
+    try {
+      await run(trash, tempDir);
+    } finally {
+      trash.dispose();
+    }
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+test('isTrashId accepts 32 lowercase hex characters only', () => {
+  assert.equal(isTrashId('0123456789abcdef0123456789abcdef'), true);
+  assert.equal(isTrashId('0123456789ABCDEF0123456789ABCDEF'), false);
+  assert.equal(isTrashId('../etc/passwd'), false);
+  assert.equal(isTrashId(42), false);
+});
+
+test('move keeps the entry in the trash and restore puts it back', async () => {
+  await withTrash(async (trash, tempDir) => {
+    const dirPath = path.join(tempDir, 'work', 'notes');
+    await mkdir(dirPath, { recursive: true });
+    await writeFile(path.join(dirPath, 'a.txt'), 'alpha');
+
+    const now = new Date();
+    const item = await trash.move(dirPath, 'work/notes', now);
+    assert.equal(isTrashId(item.id), true);
+    assert.equal(item.path, 'work/notes');
+    assert.equal(item.name, 'notes');
+    assert.equal(item.type, 'dir');
+    assert.equal(item.deletedAt, now.toISOString());
+    assert.equal(item.expiresAt, new Date(now.getTime() + DAY_MS).toISOString());
+    await assert.rejects(stat(dirPath), { code: 'ENOENT' });
+
+    const restored = await trash.restore(item.id, dirPath);
+    assert.equal(restored.ok, true);
+    assert.equal(await readFile(path.join(dirPath, 'a.txt'), 'utf8'), 'alpha');
+    assert.equal(trash.get(item.id), null);
+    assert.deepEqual(await readdir(trash.dir), []);
+  });
+});
+
+test('restore refuses to overwrite and recreates missing parents', async () => {
+  await withTrash(async (trash, tempDir) => {
+    const filePath = path.join(tempDir, 'report.txt');
+    await writeFile(filePath, 'first');
+    const item = await trash.move(filePath, 'report.txt');
+    await writeFile(filePath, 'second');
+
+    assert.deepEqual(await trash.restore(item.id, filePath), {
+      ok: false,
+      status: 409,
+      error: 'target already exists'
+    });
+    assert.equal(item.type, 'file');
+    assert.equal(item.size, 5);
+
+    const elsewhere = path.join(tempDir, 'restored', 'report.txt');
+    const restored = await trash.restore(item.id, elsewhere);
+    assert.equal(restored.ok, true);
+    assert.equal(await readFile(elsewhere, 'utf8'), 'first');
+    assert.equal(await readFile(filePath, 'utf8'), 'second');
+
+    const missing = await trash.restore(item.id, filePath);
+    assert.deepEqual(missing, { ok: false, status: 404, error: 'trash item not found' });
+  });
+});
+
+test('list is newest first and purge removes entries for good', async () => {
+  await withTrash(async (trash, tempDir) => {
+    for (const name of ['a.txt', 'b.txt', 'c.txt']) {
+      await writeFile(path.join(tempDir, name), name);
+    }
+    const older = await trash.move(path.join(tempDir, 'a.txt'), 'a.txt', new Date(Date.now() - 60_000));
+    const newer = await trash.move(path.join(tempDir, 'b.txt'), 'b.txt');
+    await trash.move(path.join(tempDir, 'c.txt'), 'c.txt', new Date(Date.now() - 120_000));
+
+    assert.deepEqual(
+      trash.list().map((item) => item.path),
+      ['b.txt', 'a.txt', 'c.txt']
+    );
+    assert.equal(await trash.purge(newer.id), true);
+    assert.equal(await trash.purge(newer.id), false);
+    assert.equal(trash.get(older.id)?.path, 'a.txt');
+    assert.equal(await trash.purgeAll(), 2);
+    assert.deepEqual(trash.list(), []);
+    assert.deepEqual(await readdir(trash.dir), []);
+  });
+});
+
+test('cleanupExpired drops entries older than the ttl and orphaned metadata', async () => {
+  await withTrash(async (trash, tempDir) => {
+    await writeFile(path.join(tempDir, 'old.txt'), 'old');
+    await writeFile(path.join(tempDir, 'new.txt'), 'new');
+    const now = Date.now();
+    await trash.move(path.join(tempDir, 'old.txt'), 'old.txt', new Date(now - 2 * DAY_MS));
+    const kept = await trash.move(path.join(tempDir, 'new.txt'), 'new.txt', new Date(now));
+    await writeFile(path.join(trash.dir, `${'f'.repeat(32)}.json`), 'not json');
+
+    await trash.cleanupExpired(now);
+    assert.deepEqual(
+      trash.list().map((item) => item.id),
+      [kept.id]
+    );
+    assert.deepEqual((await readdir(trash.dir)).sort(), [`${kept.id}.item`, `${kept.id}.json`]);
+
+    await trash.cleanupExpired(now + 2 * DAY_MS);
+    assert.deepEqual(trash.list(), []);
+    assert.deepEqual(await readdir(trash.dir), []);
+  });
+});
+
+test('expired entries are hidden at once and removed by the background sweep', async () => {
+  const tempDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-trash-'));
+  const trash = new FsTrash({ dir: path.join(tempDir, 'trash'), ttlMs: 200, cleanupIntervalMs: 50 });
+  try {
+    await writeFile(path.join(tempDir, 'stale.txt'), 'stale');
+    const item = await trash.move(path.join(tempDir, 'stale.txt'), 'stale.txt', new Date(Date.now() - 1000));
+    assert.equal(trash.get(item.id), null);
+    assert.deepEqual(trash.list(), []);
+
+    const startedAt = Date.now();
+    while ((await readdir(trash.dir)).length > 0) {
+      assert.ok(Date.now() - startedAt < 2000, 'the sweep removes the expired entry without any trash call');
+      await new Promise((resolve) => setTimeout(resolve, 25));
+    }
+  } finally {
+    trash.dispose();
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
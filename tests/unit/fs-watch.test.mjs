@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import { FsWatchSet } from '../../dist/fs-watch.js';
+
+function createCollector() {
+  const events = [];
+  const waiters = [];
+  return {
+    events,
+    onChange(event) {
+      events.push(event);
+      waiters.splice(0).forEach((resolve) => resolve());
+    },
+    async next(timeoutMs = 3000) {
+      const count = events.length;
+      const deadline = Date.now() + timeoutMs;
+      while (events.length === count) {
+        const remaining = deadline - Date.now();
+        assert.ok(remaining > 0, 'timed out waiting for a change event');
+        await new Promise((resolve) => {
+          waiters.push(resolve);
+          setTimeout(resolve, remaining);
+        });
+      }
+      return events[events.length - 1];
+    }
+  };
+}
+
+test('FsWatchSet validates paths and caps the number of watches', async () => {
+  const root = await mkdtemp(path.join(os.tmpdir(), 'c2p-fs-watch-'));
+  const watches = new FsWatchSet({
+    root,
+    excludeDir: path.join(root, '.trash'),
+    maxWatches: 2,
+    debounceMs: 20,
+    maxWaitMs: 100,
+    onChange: () => {}
+  });
+  try {
+    await mkdir(path.join(root, 'a'));
+    await mkdir(path.join(root, 'b'));
+    await mkdir(path.join(root, '.trash'));
+    await writeFile(path.join(root, 'file.txt'), 'x');
+
+    assert.deepEqual(watches.watch('../'), { ok: false, error: 'invalid path' });
+    assert.deepEqual(watches.watch('.trash'), { ok: false, error: 'invalid path' });
+    assert.deepEqual(watches.watch('missing'), { ok: false, error: 'path not found' });
+    assert.deepEqual(watches.watch('file.txt'), { ok: false, error: 'not a directory' });
+    assert.deepEqual(watches.watch('/'), { ok: true, path: '.' });
+    assert.deepEqual(watches.watch('a/'), { ok: true, path: 'a' });
+    assert.deepEqual(watches.watch('a'), { ok: true, path: 'a' });
+    assert.deepEqual(watches.watch('b'), { ok: false, error: 'too many watches' });
+    assert.equal(watches.unwatch('a'), true);
+    assert.equal(watches.unwatch('a'), false);
+    assert.deepEqual(watches.watch('b'), { ok: true, path: 'b' });
+    assert.equal(watches.size, 2);
+  } finally {
+    watches.close();
+    await rm(root, { recursive: true, force: true });
+  }
+  assert.equal(watches.size, 0);
+});
+
+test('FsWatchSet debounces changes into one event per directory and reports removal', async () => {
+  const root = await mkdtemp(path.join(os.tmpdir(), 'c2p-fs-watch-'));
+  const collector = createCollector();
+  const watches = new FsWatchSet({
+    root,
+    excludeDir: path.join(root, '.trash'),
+    maxWatches: 4,
+    debounceMs: 80,
+    maxWaitMs: 1000,
+    onChange: collector.onChange
+  });
+  try {
+    await mkdir(path.join(root, 'dir'));
+    await mkdir(path.join(root, '.trash'));
+    assert.equal(watches.watch('.').ok, true);
+    assert.equal(watches.watch('dir').ok, true);
+
+    const first = collector.next();
+    await writeFile(path.join(root, 'dir', 'one.txt'), '1');
+    await writeFile(path.join(root, 'dir', 'two.txt'), '2');
+    await writeFile(path.join(root, 'dir', 'one.txt'), '1 again');
+    assert.deepEqual(await first, { path: 'dir', names: ['one.txt', 'two.txt'], overflow: false, removed: false });
+
+    // Changes inside the excluded directory never surface.
+    await writeFile(path.join(root, '.trash', 'item'), 'x');
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.equal(collector.events.length, 1);
+
+    // The parent reports the deleted entry and the watch on the deleted directory is dropped.
+    const seen = collector.events.length;
+    await rm(path.join(root, 'dir'), { recursive: true });
+    const isRemoved = (event) => event.path === 'dir' && event.removed;
+    const isParent = (event) => event.path === '.' && event.names.includes('dir');
+    while (!collector.events.slice(seen).some(isRemoved) || !collector.events.slice(seen).some(isParent)) {
+      await collector.next();
+    }
+    assert.equal(watches.size, 1);
+  } finally {
+    watches.close();
+    await rm(root, { recursive: true, force: true });
+  }
+});
+
+test('FsWatchSet reports a directory that never goes quiet once the max wait has passed', async () => {
+  const root = await mkdtemp(path.join(os.tmpdir(), 'c2p-fs-watch-'));
+  const collector = createCollector();
+  const watches = new FsWatchSet({
+    root,
+    maxWatches: 1,
+    debounceMs: 100,
+    maxWaitMs: 300,
+    onChange: collector.onChange
+  });
+  let writing = true;
+  try {
+    assert.equal(watches.watch('.').ok, true);
+    // One write every 20ms keeps resetting the debounce window for as long as it runs.
+    const writer = (async () => {
+      for (let index = 0; writing; index += 1) {
+        await writeFile(path.join(root, 'growing.log'), `line ${index}\n`, { flag: 'a' });
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+    })();
+    const startedAt = Date.now();
+    const event = await collector.next(1500);
+    assert.ok(Date.now() - startedAt < 1000, 'the change is reported while writes continue');
+    assert.deepEqual(event, { path: '.', names: ['growing.log'], overflow: false, removed: false });
+    await collector.next(1500);
+    writing = false;
+    await writer;
+  } finally {
+    writing = false;
+    watches.close();
+    await rm(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdtemp, realpath, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import { parseGitStatus, readGitStatus, runGitCommand } from '../../dist/git.js';
+
+test('parseGitStatus reads branch headers and every record type', () => {
+  const output = [
+    '# branch.oid 0123456789abcdef0123456789abcdef01234567',
+    '# branch.head main',
+    '# branch.upstream origin/main',
+    '# branch.ab +2 -1',
+    '1 M. N... 100644 100644 100644 aaaa bbbb src/a b.ts',
+    '1 .D N... 100644 100644 000000 aaaa aaaa gone.txt',
+    '2 R. N... 100644 100644 100644 aaaa aaaa R100 new name.txt',
+    'old name.txt',
+    'u UU N... 100644 100644 100644 100644 aaaa bbbb cccc conflict.txt',
+    '? notes/',
+    ''
+  ].join('\0');
+  assert.deepEqual(parseGitStatus(output), {
+    branch: 'main',
+    head: '0123456789abcdef0123456789abcdef01234567',
+    upstream: 'origin/main',
+    ahead: 2,
+    behind: 1,
+    entries: [
+      { path: 'src/a b.ts', index: 'M', worktree: '.', untracked: false, conflicted: false },
+      { path: 'gone.txt', index: '.', worktree: 'D', untracked: false, conflicted: false },
+      {
+        path: 'new name.txt',
+        origPath: 'old name.txt',
+        index: 'R',
+        worktree: '.',
+        untracked: false,
+        conflicted: false
+      },
+      { path: 'conflict.txt', index: 'U', worktree: 'U', untracked: false, conflicted: true },
+      { path: 'notes/', index: '?', worktree: '?', untracked: true, conflicted: false }
+    ]
+  });
+});
+
+test('parseGitStatus handles unborn and detached heads', () => {
+  assert.deepEqual(parseGitStatus('# branch.oid (initial)\0# branch.head main\0'), {
+    branch: 'main',
+    head: null,
+    upstream: null,
+    ahead: 0,
+    behind: 0,
+    entries: []
+  });
+  assert.equal(parseGitStatus('# branch.oid abc\0# branch.head (detached)\0').branch, null);
+});
+
+test('readGitStatus and runGitCommand work against a real repository', async (t) => {
+  const repoDir = await realpath(await mkdtemp(path.join(os.tmpdir(), 'c2p-git-status-')));
+  try {
+    try {
+      execFileSync('git', ['init', '-q'], { cwd: repoDir });
+    } catch {
+      t.skip('git is not available');
+      return;
+    }
+    const identity = ['-c', 'user.name=t', '-c', 'user.email=t@example.com'];
+    await writeFile(path.join(repoDir, 'a.txt'), 'a\n');
+    let status = await readGitStatus(repoDir);
+    assert.equal(status.root, repoDir);
+    assert.equal(status.head, null);
+    assert.equal(status.stashes, 0);
+    assert.deepEqual(
+      status.entries.map((entry) => [entry.path, entry.untracked]),
+      [['a.txt', true]]
+    );
+
+    assert.equal((await runGitCommand(repoDir, ['add', '--', 'a.txt'])).ok, true);
+    assert.equal((await runGitCommand(repoDir, [...identity, 'commit', '-q', '-m', 'init'])).ok, true);
+    status = await readGitStatus(repoDir);
+    assert.match(status.head, /^[0-9a-f]{40}$/);
+    assert.deepEqual(status.entries, []);
+
+    const empty = await runGitCommand(repoDir, [...identity, 'commit', '-q', '-m', 'again']);
+    assert.equal(empty.ok, false);
+    assert.equal(empty.status, 409);
+    assert.match(empty.error, /nothing to commit/);
+
+    assert.equal(await readGitStatus(os.tmpdir()), null);
+  } finally {
+    await rm(repoDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  describeGrants,
+  describeTokenAccess,
+  hasGrant,
+  readAccessTokenClaims,
+  resolveReadablePath
+} from '../../public/lib/grants-policy.js';
+
+function fakeToken(payload) {
+  return `v1.${Buffer.from(JSON.stringify(payload)).toString('base64url')}.signature`;
+}
+
+test('readAccessTokenClaims decodes scope and grants from the token payload', () => {
+  const full = readAccessTokenClaims(fakeToken({ scope: 'readonly', jti: 'a' }));
+  assert.equal(full.scope, 'readonly');
+  assert.equal(full.narrowed, false);
+  assert.equal(hasGrant(full.grants, 'fs:read', 'any/path'), true);
+  assert.equal(hasGrant(full.grants, 'fs:write', 'any/path'), false);
+
+  const narrowed = readAccessTokenClaims(
+    fakeToken({ scope: 'admin', grants: { 'fs:read': ['docs'], 'fs:write': ['docs/drafts'], 'terminal:attach': true } })
+  );
+  assert.equal(narrowed.narrowed, true);
+  assert.equal(hasGrant(narrowed.grants, 'fs:write'), true);
+  assert.equal(hasGrant(narrowed.grants, 'fs:write', './docs/drafts/'), true);
+  assert.equal(hasGrant(narrowed.grants, 'fs:write', 'docs'), false);
+  assert.equal(hasGrant(narrowed.grants, 'fs:read', 'docs-old'), false);
+  assert.equal(hasGrant(narrowed.grants, 'terminal:input'), false);
+
+  assert.equal(readAccessTokenClaims('not-a-token'), null);
+  assert.equal(readAccessTokenClaims(fakeToken({ scope: 'root' })), null);
+});
+
+test('resolveReadablePath starts path-limited tokens inside their first prefix', () => {
+  const grants = { 'fs:read': ['docs', 'src'] };
+  assert.equal(resolveReadablePath(grants, '.'), 'docs');
+  assert.equal(resolveReadablePath(grants, 'src/lib'), 'src/lib');
+  assert.equal(resolveReadablePath({ 'fs:read': true }, '.'), '.');
+  assert.equal(resolveReadablePath(null, 'tmp'), 'tmp');
+});
+
+test('describeGrants lists capabilities with their path prefixes', () => {
+  assert.deepEqual(describeGrants({ 'fs:write': ['docs', 'tmp'], 'terminal:attach': true, 'fs:read': true }), [
+    '查看终端',
+    '读取文件',
+    '写入文件：docs、tmp'
+  ]);
+  assert.equal(describeTokenAccess({ scope: 'admin', narrowed: true }), '管理员 · 受限');
+  assert.equal(describeTokenAccess({ scope: 'readonly', narrowed: false }), '只读');
+  assert.equal(describeTokenAccess(null), '');
+});
@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import { isLaunchProfileName, parseLaunchProfileInput } from '../../dist/launch-profiles.js';
+import { C2PStore } from '../../dist/store.js';
+
+test('parseLaunchProfileInput normalizes a full profile', () => {
+  const parsed = parseLaunchProfileInput({
+    label: ' API\tdev ',
+    command: 'pnpm dev',
+    cwd: ' /srv/api ',
+    env: { NODE_ENV: 'development', EMPTY: '' },
+    startupScript: 'source .envrc',
+    layout: [{ name: 'server', panes: [{ split: 'horizontal', command: 'pnpm test' }, {}] }, { command: 'htop' }]
+  });
+  assert.equal(parsed.ok, true);
+  assert.deepEqual(parsed.profile, {
+    label: 'API dev',
+    command: 'pnpm dev',
+    cwd: '/srv/api',
+    env: { NODE_ENV: 'development', EMPTY: '' },
+    startupScript: 'source .envrc',
+    layout: [
+      { name: 'server', panes: [{ split: 'horizontal', command: 'pnpm test' }, { split: 'vertical' }] },
+      { command: 'htop' }
+    ]
+  });
+  assert.deepEqual(parseLaunchProfileInput({}), { ok: true, profile: {} });
+});
+
+test('parseLaunchProfileInput rejects malformed fields', () => {
+  assert.equal(parseLaunchProfileInput(null).ok, false);
+  assert.equal(parseLaunchProfileInput([]).ok, false);
+  assert.deepEqual(parseLaunchProfileInput({ command: 42 }), { ok: false, error: 'invalid profile command' });
+  assert.deepEqual(parseLaunchProfileInput({ env: { 'BAD-KEY': 'x' } }), { ok: false, error: 'invalid profile env' });
+  assert.deepEqual(parseLaunchProfileInput({ env: { KEY: 1 } }), { ok: false, error: 'invalid profile env' });
+  assert.deepEqual(parseLaunchProfileInput({ layout: {} }), { ok: false, error: 'invalid profile layout' });
+  assert.deepEqual(parseLaunchProfileInput({ layout: [{ panes: [{ split: 'diagonal' }] }] }), {
+    ok: false,
+    error: 'invalid profile layout'
+  });
+  assert.deepEqual(parseLaunchProfileInput({ layout: new Array(9).fill({}) }), {
+    ok: false,
+    error: 'invalid profile layout'
+  });
+});
+
+test('isLaunchProfileName accepts slug-like names only', () => {
+  assert.equal(isLaunchProfileName('api-dev'), true);
+  assert.equal(isLaunchProfileName('web_1.2'), true);
+  assert.equal(isLaunchProfileName('-leading'), false);
+  assert.equal(isLaunchProfileName('has space'), false);
+  assert.equal(isLaunchProfileName('x'.repeat(49)), false);
+  assert.equal(isLaunchProfileName(undefined), false);
+});
+
+test('C2PStore persists launch profiles and session profile names', async () => {
+  const tempDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-profiles-'));
+  const store = new C2PStore(path.join(tempDir, 'store.sqlite'));
+  try {
+    const now = new Date().toISOString();
+    store.upsertLaunchProfile({
+      name: 'api-dev',
+      label: 'API',
+      command: 'pnpm dev',
+      env: { PORT: '3000' },
+      layout: [{ name: 'server', panes: [{ split: 'vertical' }] }],
+      createdAt: now,
+      updatedAt: now
+    });
+    store.upsertLaunchProfile({ name: 'bare', createdAt: now, updatedAt: now });
+
+    assert.deepEqual(
+      store.listLaunchProfiles().map((profile) => profile.name),
+      ['api-dev', 'bare']
+    );
+    assert.deepEqual(store.getLaunchProfile('api-dev'), {
+      name: 'api-dev',
+      label: 'API',
+      command: 'pnpm dev',
+      env: { PORT: '3000' },
+      layout: [{ name: 'server', panes: [{ split: 'vertical' }] }],
+      createdAt: now,
+      updatedAt: now
+    });
+
+    store.upsertSession({
+      id: 'profile-session',
+      cli: 'profile',
+      cwd: tempDir,
+      cols: 100,
+      rows: 30,
+      startedAt: now,
+      updatedAt: now,
+      status: 'running',
+      profile: 'api-dev'
+    });
+    const session = store.getSession('profile-session');
+    assert.equal(session.cli, 'profile');
+    assert.equal(session.profile, 'api-dev');
+
+    assert.equal(store.deleteLaunchProfile('api-dev'), true);
+    assert.equal(store.deleteLaunchProfile('api-dev'), false);
+    assert.equal(store.getLaunchProfile('api-dev'), undefined);
+  } finally {
+    store.close();
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createIsolatedLineMatcher, createLiteralLineMatcher } from '../../dist/line-matcher.js';
+
+test('line matchers report the first non-empty match per line', async () => {
+  const literal = createLiteralLineMatcher(/todo/gi);
+  assert.deepEqual(await literal.match(['a TODO b todo', 'none', '']), {
+    ok: true,
+    matches: [{ column: 2, length: 4 }, null, null]
+  });
+
+  const isolated = createIsolatedLineMatcher(/\d+%$/g);
+  try {
+    assert.deepEqual(await isolated.match(['progress 10%', 'done']), {
+      ok: true,
+      matches: [{ column: 9, length: 3 }, null]
+    });
+    assert.deepEqual(await isolated.match([]), { ok: true, matches: [] });
+    assert.deepEqual((await isolated.match(['100%'])).matches, [{ column: 0, length: 4 }]);
+  } finally {
+    isolated.close();
+  }
+});
+
+test('isolated matchers give up on catastrophic backtracking without blocking the event loop', async () => {
+  const matcher = createIsolatedLineMatcher(/(a+)+$/g, 300);
+  let ticks = 0;
+  const ticker = setInterval(() => {
+    ticks += 1;
+  }, 20);
+  try {
+    const startedAt = Date.now();
+    const result = await matcher.match([`${'a'.repeat(40)}!`]);
+    assert.deepEqual(result, { ok: false, error: 'regular expression took too long' });
+    assert.ok(Date.now() - startedAt < 2000);
+    assert.ok(ticks >= 5, `event loop ticked ${ticks} times`);
+    // The budget is spent for the whole search, so later batches fail straight away.
+    assert.deepEqual(await matcher.match(['aaa']), { ok: false, error: 'regular expression took too long' });
+  } finally {
+    clearInterval(ticker);
+    matcher.close();
+  }
+});
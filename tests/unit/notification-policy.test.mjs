@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  appendNotification,
+  buildCommandNotification,
+  buildShellNotification,
+  formatCommandDuration,
+  shouldNotifyCommandFinished
+} from '../../public/lib/notification-policy.js';
+
+test('formatCommandDuration picks a compact unit', () => {
+  assert.equal(formatCommandDuration(850), '850ms');
+  assert.equal(formatCommandDuration(12400), '12s');
+  assert.equal(formatCommandDuration(185000), '3m 05s');
+  assert.equal(formatCommandDuration(3720000), '1h 02m');
+  assert.equal(formatCommandDuration(undefined), '0ms');
+});
+
+test('shouldNotifyCommandFinished only keeps long-running commands', () => {
+  assert.equal(shouldNotifyCommandFinished({ durationMs: 9999 }), false);
+  assert.equal(shouldNotifyCommandFinished({ durationMs: 10000 }), true);
+  assert.equal(shouldNotifyCommandFinished({ durationMs: 500 }, 100), true);
+  assert.equal(shouldNotifyCommandFinished(null), false);
+});
+
+test('buildCommandNotification describes the outcome', () => {
+  const failed = buildCommandNotification({
+    sessionId: 's1',
+    command: 'pnpm test',
+    exitCode: 1,
+    durationMs: 61000,
+    finishedAt: '2024-01-01T00:00:00.000Z'
+  });
+  assert.deepEqual(failed, {
+    kind: 'command',
+    sessionId: 's1',
+    title: 'pnpm test',
+    body: '失败（退出码 1） · 用时 1m 01s',
+    tone: 'warn',
+    at: '2024-01-01T00:00:00.000Z'
+  });
+  const succeeded = buildCommandNotification({ sessionId: 's1', command: '', exitCode: 0, durationMs: 12000 });
+  assert.equal(succeeded.title, '命令');
+  assert.equal(succeeded.tone, 'success');
+  assert.equal(buildCommandNotification({ sessionId: 's1', command: 'x'.repeat(100), exitCode: null }).title.length, 80);
+});
+
+test('buildShellNotification falls back to the body as title', () => {
+  assert.equal(buildShellNotification({ sessionId: 's1', title: '', body: 'done' }).title, 'done');
+  const withTitle = buildShellNotification({ sessionId: 's1', title: 'Build', body: 'ok' });
+  assert.equal(withTitle.title, 'Build');
+  assert.equal(withTitle.body, 'ok');
+});
+
+test('appendNotification keeps the newest entries first within the limit', () => {
+  let list = [];
+  for (let index = 0; index < 5; index += 1) {
+    list = appendNotification(list, { id: index }, 3);
+  }
+  assert.deepEqual(
+    list.map((entry) => entry.id),
+    [4, 3, 2]
+  );
+});
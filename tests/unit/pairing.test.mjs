@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import { BootstrapTokenManager, bootstrapTokenFingerprint, rotateAuthToken } from '../../dist/auth.js';
+import { normalizePairingInput, PairingCodeRegistry } from '../../dist/pairing.js';
+
+test('PairingCodeRegistry issues single-use codes redeemable by code or link token', () => {
+  const registry = new PairingCodeRegistry({ ttlSeconds: 300, maxActive: 2 });
+  const first = registry.issue('admin', 'unit-test');
+  assert.match(first.code, /^\d{6}$/);
+  assert.match(first.token, /^[a-f0-9]{32}$/);
+  assert.equal(Date.parse(first.expiresAt) - Date.parse(first.createdAt), 300_000);
+
+  const spaced = `${first.code.slice(0, 3)} ${first.code.slice(3)}`;
+  const redeemed = registry.redeem(spaced);
+  assert.equal(redeemed.ok, true);
+  assert.equal(redeemed.ok && redeemed.pairing.id, first.id);
+  assert.deepEqual(registry.redeem(first.code), { ok: false, reason: 'invalid' });
+
+  const readonly = registry.issue('readonly', 'unit-test');
+  const byToken = registry.redeem(readonly.token.toUpperCase());
+  assert.equal(byToken.ok && byToken.pairing.scope, 'readonly');
+  assert.deepEqual(registry.redeem(readonly.token), { ok: false, reason: 'invalid' });
+  assert.deepEqual(registry.redeem('12345'), { ok: false, reason: 'invalid' });
+  assert.deepEqual(registry.redeem(undefined), { ok: false, reason: 'invalid' });
+
+  // The oldest outstanding code makes room once maxActive is reached.
+  const a = registry.issue('admin', 'unit-test');
+  const b = registry.issue('admin', 'unit-test');
+  const c = registry.issue('admin', 'unit-test');
+  assert.equal(registry.size, 2);
+  assert.equal(registry.redeem(a.code).ok, false);
+  assert.equal(registry.redeem(c.token).ok, true);
+  assert.equal(registry.revokeAll(), 1);
+  assert.equal(registry.redeem(b.code).ok, false);
+
+  assert.equal(normalizePairingInput(' 123-456 '), '123456');
+  assert.equal(normalizePairingInput('12 34 56'), '123456');
+  assert.equal(normalizePairingInput('1234567'), null);
+});
+
+test('PairingCodeRegistry reports expired codes once and clamps the ttl', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-10T12:00:00.000Z') });
+  const registry = new PairingCodeRegistry({ ttlSeconds: 1, maxActive: 5 });
+  assert.equal(registry.getTtlSeconds(), 30);
+  const pairing = registry.issue('admin', 'unit-test');
+  t.mock.timers.tick(30_000);
+  assert.deepEqual(registry.redeem(pairing.code), { ok: false, reason: 'expired' });
+  assert.deepEqual(registry.redeem(pairing.code), { ok: false, reason: 'invalid' });
+});
+
+test('BootstrapTokenManager rotates the token file and picks up external rotations', async () => {
+  const tempDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-bootstrap-'));
+  try {
+    const manager = new BootstrapTokenManager(tempDir);
+    const original = manager.getToken();
+    assert.match(original, /^[a-f0-9]{64}$/);
+    assert.equal((await readFile(manager.getFilePath(), 'utf8')).trim(), original);
+    assert.equal(manager.validate(original), true);
+    assert.equal(manager.reload(), null);
+
+    const rotation = manager.rotate();
+    assert.equal(rotation.previousFingerprint, bootstrapTokenFingerprint(original));
+    assert.equal(rotation.fingerprint, manager.getFingerprint());
+    assert.equal(manager.validate(original), false);
+    assert.equal((await readFile(manager.getFilePath(), 'utf8')).trim(), manager.getToken());
+    assert.equal(manager.reload(), null);
+
+    const external = rotateAuthToken(tempDir);
+    const reloaded = manager.reload();
+    assert.deepEqual(reloaded, {
+      previousFingerprint: rotation.fingerprint,
+      fingerprint: bootstrapTokenFingerprint(external)
+    });
+    assert.equal(manager.validate(external), true);
+
+    await writeFile(manager.getFilePath(), 'not-a-token\n');
+    assert.throws(() => manager.reload(), /Invalid bootstrap token format/);
+    assert.equal(manager.validate(external), true);
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { describePasskeyMeta } from '../../public/lib/devices-policy.js';
+import {
+  base64UrlToBytes,
+  bytesToBase64Url,
+  describePasskeyFailure,
+  isPasskeySupported,
+  serializeCredential,
+  toCreationOptions,
+  toRequestOptions
+} from '../../public/lib/passkey-policy.js';
+
+test('base64url helpers round-trip bytes without padding', () => {
+  const bytes = new Uint8Array([0xfb, 0xff, 0x00, 0x3e, 0x3f]);
+  const encoded = bytesToBase64Url(bytes);
+  assert.equal(encoded, Buffer.from(bytes).toString('base64url'));
+  assert.doesNotMatch(encoded, /[+/=]/);
+  assert.deepEqual(base64UrlToBytes(encoded), bytes);
+  assert.deepEqual(base64UrlToBytes(bytesToBase64Url(bytes.buffer)), bytes);
+});
+
+test('toCreationOptions and toRequestOptions decode binary fields', () => {
+  const creation = toCreationOptions({
+    challenge: 'AQID',
+    rp: { id: 'c2p.example.test', name: 'c2p' },
+    user: { id: 'BAU', name: 'c2p@host', displayName: 'c2p@host' },
+    excludeCredentials: [{ type: 'public-key', id: 'Bg', transports: ['internal'] }]
+  });
+  assert.deepEqual(creation.challenge, new Uint8Array([1, 2, 3]));
+  assert.deepEqual(creation.user.id, new Uint8Array([4, 5]));
+  assert.equal(creation.user.name, 'c2p@host');
+  assert.deepEqual(creation.excludeCredentials[0].id, new Uint8Array([6]));
+  assert.deepEqual(creation.excludeCredentials[0].transports, ['internal']);
+
+  const request = toRequestOptions({ challenge: 'AQID', rpId: 'c2p.example.test', userVerification: 'required' });
+  assert.deepEqual(request.challenge, new Uint8Array([1, 2, 3]));
+  assert.deepEqual(request.allowCredentials, []);
+  assert.equal(request.userVerification, 'required');
+});
+
+test('serializeCredential encodes attestation and assertion responses', () => {
+  const registration = serializeCredential({
+    id: 'Bg',
+    rawId: new Uint8Array([6]).buffer,
+    type: 'public-key',
+    response: {
+      clientDataJSON: new Uint8Array([1]).buffer,
+      attestationObject: new Uint8Array([2]).buffer,
+      getTransports: () => ['internal', 'hybrid']
+    }
+  });
+  assert.deepEqual(registration, {
+    id: 'Bg',
+    rawId: 'Bg',
+    type: 'public-key',
+    response: { clientDataJSON: 'AQ', attestationObject: 'Ag', transports: ['internal', 'hybrid'] }
+  });
+
+  const assertion = serializeCredential({
+    id: 'Bg',
+    rawId: new Uint8Array([6]).buffer,
+    type: 'public-key',
+    response: {
+      clientDataJSON: new Uint8Array([1]).buffer,
+      authenticatorData: new Uint8Array([3]).buffer,
+      signature: new Uint8Array([4]).buffer,
+      userHandle: null
+    }
+  });
+  assert.deepEqual(assertion.response, { clientDataJSON: 'AQ', authenticatorData: 'Aw', signature: 'BA' });
+});
+
+test('passkey support needs a secure context and describes failures and list rows', () => {
+  const navigator = { credentials: {} };
+  assert.equal(isPasskeySupported({ isSecureContext: true, PublicKeyCredential: class {}, navigator }), true);
+  assert.equal(isPasskeySupported({ isSecureContext: false, PublicKeyCredential: class {}, navigator }), false);
+  assert.equal(isPasskeySupported({ isSecureContext: true, navigator }), false);
+
+  assert.match(describePasskeyFailure('invalid_origin'), /HTTPS/);
+  assert.equal(describePasskeyFailure('something_else'), '通行密钥验证失败');
+
+  const now = new Date('2026-01-10T12:00:00Z');
+  assert.equal(
+    describePasskeyMeta({ scope: 'admin', rpId: 'c2p.example.test', lastUsedAt: '2026-01-10T11:30:00Z' }, now),
+    '管理员 · c2p.example.test · 最近 30 分钟前'
+  );
+  assert.equal(
+    describePasskeyMeta({ scope: 'readonly', rpId: 'localhost', lastUsedAt: null }, now),
+    '只读 · localhost · 尚未使用'
+  );
+});
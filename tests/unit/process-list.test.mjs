@@ -0,0 +1,119 @@
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import {
+  collectDescendantPids,
+  parseProcessSignal,
+  parseProcStat,
+  ProcessSampler,
+  readProcessCommand
+} from '../../dist/process-list.js';
+
+function buildStat(pid, comm, { state = 'S', ppid = 1, utime = 0, stime = 0, startTicks = 0 } = {}) {
+  // Fields 3..22 of proc(5); only state, ppid, utime, stime and starttime matter here.
+  const fields = [state, ppid, pid, pid, 0, -1, 4194560, 0, 0, 0, 0, utime, stime, 0, 0, 20, 0, 1, 0, startTicks];
+  return `${pid} (${comm}) ${fields.join(' ')} 1000 200 0\n`;
+}
+
+async function writeFakeProcess(procRoot, pid, { comm, cmdline = '', uid = 0, rssKb = 0, ...stat }) {
+  const dir = path.join(procRoot, String(pid));
+  await mkdir(dir, { recursive: true });
+  await writeFile(path.join(dir, 'stat'), buildStat(pid, comm, stat));
+  await writeFile(path.join(dir, 'cmdline'), cmdline);
+  await writeFile(path.join(dir, 'status'), `Name:\t${comm}\nUid:\t${uid}\t${uid}\t${uid}\t${uid}\nVmRSS:\t${rssKb} kB\n`);
+}
+
+test('parseProcStat reads fields after a comm containing spaces and parentheses', () => {
+  const parsed = parseProcStat(buildStat(4242, 'tmux: server) (x', { state: 'R', ppid: 7, utime: 30, stime: 12, startTicks: 5000 }));
+  assert.deepEqual(parsed, {
+    pid: 4242,
+    comm: 'tmux: server) (x',
+    state: 'R',
+    ppid: 7,
+    cpuTicks: 42,
+    startTicks: 5000
+  });
+  assert.equal(parseProcStat(''), null);
+  assert.equal(parseProcStat('12 (sh) S'), null);
+});
+
+test('parseProcessSignal accepts the supported signals with or without the SIG prefix', () => {
+  assert.equal(parseProcessSignal('TERM'), 'TERM');
+  assert.equal(parseProcessSignal(' sigkill '), 'KILL');
+  assert.equal(parseProcessSignal('SIGSTOP'), 'STOP');
+  assert.equal(parseProcessSignal('cont'), 'CONT');
+  assert.equal(parseProcessSignal('HUP'), null);
+  assert.equal(parseProcessSignal(9), null);
+  assert.equal(parseProcessSignal(undefined), null);
+});
+
+test('collectDescendantPids walks the parent links from every root', () => {
+  const processes = [
+    { pid: 1, ppid: 0 },
+    { pid: 10, ppid: 1 },
+    { pid: 11, ppid: 10 },
+    { pid: 12, ppid: 11 },
+    { pid: 20, ppid: 1 },
+    { pid: 21, ppid: 20 },
+    { pid: 30, ppid: 1 }
+  ];
+  assert.deepEqual([...collectDescendantPids(processes, [10, 20])].sort((a, b) => a - b), [10, 11, 12, 20, 21]);
+  assert.deepEqual([...collectDescendantPids(processes, [99])], []);
+});
+
+test('ProcessSampler reports command, user, memory, start time and cpu deltas', async () => {
+  const procRoot = await mkdtemp(path.join(os.tmpdir(), 'c2p-proc-'));
+  try {
+    await writeFile(path.join(procRoot, 'stat'), 'cpu  1 2 3 4\nbtime 1700000000\n');
+    await writeFile(path.join(procRoot, 'uptime'), '100.00 50.00\n');
+    await writeFakeProcess(procRoot, 300, {
+      comm: 'node',
+      cmdline: 'node\0server.js\0--port\0' + '8080\0',
+      rssKb: 2048,
+      utime: 1500,
+      stime: 500,
+      startTicks: 6000
+    });
+    await writeFakeProcess(procRoot, 301, { comm: 'kworker/0:1', ppid: 2, startTicks: 100 });
+    await mkdir(path.join(procRoot, 'self'));
+
+    const sampler = new ProcessSampler(procRoot);
+    const first = sampler.list().sort((a, b) => a.pid - b.pid);
+    assert.deepEqual(
+      first.map((entry) => entry.pid),
+      [300, 301]
+    );
+    assert.equal(first[0].command, 'node server.js --port 8080');
+    assert.equal(first[0].name, 'node');
+    assert.equal(first[0].user, 'root');
+    assert.equal(first[0].rssBytes, 2048 * 1024);
+    assert.equal(first[0].startedAt, new Date((1_700_000_000 + 60) * 1000).toISOString());
+    // 20 cpu seconds over the 40 seconds since the process started.
+    assert.equal(first[0].cpuPercent, 50);
+    assert.equal(first[1].command, '[kworker/0:1]');
+    assert.equal(first[1].ppid, 2);
+
+    await writeFile(path.join(procRoot, 'uptime'), '110.00 50.00\n');
+    await writeFakeProcess(procRoot, 300, {
+      comm: 'node',
+      cmdline: 'node\0server.js\0',
+      utime: 1750,
+      stime: 500,
+      startTicks: 6000
+    });
+    // Same pid, different start time: a new process that reused the pid.
+    await writeFakeProcess(procRoot, 301, { comm: 'sh', ppid: 300, utime: 100, startTicks: 10000 });
+    const second = sampler.list().sort((a, b) => a.pid - b.pid);
+    // 2.5 cpu seconds over the 10 seconds between samples.
+    assert.equal(second[0].cpuPercent, 25);
+    // 1 cpu second over the 10 seconds since the new process started.
+    assert.equal(second[1].cpuPercent, 10);
+
+    assert.equal(readProcessCommand(300, procRoot), 'node server.js');
+    assert.equal(readProcessCommand(999, procRoot), null);
+  } finally {
+    await rm(procRoot, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  defaultProcessSortDirection,
+  describeProcessState,
+  formatProcessMemory,
+  formatProcessStart,
+  normalizeProcessSortKey,
+  processSignalNeedsConfirm,
+  sortProcesses
+} from '../../public/lib/process-policy.js';
+
+const processes = [
+  { pid: 30, user: 'root', cpuPercent: 1.5, rssBytes: 4096, startedAt: '2026-01-01T10:00:00.000Z', command: 'sshd' },
+  { pid: 10, user: 'dev', cpuPercent: 12, rssBytes: 1024, startedAt: '2026-01-01T12:00:00.000Z', command: 'node server.js' },
+  { pid: 20, user: 'dev', cpuPercent: 1.5, rssBytes: 8192, startedAt: '2026-01-01T08:00:00.000Z', command: 'bash' }
+];
+
+test('sortProcesses orders by the chosen column and breaks ties by pid', () => {
+  assert.deepEqual(
+    sortProcesses(processes, 'cpu').map((entry) => entry.pid),
+    [10, 20, 30]
+  );
+  assert.deepEqual(
+    sortProcesses(processes, 'rss').map((entry) => entry.pid),
+    [20, 30, 10]
+  );
+  assert.deepEqual(
+    sortProcesses(processes, 'start').map((entry) => entry.pid),
+    [10, 30, 20]
+  );
+  assert.deepEqual(
+    sortProcesses(processes, 'user', 'asc').map((entry) => entry.pid),
+    [10, 20, 30]
+  );
+  assert.deepEqual(
+    sortProcesses(processes, 'command', 'desc').map((entry) => entry.pid),
+    [30, 10, 20]
+  );
+  assert.deepEqual(
+    sortProcesses(processes, 'bogus').map((entry) => entry.pid),
+    [10, 20, 30]
+  );
+  assert.deepEqual(sortProcesses(null, 'pid'), []);
+});
+
+test('sort defaults start resource columns high and identity columns low', () => {
+  assert.equal(normalizeProcessSortKey('rss'), 'rss');
+  assert.equal(normalizeProcessSortKey('nope'), 'cpu');
+  assert.equal(defaultProcessSortDirection('cpu'), 'desc');
+  assert.equal(defaultProcessSortDirection('start'), 'desc');
+  assert.equal(defaultProcessSortDirection('pid'), 'asc');
+  assert.equal(defaultProcessSortDirection('command'), 'asc');
+});
+
+test('only terminating signals ask for confirmation', () => {
+  assert.equal(processSignalNeedsConfirm('TERM'), true);
+  assert.equal(processSignalNeedsConfirm('KILL'), true);
+  assert.equal(processSignalNeedsConfirm('STOP'), false);
+  assert.equal(processSignalNeedsConfirm('CONT'), false);
+});
+
+test('process cells format compactly', () => {
+  const now = new Date(2026, 0, 1, 18, 0);
+  assert.equal(formatProcessStart(new Date(2026, 0, 1, 9, 5).toISOString(), now), '09:05');
+  assert.equal(formatProcessStart(new Date(2025, 11, 24, 9, 5).toISOString(), now), '12-24');
+  assert.equal(formatProcessStart('garbage', now), '-');
+  assert.equal(formatProcessMemory(0), '-');
+  assert.equal(formatProcessMemory(3.4 * 1024 * 1024), '3.4M');
+  assert.equal(formatProcessMemory(120 * 1024 * 1024), '120M');
+  assert.equal(formatProcessMemory(1.5 * 1024 * 1024 * 1024), '1.5G');
+  assert.equal(describeProcessState('T'), '已暂停');
+  assert.equal(describeProcessState('Z'), '僵尸');
+  assert.equal(describeProcessState(''), '-');
+});
@@ -0,0 +1,145 @@
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { mkdtemp, readdir, readFile, rm, stat, utimes } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import test from 'node:test';
+import { isUploadId, parseUploadChecksum, ResumableUploadStore } from '../../dist/resumable-upload.js';
+
+function sha256(buffer) {
+  return createHash('sha256').update(buffer).digest();
+}
+
+async function withStore(run, options = {}) {
+  const tempDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-uploads-'));
+  try {
+    const store = new ResumableUploadStore({
+      dir: path.join(tempDir, 'staging'),
+      maxBytes: 1024,
+      ttlMs: 60_000,
+      maxPending: 8,
+      maxPendingBytes: 4096,
+      ...options
+    });
+    await run(store, tempDir);
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+test('parseUploadChecksum accepts sha256 digests only', () => {
+  const digest = sha256(Buffer.from('chunk'));
+  assert.deepEqual(parseUploadChecksum(`sha256 ${digest.toString('base64')}`), { ok: true, digest });
+  assert.deepEqual(parseUploadChecksum(undefined), { ok: true, digest: null });
+  assert.equal(parseUploadChecksum(`md5 ${digest.toString('base64')}`).ok, false);
+  assert.equal(parseUploadChecksum('sha256 abc').ok, false);
+  assert.equal(isUploadId('0123456789abcdef0123456789abcdef'), true);
+  assert.equal(isUploadId('../etc/passwd'), false);
+});
+
+test('chunks append at the committed offset and complete moves the file into place', async () => {
+  await withStore(async (store, tempDir) => {
+    const created = store.create('docs/report.bin', 10);
+    assert.equal(created.ok, true);
+    const { id } = created.upload;
+    assert.equal(store.get(id).offset, 0);
+
+    const first = await store.append(id, 0, Readable.from([Buffer.from('hello')]), sha256(Buffer.from('hello')));
+    assert.equal(first.ok, true);
+    assert.equal(first.upload.offset, 5);
+
+    const stale = await store.append(id, 0, Readable.from([Buffer.from('hello')]), null);
+    assert.deepEqual([stale.ok, stale.status, stale.error, stale.upload.offset], [false, 409, 'offset mismatch', 5]);
+
+    const early = await store.complete(id, path.join(tempDir, 'out', 'report.bin'));
+    assert.deepEqual([early.ok, early.status, early.error], [false, 409, 'upload incomplete']);
+
+    const second = await store.append(id, 5, Readable.from([Buffer.from('wor'), Buffer.from('ld')]), null);
+    assert.equal(second.upload.offset, 10);
+
+    const targetPath = path.join(tempDir, 'out', 'report.bin');
+    const completed = await store.complete(id, targetPath, sha256(Buffer.from('helloworld')).toString('hex'));
+    assert.equal(completed.ok, true);
+    assert.equal(completed.sha256, sha256(Buffer.from('helloworld')).toString('hex'));
+    assert.equal(await readFile(targetPath, 'utf8'), 'helloworld');
+    assert.equal(store.get(id), null);
+    assert.deepEqual(await readdir(path.join(tempDir, 'staging')), []);
+  });
+});
+
+test('a chunk that fails its checksum or overruns the length is discarded whole', async () => {
+  await withStore(async (store) => {
+    const { upload } = store.create('a.bin', 8);
+    await store.append(upload.id, 0, Readable.from([Buffer.from('abcd')]), null);
+
+    const corrupt = await store.append(upload.id, 4, Readable.from([Buffer.from('efgh')]), sha256(Buffer.from('EFGH')));
+    assert.deepEqual([corrupt.ok, corrupt.status, corrupt.upload.offset], [false, 460, 4]);
+
+    const overrun = await store.append(upload.id, 4, Readable.from([Buffer.from('ef'), Buffer.from('ghij')]), null);
+    assert.deepEqual([overrun.ok, overrun.status, overrun.upload.offset], [false, 413, 4]);
+
+    const interrupted = Readable.from(
+      (async function* () {
+        yield Buffer.from('ef');
+        throw new Error('socket hang up');
+      })()
+    );
+    await assert.rejects(store.append(upload.id, 4, interrupted, null), /socket hang up/);
+    assert.equal(store.get(upload.id).offset, 4);
+    assert.equal(store.isBusy(upload.id), false);
+  });
+});
+
+test('create validates the length and complete rejects a mismatching file checksum', async () => {
+  await withStore(async (store, tempDir) => {
+    assert.deepEqual(store.create('big.bin', 2048), { ok: false, status: 413, error: 'upload too large (limit=1024 bytes)' });
+    assert.equal(store.create('bad.bin', -1).status, 400);
+    assert.equal(store.create('bad.bin', 1.5).status, 400);
+
+    const { upload } = store.create('empty.txt', 0);
+    const mismatch = await store.complete(upload.id, path.join(tempDir, 'empty.txt'), 'a'.repeat(64));
+    assert.deepEqual([mismatch.ok, mismatch.status], [false, 460]);
+    assert.equal(store.get(upload.id), null);
+    await assert.rejects(stat(path.join(tempDir, 'empty.txt')), { code: 'ENOENT' });
+  });
+});
+
+test('stale uploads are removed after the ttl', async () => {
+  await withStore(
+    async (store, tempDir) => {
+      const { upload } = store.create('old.bin', 4);
+      const fresh = store.create('new.bin', 4).upload;
+      const past = new Date(Date.now() - 120_000);
+      await utimes(path.join(tempDir, 'staging', `${upload.id}.part`), past, past);
+      store.cleanupExpired();
+      assert.equal(store.get(upload.id), null);
+      assert.ok(store.get(fresh.id));
+      assert.equal(store.remove(fresh.id), true);
+      assert.equal(store.remove(fresh.id), false);
+    },
+    { ttlMs: 60_000 }
+  );
+});
+
+test('staged uploads are capped in number and declared bytes across the store', async () => {
+  await withStore(
+    async (store) => {
+      const first = store.create('a.bin', 1000).upload;
+      store.create('b.bin', 1000);
+      // Nothing has been appended yet; the declared lengths alone count against the quota.
+      assert.deepEqual(store.create('c.bin', 1000), {
+        ok: false,
+        status: 507,
+        error: 'staged uploads exceed quota (limit=2500 bytes)'
+      });
+      assert.equal(store.create('c.bin', 400).ok, true);
+      assert.equal(store.list().length, 3);
+      assert.deepEqual(store.create('d.bin', 0), { ok: false, status: 507, error: 'too many staged uploads (limit=3)' });
+
+      assert.equal(store.remove(first.id), true);
+      assert.equal(store.create('d.bin', 0).ok, true);
+    },
+    { maxPending: 3, maxPendingBytes: 2500 }
+  );
+});
@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm, utimes, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import {
+  AsciicastRecorder,
+  isRecordingId,
+  listRecordings,
+  pruneRecordings,
+  resolveRecordingPath
+} from '../../dist/session-recording.js';
+
+test('AsciicastRecorder writes a v2 header followed by output and resize events', async () => {
+  const tempDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-recording-'));
+  try {
+    const recorder = new AsciicastRecorder({
+      dir: tempDir,
+      sessionId: 'abc-123',
+      cols: 80,
+      rows: 24,
+      title: 'shell',
+      now: new Date('2024-05-06T07:08:09.010Z')
+    });
+    assert.equal(recorder.id, 'abc-123-20240506T070809010Z');
+    recorder.writeOutput('hello\r\n');
+    recorder.writeOutput('');
+    recorder.resize(80, 24);
+    recorder.resize(100, 30);
+    await recorder.close();
+    recorder.writeOutput('after close');
+
+    const lines = (await readFile(recorder.filePath, 'utf8')).trim().split('\n');
+    assert.deepEqual(JSON.parse(lines[0]), {
+      version: 2,
+      width: 80,
+      height: 24,
+      timestamp: 1714979289,
+      env: { TERM: 'xterm-256color' },
+      title: 'shell'
+    });
+    const events = lines.slice(1).map((line) => JSON.parse(line));
+    assert.deepEqual(
+      events.map(([, code, data]) => [code, data]),
+      [
+        ['o', 'hello\r\n'],
+        ['r', '100x30']
+      ]
+    );
+    assert.ok(events.every(([elapsed]) => typeof elapsed === 'number' && elapsed >= 0));
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('listRecordings returns valid recordings newest first and marks active ones', async () => {
+  const tempDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-recording-'));
+  try {
+    const older = new AsciicastRecorder({ dir: tempDir, sessionId: 's1', cols: 80, rows: 24, now: new Date('2024-01-01T00:00:00.000Z') });
+    const newer = new AsciicastRecorder({ dir: tempDir, sessionId: 's2', cols: 120, rows: 40, now: new Date('2024-02-01T00:00:00.000Z') });
+    await Promise.all([older.close(), newer.close()]);
+    await writeFile(path.join(tempDir, 's3-20240301T000000000Z.cast'), 'not json\n');
+    await writeFile(path.join(tempDir, 'notes.txt'), 'ignored');
+
+    const recordings = await listRecordings(tempDir, new Set([newer.id]));
+    assert.deepEqual(
+      recordings.map((recording) => [recording.id, recording.sessionId, recording.width, recording.active]),
+      [
+        [newer.id, 's2', 120, true],
+        [older.id, 's1', 80, false]
+      ]
+    );
+    assert.equal(recordings[1].startedAt, '2024-01-01T00:00:00.000Z');
+    assert.deepEqual(await listRecordings(path.join(tempDir, 'missing')), []);
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('resolveRecordingPath only accepts recording ids', () => {
+  assert.equal(isRecordingId('abc-20240101T000000000Z'), true);
+  assert.equal(isRecordingId('../abc-20240101T000000000Z'), false);
+  assert.equal(resolveRecordingPath('/rec', 'abc-20240101T000000000Z'), path.join('/rec', 'abc-20240101T000000000Z.cast'));
+  assert.equal(resolveRecordingPath('/rec', 'abc'), null);
+});
+
+test('AsciicastRecorder stops at its size limit and drops output while the stream is backed up', async () => {
+  const tempDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-recording-'));
+  try {
+    const capped = new AsciicastRecorder({ dir: tempDir, sessionId: 'capped', cols: 80, rows: 24, maxBytes: 400 });
+    for (let index = 0; index < 20; index += 1) {
+      capped.writeOutput(`line ${index} ${'x'.repeat(20)}\r\n`);
+    }
+    assert.equal(capped.isFull, true);
+    await capped.close();
+    const cappedText = await readFile(capped.filePath, 'utf8');
+    assert.ok(Buffer.byteLength(cappedText) <= 400);
+    assert.ok(cappedText.endsWith('\n'), 'the file ends on a whole event');
+
+    // 64 KiB chunks fill the stream's 16 KiB buffer at once, so everything after the first is dropped until it drains.
+    const noisy = new AsciicastRecorder({ dir: tempDir, sessionId: 'noisy', cols: 80, rows: 24 });
+    const chunk = 'y'.repeat(64 * 1024);
+    for (let index = 0; index < 50; index += 1) {
+      noisy.writeOutput(chunk);
+    }
+    noisy.resize(100, 30);
+    await noisy.close();
+    const events = (await readFile(noisy.filePath, 'utf8'))
+      .trim()
+      .split('\n')
+      .slice(1)
+      .map((line) => JSON.parse(line));
+    assert.deepEqual(
+      events.map(([, code]) => code),
+      ['o', 'r']
+    );
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('pruneRecordings removes old finished recordings only', async () => {
+  const tempDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-recording-'));
+  try {
+    const recorders = ['old', 'active', 'fresh'].map(
+      (sessionId) => new AsciicastRecorder({ dir: tempDir, sessionId, cols: 80, rows: 24 })
+    );
+    await Promise.all(recorders.map((recorder) => recorder.close()));
+    await writeFile(path.join(tempDir, 'notes.txt'), 'ignored');
+    const longAgo = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+    for (const target of [recorders[0].filePath, recorders[1].filePath, path.join(tempDir, 'notes.txt')]) {
+      await utimes(target, longAgo, longAgo);
+    }
+
+    const removed = await pruneRecordings(tempDir, 24 * 60 * 60 * 1000, new Set([recorders[1].id]));
+    assert.equal(removed, 1);
+    assert.deepEqual((await readdir(tempDir)).sort(), [`${recorders[1].id}.cast`, `${recorders[2].id}.cast`, 'notes.txt']);
+    assert.equal(await pruneRecordings(path.join(tempDir, 'missing'), 0), 0);
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { ShellIntegrationTracker } from '../../dist/shell-integration.js';
+
+const OSC = '\u001b]';
+const BEL = '\u0007';
+const ST = '\u001b\\';
+
+test('ShellIntegrationTracker reports finished commands with exit code, duration and command text', () => {
+  const tracker = new ShellIntegrationTracker();
+  assert.deepEqual(tracker.feed(`${OSC}133;A${BEL}$ ${OSC}133;B${BEL}`, 1000), { finished: [], notifications: [] });
+  tracker.feed('make \u001b[1mbuild\u001b[0m', 1100);
+  tracker.feed(`\r\n${OSC}133;C${BEL}compiling...\r\n`, 2000);
+  const { finished } = tracker.feed(`${OSC}133;D;2${ST}`, 14500);
+  assert.deepEqual(finished, [
+    {
+      command: 'make build',
+      exitCode: 2,
+      durationMs: 12500,
+      finishedAt: new Date(14500).toISOString()
+    }
+  ]);
+});
+
+test('ShellIntegrationTracker carries split sequences and ignores empty prompts', () => {
+  const tracker = new ShellIntegrationTracker();
+  tracker.feed(`${OSC}133;B${BEL}sleep 1${OSC}13`, 0);
+  tracker.feed(`3;C${BEL}`, 10);
+  assert.equal(tracker.feed(`${OSC}133;D`, 20).finished.length, 0);
+  const { finished } = tracker.feed(`${BEL}`, 1010);
+  assert.deepEqual(
+    finished.map(({ command, exitCode, durationMs }) => ({ command, exitCode, durationMs })),
+    [{ command: 'sleep 1', exitCode: null, durationMs: 1000 }]
+  );
+
+  tracker.feed(`${OSC}133;A${BEL}${OSC}133;B${BEL}\r\n`, 2000);
+  assert.deepEqual(tracker.feed(`${OSC}133;D;0${BEL}`, 2100).finished, []);
+});
+
+test('ShellIntegrationTracker surfaces OSC 9 and OSC 777 notifications', () => {
+  const tracker = new ShellIntegrationTracker();
+  const { notifications } = tracker.feed(
+    `${OSC}9;Backup\u0001 done${BEL}${OSC}9;4;1;50${BEL}${OSC}777;notify;Build;all;green${ST}${OSC}777;preexec${BEL}${OSC}52;c;aGk=${BEL}`
+  );
+  assert.deepEqual(notifications, [
+    { title: '', body: 'Backup  done' },
+    { title: 'Build', body: 'all;green' }
+  ]);
+});
@@ -2,6 +2,7 @@ import assert from 'node:assert/strict';
 import { mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
 import os from 'node:os';
 import path from 'node:path';
+import { DatabaseSync } from 'node:sqlite';
 import test from 'node:test';
 import { C2PStore } from '../../dist/store.js';
 
@@ -64,3 +65,49 @@ test('C2PStore migrates legacy JSON once and remains idempotent', async () => {
     await rm(tempDir, { recursive: true, force: true });
   }
 });
+
+test('C2PStore adds session metadata columns to an existing sessions table', async () => {
+  const tempDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-store-'));
+  const dbPath = path.join(tempDir, 'store.sqlite');
+  const createdAt = new Date().toISOString();
+
+  const legacyDb = new DatabaseSync(dbPath);
+  legacyDb.exec(`
+    CREATE TABLE sessions (
+      id TEXT PRIMARY KEY,
+      cli TEXT NOT NULL,
+      cwd TEXT NOT NULL,
+      cols INTEGER NOT NULL,
+      rows INTEGER NOT NULL,
+      started_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      status TEXT NOT NULL
+    );
+  `);
+  legacyDb
+    .prepare('INSERT INTO sessions (id, cli, cwd, cols, rows, started_at, updated_at, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?)')
+    .run('session-1', 'shell', '/tmp', 120, 40, createdAt, createdAt, 'running');
+  legacyDb.close();
+
+  const store = new C2PStore(dbPath);
+  try {
+    const legacySession = store.getSession('session-1');
+    assert.equal(legacySession?.name, undefined);
+    assert.equal(legacySession?.tags, undefined);
+
+    store.updateSession('session-1', { name: 'build', color: '#539BF5', tags: ['ci', 'ci', 'nightly'] });
+    const updated = store.getSession('session-1');
+    assert.equal(updated?.name, 'build');
+    assert.equal(updated?.color, '#539bf5');
+    assert.deepEqual(updated?.tags, ['ci', 'nightly']);
+
+    store.updateSession('session-1', { name: undefined, tags: undefined });
+    const cleared = store.listSessions()[0];
+    assert.equal(cleared?.name, undefined);
+    assert.equal(cleared?.color, '#539bf5');
+    assert.equal(cleared?.tags, undefined);
+  } finally {
+    store.close();
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  collectBufferMatches,
+  createTerminalSearchMatcher,
+  findTextMatches,
+  resolveAdjacentMatchIndex,
+  resolveInitialMatchIndex
+} from '../../public/lib/terminal-search-policy.js';
+
+test('createTerminalSearchMatcher escapes plain queries and honours case toggle', () => {
+  const plain = createTerminalSearchMatcher('a.b');
+  assert.equal(plain.ok, true);
+  assert.deepEqual(findTextMatches('axb A.B a.b', plain.matcher), [
+    { start: 4, length: 3 },
+    { start: 8, length: 3 }
+  ]);
+
+  const caseSensitive = createTerminalSearchMatcher('a.b', { caseSensitive: true });
+  assert.deepEqual(findTextMatches('A.B a.b', caseSensitive.matcher), [{ start: 4, length: 3 }]);
+});
+
+test('createTerminalSearchMatcher rejects empty, invalid and empty-matching expressions', () => {
+  assert.deepEqual(createTerminalSearchMatcher(''), { ok: false, error: 'empty' });
+  assert.deepEqual(createTerminalSearchMatcher('(', { regex: true }), { ok: false, error: 'invalid-regex' });
+  assert.deepEqual(createTerminalSearchMatcher('x*', { regex: true }), { ok: false, error: 'matches-empty' });
+  assert.equal(createTerminalSearchMatcher('err\\w+', { regex: true }).ok, true);
+});
+
+test('collectBufferMatches joins soft-wrapped rows and maps matches back to rows', () => {
+  const { matcher } = createTerminalSearchMatcher('needle');
+  const rows = [
+    { text: 'no match', isWrapped: false },
+    { text: 'xxxxnee', isWrapped: false },
+    { text: 'dle and needle', isWrapped: true },
+    { text: 'needle', isWrapped: false }
+  ];
+  assert.deepEqual(collectBufferMatches(rows, matcher), [
+    { row: 1, index: 4, length: 6 },
+    { row: 2, index: 8, length: 6 },
+    { row: 3, index: 0, length: 6 }
+  ]);
+  assert.equal(collectBufferMatches(rows, matcher, { maxMatches: 2 }).length, 2);
+});
+
+test('resolveAdjacentMatchIndex steps around the current position with wrap-around', () => {
+  const matches = [
+    { row: 1, index: 4 },
+    { row: 2, index: 8 },
+    { row: 3, index: 0 }
+  ];
+  assert.equal(resolveAdjacentMatchIndex(matches, { row: 2, index: 8 }, 1), 2);
+  assert.equal(resolveAdjacentMatchIndex(matches, { row: 2, index: 8 }, -1), 0);
+  assert.equal(resolveAdjacentMatchIndex(matches, { row: 3, index: 0 }, 1), 0);
+  assert.equal(resolveAdjacentMatchIndex(matches, { row: 1, index: 4 }, -1), 2);
+  assert.equal(resolveAdjacentMatchIndex([], { row: 0, index: 0 }, 1), -1);
+});
+
+test('resolveInitialMatchIndex prefers the last match above the viewport bottom', () => {
+  const matches = [{ row: 1 }, { row: 20 }, { row: 60 }];
+  assert.equal(resolveInitialMatchIndex(matches, 40), 1);
+  assert.equal(resolveInitialMatchIndex(matches, 0), 2);
+  assert.equal(resolveInitialMatchIndex(matches), 2);
+  assert.equal(resolveInitialMatchIndex([], 10), -1);
+});
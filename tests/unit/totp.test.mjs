@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import { AccessTokenService } from '../../dist/auth.js';
+import { C2PStore } from '../../dist/store.js';
+import {
+  buildOtpauthUri,
+  decodeBase32,
+  decryptTotpSecret,
+  encodeBase32,
+  encryptTotpSecret,
+  generateTotpSecret,
+  hotp,
+  matchTotpCode,
+  normalizeTotpCode,
+  totpCounter,
+  TotpService
+} from '../../dist/totp.js';
+
+const RFC_SECRET = Buffer.from('12345678901234567890');
+const SIGNING_SECRET = 'test-signing-secret-for-unit-tests-0123456789';
+
+test('hotp and matchTotpCode follow the RFC 4226 and RFC 6238 SHA-1 vectors', () => {
+  assert.equal(hotp(RFC_SECRET, 0), '755224');
+  assert.equal(hotp(RFC_SECRET, 9), '520489');
+  // RFC 6238 lists 94287082 (8 digits) for T = 59 s; authenticator apps show the last six.
+  assert.equal(hotp(RFC_SECRET, totpCounter(59_000)), '287082');
+  assert.equal(hotp(RFC_SECRET, totpCounter(1_111_111_109_000)), '081804');
+
+  assert.equal(matchTotpCode(RFC_SECRET, '287 082', 59_000), 1);
+  // One step of clock drift either way is accepted, two are not.
+  assert.equal(matchTotpCode(RFC_SECRET, '287082', 89_000), 1);
+  assert.equal(matchTotpCode(RFC_SECRET, '287082', 119_000), null);
+  assert.equal(matchTotpCode(RFC_SECRET, '000000', 59_000), null);
+  assert.equal(normalizeTotpCode('12345'), null);
+  assert.equal(normalizeTotpCode(123456), null);
+});
+
+test('base32, otpauth uri and secret encryption round-trip', () => {
+  assert.equal(encodeBase32(RFC_SECRET), 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.deepEqual(decodeBase32('gezd gnbv-gy3tqojq gezdgnbvgy3tqojq'), RFC_SECRET);
+  assert.equal(decodeBase32('not base32!'), null);
+
+  const uri = new URL(buildOtpauthUri(RFC_SECRET, 'admin@host'));
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.host, 'totp');
+  assert.equal(decodeURIComponent(uri.pathname), '/c2p:admin@host');
+  assert.equal(uri.searchParams.get('secret'), 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.equal(uri.searchParams.get('issuer'), 'c2p');
+
+  const secret = generateTotpSecret();
+  const encrypted = encryptTotpSecret(secret, SIGNING_SECRET);
+  assert.match(encrypted, /^v1\./);
+  assert.ok(!encrypted.includes(secret.toString('base64url')));
+  assert.deepEqual(decryptTotpSecret(encrypted, SIGNING_SECRET), secret);
+  assert.equal(decryptTotpSecret(encrypted, `${SIGNING_SECRET}-other`), null);
+  assert.equal(decryptTotpSecret('v1.garbage', SIGNING_SECRET), null);
+});
+
+test('TotpService asks admin devices for a single-use code and honours tickets', async () => {
+  const tempDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-totp-'));
+  const store = new C2PStore(path.join(tempDir, 'store.sqlite'));
+  const tokenService = new AccessTokenService({ store, signingSecret: SIGNING_SECRET, ttlSeconds: 3600 });
+  const totp = new TotpService({ store, signingSecret: SIGNING_SECRET, reverifyDays: 7 });
+
+  try {
+    const laptop = tokenService.enrollDevice({ label: 'Laptop', userAgent: '', scope: 'admin', ip: '10.0.0.2' });
+    assert.deepEqual(totp.check({ scope: 'admin', deviceId: laptop.id }), { ok: true, codeVerified: false });
+
+    const secret = generateTotpSecret();
+    totp.enroll(secret, totpCounter() - 5);
+    assert.equal(totp.isEnrolled(), true);
+    assert.ok(!store.getTotpSecret().secret.includes(encodeBase32(secret)));
+
+    assert.deepEqual(totp.check({ scope: 'readonly', deviceId: laptop.id }), { ok: true, codeVerified: false });
+    assert.deepEqual(totp.check({ scope: 'admin', deviceId: laptop.id }), { ok: false, reason: 'totp_required' });
+    assert.deepEqual(totp.check({ scope: 'admin', deviceId: laptop.id, code: '12' }), {
+      ok: false,
+      reason: 'totp_invalid'
+    });
+
+    const code = hotp(secret, totpCounter());
+    assert.deepEqual(totp.check({ scope: 'admin', deviceId: laptop.id, code }), { ok: true, codeVerified: true });
+    // The same code cannot be used twice.
+    assert.deepEqual(totp.check({ scope: 'admin', code }), { ok: false, reason: 'totp_invalid' });
+
+    const ticket = totp.markVerified(laptop.id);
+    const renewed = totp.check({ scope: 'admin', deviceId: laptop.id, ticket });
+    assert.deepEqual(renewed, { ok: true, codeVerified: false, ticket });
+    // Knowing the device id is not enough without the ticket, unless the id comes from a signed token.
+    assert.equal(totp.check({ scope: 'admin', deviceId: laptop.id, ticket: 'x'.repeat(43) }).ok, false);
+    assert.equal(totp.check({ scope: 'admin', deviceId: laptop.id }).ok, false);
+    assert.equal(totp.check({ scope: 'admin', deviceId: laptop.id, deviceTrusted: true }).ok, true);
+
+    // Verifications expire after `reverifyDays`.
+    store.setDeviceTotpVerifiedAt(laptop.id, new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString());
+    assert.equal(totp.check({ scope: 'admin', deviceId: laptop.id, deviceTrusted: true }).ok, false);
+
+    // Revoked devices and a replaced secret both drop earlier verifications.
+    const phone = tokenService.enrollDevice({ label: 'Phone', userAgent: '', scope: 'admin', ip: '10.0.0.3' });
+    const phoneTicket = totp.markVerified(phone.id);
+    totp.enroll(generateTotpSecret(), totpCounter());
+    assert.equal(totp.check({ scope: 'admin', deviceId: phone.id, ticket: phoneTicket }).ok, false);
+    const again = totp.markVerified(phone.id);
+    tokenService.revokeDevice(phone.id, 'unit-test');
+    assert.equal(totp.check({ scope: 'admin', deviceId: phone.id, ticket: again }).ok, false);
+
+    assert.equal(totp.disable(), true);
+    assert.equal(totp.disable(), false);
+    assert.deepEqual(totp.check({ scope: 'admin' }), { ok: true, codeVerified: false });
+  } finally {
+    store.close();
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  buildUploadFingerprint,
+  computeUploadPercent,
+  computeUploadRetryDelay,
+  describeUploadStatus,
+  formatUploadChecksum,
+  isRetryableUploadStatus,
+  nextUploadChunk
+} from '../../public/lib/upload-policy.js';
+
+test('nextUploadChunk walks the file in chunk-sized ranges', () => {
+  assert.deepEqual(nextUploadChunk(0, 20, 8), { start: 0, end: 8 });
+  assert.deepEqual(nextUploadChunk(16, 20, 8), { start: 16, end: 20 });
+  assert.deepEqual(nextUploadChunk(30, 20, 8), { start: 20, end: 20 });
+  assert.deepEqual(nextUploadChunk(0, 20, 0), { start: 0, end: 20 });
+});
+
+test('upload progress and status text', () => {
+  assert.equal(computeUploadPercent(0, 200), 0);
+  assert.equal(computeUploadPercent(199, 200), 99);
+  assert.equal(computeUploadPercent(200, 200), 100);
+  assert.equal(computeUploadPercent(0, 0), 100);
+  assert.equal(describeUploadStatus({ status: 'uploading', offset: 50, size: 200 }), '25%');
+  assert.equal(describeUploadStatus({ status: 'paused', offset: 50, size: 200 }), '已暂停 25%');
+  assert.equal(describeUploadStatus({ status: 'needs-file', offset: 0, size: 200 }), '重新选择文件以继续 0%');
+  assert.equal(describeUploadStatus({ status: 'failed', error: 'permission denied' }), '失败: permission denied');
+  assert.equal(describeUploadStatus({ status: 'queued', offset: 0, size: 1 }), '排队中');
+});
+
+test('retry policy covers transient failures with a capped backoff', () => {
+  assert.equal(isRetryableUploadStatus(0), true);
+  assert.equal(isRetryableUploadStatus(409), true);
+  assert.equal(isRetryableUploadStatus(460), true);
+  assert.equal(isRetryableUploadStatus(503), true);
+  assert.equal(isRetryableUploadStatus(403), false);
+  assert.equal(isRetryableUploadStatus(413), false);
+  assert.equal(computeUploadRetryDelay(0), 1000);
+  assert.equal(computeUploadRetryDelay(99), 20000);
+});
+
+test('fingerprint and checksum formatting', () => {
+  const file = { name: 'a.zip', size: 10, lastModified: 1700000000000 };
+  assert.equal(buildUploadFingerprint(file), buildUploadFingerprint({ ...file }));
+  assert.notEqual(buildUploadFingerprint(file), buildUploadFingerprint({ ...file, size: 11 }));
+  assert.equal(buildUploadFingerprint(null), '');
+  assert.equal(formatUploadChecksum(new Uint8Array([0xde, 0xad, 0xbe, 0xef])), 'sha256 3q2+7w==');
+});
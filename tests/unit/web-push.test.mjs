@@ -0,0 +1,145 @@
+import assert from 'node:assert/strict';
+import { createDecipheriv, createECDH, createPublicKey, hkdfSync, randomBytes, verify } from 'node:crypto';
+import { mkdtemp, readFile, rm, stat } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import {
+  createVapidAuthorization,
+  encryptPushPayload,
+  ensureVapidKeys,
+  parsePushSubscription
+} from '../../dist/web-push.js';
+
+function createUserAgentKeys() {
+  const ecdh = createECDH('prime256v1');
+  ecdh.generateKeys();
+  const auth = randomBytes(16);
+  return {
+    ecdh,
+    keys: {
+      p256dh: ecdh.getPublicKey().toString('base64url'),
+      auth: auth.toString('base64url')
+    }
+  };
+}
+
+// The user agent side of RFC 8291, as a browser would decrypt the push message.
+function decryptPushPayload(body, userAgent) {
+  const salt = body.subarray(0, 16);
+  const recordSize = body.readUInt32BE(16);
+  const keyLength = body.readUInt8(20);
+  const serverPublicKey = body.subarray(21, 21 + keyLength);
+  const ciphertext = body.subarray(21 + keyLength);
+  const userAgentPublicKey = userAgent.ecdh.getPublicKey();
+  const sharedSecret = userAgent.ecdh.computeSecret(serverPublicKey);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublicKey, serverPublicKey]);
+  const ikm = Buffer.from(hkdfSync('sha256', sharedSecret, Buffer.from(userAgent.keys.auth, 'base64url'), keyInfo, 32));
+  const contentKey = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+  const decipher = createDecipheriv('aes-128-gcm', contentKey, nonce);
+  decipher.setAuthTag(ciphertext.subarray(ciphertext.length - 16));
+  const plaintext = Buffer.concat([decipher.update(ciphertext.subarray(0, ciphertext.length - 16)), decipher.final()]);
+  return { recordSize, keyLength, plaintext };
+}
+
+test('encryptPushPayload produces an aes128gcm record the user agent can decrypt', () => {
+  const userAgent = createUserAgentKeys();
+  const body = encryptPushPayload(Buffer.from('{"type":"test"}'), userAgent.keys);
+  const decrypted = decryptPushPayload(body, userAgent);
+  assert.equal(decrypted.recordSize, 4096);
+  assert.equal(decrypted.keyLength, 65);
+  assert.equal(decrypted.plaintext.at(-1), 0x02);
+  assert.equal(decrypted.plaintext.subarray(0, -1).toString('utf8'), '{"type":"test"}');
+});
+
+test('encryptPushPayload uses a fresh salt and server key per message', () => {
+  const userAgent = createUserAgentKeys();
+  const first = encryptPushPayload(Buffer.from('same'), userAgent.keys);
+  const second = encryptPushPayload(Buffer.from('same'), userAgent.keys);
+  assert.notDeepEqual(first.subarray(0, 16), second.subarray(0, 16));
+  assert.notDeepEqual(first.subarray(21, 86), second.subarray(21, 86));
+  assert.throws(() => encryptPushPayload(Buffer.alloc(4000), userAgent.keys), /too large/);
+});
+
+test('createVapidAuthorization signs an ES256 JWT scoped to the push service origin', async () => {
+  const tempDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-vapid-'));
+  try {
+    const vapid = ensureVapidKeys(tempDir);
+    const header = createVapidAuthorization('https://push.example.com/send/abc?x=1', vapid, 1_700_000_000);
+    const matched = /^vapid t=([^,]+), k=(.+)$/.exec(header);
+    assert.ok(matched);
+    assert.equal(matched[2], vapid.publicKey);
+
+    const [encodedHeader, encodedClaims, encodedSignature] = matched[1].split('.');
+    assert.deepEqual(JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8')), { typ: 'JWT', alg: 'ES256' });
+    assert.deepEqual(JSON.parse(Buffer.from(encodedClaims, 'base64url').toString('utf8')), {
+      aud: 'https://push.example.com',
+      exp: 1_700_000_000 + 12 * 60 * 60,
+      sub: 'mailto:c2p@localhost'
+    });
+
+    const publicKey = Buffer.from(vapid.publicKey, 'base64url');
+    const verifier = createPublicKey({
+      key: {
+        kty: 'EC',
+        crv: 'P-256',
+        x: publicKey.subarray(1, 33).toString('base64url'),
+        y: publicKey.subarray(33, 65).toString('base64url')
+      },
+      format: 'jwk'
+    });
+    const valid = verify(
+      'sha256',
+      Buffer.from(`${encodedHeader}.${encodedClaims}`),
+      { key: verifier, dsaEncoding: 'ieee-p1363' },
+      Buffer.from(encodedSignature, 'base64url')
+    );
+    assert.equal(valid, true);
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('ensureVapidKeys persists generated keys with owner-only permissions', async () => {
+  const tempDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-vapid-'));
+  try {
+    const first = ensureVapidKeys(tempDir);
+    const second = ensureVapidKeys(tempDir);
+    assert.equal(second.publicKey, first.publicKey);
+    assert.equal(second.privateKey, first.privateKey);
+    const filePath = path.join(tempDir, '.c2p-vapid.json');
+    assert.equal((await stat(filePath)).mode & 0o777, 0o600);
+    assert.equal(JSON.parse(await readFile(filePath, 'utf8')).publicKey, first.publicKey);
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('parsePushSubscription validates the endpoint and user agent keys', () => {
+  const { keys } = createUserAgentKeys();
+  const parsed = parsePushSubscription({ endpoint: 'https://push.example.com/send/abc', keys, expirationTime: null });
+  assert.deepEqual(parsed, { ok: true, subscription: { endpoint: 'https://push.example.com/send/abc', keys } });
+
+  assert.equal(parsePushSubscription(null).ok, false);
+  assert.deepEqual(parsePushSubscription({ endpoint: 'ftp://push.example.com/x', keys }), {
+    ok: false,
+    error: 'invalid subscription endpoint'
+  });
+  assert.equal(parsePushSubscription({ endpoint: 'http://push.example.com/x', keys }).ok, false);
+  assert.equal(parsePushSubscription({ endpoint: 'https://user:pw@push.example.com/x', keys }).ok, false);
+  assert.deepEqual(parsePushSubscription({ endpoint: 'https://push.example.com/x', keys: { ...keys, auth: 'AAAA' } }), {
+    ok: false,
+    error: 'invalid subscription keys'
+  });
+  const invalidKey = Buffer.alloc(65).toString('base64url');
+  assert.equal(parsePushSubscription({ endpoint: 'https://push.example.com/x', keys: { ...keys, p256dh: invalidKey } }).ok, false);
+});
+
+test('parsePushSubscription only accepts plain http on loopback when allowed', () => {
+  const { keys } = createUserAgentKeys();
+  assert.equal(parsePushSubscription({ endpoint: 'http://127.0.0.1:9/push', keys }).ok, false);
+  assert.equal(parsePushSubscription({ endpoint: 'http://127.0.0.1:9/push', keys }, { allowInsecureLoopback: true }).ok, true);
+  assert.equal(parsePushSubscription({ endpoint: 'http://localhost:9/push', keys }, { allowInsecureLoopback: true }).ok, true);
+  assert.equal(parsePushSubscription({ endpoint: 'http://10.0.0.2:9/push', keys }, { allowInsecureLoopback: true }).ok, false);
+});
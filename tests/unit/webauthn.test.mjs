@@ -0,0 +1,225 @@
+import assert from 'node:assert/strict';
+import { createHash, generateKeyPairSync, randomBytes, sign } from 'node:crypto';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import { AccessTokenService, PasskeyService } from '../../dist/auth.js';
+import { C2PStore } from '../../dist/store.js';
+import {
+  coseKeyToJwk,
+  decodeCbor,
+  parseAuthenticatorData,
+  resolveRelyingParty,
+  verifyPasskeySignature
+} from '../../dist/webauthn.js';
+
+const ORIGIN = 'https://c2p.example.test';
+
+function encodeHead(major, length) {
+  if (length < 24) {
+    return Buffer.from([(major << 5) | length]);
+  }
+  if (length < 0x100) {
+    return Buffer.from([(major << 5) | 24, length]);
+  }
+  const head = Buffer.alloc(3);
+  head.writeUInt8((major << 5) | 25, 0);
+  head.writeUInt16BE(length, 1);
+  return head;
+}
+
+function encodeCbor(value) {
+  if (typeof value === 'number') {
+    return value >= 0 ? encodeHead(0, value) : encodeHead(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([encodeHead(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([encodeHead(3, bytes.length), bytes]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([encodeHead(4, value.length), ...value.map(encodeCbor)]);
+  }
+  const entries = [...value.entries()];
+  return Buffer.concat([
+    encodeHead(5, entries.length),
+    ...entries.flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)])
+  ]);
+}
+
+// A software authenticator: P-256 by default, Ed25519 on request.
+function createAuthenticator({ curve = 'P-256' } = {}) {
+  const ed25519 = curve === 'Ed25519';
+  const keys = ed25519 ? generateKeyPairSync('ed25519') : generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = keys.publicKey.export({ format: 'jwk' });
+  const x = Buffer.from(jwk.x, 'base64url');
+  const coseKey = ed25519
+    ? new Map([[1, 1], [3, -8], [-1, 6], [-2, x]])
+    : new Map([[1, 2], [3, -7], [-1, 1], [-2, x], [-3, Buffer.from(jwk.y, 'base64url')]]);
+  const credentialId = randomBytes(16);
+  const authenticator = { id: credentialId.toString('base64url'), counter: 0, coseKey };
+
+  authenticator.authData = (rpId, { flags = 0x05, attested = false } = {}) => {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(authenticator.counter);
+    const parts = [createHash('sha256').update(rpId).digest(), Buffer.from([attested ? flags | 0x40 : flags]), counter];
+    if (attested) {
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      parts.push(Buffer.alloc(16), idLength, credentialId, encodeCbor(coseKey));
+    }
+    return Buffer.concat(parts);
+  };
+
+  authenticator.register = (options, { origin = ORIGIN, flags } = {}) => {
+    const clientData = { type: 'webauthn.create', challenge: options.challenge, origin };
+    const clientDataJSON = Buffer.from(JSON.stringify(clientData));
+    const authData = authenticator.authData(options.rp.id, { flags, attested: true });
+    const attestationObject = encodeCbor(new Map([['fmt', 'none'], ['attStmt', new Map()], ['authData', authData]]));
+    return {
+      id: authenticator.id,
+      rawId: authenticator.id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientDataJSON.toString('base64url'),
+        attestationObject: attestationObject.toString('base64url'),
+        transports: ['internal']
+      }
+    };
+  };
+
+  authenticator.login = (options, { origin = ORIGIN, flags, counter = authenticator.counter + 1 } = {}) => {
+    authenticator.counter = counter;
+    const clientData = { type: 'webauthn.get', challenge: options.challenge, origin };
+    const clientDataJSON = Buffer.from(JSON.stringify(clientData));
+    const authData = authenticator.authData(options.rpId, { flags });
+    const signed = Buffer.concat([authData, createHash('sha256').update(clientDataJSON).digest()]);
+    const signature = sign(ed25519 ? null : 'sha256', signed, keys.privateKey);
+    return {
+      id: authenticator.id,
+      rawId: authenticator.id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientDataJSON.toString('base64url'),
+        authenticatorData: authData.toString('base64url'),
+        signature: signature.toString('base64url')
+      }
+    };
+  };
+
+  return authenticator;
+}
+
+test('decodeCbor and parseAuthenticatorData read attested credential data', () => {
+  assert.deepEqual(decodeCbor(encodeCbor([1, -7, 'none', Buffer.from([1, 2])])), [1, -7, 'none', Buffer.from([1, 2])]);
+  assert.throws(() => decodeCbor(Buffer.from([0x5f])), /indefinite/);
+  assert.throws(() => decodeCbor(Buffer.from([0x42, 0x01])), /truncated/);
+
+  const authenticator = createAuthenticator();
+  const parsed = parseAuthenticatorData(authenticator.authData('c2p.example.test', { attested: true }));
+  assert.equal(parsed.userPresent, true);
+  assert.equal(parsed.userVerified, true);
+  assert.equal(parsed.signCount, 0);
+  assert.equal(parsed.credentialId.toString('base64url'), authenticator.id);
+  assert.deepEqual(parsed.credentialPublicKey, authenticator.coseKey);
+  assert.throws(() => parseAuthenticatorData(Buffer.alloc(10)), /too short/);
+});
+
+test('coseKeyToJwk and verifyPasskeySignature handle P-256 and Ed25519 keys', () => {
+  for (const curve of ['P-256', 'Ed25519']) {
+    const authenticator = createAuthenticator({ curve });
+    const key = coseKeyToJwk(authenticator.coseKey);
+    assert.equal(key.algorithm, curve === 'Ed25519' ? -8 : -7);
+
+    const assertion = authenticator.login({ challenge: 'abc', rpId: 'c2p.example.test' });
+    const authData = Buffer.from(assertion.response.authenticatorData, 'base64url');
+    const clientDataJSON = Buffer.from(assertion.response.clientDataJSON, 'base64url');
+    const signature = Buffer.from(assertion.response.signature, 'base64url');
+    const passkey = { publicKey: key.jwk, algorithm: key.algorithm };
+    assert.equal(verifyPasskeySignature(passkey, authData, clientDataJSON, signature), true);
+    assert.equal(verifyPasskeySignature(passkey, authData, Buffer.from('{}'), signature), false);
+  }
+  assert.equal(coseKeyToJwk(new Map([[1, 2], [3, -35]])), null);
+});
+
+test('resolveRelyingParty accepts https hosts and localhost only', () => {
+  assert.deepEqual(resolveRelyingParty('https://C2P.example.test:8443'), {
+    origin: 'https://c2p.example.test:8443',
+    rpId: 'c2p.example.test'
+  });
+  assert.deepEqual(resolveRelyingParty('http://localhost:3000'), {
+    origin: 'http://localhost:3000',
+    rpId: 'localhost'
+  });
+  assert.equal(resolveRelyingParty('http://c2p.example.test'), null);
+  assert.equal(resolveRelyingParty('https://192.168.1.20'), null);
+  assert.equal(resolveRelyingParty('https://[::1]:3000'), null);
+  assert.equal(resolveRelyingParty(undefined), null);
+});
+
+test('PasskeyService registers a passkey and signs in with it', async () => {
+  const tempDir = await mkdtemp(path.join(os.tmpdir(), 'c2p-passkeys-'));
+  const store = new C2PStore(path.join(tempDir, 'store.sqlite'));
+  const signingSecret = 'test-signing-secret-for-unit-tests-0123456789';
+  const tokenService = new AccessTokenService({ store, signingSecret, ttlSeconds: 3600 });
+  const passkeys = new PasskeyService({ store, signingSecret, userName: 'c2p@unit' });
+
+  try {
+    const phone = tokenService.enrollDevice({ label: 'Phone', userAgent: '', scope: 'readonly', ip: '10.0.0.2' });
+    const authenticator = createAuthenticator();
+
+    assert.deepEqual(passkeys.createRegistrationOptions('http://10.0.0.5:3000', { scope: 'admin' }), {
+      ok: false,
+      code: 'invalid_origin'
+    });
+    const created = passkeys.createRegistrationOptions(ORIGIN, { scope: 'readonly', deviceId: phone.id });
+    assert.equal(created.ok, true);
+    assert.equal(created.options.rp.id, 'c2p.example.test');
+    assert.equal(created.options.authenticatorSelection.userVerification, 'required');
+
+    // A registration without user verification is refused and burns the challenge.
+    const unverifiedCredential = authenticator.register(created.options, { flags: 0x01 });
+    const unverified = passkeys.verifyRegistration(ORIGIN, unverifiedCredential, '');
+    assert.deepEqual(unverified, { ok: false, code: 'user_verification_required' });
+    const replayed = passkeys.verifyRegistration(ORIGIN, authenticator.register(created.options), '');
+    assert.deepEqual(replayed, { ok: false, code: 'challenge_invalid' });
+
+    const options = passkeys.createRegistrationOptions(ORIGIN, { scope: 'readonly', deviceId: phone.id }).options;
+    const registered = passkeys.verifyRegistration(ORIGIN, authenticator.register(options), ' Face ID ');
+    assert.equal(registered.ok, true);
+    assert.equal(registered.passkey.label, 'Face ID');
+    assert.equal(registered.passkey.scope, 'readonly');
+    assert.equal(registered.passkey.deviceId, phone.id);
+    assert.deepEqual(registered.passkey.transports, ['internal']);
+    const again = passkeys.createRegistrationOptions(ORIGIN, { scope: 'admin' }).options;
+    assert.deepEqual(again.excludeCredentials.map((entry) => entry.id), [authenticator.id]);
+
+    const login = passkeys.createLoginOptions(ORIGIN).options;
+    assert.deepEqual(login.allowCredentials, []);
+    const foreign = authenticator.login(login, { origin: 'https://evil.example.test' });
+    const wrongOrigin = passkeys.verifyLogin(ORIGIN, foreign);
+    assert.deepEqual(wrongOrigin, { ok: false, code: 'challenge_invalid' });
+
+    const signedIn = passkeys.verifyLogin(ORIGIN, authenticator.login(passkeys.createLoginOptions(ORIGIN).options));
+    assert.equal(signedIn.ok, true);
+    assert.equal(signedIn.passkey.signCount, authenticator.counter);
+    assert.equal(typeof store.getPasskey(authenticator.id).lastUsedAt, 'string');
+
+    // A counter that goes backwards points at a cloned authenticator.
+    const cloned = authenticator.login(passkeys.createLoginOptions(ORIGIN).options, { counter: 1 });
+    assert.deepEqual(passkeys.verifyLogin(ORIGIN, cloned), { ok: false, code: 'sign_count_regressed' });
+
+    const stranger = createAuthenticator().login(passkeys.createLoginOptions(ORIGIN).options);
+    assert.deepEqual(passkeys.verifyLogin(ORIGIN, stranger), { ok: false, code: 'unknown_credential' });
+
+    // Revoking the registering device removes its passkeys.
+    tokenService.revokeDevice(phone.id, 'unit-test');
+    assert.deepEqual(passkeys.listPasskeys(), []);
+  } finally {
+    store.close();
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});